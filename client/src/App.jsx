@@ -18,6 +18,15 @@ import CreateListing from './pages/CreateListing.jsx';
 import ProfilePage from './pages/ProfilePage.jsx';
 import WatchlistPage from './pages/WatchlistPage.jsx';
 import BidHistoryPage from './pages/BidHistoryPage.jsx';
+import AbsenteeBidsPage from './pages/AbsenteeBidsPage.jsx';
+import DraftsPage from './pages/DraftsPage.jsx';
+import OrdersPage from './pages/OrdersPage.jsx';
+import EarningsPage from './pages/EarningsPage.jsx';
+import DisputesPage from './pages/DisputesPage.jsx';
+import BidderApprovalsPage from './pages/BidderApprovalsPage.jsx';
+import ShillFlagsPage from './pages/ShillFlagsPage.jsx';
+import EventsPage from './pages/EventsPage.jsx';
+import EventCatalogPage from './pages/EventCatalogPage.jsx';
 import NotFoundPage from './pages/NotFoundPage.jsx';
 import ProtectedRoute from './components/ProtectedRoute.jsx';
 import { useAuthContext } from './hooks/useAuth.js';
@@ -44,12 +53,22 @@ const App = () => {
             <Nav className="align-items-center gap-2">
               <Nav.Link as={Link} to="/" className="fw-semibold">Home</Nav.Link>
               <Nav.Link as={Link} to="/auctions" className="fw-semibold">Auctions</Nav.Link>
+              <Nav.Link as={Link} to="/events" className="fw-semibold">Events</Nav.Link>
               {authUser && (
                 <>
                   <Nav.Link as={Link} to="/dashboard" className="fw-semibold">Dashboard</Nav.Link>
                   <Nav.Link as={Link} to="/watchlist" className="fw-semibold">Watchlist</Nav.Link>
                   <Nav.Link as={Link} to="/bid-history" className="fw-semibold">Bid History</Nav.Link>
+                  <Nav.Link as={Link} to="/absentee-bids" className="fw-semibold">Absentee Bids</Nav.Link>
                   <Nav.Link as={Link} to="/create-listing" className="fw-semibold">Create Listing</Nav.Link>
+                  <Nav.Link as={Link} to="/drafts" className="fw-semibold">My Drafts</Nav.Link>
+                  <Nav.Link as={Link} to="/orders" className="fw-semibold">Orders</Nav.Link>
+                  <Nav.Link as={Link} to="/earnings" className="fw-semibold">Earnings</Nav.Link>
+                  <Nav.Link as={Link} to="/disputes" className="fw-semibold">Disputes</Nav.Link>
+                  <Nav.Link as={Link} to="/bidder-approvals" className="fw-semibold">Approvals</Nav.Link>
+                  {authUser.role === 'admin' && (
+                    <Nav.Link as={Link} to="/shill-flags" className="fw-semibold">Shill Flags</Nav.Link>
+                  )}
                   <Nav.Link as={Link} to="/profile" className="fw-semibold">Profile</Nav.Link>
                 </>
               )}
@@ -92,6 +111,22 @@ const App = () => {
                 </motion.div>
               )}
             />
+            <Route
+              path="/events"
+              element={(
+                <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                  <EventsPage />
+                </motion.div>
+              )}
+            />
+            <Route
+              path="/events/:eventId"
+              element={(
+                <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                  <EventCatalogPage />
+                </motion.div>
+              )}
+            />
             <Route
               path="/login"
               element={authUser ? <Navigate to="/dashboard" replace /> : <LoginPage />}
@@ -128,6 +163,16 @@ const App = () => {
                 </ProtectedRoute>
               )}
             />
+            <Route
+              path="/drafts"
+              element={(
+                <ProtectedRoute>
+                  <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                    <DraftsPage />
+                  </motion.div>
+                </ProtectedRoute>
+              )}
+            />
             <Route
               path="/profile"
               element={(
@@ -158,6 +203,66 @@ const App = () => {
                 </ProtectedRoute>
               )}
             />
+            <Route
+              path="/absentee-bids"
+              element={(
+                <ProtectedRoute>
+                  <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                    <AbsenteeBidsPage />
+                  </motion.div>
+                </ProtectedRoute>
+              )}
+            />
+            <Route
+              path="/orders"
+              element={(
+                <ProtectedRoute>
+                  <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                    <OrdersPage />
+                  </motion.div>
+                </ProtectedRoute>
+              )}
+            />
+            <Route
+              path="/earnings"
+              element={(
+                <ProtectedRoute>
+                  <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                    <EarningsPage />
+                  </motion.div>
+                </ProtectedRoute>
+              )}
+            />
+            <Route
+              path="/disputes"
+              element={(
+                <ProtectedRoute>
+                  <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                    <DisputesPage />
+                  </motion.div>
+                </ProtectedRoute>
+              )}
+            />
+            <Route
+              path="/bidder-approvals"
+              element={(
+                <ProtectedRoute>
+                  <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                    <BidderApprovalsPage />
+                  </motion.div>
+                </ProtectedRoute>
+              )}
+            />
+            <Route
+              path="/shill-flags"
+              element={(
+                <ProtectedRoute>
+                  <motion.div variants={pageTransitionVariants} initial="hidden" animate="visible" exit="exit">
+                    <ShillFlagsPage />
+                  </motion.div>
+                </ProtectedRoute>
+              )}
+            />
             <Route
               path="*"
               element={(
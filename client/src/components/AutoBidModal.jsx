@@ -1,14 +1,17 @@
 /**
  * @file AutoBidModal.jsx
- * @description Modal component for setting up auto-bidding on an auction item.
+ * @description Modal component for setting up auto-bidding on an auction item. On upcoming items it
+ * registers an absentee bid instead, executed when bidding opens.
  */
 
 import React, { useState, useEffect } from 'react';
 import { Modal, Button, Form, InputGroup, Alert } from 'react-bootstrap';
 import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
 import { FaRobot } from 'react-icons/fa';
 import api from '../services/api.js';
-import { formatCurrency } from '../utils/formatters.js';
+import BidderApprovalPrompt from './BidderApprovalPrompt.jsx';
+import { formatCurrency, formatDateTime, getCurrencySymbol } from '../utils/formatters.js';
 
 /**
  * @component AutoBidModal
@@ -16,14 +19,18 @@ import { formatCurrency } from '../utils/formatters.js';
  * @param {boolean} props.show - Whether the modal is visible.
  * @param {function} props.onHide - Callback to close the modal.
  * @param {object} props.item - The auction item object.
+ * @param {function} [props.onApprovalChange] - Called after a deposit approves the bidder.
  * @returns {JSX.Element}
  */
-const AutoBidModal = ({ show, onHide, item }) => {
+const AutoBidModal = ({ show, onHide, item, onApprovalChange }) => {
   const [maxBidAmount, setMaxBidAmount] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [existingAutoBid, setExistingAutoBid] = useState(null);
+  const [refusal, setRefusal] = useState(null);
 
-  const minimumBid = item?.currentPrice + item?.bidIncrement || 0;
+  const minimumBid = item?.minimumNextBid ?? (item?.currentPrice + item?.bidIncrement || 0);
+  const isAbsentee = item?.status === 'upcoming';
+  const bidLabel = isAbsentee ? 'Absentee Bid' : 'Auto-Bid';
 
   useEffect(() => {
     if (show && item?._id) {
@@ -43,26 +50,37 @@ const AutoBidModal = ({ show, onHide, item }) => {
     }
   };
 
+  // A refusal only explains the last attempt, so it goes when the modal is reopened
+  useEffect(() => {
+    if (show) {
+      setRefusal(null);
+    }
+  }, [show]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
     const numericMaxBid = Number(maxBidAmount);
     if (!Number.isFinite(numericMaxBid) || numericMaxBid < minimumBid) {
-      toast.error(`Maximum bid must be at least ${formatCurrency(minimumBid)}.`);
+      toast.error(`Maximum bid must be at least ${formatCurrency(minimumBid, item?.currency)}.`);
       return;
     }
 
     setIsSubmitting(true);
     try {
-      await api.post('/auto-bids/set', {
+      const response = await api.post('/auto-bids/set', {
         itemId: item._id,
         maxBidAmount: numericMaxBid
       });
       
-      toast.success('Auto-bid set successfully!');
+      toast.success(isAbsentee ? response.data.message : 'Auto-bid set successfully!');
       onHide();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to set auto-bid.');
+      if (error.response?.data?.code) {
+        setRefusal(error.response.data);
+        return;
+      }
+      toast.error(error.response?.data?.message || `Failed to set ${bidLabel.toLowerCase()}.`);
     } finally {
       setIsSubmitting(false);
     }
@@ -74,12 +92,12 @@ const AutoBidModal = ({ show, onHide, item }) => {
     setIsSubmitting(true);
     try {
       await api.delete(`/auto-bids/cancel/${item._id}`);
-      toast.success('Auto-bid cancelled.');
+      toast.success(`${bidLabel} cancelled.`);
       setExistingAutoBid(null);
       setMaxBidAmount('');
       onHide();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to cancel auto-bid.');
+      toast.error(error.response?.data?.message || `Failed to cancel ${bidLabel.toLowerCase()}.`);
     } finally {
       setIsSubmitting(false);
     }
@@ -90,25 +108,53 @@ const AutoBidModal = ({ show, onHide, item }) => {
       <Modal.Header closeButton>
         <Modal.Title>
           <FaRobot className="me-2" />
-          Auto-Bid Setup
+          {isAbsentee ? 'Absentee Bid' : 'Auto-Bid Setup'}
         </Modal.Title>
       </Modal.Header>
       <Modal.Body>
-        <Alert variant="info" className="small">
-          <strong>How Auto-Bidding Works:</strong>
-          <ul className="mb-0 mt-2">
-            <li>Set your maximum bid amount</li>
-            <li>System automatically bids on your behalf</li>
-            <li>Bids increment only when necessary</li>
-            <li>Stops when max amount is reached</li>
-          </ul>
-        </Alert>
+        {isAbsentee ? (
+          <Alert variant="info" className="small">
+            <strong>How Absentee Bids Work:</strong>
+            <ul className="mb-0 mt-2">
+              <li>Leave your maximum before bidding opens</li>
+              <li>When the auction opens, absentee bids are executed like auto-bids</li>
+              <li>If two maximums are equal, the one registered first wins</li>
+              <li>Edit or cancel it any time before the start from <Link to="/absentee-bids">Absentee Bids</Link></li>
+            </ul>
+          </Alert>
+        ) : (
+          <Alert variant="info" className="small">
+            <strong>How Auto-Bidding Works:</strong>
+            <ul className="mb-0 mt-2">
+              <li>Set your maximum bid amount</li>
+              <li>System automatically bids on your behalf</li>
+              <li>Bids increment only when necessary</li>
+              <li>Stops when max amount is reached</li>
+              <li>If two maximums are equal, the one set first wins</li>
+            </ul>
+          </Alert>
+        )}
+
+        {refusal && (
+          <BidderApprovalPrompt
+            itemId={item._id}
+            currency={item.currency}
+            refusal={refusal}
+            attemptedAmount={Number(maxBidAmount)}
+            onApproved={() => {
+              setRefusal(null);
+              onApprovalChange?.();
+            }}
+          />
+        )}
 
         {existingAutoBid && (
           <Alert variant="success">
-            <strong>Active Auto-Bid:</strong> {formatCurrency(existingAutoBid.maxBidAmount)}
+            <strong>Active {bidLabel}:</strong> {formatCurrency(existingAutoBid.maxBidAmount, item?.currency)}
             <br />
-            <small>Current auto-bid: {formatCurrency(existingAutoBid.currentAutoBidAmount || 0)}</small>
+            {isAbsentee
+              ? <small>Registered: {formatDateTime(existingAutoBid.maxSetAt)}</small>
+              : <small>Current auto-bid: {formatCurrency(existingAutoBid.currentAutoBidAmount || 0, item?.currency)}</small>}
           </Alert>
         )}
 
@@ -116,7 +162,7 @@ const AutoBidModal = ({ show, onHide, item }) => {
           <Form.Group className="mb-3">
             <Form.Label>Maximum Bid Amount</Form.Label>
             <InputGroup>
-              <InputGroup.Text>$</InputGroup.Text>
+              <InputGroup.Text>{getCurrencySymbol(item?.currency)}</InputGroup.Text>
               <Form.Control
                 type="number"
                 step="0.01"
@@ -129,7 +175,7 @@ const AutoBidModal = ({ show, onHide, item }) => {
               />
             </InputGroup>
             <Form.Text className="text-muted">
-              Minimum: {formatCurrency(minimumBid)}
+              Minimum: {formatCurrency(minimumBid, item?.currency)}
             </Form.Text>
           </Form.Group>
 
@@ -140,7 +186,7 @@ const AutoBidModal = ({ show, onHide, item }) => {
               disabled={isSubmitting}
               className="flex-grow-1"
             >
-              {existingAutoBid ? 'Update Auto-Bid' : 'Enable Auto-Bid'}
+              {existingAutoBid ? `Update ${bidLabel}` : (isAbsentee ? 'Leave Absentee Bid' : 'Enable Auto-Bid')}
             </Button>
             
             {existingAutoBid && (
@@ -150,7 +196,7 @@ const AutoBidModal = ({ show, onHide, item }) => {
                 onClick={handleCancel}
                 disabled={isSubmitting}
               >
-                Cancel Auto-Bid
+                Cancel {bidLabel}
               </Button>
             )}
           </div>
@@ -11,10 +11,11 @@ import { formatCurrency, formatDateTime } from '../utils/formatters.js';
 
 /**
  * @component BidHistoryList
- * @param {{ bids: Array<Record<string, any>> }} props - Component props.
+ * @param {{ bids: Array<Record<string, any>>, isReverse?: boolean, currency?: string }} props - Component
+ * props. Reverse listings mark the lowest bid as leading instead of the highest.
  * @returns {JSX.Element}
  */
-const BidHistoryList = ({ bids }) => {
+const BidHistoryList = ({ bids, isReverse = false, currency = 'USD' }) => {
   if (!bids.length) {
     return (
       <div className="empty-state">
@@ -29,14 +30,17 @@ const BidHistoryList = ({ bids }) => {
     new Map(bids.map(bid => [bid._id, bid])).values()
   );
 
-  // Find the actual highest bid amount (not just first in array)
-  const highestBidAmount = Math.max(...uniqueBids.map(bid => bid.bidAmount));
+  // Find the actual leading bid amount (not just first in array)
+  const bidAmounts = uniqueBids.map(bid => bid.bidAmount);
+  const highestBidAmount = isReverse ? Math.min(...bidAmounts) : Math.max(...bidAmounts);
+  // Auto-bid ties are resolved in favour of the later entry, so only the newest match is highest
+  const highestBidId = uniqueBids.find(bid => bid.bidAmount === highestBidAmount)?._id;
 
   return (
     <motion.div variants={listVariants} initial="hidden" animate="visible">
       <ListGroup>
         {uniqueBids.map((bid, index) => {
-          const isHighestBid = bid.bidAmount === highestBidAmount;
+          const isHighestBid = bid._id === highestBidId;
           
           return (
             <motion.div key={`${bid._id}-${index}`} variants={listItemVariants}>
@@ -48,8 +52,11 @@ const BidHistoryList = ({ bids }) => {
                   <div>
                     <div className="fw-bold d-flex align-items-center">
                       {bid.bidderId?.username || 'Anonymous Bidder'}
+                      {bid.isAutoBid && (
+                        <Badge bg="info" className="ms-2">Auto</Badge>
+                      )}
                       {isHighestBid && (
-                        <Badge bg="warning" className="ms-2">Highest</Badge>
+                        <Badge bg="warning" className="ms-2">{isReverse ? 'Lowest' : 'Highest'}</Badge>
                       )}
                     </div>
                     <div className="text-muted small">{formatDateTime(bid.timestamp)}</div>
@@ -57,8 +64,11 @@ const BidHistoryList = ({ bids }) => {
                 </div>
                 <div className="text-end">
                   <div className="fw-bold fs-5" style={{ color: 'var(--success-color)' }}>
-                    {formatCurrency(bid.bidAmount)}
+                    {formatCurrency(bid.bidAmount, currency)}
                   </div>
+                  {bid.quantity > 1 && (
+                    <div className="text-muted small">× {bid.quantity} units</div>
+                  )}
                 </div>
               </ListGroup.Item>
             </motion.div>
@@ -7,7 +7,39 @@ import React from 'react';
 import { Modal, Form, Button } from 'react-bootstrap';
 import { motion } from 'framer-motion';
 import { buttonHoverVariants } from '../utils/animationVariants.js';
-import { formatCurrency } from '../utils/formatters.js';
+import { formatCurrency, formatPremiumTiers } from '../utils/formatters.js';
+import { estimateBuyerCharges } from '../utils/buyerCharges.js';
+
+/**
+ * @component AllInEstimate
+ * @description Breaks the entered bid down into hammer, buyer's premium, tax and total.
+ * @param {{ amount: number, fees: { premiumTiers: Array, taxRatePercent: number }, currency: string }} props - Component props.
+ * @returns {JSX.Element}
+ */
+const AllInEstimate = ({ amount, fees, currency }) => {
+  const charges = estimateBuyerCharges(amount, fees);
+  return (
+    <div className="mt-3 p-3 rounded border small">
+      <div className="fw-semibold mb-2">Estimated cost if you win</div>
+      <div className="d-flex justify-content-between">
+        <span>Hammer price</span>
+        <span>{formatCurrency(charges.hammerPrice, currency)}</span>
+      </div>
+      <div className="d-flex justify-content-between">
+        <span>Buyer's premium ({formatPremiumTiers(fees.premiumTiers, currency)})</span>
+        <span>{formatCurrency(charges.buyersPremium, currency)}</span>
+      </div>
+      <div className="d-flex justify-content-between">
+        <span>Tax ({fees.taxRatePercent}%)</span>
+        <span>{formatCurrency(charges.tax, currency)}</span>
+      </div>
+      <div className="d-flex justify-content-between fw-bold border-top mt-2 pt-2">
+        <span>Total</span>
+        <span>{formatCurrency(charges.total, currency)}</span>
+      </div>
+    </div>
+  );
+};
 
 /**
  * @component BidModal
@@ -18,8 +50,20 @@ import { formatCurrency } from '../utils/formatters.js';
  *  onBidAmountChange: (value: string) => void,
  *  onSubmit: (event: React.FormEvent<HTMLFormElement>) => void,
  *  minimumBidDisplay: number,
- *  isSubmitting: boolean
- * }} props - Component props.
+ *  bidIncrementDisplay?: number,
+ *  isSealed?: boolean,
+ *  isReverse?: boolean,
+ *  isSubmitting: boolean,
+ *  quantity?: string,
+ *  onQuantityChange?: (value: string) => void,
+ *  maxQuantity?: number,
+ *  buyerFees?: { premiumTiers: Array<{ upTo: number|null, percent: number }>, taxRatePercent: number } | null,
+ *  notice?: React.ReactNode,
+ *  currency?: string
+ * }} props - Component props. Quantity props are only used for multi-unit items. On reverse
+ * listings `minimumBidDisplay` carries the maximum bid allowed. When `buyerFees` is provided the
+ * all-in cost of the entered bid is estimated before it is confirmed. `notice` is shown above the
+ * form, e.g. to explain why the last bid was refused.
  * @returns {JSX.Element}
  */
 const BidModal = ({
@@ -29,49 +73,91 @@ const BidModal = ({
   onBidAmountChange,
   onSubmit,
   minimumBidDisplay,
-  isSubmitting
-}) => (
-  <Modal show={show} onHide={onHide} centered>
-    <Form onSubmit={onSubmit}>
-      <Modal.Header closeButton>
-        <Modal.Title className="fw-bold">Place Your Bid</Modal.Title>
-      </Modal.Header>
-      <Modal.Body>
-        <div className="mb-3 p-3 rounded" style={{ background: 'linear-gradient(135deg, rgba(102, 126, 234, 0.1) 0%, rgba(118, 75, 162, 0.1) 100%)' }}>
-          <div className="text-muted small mb-1">Minimum Bid Required</div>
-          <div className="fw-bold fs-4" style={{ color: 'var(--success-color)' }}>
-            {formatCurrency(minimumBidDisplay)}
+  bidIncrementDisplay,
+  isSealed = false,
+  isReverse = false,
+  isSubmitting,
+  quantity,
+  onQuantityChange,
+  maxQuantity,
+  buyerFees = null,
+  notice = null,
+  currency = 'USD'
+}) => {
+  const estimateAmount = Number(bidAmount) * (maxQuantity > 1 ? Number(quantity) || 1 : 1);
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Form onSubmit={onSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title className="fw-bold">Place Your Bid</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {notice}
+          <div className="mb-3 p-3 rounded" style={{ background: 'linear-gradient(135deg, rgba(102, 126, 234, 0.1) 0%, rgba(118, 75, 162, 0.1) 100%)' }}>
+            <div className="text-muted small mb-1">{isSealed ? 'Opening Bid' : isReverse ? 'Maximum Bid Allowed' : 'Minimum Bid Required'}</div>
+            <div className="fw-bold fs-4" style={{ color: 'var(--success-color)' }}>
+              {formatCurrency(minimumBidDisplay, currency)}
+            </div>
+            {bidIncrementDisplay > 0 && (
+              <div className="text-muted small mt-1">
+                Bids currently step by {formatCurrency(bidIncrementDisplay, currency)}
+              </div>
+            )}
           </div>
-        </div>
-        <Form.Group controlId="bidAmount">
-          <Form.Label className="fw-semibold">Your Bid Amount</Form.Label>
-          <Form.Control
-            type="number"
-            step="0.01"
-            min={minimumBidDisplay}
-            value={bidAmount}
-            onChange={(event) => onBidAmountChange(event.target.value)}
-            required
-            className="form-control-lg"
-            placeholder={formatCurrency(minimumBidDisplay)}
-          />
-          <Form.Text className="text-muted">
-            You must bid at least {formatCurrency(minimumBidDisplay)} or higher
-          </Form.Text>
-        </Form.Group>
-      </Modal.Body>
-      <Modal.Footer>
-        <Button variant="secondary" onClick={onHide} disabled={isSubmitting}>
-          Cancel
-        </Button>
-        <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap">
-          <Button type="submit" variant="primary" disabled={isSubmitting} className="fw-bold">
-            {isSubmitting ? 'Submitting…' : 'Place Bid'}
+          <Form.Group controlId="bidAmount">
+            <Form.Label className="fw-semibold">Your Bid Amount</Form.Label>
+            <Form.Control
+              type="number"
+              step="0.01"
+              min={isReverse ? 0.01 : minimumBidDisplay}
+              max={isReverse ? minimumBidDisplay : undefined}
+              value={bidAmount}
+              onChange={(event) => onBidAmountChange(event.target.value)}
+              required
+              className="form-control-lg"
+              placeholder={formatCurrency(minimumBidDisplay, currency)}
+            />
+            <Form.Text className="text-muted">
+              {isSealed
+                ? `Bid at least ${formatCurrency(minimumBidDisplay, currency)}. You get one sealed bid and it cannot be changed or retracted.`
+                : isReverse
+                  ? `You must bid ${formatCurrency(minimumBidDisplay, currency)} or lower. The lowest bid wins.`
+                  : `You must bid at least ${formatCurrency(minimumBidDisplay, currency)} or higher`}
+            </Form.Text>
+          </Form.Group>
+          {maxQuantity > 1 && (
+            <Form.Group controlId="bidQuantity" className="mt-3">
+              <Form.Label className="fw-semibold">Quantity</Form.Label>
+              <Form.Control
+                type="number"
+                step="1"
+                min={1}
+                max={maxQuantity}
+                value={quantity}
+                onChange={(event) => onQuantityChange(event.target.value)}
+                required
+              />
+              <Form.Text className="text-muted">
+                Your bid amount is per unit. Up to {maxQuantity} units are available.
+              </Form.Text>
+            </Form.Group>
+          )}
+          {buyerFees && estimateAmount > 0 && <AllInEstimate amount={estimateAmount} fees={buyerFees} currency={currency} />}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={isSubmitting}>
+            Cancel
           </Button>
-        </motion.div>
-      </Modal.Footer>
-    </Form>
-  </Modal>
-);
+          <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap">
+            <Button type="submit" variant="primary" disabled={isSubmitting} className="fw-bold">
+              {isSubmitting ? 'Submitting…' : 'Place Bid'}
+            </Button>
+          </motion.div>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
 
 export default BidModal;
@@ -0,0 +1,145 @@
+/**
+ * @file BidderApprovalPrompt.jsx
+ * @description Explains why a bid or auto-bid was refused for needing approval or exceeding the
+ * bidder's credit limit, and offers the way forward: request approval, place a deposit or ask
+ * for a higher limit. Bids by suspended users are refused with no way forward but the message.
+ */
+
+import React, { useState } from 'react';
+import { Alert, Button, Form, InputGroup } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import api from '../services/api.js';
+import { useCurrency } from '../context/CurrencyContext.jsx';
+import { formatCurrency, getCurrencySymbol } from '../utils/formatters.js';
+
+/**
+ * @component BidderApprovalPrompt
+ * @param {{
+ *  itemId: string,
+ *  currency?: string,
+ *  refusal: { code: 'APPROVAL_REQUIRED'|'CREDIT_LIMIT_EXCEEDED'|'BIDDING_SUSPENDED', message: string, deposit?: number|null, approvalStatus?: string|null, creditLimit?: number, exposure?: number },
+ *  attemptedAmount?: number,
+ *  onApproved?: () => void
+ * }} props - Component props. `refusal` is the 403 response body of the refused bid.
+ * `onApproved` runs once a deposit approves the bidder, so the bid can be retried. Deposits and
+ * `attemptedAmount` are in the item's `currency`; credit limits are in the base currency.
+ * @returns {JSX.Element}
+ */
+const BidderApprovalPrompt = ({ itemId, currency = 'USD', refusal, attemptedAmount = 0, onApproved }) => {
+  const { baseCurrency, convertAmount } = useCurrency();
+  const [note, setNote] = useState('');
+  const [requestedLimit, setRequestedLimit] = useState(() => {
+    const attemptedInBase = convertAmount(attemptedAmount, currency, baseCurrency) ?? attemptedAmount;
+    return String(Math.ceil((refusal.exposure || 0) + attemptedInBase));
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isRequested, setIsRequested] = useState(refusal.approvalStatus === 'pending');
+
+  const submitRequest = async (body) => {
+    setIsSubmitting(true);
+    try {
+      const response = await api.post('/bidder-approvals', body);
+      toast.success(response.data.message);
+      setIsRequested(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send request.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDeposit = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await api.post('/bidder-approvals/deposit', { itemId });
+      toast.success(response.data.message);
+      onApproved?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to place deposit.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (refusal.code === 'BIDDING_SUSPENDED') {
+    return (
+      <Alert variant="danger" className="small mb-0">
+        {refusal.message}
+      </Alert>
+    );
+  }
+
+  if (refusal.code === 'CREDIT_LIMIT_EXCEEDED') {
+    return (
+      <Alert variant="warning" className="small">
+        <div className="mb-2">{refusal.message}</div>
+        {isRequested ? (
+          <div className="fw-semibold">
+            Your request is with the admins. Track it from <Link to="/bidder-approvals">Approvals</Link>.
+          </div>
+        ) : (
+          <InputGroup size="sm">
+            <InputGroup.Text>{getCurrencySymbol(baseCurrency)}</InputGroup.Text>
+            <Form.Control
+              type="number"
+              min={Math.ceil(refusal.creditLimit || 0) + 1}
+              step={1}
+              value={requestedLimit}
+              onChange={(event) => setRequestedLimit(event.target.value)}
+              aria-label="Requested credit limit"
+            />
+            <Button
+              variant="warning"
+              disabled={isSubmitting || !requestedLimit}
+              onClick={() => submitRequest({ kind: 'credit-limit', requestedLimit: Number(requestedLimit) })}
+            >
+              Request Higher Limit
+            </Button>
+          </InputGroup>
+        )}
+      </Alert>
+    );
+  }
+
+  return (
+    <Alert variant="warning" className="small">
+      <div className="mb-2">{refusal.message}</div>
+      {isRequested ? (
+        <div className="fw-semibold">
+          Waiting for the seller to review your request. Track it from <Link to="/bidder-approvals">Approvals</Link>.
+        </div>
+      ) : (
+        <>
+          <Form.Control
+            as="textarea"
+            rows={2}
+            size="sm"
+            className="mb-2"
+            placeholder="Optional note for the seller, e.g. your bidding references"
+            value={note}
+            onChange={(event) => setNote(event.target.value)}
+            maxLength={1000}
+          />
+          <div className="d-flex flex-wrap gap-2">
+            <Button size="sm" variant="warning" disabled={isSubmitting} onClick={() => submitRequest({ itemId, message: note })}>
+              Request Approval
+            </Button>
+            {refusal.deposit && (
+              <Button size="sm" variant="outline-dark" disabled={isSubmitting} onClick={handleDeposit}>
+                Place {formatCurrency(refusal.deposit, refusal.currency || currency)} Deposit
+              </Button>
+            )}
+          </div>
+          {refusal.deposit && (
+            <div className="text-muted mt-2">
+              The deposit is a hold on your card, released when bidding closes.
+            </div>
+          )}
+        </>
+      )}
+    </Alert>
+  );
+};
+
+export default BidderApprovalPrompt;
@@ -0,0 +1,94 @@
+/**
+ * @file BundleContents.jsx
+ * @description Browsable list of the pieces in a bundled lot. Selecting a piece shows its own
+ * images, condition, description and dimensions.
+ */
+
+import React, { useState } from 'react';
+import { Card, Row, Col, ListGroup, Badge, Table } from 'react-bootstrap';
+import ImageGallery from './ImageGallery.jsx';
+
+/**
+ * @component BundleContents
+ * @param {{ pieces: Array<Record<string, any>> }} props - Component props.
+ * @returns {JSX.Element}
+ */
+const BundleContents = ({ pieces }) => {
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const selectedPiece = pieces[selectedIndex] || pieces[0];
+  const dimensions = selectedPiece.dimensions;
+
+  return (
+    <Card className="border-0 shadow-sm">
+      <Card.Header className="fw-semibold">
+        📦 Lot Contents
+        <Badge bg="info" text="dark" className="ms-2">{pieces.length} pieces</Badge>
+      </Card.Header>
+      <Card.Body>
+        <p className="small text-muted">
+          These pieces are sold together as one lot. Bids apply to the whole bundle.
+        </p>
+        <Row className="g-4">
+          <Col md={4}>
+            <ListGroup style={{ maxHeight: '460px', overflowY: 'auto' }}>
+              {pieces.map((piece, index) => (
+                <ListGroup.Item
+                  key={piece._id || index}
+                  action
+                  active={index === selectedIndex}
+                  onClick={() => setSelectedIndex(index)}
+                  className="d-flex align-items-center gap-2"
+                >
+                  {piece.images?.[0] ? (
+                    <img
+                      src={piece.images[0]}
+                      alt=""
+                      className="rounded"
+                      style={{ width: '40px', height: '40px', objectFit: 'cover' }}
+                    />
+                  ) : (
+                    <span className="rounded d-inline-block" style={{ width: '40px', height: '40px', backgroundColor: 'var(--background-secondary)' }} />
+                  )}
+                  <div className="flex-grow-1">
+                    <div className="fw-semibold small">{index + 1}. {piece.title}</div>
+                    <small className={index === selectedIndex ? '' : 'text-muted'}>{piece.condition}</small>
+                  </div>
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          </Col>
+
+          <Col md={8}>
+            <h5 className="fw-bold">{selectedPiece.title}</h5>
+            <div className="mb-3">
+              <Badge bg="secondary" className="me-2">{selectedPiece.condition}</Badge>
+              {selectedPiece.era && <Badge bg="light" text="dark">{selectedPiece.era}</Badge>}
+            </div>
+            <ImageGallery key={selectedIndex} images={selectedPiece.images || []} title={selectedPiece.title} />
+            {selectedPiece.description && <p className="mt-3 mb-0">{selectedPiece.description}</p>}
+            {dimensions && (
+              <Table size="sm" className="mt-3 mb-0">
+                <tbody>
+                  <tr>
+                    <th scope="row" className="fw-semibold">Size (H × W × D)</th>
+                    <td>
+                      {dimensions.height ?? '—'} × {dimensions.width ?? '—'} × {dimensions.depth ?? '—'} {dimensions.unit}
+                    </td>
+                  </tr>
+                  {dimensions.weight !== undefined && dimensions.weight !== null && (
+                    <tr>
+                      <th scope="row" className="fw-semibold">Weight</th>
+                      <td>{dimensions.weight} {dimensions.weightUnit}</td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            )}
+          </Col>
+        </Row>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default BundleContents;
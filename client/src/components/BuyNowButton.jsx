@@ -0,0 +1,84 @@
+/**
+ * @file BuyNowButton.jsx
+ * @description Buy It Now button with a confirmation modal. Purchasing closes the auction
+ * immediately at the listing's fixed price.
+ */
+
+import React, { useState } from 'react';
+import { Modal, Button } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { useAuthContext } from '../hooks/useAuth.js';
+import api from '../services/api.js';
+import { buttonHoverVariants } from '../utils/animationVariants.js';
+import { formatCurrency } from '../utils/formatters.js';
+
+/**
+ * @component BuyNowButton
+ * @param {{
+ *  item: Record<string, any>,
+ *  onPurchased?: (item: Record<string, any>) => void,
+ *  className?: string
+ * }} props - Component props. `onPurchased` receives the closed item returned by the server.
+ * @returns {JSX.Element}
+ */
+const BuyNowButton = ({ item, onPurchased, className = '' }) => {
+  const navigate = useNavigate();
+  const { authUser } = useAuthContext();
+  const [showConfirm, setShowConfirm] = useState(false);
+  const [isPurchasing, setIsPurchasing] = useState(false);
+
+  const handleOpen = () => {
+    if (!authUser) {
+      toast.error('Please log in to buy this item.');
+      navigate('/login');
+      return;
+    }
+    setShowConfirm(true);
+  };
+
+  const handlePurchase = async () => {
+    setIsPurchasing(true);
+    try {
+      const response = await api.post(`/items/${item._id}/buy-now`);
+      toast.success(response.data.message);
+      setShowConfirm(false);
+      onPurchased?.(response.data.item);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Unable to complete the purchase.');
+    } finally {
+      setIsPurchasing(false);
+    }
+  };
+
+  return (
+    <>
+      <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap" className={className}>
+        <Button variant="success" className="w-100 fw-bold" onClick={handleOpen}>
+          Buy It Now for {formatCurrency(item.buyNowPrice, item.currency)}
+        </Button>
+      </motion.div>
+
+      <Modal show={showConfirm} onHide={() => setShowConfirm(false)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title className="fw-bold">Confirm Purchase</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          Buy <strong>{item.title}</strong> now for <strong>{formatCurrency(item.buyNowPrice, item.currency)}</strong>?
+          The auction will end immediately and you will be the winner.
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowConfirm(false)} disabled={isPurchasing}>
+            Cancel
+          </Button>
+          <Button variant="success" onClick={handlePurchase} disabled={isPurchasing} className="fw-bold">
+            {isPurchasing ? 'Purchasing…' : 'Buy It Now'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+};
+
+export default BuyNowButton;
@@ -0,0 +1,35 @@
+/**
+ * @file ConvertedPrice.jsx
+ * @description Approximate amount in the user's display currency, shown next to a price in
+ * another currency. Renders nothing when the user has no display currency or it matches.
+ */
+
+import React from 'react';
+import { useCurrency } from '../context/CurrencyContext.jsx';
+import { formatCurrency } from '../utils/formatters.js';
+
+/**
+ * @component ConvertedPrice
+ * @param {{ amount: number, currency?: string, className?: string }} props - Amount and the
+ * currency it is in.
+ * @returns {JSX.Element|null}
+ */
+const ConvertedPrice = ({ amount, currency = 'USD', className = 'text-muted small' }) => {
+  const { displayCurrency, convertAmount } = useCurrency();
+  if (!displayCurrency || displayCurrency === currency) {
+    return null;
+  }
+
+  const convertedAmount = convertAmount(amount || 0, currency, displayCurrency);
+  if (convertedAmount === null) {
+    return null;
+  }
+
+  return (
+    <span className={className} title="Approximate, at today's exchange rate">
+      ≈ {formatCurrency(convertedAmount, displayCurrency)}
+    </span>
+  );
+};
+
+export default ConvertedPrice;
@@ -1,12 +1,14 @@
 /**
  * @file CountdownTimer.jsx
  * @description Displays a live countdown until a target end time. Emits a callback when the
- * countdown finishes and updates styling to reflect urgency.
+ * countdown finishes and updates styling to reflect urgency. When given an itemId it also follows
+ * `auction-extended` socket events so soft-close extensions show up live.
  */
 
 import React, { useEffect, useState } from 'react';
 import { Badge } from 'react-bootstrap';
 import { motion } from 'framer-motion';
+import { useSocket } from '../context/SocketContext.jsx';
 
 /**
  * @typedef CountdownState
@@ -19,10 +21,12 @@ import { motion } from 'framer-motion';
 
 /**
  * @component CountdownTimer
- * @param {{ endTime: string|Date, onAuctionEnd?: () => void }} props - Component props.
+ * @param {{ endTime: string|Date, itemId?: string, onAuctionEnd?: () => void, expiredLabel?: string }} props - Component props.
  * @returns {JSX.Element}
  */
-const CountdownTimer = ({ endTime, onAuctionEnd }) => {
+const CountdownTimer = ({ endTime, itemId, onAuctionEnd, expiredLabel = 'Auction Ended' }) => {
+  const { socket } = useSocket();
+  const [targetTime, setTargetTime] = useState(endTime);
   const [timeRemaining, setTimeRemaining] = useState({
     days: 0,
     hours: 0,
@@ -32,10 +36,31 @@ const CountdownTimer = ({ endTime, onAuctionEnd }) => {
   });
   const [hasEnded, setHasEnded] = useState(false);
 
+  useEffect(() => {
+    setTargetTime(endTime);
+  }, [endTime]);
+
+  useEffect(() => {
+    if (!socket || !itemId) {
+      return undefined;
+    }
+
+    const handleAuctionExtended = (payload) => {
+      if (payload.itemId !== itemId) {
+        return;
+      }
+      setTargetTime(payload.endTime);
+      setHasEnded(false);
+    };
+
+    socket.on('auction-extended', handleAuctionExtended);
+    return () => socket.off('auction-extended', handleAuctionExtended);
+  }, [socket, itemId]);
+
   useEffect(() => {
     const updateRemainingTime = () => {
       const now = Date.now();
-      const target = new Date(endTime).getTime();
+      const target = new Date(targetTime).getTime();
       const diffInMs = target - now;
 
       if (diffInMs <= 0) {
@@ -58,13 +83,13 @@ const CountdownTimer = ({ endTime, onAuctionEnd }) => {
     updateRemainingTime();
     const intervalId = setInterval(updateRemainingTime, 1000);
     return () => clearInterval(intervalId);
-  }, [endTime, onAuctionEnd, hasEnded]);
+  }, [targetTime, onAuctionEnd, hasEnded]);
 
   const formatTimeDisplay = () => {
     const { days, hours, minutes, seconds, isExpired } = timeRemaining;
 
     if (isExpired) {
-      return 'Auction Ended';
+      return expiredLabel;
     }
 
     if (days > 0) {
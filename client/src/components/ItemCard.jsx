@@ -9,6 +9,8 @@ import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { cardVariants, priceUpdateVariants, buttonHoverVariants } from '../utils/animationVariants.js';
 import { formatCurrency, formatDateTime } from '../utils/formatters.js';
+import BuyNowButton from './BuyNowButton.jsx';
+import ConvertedPrice from './ConvertedPrice.jsx';
 
 /**
  * @component ItemCard
@@ -17,6 +19,9 @@ import { formatCurrency, formatDateTime } from '../utils/formatters.js';
  */
 const ItemCard = ({ item }) => {
   const [imagePosition, setImagePosition] = useState({ x: 0, y: 0 });
+  const [isPurchased, setIsPurchased] = useState(false);
+  const isSealedAndOpen = Boolean(item.format) && item.format !== 'english' && !item.isAuctionOver && item.status !== 'ended';
+  const isReverse = item.listingType === 'reverse';
 
   const handleMouseMove = (e) => {
     const rect = e.currentTarget.getBoundingClientRect();
@@ -73,6 +78,27 @@ const ItemCard = ({ item }) => {
                 {item.category}
               </Badge>
             </div>
+            {isReverse && (
+              <div className="position-absolute bottom-0 end-0 m-2">
+                <Badge bg="warning" text="dark" className="shadow-neu px-3 py-2">
+                  Reverse
+                </Badge>
+              </div>
+            )}
+            {item.bundleItems?.length > 0 && (
+              <div className="position-absolute bottom-0 start-0 m-2">
+                <Badge bg="info" text="dark" className="shadow-neu px-3 py-2">
+                  Lot of {item.bundleItems.length}
+                </Badge>
+              </div>
+            )}
+            {item.status === 'upcoming' && (
+              <div className="position-absolute top-0 start-0 m-2">
+                <Badge bg="primary" className="shadow-neu px-3 py-2">
+                  Upcoming
+                </Badge>
+              </div>
+            )}
             {item.status === 'active' && (
               <div className="position-absolute top-0 start-0 m-2">
                 <motion.div
@@ -103,23 +129,35 @@ const ItemCard = ({ item }) => {
             >
               <div className="d-flex align-items-center justify-content-between">
                 <div>
-                  <small className="text-muted d-block mb-1">Current Bid</small>
-                  <span className="price-display-small">{formatCurrency(item.currentPrice)}</span>
+                  <small className="text-muted d-block mb-1">{isSealedAndOpen ? 'Opening Bid' : isReverse ? 'Lowest Bid' : 'Current Bid'}</small>
+                  <span className="price-display-small">{formatCurrency(isSealedAndOpen ? item.startingPrice : item.currentPrice, item.currency)}</span>
+                  <ConvertedPrice amount={isSealedAndOpen ? item.startingPrice : item.currentPrice} currency={item.currency} className="d-block text-muted small" />
                 </div>
-                <Badge className="ms-2 fs-6 px-3 py-2 shadow-neu interactive-scale">
-                  {item.totalBids} {item.totalBids === 1 ? 'bid' : 'bids'}
-                </Badge>
+                {isSealedAndOpen ? (
+                  <Badge bg="dark" className="ms-2 fs-6 px-3 py-2 shadow-neu">
+                    Sealed bids
+                  </Badge>
+                ) : (
+                  <Badge className="ms-2 fs-6 px-3 py-2 shadow-neu interactive-scale">
+                    {item.totalBids} {item.totalBids === 1 ? 'bid' : 'bids'}
+                  </Badge>
+                )}
               </div>
             </motion.div>
             
             <div className="mb-3">
               <small className="text-muted d-flex align-items-center">
-                ⏰ Ends {formatDateTime(item.endTime)}
+                {item.status === 'upcoming'
+                  ? <>⏰ Starts {formatDateTime(item.startTime)}</>
+                  : <>⏰ Ends {formatDateTime(item.endTime)}</>}
               </small>
             </div>
           </Card.Body>
           
           <Card.Footer className="bg-transparent border-0 pt-0 pb-3 px-3">
+            {item.buyNowAvailable && !isPurchased && (
+              <BuyNowButton item={item} className="mb-2" onPurchased={() => setIsPurchased(true)} />
+            )}
             <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap">
               <Button 
                 as={Link} 
@@ -1,18 +1,44 @@
 /**
  * @file LiveAuctionRoom.jsx
- * @description Real-time auction room component with live updates, chat, and viewer count
+ * @description Real-time auction room component with live updates, chat, and viewer count.
+ * Single-unit English lots can be clerked live in floor mode: the seller or an admin calls the
+ * lot while bidders bid through the room.
  */
 
 import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { useSocket } from '../context/SocketContext.jsx';
 import { useAuthContext } from '../hooks/useAuth.js';
-import { FaUsers, FaEye, FaClock, FaComments } from 'react-icons/fa';
+import { FaUsers, FaEye, FaClock, FaComments, FaGavel } from 'react-icons/fa';
 import { motion, AnimatePresence } from 'framer-motion';
+import { formatCurrency } from '../utils/formatters.js';
 import './LiveAuctionRoom.css';
 
-const LiveAuctionRoom = ({ itemId }) => {
+const FLOOR_PHASE_LABELS = {
+  open: 'Bidding is open',
+  'fair-warning': 'Fair warning!',
+  'going-once': 'Going once…',
+  'going-twice': 'Going twice…',
+  sold: 'Sold!'
+};
+
+const FLOOR_CALL_BUTTONS = [
+  { call: 'fair-warning', label: 'Fair Warning', variant: 'warning' },
+  { call: 'going-once', label: 'Going Once', variant: 'warning' },
+  { call: 'going-twice', label: 'Going Twice', variant: 'danger' },
+  { call: 'sold', label: 'Sold', variant: 'danger' }
+];
+
+const LiveAuctionRoom = ({ itemId, item, onFloorStateChange }) => {
   const { socket, isConnected } = useSocket();
   const { authUser } = useAuthContext();
+  const navigate = useNavigate();
+  const [floorState, setFloorState] = useState(null);
+  const [floorSecondsLeft, setFloorSecondsLeft] = useState(null);
+  const [floorBidInput, setFloorBidInput] = useState('');
+  const [isFloorBusy, setIsFloorBusy] = useState(false);
+  const [nextLot, setNextLot] = useState(null);
   const [viewerCount, setViewerCount] = useState(0);
   const [messages, setMessages] = useState([]);
   const [messageInput, setMessageInput] = useState('');
@@ -82,6 +108,20 @@ const LiveAuctionRoom = ({ itemId }) => {
       }
     });
 
+    // Floor mode state and lot hand-over
+    const handleFloorState = (state) => {
+      if (state.itemId === itemId) {
+        setFloorState(state);
+      }
+    };
+    const handleFloorNextLot = (data) => {
+      if (data.itemId === itemId) {
+        setNextLot({ itemId: data.nextItemId, lotNumber: data.lotNumber });
+      }
+    };
+    socket.on('floor-state', handleFloorState);
+    socket.on('floor-next-lot', handleFloorNextLot);
+
     // Cleanup on unmount
     return () => {
       console.log('🔴 Leaving auction room:', itemId);
@@ -91,9 +131,42 @@ const LiveAuctionRoom = ({ itemId }) => {
       socket.off('user-typing-update');
       socket.off('auction-alert');
       socket.off('watch-count-update');
+      socket.off('floor-state', handleFloorState);
+      socket.off('floor-next-lot', handleFloorNextLot);
     };
   }, [socket, isConnected, itemId, authUser]);
 
+  useEffect(() => {
+    setFloorState(null);
+    setNextLot(null);
+  }, [itemId]);
+
+  useEffect(() => {
+    onFloorStateChange?.(floorState);
+  }, [floorState, onFloorStateChange]);
+
+  // Tick the auctioneer's call countdown locally between server updates
+  useEffect(() => {
+    if (!floorState?.countdownEndsAt) {
+      setFloorSecondsLeft(null);
+      return undefined;
+    }
+
+    const updateSecondsLeft = () => {
+      const msLeft = new Date(floorState.countdownEndsAt).getTime() - Date.now();
+      setFloorSecondsLeft(Math.max(0, Math.ceil(msLeft / 1000)));
+    };
+    updateSecondsLeft();
+    const intervalId = setInterval(updateSecondsLeft, 250);
+    return () => clearInterval(intervalId);
+  }, [floorState?.countdownEndsAt]);
+
+  const floorMinimumBid = item?.minimumNextBid ?? 0;
+
+  useEffect(() => {
+    setFloorBidInput(floorMinimumBid ? String(floorMinimumBid) : '');
+  }, [floorMinimumBid]);
+
   const addNotification = (message, type = 'info') => {
     const id = Date.now();
     setNotifications(prev => [...prev, { id, message, type }]);
@@ -102,6 +175,51 @@ const LiveAuctionRoom = ({ itemId }) => {
     }, 5000);
   };
 
+  /**
+   * @function emitFloorAction
+   * @description Sends a floor mode action and surfaces the server's acknowledgement.
+   * @param {string} eventName - Floor socket event.
+   * @param {Object} payload - Event payload; `itemId` is added automatically.
+   * @returns {Promise<{ ok: boolean, message: string }>}
+   */
+  const emitFloorAction = (eventName, payload = {}) => new Promise((resolve) => {
+    if (!socket) {
+      resolve({ ok: false, message: 'Not connected to the live auction.' });
+      return;
+    }
+    setIsFloorBusy(true);
+    socket.timeout(10000).emit(eventName, { itemId, ...payload }, (timeoutError, response) => {
+      setIsFloorBusy(false);
+      const result = timeoutError
+        ? { ok: false, message: 'The auctioneer did not respond. Please try again.' }
+        : response;
+      if (!result.ok) {
+        toast.error(result.message);
+      }
+      resolve(result);
+    });
+  });
+
+  const handleFloorBid = async (e) => {
+    e.preventDefault();
+    const bidAmount = Number(floorBidInput);
+    if (!Number.isFinite(bidAmount) || bidAmount < floorMinimumBid) {
+      toast.error(`Minimum bid is ${formatCurrency(floorMinimumBid, item?.currency)}.`);
+      return;
+    }
+    const result = await emitFloorAction('floor-bid', { bidAmount });
+    if (result.ok) {
+      toast.success('Your bid was accepted on the floor.');
+    }
+  };
+
+  const handleOpenNextLot = async () => {
+    const result = await emitFloorAction('floor-open-next-lot');
+    if (result.ok) {
+      navigate(`/items/${result.nextItemId}`);
+    }
+  };
+
   const handleSendMessage = (e) => {
     e.preventDefault();
     if (!messageInput.trim() || !socket || !authUser) return;
@@ -148,6 +266,14 @@ const LiveAuctionRoom = ({ itemId }) => {
     });
   };
 
+  const hasLotEnded = item?.isAuctionOver || item?.status === 'ended';
+  const canClerk = Boolean(authUser) && Boolean(item) &&
+    (authUser.role === 'admin' || (item.sellerId?._id ?? item.sellerId) === authUser._id);
+  const canUseFloor = Boolean(item) && !item.isMultiUnit &&
+    (!item.format || item.format === 'english') && item.listingType !== 'reverse';
+  const isFloorOpen = Boolean(floorState?.isOpen);
+  const isHighestBidder = Boolean(authUser) && (item?.highestBidder?._id ?? item?.highestBidder) === authUser._id;
+
   return (
     <div className="live-auction-room">
       {/* Real-time Stats Bar */}
@@ -182,6 +308,87 @@ const LiveAuctionRoom = ({ itemId }) => {
         </button>
       </div>
 
+      {/* Floor Mode */}
+      {canUseFloor && (isFloorOpen || canClerk || nextLot) && (
+        <div className={`floor-panel ${isFloorOpen ? `phase-${floorState.phase}` : ''}`}>
+          <div className="floor-header">
+            <FaGavel className="stat-icon" />
+            <div className="floor-status">
+              {isFloorOpen ? (
+                <>
+                  <strong>{FLOOR_PHASE_LABELS[floorState.phase] || 'On the floor'}</strong>
+                  <span className="floor-auctioneer">Auctioneer: {floorState.auctioneerUsername}</span>
+                </>
+              ) : (
+                <strong>{hasLotEnded ? 'Lot closed' : 'Floor closed'}</strong>
+              )}
+            </div>
+            {floorSecondsLeft !== null && (
+              <span className="floor-countdown">{floorSecondsLeft}s</span>
+            )}
+          </div>
+
+          {isFloorOpen && !canClerk && (
+            authUser ? (
+              <form className="floor-bid-form" onSubmit={handleFloorBid}>
+                <input
+                  type="number"
+                  className="chat-input"
+                  min={floorMinimumBid}
+                  step="0.01"
+                  value={floorBidInput}
+                  onChange={(e) => setFloorBidInput(e.target.value)}
+                  aria-label="Floor bid amount"
+                />
+                <button type="submit" className="send-btn" disabled={isFloorBusy || isHighestBidder}>
+                  {isHighestBidder ? 'You lead' : 'Bid'}
+                </button>
+              </form>
+            ) : (
+              <div className="chat-login-prompt">Please login to bid on the floor</div>
+            )
+          )}
+
+          {canClerk && !hasLotEnded && (
+            <div className="floor-controls">
+              {!isFloorOpen ? (
+                <button type="button" className="floor-btn primary" disabled={isFloorBusy} onClick={() => emitFloorAction('floor-open')}>
+                  Open the Floor
+                </button>
+              ) : (
+                FLOOR_CALL_BUTTONS.map(({ call, label, variant }) => (
+                  <button
+                    key={call}
+                    type="button"
+                    className={`floor-btn ${variant}`}
+                    disabled={isFloorBusy}
+                    onClick={() => emitFloorAction('floor-call', { call })}
+                  >
+                    {label}
+                  </button>
+                ))
+              )}
+            </div>
+          )}
+
+          {canClerk && hasLotEnded && item.eventId && !nextLot && (
+            <div className="floor-controls">
+              <button type="button" className="floor-btn primary" disabled={isFloorBusy} onClick={handleOpenNextLot}>
+                Open Next Lot
+              </button>
+            </div>
+          )}
+
+          {nextLot && !canClerk && (
+            <div className="floor-controls">
+              <button type="button" className="floor-btn primary" onClick={() => navigate(`/items/${nextLot.itemId}`)}>
+                Go to Lot {nextLot.lotNumber}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Live Notifications */}
       <AnimatePresence>
         {notifications.map(notification => (
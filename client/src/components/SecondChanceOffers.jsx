@@ -0,0 +1,158 @@
+/**
+ * @file SecondChanceOffers.jsx
+ * @description Second chance offer panel for ended auctions. Sellers whose winner backed out can
+ * offer the item to the next bidder in line; bidders see offers made to them and accept or
+ * decline them.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, Button, Form, Table, Badge, Alert } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import api from '../services/api.js';
+import { formatCurrency, formatDateTime } from '../utils/formatters.js';
+
+const STATUS_VARIANTS = {
+  pending: 'warning',
+  accepted: 'success',
+  declined: 'secondary',
+  expired: 'dark'
+};
+
+/**
+ * @component SecondChanceOffers
+ * @param {{
+ *  item: Record<string, any>,
+ *  isSeller: boolean,
+ *  onAccepted?: (item: Record<string, any>) => void
+ * }} props - Component props. `onAccepted` receives the item returned after an offer is accepted.
+ * @returns {JSX.Element|null}
+ */
+const SecondChanceOffers = ({ item, isSeller, onAccepted }) => {
+  const [offers, setOffers] = useState([]);
+  const [expiresInHours, setExpiresInHours] = useState('48');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchOffers = useCallback(async () => {
+    try {
+      const response = await api.get(`/second-chance-offers/items/${item._id}`);
+      setOffers(response.data.offers || []);
+    } catch (error) {
+      console.error('Failed to load second chance offers:', error);
+    }
+  }, [item._id]);
+
+  useEffect(() => {
+    fetchOffers();
+  }, [fetchOffers, item.winnerId]);
+
+  const handleMakeOffer = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await api.post(`/second-chance-offers/items/${item._id}`, {
+        expiresInHours: Number(expiresInHours)
+      });
+      toast.success(response.data.message);
+      fetchOffers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Unable to make a second chance offer.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRespond = async (offerId, action) => {
+    setIsSubmitting(true);
+    try {
+      const response = await api.post(`/second-chance-offers/${offerId}/${action}`);
+      toast.success(response.data.message);
+      if (action === 'accept') {
+        onAccepted?.(response.data.item);
+      }
+      fetchOffers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Unable to respond to this offer.');
+      fetchOffers();
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isSeller) {
+    const pendingOffer = offers.find((offer) => offer.status === 'pending');
+    if (!pendingOffer) {
+      return null;
+    }
+    return (
+      <Alert variant="info" className="mt-3 mb-0">
+        <strong>Second chance offer:</strong> the seller is offering you this item at your last bid of{' '}
+        <strong>{formatCurrency(pendingOffer.offerAmount, item.currency)}</strong>. The offer expires {formatDateTime(pendingOffer.expiresAt)}.
+        <div className="d-flex gap-2 mt-3">
+          <Button variant="success" className="fw-bold" disabled={isSubmitting} onClick={() => handleRespond(pendingOffer._id, 'accept')}>
+            Accept
+          </Button>
+          <Button variant="outline-secondary" disabled={isSubmitting} onClick={() => handleRespond(pendingOffer._id, 'decline')}>
+            Decline
+          </Button>
+        </div>
+      </Alert>
+    );
+  }
+
+  const hasPendingOffer = offers.some((offer) => offer.status === 'pending');
+
+  return (
+    <Card className="border-0 shadow-sm mt-3">
+      <Card.Header className="fw-bold">Second Chance Offers</Card.Header>
+      <Card.Body>
+        <p className="text-muted small">
+          If the winner backs out, offer the item to the next bidder in line at their own last bid.
+        </p>
+        {!hasPendingOffer && (
+          <div className="d-flex gap-2 align-items-end mb-3">
+            <Form.Group controlId="secondChanceExpiry">
+              <Form.Label className="small fw-semibold">Offer expires after</Form.Label>
+              <Form.Select size="sm" value={expiresInHours} onChange={(event) => setExpiresInHours(event.target.value)}>
+                <option value="24">24 hours</option>
+                <option value="48">48 hours</option>
+                <option value="72">3 days</option>
+                <option value="168">7 days</option>
+              </Form.Select>
+            </Form.Group>
+            <Button size="sm" className="fw-bold" disabled={isSubmitting} onClick={handleMakeOffer}>
+              {isSubmitting ? 'Sending…' : 'Offer to Next Bidder'}
+            </Button>
+          </div>
+        )}
+        {offers.length > 0 && (
+          <Table size="sm" className="mb-0">
+            <thead>
+              <tr>
+                <th>Bidder</th>
+                <th className="text-end">Price</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {offers.map((offer) => (
+                <tr key={offer._id}>
+                  <td>{offer.bidderId?.username || 'Bidder'}</td>
+                  <td className="text-end">{formatCurrency(offer.offerAmount, item.currency)}</td>
+                  <td>
+                    <Badge bg={STATUS_VARIANTS[offer.status]} text={offer.status === 'pending' ? 'dark' : undefined}>
+                      {offer.status}
+                    </Badge>
+                    {offer.status === 'pending' && (
+                      <div className="text-muted small">until {formatDateTime(offer.expiresAt)}</div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default SecondChanceOffers;
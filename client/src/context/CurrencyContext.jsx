@@ -0,0 +1,82 @@
+/**
+ * @file CurrencyContext.jsx
+ * @description React context holding the supported currencies and the current exchange rates,
+ * used to show prices in the signed-in user's display currency next to the listing's own.
+ */
+
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import api from '../services/api.js';
+import { useAuth } from './AuthContext.jsx';
+
+const CurrencyContext = createContext(undefined);
+
+/**
+ * @function useCurrency
+ * @description Convenience hook that exposes currency context values.
+ * @returns {{ currencies: Record<string, { symbol: string, name: string }>, baseCurrency: string, rates: Record<string, number>|null, displayCurrency: string|null, convertAmount: Function }}
+ */
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within CurrencyContextProvider');
+  }
+  return context;
+};
+
+/**
+ * @component CurrencyContextProvider
+ * @description Loads the currencies and exchange rates once per session. Must sit inside
+ * AuthContextProvider.
+ * @param {{ children: React.ReactNode }} props - React props.
+ * @returns {JSX.Element}
+ */
+export const CurrencyContextProvider = ({ children }) => {
+  const { authUser } = useAuth();
+  const [currencies, setCurrencies] = useState({});
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [rates, setRates] = useState(null);
+
+  useEffect(() => {
+    const fetchCurrencies = async () => {
+      try {
+        const response = await api.get('/currencies');
+        setCurrencies(response.data.currencies);
+        setBaseCurrency(response.data.baseCurrency);
+        setRates(response.data.rates);
+      } catch (error) {
+        // Prices still show in their listing currency without the rates
+        console.error('Failed to load exchange rates:', error.message);
+      }
+    };
+
+    fetchCurrencies();
+  }, []);
+
+  /**
+   * @function convertAmount
+   * @description Converts an amount at the current rates, going through the base currency.
+   * @param {number} amount - Amount in `fromCurrency`.
+   * @param {string} fromCurrency - Currency the amount is in.
+   * @param {string} toCurrency - Currency wanted.
+   * @returns {number|null} Null until the rates have loaded.
+   */
+  const convertAmount = useCallback((amount, fromCurrency, toCurrency) => {
+    if (fromCurrency === toCurrency) {
+      return amount;
+    }
+    if (!rates?.[fromCurrency] || !rates?.[toCurrency]) {
+      return null;
+    }
+    return Math.round((amount / rates[fromCurrency]) * rates[toCurrency] * 100) / 100;
+  }, [rates]);
+
+  const contextValue = {
+    currencies,
+    baseCurrency,
+    rates,
+    displayCurrency: authUser?.displayCurrency || null,
+    convertAmount
+  };
+
+  return <CurrencyContext.Provider value={contextValue}>{children}</CurrencyContext.Provider>;
+};
@@ -12,6 +12,7 @@ import { ToastContainer } from 'react-toastify';
 import App from './App.jsx';
 import { AuthContextProvider } from './context/AuthContext.jsx';
 import { SocketContextProvider } from './context/SocketContext.jsx';
+import { CurrencyContextProvider } from './context/CurrencyContext.jsx';
 
 import 'bootstrap/dist/css/bootstrap.min.css';
 import 'react-toastify/dist/ReactToastify.css';
@@ -29,17 +30,19 @@ root.render(
   <React.StrictMode>
     <BrowserRouter>
       <AuthContextProvider>
-        <SocketContextProvider>
-          <App />
-          <ToastContainer
-            position="top-right"
-            autoClose={3000}
-            newestOnTop
-            closeOnClick
-            pauseOnHover
-            theme="colored"
-          />
-        </SocketContextProvider>
+        <CurrencyContextProvider>
+          <SocketContextProvider>
+            <App />
+            <ToastContainer
+              position="top-right"
+              autoClose={3000}
+              newestOnTop
+              closeOnClick
+              pauseOnHover
+              theme="colored"
+            />
+          </SocketContextProvider>
+        </CurrencyContextProvider>
       </AuthContextProvider>
     </BrowserRouter>
   </React.StrictMode>
@@ -0,0 +1,213 @@
+/**
+ * @file AbsenteeBidsPage.jsx
+ * @description Lists the user's pending absentee bids on upcoming items and catalogued lots, with
+ * edit and cancel until bidding opens.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Badge, Form, Alert, Button, InputGroup } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import { FaClipboardList } from 'react-icons/fa';
+import { useSocket } from '../context/SocketContext.jsx';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import CountdownTimer from '../components/CountdownTimer.jsx';
+import { formatCurrency, formatDateTime, getCurrencySymbol } from '../utils/formatters.js';
+
+/**
+ * @component AbsenteeBidsPage
+ * @returns {JSX.Element}
+ */
+const AbsenteeBidsPage = () => {
+  const [absenteeBids, setAbsenteeBids] = useState([]);
+  const [draftMaximums, setDraftMaximums] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [savingItemId, setSavingItemId] = useState(null);
+  const { socket, isConnected } = useSocket();
+
+  useEffect(() => {
+    fetchAbsenteeBids();
+  }, []);
+
+  // Once a lot opens its absentee bid has been executed and can no longer be edited here
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    const handleAuctionStarted = (payload) => {
+      setAbsenteeBids((previousBids) => {
+        const openedBid = previousBids.find((absenteeBid) => absenteeBid.itemId._id === payload.itemId);
+        if (!openedBid) {
+          return previousBids;
+        }
+        toast.info(`Bidding opened on ${openedBid.itemId.title}. Your absentee bid has been placed.`, {
+          toastId: `absentee-executed-${payload.itemId}`
+        });
+        return previousBids.filter((absenteeBid) => absenteeBid !== openedBid);
+      });
+    };
+
+    socket.on('auction-started', handleAuctionStarted);
+
+    return () => {
+      socket.off('auction-started', handleAuctionStarted);
+    };
+  }, [socket, isConnected]);
+
+  const fetchAbsenteeBids = async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.get('/auto-bids/absentee');
+      setAbsenteeBids(response.data.absenteeBids);
+      setDraftMaximums(
+        Object.fromEntries(response.data.absenteeBids.map((absenteeBid) => [absenteeBid.itemId._id, String(absenteeBid.maxBidAmount)]))
+      );
+    } catch (error) {
+      toast.error('Failed to load absentee bids.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async (absenteeBid) => {
+    const itemId = absenteeBid.itemId._id;
+    const numericMaxBid = Number(draftMaximums[itemId]);
+    if (!Number.isFinite(numericMaxBid) || numericMaxBid <= 0) {
+      toast.error('Enter a valid maximum bid.');
+      return;
+    }
+
+    setSavingItemId(itemId);
+    try {
+      const response = await api.post('/auto-bids/set', { itemId, maxBidAmount: numericMaxBid });
+      setAbsenteeBids((previousBids) =>
+        previousBids.map((entry) => (entry._id === absenteeBid._id ? { ...entry, maxBidAmount: response.data.autoBid.maxBidAmount } : entry))
+      );
+      toast.success('Absentee bid updated.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update absentee bid.');
+    } finally {
+      setSavingItemId(null);
+    }
+  };
+
+  const handleCancel = async (absenteeBid) => {
+    const itemId = absenteeBid.itemId._id;
+    setSavingItemId(itemId);
+    try {
+      await api.delete(`/auto-bids/cancel/${itemId}`);
+      setAbsenteeBids((previousBids) => previousBids.filter((entry) => entry._id !== absenteeBid._id));
+      toast.success('Absentee bid cancelled.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel absentee bid.');
+    } finally {
+      setSavingItemId(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '60vh' }}>
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-5">
+        <div>
+          <h1 className="display-6 fw-bold mb-2">
+            <FaClipboardList className="me-2 text-primary" />
+            Absentee Bids
+          </h1>
+          <p className="lead" style={{ color: 'var(--text-secondary)' }}>
+            Maximums you have left on lots that have not opened yet. They are bid for you, earliest registration first on equal maximums, as soon as bidding opens.
+          </p>
+        </div>
+        <Badge bg="primary" className="fs-6 px-3 py-2">
+          {absenteeBids.length} Pending
+        </Badge>
+      </div>
+
+      {absenteeBids.length === 0 ? (
+        <Alert variant="info" className="text-center py-5">
+          <FaClipboardList size={48} className="mb-3 text-muted" />
+          <h4>No pending absentee bids</h4>
+          <p className="mb-0">Open an upcoming item or a lot from an <Link to="/events">auction event</Link> to leave a maximum before it opens.</p>
+        </Alert>
+      ) : (
+        <Card className="border-0 shadow-sm">
+          <Card.Body>
+            <Table responsive hover className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Opens</th>
+                  <th>Starting Price</th>
+                  <th>Registered</th>
+                  <th style={{ minWidth: '180px' }}>Your Maximum</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {absenteeBids.map((absenteeBid) => {
+                  const item = absenteeBid.itemId;
+                  const isSaving = savingItemId === item._id;
+                  return (
+                    <tr key={absenteeBid._id}>
+                      <td>
+                        <Link to={`/items/${item._id}`} className="fw-semibold">{item.title}</Link>
+                        {item.eventId && (
+                          <div className="small text-muted">
+                            Lot {item.lotNumber} · <Link to={`/events/${item.eventId._id}`}>{item.eventId.title}</Link>
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        <div>{formatDateTime(item.startTime)}</div>
+                        <small><CountdownTimer endTime={item.startTime} expiredLabel="Opening…" /></small>
+                      </td>
+                      <td>{formatCurrency(item.startingPrice, item.currency)}</td>
+                      <td className="small text-muted">{formatDateTime(absenteeBid.maxSetAt)}</td>
+                      <td>
+                        <InputGroup size="sm">
+                          <InputGroup.Text>{getCurrencySymbol(item.currency)}</InputGroup.Text>
+                          <Form.Control
+                            type="number"
+                            step="0.01"
+                            min={item.startingPrice}
+                            value={draftMaximums[item._id] ?? ''}
+                            onChange={(e) => setDraftMaximums((previous) => ({ ...previous, [item._id]: e.target.value }))}
+                            disabled={isSaving}
+                            aria-label={`Maximum bid for ${item.title}`}
+                          />
+                        </InputGroup>
+                      </td>
+                      <td className="text-nowrap">
+                        <Button
+                          size="sm"
+                          variant="primary"
+                          className="me-2"
+                          onClick={() => handleSave(absenteeBid)}
+                          disabled={isSaving || Number(draftMaximums[item._id]) === absenteeBid.maxBidAmount}
+                        >
+                          Save
+                        </Button>
+                        <Button size="sm" variant="outline-danger" onClick={() => handleCancel(absenteeBid)} disabled={isSaving}>
+                          Cancel
+                        </Button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default AbsenteeBidsPage;
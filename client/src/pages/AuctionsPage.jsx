@@ -75,7 +75,8 @@ const AuctionsPage = () => {
                 ...item,
                 currentPrice: payload.newPrice,
                 totalBids: payload.totalBids,
-                highestBidder: payload.bidderId
+                highestBidder: payload.bidderId,
+                buyNowAvailable: payload.buyNowAvailable ?? item.buyNowAvailable
               }
             : item
         )
@@ -91,7 +92,21 @@ const AuctionsPage = () => {
             ? {
                 ...item,
                 status: 'ended',
-                isAuctionOver: true
+                isAuctionOver: true,
+                buyNowAvailable: false
+              }
+            : item
+        )
+      );
+    };
+
+    const handleAuctionStarted = (payload) => {
+      setItems((prevItems) =>
+        prevItems.map((item) =>
+          item._id === payload.itemId
+            ? {
+                ...item,
+                status: 'active'
               }
             : item
         )
@@ -101,6 +116,7 @@ const AuctionsPage = () => {
     // Listen to all auction rooms for updates
     socket.on('new-bid-placed', handleBidUpdate);
     socket.on('auction-ended', handleAuctionEnded);
+    socket.on('auction-started', handleAuctionStarted);
 
     console.log('AuctionsPage: Socket listeners attached');
 
@@ -108,6 +124,7 @@ const AuctionsPage = () => {
       console.log('AuctionsPage: Cleaning up socket listeners');
       socket.off('new-bid-placed', handleBidUpdate);
       socket.off('auction-ended', handleAuctionEnded);
+      socket.off('auction-started', handleAuctionStarted);
     };
   }, [socket, isConnected]);
 
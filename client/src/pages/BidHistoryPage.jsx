@@ -27,7 +27,7 @@ const BidHistoryPage = () => {
     won: 0,
     lost: 0,
     outbid: 0,
-    totalSpent: 0
+    totalSpent: {}
   });
 
   useEffect(() => {
@@ -58,9 +58,13 @@ const BidHistoryPage = () => {
       won: bidData.filter(b => b.bidStatus === 'won').length,
       lost: bidData.filter(b => b.bidStatus === 'lost').length,
       outbid: bidData.filter(b => b.bidStatus === 'outbid').length,
+      // Totaled per currency, since won items may be priced in different currencies
       totalSpent: bidData
         .filter(b => b.bidStatus === 'won')
-        .reduce((sum, b) => sum + b.bidAmount, 0)
+        .reduce((totals, b) => {
+          const currency = b.itemId?.currency || 'USD';
+          return { ...totals, [currency]: (totals[currency] || 0) + b.bidAmount };
+        }, {})
     };
     setStats(stats);
   };
@@ -169,7 +173,11 @@ const BidHistoryPage = () => {
           <Card className="border-0 shadow-sm">
             <Card.Body className="text-center">
               <div className="fw-bold text-muted small mb-2">Total Spent</div>
-              <div className="h5 mb-0 text-success">{formatCurrency(stats.totalSpent)}</div>
+              <div className="h5 mb-0 text-success">
+                {Object.keys(stats.totalSpent).length === 0
+                  ? formatCurrency(0)
+                  : Object.entries(stats.totalSpent).map(([currency, amount]) => formatCurrency(amount, currency)).join(' · ')}
+              </div>
             </Card.Body>
           </Card>
         </Col>
@@ -235,7 +243,7 @@ const BidHistoryPage = () => {
                         <div className="fw-semibold">{bid.itemId?.title || 'Unknown Item'}</div>
                         <small className="text-muted">{bid.itemId?.category}</small>
                       </td>
-                      <td className="fw-bold">{formatCurrency(bid.bidAmount)}</td>
+                      <td className="fw-bold">{formatCurrency(bid.bidAmount, bid.itemId?.currency)}</td>
                       <td>
                         <Badge bg={getBadgeVariant(bid.bidStatus)} className="px-3 py-2">
                           {getStatusIcon(bid.bidStatus)}
@@ -247,7 +255,7 @@ const BidHistoryPage = () => {
                       </td>
                       <td>
                         {bid.itemId?.currentPrice ? (
-                          <span className="fw-semibold">{formatCurrency(bid.itemId.currentPrice)}</span>
+                          <span className="fw-semibold">{formatCurrency(bid.itemId.currentPrice, bid.itemId.currency)}</span>
                         ) : (
                           <span className="text-muted">-</span>
                         )}
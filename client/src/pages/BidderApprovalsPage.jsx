@@ -0,0 +1,302 @@
+/**
+ * @file BidderApprovalsPage.jsx
+ * @description Shows a bidder's credit limit and their requests to bid above approval thresholds
+ * or for a higher limit. Sellers and event organizers switch to the review queue to approve or
+ * reject bidders for their items; admins also decide credit-limit requests there.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Badge, Alert, Button, ButtonGroup, Modal, Form, Row, Col, InputGroup } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import { FaUserCheck } from 'react-icons/fa';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import { formatCurrency, formatDateTime } from '../utils/formatters.js';
+
+const APPROVAL_STATUS_BADGES = {
+  pending: { bg: 'warning', text: 'dark', label: 'Pending' },
+  approved: { bg: 'success', label: 'Approved' },
+  rejected: { bg: 'secondary', label: 'Declined' }
+};
+
+const CREDIT_CARDS = [
+  { key: 'limit', label: 'Credit Limit', hint: 'Most you can have committed across open bids.' },
+  { key: 'exposure', label: 'Committed', hint: 'Bids you are winning and your auto-bid maximums.' },
+  { key: 'available', label: 'Available', hint: 'What you can still bid.' }
+];
+
+const EMPTY_DECISION_FORM = { decision: 'approve', note: '', creditLimit: '' };
+
+/**
+ * @function describeRequest
+ * @description What an approval request is for, linked to the item where there is one.
+ * @param {Record<string, any>} approval - Approval as returned by the API.
+ * @returns {JSX.Element}
+ */
+const describeRequest = (approval) => {
+  if (approval.kind === 'credit-limit') {
+    return <>Credit limit of {formatCurrency(approval.requestedLimit)}</>;
+  }
+  if (approval.eventId) {
+    return <>All lots in <strong>{approval.eventId.title}</strong></>;
+  }
+  return approval.itemId
+    ? <Link to={`/items/${approval.itemId._id}`} className="fw-semibold text-decoration-none">{approval.itemId.title}</Link>
+    : 'Item removed';
+};
+
+/**
+ * @component BidderApprovalsPage
+ * @returns {JSX.Element}
+ */
+const BidderApprovalsPage = () => {
+  const [view, setView] = useState('mine');
+  const [approvals, setApprovals] = useState([]);
+  const [credit, setCredit] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [requestedLimit, setRequestedLimit] = useState('');
+  const [decidingApproval, setDecidingApproval] = useState(null);
+  const [decisionForm, setDecisionForm] = useState(EMPTY_DECISION_FORM);
+
+  useEffect(() => {
+    const fetchApprovals = async () => {
+      try {
+        setIsLoading(true);
+        const response = await api.get(view === 'queue' ? '/bidder-approvals/queue' : '/bidder-approvals');
+        setApprovals(response.data.approvals);
+        if (response.data.credit) {
+          setCredit(response.data.credit);
+        }
+      } catch (error) {
+        toast.error('Failed to load approvals.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchApprovals();
+  }, [view]);
+
+  const handleLimitRequest = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await api.post('/bidder-approvals', { kind: 'credit-limit', requestedLimit: Number(requestedLimit) });
+      toast.success(response.data.message);
+      setApprovals((previousApprovals) => [
+        response.data.approval,
+        ...previousApprovals.filter((approval) => approval._id !== response.data.approval._id)
+      ]);
+      setRequestedLimit('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send request.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const openDecision = (approval, decision) => {
+    setDecisionForm({ ...EMPTY_DECISION_FORM, decision, creditLimit: approval.requestedLimit ?? '' });
+    setDecidingApproval(approval);
+  };
+
+  const handleDecisionSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await api.post(`/bidder-approvals/${decidingApproval._id}/decide`, {
+        decision: decisionForm.decision,
+        note: decisionForm.note,
+        ...(decidingApproval.kind === 'credit-limit' && decisionForm.decision === 'approve' && { creditLimit: decisionForm.creditLimit })
+      });
+      setApprovals((previousApprovals) => previousApprovals.filter((approval) => approval._id !== decidingApproval._id));
+      toast.success(response.data.message);
+      setDecidingApproval(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to decide request.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4 flex-wrap gap-3">
+        <div>
+          <h1 className="display-6 fw-bold mb-2">
+            <FaUserCheck className="me-2 text-primary" />
+            {view === 'queue' ? 'Approval Requests' : 'Approvals'}
+          </h1>
+          <p className="lead mb-0" style={{ color: 'var(--text-secondary)' }}>
+            {view === 'queue'
+              ? 'Bidders waiting for your decision, oldest first.'
+              : 'Your credit limit and your requests to bid on high-value lots.'}
+          </p>
+        </div>
+        <ButtonGroup>
+          <Button variant={view === 'mine' ? 'primary' : 'outline-primary'} onClick={() => setView('mine')}>
+            Mine
+          </Button>
+          <Button variant={view === 'queue' ? 'primary' : 'outline-primary'} onClick={() => setView('queue')}>
+            Review Queue
+          </Button>
+        </ButtonGroup>
+      </div>
+
+      {view === 'mine' && credit && (
+        <>
+          <Row className="g-3 mb-3">
+            {CREDIT_CARDS.map(({ key, label, hint }) => (
+              <Col md={4} key={key}>
+                <Card className="border-0 shadow-sm h-100">
+                  <Card.Body>
+                    <div className="text-muted small fw-semibold text-uppercase">{label}</div>
+                    <div className="fs-3 fw-bold">{formatCurrency(credit[key])}</div>
+                    <div className="text-muted small">{hint}</div>
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+          <Form onSubmit={handleLimitRequest} className="mb-4" style={{ maxWidth: '420px' }}>
+            <InputGroup>
+              <InputGroup.Text>$</InputGroup.Text>
+              <Form.Control
+                type="number"
+                min={Math.ceil(credit.limit) + 1}
+                step={1}
+                placeholder="New credit limit"
+                value={requestedLimit}
+                onChange={(event) => setRequestedLimit(event.target.value)}
+                required
+              />
+              <Button type="submit" variant="outline-primary" disabled={isSubmitting}>
+                Request Higher Limit
+              </Button>
+            </InputGroup>
+          </Form>
+        </>
+      )}
+
+      {isLoading ? (
+        <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '40vh' }}>
+          <LoadingSpinner />
+        </div>
+      ) : approvals.length === 0 ? (
+        <Alert variant="info" className="text-center py-5">
+          <FaUserCheck size={48} className="mb-3 text-muted" />
+          <h4>{view === 'queue' ? 'Nothing to review' : 'No requests yet'}</h4>
+        </Alert>
+      ) : view === 'queue' ? (
+        approvals.map((approval) => (
+          <Card key={approval._id} className="border-0 shadow-sm mb-3">
+            <Card.Body>
+              <div className="d-flex justify-content-between align-items-start gap-3 flex-wrap">
+                <div>
+                  <div className="fs-5">{describeRequest(approval)}</div>
+                  <div className="small text-muted">
+                    {approval.userId?.username} · requested {formatDateTime(approval.updatedAt)}
+                    {approval.credit && (
+                      <> · Limit {formatCurrency(approval.credit.limit)}, committed {formatCurrency(approval.credit.exposure)}</>
+                    )}
+                  </div>
+                </div>
+                <div className="d-flex gap-2">
+                  <Button size="sm" variant="success" onClick={() => openDecision(approval, 'approve')}>
+                    Approve
+                  </Button>
+                  <Button size="sm" variant="outline-danger" onClick={() => openDecision(approval, 'reject')}>
+                    Reject
+                  </Button>
+                </div>
+              </div>
+              {approval.message && <div className="mt-2">{approval.message}</div>}
+            </Card.Body>
+          </Card>
+        ))
+      ) : (
+        <Card className="border-0 shadow-sm">
+          <Card.Body>
+            <Table responsive hover className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Request</th>
+                  <th>Status</th>
+                  <th>Updated</th>
+                  <th>Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {approvals.map((approval) => {
+                  const statusBadge = APPROVAL_STATUS_BADGES[approval.status];
+                  return (
+                    <tr key={approval._id}>
+                      <td>{describeRequest(approval)}</td>
+                      <td>
+                        <Badge bg={statusBadge.bg} text={statusBadge.text}>{statusBadge.label}</Badge>
+                        {approval.method === 'deposit' && (
+                          <div className="small text-muted">
+                            {formatCurrency(approval.deposit?.amount, approval.itemId?.currency || approval.eventId?.currency)} deposit{approval.deposit?.releasedAt ? ', released' : ' held'}
+                          </div>
+                        )}
+                      </td>
+                      <td>{formatDateTime(approval.decidedAt || approval.updatedAt)}</td>
+                      <td className="small text-muted">{approval.decisionNote || approval.message}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+
+      <Modal show={Boolean(decidingApproval)} onHide={() => setDecidingApproval(null)} centered>
+        <Form onSubmit={handleDecisionSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title className="fw-bold">
+              {decisionForm.decision === 'approve' ? 'Approve' : 'Reject'} {decidingApproval?.userId?.username}
+            </Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {decidingApproval?.kind === 'credit-limit' && decisionForm.decision === 'approve' && (
+              <Form.Group controlId="approvalCreditLimit" className="mb-3">
+                <Form.Label className="fw-semibold">Credit limit to grant ($)</Form.Label>
+                <Form.Control
+                  type="number"
+                  min={0}
+                  step={1}
+                  value={decisionForm.creditLimit}
+                  onChange={(event) => setDecisionForm((previous) => ({ ...previous, creditLimit: event.target.value }))}
+                  required
+                />
+              </Form.Group>
+            )}
+            <Form.Group controlId="approvalDecisionNote">
+              <Form.Label className="fw-semibold">Note to the bidder</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                value={decisionForm.note}
+                onChange={(event) => setDecisionForm((previous) => ({ ...previous, note: event.target.value }))}
+                maxLength={1000}
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setDecidingApproval(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant={decisionForm.decision === 'approve' ? 'success' : 'danger'} disabled={isSubmitting}>
+              {decisionForm.decision === 'approve' ? 'Approve' : 'Reject'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default BidderApprovalsPage;
@@ -1,17 +1,380 @@
 /**
  * @file CreateListing.jsx
  * @description Form for sellers to create new auction listings with a two-step wizard interface.
+ * Work in progress is autosaved as a draft that can be resumed from My Drafts, and reusable
+ * templates pre-fill the seller's usual listing settings.
  */
 
-import React, { useState } from 'react';
-import { useForm } from 'react-hook-form';
-import { useNavigate } from 'react-router-dom';
-import { Card, Form, Row, Col, Button, ProgressBar, Badge } from 'react-bootstrap';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Card, Form, Row, Col, Button, ProgressBar, Badge, InputGroup } from 'react-bootstrap';
 import { motion, AnimatePresence } from 'framer-motion';
 import { toast } from 'react-toastify';
-import { FaInfoCircle, FaDollarSign, FaImage, FaCheckCircle, FaArrowRight, FaArrowLeft } from 'react-icons/fa';
+import { FaInfoCircle, FaDollarSign, FaImage, FaCheckCircle, FaArrowRight, FaArrowLeft, FaSave } from 'react-icons/fa';
 import api from '../services/api.js';
+import { useCurrency } from '../context/CurrencyContext.jsx';
 import { buttonHoverVariants } from '../utils/animationVariants.js';
+import { formatIncrementTiers, formatDateTimeInput, getCurrencySymbol } from '../utils/formatters.js';
+
+const LISTING_CATEGORIES = [
+  'Furniture',
+  'Jewelry',
+  'Art',
+  'Collectibles',
+  'Vintage Electronics',
+  'Antique Books',
+  'Pottery',
+  'Watches',
+  'Sculptures',
+  'Textiles',
+  'Musical Instruments',
+  'Other'
+];
+
+const AUTOSAVE_DELAY_MS = 2000;
+
+const MAX_BUNDLE_PIECES = 24;
+
+const EMPTY_BUNDLE_PIECE = {
+  title: '',
+  condition: 'Good',
+  era: '',
+  description: '',
+  images: '',
+  height: '',
+  width: '',
+  depth: '',
+  unit: 'inches',
+  weight: '',
+  weightUnit: 'kg'
+};
+
+const MULTIPART_HEADERS = { headers: { 'Content-Type': 'multipart/form-data' } };
+
+const DEFAULT_FORM_VALUES = {
+  title: '',
+  description: '',
+  category: 'Art',
+  customCategory: '',
+  images: '',
+  currency: 'USD',
+  startingPrice: 100,
+  bidIncrement: 10,
+  incrementPreset: 'flat',
+  incrementTiers: [
+    { upTo: 50, increment: 1 },
+    { upTo: '', increment: 5 }
+  ],
+  startTime: '',
+  endTime: '',
+  condition: 'Excellent',
+  reservePrice: '',
+  buyNowPrice: '',
+  approvalThreshold: '',
+  approvalDeposit: '',
+  listingType: 'forward',
+  format: 'english',
+  softCloseWindowMinutes: 2,
+  isMultiUnit: false,
+  totalQuantity: 2,
+  isBundle: false,
+  bundleItems: [],
+  relistMaxRelists: 0,
+  relistPriceReductionPercent: 0,
+  relistDurationHours: '',
+  shippingMethod: 'pickup',
+  shippingFlatRate: '',
+  shippingHandlingDays: 3,
+  dimensionsHeight: '',
+  dimensionsWidth: '',
+  dimensionsDepth: '',
+  dimensionsWeight: '',
+  dimensionsUnit: 'inches',
+  weightUnit: 'kg'
+};
+
+/**
+ * @function resolveCategory
+ * @param {Record<string, any>} formData - Form values.
+ * @returns {string} The selected category, or the seller's own one when "Other" is chosen.
+ */
+const resolveCategory = (formData) => (
+  formData.category === 'Other' && formData.customCategory
+    ? String(formData.customCategory).trim()
+    : formData.category
+);
+
+/**
+ * @function splitCategory
+ * @param {string} category - Stored category.
+ * @returns {{ category: string, customCategory: string }} Select and free-text values for the form.
+ */
+const splitCategory = (category) => (
+  LISTING_CATEGORIES.includes(category)
+    ? { category, customCategory: '' }
+    : { category: 'Other', customCategory: category || '' }
+);
+
+/**
+ * @function toRequestTiers
+ * @description The last tier is left open-ended so it covers every higher price.
+ * @param {Array<{ upTo: string|number, increment: string|number }>} tiers - Tier rows from the form.
+ * @returns {Array<{ upTo: number|null, increment: number }>}
+ */
+const toRequestTiers = (tiers) => tiers.map((tier, index) => ({
+  upTo: index === tiers.length - 1 || tier.upTo === '' ? null : Number(tier.upTo),
+  increment: Number(tier.increment)
+}));
+
+/**
+ * @function toFormTiers
+ * @param {Array<{ upTo: number|null, increment: number }>} tiers - Stored tiers.
+ * @returns {Array<{ upTo: string|number, increment: number }>} Tier rows for the form.
+ */
+const toFormTiers = (tiers) => tiers.map(({ upTo, increment }) => ({ upTo: upTo ?? '', increment }));
+
+/**
+ * @function splitImageUrls
+ * @param {string} value - Comma-separated image URLs.
+ * @returns {Array<string>}
+ */
+const splitImageUrls = (value) => (
+  value ? value.split(',').map((u) => u.trim()).filter(Boolean) : []
+);
+
+/**
+ * @function buildDimensions
+ * @param {{ height: string, width: string, depth: string, weight: string, unit: string, weightUnit: string }} values - Dimension inputs.
+ * @returns {Record<string, any>|undefined} Dimensions object, or undefined when none were entered.
+ */
+const buildDimensions = ({ height, width, depth, weight, unit, weightUnit }) => {
+  if (!height && !width && !depth && !weight) {
+    return undefined;
+  }
+
+  const dimensions = {
+    unit: unit || 'inches',
+    weightUnit: weightUnit || 'kg'
+  };
+
+  if (height) dimensions.height = Number(height);
+  if (width) dimensions.width = Number(width);
+  if (depth) dimensions.depth = Number(depth);
+  if (weight) dimensions.weight = Number(weight);
+
+  return dimensions;
+};
+
+/**
+ * @function buildShipping
+ * @param {Record<string, any>} formData - Form values.
+ * @returns {{ method: string, flatRate: number, handlingDays: number }}
+ */
+const buildShipping = (formData) => ({
+  method: formData.shippingMethod,
+  flatRate: formData.shippingMethod === 'flat' ? Number(formData.shippingFlatRate) || 0 : 0,
+  handlingDays: formData.shippingHandlingDays === '' ? 3 : Number(formData.shippingHandlingDays)
+});
+
+/**
+ * @function buildListingFormData
+ * @description Builds the multipart payload shared by direct listing, draft saves and publishing.
+ * @param {Record<string, any>} formData - Raw form values captured by react-hook-form.
+ * @param {Array<File>} files - Image files to upload with the request.
+ * @param {Array<Array<File>>} [pieceFiles] - New image files of each bundle piece, in piece order.
+ * @returns {FormData}
+ */
+const buildListingFormData = (formData, files, pieceFiles = []) => {
+  const form = new FormData();
+  form.append('title', formData.title);
+  form.append('description', formData.description);
+  form.append('category', resolveCategory(formData));
+  if (formData.startTime) form.append('startTime', formData.startTime);
+  splitImageUrls(formData.images).forEach((u) => form.append('images', u));
+  form.append('currency', formData.currency);
+  form.append('startingPrice', String(Number(formData.startingPrice)));
+  const isReverseListing = formData.listingType === 'reverse';
+  form.append('listingType', formData.listingType);
+  form.append('format', isReverseListing ? 'english' : formData.format);
+  const isSealedFormat = !isReverseListing && formData.format !== 'english';
+  form.append('bidIncrement', String(Number(formData.bidIncrement)));
+  form.append('incrementPreset', formData.incrementPreset);
+  if (formData.incrementPreset === 'custom') {
+    form.append('incrementTiers', JSON.stringify(toRequestTiers(formData.incrementTiers)));
+  }
+  if (formData.endTime) form.append('endTime', formData.endTime);
+
+  form.append('condition', formData.condition);
+  if (formData.reservePrice) form.append('reservePrice', String(Number(formData.reservePrice)));
+  if (formData.buyNowPrice && !formData.isMultiUnit && !isSealedFormat && !isReverseListing) form.append('buyNowPrice', String(Number(formData.buyNowPrice)));
+  if (formData.approvalThreshold && !isReverseListing) {
+    form.append('approvalThreshold', String(Number(formData.approvalThreshold)));
+    if (formData.approvalDeposit) form.append('approvalDeposit', String(Number(formData.approvalDeposit)));
+  }
+  form.append('softCloseWindowMinutes', String(Number(formData.softCloseWindowMinutes) || 0));
+  // Bundles are one lot, so they never run as multi-unit auctions
+  if (formData.isMultiUnit && !isSealedFormat && !isReverseListing && !formData.isBundle) {
+    form.append('isMultiUnit', 'true');
+    form.append('totalQuantity', String(Number(formData.totalQuantity)));
+  }
+
+  if (Number(formData.relistMaxRelists) > 0) {
+    form.append('relistRules', JSON.stringify({
+      maxRelists: Number(formData.relistMaxRelists),
+      priceReductionPercent: isReverseListing ? 0 : Number(formData.relistPriceReductionPercent) || 0,
+      durationHours: formData.relistDurationHours ? Number(formData.relistDurationHours) : null
+    }));
+  }
+
+  form.append('shipping', JSON.stringify(buildShipping(formData)));
+
+  const dimensions = buildDimensions({
+    height: formData.dimensionsHeight,
+    width: formData.dimensionsWidth,
+    depth: formData.dimensionsDepth,
+    weight: formData.dimensionsWeight,
+    unit: formData.dimensionsUnit,
+    weightUnit: formData.weightUnit
+  });
+  if (dimensions) {
+    form.append('dimensions', JSON.stringify(dimensions));
+  }
+
+  // An empty list clears the pieces of a draft that is no longer a bundle
+  const bundlePieces = formData.isBundle
+    ? formData.bundleItems.map((piece, index) => ({
+        title: piece.title,
+        description: piece.description,
+        condition: piece.condition,
+        era: piece.era,
+        images: splitImageUrls(piece.images),
+        newImageCount: pieceFiles[index]?.length || 0,
+        dimensions: buildDimensions(piece)
+      }))
+    : [];
+  form.append('bundleItems', JSON.stringify(bundlePieces));
+
+  files.forEach((file) => form.append('images', file));
+  if (formData.isBundle) {
+    pieceFiles.flat().forEach((file) => form.append('bundleImages', file));
+  }
+  return form;
+};
+
+/**
+ * @function mapDraftToFormValues
+ * @description Turns a saved draft back into form values so the seller can resume it.
+ * @param {Record<string, any>} draft - Draft item returned by the API.
+ * @returns {Record<string, any>}
+ */
+const mapDraftToFormValues = (draft) => ({
+  ...DEFAULT_FORM_VALUES,
+  // The server fills in a generated title, description and placeholder image for blank drafts
+  title: /^Untitled Item \d+$/.test(draft.title) ? '' : draft.title,
+  description: draft.description === 'No description provided.' ? '' : draft.description,
+  ...splitCategory(draft.category),
+  images: draft.images.filter((url) => !url.includes('via.placeholder.com')).join(', '),
+  currency: draft.currency || DEFAULT_FORM_VALUES.currency,
+  startingPrice: draft.startingPrice,
+  bidIncrement: draft.bidIncrement ?? DEFAULT_FORM_VALUES.bidIncrement,
+  incrementPreset: draft.incrementPreset || 'flat',
+  incrementTiers: draft.incrementPreset === 'custom' && draft.incrementTiers?.length
+    ? toFormTiers(draft.incrementTiers)
+    : DEFAULT_FORM_VALUES.incrementTiers,
+  startTime: new Date(draft.startTime) > new Date() ? formatDateTimeInput(draft.startTime) : '',
+  endTime: formatDateTimeInput(draft.endTime),
+  condition: draft.condition,
+  reservePrice: draft.reservePrice ?? '',
+  buyNowPrice: draft.buyNowPrice ?? '',
+  approvalThreshold: draft.approvalThreshold ?? '',
+  approvalDeposit: draft.approvalDeposit ?? '',
+  listingType: draft.listingType,
+  format: draft.format,
+  softCloseWindowMinutes: draft.softCloseWindowMinutes,
+  isMultiUnit: draft.isMultiUnit,
+  totalQuantity: draft.isMultiUnit ? draft.totalQuantity : DEFAULT_FORM_VALUES.totalQuantity,
+  isBundle: draft.bundleItems?.length > 0,
+  bundleItems: (draft.bundleItems || []).map((piece) => ({
+    title: piece.title,
+    condition: piece.condition,
+    era: piece.era || '',
+    description: piece.description || '',
+    images: piece.images.join(', '),
+    height: piece.dimensions?.height ?? '',
+    width: piece.dimensions?.width ?? '',
+    depth: piece.dimensions?.depth ?? '',
+    unit: piece.dimensions?.unit || 'inches',
+    weight: piece.dimensions?.weight ?? '',
+    weightUnit: piece.dimensions?.weightUnit || 'kg'
+  })),
+  relistMaxRelists: draft.relistRules?.maxRelists ?? 0,
+  relistPriceReductionPercent: draft.relistRules?.priceReductionPercent ?? 0,
+  relistDurationHours: draft.relistRules?.durationHours ?? '',
+  shippingMethod: draft.shipping?.method || 'pickup',
+  shippingFlatRate: draft.shipping?.method === 'flat' ? draft.shipping.flatRate : '',
+  shippingHandlingDays: draft.shipping?.handlingDays ?? 3,
+  dimensionsHeight: draft.dimensions?.height ?? '',
+  dimensionsWidth: draft.dimensions?.width ?? '',
+  dimensionsDepth: draft.dimensions?.depth ?? '',
+  dimensionsWeight: draft.dimensions?.weight ?? '',
+  dimensionsUnit: draft.dimensions?.unit || 'inches',
+  weightUnit: draft.dimensions?.weightUnit || 'kg'
+});
+
+/**
+ * @function mapTemplateToFormValues
+ * @description Form values a template pre-fills. Only the defaults the template stores are
+ * returned; its duration sets the end time counted from now.
+ * @param {Record<string, any>} template - Listing template returned by the API.
+ * @returns {Record<string, any>}
+ */
+const mapTemplateToFormValues = (template) => {
+  const values = {};
+  if (template.category) Object.assign(values, splitCategory(template.category));
+  if (template.condition) values.condition = template.condition;
+  if (template.incrementPreset) values.incrementPreset = template.incrementPreset;
+  if (template.incrementTiers?.length) values.incrementTiers = toFormTiers(template.incrementTiers);
+  if (template.bidIncrement) values.bidIncrement = template.bidIncrement;
+  if (template.softCloseWindowMinutes !== undefined) values.softCloseWindowMinutes = template.softCloseWindowMinutes;
+  if (template.durationHours) {
+    values.startTime = '';
+    values.endTime = formatDateTimeInput(Date.now() + template.durationHours * 60 * 60 * 1000);
+  }
+  if (template.shipping?.method) {
+    values.shippingMethod = template.shipping.method;
+    values.shippingFlatRate = template.shipping.method === 'flat' ? template.shipping.flatRate : '';
+    values.shippingHandlingDays = template.shipping.handlingDays ?? 3;
+  }
+  return values;
+};
+
+/**
+ * @function buildTemplatePayload
+ * @description Captures the reusable settings of the current form. The auction length is stored
+ * as a duration so the template works on any day.
+ * @param {string} name - Template name.
+ * @param {Record<string, any>} formData - Form values.
+ * @returns {Record<string, any>}
+ */
+const buildTemplatePayload = (name, formData) => {
+  const startDate = formData.startTime ? new Date(formData.startTime) : new Date();
+  const durationHours = formData.endTime
+    ? Math.round((new Date(formData.endTime) - startDate) / (60 * 60 * 1000))
+    : null;
+
+  return {
+    name,
+    category: resolveCategory(formData),
+    condition: formData.condition,
+    incrementPreset: formData.incrementPreset,
+    incrementTiers: formData.incrementPreset === 'custom' ? toRequestTiers(formData.incrementTiers) : undefined,
+    bidIncrement: Number(formData.bidIncrement) || undefined,
+    durationHours: durationHours >= 1 ? Math.min(durationHours, 720) : undefined,
+    softCloseWindowMinutes: Number(formData.softCloseWindowMinutes) || 0,
+    shipping: buildShipping(formData)
+  };
+};
 
 /**
  * @component CreateListing
@@ -19,45 +382,290 @@ import { buttonHoverVariants } from '../utils/animationVariants.js';
  */
 const CreateListing = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { currencies } = useCurrency();
   const [currentStep, setCurrentStep] = useState(1);
   const {
     register,
+    control,
     handleSubmit,
     watch,
     trigger,
+    reset,
+    setValue,
+    getValues,
     formState: { errors, isSubmitting }
   } = useForm({
     mode: 'onBlur',
-    defaultValues: {
-      title: '',
-      description: '',
-      category: 'Art',
-      images: '',
-      startingPrice: 100,
-      bidIncrement: 10,
-      startTime: '',
-      endTime: '',
-      condition: 'Excellent',
-      reservePrice: '',
-      dimensionsHeight: '',
-      dimensionsWidth: '',
-      dimensionsDepth: '',
-      dimensionsWeight: '',
-      dimensionsUnit: 'inches',
-      weightUnit: 'kg'
-    }
+    defaultValues: DEFAULT_FORM_VALUES
   });
 
-  /**
-   * @function onSubmit
-   * @description Handles listing creation form submission.
-   * @param {Record<string, string>} formData - Raw form values captured by react-hook-form.
-   * @returns {Promise<void>}
-   */
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [previewImages, setPreviewImages] = useState([]);
 
+  const [incrementPresets, setIncrementPresets] = useState({});
+  const {
+    fields: incrementTierFields,
+    append: appendIncrementTier,
+    remove: removeIncrementTier
+  } = useFieldArray({ control, name: 'incrementTiers' });
+
+  const {
+    fields: bundlePieceFields,
+    append: appendBundlePiece,
+    remove: removeBundlePiece
+  } = useFieldArray({ control, name: 'bundleItems' });
+  // New image files of each bundle piece, keyed by field id
+  const [bundlePieceFiles, setBundlePieceFiles] = useState({});
+
+  const [draftId, setDraftId] = useState(searchParams.get('draft'));
+  const [isLoadingDraft, setIsLoadingDraft] = useState(Boolean(searchParams.get('draft')));
+  const [draftStatus, setDraftStatus] = useState(null);
+  const draftIdRef = useRef(draftId);
+  const draftSaveQueueRef = useRef(Promise.resolve(true));
+  const autosaveTimerRef = useRef(null);
+  const isPublishingRef = useRef(false);
+
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState('');
+
   const selectedCategory = watch('category');
+  const isReverse = watch('listingType') === 'reverse';
+  // Reverse listings only run as open English auctions
+  const auctionFormat = isReverse ? 'english' : watch('format');
+  const isSealed = auctionFormat !== 'english';
+  const isBundle = watch('isBundle');
+  const isMultiUnit = watch('isMultiUnit') && !isSealed && !isReverse && !isBundle;
+  const incrementPreset = watch('incrementPreset');
+  const listingCurrency = watch('currency');
+  const currencySymbol = getCurrencySymbol(listingCurrency);
+  const shippingMethod = watch('shippingMethod');
+  const imageUrls = watch('images');
+
+  useEffect(() => {
+    api.get('/items/increment-presets')
+      .then((response) => setIncrementPresets(response.data.presets || {}))
+      .catch((error) => console.error('Failed to load increment presets:', error));
+    api.get('/listing-templates')
+      .then((response) => setTemplates(response.data.templates || []))
+      .catch((error) => console.error('Failed to load listing templates:', error));
+  }, []);
+
+  // A bundle needs at least two pieces, so switching it on starts with two blank ones
+  useEffect(() => {
+    if (isBundle && bundlePieceFields.length === 0) {
+      appendBundlePiece([EMPTY_BUNDLE_PIECE, EMPTY_BUNDLE_PIECE]);
+    }
+  }, [isBundle, bundlePieceFields.length, appendBundlePiece]);
+
+  // Resume the draft named in `?draft=` once, on first render
+  useEffect(() => {
+    if (!draftIdRef.current) return;
+
+    api.get(`/items/drafts/${draftIdRef.current}`)
+      .then((response) => {
+        reset(mapDraftToFormValues(response.data.item));
+        setDraftStatus({ state: 'saved', savedAt: new Date(response.data.item.updatedAt) });
+      })
+      .catch((error) => {
+        toast.error(error.response?.data?.message || 'Failed to load draft.');
+        draftIdRef.current = null;
+        setDraftId(null);
+        navigate('/create-listing', { replace: true });
+      })
+      .finally(() => setIsLoadingDraft(false));
+  }, []);
+
+  /**
+   * @function saveDraft
+   * @description Creates or updates the draft. Saves run one at a time so a slow first save cannot
+   * create a second draft.
+   * @param {Record<string, any>} formData - Form values to save.
+   * @param {Array<File>} files - Image files to upload with this save.
+   * @param {Array<Array<File>>} [pieceFiles] - Bundle piece image files to upload with this save.
+   * @returns {Promise<boolean>} Whether the draft was saved.
+   */
+  const saveDraft = useCallback((formData, files, pieceFiles = []) => {
+    draftSaveQueueRef.current = draftSaveQueueRef.current.then(async () => {
+      if (isPublishingRef.current) return false;
+
+      setDraftStatus({ state: 'saving' });
+      try {
+        const form = buildListingFormData(formData, files, pieceFiles);
+        const currentDraftId = draftIdRef.current;
+        const response = currentDraftId
+          ? await api.put(`/items/drafts/${currentDraftId}`, form, MULTIPART_HEADERS)
+          : await api.post('/items/drafts', form, MULTIPART_HEADERS);
+        const savedDraft = response.data.item;
+
+        if (!currentDraftId) {
+          draftIdRef.current = savedDraft._id;
+          setDraftId(savedDraft._id);
+          navigate(`/create-listing?draft=${savedDraft._id}`, { replace: true });
+        }
+        if (files.length > 0) {
+          // Uploaded images now live on the draft; keep them as URLs instead of re-uploading
+          setValue('images', savedDraft.images.join(', '));
+          setSelectedFiles([]);
+          setPreviewImages([]);
+        }
+        if (pieceFiles.some((pieceImages) => pieceImages.length > 0)) {
+          savedDraft.bundleItems?.forEach((piece, index) => {
+            setValue(`bundleItems.${index}.images`, piece.images.join(', '));
+          });
+          setBundlePieceFiles({});
+        }
+        setDraftStatus({ state: 'saved', savedAt: new Date() });
+        return true;
+      } catch (error) {
+        // Half-typed fields can fail validation; say which one so the next edit fixes it
+        const fieldError = error.response?.data?.errors?.[0];
+        setDraftStatus({
+          state: 'error',
+          message: fieldError
+            ? `Draft not saved: ${fieldError.msg || fieldError.message}`
+            : error.response?.data?.message || 'Draft could not be saved.'
+        });
+        return false;
+      }
+    });
+    return draftSaveQueueRef.current;
+  }, [navigate, setValue]);
+
+  /**
+   * @function scheduleAutosave
+   * @description Debounces draft saves while the seller is editing.
+   */
+  const scheduleAutosave = useCallback(() => {
+    clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = setTimeout(() => {
+      autosaveTimerRef.current = null;
+      saveDraft(getValues(), []);
+    }, AUTOSAVE_DELAY_MS);
+  }, [saveDraft, getValues]);
+
+  useEffect(() => {
+    if (isLoadingDraft) return undefined;
+
+    const subscription = watch((values, { type }) => {
+      // Only edits made by the seller trigger an autosave, not resets or programmatic updates
+      if (type === 'change') {
+        scheduleAutosave();
+      }
+    });
+
+    return () => {
+      subscription.unsubscribe();
+      // Flush a pending autosave instead of dropping the last edits
+      if (autosaveTimerRef.current) {
+        clearTimeout(autosaveTimerRef.current);
+        autosaveTimerRef.current = null;
+        saveDraft(getValues(), []);
+      }
+    };
+  }, [watch, isLoadingDraft, scheduleAutosave, saveDraft, getValues]);
+
+  /**
+   * @function getPieceFiles
+   * @returns {Array<Array<File>>} New image files of each bundle piece, in piece order.
+   */
+  const getPieceFiles = () => bundlePieceFields.map((field) => bundlePieceFiles[field.id] || []);
+
+  /**
+   * @function handlePieceFileChange
+   * @description Keeps the image files chosen for one bundle piece.
+   * @param {string} fieldId - Field array id of the piece.
+   * @param {number} index - Position of the piece.
+   * @param {React.ChangeEvent<HTMLInputElement>} e - File input change event.
+   */
+  const handlePieceFileChange = (fieldId, index, e) => {
+    const savedImageCount = splitImageUrls(getValues(`bundleItems.${index}.images`)).length;
+    const files = Array.from(e.target.files || []).slice(0, Math.max(0, 5 - savedImageCount));
+    setBundlePieceFiles((previousFiles) => ({ ...previousFiles, [fieldId]: files }));
+  };
+
+  /**
+   * @function handleRemovePiece
+   * @param {number} index - Position of the piece to remove.
+   */
+  const handleRemovePiece = (index) => {
+    const fieldId = bundlePieceFields[index].id;
+    removeBundlePiece(index);
+    setBundlePieceFiles(({ [fieldId]: removedFiles, ...remainingFiles }) => remainingFiles);
+    scheduleAutosave();
+  };
+
+  /**
+   * @function handleSaveDraft
+   * @description Saves the draft right away, uploading any selected images.
+   */
+  const handleSaveDraft = async () => {
+    clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = null;
+    const isSaved = await saveDraft(getValues(), selectedFiles, getPieceFiles());
+    if (isSaved) {
+      toast.success('Draft saved. Resume it any time from My Drafts.');
+    }
+  };
+
+  /**
+   * @function handleApplyTemplate
+   * @description Pre-fills the form with the defaults stored in a template.
+   * @param {string} templateId - Selected template.
+   */
+  const handleApplyTemplate = (templateId) => {
+    setSelectedTemplateId(templateId);
+    const template = templates.find((entry) => entry._id === templateId);
+    if (!template) return;
+
+    Object.entries(mapTemplateToFormValues(template)).forEach(([field, value]) => {
+      setValue(field, value, { shouldDirty: true });
+    });
+    toast.info(`Applied template "${template.name}".`);
+    scheduleAutosave();
+  };
+
+  /**
+   * @function handleSaveTemplate
+   * @description Saves the current category, condition, increment, duration and shipping settings
+   * as a new template.
+   */
+  const handleSaveTemplate = async () => {
+    const name = templateName.trim();
+    if (!name) {
+      toast.error('Enter a name for the template.');
+      return;
+    }
+
+    try {
+      const response = await api.post('/listing-templates', buildTemplatePayload(name, getValues()));
+      const savedTemplate = response.data.template;
+      setTemplates((previousTemplates) =>
+        [...previousTemplates, savedTemplate].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setSelectedTemplateId(savedTemplate._id);
+      setTemplateName('');
+      toast.success('Listing template saved.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save listing template.');
+    }
+  };
+
+  /**
+   * @function handleDeleteTemplate
+   * @description Deletes the selected template. The form keeps its current values.
+   */
+  const handleDeleteTemplate = async () => {
+    try {
+      await api.delete(`/listing-templates/${selectedTemplateId}`);
+      setTemplates((previousTemplates) => previousTemplates.filter((entry) => entry._id !== selectedTemplateId));
+      setSelectedTemplateId('');
+      toast.success('Listing template deleted.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete listing template.');
+    }
+  };
 
   /**
    * @function handleNext
@@ -66,6 +674,7 @@ const CreateListing = () => {
   const handleNext = async () => {
     const step1Fields = ['title', 'description', 'category'];
     if (selectedCategory === 'Other') step1Fields.push('customCategory');
+    if (isBundle) step1Fields.push('bundleItems');
     
     const isValid = await trigger(step1Fields);
     if (isValid) {
@@ -96,61 +705,38 @@ const CreateListing = () => {
     setPreviewImages(previews);
   };
 
+  /**
+   * @function onSubmit
+   * @description Handles listing creation form submission. A saved draft is published in place;
+   * otherwise the listing is created directly.
+   * @param {Record<string, string>} formData - Raw form values captured by react-hook-form.
+   * @returns {Promise<void>}
+   */
   const onSubmit = async (formData) => {
-    const form = new FormData();
-    form.append('title', formData.title);
-    form.append('description', formData.description);
-    const categoryValue = formData.category === 'Other' && formData.customCategory
-      ? String(formData.customCategory).trim()
-      : formData.category;
-    form.append('category', categoryValue);
-    if (formData.startTime) form.append('startTime', formData.startTime);
-    const urlList = formData.images
-      ? formData.images.split(',').map((u) => u.trim()).filter(Boolean)
-      : [];
-    urlList.forEach((u) => form.append('images', u));
-    form.append('startingPrice', String(Number(formData.startingPrice)));
-    form.append('bidIncrement', String(Number(formData.bidIncrement)));
-    
-    // EndTime is required - always append it
-    if (formData.endTime) {
-      form.append('endTime', formData.endTime);
-    } else {
+    // EndTime is required
+    if (!formData.endTime) {
       // This should never happen due to validation, but provide a helpful error
       toast.error('End time is required. Please select an auction end time.');
       return;
     }
-    
-    form.append('condition', formData.condition);
-    if (formData.reservePrice) form.append('reservePrice', String(Number(formData.reservePrice)));
-    
-    // Build dimensions object if any dimension values are provided
-    const hasDimensions = formData.dimensionsHeight || formData.dimensionsWidth || 
-                          formData.dimensionsDepth || formData.dimensionsWeight;
-    
-    if (hasDimensions) {
-      const dimensions = {
-        unit: formData.dimensionsUnit || 'inches',
-        weightUnit: formData.weightUnit || 'kg'
-      };
-      
-      if (formData.dimensionsHeight) dimensions.height = Number(formData.dimensionsHeight);
-      if (formData.dimensionsWidth) dimensions.width = Number(formData.dimensionsWidth);
-      if (formData.dimensionsDepth) dimensions.depth = Number(formData.dimensionsDepth);
-      if (formData.dimensionsWeight) dimensions.weight = Number(formData.dimensionsWeight);
-      
-      form.append('dimensions', JSON.stringify(dimensions));
-    }
 
-    selectedFiles.forEach((file) => form.append('images', file));
+    // Stop autosaving and let an in-flight save settle so the publish targets the right draft
+    isPublishingRef.current = true;
+    clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = null;
+    await draftSaveQueueRef.current;
+
+    const form = buildListingFormData(formData, selectedFiles, getPieceFiles());
 
     try {
-      const response = await api.post('/items', form, {
-        headers: { 'Content-Type': 'multipart/form-data' }
-      });
+      const currentDraftId = draftIdRef.current;
+      const response = currentDraftId
+        ? await api.post(`/items/drafts/${currentDraftId}/publish`, form, MULTIPART_HEADERS)
+        : await api.post('/items', form, MULTIPART_HEADERS);
       toast.success('Auction listing created successfully.');
       navigate(`/items/${response.data.item._id}`);
     } catch (error) {
+      isPublishingRef.current = false;
       const message = error.response?.data?.message || 'Unable to create listing.';
       
       // Log detailed validation errors if available
@@ -215,6 +801,69 @@ const CreateListing = () => {
         </Card.Body>
       </Card>
 
+      {/* Templates & Draft */}
+      <Card className="mb-4 border-0 shadow-sm">
+        <Card.Body>
+          <Row className="g-3 align-items-end">
+            <Col md={5}>
+              <Form.Group controlId="listingTemplate">
+                <Form.Label className="fw-semibold">Start from a Template</Form.Label>
+                <InputGroup>
+                  <Form.Select
+                    value={selectedTemplateId}
+                    onChange={(e) => handleApplyTemplate(e.target.value)}
+                    disabled={templates.length === 0 || isLoadingDraft}
+                  >
+                    <option value="">{templates.length > 0 ? 'Choose a template…' : 'No saved templates yet'}</option>
+                    {templates.map((template) => (
+                      <option key={template._id} value={template._id}>{template.name}</option>
+                    ))}
+                  </Form.Select>
+                  <Button variant="outline-danger" onClick={handleDeleteTemplate} disabled={!selectedTemplateId}>
+                    Delete
+                  </Button>
+                </InputGroup>
+              </Form.Group>
+            </Col>
+            <Col md={7}>
+              <Form.Group controlId="listingTemplateName">
+                <Form.Label className="fw-semibold">Save Current Settings as a Template</Form.Label>
+                <InputGroup>
+                  <Form.Control
+                    type="text"
+                    maxLength={60}
+                    placeholder="e.g., Victorian furniture, 7-day pickup"
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                  />
+                  <Button variant="outline-primary" onClick={handleSaveTemplate}>
+                    Save Template
+                  </Button>
+                </InputGroup>
+                <Form.Text className="text-muted">
+                  Stores category, condition, bid increment, duration and shipping.
+                </Form.Text>
+              </Form.Group>
+            </Col>
+          </Row>
+
+          <div className="d-flex justify-content-between align-items-center mt-3 pt-3 border-top">
+            <small className={draftStatus?.state === 'error' ? 'text-danger' : 'text-muted'}>
+              {isLoadingDraft && 'Loading draft…'}
+              {!isLoadingDraft && !draftStatus && 'Your changes are saved as a draft automatically.'}
+              {draftStatus?.state === 'saving' && 'Saving draft…'}
+              {draftStatus?.state === 'saved' && `Draft saved at ${draftStatus.savedAt.toLocaleTimeString()}.`}
+              {draftStatus?.state === 'error' && draftStatus.message}
+              {' '}
+              <Link to="/drafts">My Drafts</Link>
+            </small>
+            <Button variant="outline-secondary" size="sm" onClick={handleSaveDraft} disabled={isLoadingDraft || isSubmitting}>
+              <FaSave className="me-1" /> Save Draft
+            </Button>
+          </div>
+        </Card.Body>
+      </Card>
+
       {/* Form Card */}
       <Card className="border-0 shadow">
         <Card.Body className="p-4">
@@ -260,18 +909,9 @@ const CreateListing = () => {
                           Category <span className="text-danger">*</span>
                         </Form.Label>
                         <Form.Select className="py-2" {...register('category')}>
-                          <option value="Furniture">Furniture</option>
-                          <option value="Jewelry">Jewelry</option>
-                          <option value="Art">Art</option>
-                          <option value="Collectibles">Collectibles</option>
-                          <option value="Vintage Electronics">Vintage Electronics</option>
-                          <option value="Antique Books">Antique Books</option>
-                          <option value="Pottery">Pottery</option>
-                          <option value="Watches">Watches</option>
-                          <option value="Sculptures">Sculptures</option>
-                          <option value="Textiles">Textiles</option>
-                          <option value="Musical Instruments">Musical Instruments</option>
-                          <option value="Other">Other</option>
+                          {LISTING_CATEGORIES.map((category) => (
+                            <option key={category} value={category}>{category}</option>
+                          ))}
                         </Form.Select>
                       </Form.Group>
                     </Col>
@@ -342,7 +982,7 @@ const CreateListing = () => {
                             accept="image/*"
                             onChange={handleFileChange}
                             className="mb-2"
-                            required={previewImages.length === 0}
+                            required={previewImages.length === 0 && !imageUrls && !isBundle}
                           />
                           <small className="text-muted d-block">
                             <span className="text-danger">*</span> Upload up to 5 high-quality images (JPG, PNG) - Required
@@ -386,6 +1026,162 @@ const CreateListing = () => {
                       </Form.Group>
                     </Col>
 
+                    {/* Bundle Contents */}
+                    <Col xs={12}>
+                      <div className="p-3 rounded" style={{ backgroundColor: 'var(--background-secondary)' }}>
+                        <Form.Group controlId="listingIsBundle">
+                          <Form.Check
+                            type="switch"
+                            label="This lot is a bundle of several pieces"
+                            className="fw-semibold"
+                            {...register('isBundle')}
+                          />
+                          <Form.Text className="text-muted">
+                            e.g. a set of chairs or a lot of postcards. Describe each piece; bidders bid on the whole lot.
+                            {isBundle && ' Listing images are optional — the first image of each piece is used.'}
+                          </Form.Text>
+                        </Form.Group>
+
+                        {isBundle && bundlePieceFields.map((field, index) => (
+                          <Card key={field.id} className="mt-3 border-0 shadow-sm">
+                            <Card.Body>
+                              <div className="d-flex justify-content-between align-items-center mb-3">
+                                <h6 className="fw-bold mb-0">Piece {index + 1}</h6>
+                                <Button
+                                  variant="outline-danger"
+                                  size="sm"
+                                  onClick={() => handleRemovePiece(index)}
+                                  disabled={bundlePieceFields.length <= 2}
+                                >
+                                  Remove
+                                </Button>
+                              </div>
+                              <Row className="g-3">
+                                <Col md={6}>
+                                  <Form.Group controlId={`listingPieceTitle${index}`}>
+                                    <Form.Label className="fw-semibold">
+                                      Title <span className="text-danger">*</span>
+                                    </Form.Label>
+                                    <Form.Control
+                                      type="text"
+                                      {...register(`bundleItems.${index}.title`, {
+                                        validate: (value) => !getValues('isBundle') || Boolean(value?.trim()) || 'Each piece needs a title.'
+                                      })}
+                                      isInvalid={Boolean(errors.bundleItems?.[index]?.title)}
+                                    />
+                                    <Form.Control.Feedback type="invalid">{errors.bundleItems?.[index]?.title?.message}</Form.Control.Feedback>
+                                  </Form.Group>
+                                </Col>
+                                <Col md={3}>
+                                  <Form.Group controlId={`listingPieceCondition${index}`}>
+                                    <Form.Label className="fw-semibold">Condition</Form.Label>
+                                    <Form.Select {...register(`bundleItems.${index}.condition`)}>
+                                      {['Excellent', 'Very Good', 'Good', 'Fair', 'Poor'].map((condition) => (
+                                        <option key={condition} value={condition}>{condition}</option>
+                                      ))}
+                                    </Form.Select>
+                                  </Form.Group>
+                                </Col>
+                                <Col md={3}>
+                                  <Form.Group controlId={`listingPieceEra${index}`}>
+                                    <Form.Label className="fw-semibold">Era</Form.Label>
+                                    <Form.Control type="text" placeholder="e.g., 1890s" {...register(`bundleItems.${index}.era`)} />
+                                  </Form.Group>
+                                </Col>
+                                <Col xs={12}>
+                                  <Form.Group controlId={`listingPieceDescription${index}`}>
+                                    <Form.Label className="fw-semibold">Description</Form.Label>
+                                    <Form.Control as="textarea" rows={2} maxLength={1000} {...register(`bundleItems.${index}.description`)} />
+                                  </Form.Group>
+                                </Col>
+                                <Col md={6}>
+                                  <Form.Group controlId={`listingPieceFiles${index}`}>
+                                    <Form.Label className="fw-semibold">Images</Form.Label>
+                                    <Form.Control
+                                      type="file"
+                                      multiple
+                                      accept="image/*"
+                                      onChange={(e) => handlePieceFileChange(field.id, index, e)}
+                                    />
+                                    {bundlePieceFiles[field.id]?.length > 0 && (
+                                      <Form.Text className="text-muted">{bundlePieceFiles[field.id].length} new image(s) selected</Form.Text>
+                                    )}
+                                  </Form.Group>
+                                </Col>
+                                <Col md={6}>
+                                  <Form.Group controlId={`listingPieceImages${index}`}>
+                                    <Form.Label className="fw-semibold">Or image URLs</Form.Label>
+                                    <Form.Control type="text" placeholder="Comma-separated, up to 5" {...register(`bundleItems.${index}.images`)} />
+                                  </Form.Group>
+                                </Col>
+                                <Col xs={6} md={2}>
+                                  <Form.Group controlId={`listingPieceHeight${index}`}>
+                                    <Form.Label className="small fw-semibold">Height</Form.Label>
+                                    <Form.Control type="number" min={0} step="0.01" size="sm" {...register(`bundleItems.${index}.height`)} />
+                                  </Form.Group>
+                                </Col>
+                                <Col xs={6} md={2}>
+                                  <Form.Group controlId={`listingPieceWidth${index}`}>
+                                    <Form.Label className="small fw-semibold">Width</Form.Label>
+                                    <Form.Control type="number" min={0} step="0.01" size="sm" {...register(`bundleItems.${index}.width`)} />
+                                  </Form.Group>
+                                </Col>
+                                <Col xs={6} md={2}>
+                                  <Form.Group controlId={`listingPieceDepth${index}`}>
+                                    <Form.Label className="small fw-semibold">Depth</Form.Label>
+                                    <Form.Control type="number" min={0} step="0.01" size="sm" {...register(`bundleItems.${index}.depth`)} />
+                                  </Form.Group>
+                                </Col>
+                                <Col xs={6} md={2}>
+                                  <Form.Group controlId={`listingPieceUnit${index}`}>
+                                    <Form.Label className="small fw-semibold">Unit</Form.Label>
+                                    <Form.Select size="sm" {...register(`bundleItems.${index}.unit`)}>
+                                      <option value="inches">in</option>
+                                      <option value="cm">cm</option>
+                                      <option value="feet">ft</option>
+                                      <option value="meters">m</option>
+                                    </Form.Select>
+                                  </Form.Group>
+                                </Col>
+                                <Col xs={6} md={2}>
+                                  <Form.Group controlId={`listingPieceWeight${index}`}>
+                                    <Form.Label className="small fw-semibold">Weight</Form.Label>
+                                    <Form.Control type="number" min={0} step="0.01" size="sm" {...register(`bundleItems.${index}.weight`)} />
+                                  </Form.Group>
+                                </Col>
+                                <Col xs={6} md={2}>
+                                  <Form.Group controlId={`listingPieceWeightUnit${index}`}>
+                                    <Form.Label className="small fw-semibold">Weight Unit</Form.Label>
+                                    <Form.Select size="sm" {...register(`bundleItems.${index}.weightUnit`)}>
+                                      <option value="kg">kg</option>
+                                      <option value="lbs">lbs</option>
+                                      <option value="g">g</option>
+                                      <option value="oz">oz</option>
+                                    </Form.Select>
+                                  </Form.Group>
+                                </Col>
+                              </Row>
+                            </Card.Body>
+                          </Card>
+                        ))}
+
+                        {isBundle && (
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="mt-3"
+                            onClick={() => {
+                              appendBundlePiece(EMPTY_BUNDLE_PIECE);
+                              scheduleAutosave();
+                            }}
+                            disabled={bundlePieceFields.length >= MAX_BUNDLE_PIECES}
+                          >
+                            Add Piece
+                          </Button>
+                        )}
+                      </div>
+                    </Col>
+
                     <Col xs={12} className="text-end mt-4">
                       <motion.div 
                         variants={buttonHoverVariants} 
@@ -427,10 +1223,54 @@ const CreateListing = () => {
                       <div className="p-3 rounded mb-3" style={{ backgroundColor: 'var(--background-secondary)' }}>
                         <h5 className="fw-bold mb-3">💰 Pricing</h5>
                         <Row className="g-3">
+                          <Col xs={12}>
+                            <Form.Group controlId="listingType">
+                              <Form.Label className="fw-semibold">Listing Type</Form.Label>
+                              <Form.Select className="py-2" {...register('listingType')}>
+                                <option value="forward">Sell an item (highest bid wins)</option>
+                                <option value="reverse">Procurement request (lowest bid wins)</option>
+                              </Form.Select>
+                              <Form.Text className="text-muted">
+                                Procurement requests start at your maximum budget and suppliers bid the price down
+                              </Form.Text>
+                            </Form.Group>
+                          </Col>
+
+                          {!isReverse && (
+                            <Col xs={12}>
+                              <Form.Group controlId="listingFormat">
+                                <Form.Label className="fw-semibold">Auction Format</Form.Label>
+                                <Form.Select className="py-2" {...register('format')}>
+                                  <option value="english">English (open ascending bids)</option>
+                                  <option value="sealed-first-price">Sealed bid, first price (winner pays their bid)</option>
+                                  <option value="sealed-second-price">Sealed bid, second price (winner pays the runner-up's bid)</option>
+                                </Form.Select>
+                                <Form.Text className="text-muted">
+                                  Sealed bids stay hidden until the auction ends, and each bidder gets one bid
+                                </Form.Text>
+                              </Form.Group>
+                            </Col>
+                          )}
+
+                          <Col xs={12}>
+                            <Form.Group controlId="listingCurrency">
+                              <Form.Label className="fw-semibold">Currency</Form.Label>
+                              <Form.Select className="py-2" {...register('currency')}>
+                                {Object.entries(currencies).length === 0 && <option value="USD">USD</option>}
+                                {Object.entries(currencies).map(([code, { name }]) => (
+                                  <option key={code} value={code}>{code}: {name}</option>
+                                ))}
+                              </Form.Select>
+                              <Form.Text className="text-muted">
+                                Every price, bid and payment on this listing is in this currency
+                              </Form.Text>
+                            </Form.Group>
+                          </Col>
+
                           <Col md={4}>
                             <Form.Group controlId="listingStartingPrice">
                               <Form.Label className="fw-semibold">
-                                Starting Price ($) <span className="text-danger">*</span>
+                                {isReverse ? 'Maximum Budget' : 'Starting Price'} ({currencySymbol}) <span className="text-danger">*</span>
                               </Form.Label>
                               <Form.Control
                                 type="number"
@@ -447,7 +1287,7 @@ const CreateListing = () => {
                           <Col md={4}>
                             <Form.Group controlId="listingBidIncrement">
                               <Form.Label className="fw-semibold">
-                                Bid Increment ($) <span className="text-danger">*</span>
+                                Bid Increment ({currencySymbol}) <span className="text-danger">*</span>
                               </Form.Label>
                               <Form.Control
                                 type="number"
@@ -458,12 +1298,15 @@ const CreateListing = () => {
                                 isInvalid={Boolean(errors.bidIncrement)}
                               />
                               <Form.Control.Feedback type="invalid">{errors.bidIncrement?.message}</Form.Control.Feedback>
+                              {incrementPreset !== 'flat' && (
+                                <Form.Text className="text-muted">Not used while an increment table is selected</Form.Text>
+                              )}
                             </Form.Group>
                           </Col>
 
                           <Col md={4}>
                             <Form.Group controlId="listingReservePrice">
-                              <Form.Label className="fw-semibold">Reserve Price ($)</Form.Label>
+                              <Form.Label className="fw-semibold">Reserve Price ({currencySymbol})</Form.Label>
                               <Form.Control 
                                 type="number" 
                                 min={0} 
@@ -472,9 +1315,200 @@ const CreateListing = () => {
                                 placeholder="Optional"
                                 {...register('reservePrice')} 
                               />
-                              <Form.Text className="text-muted">Minimum acceptable price</Form.Text>
+                              <Form.Text className="text-muted">
+                                {isReverse ? 'Highest price you will award at' : 'Minimum acceptable price'}
+                              </Form.Text>
+                            </Form.Group>
+                          </Col>
+
+                          {!isMultiUnit && !isSealed && !isReverse && (
+                            <Col md={4}>
+                              <Form.Group controlId="listingBuyNowPrice">
+                                <Form.Label className="fw-semibold">Buy It Now Price ({currencySymbol})</Form.Label>
+                                <Form.Control
+                                  type="number"
+                                  min={1}
+                                  step={1}
+                                  className="py-2"
+                                  placeholder="Optional"
+                                  {...register('buyNowPrice', {
+                                    validate: (value, values) => {
+                                      if (!value) return true;
+                                      if (Number(value) < Number(values.startingPrice)) {
+                                        return 'Buy It Now price must be at least the starting price.';
+                                      }
+                                      if (values.reservePrice && Number(value) < Number(values.reservePrice)) {
+                                        return 'Buy It Now price must be at least the reserve price.';
+                                      }
+                                      return true;
+                                    }
+                                  })}
+                                  isInvalid={Boolean(errors.buyNowPrice)}
+                                />
+                                <Form.Control.Feedback type="invalid">{errors.buyNowPrice?.message}</Form.Control.Feedback>
+                                <Form.Text className="text-muted">
+                                  Offered until the first bid, or until the reserve is met
+                                </Form.Text>
+                              </Form.Group>
+                            </Col>
+                          )}
+
+                          {!isReverse && (
+                            <>
+                              <Col md={6}>
+                                <Form.Group controlId="listingApprovalThreshold">
+                                  <Form.Label className="fw-semibold">Approval Threshold ({currencySymbol})</Form.Label>
+                                  <Form.Control
+                                    type="number"
+                                    min={1}
+                                    step={1}
+                                    className="py-2"
+                                    placeholder="Optional"
+                                    {...register('approvalThreshold')}
+                                  />
+                                  <Form.Text className="text-muted">
+                                    Bids at or above this need your approval or a deposit
+                                  </Form.Text>
+                                </Form.Group>
+                              </Col>
+                              <Col md={6}>
+                                <Form.Group controlId="listingApprovalDeposit">
+                                  <Form.Label className="fw-semibold">Bidder Deposit ({currencySymbol})</Form.Label>
+                                  <Form.Control
+                                    type="number"
+                                    min={1}
+                                    step={1}
+                                    className="py-2"
+                                    placeholder="Optional"
+                                    {...register('approvalDeposit', {
+                                      validate: (value, values) => !value || Boolean(values.approvalThreshold)
+                                        || 'Set an approval threshold before a deposit.'
+                                    })}
+                                    isInvalid={Boolean(errors.approvalDeposit)}
+                                  />
+                                  <Form.Control.Feedback type="invalid">{errors.approvalDeposit?.message}</Form.Control.Feedback>
+                                  <Form.Text className="text-muted">
+                                    Lets bidders approve themselves by placing a hold; leave empty to review each one
+                                  </Form.Text>
+                                </Form.Group>
+                              </Col>
+                            </>
+                          )}
+
+                          <Col xs={12}>
+                            <Form.Group controlId="listingIncrementPreset">
+                              <Form.Label className="fw-semibold">Increment Table</Form.Label>
+                              <Form.Select className="py-2" {...register('incrementPreset')}>
+                                <option value="flat">Flat: always step by the bid increment</option>
+                                {Object.entries(incrementPresets).map(([presetKey, preset]) => (
+                                  <option key={presetKey} value={presetKey}>
+                                    {preset.label}: {formatIncrementTiers(preset.tiers, listingCurrency)}
+                                  </option>
+                                ))}
+                                <option value="custom">Custom tiers</option>
+                              </Form.Select>
+                              <Form.Text className="text-muted">Let the increment grow with the price</Form.Text>
                             </Form.Group>
                           </Col>
+
+                          {incrementPreset === 'custom' && (
+                            <Col xs={12}>
+                              {incrementTierFields.map((field, index) => {
+                                const isLastTier = index === incrementTierFields.length - 1;
+                                return (
+                                  <Row key={field.id} className="g-2 align-items-end mb-2">
+                                    <Col xs={5}>
+                                      <Form.Label className="small fw-semibold">Price below ({currencySymbol})</Form.Label>
+                                      {isLastTier ? (
+                                        <Form.Control className="py-2" value="and above" disabled readOnly />
+                                      ) : (
+                                        <Form.Control
+                                          type="number"
+                                          min={1}
+                                          step={1}
+                                          className="py-2"
+                                          {...register(`incrementTiers.${index}.upTo`, { required: 'Enter the upper bound for this tier.' })}
+                                          isInvalid={Boolean(errors.incrementTiers?.[index]?.upTo)}
+                                        />
+                                      )}
+                                    </Col>
+                                    <Col xs={5}>
+                                      <Form.Label className="small fw-semibold">Increment ({currencySymbol})</Form.Label>
+                                      <Form.Control
+                                        type="number"
+                                        min={1}
+                                        step={1}
+                                        className="py-2"
+                                        {...register(`incrementTiers.${index}.increment`, {
+                                          required: 'Enter an increment.',
+                                          min: { value: 1, message: 'Increments must be at least $1.' }
+                                        })}
+                                        isInvalid={Boolean(errors.incrementTiers?.[index]?.increment)}
+                                      />
+                                    </Col>
+                                    <Col xs={2}>
+                                      <Button
+                                        variant="outline-danger"
+                                        className="w-100"
+                                        onClick={() => removeIncrementTier(index)}
+                                        disabled={incrementTierFields.length <= 1}
+                                      >
+                                        Remove
+                                      </Button>
+                                    </Col>
+                                  </Row>
+                                );
+                              })}
+                              <Button
+                                variant="outline-secondary"
+                                size="sm"
+                                onClick={() => appendIncrementTier({ upTo: '', increment: '' })}
+                              >
+                                Add Tier
+                              </Button>
+                              <Form.Text className="d-block text-muted">
+                                List tiers from lowest to highest price; the last tier covers everything above
+                              </Form.Text>
+                            </Col>
+                          )}
+
+                          {!isSealed && !isReverse && !isBundle && (
+                            <Col md={6}>
+                              <Form.Group controlId="listingIsMultiUnit">
+                                <Form.Check
+                                  type="switch"
+                                  label="Multi-unit auction (sell several identical units)"
+                                  className="fw-semibold"
+                                  {...register('isMultiUnit')}
+                                />
+                                <Form.Text className="text-muted">
+                                  The highest bids win the available units and all winners pay the lowest winning bid
+                                </Form.Text>
+                              </Form.Group>
+                            </Col>
+                          )}
+
+                          {isMultiUnit && (
+                            <Col md={6}>
+                              <Form.Group controlId="listingTotalQuantity">
+                                <Form.Label className="fw-semibold">
+                                  Number of Units <span className="text-danger">*</span>
+                                </Form.Label>
+                                <Form.Control
+                                  type="number"
+                                  min={2}
+                                  step={1}
+                                  className="py-2"
+                                  {...register('totalQuantity', {
+                                    required: 'Number of units is required.',
+                                    min: { value: 2, message: 'A multi-unit auction needs at least 2 units.' }
+                                  })}
+                                  isInvalid={Boolean(errors.totalQuantity)}
+                                />
+                                <Form.Control.Feedback type="invalid">{errors.totalQuantity?.message}</Form.Control.Feedback>
+                              </Form.Group>
+                            </Col>
+                          )}
                         </Row>
                       </div>
                     </Col>
@@ -531,6 +1565,157 @@ const CreateListing = () => {
                               <Form.Text className="text-muted">When should the auction end?</Form.Text>
                             </Form.Group>
                           </Col>
+
+                          <Col md={6}>
+                            <Form.Group controlId="listingSoftCloseWindow">
+                              <Form.Label className="fw-semibold">Anti-Sniping Window (minutes)</Form.Label>
+                              <Form.Control
+                                type="number"
+                                min={0}
+                                max={60}
+                                step={1}
+                                className="py-2"
+                                {...register('softCloseWindowMinutes')}
+                              />
+                              <Form.Text className="text-muted">
+                                Bids in the final minutes extend the auction by this much. Use 0 to disable.
+                              </Form.Text>
+                            </Form.Group>
+                          </Col>
+                        </Row>
+                      </div>
+                    </Col>
+
+                    {/* Shipping */}
+                    <Col xs={12}>
+                      <div className="p-3 rounded mb-3" style={{ backgroundColor: 'var(--background-secondary)' }}>
+                        <h5 className="fw-bold mb-3">📦 Shipping</h5>
+                        <Row className="g-3">
+                          <Col md={4}>
+                            <Form.Group controlId="listingShippingMethod">
+                              <Form.Label className="fw-semibold">Delivery</Form.Label>
+                              <Form.Select className="py-2" {...register('shippingMethod')}>
+                                <option value="pickup">Local pickup only</option>
+                                <option value="flat">Flat-rate shipping</option>
+                                <option value="calculated">Calculated by weight and distance</option>
+                              </Form.Select>
+                              {shippingMethod === 'calculated' && (
+                                <Form.Text className="text-muted">
+                                  Each buyer is quoted from the site rate table using the weight and dimensions below.
+                                </Form.Text>
+                              )}
+                            </Form.Group>
+                          </Col>
+
+                          {shippingMethod === 'flat' && (
+                            <Col md={4}>
+                              <Form.Group controlId="listingShippingFlatRate">
+                                <Form.Label className="fw-semibold">Shipping Rate ({currencySymbol})</Form.Label>
+                                <Form.Control
+                                  type="number"
+                                  min={0}
+                                  step="0.01"
+                                  className="py-2"
+                                  {...register('shippingFlatRate', {
+                                    required: 'Enter the flat shipping rate.',
+                                    min: { value: 0, message: 'Shipping rate cannot be negative.' }
+                                  })}
+                                  isInvalid={Boolean(errors.shippingFlatRate)}
+                                />
+                                <Form.Control.Feedback type="invalid">{errors.shippingFlatRate?.message}</Form.Control.Feedback>
+                              </Form.Group>
+                            </Col>
+                          )}
+
+                          <Col md={4}>
+                            <Form.Group controlId="listingShippingHandlingDays">
+                              <Form.Label className="fw-semibold">Handling Time (days)</Form.Label>
+                              <Form.Control
+                                type="number"
+                                min={0}
+                                max={30}
+                                step={1}
+                                className="py-2"
+                                {...register('shippingHandlingDays', {
+                                  min: { value: 0, message: 'Handling time cannot be negative.' },
+                                  max: { value: 30, message: 'Handling time cannot exceed 30 days.' }
+                                })}
+                                isInvalid={Boolean(errors.shippingHandlingDays)}
+                              />
+                              <Form.Control.Feedback type="invalid">{errors.shippingHandlingDays?.message}</Form.Control.Feedback>
+                              <Form.Text className="text-muted">Days to ship or have the item ready after payment.</Form.Text>
+                            </Form.Group>
+                          </Col>
+                        </Row>
+                      </div>
+                    </Col>
+
+                    {/* Relist Rules */}
+                    <Col xs={12}>
+                      <div className="p-3 rounded mb-3" style={{ backgroundColor: 'var(--background-secondary)' }}>
+                        <h5 className="fw-bold mb-3">🔁 Automatic Relisting (Optional)</h5>
+                        <Row className="g-3">
+                          <Col md={4}>
+                            <Form.Group controlId="listingRelistMax">
+                              <Form.Label className="fw-semibold">Relist Up To</Form.Label>
+                              <Form.Select className="py-2" {...register('relistMaxRelists')}>
+                                <option value={0}>Don't relist</option>
+                                {[1, 2, 3, 5, 10].map((count) => (
+                                  <option key={count} value={count}>{count} {count === 1 ? 'time' : 'times'}</option>
+                                ))}
+                              </Form.Select>
+                              <Form.Text className="text-muted">
+                                Relist automatically if the auction ends with no bids or below the reserve.
+                              </Form.Text>
+                            </Form.Group>
+                          </Col>
+
+                          {Number(watch('relistMaxRelists')) > 0 && (
+                            <>
+                              {!isReverse && (
+                                <Col md={4}>
+                                  <Form.Group controlId="listingRelistReduction">
+                                    <Form.Label className="fw-semibold">Lower Starting Price By (%)</Form.Label>
+                                    <Form.Control
+                                      type="number"
+                                      min={0}
+                                      max={90}
+                                      step={1}
+                                      className="py-2"
+                                      {...register('relistPriceReductionPercent', {
+                                        min: { value: 0, message: 'Reduction cannot be negative.' },
+                                        max: { value: 90, message: 'Reduction cannot exceed 90%.' }
+                                      })}
+                                      isInvalid={Boolean(errors.relistPriceReductionPercent)}
+                                    />
+                                    <Form.Control.Feedback type="invalid">{errors.relistPriceReductionPercent?.message}</Form.Control.Feedback>
+                                    <Form.Text className="text-muted">Applied on every relist. Use 0 to keep the price.</Form.Text>
+                                  </Form.Group>
+                                </Col>
+                              )}
+
+                              <Col md={4}>
+                                <Form.Group controlId="listingRelistDuration">
+                                  <Form.Label className="fw-semibold">Relist Duration (hours)</Form.Label>
+                                  <Form.Control
+                                    type="number"
+                                    min={1}
+                                    max={720}
+                                    step={1}
+                                    className="py-2"
+                                    placeholder="Same as this listing"
+                                    {...register('relistDurationHours', {
+                                      min: { value: 1, message: 'Duration must be at least 1 hour.' },
+                                      max: { value: 720, message: 'Duration cannot exceed 30 days.' }
+                                    })}
+                                    isInvalid={Boolean(errors.relistDurationHours)}
+                                  />
+                                  <Form.Control.Feedback type="invalid">{errors.relistDurationHours?.message}</Form.Control.Feedback>
+                                  <Form.Text className="text-muted">Leave empty to reuse this listing's duration.</Form.Text>
+                                </Form.Group>
+                              </Col>
+                            </>
+                          )}
                         </Row>
                       </div>
                     </Col>
@@ -615,8 +1800,15 @@ const CreateListing = () => {
                                 step="0.01" 
                                 className="py-2"
                                 placeholder="0"
-                                {...register('dimensionsWeight')} 
+                                {...register('dimensionsWeight', {
+                                  validate: (value, values) => values.shippingMethod !== 'calculated'
+                                    || Number(value) > 0
+                                    || (values.isBundle && values.bundleItems?.every((piece) => Number(piece.weight) > 0))
+                                    || 'Calculated shipping needs the item\'s weight.'
+                                })}
+                                isInvalid={Boolean(errors.dimensionsWeight)}
                               />
+                              <Form.Control.Feedback type="invalid">{errors.dimensionsWeight?.message}</Form.Control.Feedback>
                             </Form.Group>
                           </Col>
                         </Row>
@@ -659,7 +1851,7 @@ const CreateListing = () => {
                             </>
                           ) : (
                             <>
-                              <FaCheckCircle className="me-2" /> Create Listing
+                              <FaCheckCircle className="me-2" /> {draftId ? 'Publish Listing' : 'Create Listing'}
                             </>
                           )}
                         </Button>
@@ -157,7 +157,7 @@ const DashboardPage = () => {
                         <div className="small" style={{ color: 'var(--text-muted)' }}>Ends {formatDateTime(item.endTime)}</div>
                       </div>
                       <div className="text-end">
-                        <div>{formatCurrency(item.currentPrice)}</div>
+                        <div>{formatCurrency(item.currentPrice, item.currency)}</div>
                         <div className="small" style={{ color: 'var(--text-muted)' }}>{item.totalBids} bids</div>
                       </div>
                     </ListGroup.Item>
@@ -190,7 +190,7 @@ const DashboardPage = () => {
                       <div className="small" style={{ color: 'var(--text-muted)' }}>Status: {item.status}</div>
                     </div>
                     <div className="text-end">
-                      <div>{formatCurrency(item.currentPrice)}</div>
+                      <div>{formatCurrency(item.currentPrice, item.currency)}</div>
                       <div className="small" style={{ color: 'var(--text-muted)' }}>{item.totalBids} bids</div>
                     </div>
                   </ListGroup.Item>
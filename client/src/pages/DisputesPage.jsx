@@ -0,0 +1,339 @@
+/**
+ * @file DisputesPage.jsx
+ * @description Lists the disputes the user opened as a buyer or received as a seller. Sellers
+ * respond here with their side and photos; admins switch to the review queue to resolve disputes
+ * with a refund, a partial refund or a rejection.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Badge, Alert, Button, ButtonGroup, Modal, Form } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import { FaBalanceScale } from 'react-icons/fa';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import { useAuthContext } from '../hooks/useAuth.js';
+import { formatCurrency, formatDateTime, getCurrencySymbol } from '../utils/formatters.js';
+
+const DISPUTE_REASON_LABELS = {
+  damaged: 'Arrived damaged',
+  'not-as-described': 'Not as described',
+  'not-received': 'Not received',
+  'authenticity-challenged': 'Authenticity challenged',
+  other: 'Other'
+};
+
+const DISPUTE_STATUS_BADGES = {
+  open: { bg: 'warning', text: 'dark', label: 'Awaiting seller' },
+  responded: { bg: 'info', text: 'dark', label: 'Under review' },
+  resolved: { bg: 'secondary', label: 'Resolved' }
+};
+
+const RESOLUTION_LABELS = {
+  refund: 'Refunded in full',
+  'partial-refund': 'Partially refunded',
+  rejected: 'Rejected'
+};
+
+const EMPTY_RESOLUTION_FORM = { outcome: 'refund', refundAmount: '', note: '' };
+
+/**
+ * @component EvidenceImages
+ * @param {{ images?: Array<string> }} props - Photo URLs.
+ * @returns {JSX.Element|null}
+ */
+const EvidenceImages = ({ images }) => {
+  if (!images?.length) {
+    return null;
+  }
+  return (
+    <div className="d-flex gap-2 flex-wrap mt-2">
+      {images.map((url) => (
+        <a key={url} href={url} target="_blank" rel="noreferrer">
+          <img src={url} alt="Evidence" className="rounded border" style={{ width: '72px', height: '72px', objectFit: 'cover' }} />
+        </a>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * @component DisputesPage
+ * @returns {JSX.Element}
+ */
+const DisputesPage = () => {
+  const { authUser } = useAuthContext();
+  const isAdmin = authUser?.role === 'admin';
+  const [view, setView] = useState('mine');
+  const [disputes, setDisputes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [respondingDispute, setRespondingDispute] = useState(null);
+  const [responseForm, setResponseForm] = useState({ message: '', evidence: [] });
+  const [resolvingDispute, setResolvingDispute] = useState(null);
+  const [resolutionForm, setResolutionForm] = useState(EMPTY_RESOLUTION_FORM);
+
+  useEffect(() => {
+    const fetchDisputes = async () => {
+      try {
+        setIsLoading(true);
+        const response = await api.get(view === 'queue' ? '/disputes/queue' : '/disputes');
+        setDisputes(response.data.disputes);
+      } catch (error) {
+        toast.error('Failed to load disputes.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchDisputes();
+  }, [view]);
+
+  const replaceDispute = (updatedDispute) => {
+    // Keep the populated item and parties from the list response
+    setDisputes((previousDisputes) => previousDisputes.map((dispute) => (
+      dispute._id === updatedDispute._id
+        ? { ...dispute, ...updatedDispute, itemId: dispute.itemId, buyerId: dispute.buyerId, sellerId: dispute.sellerId, orderId: dispute.orderId }
+        : dispute
+    )));
+  };
+
+  const handleResponseSubmit = async (event) => {
+    event.preventDefault();
+    const payload = new FormData();
+    payload.append('message', responseForm.message);
+    responseForm.evidence.forEach((file) => payload.append('evidence', file));
+
+    setIsSubmitting(true);
+    try {
+      const response = await api.post(`/disputes/${respondingDispute._id}/respond`, payload, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      replaceDispute(response.data.dispute);
+      toast.success(response.data.message);
+      setRespondingDispute(null);
+      setResponseForm({ message: '', evidence: [] });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit response.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleResolutionSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await api.post(`/disputes/${resolvingDispute._id}/resolve`, resolutionForm);
+      setDisputes((previousDisputes) => previousDisputes.filter((dispute) => dispute._id !== resolvingDispute._id));
+      toast.success(response.data.message);
+      setResolvingDispute(null);
+      setResolutionForm(EMPTY_RESOLUTION_FORM);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resolve dispute.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderActions = (dispute) => {
+    if (view === 'queue') {
+      return (
+        <Button size="sm" variant="primary" onClick={() => setResolvingDispute(dispute)}>
+          Resolve
+        </Button>
+      );
+    }
+    if (dispute.status === 'open' && dispute.sellerId?._id === authUser?._id) {
+      return (
+        <Button size="sm" variant="primary" onClick={() => setRespondingDispute(dispute)}>
+          Respond
+        </Button>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4 flex-wrap gap-3">
+        <div>
+          <h1 className="display-6 fw-bold mb-2">
+            <FaBalanceScale className="me-2 text-primary" />
+            {view === 'queue' ? 'Dispute Review Queue' : 'Disputes'}
+          </h1>
+          <p className="lead mb-0" style={{ color: 'var(--text-secondary)' }}>
+            {view === 'queue'
+              ? 'Unresolved disputes, oldest first.'
+              : <>Problems reported on won items. Report a new one from your <Link to="/orders">orders</Link>.</>}
+          </p>
+        </div>
+        {isAdmin && (
+          <ButtonGroup>
+            <Button variant={view === 'mine' ? 'primary' : 'outline-primary'} onClick={() => setView('mine')}>
+              Mine
+            </Button>
+            <Button variant={view === 'queue' ? 'primary' : 'outline-primary'} onClick={() => setView('queue')}>
+              Review Queue
+            </Button>
+          </ButtonGroup>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '40vh' }}>
+          <LoadingSpinner />
+        </div>
+      ) : disputes.length === 0 ? (
+        <Alert variant="info" className="text-center py-5">
+          <FaBalanceScale size={48} className="mb-3 text-muted" />
+          <h4>{view === 'queue' ? 'Nothing to review' : 'No disputes'}</h4>
+        </Alert>
+      ) : (
+        disputes.map((dispute) => {
+          const statusBadge = DISPUTE_STATUS_BADGES[dispute.status];
+          return (
+            <Card key={dispute._id} className="border-0 shadow-sm mb-3">
+              <Card.Body>
+                <div className="d-flex justify-content-between align-items-start gap-3 flex-wrap">
+                  <div>
+                    <Link to={`/items/${dispute.itemId?._id}`} className="fw-semibold fs-5">{dispute.itemId?.title || 'Removed item'}</Link>
+                    <div className="small text-muted">
+                      {dispute.buyerId?.username} vs. {dispute.sellerId?.username} · {DISPUTE_REASON_LABELS[dispute.reason]}
+                      {view === 'queue' && dispute.orderId && (
+                        <> · Order total {formatCurrency(dispute.orderId.total, dispute.orderId.currency)}, seller proceeds {formatCurrency(dispute.orderId.sellerProceeds, dispute.orderId.currency)}</>
+                      )}
+                    </div>
+                  </div>
+                  <div className="d-flex align-items-center gap-2">
+                    <Badge bg={statusBadge.bg} text={statusBadge.text}>{statusBadge.label}</Badge>
+                    {renderActions(dispute)}
+                  </div>
+                </div>
+
+                <div className="mt-3">
+                  <div className="small fw-semibold">Buyer · {formatDateTime(dispute.openedAt)}</div>
+                  <div>{dispute.description}</div>
+                  <EvidenceImages images={dispute.evidenceImages} />
+                </div>
+
+                {dispute.sellerResponse?.respondedAt && (
+                  <div className="mt-3">
+                    <div className="small fw-semibold">Seller · {formatDateTime(dispute.sellerResponse.respondedAt)}</div>
+                    <div>{dispute.sellerResponse.message}</div>
+                    <EvidenceImages images={dispute.sellerResponse.images} />
+                  </div>
+                )}
+
+                {dispute.resolution?.resolvedAt && (
+                  <Alert variant="light" className="mt-3 mb-0 border">
+                    <div className="small fw-semibold">Decision · {formatDateTime(dispute.resolution.resolvedAt)}</div>
+                    <div>
+                      {RESOLUTION_LABELS[dispute.resolution.outcome]}
+                      {dispute.resolution.refundAmount > 0 && `: ${formatCurrency(dispute.resolution.refundAmount, dispute.orderId?.currency)}`}
+                    </div>
+                    {dispute.resolution.note && <div className="text-muted">{dispute.resolution.note}</div>}
+                  </Alert>
+                )}
+              </Card.Body>
+            </Card>
+          );
+        })
+      )}
+
+      <Modal show={Boolean(respondingDispute)} onHide={() => setRespondingDispute(null)} centered>
+        <Form onSubmit={handleResponseSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title className="fw-bold">Respond to Dispute</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Form.Group controlId="disputeResponseMessage" className="mb-3">
+              <Form.Label className="fw-semibold">Your response</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={4}
+                value={responseForm.message}
+                onChange={(event) => setResponseForm((previous) => ({ ...previous, message: event.target.value }))}
+                maxLength={2000}
+                required
+              />
+            </Form.Group>
+            <Form.Group controlId="disputeResponseEvidence">
+              <Form.Label className="fw-semibold">Photos (up to 5)</Form.Label>
+              <Form.Control
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={(event) => setResponseForm((previous) => ({ ...previous, evidence: Array.from(event.target.files).slice(0, 5) }))}
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setRespondingDispute(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={isSubmitting}>
+              Submit Response
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      <Modal show={Boolean(resolvingDispute)} onHide={() => setResolvingDispute(null)} centered>
+        <Form onSubmit={handleResolutionSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title className="fw-bold">Resolve Dispute</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Form.Group controlId="disputeOutcome" className="mb-3">
+              <Form.Label className="fw-semibold">Outcome</Form.Label>
+              <Form.Select
+                value={resolutionForm.outcome}
+                onChange={(event) => setResolutionForm((previous) => ({ ...previous, outcome: event.target.value }))}
+              >
+                <option value="refund">Full refund ({formatCurrency(resolvingDispute?.orderId?.total, resolvingDispute?.orderId?.currency)})</option>
+                <option value="partial-refund">Partial refund</option>
+                <option value="rejected">Reject</option>
+              </Form.Select>
+            </Form.Group>
+            {resolutionForm.outcome === 'partial-refund' && (
+              <Form.Group controlId="disputeRefundAmount" className="mb-3">
+                <Form.Label className="fw-semibold">Refund amount ({getCurrencySymbol(resolvingDispute?.orderId?.currency)})</Form.Label>
+                <Form.Control
+                  type="number"
+                  min={0.01}
+                  max={resolvingDispute?.orderId?.sellerProceeds}
+                  step="0.01"
+                  value={resolutionForm.refundAmount}
+                  onChange={(event) => setResolutionForm((previous) => ({ ...previous, refundAmount: event.target.value }))}
+                  required
+                />
+                <Form.Text className="text-muted">Taken from the seller's proceeds, up to {formatCurrency(resolvingDispute?.orderId?.sellerProceeds, resolvingDispute?.orderId?.currency)}.</Form.Text>
+              </Form.Group>
+            )}
+            <Form.Group controlId="disputeResolutionNote">
+              <Form.Label className="fw-semibold">Note to both parties</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                value={resolutionForm.note}
+                onChange={(event) => setResolutionForm((previous) => ({ ...previous, note: event.target.value }))}
+                maxLength={1000}
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setResolvingDispute(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={isSubmitting}>
+              Resolve
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default DisputesPage;
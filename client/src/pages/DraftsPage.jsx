@@ -0,0 +1,139 @@
+/**
+ * @file DraftsPage.jsx
+ * @description Lists the seller's unpublished listing drafts so they can be resumed in the listing
+ * form or discarded.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Badge, Alert, Button } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import { FaFileAlt } from 'react-icons/fa';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import { formatCurrency, formatRelativeTime } from '../utils/formatters.js';
+
+/**
+ * @component DraftsPage
+ * @returns {JSX.Element}
+ */
+const DraftsPage = () => {
+  const [drafts, setDrafts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [deletingDraftId, setDeletingDraftId] = useState(null);
+
+  useEffect(() => {
+    fetchDrafts();
+  }, []);
+
+  const fetchDrafts = async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.get('/items/drafts');
+      setDrafts(response.data.drafts);
+    } catch (error) {
+      toast.error('Failed to load drafts.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (draft) => {
+    setDeletingDraftId(draft._id);
+    try {
+      await api.delete(`/items/${draft._id}`);
+      setDrafts((previousDrafts) => previousDrafts.filter((entry) => entry._id !== draft._id));
+      toast.success('Draft deleted.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete draft.');
+    } finally {
+      setDeletingDraftId(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '60vh' }}>
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-5">
+        <div>
+          <h1 className="display-6 fw-bold mb-2">
+            <FaFileAlt className="me-2 text-primary" />
+            My Drafts
+          </h1>
+          <p className="lead" style={{ color: 'var(--text-secondary)' }}>
+            Listings you have started but not published. Drafts are only visible to you and cannot receive bids.
+          </p>
+        </div>
+        <Badge bg="primary" className="fs-6 px-3 py-2">
+          {drafts.length} {drafts.length === 1 ? 'Draft' : 'Drafts'}
+        </Badge>
+      </div>
+
+      {drafts.length === 0 ? (
+        <Alert variant="info" className="text-center py-5">
+          <FaFileAlt size={48} className="mb-3 text-muted" />
+          <h4>No drafts</h4>
+          <p className="mb-0">Listings you start in <Link to="/create-listing">Create Listing</Link> are saved here automatically until you publish them.</p>
+        </Alert>
+      ) : (
+        <Card className="border-0 shadow-sm">
+          <Card.Body>
+            <Table responsive hover className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Listing</th>
+                  <th>Category</th>
+                  <th>Starting Price</th>
+                  <th>Last Saved</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {drafts.map((draft) => (
+                  <tr key={draft._id}>
+                    <td>
+                      <div className="d-flex align-items-center gap-3">
+                        <img
+                          src={draft.images[0]}
+                          alt={draft.title}
+                          className="rounded border"
+                          style={{ width: '56px', height: '56px', objectFit: 'cover' }}
+                        />
+                        <span className="fw-semibold">{draft.title}</span>
+                      </div>
+                    </td>
+                    <td>{draft.category}</td>
+                    <td>{formatCurrency(draft.startingPrice, draft.currency)}</td>
+                    <td className="small text-muted">{formatRelativeTime(draft.updatedAt)}</td>
+                    <td className="text-nowrap">
+                      <Button as={Link} to={`/create-listing?draft=${draft._id}`} size="sm" variant="primary" className="me-2">
+                        Resume
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline-danger"
+                        onClick={() => handleDelete(draft)}
+                        disabled={deletingDraftId === draft._id}
+                      >
+                        Delete
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default DraftsPage;
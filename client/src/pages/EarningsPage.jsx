@@ -0,0 +1,159 @@
+/**
+ * @file EarningsPage.jsx
+ * @description Shows a seller's earnings: proceeds held in escrow until buyers confirm receipt,
+ * proceeds released and waiting for the next payout, and the payouts already sent.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Badge, Alert, Row, Col } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import { FaWallet } from 'react-icons/fa';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import { formatCurrency, formatDateTime } from '../utils/formatters.js';
+
+const BALANCE_CARDS = [
+  { key: 'pending', label: 'Pending', hint: 'Held in escrow until the buyer confirms receipt or the inspection period ends.' },
+  { key: 'released', label: 'Released', hint: 'Included in the next payout.' },
+  { key: 'paidOut', label: 'Paid Out', hint: 'Sent to you so far.' }
+];
+
+/**
+ * @component EarningsPage
+ * @returns {JSX.Element}
+ */
+const EarningsPage = () => {
+  const [earnings, setEarnings] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchEarnings = async () => {
+      try {
+        const response = await api.get('/payouts/earnings');
+        setEarnings(response.data);
+      } catch (error) {
+        toast.error('Failed to load earnings.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchEarnings();
+  }, []);
+
+  if (isLoading) {
+    return (
+      <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '40vh' }}>
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!earnings) {
+    return <Alert variant="danger">Earnings are unavailable right now.</Alert>;
+  }
+
+  return (
+    <div>
+      <div className="mb-4">
+        <h1 className="display-6 fw-bold mb-2">
+          <FaWallet className="me-2 text-primary" />
+          Earnings
+        </h1>
+        <p className="lead mb-0" style={{ color: 'var(--text-secondary)' }}>
+          Your proceeds after commission. Released balances are paid out on a schedule; the next payout runs {formatDateTime(earnings.nextPayoutAt)}.
+          {' '}Balances are in US dollars, with sales in other currencies converted at the rate on the day the buyer paid.
+        </p>
+      </div>
+
+      <Row className="g-3 mb-4">
+        {BALANCE_CARDS.map(({ key, label, hint }) => (
+          <Col md={4} key={key}>
+            <Card className="border-0 shadow-sm h-100">
+              <Card.Body>
+                <div className="text-muted small fw-semibold text-uppercase">{label}</div>
+                <div className="fs-3 fw-bold">{formatCurrency(earnings.balances[key])}</div>
+                <div className="text-muted small">{hint}</div>
+              </Card.Body>
+            </Card>
+          </Col>
+        ))}
+      </Row>
+
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Body>
+          <h5 className="fw-bold mb-3">Held in Escrow</h5>
+          {earnings.heldOrders.length === 0 ? (
+            <p className="text-muted mb-0">No proceeds are held right now.</p>
+          ) : (
+            <Table responsive hover className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Proceeds</th>
+                  <th>Paid</th>
+                  <th>Releases</th>
+                </tr>
+              </thead>
+              <tbody>
+                {earnings.heldOrders.map((order) => (
+                  <tr key={order._id}>
+                    <td>
+                      {order.itemId
+                        ? <Link to={`/items/${order.itemId._id}`} className="fw-semibold text-decoration-none">{order.itemId.title}</Link>
+                        : 'Item removed'}
+                    </td>
+                    <td>{formatCurrency(order.sellerProceeds, order.currency)}</td>
+                    <td>{formatDateTime(order.escrow.heldAt)}</td>
+                    <td>
+                      {order.escrow.releaseAt
+                        ? `On receipt, or ${formatDateTime(order.escrow.releaseAt)}`
+                        : 'After you ship and the buyer confirms receipt'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card className="border-0 shadow-sm">
+        <Card.Body>
+          <h5 className="fw-bold mb-3">Payouts</h5>
+          {earnings.payouts.length === 0 ? (
+            <p className="text-muted mb-0">No payouts yet.</p>
+          ) : (
+            <Table responsive hover className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Amount</th>
+                  <th>Status</th>
+                  <th>Reference</th>
+                </tr>
+              </thead>
+              <tbody>
+                {earnings.payouts.map((payout) => (
+                  <tr key={payout._id}>
+                    <td>{formatDateTime(payout.createdAt)}</td>
+                    <td>{formatCurrency(payout.amount)}</td>
+                    <td>
+                      {payout.status === 'paid'
+                        ? <Badge bg="success">Paid</Badge>
+                        : <Badge bg="danger" title={payout.failureReason}>Failed, retried next payout</Badge>}
+                    </td>
+                    <td className="text-muted small">{payout.reference || payout.failureReason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default EarningsPage;
@@ -0,0 +1,187 @@
+/**
+ * @file EventCatalogPage.jsx
+ * @description Catalog for a single auction event. Lists the lots in order with live prices and
+ * closing status driven by the existing auction socket events.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Card, Table, Badge, Alert } from 'react-bootstrap';
+import { useSocket } from '../context/SocketContext.jsx';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import CountdownTimer from '../components/CountdownTimer.jsx';
+import { formatCurrency, formatDateTime } from '../utils/formatters.js';
+
+/**
+ * @function getLotStatus
+ * @description Maps a lot to the status badge shown in the catalog.
+ * @param {Record<string, any>} lot - Lot item.
+ * @returns {{ label: string, variant: string }}
+ */
+const getLotStatus = (lot) => {
+  if (lot.status === 'ended' || lot.isAuctionOver) {
+    return lot.winnerId ? { label: 'Sold', variant: 'success' } : { label: 'Unsold', variant: 'secondary' };
+  }
+  if (lot.status === 'upcoming') {
+    return { label: 'Upcoming', variant: 'primary' };
+  }
+  return { label: 'Live', variant: 'danger' };
+};
+
+/**
+ * @component EventCatalogPage
+ * @returns {JSX.Element}
+ */
+const EventCatalogPage = () => {
+  const { eventId } = useParams();
+  const { socket, isConnected } = useSocket();
+  const [auctionEvent, setAuctionEvent] = useState(null);
+  const [lots, setLots] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    api.get(`/events/${eventId}`)
+      .then((response) => {
+        setAuctionEvent(response.data.event);
+        setLots(response.data.lots);
+      })
+      .catch((error) => setErrorMessage(error.response?.data?.message || 'Unable to load this catalog.'))
+      .finally(() => setIsLoading(false));
+  }, [eventId]);
+
+  // Live lot updates from the global auction broadcasts
+  useEffect(() => {
+    if (!socket || !isConnected) {
+      return;
+    }
+
+    const updateLot = (itemId, changes) => {
+      setLots((previousLots) =>
+        previousLots.map((lot) => (lot._id === itemId ? { ...lot, ...changes } : lot))
+      );
+    };
+
+    const handleBidUpdate = (payload) => {
+      updateLot(payload.itemId, { currentPrice: payload.newPrice, totalBids: payload.totalBids });
+    };
+
+    const handleAuctionStarted = (payload) => {
+      updateLot(payload.itemId, { status: 'active' });
+    };
+
+    const handleAuctionExtended = (payload) => {
+      updateLot(payload.itemId, { endTime: payload.endTime });
+    };
+
+    const handleAuctionEnded = (payload) => {
+      updateLot(payload.itemId, {
+        status: 'ended',
+        isAuctionOver: true,
+        winnerId: payload.winnerId,
+        currentPrice: payload.finalPrice
+      });
+    };
+
+    const handleEventEnded = (payload) => {
+      if (payload.eventId === eventId) {
+        setAuctionEvent((previous) => (previous ? { ...previous, status: 'ended' } : previous));
+      }
+    };
+
+    socket.on('new-bid-placed', handleBidUpdate);
+    socket.on('auction-started', handleAuctionStarted);
+    socket.on('auction-extended', handleAuctionExtended);
+    socket.on('auction-ended', handleAuctionEnded);
+    socket.on('auction-event-ended', handleEventEnded);
+
+    return () => {
+      socket.off('new-bid-placed', handleBidUpdate);
+      socket.off('auction-started', handleAuctionStarted);
+      socket.off('auction-extended', handleAuctionExtended);
+      socket.off('auction-ended', handleAuctionEnded);
+      socket.off('auction-event-ended', handleEventEnded);
+    };
+  }, [socket, isConnected, eventId]);
+
+  if (isLoading) {
+    return (
+      <div className="d-flex justify-content-center py-5">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (errorMessage || !auctionEvent) {
+    return <Alert variant="danger">{errorMessage || 'Auction event not found.'}</Alert>;
+  }
+
+  return (
+    <div>
+      <div className="mb-4">
+        <div className="d-flex align-items-center gap-3 mb-2">
+          <h1 className="display-6 fw-bold mb-0">{auctionEvent.title}</h1>
+          {auctionEvent.status === 'ended' && <Badge bg="dark" className="px-3 py-2">Closed</Badge>}
+        </div>
+        {auctionEvent.description && (
+          <p className="lead" style={{ color: 'var(--text-secondary)' }}>{auctionEvent.description}</p>
+        )}
+        <div className="text-muted small">
+          Organized by {auctionEvent.organizerId?.username || 'Unknown'} · Bidding opens {formatDateTime(auctionEvent.startTime)} ·
+          Lots close one every {auctionEvent.lotStaggerSeconds} seconds from {formatDateTime(auctionEvent.firstLotEndTime)}
+        </div>
+      </div>
+
+      <Card className="border-0 shadow-sm">
+        <Card.Body className="p-0">
+          <Table hover responsive className="mb-0 align-middle">
+            <thead>
+              <tr>
+                <th className="ps-3">Lot</th>
+                <th>Item</th>
+                <th className="text-end">Current Bid</th>
+                <th className="text-end">Bids</th>
+                <th>Status</th>
+                <th>Closes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lots.map((lot) => {
+                const lotStatus = getLotStatus(lot);
+                return (
+                  <tr key={lot._id}>
+                    <td className="ps-3 fw-bold">{lot.lotNumber}</td>
+                    <td>
+                      <Link to={`/items/${lot._id}`} className="d-flex align-items-center gap-2 text-decoration-none">
+                        <img src={lot.images?.[0]} alt={lot.title} width={48} height={48} className="rounded" style={{ objectFit: 'cover' }} />
+                        <span className="fw-semibold">{lot.title}</span>
+                      </Link>
+                    </td>
+                    <td className="text-end fw-bold">{formatCurrency(lot.currentPrice, lot.currency)}</td>
+                    <td className="text-end">{lot.totalBids}</td>
+                    <td>
+                      <Badge bg={lotStatus.variant}>{lotStatus.label}</Badge>
+                    </td>
+                    <td>
+                      {lot.status === 'ended' || lot.isAuctionOver
+                        ? <span className="text-muted small">{formatDateTime(lot.endTime)}</span>
+                        : <CountdownTimer endTime={lot.endTime} itemId={lot._id} expiredLabel="Closing…" />}
+                    </td>
+                  </tr>
+                );
+              })}
+              {!lots.length && (
+                <tr>
+                  <td colSpan={6} className="text-center text-muted py-4">No lots have been added to this event yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default EventCatalogPage;
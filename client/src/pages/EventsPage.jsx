@@ -0,0 +1,87 @@
+/**
+ * @file EventsPage.jsx
+ * @description Lists catalogued auction events whose preview has started.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Row, Col, Card, Badge, Button } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import { formatDateTime } from '../utils/formatters.js';
+
+const STATUS_LABELS = {
+  scheduled: { label: 'Preview', variant: 'info' },
+  active: { label: 'Live', variant: 'danger' },
+  ended: { label: 'Closed', variant: 'dark' }
+};
+
+/**
+ * @component EventsPage
+ * @returns {JSX.Element}
+ */
+const EventsPage = () => {
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    api.get('/events')
+      .then((response) => setEvents(response.data.events))
+      .catch(() => toast.error('Failed to load auction events.'))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  return (
+    <div>
+      <div className="mb-5">
+        <h1 className="display-5 fw-bold mb-2">Auction Events</h1>
+        <p className="lead mb-0" style={{ color: 'var(--text-secondary)' }}>Themed sales whose lots close one after another</p>
+      </div>
+
+      {isLoading ? (
+        <div className="d-flex justify-content-center py-5">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <Row className="g-4">
+          {events.map((auctionEvent) => {
+            const status = STATUS_LABELS[auctionEvent.status] ?? STATUS_LABELS.scheduled;
+            return (
+              <Col key={auctionEvent._id} xs={12} md={6}>
+                <Card className="h-100 border-0 shadow-sm">
+                  <Card.Body className="d-flex flex-column">
+                    <div className="d-flex justify-content-between align-items-start mb-2">
+                      <Card.Title className="fw-bold mb-0">{auctionEvent.title}</Card.Title>
+                      <Badge bg={status.variant} className="px-3 py-2">{status.label}</Badge>
+                    </div>
+                    <Card.Text className="text-muted flex-grow-1">{auctionEvent.description}</Card.Text>
+                    <div className="small mb-3">
+                      <div><strong>{auctionEvent.lotCount}</strong> {auctionEvent.lotCount === 1 ? 'lot' : 'lots'}</div>
+                      <div>Bidding opens {formatDateTime(auctionEvent.startTime)}</div>
+                      <div>Lot 1 closes {formatDateTime(auctionEvent.firstLotEndTime)}, then one lot every {auctionEvent.lotStaggerSeconds} seconds</div>
+                    </div>
+                    <Button as={Link} to={`/events/${auctionEvent._id}`} variant="primary" className="fw-bold">
+                      View Catalog
+                    </Button>
+                  </Card.Body>
+                </Card>
+              </Col>
+            );
+          })}
+          {!events.length && (
+            <Col xs={12}>
+              <div className="empty-state">
+                <div className="empty-state-icon" />
+                <h3 className="fw-bold mb-2">No events yet</h3>
+                <p style={{ color: 'var(--text-muted)' }}>Catalogs appear here once their preview opens.</p>
+              </div>
+            </Col>
+          )}
+        </Row>
+      )}
+    </div>
+  );
+};
+
+export default EventsPage;
@@ -7,6 +7,7 @@ import React, { useEffect, useState } from 'react';
 import { Row, Col, Form, Button, Badge, Card } from 'react-bootstrap';
 import { toast } from 'react-toastify';
 import { useSocket } from '../context/SocketContext.jsx';
+import { useCurrency } from '../context/CurrencyContext.jsx';
 import api, { fetchItemPrices } from '../services/api.js';
 import ItemCard from '../components/ItemCard.jsx';
 import LoadingSpinner from '../components/LoadingSpinner.jsx';
@@ -23,11 +24,13 @@ const HomePage = () => {
     status: 'active', 
     search: '',
     condition: '',
+    currency: '',
     minPrice: '',
     maxPrice: '',
     sortBy: 'endingSoon'
   });
   const { socket, isConnected } = useSocket();
+  const { currencies } = useCurrency();
 
   useEffect(() => {
     fetchItems();
@@ -83,7 +86,8 @@ const HomePage = () => {
                 ...item,
                 currentPrice: payload.newPrice,
                 totalBids: payload.totalBids,
-                highestBidder: payload.bidderId
+                highestBidder: payload.bidderId,
+                buyNowAvailable: payload.buyNowAvailable ?? item.buyNowAvailable
               }
             : item
         )
@@ -99,7 +103,8 @@ const HomePage = () => {
             ? {
                 ...item,
                 status: 'ended',
-                isAuctionOver: true
+                isAuctionOver: true,
+                buyNowAvailable: false
               }
             : item
         )
@@ -222,21 +227,29 @@ const HomePage = () => {
               </Col>
             </Row>
             <Row className="g-3 mt-2">
-              <Col md={3}>
+              <Col md={2}>
+                <Form.Select name="currency" value={filters.currency} onChange={handleFilterChange}>
+                  <option value="">Any Currency</option>
+                  {Object.keys(currencies).map((code) => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={2}>
                 <Form.Control
                   type="number"
                   name="minPrice"
-                  placeholder="Min Price ($)"
+                  placeholder="Min Price"
                   value={filters.minPrice}
                   onChange={handleFilterChange}
                   min="0"
                 />
               </Col>
-              <Col md={3}>
+              <Col md={2}>
                 <Form.Control
                   type="number"
                   name="maxPrice"
-                  placeholder="Max Price ($)"
+                  placeholder="Max Price"
                   value={filters.maxPrice}
                   onChange={handleFilterChange}
                   min="0"
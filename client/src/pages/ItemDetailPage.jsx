@@ -3,8 +3,8 @@
  * @description Displays a detailed view of a single auction item with real-time bidding.
  */
 
-import React, { useEffect, useMemo, useState, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useCallback, useEffect, useMemo, useState, useRef } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import {
   Container,
   Row,
@@ -25,14 +25,35 @@ import { useSocket } from '../context/SocketContext.jsx';
 import CountdownTimer from '../components/CountdownTimer.jsx';
 import BidModal from '../components/BidModal.jsx';
 import AutoBidModal from '../components/AutoBidModal.jsx';
+import BidderApprovalPrompt from '../components/BidderApprovalPrompt.jsx';
+import BuyNowButton from '../components/BuyNowButton.jsx';
+import SecondChanceOffers from '../components/SecondChanceOffers.jsx';
 import ImageGallery from '../components/ImageGallery.jsx';
+import BundleContents from '../components/BundleContents.jsx';
 import LoadingSpinner from '../components/LoadingSpinner.jsx';
 import BidHistoryList from '../components/BidHistoryList.jsx';
 import LiveAuctionRoom from '../components/LiveAuctionRoom.jsx';
+import ConvertedPrice from '../components/ConvertedPrice.jsx';
 import api, { fetchItemPrices } from '../services/api.js';
-import { formatCurrency, formatDateTime } from '../utils/formatters.js';
+import { formatCurrency, formatDateTime, formatIncrementTiers, formatPremiumTiers } from '../utils/formatters.js';
+import { estimateBuyerCharges } from '../utils/buyerCharges.js';
 import { priceUpdateVariants, buttonHoverVariants } from '../utils/animationVariants.js';
 
+/**
+ * @function getNextBidLimit
+ * @description Resolves the bid the next bidder must reach: the minimum on regular listings and
+ * the maximum on reverse listings. The server applies the listing's increment tiers; the flat
+ * increment is only a fallback.
+ * @param {Record<string, any>} item - Auction item as returned by the API.
+ * @returns {number}
+ */
+const getNextBidLimit = (item) => {
+  if (item.listingType === 'reverse') {
+    return item.maximumNextBid ?? item.currentPrice - item.bidIncrement;
+  }
+  return item.minimumNextBid ?? item.currentPrice + item.bidIncrement;
+};
+
 /**
  * @component ItemDetailPage
  * @returns {JSX.Element}
@@ -49,10 +70,17 @@ const ItemDetailPage = () => {
   const [showBidModal, setShowBidModal] = useState(false);
   const [showAutoBidModal, setShowAutoBidModal] = useState(false);
   const [bidAmountInput, setBidAmountInput] = useState('');
+  const [bidQuantityInput, setBidQuantityInput] = useState('1');
+  const [winningBids, setWinningBids] = useState([]);
   const [isSubmittingBid, setIsSubmittingBid] = useState(false);
+  const [hasPlacedSealedBid, setHasPlacedSealedBid] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [isInWatchlist, setIsInWatchlist] = useState(false);
   const [hasShownEndNotification, setHasShownEndNotification] = useState(false);
+  const [buyerCharges, setBuyerCharges] = useState(null);
+  const [shippingQuote, setShippingQuote] = useState(null);
+  const [bidderApproval, setBidderApproval] = useState(null);
+  const [bidRefusal, setBidRefusal] = useState(null);
   const lastNotifiedBidIdRef = useRef(null);
 
   useEffect(() => {
@@ -73,8 +101,9 @@ const ItemDetailPage = () => {
         ).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
         
         setBidHistory(uniqueBids);
+        setWinningBids(response.data.winningBids || []);
         setBidAmountInput(
-          String(response.data.item.currentPrice + response.data.item.bidIncrement)
+          String(getNextBidLimit(response.data.item))
         );
       } catch (error) {
         const message = error.response?.data?.message || 'Unable to load auction details.';
@@ -87,6 +116,55 @@ const ItemDetailPage = () => {
     fetchItemDetails();
   }, [itemId, navigate]);
 
+  const auctionStatus = auctionItem?.status;
+  const auctionWinnerId = auctionItem?.winnerId;
+
+  // Premium and tax depend on the viewer's address; reload once the item settles or changes hands
+  useEffect(() => {
+    if (!authUser || !auctionStatus) {
+      setBuyerCharges(null);
+      return;
+    }
+
+    api.get(`/items/${itemId}/buyer-charges`)
+      .then((response) => setBuyerCharges(response.data))
+      .catch((error) => console.error('Failed to load buyer charges:', error));
+  }, [itemId, authUser, auctionStatus, auctionWinnerId]);
+
+  const shippingMethod = auctionItem?.shipping?.method;
+
+  // Quotes are priced for the viewer's own address, so they need a signed-in user
+  useEffect(() => {
+    if (!authUser || !shippingMethod) {
+      setShippingQuote(null);
+      return;
+    }
+
+    api.get(`/items/${itemId}/shipping-quote`)
+      .then((response) => setShippingQuote(response.data))
+      .catch((error) => console.error('Failed to load shipping quote:', error));
+  }, [itemId, authUser, shippingMethod]);
+
+  /**
+   * @function loadBidderApproval
+   * @description Loads the item's approval threshold and where the viewer's approval stands.
+   * @returns {void}
+   */
+  const loadBidderApproval = useCallback(() => {
+    if (!authUser) {
+      setBidderApproval(null);
+      return;
+    }
+
+    api.get(`/bidder-approvals/items/${itemId}`)
+      .then((response) => setBidderApproval(response.data))
+      .catch((error) => console.error('Failed to load bidder approval:', error));
+  }, [itemId, authUser]);
+
+  useEffect(() => {
+    loadBidderApproval();
+  }, [loadBidderApproval]);
+
   useEffect(() => {
     if (!socket || !itemId) {
       console.log('⚠️ Socket listener setup blocked:', { hasSocket: !!socket, itemId });
@@ -117,7 +195,7 @@ const ItemDetailPage = () => {
         const bidExists = previousHistory.some(bid => {
           const idMatch = bid._id === payload.bidId;
           const duplicateCheck = (
-            bid.bidAmount === payload.newPrice &&
+            bid.bidAmount === (payload.bidAmount ?? payload.newPrice) &&
             bid.bidderId?.username === payload.bidderUsername &&
             Math.abs(new Date(bid.timestamp) - new Date(payload.timestamp)) < 5000 // within 5 seconds
           );
@@ -132,12 +210,27 @@ const ItemDetailPage = () => {
         
         console.log('   ➕ Adding NEW bid to history');
         
+        // A resolved auto-bid war arrives as one update carrying every bid it placed
+        if (payload.autoBids?.length) {
+          const resolvedBids = payload.autoBids
+            .map((autoBid) => ({
+              _id: autoBid.bidId,
+              bidderId: { username: autoBid.bidderUsername },
+              bidAmount: autoBid.bidAmount,
+              timestamp: autoBid.timestamp,
+              isAutoBid: true
+            }))
+            .reverse();
+          return [...resolvedBids, ...previousHistory];
+        }
+
         // Return new history with the bid added
         return [
           {
             _id: payload.bidId,
             bidderId: { username: payload.bidderUsername },
-            bidAmount: payload.newPrice,
+            bidAmount: payload.bidAmount ?? payload.newPrice,
+            quantity: payload.quantity,
             timestamp: payload.timestamp
           },
           ...previousHistory
@@ -164,7 +257,12 @@ const ItemDetailPage = () => {
             ...previous,
             currentPrice: payload.newPrice,
             totalBids: payload.totalBids,
-            bidIncrement: payload.bidIncrement,
+            currentIncrement: payload.bidIncrement ?? previous.currentIncrement,
+            minimumNextBid: payload.minimumNextBid ?? previous.minimumNextBid,
+            maximumNextBid: payload.maximumNextBid ?? previous.maximumNextBid,
+            buyNowAvailable: payload.buyNowAvailable ?? previous.buyNowAvailable,
+            reserveMet: payload.reserveMet ?? previous.reserveMet,
+            quantityAvailable: payload.quantityAvailable ?? previous.quantityAvailable,
             highestBidder: {
               _id: payload.bidderId,
               username: payload.bidderUsername
@@ -173,21 +271,28 @@ const ItemDetailPage = () => {
           };
         });
 
+        if (payload.winningBids) {
+          setWinningBids(payload.winningBids);
+        }
+
         // Show toast notification only to OTHER users (not the person who bid)
         // And only if we haven't already shown this specific bid notification
         if (authUser?.username !== payload.bidderUsername && lastNotifiedBidIdRef.current !== payload.bidId) {
           console.log('   🔔 Showing toast notification');
-          toast.info(`New bid: ${formatCurrency(payload.newPrice)} by ${payload.bidderUsername}`);
+          toast.info(`New bid: ${formatCurrency(payload.bidAmount ?? payload.newPrice, payload.currency)} by ${payload.bidderUsername}`);
           lastNotifiedBidIdRef.current = payload.bidId;
         } else {
           console.log('   🔇 Skipping toast:', authUser?.username === payload.bidderUsername ? 'own bid' : 'already notified');
         }
 
-        setBidAmountInput(String(payload.newPrice + payload.bidIncrement));
+        setBidAmountInput(String(payload.maximumNextBid ?? payload.minimumNextBid ?? payload.newPrice + payload.bidIncrement));
       }
     };
 
     const handleAuctionEnded = (payload) => {
+      if (payload.itemId !== itemId) {
+        return;
+      }
       setAuctionItem((previous) =>
         previous
           ? {
@@ -195,31 +300,107 @@ const ItemDetailPage = () => {
               status: 'ended',
               isAuctionOver: true,
               winnerId: payload.winnerId,
-              currentPrice: payload.finalPrice
+              winners: payload.winners ?? previous.winners,
+              currentPrice: payload.finalPrice,
+              reserveMet: payload.reserveMet ?? previous.reserveMet,
+              buyNowAvailable: false,
+              purchasedViaBuyNow: payload.purchasedViaBuyNow ?? previous.purchasedViaBuyNow
             }
           : previous
       );
+      if (payload.sealedBidsRevealed) {
+        // Sealed bids are only served once the auction has been settled
+        api.get(`/items/${itemId}`)
+          .then((response) => setBidHistory(response.data.recentBids))
+          .catch((error) => console.error('Failed to load revealed bids:', error));
+      }
       if (!hasShownEndNotification) {
         setHasShownEndNotification(true);
         toast.success('This auction has ended.');
       }
     };
 
+    const handleAuctionStarted = (payload) => {
+      if (payload.itemId !== itemId) {
+        return;
+      }
+      setAuctionItem((previous) => (previous ? { ...previous, status: 'active' } : previous));
+      toast.info('Bidding is now open!');
+    };
+
+    const handleAuctionExtended = (payload) => {
+      if (payload.itemId !== itemId) {
+        return;
+      }
+      setAuctionItem((previous) =>
+        previous
+          ? { ...previous, endTime: payload.endTime, extensionCount: payload.extensionCount }
+          : previous
+      );
+      toast.info(`Late bid! Auction extended to ${formatDateTime(payload.endTime)}.`, {
+        toastId: `auction-extended-${payload.itemId}-${payload.extensionCount}`
+      });
+    };
+
+    const handleWinnerUpdated = (payload) => {
+      if (payload.itemId !== itemId) {
+        return;
+      }
+      setAuctionItem((previous) =>
+        previous
+          ? {
+              ...previous,
+              winnerId: payload.winnerId,
+              highestBidder: { _id: payload.winnerId, username: payload.winnerUsername },
+              currentPrice: payload.finalPrice,
+              purchasedViaBuyNow: false
+            }
+          : previous
+      );
+    };
+
+    const handleAuctionRelisted = (payload) => {
+      if (payload.itemId !== itemId) {
+        return;
+      }
+      setAuctionItem((previous) => (previous ? { ...previous, relistedAsId: payload.relistedItemId } : previous));
+    };
+
     socket.on('new-bid-placed', handleNewBidPlaced);
     socket.on('auction-ended', handleAuctionEnded);
+    socket.on('auction-started', handleAuctionStarted);
+    socket.on('auction-extended', handleAuctionExtended);
+    socket.on('auction-winner-updated', handleWinnerUpdated);
+    socket.on('auction-relisted', handleAuctionRelisted);
 
     return () => {
+      socket.off('auction-relisted', handleAuctionRelisted);
+      socket.off('auction-winner-updated', handleWinnerUpdated);
+      socket.off('auction-extended', handleAuctionExtended);
       socket.off('new-bid-placed', handleNewBidPlaced);
       socket.off('auction-ended', handleAuctionEnded);
+      socket.off('auction-started', handleAuctionStarted);
       socket.emit('leave-auction-room', itemId);
     };
   }, [socket, itemId]);
 
-  const minimumBid = useMemo(() => {
+  // The live room reports floor mode so the regular bid controls can step aside
+  const handleFloorStateChange = useCallback((floorState) => {
+    if (!floorState) {
+      return;
+    }
+    setAuctionItem((previous) =>
+      previous && previous.isFloorControlled !== floorState.isOpen
+        ? { ...previous, isFloorControlled: floorState.isOpen }
+        : previous
+    );
+  }, []);
+
+  const nextBidLimit = useMemo(() => {
     if (!auctionItem) {
       return 0;
     }
-    return auctionItem.currentPrice + auctionItem.bidIncrement;
+    return getNextBidLimit(auctionItem);
   }, [auctionItem]);
 
   /**
@@ -255,6 +436,7 @@ const ItemDetailPage = () => {
       return;
     }
 
+    setBidRefusal(null);
     setShowBidModal(true);
   };
 
@@ -272,9 +454,20 @@ const ItemDetailPage = () => {
     }
 
     const parsedBidAmount = Number(bidAmountInput);
+    const parsedQuantity = auctionItem.isMultiUnit ? Number(bidQuantityInput) : 1;
 
-    if (Number.isNaN(parsedBidAmount) || parsedBidAmount < minimumBid) {
-      toast.error(`Minimum bid is ${formatCurrency(minimumBid)}.`);
+    if (!Number.isInteger(parsedQuantity) || parsedQuantity < 1 || parsedQuantity > auctionItem.totalQuantity) {
+      toast.error(`Quantity must be between 1 and ${auctionItem.totalQuantity}.`);
+      return;
+    }
+
+    const isReverseListing = auctionItem.listingType === 'reverse';
+    if (isReverseListing && (Number.isNaN(parsedBidAmount) || parsedBidAmount <= 0 || parsedBidAmount > nextBidLimit)) {
+      toast.error(`Maximum bid is ${formatCurrency(nextBidLimit, auctionItem.currency)}.`);
+      return;
+    }
+    if (!isReverseListing && (Number.isNaN(parsedBidAmount) || parsedBidAmount < nextBidLimit)) {
+      toast.error(`Minimum bid is ${formatCurrency(nextBidLimit, auctionItem.currency)}.`);
       return;
     }
 
@@ -282,8 +475,10 @@ const ItemDetailPage = () => {
     const isCurrentHighestBidder = auctionItem.highestBidder?._id === authUser?._id || 
                                     auctionItem.highestBidder?.toString() === authUser?._id;
     
-    if (isCurrentHighestBidder && parsedBidAmount === minimumBid) {
-      toast.error('You are already the highest bidder. Please bid a higher amount.');
+    if (!auctionItem.isMultiUnit && isCurrentHighestBidder && parsedBidAmount === nextBidLimit) {
+      toast.error(isReverseListing
+        ? 'You already have the lowest bid. Please bid a lower amount.'
+        : 'You are already the highest bidder. Please bid a higher amount.');
       return;
     }
 
@@ -291,45 +486,80 @@ const ItemDetailPage = () => {
       setIsSubmittingBid(true);
       const response = await api.post('/bids', {
         itemId,
-        bidAmount: parsedBidAmount
+        bidAmount: parsedBidAmount,
+        ...(auctionItem.isMultiUnit && { quantity: parsedQuantity })
       });
+
+      // Sealed bids change nothing visible until the auction closes
+      if (auctionItem.format && auctionItem.format !== 'english') {
+        setHasPlacedSealedBid(true);
+        toast.success(response.data.message);
+        setShowBidModal(false);
+        return;
+      }
       
       // Optimistic update for the bidder (since socket event might be delayed)
       const bidData = response.data.bid;
+      const { updatedItem } = response.data;
+      const newCurrentPrice = updatedItem?.currentPrice ?? parsedBidAmount;
       
+      // A competing auto-bid may already have answered, so trust the resolved leader from the server
+      const isStillLeading = !updatedItem?.highestBidder || String(updatedItem.highestBidder) === String(authUser._id);
+
       // Update auction item immediately
       setAuctionItem((previous) => ({
         ...previous,
-        currentPrice: parsedBidAmount,
-        totalBids: previous.totalBids + 1,
-        highestBidder: {
-          _id: authUser._id,
-          username: authUser.username
-        },
+        currentPrice: newCurrentPrice,
+        quantityAvailable: updatedItem?.quantityAvailable ?? previous.quantityAvailable,
+        totalBids: updatedItem?.totalBids ?? previous.totalBids + 1,
+        currentIncrement: updatedItem?.currentIncrement ?? previous.currentIncrement,
+        minimumNextBid: updatedItem?.minimumNextBid ?? previous.minimumNextBid,
+        maximumNextBid: updatedItem?.maximumNextBid ?? previous.maximumNextBid,
+        buyNowAvailable: updatedItem?.buyNowAvailable ?? previous.buyNowAvailable,
+        reserveMet: response.data.reserveMet ?? previous.reserveMet,
+        highestBidder: isStillLeading
+          ? { _id: authUser._id, username: authUser.username }
+          : previous.highestBidder,
         updatedAt: new Date()
       }));
       
-      // Add to bid history immediately
+      // Add to bid history immediately, keeping newest first behind any proxy bids it triggered
       setBidHistory((previousHistory) => [
         {
           _id: bidData._id,
           bidderId: { username: authUser.username },
           bidAmount: parsedBidAmount,
+          quantity: parsedQuantity,
           timestamp: bidData.timestamp || new Date()
         },
         ...previousHistory
-      ]);
+      ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)));
+
+      if (response.data.winningBids) {
+        setWinningBids(response.data.winningBids);
+      }
       
       // Update minimum bid input
-      setBidAmountInput(String(parsedBidAmount + auctionItem.bidIncrement));
+      setBidAmountInput(String(updatedItem
+        ? getNextBidLimit(updatedItem)
+        : newCurrentPrice + (isReverseListing ? -auctionItem.bidIncrement : auctionItem.bidIncrement)));
       
-      toast.success('Bid submitted successfully.');
+      if (isStillLeading) {
+        toast.success('Bid submitted successfully.');
+      } else {
+        toast.warning(`Bid placed, but another bidder's auto-bid is higher. Current price: ${formatCurrency(newCurrentPrice, auctionItem.currency)}.`);
+      }
       setShowBidModal(false);
     } catch (error) {
+      // Approval and credit refusals are explained in the modal with a way forward
+      if (error.response?.data?.code) {
+        setBidRefusal(error.response.data);
+        return;
+      }
       const message = error.response?.data?.message || 'Unable to place bid.';
       toast.error(message);
       if (error.response?.status === 400) {
-        setBidAmountInput(String(minimumBid));
+        setBidAmountInput(String(nextBidLimit));
       }
     } finally {
       setIsSubmittingBid(false);
@@ -354,6 +584,15 @@ const ItemDetailPage = () => {
 
   const isSeller = authUser && auctionItem.sellerId?._id === authUser._id;
   const hasAuctionEnded = auctionItem.isAuctionOver || auctionItem.status === 'ended';
+  const isReserveNotMet = auctionItem.hasReserve && !auctionItem.reserveMet;
+  const isUpcoming = auctionItem.status === 'upcoming';
+  const isSealed = Boolean(auctionItem.format) && auctionItem.format !== 'english';
+  // Sealed prices, bid counts and history are only revealed once the auction is settled
+  const isSealedAndOpen = isSealed && !hasAuctionEnded;
+  const isReverse = auctionItem.listingType === 'reverse';
+  const isFloorControlled = Boolean(auctionItem.isFloorControlled) && !hasAuctionEnded;
+  const buyerFees = buyerCharges?.appliesToItem ? buyerCharges : null;
+  const nextBidEstimate = buyerFees ? estimateBuyerCharges(nextBidLimit, buyerFees) : null;
 
   return (
     <Container>
@@ -374,11 +613,51 @@ const ItemDetailPage = () => {
                     <Badge bg="info" className="px-3 py-2 fs-6">
                       {auctionItem.condition}
                     </Badge>
+                    {auctionItem.bundleItems?.length > 0 && (
+                      <Badge bg="info" text="dark" className="px-3 py-2 fs-6">
+                        Lot of {auctionItem.bundleItems.length}
+                      </Badge>
+                    )}
                     {hasAuctionEnded && (
                       <Badge bg="dark" className="px-3 py-2 fs-6">
                         Auction Ended
                       </Badge>
                     )}
+                    {isUpcoming && (
+                      <Badge bg="primary" className="px-3 py-2 fs-6">
+                        Upcoming
+                      </Badge>
+                    )}
+                    {auctionItem.eventId && (
+                      <Badge as={Link} to={`/events/${auctionItem.eventId._id}`} bg="dark" className="px-3 py-2 fs-6 text-decoration-none">
+                        Lot {auctionItem.lotNumber} · {auctionItem.eventId.title}
+                      </Badge>
+                    )}
+                    {auctionItem.relistedFromId && (
+                      <Badge as={Link} to={`/items/${auctionItem.relistedFromId}`} bg="secondary" className="px-3 py-2 fs-6 text-decoration-none">
+                        Relist #{auctionItem.relistCount}
+                      </Badge>
+                    )}
+                    {isReverse && (
+                      <Badge bg="warning" text="dark" className="px-3 py-2 fs-6">
+                        Reverse auction · Lowest bid wins
+                      </Badge>
+                    )}
+                    {isSealed && (
+                      <Badge bg="dark" className="px-3 py-2 fs-6">
+                        Sealed bid · {auctionItem.format === 'sealed-second-price' ? 'Second price' : 'First price'}
+                      </Badge>
+                    )}
+                    {isReserveNotMet && !isSealedAndOpen && (
+                      <Badge bg="warning" text="dark" className="px-3 py-2 fs-6">
+                        Reserve not met
+                      </Badge>
+                    )}
+                    {auctionItem.hasReserve && auctionItem.reserveMet && (
+                      <Badge bg="success" className="px-3 py-2 fs-6">
+                        Reserve met
+                      </Badge>
+                    )}
                   </div>
                 </div>
               </div>
@@ -388,44 +667,162 @@ const ItemDetailPage = () => {
               </Card.Text>
 
               <motion.div variants={priceUpdateVariants} initial="initial" animate="animate" className="mb-4 p-4 rounded" style={{ background: 'linear-gradient(135deg, rgba(102, 126, 234, 0.05) 0%, rgba(118, 75, 162, 0.05) 100%)' }}>
-                <div className="text-muted small mb-1 fw-semibold">Current Price</div>
-                <h2 className="price-display mb-0">{formatCurrency(auctionItem.currentPrice)}</h2>
+                {isSealedAndOpen ? (
+                  <>
+                    <div className="text-muted small mb-1 fw-semibold">Opening Bid</div>
+                    <h2 className="price-display mb-1">{formatCurrency(auctionItem.startingPrice, auctionItem.currency)}</h2>
+                    <ConvertedPrice amount={auctionItem.startingPrice} currency={auctionItem.currency} className="d-block text-muted small mb-1" />
+                    <div className="text-muted small">
+                      {auctionItem.format === 'sealed-second-price'
+                        ? 'Bids are sealed. The highest bidder wins and pays the second-highest bid.'
+                        : 'Bids are sealed. The highest bidder wins and pays their own bid.'}
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="text-muted small mb-1 fw-semibold">
+                      {isReverse
+                        ? (auctionItem.totalBids > 0 ? 'Current Lowest Bid' : 'Maximum Budget')
+                        : auctionItem.isMultiUnit ? 'Current Price per Unit' : 'Current Price'}
+                    </div>
+                    <h2 className="price-display mb-0">{formatCurrency(auctionItem.currentPrice, auctionItem.currency)}</h2>
+                    <ConvertedPrice amount={auctionItem.currentPrice} currency={auctionItem.currency} />
+                  </>
+                )}
+                {nextBidEstimate && !hasAuctionEnded && !isSeller && (
+                  <div className="text-muted small mt-2">
+                    Estimated all-in at {isSealed ? 'the opening bid' : 'the next bid'}{auctionItem.isMultiUnit ? ' per unit' : ''}: <strong>{formatCurrency(nextBidEstimate.total, auctionItem.currency)}</strong>
+                    {' '}including {formatPremiumTiers(buyerFees.premiumTiers, auctionItem.currency)} buyer's premium and {buyerFees.taxRatePercent}% tax.
+                  </div>
+                )}
               </motion.div>
 
+              {hasAuctionEnded && buyerCharges?.settlements?.length > 0 && (
+                <div className="mb-3 p-3 rounded" style={{ background: 'var(--background-gradient)' }}>
+                  <div className="fw-semibold mb-2">{isSeller ? 'Buyer Charges' : 'Amount Due'}</div>
+                  {buyerCharges.settlements.map((settlement) => (
+                    <div key={settlement.buyerId?._id} className="small mb-2">
+                      {isSeller && (
+                        <div className="fw-semibold">
+                          {settlement.buyerId?.username}{settlement.quantity > 1 ? ` · ${settlement.quantity} units` : ''}
+                        </div>
+                      )}
+                      <div className="d-flex justify-content-between">
+                        <span>Hammer price</span>
+                        <span>{formatCurrency(settlement.hammerPrice, auctionItem.currency)}</span>
+                      </div>
+                      <div className="d-flex justify-content-between">
+                        <span>Buyer's premium</span>
+                        <span>{formatCurrency(settlement.buyersPremium, auctionItem.currency)}</span>
+                      </div>
+                      <div className="d-flex justify-content-between">
+                        <span>Tax ({settlement.taxRatePercent}%)</span>
+                        <span>{formatCurrency(settlement.tax, auctionItem.currency)}</span>
+                      </div>
+                      <div className="d-flex justify-content-between fw-bold">
+                        <span>Total</span>
+                        <span>{formatCurrency(settlement.total, auctionItem.currency)}</span>
+                      </div>
+                    </div>
+                  ))}
+                  {!isSeller && (
+                    <Button as={Link} to="/orders" size="sm" variant="success" className="mt-1">
+                      Go to Checkout
+                    </Button>
+                  )}
+                </div>
+              )}
+
+              {!isSealedAndOpen && (
                 <div className="mb-3 p-3 rounded d-flex justify-content-between align-items-center" style={{ background: 'var(--background-gradient)' }}>
-                <span className="fw-semibold">Total Bids:</span>
-                <Badge bg="primary" className="fs-6 px-3 py-2">
-                  {auctionItem.totalBids} {auctionItem.totalBids === 1 ? 'bid' : 'bids'}
-                </Badge>
-              </div>
+                  <span className="fw-semibold">Total Bids:</span>
+                  <Badge bg="primary" className="fs-6 px-3 py-2">
+                    {auctionItem.totalBids} {auctionItem.totalBids === 1 ? 'bid' : 'bids'}
+                  </Badge>
+                </div>
+              )}
 
-              <div className="mb-3 p-3 rounded d-flex justify-content-between align-items-center" style={{ background: 'var(--background-gradient)' }}>
-                <span className="fw-semibold">Bid Increment:</span>
-                <span className="fw-bold" style={{ color: 'var(--success-color)' }}>{formatCurrency(auctionItem.bidIncrement)}</span>
-              </div>
+              {auctionItem.isMultiUnit && (
+                <div className="mb-3 p-3 rounded d-flex justify-content-between align-items-center" style={{ background: 'var(--background-gradient)' }}>
+                  <span className="fw-semibold">Units:</span>
+                  <Badge bg="info" className="fs-6 px-3 py-2">
+                    {auctionItem.quantityAvailable} of {auctionItem.totalQuantity} {hasAuctionEnded ? 'unsold' : 'unclaimed'}
+                  </Badge>
+                </div>
+              )}
+
+              {!isSealed && (
+                <div className="mb-3 p-3 rounded d-flex justify-content-between align-items-center" style={{ background: 'var(--background-gradient)' }}>
+                  <span className="fw-semibold">Bid Increment:</span>
+                  <span className="fw-bold" style={{ color: 'var(--success-color)' }}>{formatCurrency(auctionItem.currentIncrement ?? auctionItem.bidIncrement, auctionItem.currency)}</span>
+                </div>
+              )}
+              {!isSealed && auctionItem.incrementTiers?.length > 1 && (
+                <div className="mb-3 small text-muted">
+                  Increments rise with the price: {formatIncrementTiers(auctionItem.incrementTiers, auctionItem.currency)}
+                </div>
+              )}
 
               <div className="mb-4 p-3 rounded d-flex justify-content-between align-items-center" style={{ background: 'var(--background-gradient)' }}>
-                <span className="fw-semibold">Time Remaining:</span>
-                <CountdownTimer endTime={auctionItem.endTime} />
+                <span className="fw-semibold">{isUpcoming ? 'Starts In:' : 'Time Remaining:'}</span>
+                {isFloorControlled
+                  ? <Badge bg="danger">Selling live on the floor</Badge>
+                  : isUpcoming
+                    ? <CountdownTimer endTime={auctionItem.startTime} expiredLabel="Opening…" />
+                    : <CountdownTimer endTime={auctionItem.endTime} itemId={itemId} />}
               </div>
 
               {!hasAuctionEnded && !isSeller && (
                 <>
-                  <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap" className="mb-3">
-                    <Button className="w-100 fw-bold" style={{ fontSize: '1.1rem', padding: '0.85rem' }} onClick={handlePlaceBidClick}>
-                      Place a Bid
-                    </Button>
-                  </motion.div>
-                  <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap" className="mb-3">
-                    <Button 
-                      variant="outline-primary" 
-                      className="w-100 fw-bold d-flex align-items-center justify-content-center gap-2" 
-                      style={{ fontSize: '1rem', padding: '0.75rem' }}
-                      onClick={() => setShowAutoBidModal(true)}
-                    >
-                      🤖 Enable Auto-Bid
-                    </Button>
-                  </motion.div>
+                  {isUpcoming && (
+                    <Alert variant="info" className="mb-3">
+                      Bidding opens {formatDateTime(auctionItem.startTime)}. Add this item to your watchlist to be notified when it starts, or leave an absentee bid to have it placed for you at the opening.
+                    </Alert>
+                  )}
+                  {auctionItem.buyNowAvailable && !isFloorControlled && (
+                    <BuyNowButton
+                      item={auctionItem}
+                      className="mb-3"
+                      onPurchased={(purchasedItem) => {
+                        setHasShownEndNotification(true);
+                        setAuctionItem((previous) => ({
+                          ...previous,
+                          status: purchasedItem.status,
+                          isAuctionOver: purchasedItem.isAuctionOver,
+                          winnerId: purchasedItem.winnerId,
+                          currentPrice: purchasedItem.currentPrice,
+                          totalBids: purchasedItem.totalBids,
+                          endTime: purchasedItem.endTime,
+                          buyNowAvailable: false,
+                          purchasedViaBuyNow: true,
+                          highestBidder: { _id: authUser._id, username: authUser.username }
+                        }));
+                      }}
+                    />
+                  )}
+                  {isFloorControlled ? (
+                    <Alert variant="info" className="mb-3">
+                      This lot is being clerked live. Bid from the floor panel in the live auction room below.
+                    </Alert>
+                  ) : (
+                    <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap" className="mb-3">
+                      <Button className="w-100 fw-bold" style={{ fontSize: '1.1rem', padding: '0.85rem' }} onClick={handlePlaceBidClick} disabled={isUpcoming || hasPlacedSealedBid}>
+                        {isSealed ? (hasPlacedSealedBid ? 'Sealed Bid Placed' : 'Place Sealed Bid') : 'Place a Bid'}
+                      </Button>
+                    </motion.div>
+                  )}
+                  {!auctionItem.isMultiUnit && !isSealed && !isReverse && !isFloorControlled && (
+                    <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap" className="mb-3">
+                      <Button 
+                        variant="outline-primary" 
+                        className="w-100 fw-bold d-flex align-items-center justify-content-center gap-2" 
+                        style={{ fontSize: '1rem', padding: '0.75rem' }}
+                        onClick={() => setShowAutoBidModal(true)}
+                      >
+                        {isUpcoming ? '📋 Leave an Absentee Bid' : '🤖 Enable Auto-Bid'}
+                      </Button>
+                    </motion.div>
+                  )}
                   <motion.div variants={buttonHoverVariants} whileHover="hover" whileTap="tap">
                     <Button 
                       variant={isInWatchlist ? 'danger' : 'outline-danger'} 
@@ -446,21 +843,114 @@ const ItemDetailPage = () => {
                 </Alert>
               )}
 
+              {hasAuctionEnded && isReserveNotMet && (
+                <Alert variant="warning" className="mt-3 mb-0">
+                  <strong>Reserve not met.</strong> This auction ended without a winner because the {isReverse ? 'lowest bid did not come down to the poster' : 'highest bid did not reach the seller'}'s reserve.
+                </Alert>
+              )}
+
+              {hasAuctionEnded && auctionItem.relistedAsId && (
+                <Alert variant="info" className="mt-3 mb-0">
+                  This item did not sell and has been relisted. <Alert.Link as={Link} to={`/items/${auctionItem.relistedAsId}`}>View the new listing</Alert.Link>
+                </Alert>
+              )}
+
+              {hasAuctionEnded && auctionItem.isMultiUnit && (
+                <Alert variant={auctionItem.winners?.length ? 'success' : 'secondary'} className="mt-3 mb-0">
+                  {auctionItem.winners?.length
+                    ? <><strong>Sold!</strong> {auctionItem.totalQuantity - auctionItem.quantityAvailable} of {auctionItem.totalQuantity} units sold at {formatCurrency(auctionItem.currentPrice, auctionItem.currency)} each.</>
+                    : 'No units were sold.'}
+                </Alert>
+              )}
+
               {hasAuctionEnded && auctionItem.winnerId && (
                 <Alert variant="success" className="mt-3 mb-0">
-                  <strong>Winner!</strong> Auction won by bidder ID {auctionItem.winnerId} at {formatCurrency(auctionItem.currentPrice)}
+                  <strong>Winner!</strong> {auctionItem.purchasedViaBuyNow ? 'Bought with Buy It Now' : isReverse ? 'Awarded to the lowest bid' : 'Auction won'} by bidder ID {auctionItem.winnerId} at {formatCurrency(auctionItem.currentPrice, auctionItem.currency)}
                 </Alert>
               )}
+
+              {hasAuctionEnded && auctionItem.winnerId && !auctionItem.isMultiUnit && authUser && String(auctionItem.winnerId) !== String(authUser._id) && (
+                <SecondChanceOffers
+                  item={auctionItem}
+                  isSeller={Boolean(isSeller)}
+                  onAccepted={(acceptedItem) =>
+                    setAuctionItem((previous) => ({
+                      ...previous,
+                      winnerId: acceptedItem.winnerId,
+                      currentPrice: acceptedItem.currentPrice,
+                      purchasedViaBuyNow: false,
+                      highestBidder: { _id: authUser._id, username: authUser.username }
+                    }))
+                  }
+                />
+              )}
             </Card.Body>
           </Card>
         </Col>
       </Row>
 
-      {/* Real-time Auction Room */}
-      {!hasAuctionEnded && (
+      {auctionItem.bundleItems?.length > 0 && (
+        <Row className="mt-4">
+          <Col>
+            <BundleContents pieces={auctionItem.bundleItems} />
+          </Col>
+        </Row>
+      )}
+
+      {/* Real-time Auction Room; event lots keep it after closing so the floor can move to the next lot */}
+      {(!hasAuctionEnded || auctionItem.eventId) && (
         <Row className="mt-4">
           <Col>
-            <LiveAuctionRoom itemId={itemId} itemTitle={auctionItem.title} />
+            <LiveAuctionRoom
+              itemId={itemId}
+              itemTitle={auctionItem.title}
+              item={auctionItem}
+              onFloorStateChange={handleFloorStateChange}
+            />
+          </Col>
+        </Row>
+      )}
+
+      {auctionItem.isMultiUnit && (
+        <Row className="mt-4">
+          <Col>
+            <Card className="border-0 shadow-sm">
+              <Card.Header className="fw-bold fs-5">
+                {hasAuctionEnded ? 'Winners' : 'Current Winning Bids'}
+              </Card.Header>
+              <Card.Body>
+                {(hasAuctionEnded ? auctionItem.winners : winningBids)?.length ? (
+                  <Table size="sm" className="mb-0">
+                    <thead>
+                      <tr>
+                        <th>Bidder</th>
+                        <th className="text-end">Units</th>
+                        <th className="text-end">Bid per Unit</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {hasAuctionEnded
+                        ? auctionItem.winners.map((winner) => (
+                            <tr key={winner._id || winner.userId?._id || winner.userId}>
+                              <td>{winner.userId?.username || 'Bidder'}</td>
+                              <td className="text-end">{winner.quantity}</td>
+                              <td className="text-end">{formatCurrency(winner.bidAmount, auctionItem.currency)}</td>
+                            </tr>
+                          ))
+                        : winningBids.map((winningBid) => (
+                            <tr key={winningBid.bidId}>
+                              <td>{winningBid.username}</td>
+                              <td className="text-end">{winningBid.quantity}</td>
+                              <td className="text-end">{formatCurrency(winningBid.bidAmount, auctionItem.currency)}</td>
+                            </tr>
+                          ))}
+                    </tbody>
+                  </Table>
+                ) : (
+                  <p className="text-muted mb-0">No units have been claimed yet.</p>
+                )}
+              </Card.Body>
+            </Card>
           </Col>
         </Row>
       )}
@@ -470,7 +960,11 @@ const ItemDetailPage = () => {
           <Card className="border-0 shadow-sm">
             <Card.Header className="fw-bold fs-5">Bid History</Card.Header>
             <Card.Body>
-              <BidHistoryList bids={bidHistory} />
+              {isSealedAndOpen ? (
+                <p className="text-muted mb-0">Bids are sealed and will be revealed when the auction ends.</p>
+              ) : (
+                <BidHistoryList bids={bidHistory} isReverse={isReverse} currency={auctionItem.currency} />
+              )}
             </Card.Body>
           </Card>
         </Col>
@@ -487,13 +981,44 @@ const ItemDetailPage = () => {
                     </td>
                   </tr>
                   <tr>
-                    <th scope="row" className="fw-semibold">Starting Price</th>
-                    <td className="fw-bold" style={{ color: 'var(--success-color)' }}>{formatCurrency(auctionItem.startingPrice)}</td>
+                    <th scope="row" className="fw-semibold">{isReverse ? 'Maximum Budget' : 'Starting Price'}</th>
+                    <td className="fw-bold" style={{ color: 'var(--success-color)' }}>{formatCurrency(auctionItem.startingPrice, auctionItem.currency)}</td>
                   </tr>
                   <tr>
-                    <th scope="row" className="fw-semibold">Reserve Price</th>
-                    <td>{auctionItem.reservePrice ? <span className="fw-bold" style={{ color: 'var(--warning-color)' }}>{formatCurrency(auctionItem.reservePrice)}</span> : <span className="text-muted">Not Set</span>}</td>
+                    <th scope="row" className="fw-semibold">Reserve</th>
+                    <td>
+                      {!auctionItem.hasReserve && <span className="text-muted">No Reserve</span>}
+                      {auctionItem.hasReserve && isSealedAndOpen && <span className="text-muted">Reserve set</span>}
+                      {isReserveNotMet && !isSealedAndOpen && <span className="fw-bold" style={{ color: 'var(--warning-color)' }}>Not Met</span>}
+                      {auctionItem.hasReserve && auctionItem.reserveMet && <span className="fw-bold" style={{ color: 'var(--success-color)' }}>Met</span>}
+                    </td>
                   </tr>
+                  {auctionItem.buyNowPrice && (
+                    <tr>
+                      <th scope="row" className="fw-semibold">Buy It Now</th>
+                      <td>
+                        {formatCurrency(auctionItem.buyNowPrice, auctionItem.currency)}
+                        {!auctionItem.buyNowAvailable && !auctionItem.purchasedViaBuyNow && (
+                          <span className="text-muted small ms-2">(no longer available)</span>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                  {bidderApproval?.requirement && (
+                    <tr>
+                      <th scope="row" className="fw-semibold">Bidder Approval</th>
+                      <td>
+                        Needed for bids of {formatCurrency(bidderApproval.requirement.threshold, bidderApproval.requirement.currency)} or more
+                        {bidderApproval.requirement.scope === 'event' && ' on any lot in this sale'}
+                        {bidderApproval.approval?.status === 'approved' && <Badge bg="success" className="ms-2">You are approved</Badge>}
+                        {bidderApproval.approval?.status === 'pending' && <Badge bg="warning" text="dark" className="ms-2">Request pending</Badge>}
+                        {bidderApproval.approval?.status === 'rejected' && <Badge bg="secondary" className="ms-2">Request declined</Badge>}
+                        {bidderApproval.requirement.deposit && !bidderApproval.approval?.status && (
+                          <div className="text-muted small">Or place a {formatCurrency(bidderApproval.requirement.deposit, bidderApproval.requirement.currency)} deposit to be approved instantly</div>
+                        )}
+                      </td>
+                    </tr>
+                  )}
                   <tr>
                     <th scope="row" className="fw-semibold">Start Time</th>
                     <td>{formatDateTime(auctionItem.startTime)}</td>
@@ -502,6 +1027,46 @@ const ItemDetailPage = () => {
                     <th scope="row" className="fw-semibold">End Time</th>
                     <td>{formatDateTime(auctionItem.endTime)}</td>
                   </tr>
+                  {auctionItem.shipping && (
+                    <tr>
+                      <th scope="row" className="fw-semibold">Shipping</th>
+                      <td>
+                        {auctionItem.shipping.method === 'flat'
+                          ? `${formatCurrency(auctionItem.shipping.flatRate, auctionItem.currency)} flat rate`
+                          : auctionItem.shipping.method === 'calculated'
+                            ? 'Calculated by weight and distance'
+                            : 'Local pickup only'}
+                        <span className="text-muted small ms-2">
+                          (ready {auctionItem.shipping.handlingDays} {auctionItem.shipping.handlingDays === 1 ? 'day' : 'days'} after payment)
+                        </span>
+                        {auctionItem.shipping.method === 'calculated' && (
+                          <div className="small mt-1">
+                            {!authUser ? (
+                              <span className="text-muted"><Link to="/login">Log in</Link> for a quote to your address.</span>
+                            ) : shippingQuote?.quote?.cost != null ? (
+                              <>
+                                <span className="fw-semibold">
+                                  {formatCurrency(shippingQuote.quote.cost, auctionItem.currency)} to {shippingQuote.hasAddress ? 'your address' : 'a national address'}
+                                </span>
+                                <span className="text-muted ms-2">
+                                  ({shippingQuote.quote.zone} zone, {shippingQuote.quote.billableWeightKg} kg billable)
+                                </span>
+                                {shippingQuote.quote.isEstimate && (
+                                  <div className="text-muted">
+                                    {shippingQuote.hasAddress
+                                      ? "Estimate only: the seller's location is incomplete."
+                                      : <>Estimate only. <Link to="/profile">Add your address</Link> for an exact quote.</>}
+                                  </div>
+                                )}
+                              </>
+                            ) : shippingQuote && (
+                              <span className="text-muted">The seller will confirm the shipping cost.</span>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )}
                 </tbody>
               </Table>
 
@@ -533,14 +1098,35 @@ const ItemDetailPage = () => {
         bidAmount={bidAmountInput}
         onBidAmountChange={setBidAmountInput}
         onSubmit={handleBidSubmission}
-        minimumBidDisplay={minimumBid}
+        minimumBidDisplay={nextBidLimit}
+        bidIncrementDisplay={isSealed ? undefined : auctionItem.currentIncrement ?? auctionItem.bidIncrement}
+        isSealed={isSealed}
+        isReverse={isReverse}
         isSubmitting={isSubmittingBid}
+        quantity={bidQuantityInput}
+        onQuantityChange={setBidQuantityInput}
+        maxQuantity={auctionItem.isMultiUnit ? auctionItem.totalQuantity : 1}
+        buyerFees={buyerFees}
+        currency={auctionItem.currency}
+        notice={bidRefusal && (
+          <BidderApprovalPrompt
+            itemId={itemId}
+            currency={auctionItem.currency}
+            refusal={bidRefusal}
+            attemptedAmount={Number(bidAmountInput) * (auctionItem.isMultiUnit ? Number(bidQuantityInput) || 1 : 1)}
+            onApproved={() => {
+              setBidRefusal(null);
+              loadBidderApproval();
+            }}
+          />
+        )}
       />
 
       <AutoBidModal
         show={showAutoBidModal}
         onHide={() => setShowAutoBidModal(false)}
         item={auctionItem}
+        onApprovalChange={loadBidderApproval}
       />
     </Container>
   );
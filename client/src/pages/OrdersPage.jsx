@@ -0,0 +1,510 @@
+/**
+ * @file OrdersPage.jsx
+ * @description Lists the user's purchases and sales. Buyers pay for won items, confirm delivery
+ * and report problems here; sellers see who paid, where to ship and record shipment. Invoices and
+ * the seller's consignment statement download as PDFs.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Badge, Alert, Button, ButtonGroup, Modal, Form, Row, Col } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import { FaReceipt } from 'react-icons/fa';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import { formatCurrency, formatDateTime, formatDateTimeInput } from '../utils/formatters.js';
+
+const ORDER_STATUS_BADGES = {
+  'awaiting-payment': { bg: 'warning', text: 'dark', label: 'Awaiting payment' },
+  paid: { bg: 'info', text: 'dark', label: 'Paid' },
+  shipped: { bg: 'primary', label: 'Shipped' },
+  delivered: { bg: 'success', label: 'Delivered' },
+  cancelled: { bg: 'secondary', label: 'Cancelled' },
+  refunded: { bg: 'dark', label: 'Refunded' }
+};
+
+const DISPUTE_REASONS = [
+  { value: 'damaged', label: 'Arrived damaged' },
+  { value: 'not-as-described', label: 'Not as described' },
+  { value: 'not-received', label: 'Not received' },
+  { value: 'authenticity-challenged', label: 'Authenticity challenged', authenticatedOnly: true },
+  { value: 'other', label: 'Other' }
+];
+
+const EMPTY_DISPUTE_FORM = { reason: 'damaged', description: '', evidence: [] };
+
+/**
+ * @function formatAddress
+ * @param {{ street?: string, city?: string, state?: string, zipCode?: string, country?: string }|undefined} address - Buyer address.
+ * @returns {string}
+ */
+const formatAddress = (address) =>
+  [address?.street, address?.city, [address?.state, address?.zipCode].filter(Boolean).join(' '), address?.country]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * @function downloadPdf
+ * @description Fetches a PDF through the authenticated API client and saves it.
+ * @param {string} url - API path of the document.
+ * @param {string} filename - Name to save the file under.
+ * @returns {Promise<void>}
+ */
+const downloadPdf = async (url, filename) => {
+  const response = await api.get(url, { responseType: 'blob' });
+  const objectUrl = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(objectUrl);
+};
+
+/**
+ * @function getMonthStartInput
+ * @returns {string} First day of the current month as a date input value.
+ */
+const getMonthStartInput = () => {
+  const now = new Date();
+  return formatDateTimeInput(new Date(now.getFullYear(), now.getMonth(), 1)).slice(0, 10);
+};
+
+/**
+ * @component OrdersPage
+ * @returns {JSX.Element}
+ */
+const OrdersPage = () => {
+  const [view, setView] = useState('purchases');
+  const [orders, setOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyOrderId, setBusyOrderId] = useState(null);
+  const [shippingOrder, setShippingOrder] = useState(null);
+  const [shipmentForm, setShipmentForm] = useState({ carrier: '', trackingNumber: '' });
+  const [statementPeriod, setStatementPeriod] = useState(() => ({
+    from: getMonthStartInput(),
+    to: formatDateTimeInput(new Date()).slice(0, 10)
+  }));
+  const [isDownloadingStatement, setIsDownloadingStatement] = useState(false);
+  const [disputeStatusByOrder, setDisputeStatusByOrder] = useState({});
+  const [disputingOrder, setDisputingOrder] = useState(null);
+  const [disputeForm, setDisputeForm] = useState(EMPTY_DISPUTE_FORM);
+
+  useEffect(() => {
+    const fetchOrders = async () => {
+      try {
+        setIsLoading(true);
+        const [ordersResponse, disputesResponse] = await Promise.all([
+          api.get(`/orders/${view}`),
+          api.get('/disputes')
+        ]);
+        setOrders(ordersResponse.data.orders);
+        setDisputeStatusByOrder(Object.fromEntries(
+          disputesResponse.data.disputes.map((dispute) => [dispute.orderId, dispute.status])
+        ));
+      } catch (error) {
+        toast.error(`Failed to load ${view}.`);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchOrders();
+  }, [view]);
+
+  const replaceOrder = (updatedOrder) => {
+    // Keep the populated item and counterparty from the list response
+    setOrders((previousOrders) => previousOrders.map((order) => (
+      order._id === updatedOrder._id
+        ? { ...order, ...updatedOrder, itemId: order.itemId, buyerId: order.buyerId, sellerId: order.sellerId }
+        : order
+    )));
+  };
+
+  const runOrderAction = async (order, action, body = {}) => {
+    setBusyOrderId(order._id);
+    try {
+      const response = await api.post(`/orders/${order._id}/${action}`, body);
+      replaceOrder(response.data.order);
+      toast.success(response.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update order.');
+      return false;
+    } finally {
+      setBusyOrderId(null);
+    }
+  };
+
+  const handleShipmentSubmit = async (event) => {
+    event.preventDefault();
+    const isShipped = await runOrderAction(shippingOrder, 'ship', shipmentForm);
+    if (isShipped) {
+      setShippingOrder(null);
+      setShipmentForm({ carrier: '', trackingNumber: '' });
+    }
+  };
+
+  const handleDisputeSubmit = async (event) => {
+    event.preventDefault();
+    const payload = new FormData();
+    payload.append('orderId', disputingOrder._id);
+    payload.append('reason', disputeForm.reason);
+    payload.append('description', disputeForm.description);
+    disputeForm.evidence.forEach((file) => payload.append('evidence', file));
+
+    setBusyOrderId(disputingOrder._id);
+    try {
+      const response = await api.post('/disputes', payload, { headers: { 'Content-Type': 'multipart/form-data' } });
+      setDisputeStatusByOrder((previous) => ({ ...previous, [disputingOrder._id]: response.data.dispute.status }));
+      toast.success(response.data.message);
+      setDisputingOrder(null);
+      setDisputeForm(EMPTY_DISPUTE_FORM);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.message || 'Failed to open dispute.');
+    } finally {
+      setBusyOrderId(null);
+    }
+  };
+
+  const handleInvoiceDownload = async (order) => {
+    try {
+      await downloadPdf(`/orders/${order._id}/invoice`, `invoice-${order._id}.pdf`);
+    } catch (error) {
+      toast.error('Failed to download invoice.');
+    }
+  };
+
+  const handleStatementDownload = async (event) => {
+    event.preventDefault();
+    setIsDownloadingStatement(true);
+    try {
+      const query = new URLSearchParams(statementPeriod).toString();
+      await downloadPdf(`/orders/statement?${query}`, `statement-${statementPeriod.from}-${statementPeriod.to}.pdf`);
+    } catch (error) {
+      toast.error('Failed to download statement.');
+    } finally {
+      setIsDownloadingStatement(false);
+    }
+  };
+
+  const renderActions = (order) => {
+    const isBusy = busyOrderId === order._id;
+    const disputeStatus = disputeStatusByOrder[order._id];
+    if (disputeStatus && disputeStatus !== 'resolved') {
+      return (
+        <Button as={Link} to="/disputes" size="sm" variant="outline-warning">
+          Dispute {disputeStatus}
+        </Button>
+      );
+    }
+    if (view === 'purchases') {
+      if (order.status === 'awaiting-payment') {
+        return (
+          <Button size="sm" variant="success" onClick={() => runOrderAction(order, 'checkout')} disabled={isBusy}>
+            {isBusy ? 'Paying…' : `Pay ${formatCurrency(order.total, order.currency)}`}
+          </Button>
+        );
+      }
+      const reportButton = !disputeStatus && ['paid', 'shipped', 'delivered'].includes(order.status) && (
+        <Button size="sm" variant="outline-danger" className="ms-1" onClick={() => setDisputingOrder(order)} disabled={isBusy}>
+          Report a Problem
+        </Button>
+      );
+      if (order.status === 'shipped') {
+        return (
+          <>
+            <Button size="sm" variant="outline-success" onClick={() => runOrderAction(order, 'deliver')} disabled={isBusy}>
+              Confirm Delivery
+            </Button>
+            {reportButton}
+          </>
+        );
+      }
+      return reportButton || null;
+    }
+
+    if (order.status === 'paid') {
+      return (
+        <Button size="sm" variant="primary" onClick={() => setShippingOrder(order)} disabled={isBusy}>
+          {order.fulfillment?.method === 'pickup' ? 'Ready for Pickup' : 'Mark Shipped'}
+        </Button>
+      );
+    }
+    if (order.status === 'awaiting-payment') {
+      return (
+        <Button size="sm" variant="outline-danger" onClick={() => runOrderAction(order, 'cancel')} disabled={isBusy}>
+          Cancel
+        </Button>
+      );
+    }
+    return null;
+  };
+
+  const renderStatusDetails = (order) => {
+    if (order.status === 'awaiting-payment') {
+      return <div className="small text-muted">Due {formatDateTime(order.paymentDueAt)}</div>;
+    }
+    if (order.status === 'cancelled') {
+      return <div className="small text-muted">{order.cancellationReason}</div>;
+    }
+    if (order.fulfillment?.carrier) {
+      return (
+        <div className="small text-muted">
+          {order.fulfillment.carrier}{order.fulfillment.trackingNumber ? ` · ${order.fulfillment.trackingNumber}` : ''}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4 flex-wrap gap-3">
+        <div>
+          <h1 className="display-6 fw-bold mb-2">
+            <FaReceipt className="me-2 text-primary" />
+            {view === 'purchases' ? 'My Purchases' : 'My Sales'}
+          </h1>
+          <p className="lead mb-0" style={{ color: 'var(--text-secondary)' }}>
+            {view === 'purchases'
+              ? 'Items you have won. Pay before the due date or the order is cancelled.'
+              : 'Items you have sold. Ship once the buyer has paid.'}
+          </p>
+        </div>
+        <ButtonGroup>
+          <Button variant={view === 'purchases' ? 'primary' : 'outline-primary'} onClick={() => setView('purchases')}>
+            Purchases
+          </Button>
+          <Button variant={view === 'sales' ? 'primary' : 'outline-primary'} onClick={() => setView('sales')}>
+            Sales
+          </Button>
+        </ButtonGroup>
+      </div>
+
+      {view === 'sales' && (
+        <Card className="border-0 shadow-sm mb-4">
+          <Card.Body>
+            <Form onSubmit={handleStatementDownload}>
+              <Row className="g-3 align-items-end">
+                <Col sm={4}>
+                  <Form.Group controlId="statementFrom">
+                    <Form.Label className="fw-semibold">Statement from</Form.Label>
+                    <Form.Control
+                      type="date"
+                      value={statementPeriod.from}
+                      onChange={(event) => setStatementPeriod((previous) => ({ ...previous, from: event.target.value }))}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col sm={4}>
+                  <Form.Group controlId="statementTo">
+                    <Form.Label className="fw-semibold">To</Form.Label>
+                    <Form.Control
+                      type="date"
+                      value={statementPeriod.to}
+                      min={statementPeriod.from}
+                      onChange={(event) => setStatementPeriod((previous) => ({ ...previous, to: event.target.value }))}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col sm={4}>
+                  <Button type="submit" variant="outline-primary" className="w-100" disabled={isDownloadingStatement}>
+                    {isDownloadingStatement ? 'Preparing…' : 'Download Statement'}
+                  </Button>
+                </Col>
+              </Row>
+            </Form>
+          </Card.Body>
+        </Card>
+      )}
+
+      {isLoading ? (
+        <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '40vh' }}>
+          <LoadingSpinner />
+        </div>
+      ) : orders.length === 0 ? (
+        <Alert variant="info" className="text-center py-5">
+          <FaReceipt size={48} className="mb-3 text-muted" />
+          <h4>{view === 'purchases' ? 'No purchases yet' : 'No sales yet'}</h4>
+          <p className="mb-0">
+            {view === 'purchases'
+              ? <>Orders appear here when you win an <Link to="/auctions">auction</Link>.</>
+              : 'Orders appear here when one of your auctions closes with a winner.'}
+          </p>
+        </Alert>
+      ) : (
+        <Card className="border-0 shadow-sm">
+          <Card.Body>
+            <Table responsive hover className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>{view === 'purchases' ? 'Seller' : 'Buyer'}</th>
+                  <th>Charges</th>
+                  <th>Total</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.map((order) => {
+                  const statusBadge = ORDER_STATUS_BADGES[order.status];
+                  const counterparty = view === 'purchases' ? order.sellerId : order.buyerId;
+                  return (
+                    <tr key={order._id}>
+                      <td>
+                        <div className="d-flex align-items-center gap-3">
+                          {order.itemId?.images?.[0] && (
+                            <img
+                              src={order.itemId.images[0]}
+                              alt={order.itemId.title}
+                              className="rounded border"
+                              style={{ width: '56px', height: '56px', objectFit: 'cover' }}
+                            />
+                          )}
+                          <div>
+                            <Link to={`/items/${order.itemId?._id}`} className="fw-semibold">{order.itemId?.title || 'Removed item'}</Link>
+                            {order.quantity > 1 && <div className="small text-muted">{order.quantity} units</div>}
+                          </div>
+                        </div>
+                      </td>
+                      <td>
+                        <div>{counterparty?.username}</div>
+                        {view === 'sales' && counterparty?.address && (
+                          <div className="small text-muted">{formatAddress(counterparty.address)}</div>
+                        )}
+                      </td>
+                      <td className="small">
+                        <div>Hammer {formatCurrency(order.hammerPrice, order.currency)}</div>
+                        <div className="text-muted">Premium {formatCurrency(order.buyersPremium, order.currency)} · Tax {formatCurrency(order.tax, order.currency)}</div>
+                        <div className="text-muted">
+                          {order.fulfillment?.method === 'pickup' ? 'Pickup' : `Shipping ${formatCurrency(order.shippingCost, order.currency)}`}
+                        </div>
+                      </td>
+                      <td className="fw-bold">{formatCurrency(order.total, order.currency)}</td>
+                      <td>
+                        <Badge bg={statusBadge.bg} text={statusBadge.text}>{statusBadge.label}</Badge>
+                        {renderStatusDetails(order)}
+                      </td>
+                      <td className="text-nowrap">
+                        {renderActions(order)}
+                        {order.status !== 'cancelled' && (
+                          <Button size="sm" variant="link" onClick={() => handleInvoiceDownload(order)}>
+                            Invoice
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+
+      <Modal show={Boolean(shippingOrder)} onHide={() => setShippingOrder(null)} centered>
+        <Form onSubmit={handleShipmentSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title className="fw-bold">
+              {shippingOrder?.fulfillment?.method === 'pickup' ? 'Ready for Pickup' : 'Mark Shipped'}
+            </Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {shippingOrder?.fulfillment?.method === 'pickup' ? (
+              <p className="mb-0">Let {shippingOrder?.buyerId?.username || 'the buyer'} know the item is ready to be collected.</p>
+            ) : (
+              <>
+                <Form.Group controlId="shipmentCarrier" className="mb-3">
+                  <Form.Label className="fw-semibold">Carrier</Form.Label>
+                  <Form.Control
+                    value={shipmentForm.carrier}
+                    onChange={(event) => setShipmentForm((previous) => ({ ...previous, carrier: event.target.value }))}
+                    maxLength={60}
+                    required
+                  />
+                </Form.Group>
+                <Form.Group controlId="shipmentTracking">
+                  <Form.Label className="fw-semibold">Tracking Number</Form.Label>
+                  <Form.Control
+                    value={shipmentForm.trackingNumber}
+                    onChange={(event) => setShipmentForm((previous) => ({ ...previous, trackingNumber: event.target.value }))}
+                    maxLength={100}
+                  />
+                </Form.Group>
+              </>
+            )}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShippingOrder(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={busyOrderId === shippingOrder?._id}>
+              Confirm
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      <Modal show={Boolean(disputingOrder)} onHide={() => setDisputingOrder(null)} centered>
+        <Form onSubmit={handleDisputeSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title className="fw-bold">Report a Problem</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <p className="text-muted small">
+              Tell us what went wrong with {disputingOrder?.itemId?.title || 'this item'}. The seller can respond before
+              an admin decides, and the seller is not paid until then.
+            </p>
+            <Form.Group controlId="disputeReason" className="mb-3">
+              <Form.Label className="fw-semibold">Reason</Form.Label>
+              <Form.Select
+                value={disputeForm.reason}
+                onChange={(event) => setDisputeForm((previous) => ({ ...previous, reason: event.target.value }))}
+              >
+                {DISPUTE_REASONS
+                  .filter((reason) => !reason.authenticatedOnly || disputingOrder?.itemId?.authenticity === 'Authenticated')
+                  .map((reason) => (
+                    <option key={reason.value} value={reason.value}>{reason.label}</option>
+                  ))}
+              </Form.Select>
+            </Form.Group>
+            <Form.Group controlId="disputeDescription" className="mb-3">
+              <Form.Label className="fw-semibold">What happened?</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={4}
+                value={disputeForm.description}
+                onChange={(event) => setDisputeForm((previous) => ({ ...previous, description: event.target.value }))}
+                minLength={10}
+                maxLength={2000}
+                required
+              />
+            </Form.Group>
+            <Form.Group controlId="disputeEvidence">
+              <Form.Label className="fw-semibold">Photos (up to 5)</Form.Label>
+              <Form.Control
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={(event) => setDisputeForm((previous) => ({ ...previous, evidence: Array.from(event.target.files).slice(0, 5) }))}
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setDisputingOrder(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="danger" disabled={busyOrderId === disputingOrder?._id}>
+              Open Dispute
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default OrdersPage;
@@ -10,6 +10,7 @@ import { toast } from 'react-toastify';
 import { motion } from 'framer-motion';
 import { FaEdit, FaSave, FaTimes, FaEnvelope, FaPhone, FaMapMarkerAlt, FaUser, FaClock } from 'react-icons/fa';
 import { useAuthContext } from '../hooks/useAuth.js';
+import { useCurrency } from '../context/CurrencyContext.jsx';
 import api from '../services/api.js';
 import LoadingSpinner from '../components/LoadingSpinner.jsx';
 import ProfilePhotoUpload from '../components/ProfilePhotoUpload.jsx';
@@ -22,6 +23,7 @@ import { formatDateTime } from '../utils/formatters.js';
  */
 const ProfilePage = () => {
   const { authUser, setAuthUser } = useAuthContext();
+  const { currencies } = useCurrency();
   const [isLoading, setIsLoading] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [isEditMode, setIsEditMode] = useState(false);
@@ -41,7 +43,8 @@ const ProfilePage = () => {
       city: authUser?.address?.city || '',
       state: authUser?.address?.state || '',
       zipCode: authUser?.address?.zipCode || '',
-      country: authUser?.address?.country || ''
+      country: authUser?.address?.country || '',
+      displayCurrency: authUser?.displayCurrency || ''
     }
   });
 
@@ -55,7 +58,8 @@ const ProfilePage = () => {
         city: authUser.address?.city || '',
         state: authUser.address?.state || '',
         zipCode: authUser.address?.zipCode || '',
-        country: authUser.address?.country || ''
+        country: authUser.address?.country || '',
+        displayCurrency: authUser.displayCurrency || ''
       });
     }
   }, [authUser, reset]);
@@ -82,7 +86,8 @@ const ProfilePage = () => {
         username: data.username,
         email: data.email,
         phoneNumber: data.phoneNumber || null,
-        address: Object.values(address).some(v => v) ? address : null
+        address: Object.values(address).some(v => v) ? address : null,
+        displayCurrency: data.displayCurrency || null
       };
 
       const response = await api.put('/auth/profile', updateData);
@@ -242,6 +247,10 @@ const ProfilePage = () => {
                       </div>
                       <div className="fw-semibold">{authUser.phoneNumber || 'Not provided'}</div>
                     </Col>
+                    <Col md={6} className="mb-3">
+                      <div className="text-muted small mb-1">Display Currency</div>
+                      <div className="fw-semibold">{authUser.displayCurrency || 'Listing currency only'}</div>
+                    </Col>
                   </Row>
 
                   <hr className="my-4" />
@@ -332,6 +341,19 @@ const ProfilePage = () => {
                     </Form.Text>
                   </Form.Group>
 
+                  <Form.Group className="mb-3" controlId="profileDisplayCurrency">
+                    <Form.Label className="fw-semibold">Display Currency</Form.Label>
+                    <Form.Select {...register('displayCurrency')}>
+                      <option value="">Listing currency only</option>
+                      {Object.entries(currencies).map(([code, { name }]) => (
+                        <option key={code} value={code}>{code}: {name}</option>
+                      ))}
+                    </Form.Select>
+                    <Form.Text className="text-muted">
+                      Prices in other currencies also show an approximate amount in this one
+                    </Form.Text>
+                  </Form.Group>
+
                   <hr className="my-4" />
 
                   <h5 className="fw-bold mb-3">Address Information</h5>
@@ -0,0 +1,284 @@
+/**
+ * @file ShillFlagsPage.jsx
+ * @description Admin review queue for suspected shill bidding. Lists the flags raised by the
+ * analyzer, highest score first, and opens each one with its evidence so the admin can confirm it,
+ * optionally suspending the bidder, or dismiss it, restoring bidding the flag suspended.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Badge, Alert, Button, ButtonGroup, Modal, Form, Table } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import { Link } from 'react-router-dom';
+import { FaUserSecret } from 'react-icons/fa';
+import api from '../services/api.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import { useAuthContext } from '../hooks/useAuth.js';
+import { formatDateTime } from '../utils/formatters.js';
+
+const FLAG_KIND_LABELS = {
+  'shared-ip-with-seller': 'Shares IP with seller',
+  'single-seller-bidder': 'Only bids on one seller',
+  'bid-and-retract': 'Raises and retracts',
+  'coordinated-new-accounts': 'Coordinated new accounts'
+};
+
+const STATUS_VIEWS = [
+  { status: 'open', label: 'Open' },
+  { status: 'confirmed', label: 'Confirmed' },
+  { status: 'dismissed', label: 'Dismissed' }
+];
+
+const EMPTY_REVIEW_FORM = { note: '', suspendBidding: false };
+
+/**
+ * @function getScoreVariant
+ * @param {number} score - Flag score from 0 to 100.
+ * @returns {string} Bootstrap variant for the score badge.
+ */
+const getScoreVariant = (score) => {
+  if (score >= 85) return 'danger';
+  if (score >= 65) return 'warning';
+  return 'secondary';
+};
+
+/**
+ * @component ShillFlagsPage
+ * @returns {JSX.Element}
+ */
+const ShillFlagsPage = () => {
+  const { authUser } = useAuthContext();
+  const isAdmin = authUser?.role === 'admin';
+  const [status, setStatus] = useState('open');
+  const [flags, setFlags] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [reviewingFlag, setReviewingFlag] = useState(null);
+  const [reviewForm, setReviewForm] = useState(EMPTY_REVIEW_FORM);
+
+  const fetchFlags = async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.get('/shill-flags', { params: { status } });
+      setFlags(response.data.flags);
+    } catch (error) {
+      toast.error('Failed to load flags.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchFlags();
+    }
+  }, [status, isAdmin]);
+
+  const handleRunAnalysis = async () => {
+    setIsRunning(true);
+    try {
+      const response = await api.post('/shill-flags/run');
+      toast.success(response.data.message);
+      if (status === 'open') {
+        fetchFlags();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to run the analyzer.');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const openReview = async (flagId) => {
+    try {
+      const response = await api.get(`/shill-flags/${flagId}`);
+      setReviewForm(EMPTY_REVIEW_FORM);
+      setReviewingFlag(response.data.flag);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load flag.');
+    }
+  };
+
+  const submitReview = async (decision) => {
+    setIsSubmitting(true);
+    try {
+      const response = await api.post(`/shill-flags/${reviewingFlag._id}/review`, {
+        decision,
+        note: reviewForm.note,
+        ...(decision === 'confirm' && { suspendBidding: reviewForm.suspendBidding })
+      });
+      setFlags((previousFlags) => previousFlags.filter((flag) => flag._id !== reviewingFlag._id));
+      toast.success(response.data.message);
+      setReviewingFlag(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review flag.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <Alert variant="warning" className="text-center py-5">
+        Only admins can review shill-bidding flags.
+      </Alert>
+    );
+  }
+
+  const isBidderSuspended = Boolean(reviewingFlag?.bidderId?.biddingSuspension?.suspendedAt);
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4 flex-wrap gap-3">
+        <div>
+          <h1 className="display-6 fw-bold mb-2">
+            <FaUserSecret className="me-2 text-primary" />
+            Shill-Bidding Flags
+          </h1>
+          <p className="lead mb-0" style={{ color: 'var(--text-secondary)' }}>
+            Suspicious bidding found by the analyzer, highest score first.
+          </p>
+        </div>
+        <div className="d-flex gap-2 flex-wrap">
+          <ButtonGroup>
+            {STATUS_VIEWS.map((view) => (
+              <Button
+                key={view.status}
+                variant={status === view.status ? 'primary' : 'outline-primary'}
+                onClick={() => setStatus(view.status)}
+              >
+                {view.label}
+              </Button>
+            ))}
+          </ButtonGroup>
+          <Button variant="outline-secondary" onClick={handleRunAnalysis} disabled={isRunning}>
+            {isRunning ? 'Analyzing...' : 'Run Analysis Now'}
+          </Button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '40vh' }}>
+          <LoadingSpinner />
+        </div>
+      ) : flags.length === 0 ? (
+        <Alert variant="info" className="text-center py-5">
+          <FaUserSecret size={48} className="mb-3 text-muted" />
+          <h4>{status === 'open' ? 'Nothing to review' : `No ${status} flags`}</h4>
+        </Alert>
+      ) : (
+        flags.map((flag) => (
+          <Card key={flag._id} className="border-0 shadow-sm mb-3">
+            <Card.Body>
+              <div className="d-flex justify-content-between align-items-start gap-3 flex-wrap">
+                <div>
+                  <div className="d-flex align-items-center gap-2 mb-1 flex-wrap">
+                    <Badge bg={getScoreVariant(flag.score)}>{flag.score}</Badge>
+                    <span className="fw-semibold">{FLAG_KIND_LABELS[flag.kind]}</span>
+                    {flag.autoSuspended && <Badge bg="dark">Auto-suspended</Badge>}
+                    {flag.bidderId?.biddingSuspension?.suspendedAt && !flag.autoSuspended && (
+                      <Badge bg="dark">Suspended</Badge>
+                    )}
+                  </div>
+                  <div className="fs-5">
+                    {flag.bidderId?.username || 'Deleted user'} bidding on {flag.sellerId?.username || 'deleted seller'}'s items
+                  </div>
+                  <div>{flag.summary}</div>
+                  <div className="small text-muted">
+                    {flag.itemIds.length} item{flag.itemIds.length === 1 ? '' : 's'}
+                    {flag.relatedUserIds.length > 0 && <> · with {flag.relatedUserIds.map((user) => user.username).join(', ')}</>}
+                    {' · '}last seen {formatDateTime(flag.lastDetectedAt)}
+                    {flag.reviewedAt && <> · reviewed by {flag.reviewedBy?.username} {formatDateTime(flag.reviewedAt)}</>}
+                  </div>
+                  {flag.reviewNote && <div className="small mt-1">{flag.reviewNote}</div>}
+                </div>
+                <Button size="sm" variant={flag.status === 'open' ? 'primary' : 'outline-secondary'} onClick={() => openReview(flag._id)}>
+                  {flag.status === 'open' ? 'Review' : 'Evidence'}
+                </Button>
+              </div>
+            </Card.Body>
+          </Card>
+        ))
+      )}
+
+      <Modal show={Boolean(reviewingFlag)} onHide={() => setReviewingFlag(null)} size="lg" centered>
+        <Modal.Header closeButton>
+          <Modal.Title className="fw-bold">
+            {FLAG_KIND_LABELS[reviewingFlag?.kind]}: {reviewingFlag?.bidderId?.username}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="mb-1">{reviewingFlag?.summary}</p>
+          <p className="small text-muted">
+            {reviewingFlag?.bidderId?.createdAt && <>Account created {formatDateTime(reviewingFlag.bidderId.createdAt)} · </>}
+            seller {reviewingFlag?.sellerId?.username}
+            {isBidderSuspended && <> · <strong>bidding suspended</strong></>}
+          </p>
+          <Table responsive size="sm" className="align-middle small">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Evidence</th>
+                <th>IP Address</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reviewingFlag?.evidence.map((entry, index) => (
+                <tr key={entry.bidId || index}>
+                  <td className="text-nowrap">{formatDateTime(entry.at)}</td>
+                  <td>
+                    {entry.itemId ? <Link to={`/items/${entry.itemId}`}>{entry.note}</Link> : entry.note}
+                  </td>
+                  <td className="text-nowrap">{entry.ipAddress || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {reviewingFlag?.status === 'open' && (
+            <>
+              <Form.Group controlId="shillReviewNote" className="mb-3">
+                <Form.Label className="fw-semibold">Review note</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  value={reviewForm.note}
+                  onChange={(event) => setReviewForm((previous) => ({ ...previous, note: event.target.value }))}
+                  maxLength={1000}
+                />
+              </Form.Group>
+              {!isBidderSuspended && (
+                <Form.Check
+                  id="shillReviewSuspend"
+                  type="checkbox"
+                  label="Suspend this bidder's bidding when confirming"
+                  checked={reviewForm.suspendBidding}
+                  onChange={(event) => setReviewForm((previous) => ({ ...previous, suspendBidding: event.target.checked }))}
+                />
+              )}
+              {reviewingFlag.autoSuspended && (
+                <div className="small text-muted">Dismissing this flag restores the bidding it suspended.</div>
+              )}
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReviewingFlag(null)}>
+            Close
+          </Button>
+          {reviewingFlag?.status === 'open' && (
+            <>
+              <Button variant="outline-success" disabled={isSubmitting} onClick={() => submitReview('dismiss')}>
+                Dismiss
+              </Button>
+              <Button variant="danger" disabled={isSubmitting} onClick={() => submitReview('confirm')}>
+                Confirm
+              </Button>
+            </>
+          )}
+        </Modal.Footer>
+      </Modal>
+    </div>
+  );
+};
+
+export default ShillFlagsPage;
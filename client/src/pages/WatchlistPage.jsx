@@ -68,7 +68,8 @@ const WatchlistPage = () => {
                 ...item,
                 currentPrice: payload.newPrice,
                 totalBids: payload.totalBids,
-                highestBidder: payload.bidderId
+                highestBidder: payload.bidderId,
+                buyNowAvailable: payload.buyNowAvailable ?? item.buyNowAvailable
               }
             : item
         )
@@ -82,19 +83,35 @@ const WatchlistPage = () => {
             ? {
                 ...item,
                 status: 'ended',
-                isAuctionOver: true
+                isAuctionOver: true,
+                buyNowAvailable: false
               }
             : item
         )
       );
     };
 
+    const handleAuctionStarted = (payload) => {
+      setWatchlist((prevItems) =>
+        prevItems.map((item) => {
+          if (item._id !== payload.itemId) {
+            return item;
+          }
+          // Fixed toastId keeps StrictMode's double-invoked updater from showing two toasts
+          toast.info(`Bidding is now open on ${item.title}!`, { toastId: `auction-started-${item._id}` });
+          return { ...item, status: 'active' };
+        })
+      );
+    };
+
     socket.on('new-bid-placed', handleBidUpdate);
     socket.on('auction-ended', handleAuctionEnded);
+    socket.on('auction-started', handleAuctionStarted);
 
     return () => {
       socket.off('new-bid-placed', handleBidUpdate);
       socket.off('auction-ended', handleAuctionEnded);
+      socket.off('auction-started', handleAuctionStarted);
     };
   }, [socket, isConnected]);
 
@@ -0,0 +1,43 @@
+/**
+ * @file buyerCharges.js
+ * @description Client-side estimate of what a winning bid costs all-in. Mirrors the server's
+ * calculation: the buyer's premium is applied marginally across its tiers and sales tax is charged
+ * on hammer plus premium. The amounts recorded by the server at close are authoritative.
+ */
+
+/**
+ * @function roundToCents
+ * @param {number} amount - Dollar amount.
+ * @returns {number}
+ */
+const roundToCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @function estimateBuyerCharges
+ * @param {number} hammerPrice - Bid amount for the whole purchase.
+ * @param {{ premiumTiers: Array<{ upTo: number|null, percent: number }>, taxRatePercent: number }} fees - Fees returned by the buyer-charges endpoint.
+ * @returns {{ hammerPrice: number, buyersPremium: number, tax: number, total: number }}
+ */
+export const estimateBuyerCharges = (hammerPrice, { premiumTiers = [], taxRatePercent = 0 }) => {
+  let premium = 0;
+  let bandStart = 0;
+  for (const tier of premiumTiers) {
+    const bandEnd = tier.upTo === null ? hammerPrice : Math.min(hammerPrice, tier.upTo);
+    if (bandEnd > bandStart) {
+      premium += (bandEnd - bandStart) * (tier.percent / 100);
+    }
+    if (tier.upTo === null || hammerPrice <= tier.upTo) {
+      break;
+    }
+    bandStart = tier.upTo;
+  }
+
+  const buyersPremium = roundToCents(premium);
+  const tax = roundToCents((hammerPrice + buyersPremium) * (taxRatePercent / 100));
+  return {
+    hammerPrice: roundToCents(hammerPrice),
+    buyersPremium,
+    tax,
+    total: roundToCents(hammerPrice + buyersPremium + tax)
+  };
+};
@@ -6,11 +6,52 @@
 
 /**
  * @function formatCurrency
- * @param {number} value - Numeric amount to format as USD.
+ * @param {number} value - Numeric amount to format.
+ * @param {string} [currency='USD'] - ISO 4217 code of the amount, e.g. the listing's currency.
  * @returns {string}
  */
-export const formatCurrency = (value) =>
-  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value || 0);
+export const formatCurrency = (value, currency = 'USD') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(value || 0);
+
+/**
+ * @function getCurrencySymbol
+ * @param {string} [currency='USD'] - ISO 4217 code.
+ * @returns {string} e.g. "£" for input group prefixes.
+ */
+export const getCurrencySymbol = (currency = 'USD') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' })
+    .formatToParts(0)
+    .find((part) => part.type === 'currency')?.value || '$';
+
+/**
+ * @function formatIncrementTiers
+ * @param {Array<{ upTo: number|null, increment: number }>} tiers - Sorted bid increment tiers.
+ * @param {string} [currency='USD'] - Listing currency.
+ * @returns {string} e.g. "$1.00 under $50.00, $5.00 above".
+ */
+export const formatIncrementTiers = (tiers = [], currency = 'USD') =>
+  tiers
+    .map((tier) => (tier.upTo === null || tier.upTo === undefined || tier.upTo === ''
+      ? `${formatCurrency(tier.increment, currency)} above`
+      : `${formatCurrency(tier.increment, currency)} under ${formatCurrency(tier.upTo, currency)}`))
+    .join(', ');
+
+/**
+ * @function formatPremiumTiers
+ * @param {Array<{ upTo: number|null, percent: number }>} tiers - Sorted buyer's premium tiers.
+ * @param {string} [currency='USD'] - Currency of the tier bounds.
+ * @returns {string} e.g. "25% up to $1,000.00, 20% above".
+ */
+export const formatPremiumTiers = (tiers = [], currency = 'USD') => {
+  if (tiers.length === 1) {
+    return `${tiers[0].percent}%`;
+  }
+  return tiers
+    .map((tier) => (tier.upTo === null || tier.upTo === undefined
+      ? `${tier.percent}% above`
+      : `${tier.percent}% up to ${formatCurrency(tier.upTo, currency)}`))
+    .join(', ');
+};
 
 /**
  * @function formatDateTime
@@ -48,3 +89,14 @@ export const formatRelativeTime = (value) => {
   const days = Math.round(diffInMs / (1000 * 60 * 60 * 24));
   return formatter.format(days, 'day');
 };
+
+/**
+ * @function formatDateTimeInput
+ * @param {string|Date|number} value - Date to show in a `datetime-local` input.
+ * @returns {string} Local time as `YYYY-MM-DDTHH:mm`.
+ */
+export const formatDateTimeInput = (value) => {
+  const date = new Date(value);
+  const offsetInMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetInMs).toISOString().slice(0, 16);
+};
@@ -0,0 +1,208 @@
+/**
+ * @file auctionEvent.controller.js
+ * @description Controllers for catalogued auction events: creating a sale, assigning items as
+ * numbered lots and serving the public catalog. Lot closing times follow the event's stagger;
+ * the auction scheduler keeps later lots behind earlier ones when soft close extends them.
+ */
+
+import AuctionEvent from '../models/AuctionEvent.js';
+import Item from '../models/Item.js';
+import { parsePremiumTiers } from '../utils/buyerCharges.js';
+import { BASE_CURRENCY } from '../utils/money.js';
+
+/**
+ * @function assignLots
+ * @description Appends items to an event as the next numbered lots. Each lot opens with the event
+ * and closes at its staggered slot. The caller validates ownership and eligibility first.
+ * @param {import('mongoose').Document} auctionEvent - Event receiving the lots.
+ * @param {Array<import('mongoose').Document>} items - Items in lot order.
+ * @returns {Promise<void>}
+ */
+const assignLots = async (auctionEvent, items) => {
+  for (const item of items) {
+    auctionEvent.lotCount += 1;
+    item.eventId = auctionEvent._id;
+    item.lotNumber = auctionEvent.lotCount;
+    item.startTime = auctionEvent.startTime;
+    item.endTime = auctionEvent.getLotEndTime(item.lotNumber);
+    item.status = 'upcoming';
+    await item.save();
+  }
+  await auctionEvent.save();
+};
+
+/**
+ * @function findEligibleLots
+ * @description Loads the items an organizer wants to add as lots and reports the first reason any
+ * of them cannot join the event.
+ * @param {Array<string>} itemIds - Requested item identifiers, in lot order.
+ * @param {import('mongoose').Types.ObjectId} organizerId - Event organizer.
+ * @param {string} currency - Currency of the event, which every lot must be priced in.
+ * @returns {Promise<{ items: Array<import('mongoose').Document>, error: string|null }>}
+ */
+const findEligibleLots = async (itemIds, organizerId, currency) => {
+  const uniqueIds = [...new Set(itemIds.map(String))];
+  const foundItems = await Item.find({ _id: { $in: uniqueIds } });
+  const itemsById = new Map(foundItems.map((item) => [item._id.toString(), item]));
+
+  const items = [];
+  for (const itemId of uniqueIds) {
+    const item = itemsById.get(itemId);
+    if (!item) {
+      return { items: [], error: 'One or more lots could not be found.' };
+    }
+    if (item.sellerId.toString() !== organizerId.toString()) {
+      return { items: [], error: `"${item.title}" belongs to another seller.` };
+    }
+    if (item.eventId) {
+      return { items: [], error: `"${item.title}" is already a lot in an event.` };
+    }
+    if (item.totalBids > 0 || !['upcoming', 'active'].includes(item.status)) {
+      return { items: [], error: `"${item.title}" has already received bids or closed.` };
+    }
+    if (item.currency !== currency) {
+      return { items: [], error: `"${item.title}" is priced in ${item.currency} but this sale is in ${currency}.` };
+    }
+    items.push(item);
+  }
+
+  return { items, error: null };
+};
+
+/**
+ * @function createAuctionEvent
+ * @description Creates an auction event organized by the authenticated user, optionally assigning
+ * an ordered list of their items as lots.
+ * @param {import('express').Request} req - Express request with event fields and optional `itemIds`.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const createAuctionEvent = async (req, res) => {
+  try {
+    const { title, description, previewStart, startTime, firstLotEndTime, lotStaggerSeconds, buyersPremiumTiers, approvalThreshold, approvalDeposit, currency = BASE_CURRENCY, itemIds = [] } = req.body;
+
+    if (new Date(startTime) <= new Date()) {
+      return res.status(400).json({ message: 'Bidding must open in the future.' });
+    }
+
+    const { items, error } = await findEligibleLots(itemIds, req.user._id, currency);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const auctionEvent = new AuctionEvent({
+      title,
+      description,
+      organizerId: req.user._id,
+      previewStart: previewStart || new Date(),
+      startTime,
+      firstLotEndTime,
+      lotStaggerSeconds,
+      currency,
+      buyersPremiumTiers: buyersPremiumTiers ? parsePremiumTiers(buyersPremiumTiers) : undefined,
+      approvalThreshold: approvalThreshold ? Number(approvalThreshold) : null,
+      approvalDeposit: approvalDeposit ? Number(approvalDeposit) : null
+    });
+    await auctionEvent.validate();
+    await assignLots(auctionEvent, items);
+
+    res.status(201).json({ message: 'Auction event created successfully.', event: auctionEvent });
+  } catch (createError) {
+    if (createError.name === 'ValidationError') {
+      return res.status(400).json({ message: createError.message });
+    }
+    console.error('Error creating auction event:', createError);
+    res.status(500).json({ message: 'Server error while creating auction event.' });
+  }
+};
+
+/**
+ * @function addEventLots
+ * @description Appends more of the organizer's items to an event that has not opened yet.
+ * @param {import('express').Request} req - Express request with event `id` param and `itemIds`.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const addEventLots = async (req, res) => {
+  try {
+    const auctionEvent = await AuctionEvent.findById(req.params.id);
+    if (!auctionEvent) {
+      return res.status(404).json({ message: 'Auction event not found.' });
+    }
+
+    if (auctionEvent.organizerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the organizer can add lots to this event.' });
+    }
+
+    if (auctionEvent.status !== 'scheduled' || auctionEvent.startTime <= new Date()) {
+      return res.status(400).json({ message: 'Lots cannot be added once bidding has opened.' });
+    }
+
+    const { items, error } = await findEligibleLots(req.body.itemIds, req.user._id, auctionEvent.currency);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await assignLots(auctionEvent, items);
+
+    res.status(200).json({
+      message: `${items.length} ${items.length === 1 ? 'lot' : 'lots'} added.`,
+      event: auctionEvent
+    });
+  } catch (addError) {
+    console.error('Error adding event lots:', addError);
+    res.status(500).json({ message: 'Server error while adding event lots.' });
+  }
+};
+
+/**
+ * @function getAuctionEvents
+ * @description Lists events whose catalog has been published, soonest first.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getAuctionEvents = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filters = { previewStart: { $lte: new Date() } };
+
+    if (status) {
+      filters.status = status;
+    }
+
+    const events = await AuctionEvent.find(filters)
+      .populate('organizerId', 'username')
+      .sort({ startTime: 1 });
+
+    res.status(200).json({ events });
+  } catch (listError) {
+    console.error('Error fetching auction events:', listError);
+    res.status(500).json({ message: 'Server error while retrieving auction events.' });
+  }
+};
+
+/**
+ * @function getAuctionEventById
+ * @description Returns an event's catalog: the event and its lots in lot order. Catalogs are
+ * hidden until their preview starts.
+ * @param {import('express').Request} req - Express request with event `id` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getAuctionEventById = async (req, res) => {
+  try {
+    const auctionEvent = await AuctionEvent.findById(req.params.id).populate('organizerId', 'username');
+
+    if (!auctionEvent || auctionEvent.previewStart > new Date()) {
+      return res.status(404).json({ message: 'Auction event not found.' });
+    }
+
+    const lots = await Item.find({ eventId: auctionEvent._id }).sort({ lotNumber: 1 });
+
+    res.status(200).json({ event: auctionEvent, lots });
+  } catch (fetchError) {
+    console.error('Error fetching auction event:', fetchError);
+    res.status(500).json({ message: 'Server error while retrieving auction event.' });
+  }
+};
@@ -7,6 +7,7 @@
 import User from '../models/User.js';
 import generateTokenAndSetCookie from '../utils/generateToken.js';
 import cloudinary from '../utils/cloudinary.js';
+import { isSupportedCurrency } from '../utils/money.js';
 
 /**
  * @function registerUser
@@ -24,6 +25,8 @@ export const registerUser = async (req, res) => {
     // instead of failing registration. This removes friction in first-time demos.
     const existingUserByEmail = await User.findOne({ email });
     if (existingUserByEmail) {
+      existingUserByEmail.recordSignInAddress(req.ip);
+      await existingUserByEmail.save();
       generateTokenAndSetCookie(existingUserByEmail._id.toString(), res);
       const { password: _password, ...userWithoutPassword } = existingUserByEmail.toObject();
       return res.status(200).json({
@@ -45,7 +48,8 @@ export const registerUser = async (req, res) => {
       password,
       role: 'user',
       phoneNumber,
-      address
+      address,
+      signInAddresses: req.ip ? [{ address: req.ip }] : []
     });
 
     generateTokenAndSetCookie(newUser._id.toString(), res);
@@ -86,6 +90,7 @@ export const loginUser = async (req, res) => {
     }
 
     user.lastLogin = new Date();
+    user.recordSignInAddress(req.ip);
     await user.save();
 
     generateTokenAndSetCookie(user._id.toString(), res);
@@ -147,7 +152,7 @@ export const updateUserProfile = async (req, res) => {
       return res.status(401).json({ message: 'Authentication required.' });
     }
 
-    const { username, email, phoneNumber, address, profileImage } = req.body;
+    const { username, email, phoneNumber, address, profileImage, displayCurrency } = req.body;
 
     const user = await User.findById(req.user._id);
 
@@ -185,6 +190,13 @@ export const updateUserProfile = async (req, res) => {
       user.profileImage = profileImage || null;
     }
 
+    if (displayCurrency !== undefined) {
+      if (displayCurrency && !isSupportedCurrency(displayCurrency)) {
+        return res.status(400).json({ message: 'Display currency is not supported.' });
+      }
+      user.displayCurrency = displayCurrency || null;
+    }
+
     await user.save();
 
     const { password: _password, ...userWithoutPassword } = user.toObject();
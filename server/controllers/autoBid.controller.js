@@ -1,17 +1,26 @@
 /**
  * @file autoBid.controller.js
  * @description Controllers for auto-bidding/proxy bidding functionality.
- * Allows users to set maximum bid amounts and automatically bid on their behalf.
+ * Allows users to set maximum bid amounts and automatically bid on their behalf. Maximums left on
+ * upcoming items are absentee bids and are executed when bidding opens.
  */
 
 import mongoose from 'mongoose';
 import AutoBid from '../models/AutoBid.js';
 import Item from '../models/Item.js';
 import Bid from '../models/Bid.js';
+import { sendEmail } from '../utils/mailer.js';
+import { checkBidderEligibility } from '../utils/bidderApprovals.js';
+import { getBiddingSuspensionError } from '../utils/shillDetection.js';
+import { formatMoney } from '../utils/money.js';
+import { reopenFloorBidding } from '../utils/floorAuction.js';
 
 /**
  * @function setAutoBid
- * @description Creates or updates an auto-bid for a user on a specific item.
+ * @description Creates or updates an auto-bid for a user on a specific item. On upcoming items the
+ * maximum is registered as an absentee bid; editing it before the auction opens keeps its place in
+ * the priority order. A maximum that needs approval or exceeds the bidder's credit limit is
+ * refused with 403 and the same codes as placing a bid, as are maximums set by suspended users.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @returns {Promise<void>}
@@ -23,14 +32,28 @@ export const setAutoBid = async (req, res) => {
 
     // Validate item exists and is active
     const item = await Item.findById(itemId);
-    if (!item) {
+    if (!item || item.status === 'draft') {
       return res.status(404).json({ message: 'Auction item not found.' });
     }
 
-    if (item.status !== 'active' || item.isAuctionOver) {
+    const isAbsentee = item.status === 'upcoming';
+
+    if (!isAbsentee && (item.status !== 'active' || item.isAuctionOver)) {
       return res.status(400).json({ message: 'This auction is no longer active.' });
     }
 
+    if (item.isMultiUnit) {
+      return res.status(400).json({ message: 'Auto-bidding is not available for multi-unit auctions.' });
+    }
+
+    if (item.isSealed()) {
+      return res.status(400).json({ message: 'Auto-bidding is not available for sealed-bid auctions.' });
+    }
+
+    if (item.isReverse()) {
+      return res.status(400).json({ message: 'Auto-bidding is not available for reverse listings.' });
+    }
+
     // Prevent seller from auto-bidding on their own item
     if (item.sellerId.toString() === userId.toString()) {
       return res.status(400).json({ message: 'You cannot auto-bid on your own items.' });
@@ -38,27 +61,54 @@ export const setAutoBid = async (req, res) => {
 
     // Validate max bid amount
     const numericMaxBid = Number(maxBidAmount);
-    const minimumBid = item.currentPrice + item.bidIncrement;
+    const minimumBid = item.getMinimumNextBid();
 
     if (!Number.isFinite(numericMaxBid) || numericMaxBid < minimumBid) {
       return res.status(400).json({
-        message: `Maximum bid must be at least $${minimumBid}.`
+        message: `Maximum bid must be at least ${formatMoney(minimumBid, item.currency)}.`
       });
     }
 
+    const suspensionError = getBiddingSuspensionError(req.user);
+    if (suspensionError) {
+      return res.status(403).json(suspensionError);
+    }
+
+    // The whole maximum counts against the approval threshold and the credit limit
+    const { error: eligibilityError } = await checkBidderEligibility({ user: req.user, item, amount: numericMaxBid });
+    if (eligibilityError) {
+      return res.status(403).json(eligibilityError);
+    }
+
+    // Absentee bids are executed by registration time, so editing a pending one keeps its priority
+    const existingAutoBid = await AutoBid.findOne({ itemId, userId, isActive: true });
+    const keepsPriority = isAbsentee && existingAutoBid?.isAbsentee;
+
     // Create or update auto-bid
     const autoBid = await AutoBid.findOneAndUpdate(
       { itemId, userId },
       {
         maxBidAmount: numericMaxBid,
-        isActive: true
+        isActive: true,
+        ...(!keepsPriority && { maxSetAt: new Date(), isAbsentee })
       },
       { upsert: true, new: true, runValidators: true }
     );
 
+    if (isAbsentee) {
+      return res.status(200).json({
+        message: 'Absentee bid registered. It will be executed when bidding opens.',
+        autoBid
+      });
+    }
+
+    // Resolve the new maximum against the standing bid and any competing auto-bids right away
+    await processAutoBidding(itemId, req.app.get('socketio'));
+    const resolvedAutoBid = await AutoBid.findById(autoBid._id);
+
     res.status(200).json({
       message: 'Auto-bid set successfully.',
-      autoBid
+      autoBid: resolvedAutoBid
     });
   } catch (error) {
     console.error('Error setting auto-bid:', error);
@@ -133,7 +183,7 @@ export const getUserAutoBids = async (req, res) => {
     const userId = req.user._id;
 
     const autoBids = await AutoBid.find({ userId, isActive: true })
-      .populate('itemId', 'title currentPrice endTime status isAuctionOver')
+      .populate('itemId', 'title currency currentPrice endTime status isAuctionOver')
       .sort({ createdAt: -1 });
 
     res.status(200).json({
@@ -146,118 +196,259 @@ export const getUserAutoBids = async (req, res) => {
   }
 };
 
+/**
+ * @function getUserAbsenteeBids
+ * @description Lists the authenticated user's absentee bids on items that have not opened yet,
+ * soonest opening first.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<void>}
+ */
+export const getUserAbsenteeBids = async (req, res) => {
+  try {
+    const absenteeBids = await AutoBid.find({ userId: req.user._id, isActive: true, isAbsentee: true })
+      .populate({
+        path: 'itemId',
+        select: 'title images currency startingPrice currentPrice startTime endTime status eventId lotNumber',
+        populate: { path: 'eventId', select: 'title' }
+      });
+
+    const pendingBids = absenteeBids
+      .filter((absenteeBid) => absenteeBid.itemId?.status === 'upcoming')
+      .sort((a, b) => new Date(a.itemId.startTime) - new Date(b.itemId.startTime));
+
+    res.status(200).json({
+      absenteeBids: pendingBids,
+      totalAbsenteeBids: pendingBids.length
+    });
+  } catch (error) {
+    console.error('Error retrieving absentee bids:', error);
+    res.status(500).json({ message: 'Server error while retrieving absentee bids.' });
+  }
+};
+
 /**
  * @function processAutoBidding
- * @description Internal function called after each bid to trigger auto-bidding logic.
- * Finds active auto-bids for the item and places automatic counter-bids.
+ * @description Proxy bidding engine. Resolves every active auto-bid on an item in a single
+ * transaction: the highest maximum wins (earliest maximum on ties) at the runner-up's maximum plus
+ * one increment from the listing's tier table, capped at the winner's own maximum. Each
+ * intermediate bid is recorded with `isAutoBid`, one consolidated socket update is emitted and
+ * users whose maximum was exceeded are notified by email.
  * @param {string} itemId - The auction item ID.
- * @param {string} latestBidderId - User ID of the latest bidder.
- * @param {number} currentPrice - Current price of the item.
  * @param {object} socketIo - Socket.io instance for real-time updates.
  * @returns {Promise<void>}
  */
-export const processAutoBidding = async (itemId, latestBidderId, currentPrice, socketIo) => {
+export const processAutoBidding = async (itemId, socketIo) => {
+  const session = await mongoose.startSession();
+
   try {
-    const session = await mongoose.startSession();
     session.startTransaction();
 
-    // Get item details
     const item = await Item.findById(itemId).session(session);
-    if (!item || item.status !== 'active' || item.isAuctionOver) {
+    if (!item || item.status !== 'active' || item.isAuctionOver || item.isMultiUnit || item.isSealed() || item.isReverse() || (!item.isFloorControlled && new Date() >= item.endTime)) {
       await session.abortTransaction();
-      session.endSession();
       return;
     }
 
-    // Find all active auto-bids for this item, excluding the latest bidder
-    const autoBids = await AutoBid.find({
-      itemId,
-      userId: { $ne: latestBidderId },
-      isActive: true,
-      maxBidAmount: { $gt: currentPrice }
-    })
-      .sort({ maxBidAmount: -1 })
+    const autoBids = await AutoBid.find({ itemId, isActive: true })
+      .populate('userId', 'username email')
       .session(session);
 
     if (autoBids.length === 0) {
-      await session.commitTransaction();
-      session.endSession();
+      await session.abortTransaction();
       return;
     }
 
-    // Find the highest auto-bid
-    const highestAutoBid = autoBids[0];
-    const nextBidAmount = currentPrice + item.bidIncrement;
-
-    // Check if auto-bid can afford the next bid
-    if (highestAutoBid.maxBidAmount >= nextBidAmount) {
-      // Place automatic bid
-      const autoBidDocument = await Bid.create([{
-        itemId,
-        bidderId: highestAutoBid.userId,
-        bidAmount: nextBidAmount,
-        previousPrice: currentPrice,
-        isAutoBid: true
-      }], { session });
+    const previousPrice = item.currentPrice;
+    const previousLeaderId = item.highestBidder ? item.highestBidder.toString() : null;
+    const minimumNextBid = item.getMinimumNextBid(previousPrice);
+
+    // Every auto-bidder competes with their maximum. The standing leader competes with the current
+    // price (or their own maximum, if higher) and the time they took the lead.
+    const contenders = autoBids.map((autoBid) => {
+      const userId = autoBid.userId._id.toString();
+      return {
+        userId,
+        username: autoBid.userId.username,
+        email: autoBid.userId.email,
+        maxAmount: userId === previousLeaderId ? Math.max(autoBid.maxBidAmount, previousPrice) : autoBid.maxBidAmount,
+        setAt: autoBid.maxSetAt || autoBid.createdAt,
+        autoBid
+      };
+    });
 
-      // Update item
-      item.currentPrice = nextBidAmount;
-      item.highestBidder = highestAutoBid.userId;
-      item.totalBids += 1;
-      item.updatedAt = new Date();
-      await item.save({ session });
+    if (previousLeaderId && !contenders.some((contender) => contender.userId === previousLeaderId)) {
+      const leaderBid = await Bid.findOne({ itemId, bidderId: previousLeaderId, isRetracted: false })
+        .sort({ timestamp: -1 })
+        .populate('bidderId', 'username email')
+        .session(session);
+      contenders.push({
+        userId: previousLeaderId,
+        username: leaderBid?.bidderId?.username,
+        email: leaderBid?.bidderId?.email,
+        maxAmount: previousPrice,
+        setAt: leaderBid?.timestamp || item.updatedAt,
+        autoBid: null
+      });
+    }
 
-      // Update auto-bid current amount
-      highestAutoBid.currentAutoBidAmount = nextBidAmount;
-      await highestAutoBid.save({ session });
+    contenders.sort((a, b) => b.maxAmount - a.maxAmount || new Date(a.setAt) - new Date(b.setAt));
+    const [winner, runnerUp] = contenders;
+    const winnerIsLeader = winner.userId === previousLeaderId;
 
-      await session.commitTransaction();
+    // The leader is safe unless someone else can still make a valid bid
+    if (winnerIsLeader && (!runnerUp || runnerUp.maxAmount < minimumNextBid)) {
+      await session.abortTransaction();
+      return;
+    }
+    // Nobody leads yet and the only auto-bid cannot cover the opening bid
+    if (!previousLeaderId && winner.maxAmount < minimumNextBid) {
+      await session.abortTransaction();
+      return;
+    }
 
-      // Emit socket event for auto-bid
-      const populatedBid = await Bid.findById(autoBidDocument[0]._id)
-        .populate('bidderId', 'username');
+    const targetPrice = runnerUp ? Math.max(minimumNextBid, item.getMinimumNextBid(runnerUp.maxAmount)) : minimumNextBid;
+    const finalPrice = Math.min(winner.maxAmount, targetPrice);
+
+    // Losing auto-bidders bid up to their maximum, lowest first, wherever that is still a valid raise
+    const bidTime = new Date();
+    const placedBids = [];
+    let runningPrice = previousPrice;
+
+    const losingAutoBidders = contenders
+      .slice(1)
+      .filter((contender) => contender.autoBid)
+      .sort((a, b) => a.maxAmount - b.maxAmount);
+
+    for (const contender of losingAutoBidders) {
+      if (contender.maxAmount < item.getMinimumNextBid(runningPrice)) {
+        continue;
+      }
+      placedBids.push({ contender, bidAmount: contender.maxAmount, previousPrice: runningPrice });
+      runningPrice = contender.maxAmount;
+    }
+    placedBids.push({ contender: winner, bidAmount: finalPrice, previousPrice: runningPrice });
 
-      const autoBidData = {
+    // Sequential creates: a transaction session cannot run operations in parallel
+    for (const placedBid of placedBids) {
+      const [bidDocument] = await Bid.create([{
         itemId,
-        newPrice: nextBidAmount,
-        previousPrice: currentPrice,
-        bidderId: highestAutoBid.userId,
-        bidderUsername: populatedBid.bidderId.username,
-        totalBids: item.totalBids,
-        bidIncrement: item.bidIncrement,
-        timestamp: autoBidDocument[0].timestamp,
-        bidId: autoBidDocument[0]._id,
-        isAutoBid: true
-      };
+        bidderId: placedBid.contender.userId,
+        bidAmount: placedBid.bidAmount,
+        previousPrice: placedBid.previousPrice,
+        isAutoBid: true,
+        maxAutoBidAmount: placedBid.contender.autoBid.maxBidAmount
+      }], { session });
+      placedBid.bid = bidDocument;
+    }
 
-      // Emit to specific auction room
-      socketIo.to(`auction_${itemId}`).emit('new-bid-placed', autoBidData);
-      
-      // Emit globally for all pages
-      socketIo.emit('new-bid-placed', autoBidData);
+    item.currentPrice = finalPrice;
+    item.highestBidder = winner.userId;
+    item.totalBids += placedBids.length;
+    item.updatedAt = bidTime;
+    const wasExtended = item.extendForLateBid(bidTime);
+    await item.save({ session });
+
+    winner.autoBid.currentAutoBidAmount = finalPrice;
+    await winner.autoBid.save({ session });
+
+    // Every other auto-bid has been outbid at its maximum and is spent
+    const exceededContenders = contenders.slice(1);
+    for (const contender of exceededContenders) {
+      if (!contender.autoBid) {
+        continue;
+      }
+      const placedBid = placedBids.find((entry) => entry.contender === contender);
+      if (placedBid) {
+        contender.autoBid.currentAutoBidAmount = placedBid.bidAmount;
+      }
+      contender.autoBid.isActive = false;
+      await contender.autoBid.save({ session });
+    }
 
-      socketIo.to(`auction_${itemId}`).emit('auction-alert', {
-        itemId,
-        message: `Auto-bid placed by ${populatedBid.bidderId.username}: $${nextBidAmount}`,
-        type: 'auto-bid',
-        timestamp: new Date()
-      });
-    } else {
-      // Auto-bid max exceeded, deactivate it
-      highestAutoBid.isActive = false;
-      await highestAutoBid.save({ session });
-      await session.commitTransaction();
+    await session.commitTransaction();
 
-      socketIo.to(`auction_${itemId}`).emit('auction-alert', {
+    const winningBid = placedBids[placedBids.length - 1].bid;
+    const autoBidData = {
+      itemId,
+      currency: item.currency,
+      newPrice: finalPrice,
+      previousPrice,
+      bidAmount: finalPrice,
+      bidderId: winner.userId,
+      bidderUsername: winner.username,
+      totalBids: item.totalBids,
+      bidIncrement: item.getBidIncrement(),
+      minimumNextBid: item.getMinimumNextBid(),
+      buyNowAvailable: item.isBuyNowAvailable(),
+      reserveMet: item.isReserveMet(),
+      timestamp: bidTime,
+      bidId: winningBid._id,
+      isAutoBid: true,
+      autoBids: placedBids.map(({ bid, contender }) => ({
+        bidId: bid._id,
+        bidderId: contender.userId,
+        bidderUsername: contender.username,
+        bidAmount: bid.bidAmount,
+        timestamp: bid.timestamp
+      }))
+    };
+
+    // Emit to specific auction room
+    socketIo.to(`auction_${itemId}`).emit('new-bid-placed', autoBidData);
+
+    // Emit globally for all pages
+    socketIo.emit('new-bid-placed', autoBidData);
+
+    if (wasExtended) {
+      const extendedData = {
         itemId,
-        message: 'Auto-bid maximum reached.',
-        type: 'info',
-        timestamp: new Date()
-      });
+        endTime: item.endTime,
+        extensionCount: item.extensionCount,
+        maxExtensions: item.maxExtensions
+      };
+      socketIo.to(`auction_${itemId}`).emit('auction-extended', extendedData);
+      socketIo.emit('auction-extended', extendedData);
     }
 
-    session.endSession();
+    socketIo.to(`auction_${itemId}`).emit('auction-alert', {
+      itemId,
+      message: placedBids.length > 1
+        ? `Auto-bidding resolved ${placedBids.length} bids. ${winner.username} leads at ${formatMoney(finalPrice, item.currency)}`
+        : `Auto-bid placed by ${winner.username}: ${formatMoney(finalPrice, item.currency)}`,
+      type: 'auto-bid',
+      timestamp: new Date()
+    });
+
+    // A proxy bid that takes the lead on a floor lot interrupts the auctioneer's calls like any bid
+    if (item.isFloorControlled && winner.userId !== previousLeaderId) {
+      reopenFloorBidding(socketIo, itemId);
+    }
+
+    // notify exceeded bidders by email (best-effort)
+    exceededContenders
+      .filter((contender) => contender.email)
+      .forEach((contender) => {
+        const reason = contender.autoBid
+          ? `Your maximum bid of ${formatMoney(contender.autoBid.maxBidAmount, item.currency)} was exceeded`
+          : 'You were outbid by an automatic bid';
+        sendEmail({
+          to: contender.email,
+          subject: `You've been outbid on ${item.title}`,
+          text: `Hi ${contender.username || 'user'},\n\n${reason} on "${item.title}". The new top bid is ${formatMoney(finalPrice, item.currency)}. Visit the auction to place a higher bid.`,
+          html: `<p>Hi ${contender.username || 'user'},</p><p>${reason} on <strong>${item.title}</strong>. The new top bid is <strong>${formatMoney(finalPrice, item.currency)}</strong>.</p><p><a href="${process.env.CLIENT_URL || ''}/items/${itemId}">View auction</a></p>`
+        }).catch((e) => console.error('Auto-bid outbid email error:', e));
+      });
   } catch (error) {
+    if (session.inTransaction()) {
+      try {
+        await session.abortTransaction();
+      } catch (_) {
+        // swallow abort errors
+      }
+    }
     console.error('Error processing auto-bidding:', error);
+  } finally {
+    session.endSession();
   }
 };
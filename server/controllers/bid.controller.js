@@ -10,11 +10,23 @@ import Item from '../models/Item.js';
 import User from '../models/User.js';
 import { sendEmail } from '../utils/mailer.js';
 import { processAutoBidding } from './autoBid.controller.js';
+import { getStandingBids, allocateUnits, formatWinningBids, refreshMultiUnitStanding } from '../utils/multiUnitAuction.js';
+import { checkBidderEligibility } from '../utils/bidderApprovals.js';
+import { getBiddingSuspensionError } from '../utils/shillDetection.js';
+import { formatMoney } from '../utils/money.js';
+
+// One cent or penny: the smallest amount any supported currency can express
+const MINIMUM_BID_AMOUNT = 0.01;
 
 /**
  * @function placeBid
  * @description Validates bid input, ensures auction rules are respected, stores the bid,
- * updates the associated item, and emits Socket.io events for real-time updates.
+ * updates the associated item, and emits Socket.io events for real-time updates. Multi-unit
+ * items also accept a `quantity`; the top bids that cover the lot are the winning bids. Sealed
+ * items accept one hidden bid per user and broadcast nothing. Reverse listings require each bid to
+ * undercut the current price by at least one increment. Bids at or above the item's approval
+ * threshold, or past the bidder's credit limit, are refused with 403 and an `APPROVAL_REQUIRED` or
+ * `CREDIT_LIMIT_EXCEEDED` code, and bids by suspended users with a `BIDDING_SUSPENDED` code.
  * @param {import('express').Request} req - Express request object containing bid data.
  * @param {import('express').Response} res - Express response object used to send the response.
  * @returns {Promise<void>}
@@ -24,79 +36,194 @@ export const placeBid = async (req, res) => {
   session.startTransaction();
 
   try {
-  const { itemId, bidAmount } = req.body;
+  const { itemId, bidAmount, quantity } = req.body;
     const bidderId = req.user._id;
   const numericBidAmount = Number(bidAmount);
 
+    const suspensionError = getBiddingSuspensionError(req.user);
+    if (suspensionError) {
+      await session.abortTransaction();
+      return res.status(403).json(suspensionError);
+    }
+
   const auctionItem = await Item.findById(itemId).session(session);
 
-    if (!auctionItem) {
+    if (!auctionItem || auctionItem.status === 'draft') {
       await session.abortTransaction();
       return res.status(404).json({ message: 'Auction item not found.' });
     }
 
+    if (auctionItem.status === 'upcoming') {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'This auction has not started yet.' });
+    }
+
     if (auctionItem.status !== 'active' || auctionItem.isAuctionOver) {
       await session.abortTransaction();
       return res.status(400).json({ message: 'This auction is no longer active.' });
     }
 
+    if (auctionItem.isFloorControlled) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'This lot is being clerked live. Bid from the live auction room.' });
+    }
+
+    // Leave the status change to the scheduler so reserve and winner rules are applied on close
     if (new Date() >= new Date(auctionItem.endTime)) {
-      auctionItem.isAuctionOver = true;
-      auctionItem.status = 'ended';
-      await auctionItem.save({ session });
-      await session.commitTransaction();
+      await session.abortTransaction();
       return res.status(400).json({ message: 'Auction has already ended.' });
     }
 
     // Capture previous highest bidder for outbid notification
     const previousHighestBidder = auctionItem.highestBidder ? auctionItem.highestBidder.toString() : null;
 
-    // Debug: log identities involved in self-bid check
-    console.log('Bidder vs Seller check:', {
-      bidderId: bidderId?.toString(),
-      sellerId: auctionItem.sellerId?.toString(),
-      disableAuth: process.env.DISABLE_AUTH
-    });
-
     // In demo mode, skip self-bid restriction because the demo user ID is reused
     if (process.env.DISABLE_AUTH !== 'true' && auctionItem.sellerId.toString() === bidderId.toString()) {
       await session.abortTransaction();
       return res.status(400).json({ message: 'Sellers cannot bid on their own items.' });
     }
 
-    const minimumBidAmount = auctionItem.currentPrice + auctionItem.bidIncrement;
+    // Sealed auctions: one hidden bid per user, nothing on the item changes until the scheduler settles
+    if (auctionItem.isSealed()) {
+      if (!Number.isFinite(numericBidAmount) || numericBidAmount < auctionItem.startingPrice) {
+        await session.abortTransaction();
+        return res.status(400).json({ message: `Minimum bid is ${formatMoney(auctionItem.startingPrice, auctionItem.currency)}.` });
+      }
+
+      const existingSealedBid = await Bid.exists({ itemId, bidderId, isRetracted: false }).session(session);
+      if (existingSealedBid) {
+        await session.abortTransaction();
+        return res.status(400).json({ message: 'You have already placed a sealed bid on this item.' });
+      }
 
-    if (!Number.isFinite(numericBidAmount) || numericBidAmount < minimumBidAmount) {
+      const { error: sealedEligibilityError } = await checkBidderEligibility({
+        user: req.user,
+        item: auctionItem,
+        amount: numericBidAmount,
+        session
+      });
+      if (sealedEligibilityError) {
+        await session.abortTransaction();
+        return res.status(403).json(sealedEligibilityError);
+      }
+
+      const [sealedBid] = await Bid.create([
+        {
+          itemId,
+          bidderId,
+          bidAmount: numericBidAmount,
+          previousPrice: auctionItem.currentPrice,
+          ipAddress: req.ip
+        }
+      ], { session });
+
+      await session.commitTransaction();
+
+      return res.status(201).json({
+        message: 'Sealed bid submitted. All bids are revealed when the auction closes.',
+        bid: sealedBid,
+        updatedItem: auctionItem.toJSON()
+      });
+    }
+
+    const requestedQuantity = auctionItem.isMultiUnit ? Number(quantity || 1) : 1;
+
+    if (!Number.isInteger(requestedQuantity) || requestedQuantity < 1 || requestedQuantity > auctionItem.totalQuantity) {
       await session.abortTransaction();
       return res.status(400).json({
-        message: `Minimum bid is $${minimumBidAmount}.`
+        message: `Quantity must be a whole number between 1 and ${auctionItem.totalQuantity}.`
+      });
+    }
+
+    // Reverse listings compete downward: each bid must undercut the current price by an increment
+    const isReverse = auctionItem.isReverse();
+    const nextBidLimit = isReverse ? auctionItem.getMaximumNextBid() : auctionItem.getMinimumNextBid();
+
+    if (isReverse && (!Number.isFinite(numericBidAmount) || numericBidAmount > nextBidLimit)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: `Maximum bid is ${formatMoney(nextBidLimit, auctionItem.currency)}.`
+      });
+    }
+
+    // Undercutting stops at one cent; near zero the next increment would take the price negative
+    if (isReverse && numericBidAmount < MINIMUM_BID_AMOUNT) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: nextBidLimit < MINIMUM_BID_AMOUNT
+          ? 'This listing cannot be undercut any further.'
+          : `Minimum bid is ${formatMoney(MINIMUM_BID_AMOUNT, auctionItem.currency)}.`
+      });
+    }
+
+    if (!isReverse && (!Number.isFinite(numericBidAmount) || numericBidAmount < nextBidLimit)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: `Minimum bid is ${formatMoney(nextBidLimit, auctionItem.currency)}.`
       });
     }
 
     // Prevent same user from bidding the exact same amount (likely double submission)
-    if (auctionItem.highestBidder && 
+    if (!auctionItem.isMultiUnit &&
+        auctionItem.highestBidder && 
         auctionItem.highestBidder.toString() === bidderId.toString() && 
-        numericBidAmount === minimumBidAmount) {
+        numericBidAmount === nextBidLimit) {
       await session.abortTransaction();
       return res.status(400).json({
-        message: 'You are already the highest bidder. Please bid a higher amount.'
+        message: isReverse
+          ? 'You are already the lowest bidder. Please bid a lower amount.'
+          : 'You are already the highest bidder. Please bid a higher amount.'
       });
     }
 
+    const { error: eligibilityError } = await checkBidderEligibility({
+      user: req.user,
+      item: auctionItem,
+      amount: numericBidAmount,
+      quantity: requestedQuantity,
+      session
+    });
+    if (eligibilityError) {
+      await session.abortTransaction();
+      return res.status(403).json(eligibilityError);
+    }
+
+    // Multi-unit items: remember who was winning so displaced bidders can be notified
+    const previousWinnerIds = auctionItem.isMultiUnit
+      ? allocateUnits(await getStandingBids(itemId, session), auctionItem.totalQuantity)
+        .allocations.map(({ bid }) => bid.bidderId._id.toString())
+      : [];
+
     const bidDocument = await Bid.create([
       {
         itemId,
         bidderId,
         bidAmount: numericBidAmount,
+        quantity: requestedQuantity,
         previousPrice: auctionItem.currentPrice,
         ipAddress: req.ip
       }
     ], { session });
 
-  auctionItem.currentPrice = numericBidAmount;
-    auctionItem.highestBidder = bidderId;
+    let winningBids = null;
+    let outbidUserIds = previousHighestBidder && previousHighestBidder !== bidderId.toString()
+      ? [previousHighestBidder]
+      : [];
+
+    if (auctionItem.isMultiUnit) {
+      const allocation = await refreshMultiUnitStanding(auctionItem, session);
+      winningBids = formatWinningBids(allocation.allocations);
+      const currentWinnerIds = new Set(winningBids.map((winningBid) => winningBid.userId.toString()));
+      outbidUserIds = previousWinnerIds.filter(
+        (userId) => !currentWinnerIds.has(userId) && userId !== bidderId.toString()
+      );
+    } else {
+      auctionItem.currentPrice = numericBidAmount;
+      auctionItem.highestBidder = bidderId;
+    }
     auctionItem.totalBids += 1;
     auctionItem.updatedAt = new Date();
+    const wasExtended = auctionItem.extendForLateBid(auctionItem.updatedAt);
     await auctionItem.save({ session });
 
     await session.commitTransaction();
@@ -107,71 +234,94 @@ export const placeBid = async (req, res) => {
 
     const broadcastData = {
       itemId,
-  newPrice: numericBidAmount,
+      currency: auctionItem.currency,
+      newPrice: auctionItem.currentPrice,
+      bidAmount: numericBidAmount,
+      quantity: requestedQuantity,
       previousPrice: populatedBid.previousPrice,
       bidderId: bidderId,
       bidderUsername: populatedBid.bidderId.username,
       totalBids: auctionItem.totalBids,
-      bidIncrement: auctionItem.bidIncrement,
+      bidIncrement: auctionItem.getBidIncrement(),
+      ...(isReverse
+        ? { maximumNextBid: auctionItem.getMaximumNextBid() }
+        : { minimumNextBid: auctionItem.getMinimumNextBid() }),
+      buyNowAvailable: auctionItem.isBuyNowAvailable(),
+      reserveMet: auctionItem.isReserveMet(),
       timestamp: populatedBid.timestamp,
-      bidId: populatedBid._id
+      bidId: populatedBid._id,
+      ...(auctionItem.isMultiUnit && {
+        quantityAvailable: auctionItem.quantityAvailable,
+        winningBids
+      })
     };
 
     const socketIo = req.app.get('socketio');
-    console.log('💰 Emitting bid update:', { itemId, newPrice: numericBidAmount, totalBids: auctionItem.totalBids });
-    
+
     // Emit to specific auction room (for users on item detail page)
     socketIo.to(`auction_${itemId}`).emit('new-bid-placed', broadcastData);
     
     // Emit globally (for users on listings pages who aren't in a specific room)
     socketIo.emit('new-bid-placed', broadcastData);
-    
-    console.log('✅ Bid update emitted to all clients');
+
+    if (wasExtended) {
+      const extendedData = {
+        itemId,
+        endTime: auctionItem.endTime,
+        extensionCount: auctionItem.extensionCount,
+        maxExtensions: auctionItem.maxExtensions
+      };
+      socketIo.to(`auction_${itemId}`).emit('auction-extended', extendedData);
+      socketIo.emit('auction-extended', extendedData);
+    }
     
     // Notify room about new bid for chat notifications (include itemId for filtering client-side)
     socketIo.to(`auction_${itemId}`).emit('auction-alert', {
       itemId,
-      message: `${populatedBid.bidderId.username} placed a bid of $${numericBidAmount}`,
+      message: `${populatedBid.bidderId.username} placed a bid of ${formatMoney(numericBidAmount, auctionItem.currency)}`,
       type: 'bid',
       timestamp: new Date()
     });
 
-    // Send outbid email to previous highest bidder (if configured and different from current bidder)
+    // Trigger auto-bidding logic after successful bid
+    await processAutoBidding(itemId, socketIo);
+
+    // Proxy bids may have moved the price on; a previous leader whose auto-bid took the lead back
+    // has not been outbid
+    const resolvedItem = (await Item.findById(itemId)) || auctionItem;
+    const resolvedLeaderId = resolvedItem.highestBidder?.toString();
+    if (!auctionItem.isMultiUnit) {
+      outbidUserIds = outbidUserIds.filter((userId) => userId !== resolvedLeaderId);
+    }
+
+    // Send outbid emails to bidders who lost their winning position (if configured)
     try {
-      console.log('📧 Checking outbid notification...');
-      console.log(`   Previous highest bidder: ${previousHighestBidder}`);
-      console.log(`   Current bidder: ${bidderId.toString()}`);
-      
-      if (previousHighestBidder && previousHighestBidder !== bidderId.toString()) {
-        console.log('📧 Previous bidder exists and is different, fetching user...');
-        const prevUser = await User.findById(previousHighestBidder).lean();
-        console.log(`   Previous user email: ${prevUser?.email}`);
-        
-        if (prevUser?.email) {
-          console.log(`📧 Sending outbid email to: ${prevUser.email}`);
-          await sendEmail({
-            to: prevUser.email,
-            subject: `You've been outbid on ${populatedBid.itemId.title}`,
-            text: `Hi ${prevUser.username || 'user'},\n\nYour previous bid on "${populatedBid.itemId.title}" was outbid. The new top bid is $${numericBidAmount}. Visit the auction to place a higher bid.`,
-            html: `<p>Hi ${prevUser.username || 'user'},</p><p>Your previous bid on <strong>${populatedBid.itemId.title}</strong> was outbid. The new top bid is <strong>$${numericBidAmount}</strong>.</p><p><a href="${process.env.CLIENT_URL || ''}/items/${itemId}">View auction</a></p>`
-          });
-        } else {
-          console.log('⚠ Previous user has no email address');
+      const outbidUsers = await User.find({ _id: { $in: outbidUserIds } }).lean();
+      for (const prevUser of outbidUsers) {
+        if (!prevUser.email) {
+          continue;
         }
-      } else {
-        console.log('⚠ No outbid notification needed (same bidder or no previous bidder)');
+
+        const leadingBidLabel = isReverse ? 'lowest' : 'top';
+        const nextStep = isReverse ? 'place a lower bid' : 'place a higher bid';
+
+        await sendEmail({
+          to: prevUser.email,
+          subject: `You've been outbid on ${populatedBid.itemId.title}`,
+          text: `Hi ${prevUser.username || 'user'},\n\nYour previous bid on "${populatedBid.itemId.title}" was outbid. The new ${leadingBidLabel} bid is ${formatMoney(numericBidAmount, auctionItem.currency)}. Visit the auction to ${nextStep}.`,
+          html: `<p>Hi ${prevUser.username || 'user'},</p><p>Your previous bid on <strong>${populatedBid.itemId.title}</strong> was outbid. The new ${leadingBidLabel} bid is <strong>${formatMoney(numericBidAmount, auctionItem.currency)}</strong>.</p><p><a href="${process.env.CLIENT_URL || ''}/items/${itemId}">View auction</a></p>`
+        });
       }
     } catch (notifyErr) {
       console.error('✗ Error attempting to notify previous bidder:', notifyErr);
     }
 
-    // Trigger auto-bidding logic after successful bid
-    await processAutoBidding(itemId, bidderId.toString(), numericBidAmount, socketIo);
-
     res.status(201).json({
       message: 'Bid placed successfully.',
       bid: populatedBid,
-      updatedItem: auctionItem.toObject()
+      reserveMet: resolvedItem.isReserveMet(),
+      ...(auctionItem.isMultiUnit && { winningBids }),
+      updatedItem: resolvedItem.toJSON()
     });
   } catch (bidError) {
     if (session.inTransaction()) {
@@ -195,6 +345,7 @@ export const placeBid = async (req, res) => {
 /**
  * @function getBidHistory
  * @description Returns paginated bid history for a specific auction item, ordered by most recent.
+ * Sealed auctions return an empty history, without even a count, until they close.
  * @param {import('express').Request} req - Express request object containing params and query.
  * @param {import('express').Response} res - Express response object used to send the response.
  * @returns {Promise<void>}
@@ -206,10 +357,19 @@ export const getBidHistory = async (req, res) => {
     const limit = Number(req.query.limit || 20);
     const skip = (page - 1) * limit;
 
+    const item = await Item.findById(itemId).select('format status isAuctionOver');
+    if (item?.isSealed() && !item.isAuctionOver) {
+      return res.status(200).json({
+        bids: [],
+        sealed: true,
+        pagination: { page, limit, totalBids: 0, totalPages: 1 }
+      });
+    }
+
     const [bids, totalBids] = await Promise.all([
       Bid.find({ itemId })
         .populate('bidderId', 'username')
-        .sort({ timestamp: -1 })
+        .sort({ timestamp: -1, _id: -1 })
         .skip(skip)
         .limit(limit),
       Bid.countDocuments({ itemId })
@@ -246,7 +406,7 @@ export const getUserBidHistory = async (req, res) => {
     const userBids = await Bid.find({ bidderId: userId })
       .populate({
         path: 'itemId',
-        select: 'title category currentPrice highestBidder status endTime isAuctionOver'
+        select: 'title category currency currentPrice highestBidder winnerId winners isMultiUnit format status endTime isAuctionOver'
       })
       .sort({ timestamp: -1 });
 
@@ -260,12 +420,21 @@ export const getUserBidHistory = async (req, res) => {
         bidStatus = 'lost';
       } else {
         const item = bid.itemId;
-        const isHighestBidder = item.highestBidder && item.highestBidder.toString() === userId.toString();
+        // Multi-unit items track each standing bid's position on the bid itself
+        const isHighestBidder = item.isMultiUnit
+          ? bid.bidStatus === 'winning'
+          : item.highestBidder && item.highestBidder.toString() === userId.toString();
         const auctionEnded = item.isAuctionOver || item.status === 'ended';
 
         if (auctionEnded) {
-          // Auction ended
-          bidStatus = isHighestBidder ? 'won' : 'lost';
+          // Auction ended: only the recorded winner won (reserve-not-met auctions have none)
+          const isWinner = item.isMultiUnit
+            ? bid.bidStatus === 'won'
+            : item.winnerId && item.winnerId.toString() === userId.toString();
+          bidStatus = isWinner ? 'won' : 'lost';
+        } else if (item.format && item.format !== 'english') {
+          // Sealed bids have no standing position until the auction is settled
+          bidStatus = 'active';
         } else {
           // Auction still active
           if (isHighestBidder) {
@@ -341,8 +510,16 @@ export const retractBid = async (req, res) => {
       return res.status(400).json({ message: 'Cannot retract bids from ended auctions.' });
     }
 
-    // Check if user is the highest bidder
-    if (!item.highestBidder || item.highestBidder.toString() !== userId.toString()) {
+    if (item.isSealed()) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Sealed bids cannot be retracted.' });
+    }
+
+    // Check if user is the highest bidder (or holds a winning bid on a multi-unit item)
+    const isWinningBid = item.isMultiUnit
+      ? bid.bidStatus === 'winning'
+      : Boolean(item.highestBidder) && item.highestBidder.toString() === userId.toString();
+    if (!isWinningBid) {
       await session.abortTransaction();
       return res.status(400).json({ message: 'Only the highest bidder can retract their bid.' });
     }
@@ -361,26 +538,32 @@ export const retractBid = async (req, res) => {
     bid.bidStatus = 'retracted';
     await bid.save({ session });
 
-    // Find the previous highest bid
-    const previousBids = await Bid.find({
-      itemId: item._id,
-      isRetracted: false,
-      _id: { $ne: bidId }
-    })
-      .sort({ bidAmount: -1 })
-      .limit(1)
-      .session(session);
-
-    if (previousBids.length > 0) {
-      // Revert to previous bid
-      item.currentPrice = previousBids[0].bidAmount;
-      item.highestBidder = previousBids[0].bidderId;
-      item.totalBids -= 1;
+    if (item.isMultiUnit) {
+      // Re-rank the remaining bids; the next bids in line take over the freed units
+      await refreshMultiUnitStanding(item, session);
+      item.totalBids = Math.max(item.totalBids - 1, 0);
     } else {
-      // No other bids, revert to starting price
-      item.currentPrice = item.startingPrice;
-      item.highestBidder = null;
-      item.totalBids = 0;
+      // Find the previous leading bid (the lowest one on reverse listings)
+      const previousBids = await Bid.find({
+        itemId: item._id,
+        isRetracted: false,
+        _id: { $ne: bidId }
+      })
+        .sort({ bidAmount: item.isReverse() ? 1 : -1 })
+        .limit(1)
+        .session(session);
+
+      if (previousBids.length > 0) {
+        // Revert to previous bid
+        item.currentPrice = previousBids[0].bidAmount;
+        item.highestBidder = previousBids[0].bidderId;
+        item.totalBids -= 1;
+      } else {
+        // No other bids, revert to starting price
+        item.currentPrice = item.startingPrice;
+        item.highestBidder = null;
+        item.totalBids = 0;
+      }
     }
 
     await item.save({ session });
@@ -403,19 +586,20 @@ export const retractBid = async (req, res) => {
       itemId: item._id,
       newPrice: item.currentPrice,
       totalBids: item.totalBids,
+      reserveMet: item.isReserveMet(),
       timestamp: new Date(),
       isRetraction: true
     });
 
     socketIo.to(`auction_${item._id}`).emit('auction-alert', {
-      message: `A bid has been retracted. New price: $${item.currentPrice}`,
+      message: `A bid has been retracted. New price: ${formatMoney(item.currentPrice, item.currency)}`,
       type: 'retraction',
       timestamp: new Date()
     });
 
     res.status(200).json({
       message: 'Bid retracted successfully.',
-      updatedItem: item.toObject()
+      updatedItem: item.toJSON()
     });
   } catch (error) {
     if (session.inTransaction()) {
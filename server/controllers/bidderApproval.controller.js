@@ -0,0 +1,511 @@
+/**
+ * @file bidderApproval.controller.js
+ * @description Controllers for bidding limits. Sellers, event organizers and admins set approval
+ * thresholds on items and events; bidders request approval or place a deposit to bid above them,
+ * and ask admins for a higher credit limit. Requests are reviewed from a queue and each decision
+ * is emailed to the bidder.
+ */
+
+import AuctionEvent from '../models/AuctionEvent.js';
+import BidderApproval from '../models/BidderApproval.js';
+import Item from '../models/Item.js';
+import User from '../models/User.js';
+import { sendEmail } from '../utils/mailer.js';
+import { getPaymentProvider } from '../utils/paymentProvider.js';
+import { formatMoney, roundMoney } from '../utils/money.js';
+import {
+  getApprovalRequirement,
+  findLotApproval,
+  getCreditLimit,
+  getCreditExposure
+} from '../utils/bidderApprovals.js';
+
+/**
+ * @function getCreditSummary
+ * @description A bidder's credit limit, open commitments and what remains available, in the base
+ * currency.
+ * @param {{ _id: ObjectId, creditLimit?: number|null }} user - Bidder.
+ * @returns {Promise<{ limit: number, exposure: number, available: number }>}
+ */
+const getCreditSummary = async (user) => {
+  const limit = getCreditLimit(user);
+  const exposure = await getCreditExposure(user._id);
+  return { limit, exposure, available: Math.max(0, roundMoney(limit - exposure)) };
+};
+
+/**
+ * @function findOpenItem
+ * @description Loads an item bidders can still seek approval for.
+ * @param {string} itemId - Item identifier.
+ * @returns {Promise<{ item?: import('mongoose').Document, status?: number, error?: string }>}
+ */
+const findOpenItem = async (itemId) => {
+  const item = await Item.findById(itemId);
+  if (!item || !['upcoming', 'active'].includes(item.status)) {
+    return { status: 404, error: 'Auction item not found or no longer open.' };
+  }
+  return { item };
+};
+
+/**
+ * @function describeScope
+ * @description Human-readable name of what a lot approval covers.
+ * @param {import('mongoose').Document} approval - Approval with `itemId` and `eventId` populated.
+ * @returns {string}
+ */
+const describeScope = (approval) => (approval.eventId
+  ? `lots in ${approval.eventId.title || 'the sale'}`
+  : approval.itemId?.title || 'the item');
+
+/**
+ * @function notifyAdmins
+ * @description Emails every admin about a credit-limit request (best-effort).
+ * @param {{ subject: string, text: string, html: string }} message - Email content.
+ * @returns {Promise<void>}
+ */
+const notifyAdmins = async ({ subject, text, html }) => {
+  try {
+    const admins = await User.find({ role: 'admin' }).select('email').lean();
+    admins.filter((admin) => admin.email).forEach((admin) => {
+      sendEmail({ to: admin.email, subject, text, html })
+        .catch((e) => console.error('Credit limit admin email error:', e));
+    });
+  } catch (notifyErr) {
+    console.error('Error sending credit limit notification to admins:', notifyErr);
+  }
+};
+
+/**
+ * @function getItemApprovalStatus
+ * @description Tells a bidder whether an item has an approval threshold and where their approval
+ * for it stands, along with their credit.
+ * @param {import('express').Request} req - Express request with `itemId` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getItemApprovalStatus = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.itemId);
+    if (!item || item.status === 'draft') {
+      return res.status(404).json({ message: 'Auction item not found.' });
+    }
+
+    const requirement = await getApprovalRequirement(item);
+    const approval = requirement ? await findLotApproval(req.user._id, requirement) : null;
+
+    res.status(200).json({
+      requirement: requirement && {
+        threshold: requirement.threshold,
+        deposit: requirement.deposit,
+        currency: requirement.currency,
+        scope: requirement.eventId ? 'event' : 'item'
+      },
+      approval,
+      credit: await getCreditSummary(req.user)
+    });
+  } catch (error) {
+    console.error('Error fetching approval status:', error);
+    res.status(500).json({ message: 'Server error while retrieving approval status.' });
+  }
+};
+
+/**
+ * @function getMyBidderApprovals
+ * @description Lists the authenticated bidder's approval and credit-limit requests, newest first,
+ * with their credit.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getMyBidderApprovals = async (req, res) => {
+  try {
+    const approvals = await BidderApproval.find({ userId: req.user._id })
+      .sort({ updatedAt: -1 })
+      .populate('itemId', 'title images status currency')
+      .populate('eventId', 'title status currency');
+
+    res.status(200).json({ approvals, credit: await getCreditSummary(req.user) });
+  } catch (error) {
+    console.error('Error fetching bidder approvals:', error);
+    res.status(500).json({ message: 'Server error while retrieving approvals.' });
+  }
+};
+
+/**
+ * @function getBidderApprovalQueue
+ * @description Lists pending requests the authenticated user can decide: approvals for their own
+ * items and events, and for admins every pending request including credit limits. Each request
+ * carries the bidder's current credit.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getBidderApprovalQueue = async (req, res) => {
+  try {
+    let filter = { status: 'pending' };
+    if (req.user.role !== 'admin') {
+      const [ownItemIds, ownEventIds] = await Promise.all([
+        Item.find({ sellerId: req.user._id, status: { $in: ['upcoming', 'active'] } }).distinct('_id'),
+        AuctionEvent.find({ organizerId: req.user._id, status: { $ne: 'ended' } }).distinct('_id')
+      ]);
+      filter = {
+        status: 'pending',
+        kind: 'lot',
+        $or: [{ itemId: { $in: ownItemIds } }, { eventId: { $in: ownEventIds } }]
+      };
+    }
+
+    const approvals = await BidderApproval.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('userId', 'username creditLimit')
+      .populate('itemId', 'title images currency')
+      .populate('eventId', 'title currency');
+
+    const creditByUser = new Map();
+    for (const approval of approvals) {
+      const bidderId = approval.userId?._id?.toString();
+      if (bidderId && !creditByUser.has(bidderId)) {
+        creditByUser.set(bidderId, await getCreditSummary(approval.userId));
+      }
+    }
+
+    res.status(200).json({
+      approvals: approvals.map((approval) => ({
+        ...approval.toObject(),
+        credit: creditByUser.get(approval.userId?._id?.toString()) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching approval queue:', error);
+    res.status(500).json({ message: 'Server error while retrieving approval requests.' });
+  }
+};
+
+/**
+ * @function requestBidderApproval
+ * @description Asks for approval to bid above an item's threshold, or with `kind` credit-limit for
+ * a higher credit limit. A declined request can be made again. The seller or event organizer is
+ * emailed about lot requests, admins about credit-limit requests.
+ * @param {import('express').Request} req - Express request with `kind`, `itemId` or `requestedLimit`, and an optional `message`.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const requestBidderApproval = async (req, res) => {
+  try {
+    const { kind = 'lot', itemId, message } = req.body;
+    let scope;
+    let requestedLimit = null;
+    let reviewerId = null;
+    let subjectLabel;
+
+    if (kind === 'credit-limit') {
+      requestedLimit = Number(req.body.requestedLimit);
+      if (requestedLimit <= getCreditLimit(req.user)) {
+        return res.status(400).json({ message: 'Request a limit higher than your current one.' });
+      }
+      scope = { userId: req.user._id, kind, itemId: null, eventId: null };
+      subjectLabel = `a credit limit of ${formatMoney(requestedLimit)}`;
+    } else {
+      const { item, status, error } = await findOpenItem(itemId);
+      if (error) {
+        return res.status(status).json({ message: error });
+      }
+      if (item.sellerId.toString() === req.user._id.toString()) {
+        return res.status(400).json({ message: 'Sellers cannot bid on their own items.' });
+      }
+
+      const requirement = await getApprovalRequirement(item);
+      if (!requirement) {
+        return res.status(400).json({ message: 'This item does not require approval to bid.' });
+      }
+      scope = { userId: req.user._id, kind, itemId: requirement.itemId, eventId: requirement.eventId };
+      reviewerId = requirement.reviewerId;
+      subjectLabel = requirement.eventId ? `lots in the sale that includes ${item.title}` : item.title;
+    }
+
+    const existingRequest = await BidderApproval.findOne(scope);
+    if (existingRequest?.status === 'pending') {
+      return res.status(409).json({ message: 'Your request is already waiting for review.' });
+    }
+    if (existingRequest?.status === 'approved' && kind === 'lot') {
+      return res.status(409).json({ message: 'You are already approved to bid.' });
+    }
+
+    const approval = existingRequest || new BidderApproval(scope);
+    Object.assign(approval, {
+      status: 'pending',
+      method: 'review',
+      message,
+      requestedLimit,
+      decisionNote: undefined,
+      decidedBy: undefined,
+      decidedAt: undefined
+    });
+    await approval.save();
+
+    // notify whoever reviews the request by email (best-effort)
+    try {
+      const reviewUrl = `${process.env.CLIENT_URL || ''}/bidder-approvals`;
+      const noteText = message ? ` "${message}"` : '';
+      const noteHtml = message ? `<blockquote>${message}</blockquote>` : '';
+      if (kind === 'credit-limit') {
+        await notifyAdmins({
+          subject: `Credit limit request from ${req.user.username}`,
+          text: `${req.user.username} asked for ${subjectLabel}.${noteText} Review it at ${reviewUrl}`,
+          html: `<p><strong>${req.user.username}</strong> asked for ${subjectLabel}.</p>${noteHtml}<p><a href="${reviewUrl}">Review request</a></p>`
+        });
+      } else {
+        const reviewer = await User.findById(reviewerId).select('email username').lean();
+        if (reviewer?.email) {
+          sendEmail({
+            to: reviewer.email,
+            subject: `Bidder approval request: ${subjectLabel}`,
+            text: `${req.user.username} asked for approval to bid on ${subjectLabel}.${noteText} Review it at ${reviewUrl}`,
+            html: `<p><strong>${req.user.username}</strong> asked for approval to bid on <strong>${subjectLabel}</strong>.</p>${noteHtml}<p><a href="${reviewUrl}">Review request</a></p>`
+          }).catch((e) => console.error('Approval request email error:', e));
+        }
+      }
+    } catch (notifyErr) {
+      console.error('Error sending approval request notification:', notifyErr);
+    }
+
+    res.status(201).json({
+      message: kind === 'credit-limit'
+        ? 'Credit limit request sent to the admins.'
+        : 'Approval request sent to the seller.',
+      approval
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error requesting bidder approval:', error);
+    res.status(500).json({ message: 'Server error while requesting approval.' });
+  }
+};
+
+/**
+ * @function placeBidderDeposit
+ * @description Approves the bidder for an item's threshold straight away by placing a hold for the
+ * listed deposit through the payment provider. The hold is voided once the item or sale closes.
+ * @param {import('express').Request} req - Express request with `itemId` and optional `paymentToken`.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const placeBidderDeposit = async (req, res) => {
+  try {
+    const { item, status, error } = await findOpenItem(req.body.itemId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    if (item.sellerId.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Sellers cannot bid on their own items.' });
+    }
+
+    const requirement = await getApprovalRequirement(item);
+    if (!requirement?.deposit) {
+      return res.status(400).json({ message: 'This item does not accept deposits.' });
+    }
+
+    const scope = { userId: req.user._id, kind: 'lot', itemId: requirement.itemId, eventId: requirement.eventId };
+    const existingRequest = await BidderApproval.findOne(scope);
+    if (existingRequest?.status === 'approved') {
+      return res.status(409).json({ message: 'You are already approved to bid.' });
+    }
+
+    const provider = getPaymentProvider();
+    const authorization = await provider.authorize({
+      amount: requirement.deposit,
+      currency: requirement.currency,
+      paymentToken: req.body.paymentToken,
+      description: `Bidding deposit for ${requirement.eventId ? 'an auction event' : item.title}`,
+      metadata: {
+        userId: req.user._id.toString(),
+        ...(requirement.itemId ? { itemId: requirement.itemId.toString() } : { eventId: requirement.eventId.toString() })
+      }
+    });
+    if (!authorization.authorized) {
+      return res.status(402).json({ message: authorization.message || 'The deposit was declined.' });
+    }
+
+    const authorizedAt = new Date();
+    const approval = existingRequest || new BidderApproval(scope);
+    Object.assign(approval, {
+      status: 'approved',
+      method: 'deposit',
+      deposit: {
+        amount: requirement.deposit,
+        provider: provider.name,
+        reference: authorization.reference,
+        authorizedAt,
+        releasedAt: null
+      },
+      decisionNote: undefined,
+      decidedBy: undefined,
+      decidedAt: authorizedAt
+    });
+    await approval.save();
+
+    res.status(201).json({
+      message: `Deposit of ${formatMoney(requirement.deposit, requirement.currency)} placed. You can now bid above ${formatMoney(requirement.threshold, requirement.currency)}.`,
+      approval
+    });
+  } catch (error) {
+    console.error('Error placing bidder deposit:', error);
+    res.status(500).json({ message: 'Server error while placing deposit.' });
+  }
+};
+
+/**
+ * @function decideBidderApproval
+ * @description Approves or rejects a pending request. Lot requests are decided by the item's
+ * seller, the event's organizer or an admin; credit-limit requests by admins only, who may grant a
+ * different limit than was asked for. The bidder is emailed the decision.
+ * @param {import('express').Request} req - Express request with approval `id` param, `decision`, optional `note` and `creditLimit`.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const decideBidderApproval = async (req, res) => {
+  try {
+    const approval = await BidderApproval.findById(req.params.id)
+      .populate('userId', 'username email')
+      .populate('itemId', 'title sellerId')
+      .populate('eventId', 'title organizerId');
+    if (!approval) {
+      return res.status(404).json({ message: 'Approval request not found.' });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const ownerId = approval.itemId?.sellerId || approval.eventId?.organizerId;
+    const isOwner = Boolean(ownerId) && ownerId.toString() === req.user._id.toString();
+    if (!isAdmin && (approval.kind === 'credit-limit' || !isOwner)) {
+      return res.status(403).json({ message: 'You are not authorized to decide this request.' });
+    }
+
+    if (approval.status !== 'pending') {
+      return res.status(400).json({ message: 'This request has already been decided.' });
+    }
+
+    const { decision, note } = req.body;
+    const isApproved = decision === 'approve';
+    const grantedLimit = req.body.creditLimit !== undefined && req.body.creditLimit !== ''
+      ? Number(req.body.creditLimit)
+      : approval.requestedLimit;
+
+    if (approval.kind === 'credit-limit' && isApproved) {
+      await User.updateOne({ _id: approval.userId._id }, { creditLimit: grantedLimit }, { runValidators: true });
+    }
+
+    approval.status = isApproved ? 'approved' : 'rejected';
+    approval.decisionNote = note;
+    approval.decidedBy = req.user._id;
+    approval.decidedAt = new Date();
+    await approval.save();
+
+    // notify the bidder by email (best-effort)
+    try {
+      if (approval.userId?.email) {
+        const subjectLabel = approval.kind === 'credit-limit' ? 'Your credit limit request' : `Bidding on ${describeScope(approval)}`;
+        const outcomeText = approval.kind === 'credit-limit'
+          ? (isApproved ? `Your credit limit is now ${formatMoney(grantedLimit)}.` : 'Your credit limit request was declined.')
+          : (isApproved ? `You are approved to bid on ${describeScope(approval)}.` : `Your request to bid on ${describeScope(approval)} was declined.`);
+        const noteText = note ? ` Note: "${note}"` : '';
+        sendEmail({
+          to: approval.userId.email,
+          subject: `${subjectLabel}: ${isApproved ? 'approved' : 'declined'}`,
+          text: `Hi ${approval.userId.username || 'user'},\n\n${outcomeText}${noteText}`,
+          html: `<p>Hi ${approval.userId.username || 'user'},</p><p>${outcomeText}</p>${note ? `<blockquote>${note}</blockquote>` : ''}`
+        }).catch((e) => console.error('Approval decision email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending approval decision notification:', notifyErr);
+    }
+
+    res.status(200).json({ message: isApproved ? 'Request approved.' : 'Request rejected.', approval });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error deciding bidder approval:', error);
+    res.status(500).json({ message: 'Server error while deciding approval request.' });
+  }
+};
+
+/**
+ * @function setUserCreditLimit
+ * @description Sets a user's credit limit. Admin only; an empty limit restores the site default.
+ * @param {import('express').Request} req - Express request with `userId` param and `creditLimit`.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const setUserCreditLimit = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can set credit limits.' });
+    }
+
+    const { creditLimit } = req.body;
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { creditLimit: creditLimit === null || creditLimit === '' || creditLimit === undefined ? null : Number(creditLimit) },
+      { new: true, runValidators: true }
+    ).select('username creditLimit');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    res.status(200).json({ message: `Credit limit for ${user.username} updated.`, user, credit: await getCreditSummary(user) });
+  } catch (error) {
+    console.error('Error setting credit limit:', error);
+    res.status(500).json({ message: 'Server error while setting credit limit.' });
+  }
+};
+
+/**
+ * @function setApprovalRequirement
+ * @description Sets or clears the approval threshold and deposit of an item or event. Allowed for
+ * the item's seller, the event's organizer and admins while bidding has not closed. Approvals
+ * already granted stay valid.
+ * @param {import('express').Request} req - Express request with `itemId` or `eventId`, `approvalThreshold` and `approvalDeposit`.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const setApprovalRequirement = async (req, res) => {
+  try {
+    const { itemId, eventId } = req.body;
+    const approvalThreshold = req.body.approvalThreshold ? Number(req.body.approvalThreshold) : null;
+    const approvalDeposit = req.body.approvalDeposit ? Number(req.body.approvalDeposit) : null;
+    if (approvalDeposit && !approvalThreshold) {
+      return res.status(400).json({ message: 'Set an approval threshold before a deposit.' });
+    }
+
+    const target = itemId ? await Item.findById(itemId) : await AuctionEvent.findById(eventId);
+    const isOpen = itemId
+      ? ['draft', 'upcoming', 'active'].includes(target?.status)
+      : Boolean(target) && target.status !== 'ended';
+    if (!isOpen) {
+      return res.status(404).json({ message: itemId ? 'Auction item not found or already closed.' : 'Auction event not found or already ended.' });
+    }
+
+    const ownerId = itemId ? target.sellerId : target.organizerId;
+    if (req.user.role !== 'admin' && ownerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You are not authorized to change bidding requirements here.' });
+    }
+
+    target.approvalThreshold = approvalThreshold;
+    target.approvalDeposit = approvalDeposit;
+    await target.save();
+
+    res.status(200).json({
+      message: approvalThreshold ? `Bids of ${formatMoney(approvalThreshold, target.currency)} or more now need approval.` : 'Approval threshold removed.',
+      approvalThreshold: target.approvalThreshold,
+      approvalDeposit: target.approvalDeposit
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error setting approval requirement:', error);
+    res.status(500).json({ message: 'Server error while updating bidding requirements.' });
+  }
+};
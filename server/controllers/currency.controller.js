@@ -0,0 +1,62 @@
+/**
+ * @file currency.controller.js
+ * @description Controllers for the supported currencies and the exchange rates used to convert
+ * between them. Anyone can read the rates; only admins can change them.
+ */
+
+import ExchangeRateTable from '../models/ExchangeRateTable.js';
+import { CURRENCIES } from '../utils/money.js';
+import { getExchangeRates, parseExchangeRates } from '../utils/exchangeRates.js';
+
+/**
+ * @function getCurrencies
+ * @description Returns the supported currencies with their symbols, the base currency and the
+ * current exchange rates.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getCurrencies = async (req, res) => {
+  try {
+    const exchangeRates = await getExchangeRates();
+    res.status(200).json({ currencies: CURRENCIES, ...exchangeRates });
+  } catch (fetchError) {
+    console.error('Error fetching exchange rates:', fetchError);
+    res.status(500).json({ message: 'Server error while retrieving exchange rates.' });
+  }
+};
+
+/**
+ * @function updateExchangeRates
+ * @description Replaces the exchange rate table. New rates apply to conversions from then on;
+ * paid orders keep the rate they were booked to the ledger at.
+ * @param {import('express').Request} req - Express request object containing `rates`.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const updateExchangeRates = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can change exchange rates.' });
+    }
+
+    let rates;
+    try {
+      rates = parseExchangeRates(req.body.rates);
+    } catch (ratesError) {
+      return res.status(400).json({ message: ratesError.message });
+    }
+
+    await ExchangeRateTable.findOneAndUpdate(
+      {},
+      { rates, updatedBy: req.user._id },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    const exchangeRates = await getExchangeRates();
+    res.status(200).json({ message: 'Exchange rates updated.', currencies: CURRENCIES, ...exchangeRates });
+  } catch (updateError) {
+    console.error('Error updating exchange rates:', updateError);
+    res.status(500).json({ message: 'Server error while updating exchange rates.' });
+  }
+};
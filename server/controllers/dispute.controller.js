@@ -0,0 +1,440 @@
+/**
+ * @file dispute.controller.js
+ * @description Controllers for disputes about won items. The buyer opens a dispute on a paid order
+ * with a reason and photos, which holds the seller's proceeds in escrow. The seller responds and an
+ * admin resolves the dispute with a full refund, a partial refund or a rejection. Each step is
+ * timestamped and emailed to the parties involved.
+ */
+
+import mongoose from 'mongoose';
+import Dispute from '../models/Dispute.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import cloudinary from '../utils/cloudinary.js';
+import { sendEmail } from '../utils/mailer.js';
+import { getPaymentProvider } from '../utils/paymentProvider.js';
+import { recordOrderRefund, releaseOrderEscrow } from '../utils/ledger.js';
+import { formatMoney, roundMoney } from '../utils/money.js';
+
+// Days after delivery a buyer can still open a dispute
+const DISPUTE_WINDOW_DAYS = 30;
+
+const DISPUTE_REASON_LABELS = {
+  damaged: 'Arrived damaged',
+  'not-as-described': 'Not as described',
+  'not-received': 'Not received',
+  'authenticity-challenged': 'Authenticity challenged',
+  other: 'Other'
+};
+
+/**
+ * @function uploadEvidenceImages
+ * @description Uploads the photos attached to a dispute step to Cloudinary.
+ * @param {Array<Express.Multer.File>|undefined} files - Files parsed by multer.
+ * @returns {Promise<Array<string>>} Secure URLs of the uploaded images.
+ */
+const uploadEvidenceImages = async (files) => {
+  if (!Array.isArray(files) || files.length === 0) {
+    return [];
+  }
+
+  const uploads = await Promise.all(
+    files.slice(0, 5).map((file) => new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { folder: 'bidding-web/disputes', resource_type: 'image' },
+        (error, result) => (error ? reject(error) : resolve(result))
+      );
+      stream.end(file.buffer);
+    }))
+  );
+  return uploads.map((u) => u.secure_url).filter(Boolean);
+};
+
+/**
+ * @function notifyAdmins
+ * @description Emails every admin about a dispute waiting for them (best-effort).
+ * @param {{ subject: string, text: string, html: string }} message - Email content.
+ * @returns {Promise<void>}
+ */
+const notifyAdmins = async ({ subject, text, html }) => {
+  try {
+    const admins = await User.find({ role: 'admin' }).select('email').lean();
+    admins.filter((admin) => admin.email).forEach((admin) => {
+      sendEmail({ to: admin.email, subject, text, html })
+        .catch((e) => console.error('Dispute admin email error:', e));
+    });
+  } catch (notifyErr) {
+    console.error('Error sending dispute notification to admins:', notifyErr);
+  }
+};
+
+/**
+ * @function findDisputeForParty
+ * @description Loads a dispute and checks the user is its buyer, its seller or an admin.
+ * @param {string} disputeId - Dispute identifier.
+ * @param {{ _id: import('mongoose').Types.ObjectId, role?: string }} user - Authenticated user.
+ * @returns {Promise<{ dispute?: import('mongoose').Document, status?: number, error?: string }>}
+ */
+const findDisputeForParty = async (disputeId, user) => {
+  const dispute = await Dispute.findById(disputeId)
+    .populate('itemId', 'title images authenticity')
+    .populate('buyerId', 'username email')
+    .populate('sellerId', 'username email');
+  if (!dispute) {
+    return { status: 404, error: 'Dispute not found.' };
+  }
+  const isParty = [dispute.buyerId?._id, dispute.sellerId?._id].some((partyId) => partyId?.toString() === user._id.toString());
+  if (!isParty && user.role !== 'admin') {
+    return { status: 403, error: 'You are not part of this dispute.' };
+  }
+  return { dispute };
+};
+
+/**
+ * @function openDispute
+ * @description Opens a dispute on one of the buyer's paid orders and holds the seller's proceeds
+ * until it is resolved. "Authenticity challenged" is only accepted for items listed as
+ * Authenticated.
+ * @param {import('express').Request} req - Express request with `orderId`, `reason` and
+ * `description` body fields and optional `evidence` image files.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const openDispute = async (req, res) => {
+  try {
+    const { orderId, reason, description } = req.body;
+
+    const order = await Order.findById(orderId)
+      .populate('itemId', 'title authenticity')
+      .populate('sellerId', 'username email');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+
+    if (order.buyerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the buyer can open a dispute on this order.' });
+    }
+
+    if (!['paid', 'shipped', 'delivered'].includes(order.status)) {
+      return res.status(400).json({ message: 'Disputes can only be opened on paid orders.' });
+    }
+
+    const deliveredAt = order.fulfillment?.deliveredAt;
+    if (deliveredAt && Date.now() - deliveredAt.getTime() > DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: `Disputes must be opened within ${DISPUTE_WINDOW_DAYS} days of delivery.` });
+    }
+
+    if (reason === 'authenticity-challenged' && order.itemId?.authenticity !== 'Authenticated') {
+      return res.status(400).json({ message: 'Authenticity can only be challenged on items listed as Authenticated.' });
+    }
+
+    if (await Dispute.exists({ orderId: order._id })) {
+      return res.status(409).json({ message: 'A dispute has already been opened for this order.' });
+    }
+
+    const evidenceImages = await uploadEvidenceImages(req.files);
+    const openedAt = new Date();
+
+    const dispute = await Dispute.create({
+      orderId: order._id,
+      itemId: order.itemId._id,
+      buyerId: order.buyerId,
+      sellerId: order.sellerId._id,
+      reason,
+      description,
+      evidenceImages,
+      openedAt
+    });
+
+    // Hold the seller's proceeds until an admin decides
+    await Order.updateOne({ _id: order._id }, { 'escrow.disputedAt': openedAt });
+
+    // notify the seller and admins by email (best-effort)
+    try {
+      const itemTitle = order.itemId?.title || 'your item';
+      const reasonLabel = DISPUTE_REASON_LABELS[reason];
+      if (order.sellerId?.email) {
+        sendEmail({
+          to: order.sellerId.email,
+          subject: `Dispute opened: ${itemTitle}`,
+          text: `${req.user.username} opened a dispute about ${itemTitle}. Reason: ${reasonLabel}. "${description}" Please respond from your Disputes page. Your proceeds for this sale are held until the dispute is resolved.`,
+          html: `<p><strong>${req.user.username}</strong> opened a dispute about <strong>${itemTitle}</strong>.</p><p>Reason: ${reasonLabel}</p><blockquote>${description}</blockquote><p>Please respond from your Disputes page. Your proceeds for this sale are held until the dispute is resolved.</p>`
+        }).catch((e) => console.error('Dispute opened email error:', e));
+      }
+      await notifyAdmins({
+        subject: `New dispute: ${itemTitle}`,
+        text: `${req.user.username} opened a dispute about ${itemTitle} (${reasonLabel}).`,
+        html: `<p><strong>${req.user.username}</strong> opened a dispute about <strong>${itemTitle}</strong> (${reasonLabel}).</p>`
+      });
+    } catch (notifyErr) {
+      console.error('Error sending dispute notifications:', notifyErr);
+    }
+
+    res.status(201).json({ message: 'Dispute opened. The seller has been notified.', dispute });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error opening dispute:', error);
+    res.status(500).json({ message: 'Server error while opening dispute.' });
+  }
+};
+
+/**
+ * @function getMyDisputes
+ * @description Lists disputes the authenticated user opened as a buyer or received as a seller,
+ * newest first.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getMyDisputes = async (req, res) => {
+  try {
+    const disputes = await Dispute.find({ $or: [{ buyerId: req.user._id }, { sellerId: req.user._id }] })
+      .sort({ openedAt: -1 })
+      .populate('itemId', 'title images')
+      .populate('buyerId', 'username')
+      .populate('sellerId', 'username')
+      .populate('orderId', 'currency');
+
+    res.status(200).json({ disputes });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({ message: 'Server error while retrieving disputes.' });
+  }
+};
+
+/**
+ * @function getDisputeQueue
+ * @description Lists unresolved disputes for admins, oldest first.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getDisputeQueue = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can review disputes.' });
+    }
+
+    const disputes = await Dispute.find({ status: { $ne: 'resolved' } })
+      .sort({ openedAt: 1 })
+      .populate('itemId', 'title images')
+      .populate('buyerId', 'username')
+      .populate('sellerId', 'username')
+      .populate('orderId', 'currency total sellerProceeds status');
+
+    res.status(200).json({ disputes });
+  } catch (error) {
+    console.error('Error fetching dispute queue:', error);
+    res.status(500).json({ message: 'Server error while retrieving disputes.' });
+  }
+};
+
+/**
+ * @function getDisputeById
+ * @description Returns one dispute with its order amounts to its buyer, seller or an admin.
+ * @param {import('express').Request} req - Express request with dispute `id` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getDisputeById = async (req, res) => {
+  try {
+    const { dispute, status, error } = await findDisputeForParty(req.params.id, req.user);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    await dispute.populate('orderId', 'currency total sellerProceeds status refund');
+    res.status(200).json({ dispute });
+  } catch (error) {
+    console.error('Error fetching dispute:', error);
+    res.status(500).json({ message: 'Server error while retrieving dispute.' });
+  }
+};
+
+/**
+ * @function respondToDispute
+ * @description Records the seller's side of an open dispute and passes it to the admins.
+ * @param {import('express').Request} req - Express request with dispute `id` param, `message`
+ * body field and optional `evidence` image files.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const respondToDispute = async (req, res) => {
+  try {
+    const { dispute, status, error } = await findDisputeForParty(req.params.id, req.user);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    if (dispute.sellerId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the seller can respond to this dispute.' });
+    }
+
+    if (dispute.status !== 'open') {
+      return res.status(400).json({ message: `This dispute has already been ${dispute.status}.` });
+    }
+
+    dispute.sellerResponse = {
+      message: req.body.message,
+      images: await uploadEvidenceImages(req.files),
+      respondedAt: new Date()
+    };
+    dispute.status = 'responded';
+    await dispute.save();
+
+    // notify the buyer and admins by email (best-effort)
+    try {
+      const itemTitle = dispute.itemId?.title || 'your item';
+      if (dispute.buyerId?.email) {
+        sendEmail({
+          to: dispute.buyerId.email,
+          subject: `Seller responded to your dispute: ${itemTitle}`,
+          text: `${dispute.sellerId.username} responded to your dispute about ${itemTitle}: "${req.body.message}" An admin will now review the case.`,
+          html: `<p><strong>${dispute.sellerId.username}</strong> responded to your dispute about <strong>${itemTitle}</strong>:</p><blockquote>${req.body.message}</blockquote><p>An admin will now review the case.</p>`
+        }).catch((e) => console.error('Dispute response email error:', e));
+      }
+      await notifyAdmins({
+        subject: `Dispute ready for review: ${itemTitle}`,
+        text: `The seller responded to the dispute about ${itemTitle}. It is ready for a decision.`,
+        html: `<p>The seller responded to the dispute about <strong>${itemTitle}</strong>. It is ready for a decision.</p>`
+      });
+    } catch (notifyErr) {
+      console.error('Error sending dispute response notifications:', notifyErr);
+    }
+
+    res.status(200).json({ message: 'Response submitted.', dispute });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error responding to dispute:', error);
+    res.status(500).json({ message: 'Server error while responding to dispute.' });
+  }
+};
+
+/**
+ * @function resolveDispute
+ * @description Lets an admin decide a dispute. A full refund returns the order total and marks the
+ * order refunded; a partial refund returns part of the seller's proceeds; a rejection returns
+ * nothing. Refunds go back through the payment provider and are posted to the ledger. Proceeds
+ * still held are then released to the seller if the buyer already has the item.
+ * @param {import('express').Request} req - Express request with dispute `id` param and `outcome`,
+ * `refundAmount` (partial refunds) and `note` body fields.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const resolveDispute = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can resolve disputes.' });
+    }
+
+    const { dispute, status, error } = await findDisputeForParty(req.params.id, req.user);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(400).json({ message: 'This dispute has already been resolved.' });
+    }
+
+    const order = await Order.findById(dispute.orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+
+    const { outcome, note } = req.body;
+    const refundAmount = outcome === 'refund'
+      ? order.total
+      : outcome === 'partial-refund' ? roundMoney(Number(req.body.refundAmount)) : 0;
+    if (outcome === 'partial-refund' && !(refundAmount > 0 && refundAmount <= order.sellerProceeds)) {
+      return res.status(400).json({ message: `A partial refund must be between ${formatMoney(0.01, order.currency)} and the seller's proceeds of ${formatMoney(order.sellerProceeds, order.currency)}.` });
+    }
+
+    let refundReference;
+    if (refundAmount > 0) {
+      const provider = getPaymentProvider();
+      const refundResult = await provider.refund({
+        amount: refundAmount,
+        currency: order.currency,
+        chargeReference: order.payment?.reference,
+        description: `Dispute refund for ${dispute.itemId?.title || 'auction item'}`
+      });
+      if (!refundResult.refunded) {
+        return res.status(502).json({ message: refundResult.message || 'The refund could not be processed.' });
+      }
+      refundReference = refundResult.reference;
+    }
+
+    const resolvedAt = new Date();
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      if (refundAmount > 0) {
+        const sellerPortion = await recordOrderRefund(order, refundAmount, session);
+        order.refund = { amount: refundAmount, sellerPortion, reference: refundReference, refundedAt: resolvedAt };
+        if (outcome === 'refund') {
+          order.status = 'refunded';
+          if (order.escrow.heldAt && !order.escrow.releasedAt) {
+            // Nothing is left in escrow to release
+            order.escrow.releasedAt = resolvedAt;
+          }
+        }
+      }
+      order.escrow.disputedAt = null;
+      await order.save({ session });
+
+      dispute.status = 'resolved';
+      dispute.resolution = { outcome, refundAmount, note, resolvedBy: req.user._id, resolvedAt };
+      await dispute.save({ session });
+
+      await session.commitTransaction();
+    } catch (settleError) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      if (refundReference) {
+        console.error(`Dispute ${dispute._id} could not be recorded; refund ${refundReference} was already sent.`);
+      }
+      throw settleError;
+    } finally {
+      session.endSession();
+    }
+
+    // The buyer already has the item, so whatever the seller keeps is released now
+    if (order.status === 'delivered') {
+      try {
+        await releaseOrderEscrow(order._id, 'Dispute resolved');
+      } catch (releaseErr) {
+        console.error(`Error releasing escrow for order ${order._id}:`, releaseErr);
+      }
+    }
+
+    // notify buyer and seller by email (best-effort)
+    try {
+      const itemTitle = dispute.itemId?.title || 'your item';
+      const decision = outcome === 'rejected'
+        ? 'The dispute was rejected and no refund was issued.'
+        : `The buyer was refunded ${formatMoney(refundAmount, order.currency)}.`;
+      const noteText = note ? ` Note from our team: ${note}` : '';
+      [dispute.buyerId?.email, dispute.sellerId?.email].filter(Boolean).forEach((email) => {
+        sendEmail({
+          to: email,
+          subject: `Dispute resolved: ${itemTitle}`,
+          text: `The dispute about ${itemTitle} has been resolved. ${decision}${noteText}`,
+          html: `<p>The dispute about <strong>${itemTitle}</strong> has been resolved.</p><p>${decision}</p>${note ? `<p>Note from our team: ${note}</p>` : ''}`
+        }).catch((e) => console.error('Dispute resolved email error:', e));
+      });
+    } catch (notifyErr) {
+      console.error('Error sending dispute resolution notifications:', notifyErr);
+    }
+
+    res.status(200).json({ message: 'Dispute resolved.', dispute });
+  } catch (error) {
+    console.error('Error resolving dispute:', error);
+    res.status(500).json({ message: 'Server error while resolving dispute.' });
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * @file fee.controller.js
+ * @description Controllers for the site-wide buyer's premium and sales tax schedule. Anyone can
+ * read the schedule; only admins can change it.
+ */
+
+import FeeSchedule from '../models/FeeSchedule.js';
+import { getFeeSchedule, parsePremiumTiers, parseTaxRates } from '../utils/buyerCharges.js';
+
+/**
+ * @function getFeeScheduleSettings
+ * @description Returns the global premium schedule, category overrides, seller commission and tax
+ * rate table.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getFeeScheduleSettings = async (req, res) => {
+  try {
+    const feeSchedule = await getFeeSchedule();
+    res.status(200).json({ feeSchedule });
+  } catch (fetchError) {
+    console.error('Error fetching fee schedule:', fetchError);
+    res.status(500).json({ message: 'Server error while retrieving the fee schedule.' });
+  }
+};
+
+/**
+ * @function updateFeeSchedule
+ * @description Replaces the parts of the fee schedule present in the request body. Changes apply
+ * to items that close afterwards; settlements already recorded are kept.
+ * @param {import('express').Request} req - Express request object containing the schedule.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const updateFeeSchedule = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can change the fee schedule.' });
+    }
+
+    const { premiumTiers, categoryPremiums, sellerCommissionPercent, taxRates } = req.body;
+    const updates = { updatedBy: req.user._id };
+
+    try {
+      if (premiumTiers !== undefined) {
+        updates.premiumTiers = parsePremiumTiers(premiumTiers);
+      }
+      if (categoryPremiums !== undefined) {
+        updates.categoryPremiums = categoryPremiums.map((entry) => ({
+          category: entry.category.trim(),
+          tiers: parsePremiumTiers(entry.tiers)
+        }));
+        const categories = updates.categoryPremiums.map(({ category }) => category.toLowerCase());
+        if (new Set(categories).size !== categories.length) {
+          return res.status(400).json({ message: 'Each category can only have one premium schedule.' });
+        }
+      }
+      if (sellerCommissionPercent !== undefined) {
+        updates.sellerCommissionPercent = Number(sellerCommissionPercent);
+      }
+      if (taxRates !== undefined) {
+        updates.taxRates = parseTaxRates(taxRates);
+      }
+    } catch (scheduleError) {
+      return res.status(400).json({ message: scheduleError.message });
+    }
+
+    await FeeSchedule.findOneAndUpdate({}, updates, { upsert: true, new: true, runValidators: true });
+
+    const feeSchedule = await getFeeSchedule();
+    res.status(200).json({ message: 'Fee schedule updated.', feeSchedule });
+  } catch (updateError) {
+    console.error('Error updating fee schedule:', updateError);
+    res.status(500).json({ message: 'Server error while updating the fee schedule.' });
+  }
+};
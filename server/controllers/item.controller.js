@@ -4,9 +4,215 @@
  * creation, retrieval, updates, and deletion.
  */
 
+import mongoose from 'mongoose';
 import Item from '../models/Item.js';
 import Bid from '../models/Bid.js';
+import AutoBid from '../models/AutoBid.js';
+import User from '../models/User.js';
+import AuctionEvent from '../models/AuctionEvent.js';
+import FloorAction from '../models/FloorAction.js';
+import { sendEmail } from '../utils/mailer.js';
 import cloudinary from '../utils/cloudinary.js';
+import { getStandingBids, allocateUnits, formatWinningBids } from '../utils/multiUnitAuction.js';
+import { INCREMENT_PRESETS, parseIncrementTiers } from '../utils/bidIncrements.js';
+import { parseRelistRules } from '../utils/relisting.js';
+import { parseBundleItems, assignBundleImages, getBundleCoverImages } from '../utils/bundles.js';
+import { openOrdersForItem, buildInvoiceAttachment } from '../utils/orders.js';
+import { applyBuyerCharges, getFeeSchedule, resolvePremiumTiers, findTaxRate } from '../utils/buyerCharges.js';
+import { quoteShipping } from '../utils/shipping.js';
+import { formatMoney, fromMinorUnits, toMinorUnits } from '../utils/money.js';
+import { checkBidderEligibility } from '../utils/bidderApprovals.js';
+import { getBiddingSuspensionError } from '../utils/shillDetection.js';
+
+// Fields a seller may change on a published listing; everything else is set by the auction itself
+const EDITABLE_LISTING_FIELDS = [
+  'title', 'description', 'category', 'images', 'condition', 'era', 'authenticity', 'dimensions',
+  'shipping', 'relistRules', 'startTime', 'endTime', 'softCloseWindowMinutes', 'maxExtensions',
+  'currency', 'format', 'listingType', 'bundleItems', 'startingPrice', 'reservePrice', 'buyNowPrice',
+  'bidIncrement', 'incrementPreset', 'incrementTiers', 'approvalThreshold', 'approvalDeposit'
+];
+
+// Terms bidders have bid against, fixed once the first bid is in
+const BID_LOCKED_FIELDS = [
+  'currency', 'format', 'listingType', 'bundleItems', 'startingPrice', 'reservePrice', 'buyNowPrice',
+  'bidIncrement', 'incrementPreset', 'incrementTiers', 'approvalThreshold', 'approvalDeposit'
+];
+
+/**
+ * @function uploadItemImages
+ * @description Uploads the multipart image files of a listing request to Cloudinary.
+ * @param {Array<Express.Multer.File>|undefined} files - Files parsed by multer.
+ * @param {number} [maxFiles=5] - Number of files to upload at most.
+ * @returns {Promise<Array<string>>} Secure URLs of the uploaded images.
+ */
+const uploadItemImages = async (files, maxFiles = 5) => {
+  if (!Array.isArray(files) || files.length === 0) {
+    return [];
+  }
+
+  const uploads = await Promise.all(
+    files.slice(0, maxFiles).map((file) =>
+      cloudinary.uploader.upload_stream
+        ? new Promise((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream(
+              { folder: 'bidding-web/items', resource_type: 'image' },
+              (error, result) => (error ? reject(error) : resolve(result))
+            );
+            stream.end(file.buffer);
+          })
+        : cloudinary.uploader
+            .upload(file.path, { folder: 'bidding-web/items', resource_type: 'image' })
+    )
+  );
+  return uploads.map((u) => u.secure_url).filter(Boolean);
+};
+
+/**
+ * @function parseJsonField
+ * @description Parses an object field that multipart forms send as a JSON string.
+ * @param {unknown} value - Submitted value.
+ * @param {string} fieldName - Field name used in the log message.
+ * @returns {Record<string, any>|undefined}
+ */
+const parseJsonField = (value, fieldName) => {
+  if (!value) {
+    return undefined;
+  }
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (parseError) {
+    console.error(`Failed to parse ${fieldName}:`, parseError);
+    return undefined;
+  }
+};
+
+/**
+ * @function buildItemPayload
+ * @description Builds the item fields of a listing request, shared by direct listing creation and
+ * draft autosave/publish. Missing values fall back to defaults so a partial draft still saves.
+ * When publishing, the title, description, starting price and images get no fallback and are left
+ * empty for getMissingListingFields to report.
+ * @param {import('express').Request} req - Express request with listing fields and optional files.
+ * @param {{ existingImages?: Array<string>, isPublishing?: boolean }} [options] - Images kept when
+ * the request sends none, and whether the listing is being published from a draft.
+ * @returns {Promise<Record<string, any>>}
+ */
+const buildItemPayload = async (req, { existingImages, isPublishing = false } = {}) => {
+  const now = new Date();
+  const defaultEndTime = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+  const placeholderImage = 'https://via.placeholder.com/800x600?text=Auction+Item';
+
+  const enteredTitle = (req.body.title && String(req.body.title).trim().length >= 2)
+    ? String(req.body.title).trim()
+    : null;
+  const generatedTitle = enteredTitle || (isPublishing ? null : `Untitled Item ${Date.now()}`);
+  const startingPrice = Number(req.body.startingPrice) || (isPublishing ? null : 1);
+
+  // Bundle pieces carry their own images, uploaded as `bundleImages` in piece order
+  const bundlePieces = req.body.bundleItems ? parseBundleItems(req.body.bundleItems) : [];
+  const bundleItems = bundlePieces.length > 0
+    ? assignBundleImages(bundlePieces, await uploadItemImages(req.files?.bundleImages, req.files?.bundleImages?.length))
+    : undefined;
+
+  // Prepare images: prefer uploaded files, else body URLs, else the draft's images, else the
+  // bundle pieces' first images, else placeholder (drafts only)
+  const uploadedUrls = await uploadItemImages(req.files?.images);
+  const keptImages = (existingImages || []).filter((url) => url !== placeholderImage);
+  const bundleCoverImages = bundleItems ? getBundleCoverImages(bundleItems) : [];
+
+  const bodyImages = Array.isArray(req.body.images)
+    ? req.body.images
+    : (typeof req.body.images === 'string' && req.body.images.trim())
+      ? [req.body.images.trim()]
+      : [];
+
+  const images = uploadedUrls.length > 0
+    ? uploadedUrls
+    : bodyImages.length > 0
+      ? bodyImages.slice(0, 5)
+      : keptImages.length > 0
+        ? keptImages
+        : bundleCoverImages.length > 0
+          ? bundleCoverImages
+          : isPublishing ? [] : [placeholderImage];
+
+  // Future-dated listings wait as `upcoming` until the scheduler opens them
+  const startTime = req.body.startTime ? new Date(req.body.startTime) : now;
+  const status = startTime > now ? 'upcoming' : 'active';
+
+  const incrementPreset = req.body.incrementPreset || undefined;
+  const incrementTiers = incrementPreset === 'custom' ? parseIncrementTiers(req.body.incrementTiers) : undefined;
+
+  const isMultiUnit = req.body.isMultiUnit === true || req.body.isMultiUnit === 'true';
+  const format = req.body.format || undefined;
+  const listingType = req.body.listingType || undefined;
+  const totalQuantity = isMultiUnit ? Number(req.body.totalQuantity) || 1 : 1;
+  const relistRules = req.body.relistRules ? parseRelistRules(req.body.relistRules) : undefined;
+
+  return {
+    title: generatedTitle,
+    description: req.body.description || (isPublishing ? null : 'No description provided.'),
+    category: req.body.category || 'Other',
+    images,
+    sellerId: req.user._id,
+    currency: req.body.currency || undefined,
+    startingPrice,
+    currentPrice: startingPrice,
+    bidIncrement: req.body.bidIncrement ? Number(req.body.bidIncrement) : undefined,
+    incrementPreset,
+    incrementTiers,
+    reservePrice: req.body.reservePrice ? Number(req.body.reservePrice) : null,
+    buyNowPrice: req.body.buyNowPrice ? Number(req.body.buyNowPrice) : null,
+    approvalThreshold: req.body.approvalThreshold ? Number(req.body.approvalThreshold) : null,
+    approvalDeposit: req.body.approvalDeposit ? Number(req.body.approvalDeposit) : null,
+    startTime,
+    status,
+    endTime: req.body.endTime ? new Date(req.body.endTime) : defaultEndTime,
+    condition: req.body.condition || 'Good',
+    era: req.body.era,
+    authenticity: req.body.authenticity,
+    dimensions: parseJsonField(req.body.dimensions, 'dimensions'),
+    shipping: parseJsonField(req.body.shipping, 'shipping'),
+    softCloseWindowMinutes: req.body.softCloseWindowMinutes !== undefined && req.body.softCloseWindowMinutes !== ''
+      ? Number(req.body.softCloseWindowMinutes)
+      : undefined,
+    maxExtensions: req.body.maxExtensions ? Number(req.body.maxExtensions) : undefined,
+    listingType,
+    format,
+    isMultiUnit,
+    totalQuantity,
+    quantityAvailable: totalQuantity,
+    relistRules,
+    bundleItems
+  };
+};
+
+/**
+ * @function getMissingListingFields
+ * @description Lists what a listing built for publishing still lacks.
+ * @param {Record<string, any>} listingPayload - Fields from buildItemPayload with `isPublishing`.
+ * @returns {Array<{ field: string, message: string }>}
+ */
+const getMissingListingFields = (listingPayload) => [
+  !listingPayload.title && { field: 'title', message: 'A title is required to publish.' },
+  !listingPayload.description && { field: 'description', message: 'A description is required to publish.' },
+  !listingPayload.startingPrice && { field: 'startingPrice', message: 'A starting price is required to publish.' },
+  listingPayload.images.length === 0 && { field: 'images', message: 'At least one image is required to publish.' }
+].filter(Boolean);
+
+/**
+ * @function sendListingValidationError
+ * @description Responds with the field errors of a failed listing save.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('mongoose').Error.ValidationError} validationError - Mongoose validation error.
+ * @returns {void}
+ */
+const sendListingValidationError = (res, validationError) => {
+  res.status(400).json({
+    message: 'Validation failed. Please review the submitted fields.',
+    errors: Object.values(validationError.errors).map((e) => ({ field: e.path, message: e.message }))
+  });
+};
 
 /**
  * @function createItem
@@ -18,77 +224,7 @@ import cloudinary from '../utils/cloudinary.js';
 export const createItem = async (req, res) => {
   try {
     // All authenticated users can create auction listings
-
-    const now = new Date();
-    const defaultEndTime = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-    const placeholderImage = 'https://via.placeholder.com/800x600?text=Auction+Item';
-
-    const generatedTitle = (req.body.title && String(req.body.title).trim().length >= 2)
-      ? String(req.body.title).trim()
-      : `Untitled Item ${Date.now()}`;
-
-    // Prepare images: prefer uploaded files, else body URLs, else placeholder
-    let uploadedUrls = [];
-    if (Array.isArray(req.files) && req.files.length > 0) {
-      const uploads = await Promise.all(
-        req.files.slice(0, 5).map((file) =>
-          cloudinary.uploader.upload_stream
-            ? new Promise((resolve, reject) => {
-                const stream = cloudinary.uploader.upload_stream(
-                  { folder: 'bidding-web/items', resource_type: 'image' },
-                  (error, result) => (error ? reject(error) : resolve(result))
-                );
-                stream.end(file.buffer);
-              })
-            : cloudinary.uploader
-                .upload(file.path, { folder: 'bidding-web/items', resource_type: 'image' })
-        )
-      );
-      uploadedUrls = uploads.map((u) => u.secure_url).filter(Boolean);
-    }
-
-    const bodyImages = Array.isArray(req.body.images)
-      ? req.body.images
-      : (typeof req.body.images === 'string' && req.body.images.trim())
-        ? [req.body.images.trim()]
-        : [];
-
-    const images = uploadedUrls.length > 0
-      ? uploadedUrls
-      : bodyImages.length > 0
-        ? bodyImages.slice(0, 5)
-        : [placeholderImage];
-
-    // Parse dimensions if provided as JSON string (from FormData)
-    let parsedDimensions;
-    if (req.body.dimensions) {
-      try {
-        parsedDimensions = typeof req.body.dimensions === 'string' 
-          ? JSON.parse(req.body.dimensions) 
-          : req.body.dimensions;
-      } catch (parseError) {
-        console.error('Failed to parse dimensions:', parseError);
-        parsedDimensions = undefined;
-      }
-    }
-
-    const itemPayload = {
-      title: generatedTitle,
-      description: req.body.description || 'No description provided.',
-      category: req.body.category || 'Other',
-      images,
-      sellerId: req.user._id,
-      startingPrice: Number(req.body.startingPrice) || 1,
-      currentPrice: Number(req.body.startingPrice) || 1,
-      bidIncrement: req.body.bidIncrement ? Number(req.body.bidIncrement) : undefined,
-      startTime: req.body.startTime ? new Date(req.body.startTime) : now,
-      endTime: req.body.endTime ? new Date(req.body.endTime) : defaultEndTime,
-      condition: req.body.condition || 'Good',
-      era: req.body.era,
-      authenticity: req.body.authenticity,
-      dimensions: parsedDimensions
-    };
-
+    const itemPayload = await buildItemPayload(req);
     const createdItem = await Item.create(itemPayload);
 
     res.status(201).json({
@@ -98,33 +234,187 @@ export const createItem = async (req, res) => {
   } catch (creationError) {
     console.error('Error creating auction item:', creationError);
     if (creationError.name === 'ValidationError') {
+      return sendListingValidationError(res, creationError);
+    }
+    res.status(500).json({ message: 'Server error while creating auction item.' });
+  }
+};
+
+/**
+ * @function createDraft
+ * @description Saves a listing in progress as a draft. Drafts are private to their seller, hidden
+ * from the listings and cannot be bid on until published.
+ * @param {import('express').Request} req - Express request object containing the partial listing.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const createDraft = async (req, res) => {
+  try {
+    const draftPayload = await buildItemPayload(req);
+    const draft = await Item.create({ ...draftPayload, status: 'draft' });
+
+    res.status(201).json({ message: 'Draft saved.', item: draft });
+  } catch (draftError) {
+    if (draftError.name === 'ValidationError') {
+      return sendListingValidationError(res, draftError);
+    }
+    console.error('Error saving draft:', draftError);
+    res.status(500).json({ message: 'Server error while saving draft.' });
+  }
+};
+
+/**
+ * @function findOwnDraft
+ * @description Loads a draft and checks it belongs to the requesting seller.
+ * @param {import('express').Request} req - Express request with draft `id` param.
+ * @param {import('express').Response} res - Express response used for 403/404 replies.
+ * @returns {Promise<import('mongoose').Document|null>} The draft, or null once a reply was sent.
+ */
+const findOwnDraft = async (req, res) => {
+  const draft = await Item.findById(req.params.id);
+  if (!draft || draft.status !== 'draft') {
+    res.status(404).json({ message: 'Draft not found.' });
+    return null;
+  }
+  if (draft.sellerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'You are not authorized to edit this draft.' });
+    return null;
+  }
+  return draft;
+};
+
+/**
+ * @function getMyDrafts
+ * @description Lists the authenticated seller's drafts, most recently edited first.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const getMyDrafts = async (req, res) => {
+  try {
+    const drafts = await Item.find({ sellerId: req.user._id, status: 'draft' }).sort({ updatedAt: -1 });
+    res.status(200).json({ drafts });
+  } catch (listError) {
+    console.error('Error fetching drafts:', listError);
+    res.status(500).json({ message: 'Server error while retrieving drafts.' });
+  }
+};
+
+/**
+ * @function getDraftById
+ * @description Returns one of the seller's drafts so the listing form can resume it.
+ * @param {import('express').Request} req - Express request object containing draft ID param.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const getDraftById = async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req, res);
+    if (!draft) {
+      return;
+    }
+    // Sellers resuming a draft need the reserve they entered
+    res.status(200).json({ item: { ...draft.toJSON(), reservePrice: draft.reservePrice } });
+  } catch (fetchError) {
+    console.error('Error fetching draft:', fetchError);
+    res.status(500).json({ message: 'Server error while retrieving draft.' });
+  }
+};
+
+/**
+ * @function updateDraft
+ * @description Autosaves the listing form into an existing draft. Images already on the draft are
+ * kept unless the request sends new ones.
+ * @param {import('express').Request} req - Express request object containing draft ID and fields.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const updateDraft = async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req, res);
+    if (!draft) {
+      return;
+    }
+
+    const draftPayload = await buildItemPayload(req, { existingImages: draft.images });
+    Object.assign(draft, draftPayload, { status: 'draft' });
+    await draft.save();
+
+    res.status(200).json({ message: 'Draft saved.', item: draft });
+  } catch (draftError) {
+    if (draftError.name === 'ValidationError') {
+      return sendListingValidationError(res, draftError);
+    }
+    console.error('Error updating draft:', draftError);
+    res.status(500).json({ message: 'Server error while saving draft.' });
+  }
+};
+
+/**
+ * @function publishDraft
+ * @description Applies the final form values to a draft and publishes it. The title, description,
+ * starting price and at least one image are required. A start time in the past opens bidding
+ * immediately; a future one schedules the listing as upcoming.
+ * @param {import('express').Request} req - Express request object containing draft ID and fields.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const publishDraft = async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req, res);
+    if (!draft) {
+      return;
+    }
+
+    const listingPayload = await buildItemPayload(req, { existingImages: draft.images, isPublishing: true });
+    const missingFields = getMissingListingFields(listingPayload);
+    if (missingFields.length > 0) {
       return res.status(400).json({
-        message: 'Validation failed. Please review the submitted fields.',
-        errors: Object.values(creationError.errors).map((e) => ({ field: e.path, message: e.message }))
+        message: 'The listing is missing details it needs before it can be published.',
+        errors: missingFields
       });
     }
-    res.status(500).json({ message: 'Server error while creating auction item.' });
+
+    const now = new Date();
+    if (listingPayload.endTime <= now) {
+      return res.status(400).json({ message: 'End time must be in the future.' });
+    }
+    if (listingPayload.startTime < now) {
+      listingPayload.startTime = now;
+    }
+
+    Object.assign(draft, listingPayload, { createdAt: now });
+    await draft.save();
+
+    res.status(200).json({ message: 'Auction item published successfully.', item: draft });
+  } catch (publishError) {
+    if (publishError.name === 'ValidationError') {
+      return sendListingValidationError(res, publishError);
+    }
+    console.error('Error publishing draft:', publishError);
+    res.status(500).json({ message: 'Server error while publishing draft.' });
   }
 };
 
 /**
  * @function getItems
- * @description Retrieves auction items with optional filters such as category, status, search, price range, condition, and sorting.
+ * @description Retrieves auction items with optional filters such as category, status, search, currency, price range, condition, and sorting.
  * @param {import('express').Request} req - Express request object with query parameters.
  * @param {import('express').Response} res - Express response object used to send the response.
  * @returns {Promise<void>}
  */
 export const getItems = async (req, res) => {
   try {
-    const { category, status, search, condition, minPrice, maxPrice, sortBy } = req.query;
-    const filters = {};
+    const { category, status, search, condition, currency, minPrice, maxPrice, sortBy } = req.query;
+    // Drafts are private to their seller and never listed
+    const filters = { status: { $ne: 'draft' } };
 
     if (category) {
       filters.category = category;
     }
 
     if (status) {
-      filters.status = status;
+      filters.status.$eq = status;
     }
 
     if (search) {
@@ -135,14 +425,19 @@ export const getItems = async (req, res) => {
       filters.condition = condition;
     }
 
-    // Price range filter
+    if (currency) {
+      filters.currency = currency;
+    }
+
+    // Price range filter, in each listing's own currency. Range operators skip the schema's
+    // setter, so the bounds are converted to the stored minor units here
     if (minPrice || maxPrice) {
       filters.currentPrice = {};
       if (minPrice) {
-        filters.currentPrice.$gte = Number(minPrice);
+        filters.currentPrice.$gte = toMinorUnits(Number(minPrice));
       }
       if (maxPrice) {
-        filters.currentPrice.$lte = Number(maxPrice);
+        filters.currentPrice.$lte = toMinorUnits(Number(maxPrice));
       }
     }
 
@@ -169,6 +464,12 @@ export const getItems = async (req, res) => {
         sortOption = { createdAt: -1 };
     }
 
+    // Lots stay out of the listings until their event's catalog is published
+    const unpublishedEventIds = await AuctionEvent.find({ previewStart: { $gt: new Date() } }).distinct('_id');
+    if (unpublishedEventIds.length) {
+      filters.eventId = { $nin: unpublishedEventIds };
+    }
+
     const items = await Item.find(filters)
       .populate('sellerId', 'username role')
       .sort(sortOption);
@@ -182,7 +483,9 @@ export const getItems = async (req, res) => {
 
 /**
  * @function getItemById
- * @description Returns a single auction item along with recent bid history.
+ * @description Returns a single auction item along with recent bid history. The serialized item
+ * carries `hasReserve`/`reserveMet` flags instead of the reserve amount. Multi-unit items also
+ * include the bids currently holding units.
  * @param {import('express').Request} req - Express request object containing item ID param.
  * @param {import('express').Response} res - Express response object used to send the response.
  * @returns {Promise<void>}
@@ -197,18 +500,29 @@ export const getItemById = async (req, res) => {
       { new: true }
     )
       .populate('sellerId', 'username role')
-      .populate('highestBidder', 'username');
+      .populate('highestBidder', 'username')
+      .populate('winners.userId', 'username')
+      .populate('eventId', 'title');
 
-    if (!item) {
+    if (!item || item.status === 'draft') {
       return res.status(404).json({ message: 'Auction item not found.' });
     }
 
-    const recentBids = await Bid.find({ itemId: id })
-      .populate('bidderId', 'username')
-      .sort({ timestamp: -1 })
-      .limit(20);
+    // Sealed bids stay hidden until the scheduler settles the auction
+    const recentBids = item.isSealed() && !item.isAuctionOver
+      ? []
+      : await Bid.find({ itemId: id })
+        .populate('bidderId', 'username')
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(20);
+
+    let winningBids;
+    if (item.isMultiUnit && item.status === 'active') {
+      const { allocations } = allocateUnits(await getStandingBids(item._id), item.totalQuantity);
+      winningBids = formatWinningBids(allocations);
+    }
 
-    res.status(200).json({ item, recentBids });
+    res.status(200).json({ item, recentBids, winningBids });
   } catch (detailError) {
     console.error('Error retrieving auction item:', detailError);
     res.status(500).json({ message: 'Server error while retrieving auction item.' });
@@ -217,8 +531,9 @@ export const getItemById = async (req, res) => {
 
 /**
  * @function updateItem
- * @description Allows the original seller to update an auction item. Certain fields cannot be
- * modified once the auction has started.
+ * @description Allows the original seller to update an auction item. Only the listing details in
+ * EDITABLE_LISTING_FIELDS can be changed; pricing, increments and the auction's terms are fixed
+ * once bidding starts, and an event's lots follow the event's schedule and currency.
  * @param {import('express').Request} req - Express request object containing update data.
  * @param {import('express').Response} res - Express response object used to send the response.
  * @returns {Promise<void>}
@@ -226,7 +541,6 @@ export const getItemById = async (req, res) => {
 export const updateItem = async (req, res) => {
   try {
     const { id } = req.params;
-    const updatePayload = req.body;
 
     const item = await Item.findById(id);
     if (!item) {
@@ -241,8 +555,43 @@ export const updateItem = async (req, res) => {
       return res.status(400).json({ message: 'Only active or upcoming auctions can be updated.' });
     }
 
-    const protectedFields = ['sellerId', 'currentPrice', 'totalBids', 'highestBidder'];
-    protectedFields.forEach((field) => delete updatePayload[field]);
+    const lockedFields = new Set();
+    const hasBids = item.totalBids > 0 || (item.isSealed() && await Bid.exists({ itemId: item._id }));
+    if (hasBids) {
+      // Changing the price, increments or format once bids exist would expose or invalidate them,
+      // and bidders have bid on the lot's contents as listed
+      BID_LOCKED_FIELDS.forEach((field) => lockedFields.add(field));
+    }
+    if (item.eventId) {
+      // Lot timing is driven by the event's schedule, and lots are priced in the event's currency
+      ['startTime', 'endTime', 'currency'].forEach((field) => lockedFields.add(field));
+    }
+
+    const updatePayload = {};
+    EDITABLE_LISTING_FIELDS
+      .filter((field) => req.body[field] !== undefined && !lockedFields.has(field))
+      .forEach((field) => {
+        updatePayload[field] = req.body[field];
+      });
+
+    if (updatePayload.relistRules) {
+      updatePayload.relistRules = parseRelistRules(updatePayload.relistRules);
+    }
+    if (updatePayload.shipping) {
+      updatePayload.shipping = parseJsonField(updatePayload.shipping, 'shipping');
+    }
+    if (updatePayload.incrementTiers) {
+      updatePayload.incrementTiers = parseIncrementTiers(updatePayload.incrementTiers);
+    }
+    if (updatePayload.startingPrice !== undefined) {
+      // Without bids the asking price is the starting price
+      updatePayload.currentPrice = updatePayload.startingPrice;
+    }
+    if (updatePayload.bundleItems) {
+      // Pieces are edited by URL here; new piece images are uploaded through the listing form
+      const bundlePieces = parseBundleItems(updatePayload.bundleItems);
+      updatePayload.bundleItems = bundlePieces.length > 0 ? assignBundleImages(bundlePieces, []) : undefined;
+    }
 
     Object.assign(item, updatePayload);
     await item.save();
@@ -287,6 +636,189 @@ export const deleteItem = async (req, res) => {
   }
 };
 
+/**
+ * @function buyNow
+ * @description Purchases an item at its Buy It Now price, closing the auction immediately. The
+ * price is checked against the item's approval threshold and the buyer's credit limit like a bid.
+ * The buyer becomes the winner, existing bids are marked lost and `auction-ended` is broadcast. The
+ * buyer gets one email confirming the purchase, with the order's total and invoice.
+ * @param {import('express').Request} req - Express request object containing item ID param.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const buyNow = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { id } = req.params;
+    const buyerId = req.user._id;
+    const socketIo = req.app.get('socketio');
+
+    session.startTransaction();
+
+    const suspensionError = getBiddingSuspensionError(req.user);
+    if (suspensionError) {
+      await session.abortTransaction();
+      return res.status(403).json(suspensionError);
+    }
+
+    const item = await Item.findById(id).session(session);
+    if (!item || item.status === 'draft') {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Auction item not found.' });
+    }
+
+    if (item.sellerId.toString() === buyerId.toString()) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'You cannot buy your own item.' });
+    }
+
+    if (item.status === 'upcoming') {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'This auction has not started yet.' });
+    }
+
+    if (item.isFloorControlled) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'This lot is being clerked live and cannot be bought outright.' });
+    }
+
+    if (item.status !== 'active' || item.isAuctionOver || new Date() >= item.endTime) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'This auction is no longer active.' });
+    }
+
+    if (!item.isBuyNowAvailable()) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Buy It Now is no longer available for this item.' });
+    }
+
+    const { error: eligibilityError } = await checkBidderEligibility({
+      user: req.user,
+      item,
+      amount: item.buyNowPrice,
+      session
+    });
+    if (eligibilityError) {
+      await session.abortTransaction();
+      return res.status(403).json(eligibilityError);
+    }
+
+    const now = new Date();
+    const [purchaseBid] = await Bid.create([{
+      itemId: item._id,
+      bidderId: buyerId,
+      bidAmount: item.buyNowPrice,
+      previousPrice: item.currentPrice,
+      isBuyNow: true,
+      bidStatus: 'won'
+    }], { session });
+
+    await Bid.updateMany(
+      { itemId: item._id, _id: { $ne: purchaseBid._id }, isRetracted: false },
+      { bidStatus: 'lost' },
+      { session }
+    );
+    await AutoBid.updateMany({ itemId: item._id, isActive: true }, { isActive: false }, { session });
+
+    item.currentPrice = item.buyNowPrice;
+    item.highestBidder = buyerId;
+    item.winnerId = buyerId;
+    item.totalBids += 1;
+    item.endTime = now;
+    item.status = 'ended';
+    item.isAuctionOver = true;
+    item.purchasedViaBuyNow = true;
+    try {
+      await applyBuyerCharges(item, session);
+    } catch (chargeErr) {
+      console.error('Error calculating buyer charges:', chargeErr);
+    }
+    await item.save({ session });
+
+    await session.commitTransaction();
+
+    const endedData = {
+      itemId: item._id,
+      winnerId: item.winnerId,
+      winners: item.winners,
+      finalPrice: item.currentPrice,
+      totalBids: item.totalBids,
+      reserveMet: item.isReserveMet(),
+      purchasedViaBuyNow: true,
+      endedAt: now
+    };
+
+    // Emit to specific auction room
+    socketIo.to(`auction_${item._id}`).emit('auction-ended', endedData);
+
+    // Emit globally for all pages
+    socketIo.emit('auction-ended', endedData);
+
+    let order = null;
+    try {
+      // The purchase email below already tells the buyer; this only opens the order
+      [order = null] = await openOrdersForItem(item, { notifyBuyers: false });
+    } catch (orderErr) {
+      console.error('Error opening Buy It Now order:', orderErr);
+    }
+
+    // notify buyer and seller by email (best-effort)
+    try {
+      const sellerUser = await User.findById(item.sellerId).lean();
+
+      if (req.user.email) {
+        const amountDue = order
+          ? ` The total of ${formatMoney(order.total, order.currency)} is due by ${order.paymentDueAt.toUTCString()}; your invoice is attached.`
+          : '';
+        const attachments = order
+          ? await buildInvoiceAttachment(order, item).then((invoice) => [invoice], (renderErr) => {
+              console.error('Error rendering Buy It Now invoice:', renderErr);
+              return [];
+            })
+          : [];
+        sendEmail({
+          to: req.user.email,
+          subject: `You bought ${item.title}`,
+          text: `Congratulations! You bought ${item.title} with Buy It Now for ${formatMoney(item.currentPrice, item.currency)}.${amountDue}`,
+          html: `<p>Congratulations!</p><p>You bought <strong>${item.title}</strong> with Buy It Now for <strong>${formatMoney(item.currentPrice, item.currency)}</strong>.${amountDue}</p>`,
+          attachments
+        }).catch((e) => console.error('Buyer email error:', e));
+      }
+
+      if (sellerUser?.email) {
+        sendEmail({
+          to: sellerUser.email,
+          subject: `Your item sold with Buy It Now: ${item.title}`,
+          text: `${req.user.username || 'A buyer'} bought ${item.title} with Buy It Now for ${formatMoney(item.currentPrice, item.currency)}. The auction has been closed.`,
+          html: `<p><strong>${req.user.username || 'A buyer'}</strong> bought <strong>${item.title}</strong> with Buy It Now for <strong>${formatMoney(item.currentPrice, item.currency)}</strong>.</p><p>The auction has been closed.</p>`
+        }).catch((e) => console.error('Seller email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending Buy It Now notifications:', notifyErr);
+    }
+
+    res.status(200).json({
+      message: 'Purchase complete. You won this item with Buy It Now.',
+      item,
+      charges: item.settlements[0] || null,
+      order
+    });
+  } catch (buyNowError) {
+    if (session.inTransaction()) {
+      try {
+        await session.abortTransaction();
+      } catch (_) {
+        // swallow abort errors
+      }
+    }
+    console.error('Error completing Buy It Now purchase:', buyNowError);
+    res.status(500).json({ message: 'Server error while completing Buy It Now purchase.' });
+  } finally {
+    session.endSession();
+  }
+};
+
 /**
  * @function getItemPrices
  * @description Lightweight endpoint to get only current prices and bid counts for multiple items.
@@ -306,13 +838,125 @@ export const getItemPrices = async (req, res) => {
     const ids = Array.isArray(itemIds) ? itemIds : itemIds.split(',');
     
     const items = await Item.find(
-      { _id: { $in: ids } },
-      { _id: 1, currentPrice: 1, totalBids: 1, highestBidder: 1, status: 1, isAuctionOver: 1 }
+      { _id: { $in: ids }, status: { $ne: 'draft' } },
+      { _id: 1, currency: 1, currentPrice: 1, totalBids: 1, highestBidder: 1, status: 1, isAuctionOver: 1 }
     ).lean();
 
-    res.status(200).json({ prices: items });
+    // Lean reads skip the schema getters, so prices are converted from minor units here
+    res.status(200).json({ prices: items.map((item) => ({ ...item, currentPrice: fromMinorUnits(item.currentPrice) })) });
   } catch (error) {
     console.error('Error fetching item prices:', error);
     res.status(500).json({ message: 'Server error while fetching prices.' });
   }
 };
+
+/**
+ * @function getIncrementPresets
+ * @description Lists the built-in bid increment tables sellers can choose from.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {void}
+ */
+export const getIncrementPresets = (req, res) => {
+  res.status(200).json({ presets: INCREMENT_PRESETS });
+};
+
+/**
+ * @function getFloorActions
+ * @description Returns the floor mode audit trail of a lot in the order the actions were applied.
+ * Only the seller and admins can review it.
+ * @param {import('express').Request} req - Express request object containing item ID param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getFloorActions = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id).select('sellerId');
+    if (!item) {
+      return res.status(404).json({ message: 'Auction item not found.' });
+    }
+
+    if (req.user.role !== 'admin' && item.sellerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the seller can review floor actions for this lot.' });
+    }
+
+    const actions = await FloorAction.find({ itemId: item._id })
+      .populate('actorId', 'username')
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.status(200).json({ actions });
+  } catch (fetchError) {
+    console.error('Error fetching floor actions:', fetchError);
+    res.status(500).json({ message: 'Server error while retrieving floor actions.' });
+  }
+};
+
+/**
+ * @function getBuyerCharges
+ * @description Returns what buying this item costs the signed-in user: the buyer's premium
+ * schedule in force and the sales tax rate for their address, so bids can be shown all-in before
+ * they are placed. Once the item has closed the recorded settlement is included; the seller and
+ * admins see every buyer's settlement.
+ * @param {import('express').Request} req - Express request object containing item ID param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getBuyerCharges = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id).populate('settlements.buyerId', 'username');
+    if (!item || item.status === 'draft') {
+      return res.status(404).json({ message: 'Auction item not found.' });
+    }
+
+    const feeSchedule = await getFeeSchedule();
+    const [premiumTiers, buyer] = await Promise.all([
+      resolvePremiumTiers(item, feeSchedule),
+      User.findById(req.user._id).select('address').lean()
+    ]);
+
+    const userId = req.user._id.toString();
+    const canSeeAllSettlements = req.user.role === 'admin' || item.sellerId.toString() === userId;
+    const settlements = canSeeAllSettlements
+      ? item.settlements
+      : item.settlements.filter((settlement) => settlement.buyerId?._id.toString() === userId);
+
+    res.status(200).json({
+      premiumTiers: premiumTiers.map(({ upTo, percent }) => ({ upTo, percent })),
+      // Reverse listings are procurement requests and carry no buyer's premium or tax
+      appliesToItem: !item.isReverse(),
+      taxRatePercent: findTaxRate(buyer?.address, feeSchedule.taxRates),
+      settlements
+    });
+  } catch (fetchError) {
+    console.error('Error fetching buyer charges:', fetchError);
+    res.status(500).json({ message: 'Server error while retrieving buyer charges.' });
+  }
+};
+
+/**
+ * @function getShippingQuote
+ * @description Prices delivery of the item to the signed-in user's address with the seller's
+ * chosen shipping method. Calculated quotes are flagged as estimates when either address is too
+ * incomplete to place the buyer in a zone.
+ * @param {import('express').Request} req - Express request object containing item ID param and
+ * an optional `quantity` query for multi-unit items.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getShippingQuote = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id);
+    if (!item || item.status === 'draft') {
+      return res.status(404).json({ message: 'Auction item not found.' });
+    }
+
+    const buyer = await User.findById(req.user._id).select('address').lean();
+    const quantity = item.isMultiUnit ? Math.min(Math.max(Number(req.query.quantity) || 1, 1), item.totalQuantity) : 1;
+    const quote = await quoteShipping(item, buyer?.address, { quantity });
+
+    res.status(200).json({ quote, hasAddress: Boolean(buyer?.address?.country) });
+  } catch (fetchError) {
+    console.error('Error quoting shipping:', fetchError);
+    res.status(500).json({ message: 'Server error while quoting shipping.' });
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * @file listingTemplate.controller.js
+ * @description Controllers for reusable listing templates. Templates are private to the seller
+ * who saved them and only store listing defaults, never item-specific details.
+ */
+
+import ListingTemplate from '../models/ListingTemplate.js';
+import { parseIncrementTiers } from '../utils/bidIncrements.js';
+
+/**
+ * @function buildTemplatePayload
+ * @description Picks the template fields from a request body.
+ * @param {Record<string, any>} body - Request body.
+ * @returns {Record<string, any>}
+ */
+const buildTemplatePayload = (body) => {
+  const optionalNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+  return {
+    name: body.name,
+    category: body.category || undefined,
+    condition: body.condition || undefined,
+    incrementPreset: body.incrementPreset || undefined,
+    incrementTiers: body.incrementPreset === 'custom' ? parseIncrementTiers(body.incrementTiers) : undefined,
+    bidIncrement: optionalNumber(body.bidIncrement),
+    durationHours: optionalNumber(body.durationHours),
+    softCloseWindowMinutes: optionalNumber(body.softCloseWindowMinutes),
+    shipping: body.shipping
+      ? {
+          method: body.shipping.method || undefined,
+          flatRate: optionalNumber(body.shipping.flatRate),
+          handlingDays: optionalNumber(body.shipping.handlingDays)
+        }
+      : undefined
+  };
+};
+
+/**
+ * @function sendTemplateSaveError
+ * @description Maps validation and duplicate-name failures to 400 responses.
+ * @param {import('express').Response} res - Express response object.
+ * @param {Error} saveError - Error raised while saving the template.
+ * @returns {boolean} Whether a response was sent.
+ */
+const sendTemplateSaveError = (res, saveError) => {
+  if (saveError.code === 11000) {
+    res.status(400).json({ message: 'You already have a template with this name.' });
+    return true;
+  }
+  if (saveError.name === 'ValidationError') {
+    res.status(400).json({
+      message: 'Validation failed. Please review the submitted fields.',
+      errors: Object.values(saveError.errors).map((e) => ({ field: e.path, message: e.message }))
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @function getMyListingTemplates
+ * @description Lists the authenticated seller's templates by name.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const getMyListingTemplates = async (req, res) => {
+  try {
+    const templates = await ListingTemplate.find({ sellerId: req.user._id }).sort({ name: 1 });
+    res.status(200).json({ templates });
+  } catch (listError) {
+    console.error('Error fetching listing templates:', listError);
+    res.status(500).json({ message: 'Server error while retrieving listing templates.' });
+  }
+};
+
+/**
+ * @function createListingTemplate
+ * @description Saves a new listing template for the authenticated seller.
+ * @param {import('express').Request} req - Express request object containing template fields.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const createListingTemplate = async (req, res) => {
+  try {
+    const template = await ListingTemplate.create({
+      ...buildTemplatePayload(req.body),
+      sellerId: req.user._id
+    });
+
+    res.status(201).json({ message: 'Listing template saved.', template });
+  } catch (creationError) {
+    if (sendTemplateSaveError(res, creationError)) {
+      return;
+    }
+    console.error('Error creating listing template:', creationError);
+    res.status(500).json({ message: 'Server error while saving listing template.' });
+  }
+};
+
+/**
+ * @function updateListingTemplate
+ * @description Replaces the defaults stored in one of the seller's templates.
+ * @param {import('express').Request} req - Express request object containing template ID and fields.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const updateListingTemplate = async (req, res) => {
+  try {
+    const template = await ListingTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Listing template not found.' });
+    }
+    if (template.sellerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You are not authorized to edit this template.' });
+    }
+
+    template.set(buildTemplatePayload(req.body));
+    await template.save();
+
+    res.status(200).json({ message: 'Listing template updated.', template });
+  } catch (updateError) {
+    if (sendTemplateSaveError(res, updateError)) {
+      return;
+    }
+    console.error('Error updating listing template:', updateError);
+    res.status(500).json({ message: 'Server error while updating listing template.' });
+  }
+};
+
+/**
+ * @function deleteListingTemplate
+ * @description Deletes one of the seller's templates. Listings created from it are unaffected.
+ * @param {import('express').Request} req - Express request object containing template ID param.
+ * @param {import('express').Response} res - Express response object used to send the response.
+ * @returns {Promise<void>}
+ */
+export const deleteListingTemplate = async (req, res) => {
+  try {
+    const template = await ListingTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Listing template not found.' });
+    }
+    if (template.sellerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You are not authorized to delete this template.' });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({ message: 'Listing template deleted.' });
+  } catch (deleteError) {
+    console.error('Error deleting listing template:', deleteError);
+    res.status(500).json({ message: 'Server error while deleting listing template.' });
+  }
+};
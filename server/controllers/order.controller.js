@@ -0,0 +1,482 @@
+/**
+ * @file order.controller.js
+ * @description Controllers for orders opened when an auction is won. Buyers check out through the
+ * configured payment provider and confirm delivery; sellers mark orders shipped or cancel them
+ * while payment is outstanding. Payments are posted to the ledger with the seller's proceeds held
+ * in escrow until the buyer confirms receipt. Invoices and consignment statements are served as
+ * PDFs.
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { sendEmail } from '../utils/mailer.js';
+import { getPaymentProvider } from '../utils/paymentProvider.js';
+import { getInvoiceNumber, renderInvoicePdf, renderSellerStatementPdf } from '../utils/pdfDocuments.js';
+import { INSPECTION_PERIOD_DAYS, recordOrderPayment, releaseOrderEscrow } from '../utils/ledger.js';
+import { formatMoney } from '../utils/money.js';
+import { getExchangeRates } from '../utils/exchangeRates.js';
+
+const ORDER_ITEM_FIELDS = 'title images shipping authenticity';
+
+/**
+ * @function hideUnpaidAddress
+ * @description The buyer's shipping address is only shared with the seller once the order is paid.
+ * @param {Record<string, any>} order - Plain order object with `buyerId` populated.
+ * @returns {Record<string, any>}
+ */
+const hideUnpaidAddress = (order) => {
+  if (order.buyerId && ['awaiting-payment', 'cancelled'].includes(order.status)) {
+    const { address, ...buyer } = order.buyerId;
+    return { ...order, buyerId: buyer };
+  }
+  return order;
+};
+
+/**
+ * @function findOrderForParty
+ * @description Loads an order and checks the user is its buyer or seller.
+ * @param {string} orderId - Order identifier.
+ * @param {import('mongoose').Types.ObjectId} userId - Authenticated user.
+ * @returns {Promise<{ order?: import('mongoose').Document, status?: number, error?: string }>}
+ */
+const findOrderForParty = async (orderId, userId) => {
+  const order = await Order.findById(orderId)
+    .populate('itemId', 'title')
+    .populate('buyerId', 'username email')
+    .populate('sellerId', 'username email');
+  if (!order) {
+    return { status: 404, error: 'Order not found.' };
+  }
+  const isParty = [order.buyerId?._id, order.sellerId?._id].some((partyId) => partyId?.toString() === userId.toString());
+  if (!isParty) {
+    return { status: 403, error: 'This order does not belong to you.' };
+  }
+  return { order };
+};
+
+/**
+ * @function getMyPurchases
+ * @description Lists the authenticated user's orders as a buyer, newest first.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getMyPurchases = async (req, res) => {
+  try {
+    const orders = await Order.find({ buyerId: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('itemId', ORDER_ITEM_FIELDS)
+      .populate('sellerId', 'username');
+
+    res.status(200).json({ orders });
+  } catch (error) {
+    console.error('Error retrieving purchases:', error);
+    res.status(500).json({ message: 'Server error while retrieving purchases.' });
+  }
+};
+
+/**
+ * @function getMySales
+ * @description Lists the authenticated user's orders as a seller, newest first. Buyer addresses
+ * are included once an order has been paid.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getMySales = async (req, res) => {
+  try {
+    const orders = await Order.find({ sellerId: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('itemId', ORDER_ITEM_FIELDS)
+      .populate('buyerId', 'username address');
+
+    res.status(200).json({ orders: orders.map((order) => hideUnpaidAddress(order.toObject())) });
+  } catch (error) {
+    console.error('Error retrieving sales:', error);
+    res.status(500).json({ message: 'Server error while retrieving sales.' });
+  }
+};
+
+/**
+ * @function getOrderById
+ * @description Returns a single order to its buyer, its seller or an admin.
+ * @param {import('express').Request} req - Express request with order `id` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('itemId', ORDER_ITEM_FIELDS)
+      .populate('buyerId', 'username address')
+      .populate('sellerId', 'username');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+
+    const userId = req.user._id.toString();
+    const isBuyer = order.buyerId?._id.toString() === userId;
+    const isSeller = order.sellerId?._id.toString() === userId;
+    if (!isBuyer && !isSeller && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'This order does not belong to you.' });
+    }
+
+    res.status(200).json({ order: isBuyer ? order : hideUnpaidAddress(order.toObject()) });
+  } catch (error) {
+    console.error('Error retrieving order:', error);
+    res.status(500).json({ message: 'Server error while retrieving order.' });
+  }
+};
+
+/**
+ * @function sendPdf
+ * @param {import('express').Response} res - Express response object.
+ * @param {Buffer} pdf - Rendered document.
+ * @param {string} filename - Download file name.
+ * @returns {void}
+ */
+const sendPdf = (res, pdf, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(pdf);
+};
+
+/**
+ * @function downloadInvoice
+ * @description Streams the PDF invoice of an order to its buyer, its seller or an admin.
+ * Cancelled orders have no invoice.
+ * @param {import('express').Request} req - Express request with order `id` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const downloadInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('itemId', 'title lotNumber')
+      .populate('buyerId', 'username email address')
+      .populate('sellerId', 'username email address');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+
+    const userId = req.user._id.toString();
+    const isParty = [order.buyerId?._id, order.sellerId?._id].some((partyId) => partyId?.toString() === userId);
+    if (!isParty && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'This order does not belong to you.' });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled orders have no invoice.' });
+    }
+
+    const pdf = await renderInvoicePdf({
+      order,
+      item: order.itemId || { title: 'Removed item' },
+      buyer: order.buyerId,
+      seller: order.sellerId
+    });
+    sendPdf(res, pdf, `${getInvoiceNumber(order)}.pdf`);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({ message: 'Server error while generating invoice.' });
+  }
+};
+
+/**
+ * @function downloadSellerStatement
+ * @description Streams the authenticated seller's consignment statement for the orders opened
+ * between `from` and `to` (inclusive dates). Defaults to the current calendar month.
+ * @param {import('express').Request} req - Express request with optional `from` and `to` query
+ * dates.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const downloadSellerStatement = async (req, res) => {
+  try {
+    const now = new Date();
+    const periodStart = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const periodEnd = req.query.to ? new Date(req.query.to) : now;
+    if (periodEnd < periodStart) {
+      return res.status(400).json({ message: 'The statement period must end after it starts.' });
+    }
+
+    // Include the whole of the final day
+    const periodEndExclusive = new Date(periodEnd);
+    periodEndExclusive.setUTCHours(24, 0, 0, 0);
+
+    const [orders, seller] = await Promise.all([
+      Order.find({ sellerId: req.user._id, createdAt: { $gte: periodStart, $lt: periodEndExclusive } })
+        .sort({ createdAt: 1 })
+        .populate('itemId', 'title lotNumber'),
+      User.findById(req.user._id).select('username email address').lean()
+    ]);
+
+    const pdf = await renderSellerStatementPdf({ seller, orders, periodStart, periodEnd });
+    sendPdf(res, pdf, `statement-${periodStart.toISOString().slice(0, 10)}-${periodEnd.toISOString().slice(0, 10)}.pdf`);
+  } catch (error) {
+    console.error('Error generating seller statement:', error);
+    res.status(500).json({ message: 'Server error while generating statement.' });
+  }
+};
+
+/**
+ * @function checkoutOrder
+ * @description Charges the order total in the order's currency through the payment provider, marks
+ * the order paid and posts the payment to the ledger with the seller's proceeds held in escrow.
+ * @param {import('express').Request} req - Express request with order `id` param and optional
+ * `paymentToken` body field passed through to the provider.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const checkoutOrder = async (req, res) => {
+  try {
+    const { order, status, error } = await findOrderForParty(req.params.id, req.user._id);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    if (order.buyerId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the buyer can pay for this order.' });
+    }
+
+    if (order.status !== 'awaiting-payment') {
+      return res.status(400).json({ message: `This order is already ${order.status.replace('-', ' ')}.` });
+    }
+
+    const provider = getPaymentProvider();
+    const chargeResult = await provider.charge({
+      amount: order.total,
+      currency: order.currency,
+      paymentToken: req.body.paymentToken,
+      description: `Order for ${order.itemId?.title || 'auction item'}`,
+      metadata: { orderId: order._id.toString(), itemId: order.itemId?._id.toString() }
+    });
+    if (!chargeResult.approved) {
+      return res.status(402).json({ message: chargeResult.message || 'The payment was declined.' });
+    }
+
+    const paidAt = new Date();
+    // The ledger is kept in the base currency; the order is booked at today's rate
+    const { rates } = await getExchangeRates();
+    const session = await mongoose.startSession();
+    let paidOrder;
+    try {
+      session.startTransaction();
+      // Only settle the order if it was not cancelled while the charge was in flight
+      paidOrder = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'awaiting-payment' },
+        {
+          status: 'paid',
+          exchangeRate: rates[order.currency],
+          payment: { provider: provider.name, reference: chargeResult.reference, paidAt },
+          'escrow.heldAt': paidAt
+        },
+        { new: true, session }
+      );
+      if (paidOrder) {
+        await recordOrderPayment(paidOrder, session);
+      }
+      await session.commitTransaction();
+    } catch (settleError) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      console.error(`Order ${order._id} could not be settled; payment ${chargeResult.reference} needs a refund.`);
+      throw settleError;
+    } finally {
+      session.endSession();
+    }
+    if (!paidOrder) {
+      console.error(`Order ${order._id} changed state during checkout; payment ${chargeResult.reference} needs a refund.`);
+      return res.status(409).json({ message: 'This order is no longer awaiting payment. Contact support for a refund.' });
+    }
+
+    // notify the seller by email (best-effort)
+    try {
+      const itemTitle = order.itemId?.title || 'your item';
+      if (order.sellerId?.email) {
+        sendEmail({
+          to: order.sellerId.email,
+          subject: `Payment received: ${itemTitle}`,
+          text: `${order.buyerId.username || 'The buyer'} paid ${formatMoney(order.total, order.currency)} for ${itemTitle}. You can now ship the item.`,
+          html: `<p><strong>${order.buyerId.username || 'The buyer'}</strong> paid <strong>${formatMoney(order.total, order.currency)}</strong> for <strong>${itemTitle}</strong>.</p><p>You can now ship the item.</p>`
+        }).catch((e) => console.error('Payment received email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending payment notification:', notifyErr);
+    }
+
+    res.status(200).json({ message: 'Payment complete.', order: paidOrder });
+  } catch (error) {
+    console.error('Error checking out order:', error);
+    res.status(500).json({ message: 'Server error while processing payment.' });
+  }
+};
+
+/**
+ * @function markOrderShipped
+ * @description Records shipment of a paid order. Shipped orders need a carrier; pickup orders are
+ * marked shipped once the item is ready for collection.
+ * @param {import('express').Request} req - Express request with order `id` param and optional
+ * `carrier` and `trackingNumber` body fields.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const markOrderShipped = async (req, res) => {
+  try {
+    const { order, status, error } = await findOrderForParty(req.params.id, req.user._id);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    if (order.sellerId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the seller can mark this order shipped.' });
+    }
+
+    if (order.status !== 'paid') {
+      return res.status(400).json({ message: 'Only paid orders can be marked shipped.' });
+    }
+
+    const { carrier, trackingNumber } = req.body;
+    if (order.fulfillment.method !== 'pickup' && !carrier) {
+      return res.status(400).json({ message: 'Enter the carrier the item was shipped with.' });
+    }
+
+    order.status = 'shipped';
+    order.fulfillment.carrier = carrier || undefined;
+    order.fulfillment.trackingNumber = trackingNumber || undefined;
+    order.fulfillment.shippedAt = new Date();
+    // Held proceeds are released once the buyer confirms receipt or the inspection period ends
+    order.escrow.releaseAt = new Date(order.fulfillment.shippedAt.getTime() + INSPECTION_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    await order.save();
+
+    // notify the buyer by email (best-effort)
+    try {
+      const itemTitle = order.itemId?.title || 'your item';
+      const shipmentDetails = order.fulfillment.method === 'pickup'
+        ? 'It is ready for pickup.'
+        : `Carrier: ${carrier}${trackingNumber ? `, tracking number ${trackingNumber}` : ''}.`;
+      if (order.buyerId?.email) {
+        sendEmail({
+          to: order.buyerId.email,
+          subject: `Your order has shipped: ${itemTitle}`,
+          text: `The seller has sent ${itemTitle}. ${shipmentDetails}`,
+          html: `<p>The seller has sent <strong>${itemTitle}</strong>.</p><p>${shipmentDetails}</p>`
+        }).catch((e) => console.error('Order shipped email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending shipment notification:', notifyErr);
+    }
+
+    res.status(200).json({ message: 'Order marked as shipped.', order });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error marking order shipped:', error);
+    res.status(500).json({ message: 'Server error while updating order.' });
+  }
+};
+
+/**
+ * @function confirmOrderDelivery
+ * @description Lets the buyer confirm a shipped order arrived or was collected, releasing the
+ * seller's proceeds from escrow.
+ * @param {import('express').Request} req - Express request with order `id` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const confirmOrderDelivery = async (req, res) => {
+  try {
+    const { order, status, error } = await findOrderForParty(req.params.id, req.user._id);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    if (order.buyerId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the buyer can confirm delivery.' });
+    }
+
+    if (order.status !== 'shipped') {
+      return res.status(400).json({ message: 'Only shipped orders can be marked delivered.' });
+    }
+
+    order.status = 'delivered';
+    order.fulfillment.deliveredAt = new Date();
+    await order.save();
+
+    const releasedOrder = await releaseOrderEscrow(order._id, 'Buyer confirmed receipt');
+    if (releasedOrder) {
+      order.escrow = releasedOrder.escrow;
+    }
+
+    res.status(200).json({ message: 'Delivery confirmed.', order });
+  } catch (error) {
+    console.error('Error confirming delivery:', error);
+    res.status(500).json({ message: 'Server error while updating order.' });
+  }
+};
+
+/**
+ * @function cancelOrder
+ * @description Lets the seller, or an admin, cancel an order that has not been paid, e.g. when the
+ * winner backs out. Sellers of single-unit items can then make a second chance offer. Responds
+ * with 409 when the buyer paid while the cancellation was on its way.
+ * @param {import('express').Request} req - Express request with order `id` param and optional
+ * `reason` body field.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const cancelOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('itemId', 'title')
+      .populate('buyerId', 'email');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+
+    if (req.user.role !== 'admin' && order.sellerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the seller can cancel this order.' });
+    }
+
+    if (order.status !== 'awaiting-payment') {
+      return res.status(400).json({ message: 'Only orders awaiting payment can be cancelled.' });
+    }
+
+    // Only cancel the order if the buyer has not paid for it in the meantime
+    const cancelledOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'awaiting-payment' },
+      {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancellationReason: req.body.reason || 'Cancelled by the seller.'
+      },
+      { new: true }
+    ).populate('itemId', 'title').populate('buyerId', 'email');
+    if (!cancelledOrder) {
+      return res.status(409).json({ message: 'This order is no longer awaiting payment.' });
+    }
+
+    // notify the buyer by email (best-effort)
+    try {
+      const itemTitle = cancelledOrder.itemId?.title || 'your item';
+      if (cancelledOrder.buyerId?.email) {
+        sendEmail({
+          to: cancelledOrder.buyerId.email,
+          subject: `Order cancelled: ${itemTitle}`,
+          text: `Your order for ${itemTitle} was cancelled. Reason: ${cancelledOrder.cancellationReason}`,
+          html: `<p>Your order for <strong>${itemTitle}</strong> was cancelled.</p><p>Reason: ${cancelledOrder.cancellationReason}</p>`
+        }).catch((e) => console.error('Order cancelled email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending cancellation notification:', notifyErr);
+    }
+
+    res.status(200).json({ message: 'Order cancelled.', order: cancelledOrder });
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ message: 'Server error while cancelling order.' });
+  }
+};
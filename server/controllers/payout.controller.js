@@ -0,0 +1,38 @@
+/**
+ * @file payout.controller.js
+ * @description Controllers for seller earnings: proceeds held in escrow, released balances waiting
+ * for the next payout batch and the payouts already sent.
+ */
+
+import Order from '../models/Order.js';
+import Payout from '../models/Payout.js';
+import { getSellerBalances } from '../utils/ledger.js';
+import { getNextPayoutAt } from '../utils/payouts.js';
+
+/**
+ * @function getMyEarnings
+ * @description Returns the authenticated seller's pending, released and paid-out balances, the
+ * orders whose proceeds are still held, the next payout time and recent payouts. Balances and
+ * payouts are in the base currency; held orders keep their own currency.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getMyEarnings = async (req, res) => {
+  try {
+    const [balances, heldOrders, payouts, nextPayoutAt] = await Promise.all([
+      getSellerBalances(req.user._id),
+      Order.find({ sellerId: req.user._id, 'escrow.heldAt': { $ne: null }, 'escrow.releasedAt': null })
+        .sort({ 'escrow.heldAt': 1 })
+        .select('itemId status currency sellerProceeds escrow')
+        .populate('itemId', 'title'),
+      Payout.find({ sellerId: req.user._id }).sort({ createdAt: -1 }).limit(20),
+      getNextPayoutAt()
+    ]);
+
+    res.status(200).json({ balances, heldOrders, payouts, nextPayoutAt });
+  } catch (fetchError) {
+    console.error('Error fetching earnings:', fetchError);
+    res.status(500).json({ message: 'Server error while retrieving earnings.' });
+  }
+};
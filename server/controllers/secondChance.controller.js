@@ -0,0 +1,418 @@
+/**
+ * @file secondChance.controller.js
+ * @description Controllers for second chance offers. A seller whose winner backs out can offer
+ * the item to the next non-retracted bidder at that bidder's own last bid; the bidder accepts or
+ * declines before the offer expires and acceptance makes them the winner.
+ */
+
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+import Bid from '../models/Bid.js';
+import User from '../models/User.js';
+import SecondChanceOffer from '../models/SecondChanceOffer.js';
+import Order from '../models/Order.js';
+import { sendEmail } from '../utils/mailer.js';
+import { applyBuyerCharges } from '../utils/buyerCharges.js';
+import { openOrdersForItem, cancelUnpaidOrders } from '../utils/orders.js';
+import { formatMoney } from '../utils/money.js';
+
+const DEFAULT_OFFER_WINDOW_HOURS = 48;
+
+/**
+ * @function findNextUnderbid
+ * @description Finds the best remaining bid on an item: each eligible bidder is represented by
+ * their most recent non-retracted bid, and the highest of those wins (the lowest on reverse
+ * listings). Ties go to the bid placed first.
+ * @param {import('mongoose').Document} item - Ended auction item.
+ * @param {Array<string>} excludedBidderIds - Bidders who won, were replaced as winner or were
+ * already offered the item.
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+const findNextUnderbid = async (item, excludedBidderIds) => {
+  const bids = await Bid.find({
+    itemId: item._id,
+    isRetracted: false,
+    isBuyNow: false,
+    bidderId: { $nin: excludedBidderIds }
+  }).sort({ timestamp: -1, _id: -1 });
+
+  const lastBidByBidder = new Map();
+  bids.forEach((bid) => {
+    const bidderKey = bid.bidderId.toString();
+    if (!lastBidByBidder.has(bidderKey)) {
+      lastBidByBidder.set(bidderKey, bid);
+    }
+  });
+
+  const direction = item.isReverse() ? 1 : -1;
+  const [nextBid] = Array.from(lastBidByBidder.values()).sort(
+    (a, b) => direction * (a.bidAmount - b.bidAmount) || a.timestamp - b.timestamp
+  );
+
+  return nextBid ?? null;
+};
+
+/**
+ * @function createSecondChanceOffer
+ * @description Offers an ended single-unit auction to the next bidder in line after the winner
+ * backs out: their order has been cancelled or is unpaid past its due date. Only one offer per item
+ * can be pending, and each bidder is offered the item once.
+ * @param {import('express').Request} req - Express request with `itemId` param and optional
+ * `expiresInHours` body field.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const createSecondChanceOffer = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const expiresInHours = Number(req.body.expiresInHours) || DEFAULT_OFFER_WINDOW_HOURS;
+
+    const item = await Item.findById(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Auction item not found.' });
+    }
+
+    if (item.sellerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the seller can make second chance offers.' });
+    }
+
+    if (item.status !== 'ended') {
+      return res.status(400).json({ message: 'Second chance offers can only be made after the auction ends.' });
+    }
+
+    if (item.isMultiUnit) {
+      return res.status(400).json({ message: 'Second chance offers are not available for multi-unit auctions.' });
+    }
+
+    if (!item.winnerId) {
+      return res.status(400).json({ message: 'This auction has no winner to replace.' });
+    }
+
+    // The winner has backed out once their order is cancelled or unpaid past its due date
+    const winnerOrder = await Order.findOne({ itemId: item._id, buyerId: item.winnerId }).select('status paymentDueAt').lean();
+    if (winnerOrder && winnerOrder.status !== 'cancelled') {
+      if (winnerOrder.status !== 'awaiting-payment') {
+        return res.status(400).json({ message: 'The winner has already paid for this item.' });
+      }
+      if (winnerOrder.paymentDueAt > new Date()) {
+        return res.status(400).json({
+          message: `The winner has until ${winnerOrder.paymentDueAt.toUTCString()} to pay. A second chance offer can be made after that.`
+        });
+      }
+    }
+
+    const previousOffers = await SecondChanceOffer.find({ itemId: item._id }).lean();
+    if (previousOffers.some((offer) => offer.status === 'pending')) {
+      return res.status(400).json({ message: 'An offer for this item is still awaiting a response.' });
+    }
+
+    // Winners replaced by earlier offers backed out too, so they are never offered the item again
+    const excludedBidderIds = [
+      item.winnerId.toString(),
+      ...previousOffers.flatMap((offer) => [offer.bidderId, offer.previousWinnerId])
+        .filter(Boolean)
+        .map((bidderId) => bidderId.toString())
+    ];
+    const nextBid = await findNextUnderbid(item, excludedBidderIds);
+    if (!nextBid) {
+      return res.status(404).json({ message: 'There are no remaining bidders to make an offer to.' });
+    }
+
+    const offer = await SecondChanceOffer.create({
+      itemId: item._id,
+      sellerId: item.sellerId,
+      bidderId: nextBid.bidderId,
+      bidId: nextBid._id,
+      previousWinnerId: item.winnerId,
+      offerAmount: nextBid.bidAmount,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    });
+
+    // notify the bidder by email (best-effort)
+    try {
+      const bidderUser = await User.findById(nextBid.bidderId).lean();
+      if (bidderUser?.email) {
+        sendEmail({
+          to: bidderUser.email,
+          subject: `Second chance offer: ${item.title}`,
+          text: `Hi ${bidderUser.username || 'user'},\n\nThe winner of ${item.title} did not complete the purchase. The seller is offering you the item at your last bid of ${formatMoney(offer.offerAmount, item.currency)}. The offer expires on ${offer.expiresAt.toUTCString()}.`,
+          html: `<p>Hi ${bidderUser.username || 'user'},</p><p>The winner of <strong>${item.title}</strong> did not complete the purchase. The seller is offering you the item at your last bid of <strong>${formatMoney(offer.offerAmount, item.currency)}</strong>.</p><p>The offer expires on ${offer.expiresAt.toUTCString()}.</p><p><a href="${process.env.CLIENT_URL || ''}/items/${item._id}">Review the offer</a></p>`
+        }).catch((e) => console.error('Second chance offer email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending second chance offer notification:', notifyErr);
+    }
+
+    const populatedOffer = await offer.populate('bidderId', 'username');
+
+    res.status(201).json({
+      message: `Offer sent to ${populatedOffer.bidderId?.username || 'the next bidder'} at ${formatMoney(offer.offerAmount, item.currency)}.`,
+      offer: populatedOffer
+    });
+  } catch (error) {
+    console.error('Error creating second chance offer:', error);
+    res.status(500).json({ message: 'Server error while creating second chance offer.' });
+  }
+};
+
+/**
+ * @function getItemSecondChanceOffers
+ * @description Lists second chance offers for an item. Sellers see every offer; other users only
+ * see offers made to them.
+ * @param {import('express').Request} req - Express request with `itemId` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getItemSecondChanceOffers = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const item = await Item.findById(itemId).select('sellerId').lean();
+    if (!item) {
+      return res.status(404).json({ message: 'Auction item not found.' });
+    }
+
+    const filter = { itemId };
+    if (item.sellerId.toString() !== req.user._id.toString()) {
+      filter.bidderId = req.user._id;
+    }
+
+    const offers = await SecondChanceOffer.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('bidderId', 'username');
+
+    res.status(200).json({ offers });
+  } catch (error) {
+    console.error('Error retrieving second chance offers:', error);
+    res.status(500).json({ message: 'Server error while retrieving second chance offers.' });
+  }
+};
+
+/**
+ * @function getMySecondChanceOffers
+ * @description Lists the pending second chance offers made to the authenticated user.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getMySecondChanceOffers = async (req, res) => {
+  try {
+    const offers = await SecondChanceOffer.find({
+      bidderId: req.user._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ expiresAt: 1 })
+      .populate('itemId', 'title images currency currentPrice');
+
+    res.status(200).json({ offers });
+  } catch (error) {
+    console.error('Error retrieving user second chance offers:', error);
+    res.status(500).json({ message: 'Server error while retrieving second chance offers.' });
+  }
+};
+
+/**
+ * @function acceptSecondChanceOffer
+ * @description Accepts a pending offer. The bidder becomes the winner at the offered price, their
+ * bid is marked won and the previous winner's bids are marked lost.
+ * @param {import('express').Request} req - Express request with offer `id` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const acceptSecondChanceOffer = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { id } = req.params;
+    const socketIo = req.app.get('socketio');
+
+    session.startTransaction();
+
+    const offer = await SecondChanceOffer.findById(id).session(session);
+    if (!offer) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Offer not found.' });
+    }
+
+    if (offer.bidderId.toString() !== req.user._id.toString()) {
+      await session.abortTransaction();
+      return res.status(403).json({ message: 'This offer was not made to you.' });
+    }
+
+    if (offer.status !== 'pending') {
+      await session.abortTransaction();
+      return res.status(400).json({ message: `This offer has already been ${offer.status}.` });
+    }
+
+    const now = new Date();
+    if (offer.expiresAt <= now) {
+      offer.status = 'expired';
+      offer.respondedAt = now;
+      await offer.save({ session });
+      await session.commitTransaction();
+      return res.status(400).json({ message: 'This offer has expired.' });
+    }
+
+    const item = await Item.findById(offer.itemId).session(session);
+    if (!item) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Auction item not found.' });
+    }
+
+    // The original winner may still have paid while the offer was pending
+    const hasPaidOrder = await Order.exists({ itemId: item._id, status: { $in: ['paid', 'shipped', 'delivered'] } }).session(session);
+    if (hasPaidOrder) {
+      offer.status = 'expired';
+      offer.respondedAt = now;
+      await offer.save({ session });
+      await session.commitTransaction();
+      return res.status(400).json({ message: 'The original winner has completed the purchase, so this offer is no longer available.' });
+    }
+
+    await Bid.updateMany(
+      { itemId: item._id, bidStatus: 'won' },
+      { bidStatus: 'lost' },
+      { session }
+    );
+    await Bid.updateOne({ _id: offer.bidId }, { bidStatus: 'won' }, { session });
+
+    item.winnerId = offer.bidderId;
+    item.highestBidder = offer.bidderId;
+    item.currentPrice = offer.offerAmount;
+    item.purchasedViaBuyNow = false;
+    try {
+      await applyBuyerCharges(item, session);
+    } catch (chargeErr) {
+      console.error('Error calculating buyer charges:', chargeErr);
+    }
+    await item.save({ session });
+    await cancelUnpaidOrders(item._id, 'The item was offered to another bidder.', session);
+
+    offer.status = 'accepted';
+    offer.respondedAt = now;
+    await offer.save({ session });
+
+    await session.commitTransaction();
+
+    const winnerData = {
+      itemId: item._id,
+      winnerId: item.winnerId,
+      winnerUsername: req.user.username,
+      finalPrice: item.currentPrice,
+      viaSecondChanceOffer: true
+    };
+
+    // Emit to specific auction room
+    socketIo.to(`auction_${item._id}`).emit('auction-winner-updated', winnerData);
+
+    // Emit globally for all pages
+    socketIo.emit('auction-winner-updated', winnerData);
+
+    try {
+      await openOrdersForItem(item);
+    } catch (orderErr) {
+      console.error('Error opening second chance order:', orderErr);
+    }
+
+    // notify bidder and seller by email (best-effort)
+    try {
+      const sellerUser = await User.findById(item.sellerId).lean();
+
+      if (req.user.email) {
+        sendEmail({
+          to: req.user.email,
+          subject: `You won ${item.title}`,
+          text: `You accepted the second chance offer for ${item.title}. You are now the winner at ${formatMoney(item.currentPrice, item.currency)}.`,
+          html: `<p>You accepted the second chance offer for <strong>${item.title}</strong>.</p><p>You are now the winner at <strong>${formatMoney(item.currentPrice, item.currency)}</strong>.</p>`
+        }).catch((e) => console.error('Second chance winner email error:', e));
+      }
+
+      if (sellerUser?.email) {
+        sendEmail({
+          to: sellerUser.email,
+          subject: `Second chance offer accepted: ${item.title}`,
+          text: `${req.user.username || 'The bidder'} accepted your second chance offer for ${item.title} at ${formatMoney(item.currentPrice, item.currency)} and is now the winner.`,
+          html: `<p><strong>${req.user.username || 'The bidder'}</strong> accepted your second chance offer for <strong>${item.title}</strong> at <strong>${formatMoney(item.currentPrice, item.currency)}</strong> and is now the winner.</p>`
+        }).catch((e) => console.error('Second chance seller email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending second chance acceptance notifications:', notifyErr);
+    }
+
+    res.status(200).json({
+      message: 'Offer accepted. You are now the winner of this item.',
+      offer,
+      item
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      try {
+        await session.abortTransaction();
+      } catch (_) {
+        // swallow abort errors
+      }
+    }
+    console.error('Error accepting second chance offer:', error);
+    res.status(500).json({ message: 'Server error while accepting second chance offer.' });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * @function declineSecondChanceOffer
+ * @description Declines a pending offer so the seller can move on to the next bidder.
+ * @param {import('express').Request} req - Express request with offer `id` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const declineSecondChanceOffer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const offer = await SecondChanceOffer.findById(id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found.' });
+    }
+
+    if (offer.bidderId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'This offer was not made to you.' });
+    }
+
+    if (offer.status !== 'pending') {
+      return res.status(400).json({ message: `This offer has already been ${offer.status}.` });
+    }
+
+    offer.status = offer.expiresAt <= new Date() ? 'expired' : 'declined';
+    offer.respondedAt = new Date();
+    await offer.save();
+
+    if (offer.status === 'expired') {
+      return res.status(400).json({ message: 'This offer has expired.' });
+    }
+
+    // notify the seller by email (best-effort)
+    try {
+      const [item, sellerUser] = await Promise.all([
+        Item.findById(offer.itemId).select('title').lean(),
+        User.findById(offer.sellerId).lean()
+      ]);
+      if (sellerUser?.email) {
+        sendEmail({
+          to: sellerUser.email,
+          subject: `Second chance offer declined: ${item?.title || 'your item'}`,
+          text: `${req.user.username || 'The bidder'} declined your second chance offer for ${item?.title || 'your item'}. You can make an offer to the next bidder in line.`,
+          html: `<p><strong>${req.user.username || 'The bidder'}</strong> declined your second chance offer for <strong>${item?.title || 'your item'}</strong>.</p><p>You can make an offer to the next bidder in line.</p>`
+        }).catch((e) => console.error('Second chance decline email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending second chance decline notification:', notifyErr);
+    }
+
+    res.status(200).json({ message: 'Offer declined.', offer });
+  } catch (error) {
+    console.error('Error declining second chance offer:', error);
+    res.status(500).json({ message: 'Server error while declining second chance offer.' });
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * @file shillFlag.controller.js
+ * @description Admin controllers for the shill-bidding review queue. Admins list the flags raised
+ * by the analyzer, inspect their evidence and confirm or dismiss them. Confirming can suspend the
+ * bidder's bidding; dismissing lifts a suspension the flag imposed automatically. Admins can also
+ * run the analyzer on demand instead of waiting for the scheduler.
+ */
+
+import ShillFlag from '../models/ShillFlag.js';
+import { liftBiddingSuspension, runShillAnalysis, suspendBidding } from '../utils/shillDetection.js';
+
+/**
+ * @function populateFlag
+ * @description Adds the bidder, seller, items and related accounts a reviewer needs to a flag query.
+ * @param {import('mongoose').Query} flagQuery - Query returning flags.
+ * @returns {import('mongoose').Query}
+ */
+const populateFlag = (flagQuery) => flagQuery
+  .populate('bidderId', 'username email createdAt biddingSuspension')
+  .populate('sellerId', 'username')
+  .populate('itemIds', 'title currency status')
+  .populate('relatedUserIds', 'username createdAt')
+  .populate('reviewedBy', 'username');
+
+/**
+ * @function getShillFlagQueue
+ * @description Lists flags for admins, highest score first. Open flags are listed unless `status`
+ * asks for confirmed or dismissed ones.
+ * @param {import('express').Request} req - Express request with optional `status` query.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getShillFlagQueue = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can review shill-bidding flags.' });
+    }
+
+    const status = req.query.status || 'open';
+    const flags = await populateFlag(
+      ShillFlag.find({ status })
+        .select('-evidence')
+        .sort(status === 'open' ? { score: -1, lastDetectedAt: -1 } : { reviewedAt: -1 })
+        .limit(100)
+    );
+
+    res.status(200).json({ flags });
+  } catch (error) {
+    console.error('Error fetching shill flag queue:', error);
+    res.status(500).json({ message: 'Server error while retrieving shill-bidding flags.' });
+  }
+};
+
+/**
+ * @function getShillFlagById
+ * @description Returns one flag with its evidence to an admin.
+ * @param {import('express').Request} req - Express request with flag `id` param.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getShillFlagById = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can review shill-bidding flags.' });
+    }
+
+    const flag = await populateFlag(ShillFlag.findById(req.params.id));
+    if (!flag) {
+      return res.status(404).json({ message: 'Flag not found.' });
+    }
+
+    res.status(200).json({ flag });
+  } catch (error) {
+    console.error('Error fetching shill flag:', error);
+    res.status(500).json({ message: 'Server error while retrieving shill-bidding flag.' });
+  }
+};
+
+/**
+ * @function reviewShillFlag
+ * @description Confirms or dismisses an open flag. A confirmation with `suspendBidding` suspends
+ * the bidder if they are not already; a dismissal lifts the suspension this flag imposed, leaving
+ * suspensions from other flags in place.
+ * @param {import('express').Request} req - Express request with flag `id` param and `decision`,
+ * `suspendBidding` and `note` body fields.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const reviewShillFlag = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can review shill-bidding flags.' });
+    }
+
+    const flag = await ShillFlag.findById(req.params.id);
+    if (!flag) {
+      return res.status(404).json({ message: 'Flag not found.' });
+    }
+
+    if (flag.status !== 'open') {
+      return res.status(400).json({ message: 'This flag has already been reviewed.' });
+    }
+
+    const { decision, note, suspendBidding: shouldSuspend } = req.body;
+    flag.status = decision === 'confirm' ? 'confirmed' : 'dismissed';
+    flag.reviewedBy = req.user._id;
+    flag.reviewedAt = new Date();
+    flag.reviewNote = note;
+    await flag.save();
+
+    let outcome;
+    if (decision === 'dismiss') {
+      const lifted = await liftBiddingSuspension(flag.bidderId, flag._id);
+      outcome = lifted ? 'Flag dismissed and bidding restored.' : 'Flag dismissed.';
+    } else if (shouldSuspend) {
+      const suspended = await suspendBidding(flag.bidderId, { reason: note || flag.summary, flagId: flag._id });
+      outcome = suspended ? 'Flag confirmed and bidding suspended.' : 'Flag confirmed. The bidder was already suspended.';
+    } else {
+      outcome = 'Flag confirmed.';
+    }
+
+    const reviewedFlag = await populateFlag(ShillFlag.findById(flag._id));
+    res.status(200).json({ message: outcome, flag: reviewedFlag });
+  } catch (error) {
+    console.error('Error reviewing shill flag:', error);
+    res.status(500).json({ message: 'Server error while reviewing shill-bidding flag.' });
+  }
+};
+
+/**
+ * @function runShillAnalysisNow
+ * @description Runs the shill-bidding analyzer immediately for an admin.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const runShillAnalysisNow = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can run the shill-bidding analyzer.' });
+    }
+
+    const { opened, updated, suspended } = await runShillAnalysis();
+    res.status(200).json({
+      message: `Analysis complete: ${opened} new flag${opened === 1 ? '' : 's'}, ${updated} updated, ${suspended} bidder${suspended === 1 ? '' : 's'} suspended.`,
+      opened,
+      updated,
+      suspended
+    });
+  } catch (error) {
+    console.error('Error running shill analysis:', error);
+    res.status(500).json({ message: 'Server error while running the shill-bidding analyzer.' });
+  }
+};
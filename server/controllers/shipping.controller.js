@@ -0,0 +1,64 @@
+/**
+ * @file shipping.controller.js
+ * @description Controllers for the rate table behind calculated shipping. Anyone can read the
+ * table; only admins can change it.
+ */
+
+import ShippingRateTable from '../models/ShippingRateTable.js';
+import { getShippingRates, parseZoneRates } from '../utils/shipping.js';
+
+/**
+ * @function getShippingRateTable
+ * @description Returns the base and per-kilogram rate of every distance zone and the dimensional
+ * weight divisor.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const getShippingRateTable = async (req, res) => {
+  try {
+    const shippingRates = await getShippingRates();
+    res.status(200).json({ shippingRates });
+  } catch (fetchError) {
+    console.error('Error fetching shipping rates:', fetchError);
+    res.status(500).json({ message: 'Server error while retrieving shipping rates.' });
+  }
+};
+
+/**
+ * @function updateShippingRateTable
+ * @description Replaces the parts of the rate table present in the request body. New rates apply
+ * to quotes and to orders opened afterwards; existing orders keep their shipping charge.
+ * @param {import('express').Request} req - Express request object containing the rates.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+export const updateShippingRateTable = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can change shipping rates.' });
+    }
+
+    const { zoneRates, dimensionalDivisor } = req.body;
+    const updates = { updatedBy: req.user._id };
+
+    try {
+      if (zoneRates !== undefined) {
+        updates.zoneRates = parseZoneRates(zoneRates);
+      }
+    } catch (ratesError) {
+      return res.status(400).json({ message: ratesError.message });
+    }
+    if (dimensionalDivisor !== undefined) {
+      updates.dimensionalDivisor = Number(dimensionalDivisor);
+    }
+
+    await ShippingRateTable.findOneAndUpdate({}, updates, { upsert: true, new: true, runValidators: true });
+
+    const shippingRates = await getShippingRates();
+    res.status(200).json({ message: 'Shipping rates updated.', shippingRates });
+  } catch (updateError) {
+    console.error('Error updating shipping rates:', updateError);
+    res.status(500).json({ message: 'Server error while updating shipping rates.' });
+  }
+};
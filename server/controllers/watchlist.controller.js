@@ -20,7 +20,7 @@ export const addToWatchlist = async (req, res) => {
 
     // Check if item exists
     const item = await Item.findById(itemId);
-    if (!item) {
+    if (!item || item.status === 'draft') {
       return res.status(404).json({ message: 'Item not found.' });
     }
 
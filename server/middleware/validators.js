@@ -4,7 +4,14 @@
  * across all controllers. Validation rules are intentionally verbose to simplify live edits.
  */
 
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { INCREMENT_PRESETS, parseIncrementTiers } from '../utils/bidIncrements.js';
+import { parseRelistRules } from '../utils/relisting.js';
+import { parseBundleItems } from '../utils/bundles.js';
+import { parsePremiumTiers, parseTaxRates } from '../utils/buyerCharges.js';
+import { parseZoneRates } from '../utils/shipping.js';
+import { parseExchangeRates } from '../utils/exchangeRates.js';
+import { SUPPORTED_CURRENCIES } from '../utils/money.js';
 
 /**
  * @function validateRequest
@@ -96,19 +103,69 @@ export const validateItemPayload = [
     .optional({ checkFalsy: true, nullable: true })
     .custom((val, { req }) => {
       // Allow either uploaded files (req.files) or URLs (body.images)
-      const hasFiles = Array.isArray(req.files) && req.files.length > 0;
+      const hasFiles = Boolean(req.files?.images?.length);
       const hasUrls = Array.isArray(val) || typeof val === 'string' || val == null;
       return hasFiles || hasUrls;
     })
     .withMessage('Provide up to 5 images as files or URLs.'),
+  body('currency')
+    .optional({ checkFalsy: true, nullable: true })
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Please select a supported currency.'),
   body('startingPrice')
     .optional({ checkFalsy: true, nullable: true })
     .isFloat({ min: 1 })
-    .withMessage('Starting price must be at least $1.'),
+    .withMessage('Starting price must be at least 1.'),
   body('bidIncrement')
     .optional({ checkFalsy: true, nullable: true })
     .isFloat({ min: 1 })
-    .withMessage('Bid increment must be at least $1.'),
+    .withMessage('Bid increment must be at least 1.'),
+  body('incrementPreset')
+    .optional({ checkFalsy: true, nullable: true })
+    .isIn(['flat', 'custom', ...Object.keys(INCREMENT_PRESETS)])
+    .withMessage('Please select a valid bid increment table.'),
+  body('incrementTiers')
+    .if(body('incrementPreset').equals('custom'))
+    .custom((value) => {
+      parseIncrementTiers(value);
+      return true;
+    }),
+  body('reservePrice')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Reserve price cannot be negative.'),
+  body('buyNowPrice')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Buy It Now price must be at least 1.'),
+  body('approvalThreshold')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Approval threshold must be at least 1.'),
+  body('approvalDeposit')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Deposit must be at least 1.'),
+  body('listingType')
+    .optional({ checkFalsy: true, nullable: true })
+    .isIn(['forward', 'reverse'])
+    .withMessage('Listing type must be forward or reverse.'),
+  body('format')
+    .optional({ checkFalsy: true, nullable: true })
+    .isIn(['english', 'sealed-first-price', 'sealed-second-price'])
+    .withMessage('Auction format must be english, sealed-first-price or sealed-second-price.'),
+  body('totalQuantity')
+    .optional({ checkFalsy: true, nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Total quantity must be a whole number of at least 1.'),
+  body('softCloseWindowMinutes')
+    .optional({ checkFalsy: true, nullable: true })
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Soft-close window must be between 0 and 60 minutes.'),
+  body('maxExtensions')
+    .optional({ checkFalsy: true, nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Maximum extensions must be between 0 and 100.'),
   body('endTime')
     .optional({ checkFalsy: true, nullable: true })
     .isISO8601()
@@ -117,6 +174,79 @@ export const validateItemPayload = [
     .optional({ checkFalsy: true, nullable: true })
     .isIn(['Excellent', 'Very Good', 'Good', 'Fair', 'Poor'])
     .withMessage('Condition must be one of the predefined values.'),
+  body('relistRules')
+    .optional({ checkFalsy: true, nullable: true })
+    .custom((value) => {
+      parseRelistRules(value);
+      return true;
+    }),
+  body('bundleItems')
+    .optional({ checkFalsy: true, nullable: true })
+    .custom((value) => {
+      parseBundleItems(value);
+      return true;
+    }),
+  body('shipping')
+    .optional({ checkFalsy: true, nullable: true })
+    .custom((value) => {
+      const shipping = typeof value === 'string' ? JSON.parse(value) : value;
+      if (!shipping || typeof shipping !== 'object' || !['pickup', 'flat', 'calculated'].includes(shipping.method ?? 'pickup')) {
+        throw new Error('Shipping method must be pickup, flat or calculated.');
+      }
+      if (shipping.flatRate !== undefined && !(Number(shipping.flatRate) >= 0)) {
+        throw new Error('Shipping rate cannot be negative.');
+      }
+      return true;
+    }),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for reusable listing templates.
+ */
+export const validateListingTemplate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Template name must be between 1 and 60 characters.'),
+  body('condition')
+    .optional({ checkFalsy: true, nullable: true })
+    .isIn(['Excellent', 'Very Good', 'Good', 'Fair', 'Poor'])
+    .withMessage('Condition must be one of the predefined values.'),
+  body('incrementPreset')
+    .optional({ checkFalsy: true, nullable: true })
+    .isIn(['flat', 'custom', ...Object.keys(INCREMENT_PRESETS)])
+    .withMessage('Please select a valid bid increment table.'),
+  body('incrementTiers')
+    .if(body('incrementPreset').equals('custom'))
+    .custom((value) => {
+      parseIncrementTiers(value);
+      return true;
+    }),
+  body('bidIncrement')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Bid increment must be at least 1.'),
+  body('durationHours')
+    .optional({ checkFalsy: true, nullable: true })
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Auction duration must be between 1 and 720 hours.'),
+  body('softCloseWindowMinutes')
+    .optional({ checkFalsy: true, nullable: true })
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Soft-close window must be between 0 and 60 minutes.'),
+  body('shipping.method')
+    .optional({ checkFalsy: true, nullable: true })
+    .isIn(['pickup', 'flat', 'calculated'])
+    .withMessage('Shipping method must be pickup, flat or calculated.'),
+  body('shipping.flatRate')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Shipping rate cannot be negative.'),
+  body('shipping.handlingDays')
+    .optional({ checkFalsy: true, nullable: true })
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Handling time must be between 0 and 30 days.'),
   validateRequest
 ];
 
@@ -129,9 +259,13 @@ export const validateBidPlacement = [
     .withMessage('Item ID must be a valid MongoDB identifier.'),
   body('bidAmount')
     .isFloat({ min: 1 })
-    .withMessage('Bid amount must be at least $1.')
+    .withMessage('Bid amount must be at least 1.')
     .custom((value) => Number.isFinite(Number(value)))
     .withMessage('Bid amount must be a numeric value.'),
+  body('quantity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a whole number of at least 1.'),
   validateRequest
 ];
 
@@ -154,3 +288,388 @@ export const validateItemIdParam = [
     .withMessage('Item identifier must be a valid MongoDB ObjectId.'),
   validateRequest
 ];
+
+/**
+ * @description Validation chain for making a second chance offer on an ended auction.
+ */
+export const validateSecondChanceOffer = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Item identifier must be a valid MongoDB ObjectId.'),
+  body('expiresInHours')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Offers must expire within 1 to 168 hours.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for auction event payloads.
+ */
+export const validateAuctionEvent = [
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Event title must be between 2 and 100 characters.'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Event description cannot exceed 2000 characters.'),
+  body('previewStart')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Preview start must be a valid date.'),
+  body('startTime')
+    .isISO8601()
+    .withMessage('Event start time must be a valid date.'),
+  body('firstLotEndTime')
+    .isISO8601()
+    .withMessage('First lot end time must be a valid date.'),
+  body('lotStaggerSeconds')
+    .optional()
+    .isInt({ min: 0, max: 3600 })
+    .withMessage('Lot stagger must be between 0 and 3600 seconds.'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Please select a supported currency.'),
+  body('approvalThreshold')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Approval threshold must be at least 1.'),
+  body('approvalDeposit')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Deposit must be at least 1.'),
+  body('buyersPremiumTiers')
+    .optional({ nullable: true })
+    .custom((value) => {
+      parsePremiumTiers(value);
+      return true;
+    }),
+  body('itemIds')
+    .optional()
+    .isArray()
+    .withMessage('Lots must be provided as a list of item IDs.'),
+  body('itemIds.*')
+    .isMongoId()
+    .withMessage('Each lot must be a valid item ID.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for adding lots to an auction event.
+ */
+export const validateEventLots = [
+  param('id')
+    .isMongoId()
+    .withMessage('Identifier must be a valid MongoDB ObjectId.'),
+  body('itemIds')
+    .isArray({ min: 1 })
+    .withMessage('Provide at least one item to add as a lot.'),
+  body('itemIds.*')
+    .isMongoId()
+    .withMessage('Each lot must be a valid item ID.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for fee schedule updates. Each section is optional so admins can
+ * change the premium without resubmitting the tax table and vice versa.
+ */
+export const validateFeeSchedule = [
+  body('premiumTiers')
+    .optional()
+    .custom((value) => {
+      parsePremiumTiers(value);
+      return true;
+    }),
+  body('categoryPremiums')
+    .optional()
+    .isArray()
+    .withMessage('Category premiums must be provided as a list.'),
+  body('categoryPremiums.*.category')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Every category premium needs a category.'),
+  body('categoryPremiums.*.tiers')
+    .custom((value) => {
+      parsePremiumTiers(value);
+      return true;
+    }),
+  body('sellerCommissionPercent')
+    .optional()
+    .isFloat({ min: 0, max: 50 })
+    .withMessage('Seller commission must be between 0% and 50%.'),
+  body('taxRates')
+    .optional()
+    .custom((value) => {
+      parseTaxRates(value);
+      return true;
+    }),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for updating the calculated-shipping rate table.
+ */
+export const validateShippingRates = [
+  body('zoneRates')
+    .optional()
+    .custom((value) => {
+      parseZoneRates(value);
+      return true;
+    }),
+  body('dimensionalDivisor')
+    .optional()
+    .isInt({ min: 1000, max: 10000 })
+    .withMessage('Dimensional divisor must be between 1000 and 10000.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for replacing the exchange rate table.
+ */
+export const validateExchangeRates = [
+  body('rates')
+    .custom((value) => {
+      parseExchangeRates(value);
+      return true;
+    }),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for marking an order shipped.
+ */
+export const validateOrderShipment = [
+  param('id')
+    .isMongoId()
+    .withMessage('Identifier must be a valid MongoDB ObjectId.'),
+  body('carrier')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Carrier name cannot exceed 60 characters.'),
+  body('trackingNumber')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tracking number cannot exceed 100 characters.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for cancelling an unpaid order.
+ */
+export const validateOrderCancellation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Identifier must be a valid MongoDB ObjectId.'),
+  body('reason')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason cannot exceed 500 characters.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for the seller statement period.
+ */
+export const validateStatementPeriod = [
+  query('from')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Statement start must be a valid date.'),
+  query('to')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Statement end must be a valid date.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for opening a dispute.
+ */
+export const validateDisputeOpening = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Order identifier must be a valid MongoDB ObjectId.'),
+  body('reason')
+    .isIn(['damaged', 'not-as-described', 'not-received', 'authenticity-challenged', 'other'])
+    .withMessage('Please select a valid dispute reason.'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Describe the problem in 10 to 2000 characters.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for the seller's response to a dispute.
+ */
+export const validateDisputeResponse = [
+  param('id')
+    .isMongoId()
+    .withMessage('Identifier must be a valid MongoDB ObjectId.'),
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Response must be between 1 and 2000 characters.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for resolving a dispute.
+ */
+export const validateDisputeResolution = [
+  param('id')
+    .isMongoId()
+    .withMessage('Identifier must be a valid MongoDB ObjectId.'),
+  body('outcome')
+    .isIn(['refund', 'partial-refund', 'rejected'])
+    .withMessage('Outcome must be refund, partial-refund or rejected.'),
+  body('refundAmount')
+    .if(body('outcome').equals('partial-refund'))
+    .isFloat({ min: 0.01 })
+    .withMessage('Enter the amount to refund.'),
+  body('note')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Resolution note cannot exceed 1000 characters.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for requesting bidder approval or a higher credit limit.
+ */
+export const validateBidderApprovalRequest = [
+  body('kind')
+    .optional()
+    .isIn(['lot', 'credit-limit'])
+    .withMessage('Request kind must be lot or credit-limit.'),
+  body('itemId')
+    .if(body('kind').not().equals('credit-limit'))
+    .isMongoId()
+    .withMessage('Item ID must be a valid MongoDB ObjectId.'),
+  body('requestedLimit')
+    .if(body('kind').equals('credit-limit'))
+    .isFloat({ min: 1 })
+    .withMessage('Enter the credit limit you need.'),
+  body('message')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for placing a bidding deposit.
+ */
+export const validateBidderDeposit = [
+  body('itemId')
+    .isMongoId()
+    .withMessage('Item ID must be a valid MongoDB ObjectId.'),
+  body('paymentToken')
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage('Payment token must be a string.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for deciding a bidder approval request.
+ */
+export const validateBidderApprovalDecision = [
+  param('id')
+    .isMongoId()
+    .withMessage('Identifier must be a valid MongoDB ObjectId.'),
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject.'),
+  body('creditLimit')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Credit limit cannot be negative.'),
+  body('note')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Decision note cannot exceed 1000 characters.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for setting a user's credit limit.
+ */
+export const validateCreditLimit = [
+  param('userId')
+    .isMongoId()
+    .withMessage('User ID must be a valid MongoDB ObjectId.'),
+  body('creditLimit')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Credit limit cannot be negative.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for setting an item's or event's approval threshold and deposit.
+ */
+export const validateApprovalRequirement = [
+  body('itemId')
+    .optional()
+    .isMongoId()
+    .withMessage('Item ID must be a valid MongoDB ObjectId.'),
+  body('eventId')
+    .if(body('itemId').not().exists())
+    .isMongoId()
+    .withMessage('Provide an item or event ID.'),
+  body('approvalThreshold')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Approval threshold must be at least 1.'),
+  body('approvalDeposit')
+    .optional({ checkFalsy: true, nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Deposit must be at least 1.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for the shill-flag review queue filter.
+ */
+export const validateShillFlagQueue = [
+  query('status')
+    .optional()
+    .isIn(['open', 'confirmed', 'dismissed'])
+    .withMessage('Status must be open, confirmed or dismissed.'),
+  validateRequest
+];
+
+/**
+ * @description Validation chain for reviewing a shill flag.
+ */
+export const validateShillFlagReview = [
+  param('id')
+    .isMongoId()
+    .withMessage('Identifier must be a valid MongoDB ObjectId.'),
+  body('decision')
+    .isIn(['confirm', 'dismiss'])
+    .withMessage('Decision must be confirm or dismiss.'),
+  body('suspendBidding')
+    .optional()
+    .isBoolean()
+    .withMessage('Suspend bidding must be true or false.')
+    .toBoolean(),
+  body('note')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review note cannot exceed 1000 characters.'),
+  validateRequest
+];
@@ -0,0 +1,143 @@
+/**
+ * @file AuctionEvent.js
+ * @description Mongoose schema for catalogued auction events. An event groups items as numbered
+ * lots, is published for preview before bidding opens, and closes its lots one after another at a
+ * fixed stagger starting from the first lot's end time.
+ */
+
+import mongoose from 'mongoose';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES, moneyPath } from '../utils/money.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef AuctionEventDocument
+ * @property {string} title - Sale title, e.g. "Victorian Silver, March".
+ * @property {string} description - Catalog introduction.
+ * @property {ObjectId} organizerId - User running the sale; only their items can become lots.
+ * @property {Date} previewStart - When the catalog becomes publicly visible.
+ * @property {Date} startTime - When bidding opens on every lot.
+ * @property {Date} firstLotEndTime - When lot 1 closes.
+ * @property {number} lotStaggerSeconds - Gap between consecutive lot closings.
+ * @property {string} currency - Currency of the sale; every lot is priced in it.
+ * @property {Array<{ upTo: number|null, percent: number }>} buyersPremiumTiers - Optional premium schedule for this sale, bounded in its currency.
+ * @property {number|null} approvalThreshold - Bid amount on any lot above which bidders must be approved.
+ * @property {number|null} approvalDeposit - Deposit that approves a bidder for the whole sale without review.
+ * @property {number} lotCount - Number of lots assigned so far.
+ * @property {string} status - scheduled, active or ended.
+ */
+
+const auctionEventSchema = new Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Event title is required.'],
+      trim: true,
+      minlength: [2, 'Event title must be at least 2 characters.'],
+      maxlength: [100, 'Event title cannot exceed 100 characters.']
+    },
+    description: {
+      type: String,
+      default: '',
+      maxlength: [2000, 'Event description cannot exceed 2000 characters.']
+    },
+    organizerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Event organizer is required.']
+    },
+    previewStart: {
+      type: Date,
+      required: [true, 'Preview start is required.'],
+      validate: {
+        validator(previewStart) {
+          return previewStart <= this.startTime;
+        },
+        message: 'The preview must start before bidding opens.'
+      }
+    },
+    startTime: {
+      type: Date,
+      required: [true, 'Event start time is required.']
+    },
+    firstLotEndTime: {
+      type: Date,
+      required: [true, 'First lot end time is required.'],
+      validate: {
+        validator(firstLotEndTime) {
+          return firstLotEndTime > this.startTime;
+        },
+        message: 'The first lot must close after bidding opens.'
+      }
+    },
+    lotStaggerSeconds: {
+      type: Number,
+      default: 60,
+      min: [0, 'Lot stagger cannot be negative.'],
+      max: [3600, 'Lot stagger cannot exceed one hour.']
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: BASE_CURRENCY
+    },
+    // Overrides the site-wide buyer's premium for every lot in the sale
+    buyersPremiumTiers: {
+      type: [{
+        _id: false,
+        upTo: {
+          type: Number,
+          default: null
+        },
+        percent: {
+          type: Number,
+          required: true,
+          min: [0, 'Premium cannot be negative.'],
+          max: [50, 'Premium cannot exceed 50%.']
+        }
+      }],
+      default: undefined
+    },
+    // Applies to every lot without a threshold of its own
+    approvalThreshold: moneyPath({
+      default: null,
+      min: [1, 'Approval threshold must be at least 1.']
+    }),
+    approvalDeposit: moneyPath({
+      default: null,
+      min: [1, 'Deposit must be at least 1.']
+    }),
+    lotCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'active', 'ended'],
+      default: 'scheduled'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true }
+  }
+);
+
+auctionEventSchema.index({ status: 1, startTime: 1 });
+
+/**
+ * @function getLotEndTime
+ * @description Scheduled closing time of a lot before any soft-close knock-on: lot 1 closes at
+ * `firstLotEndTime` and each later lot one stagger after the previous one.
+ * @param {number} lotNumber - One-based lot number.
+ * @returns {Date}
+ */
+auctionEventSchema.methods.getLotEndTime = function getLotEndTime(lotNumber) {
+  return new Date(this.firstLotEndTime.getTime() + (lotNumber - 1) * this.lotStaggerSeconds * 1000);
+};
+
+const AuctionEvent = mongoose.models.AuctionEvent || mongoose.model('AuctionEvent', auctionEventSchema);
+
+export default AuctionEvent;
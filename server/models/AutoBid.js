@@ -5,6 +5,7 @@
  */
 
 import mongoose from 'mongoose';
+import { moneyPath } from '../utils/money.js';
 
 const { Schema } = mongoose;
 
@@ -15,6 +16,10 @@ const { Schema } = mongoose;
  * @property {number} maxBidAmount - Maximum amount the user is willing to bid.
  * @property {number} currentAutoBidAmount - Current auto-bid amount placed by the system.
  * @property {boolean} isActive - Whether the auto-bid is still active.
+ * @property {Date} maxSetAt - When the current maximum was set; earlier maximums win ties. Absentee
+ * bids keep their registration time when edited before the auction opens.
+ * @property {boolean} isAbsentee - Registered while the item was still upcoming; executed when
+ * bidding opens.
  * @property {Date} createdAt - When the auto-bid was created.
  * @property {Date} updatedAt - Last update timestamp.
  */
@@ -33,23 +38,31 @@ const autoBidSchema = new Schema(
       required: [true, 'User ID is required.'],
       index: true
     },
-    maxBidAmount: {
-      type: Number,
+    maxBidAmount: moneyPath({
       required: [true, 'Maximum bid amount is required.'],
       min: [0, 'Maximum bid amount must be positive.']
-    },
-    currentAutoBidAmount: {
-      type: Number,
+    }),
+    currentAutoBidAmount: moneyPath({
       default: 0,
       min: [0, 'Current auto-bid amount must be positive.']
-    },
+    }),
     isActive: {
       type: Boolean,
       default: true
+    },
+    maxSetAt: {
+      type: Date,
+      default: Date.now
+    },
+    isAbsentee: {
+      type: Boolean,
+      default: false
     }
   },
   {
-    timestamps: true
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true }
   }
 );
 
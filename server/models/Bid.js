@@ -5,6 +5,7 @@
  */
 
 import mongoose from 'mongoose';
+import { moneyPath } from '../utils/money.js';
 
 const { Schema } = mongoose;
 
@@ -20,15 +21,19 @@ const bidSchema = new Schema(
       ref: 'User',
       required: [true, 'Bidder ID is required.']
     },
-    bidAmount: {
-      type: Number,
+    // In the item's currency, like every amount on a bid
+    bidAmount: moneyPath({
       required: [true, 'Bid amount is required.'],
-      min: [1, 'Bid amount must be at least $1.']
-    },
-    previousPrice: {
+      min: [1, 'Bid amount must be at least 1.']
+    }),
+    quantity: {
       type: Number,
-      required: [true, 'Previous price must be recorded for audit purposes.']
+      default: 1,
+      min: [1, 'Bid quantity must be at least 1.']
     },
+    previousPrice: moneyPath({
+      required: [true, 'Previous price must be recorded for audit purposes.']
+    }),
     timestamp: {
       type: Date,
       default: Date.now,
@@ -38,9 +43,12 @@ const bidSchema = new Schema(
       type: Boolean,
       default: false
     },
-    maxAutoBidAmount: {
-      type: Number,
+    maxAutoBidAmount: moneyPath({
       default: null
+    }),
+    isBuyNow: {
+      type: Boolean,
+      default: false
     },
     bidStatus: {
       type: String,
@@ -65,7 +73,9 @@ const bidSchema = new Schema(
     }
   },
   {
-    versionKey: false
+    versionKey: false,
+    toJSON: { getters: true },
+    toObject: { getters: true }
   }
 );
 
@@ -0,0 +1,121 @@
+/**
+ * @file BidderApproval.js
+ * @description Mongoose schema for bidder approvals. A lot approval lets a bidder bid at or above
+ * an item's or event's approval threshold; it is granted by the seller or an admin on review, or
+ * straight away when the bidder places the listed deposit. A credit-limit request asks admins to
+ * raise the total a bidder may have committed across open bids.
+ */
+
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/money.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef BidderApprovalDocument
+ * @property {ObjectId} userId - Bidder asking for approval.
+ * @property {string} kind - lot or credit-limit.
+ * @property {ObjectId|null} itemId - Item the approval covers, when the threshold is the item's own.
+ * @property {ObjectId|null} eventId - Event whose lots the approval covers.
+ * @property {number|null} requestedLimit - Credit limit asked for by a credit-limit request, in the base currency.
+ * @property {string} status - pending, approved or rejected.
+ * @property {string} method - review or deposit.
+ * @property {string} message - The bidder's note to the reviewer.
+ * @property {{ amount: number, provider: string, reference: string, authorizedAt: Date, releasedAt: Date }} deposit - Hold placed instead of a review.
+ * @property {string} decisionNote - The reviewer's note to the bidder.
+ * @property {ObjectId} decidedBy - Seller, organizer or admin who decided.
+ * @property {Date} decidedAt - When the request was decided.
+ */
+
+const bidderApprovalSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Bidder is required.']
+    },
+    kind: {
+      type: String,
+      enum: ['lot', 'credit-limit'],
+      default: 'lot'
+    },
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item',
+      default: null
+    },
+    eventId: {
+      type: Schema.Types.ObjectId,
+      ref: 'AuctionEvent',
+      default: null
+    },
+    requestedLimit: {
+      type: Number,
+      default: null,
+      min: [1, 'Requested limit must be at least 1.']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    method: {
+      type: String,
+      enum: ['review', 'deposit'],
+      default: 'review'
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Message cannot exceed 1000 characters.']
+    },
+    deposit: {
+      // In the item's or event's currency
+      amount: moneyPath(),
+      provider: String,
+      reference: String,
+      authorizedAt: Date,
+      // Set once the hold is voided after the lot or sale closes
+      releasedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    decisionNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Decision note cannot exceed 1000 characters.']
+    },
+    decidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true }
+  }
+);
+
+bidderApprovalSchema.pre('validate', function requireScope(next) {
+  if (this.kind === 'lot' && !this.itemId === !this.eventId) {
+    this.invalidate('itemId', 'A lot approval covers either an item or an event.');
+  }
+  if (this.kind === 'credit-limit' && (this.requestedLimit === null || this.requestedLimit === undefined)) {
+    this.invalidate('requestedLimit', 'Enter the credit limit you need.');
+  }
+  next();
+});
+
+// One request per bidder and scope; a rejected request is reopened rather than duplicated
+bidderApprovalSchema.index({ userId: 1, kind: 1, itemId: 1, eventId: 1 }, { unique: true });
+// Index for the review queues
+bidderApprovalSchema.index({ status: 1, createdAt: 1 });
+// Index for the deposit release sweep
+bidderApprovalSchema.index({ 'deposit.authorizedAt': 1, 'deposit.releasedAt': 1 });
+
+const BidderApproval = mongoose.models.BidderApproval || mongoose.model('BidderApproval', bidderApprovalSchema);
+
+export default BidderApproval;
@@ -0,0 +1,126 @@
+/**
+ * @file Dispute.js
+ * @description Mongoose schema for disputes raised by buyers about won items that arrived damaged,
+ * not as described or not at all. The buyer opens the case with evidence, the seller responds and
+ * an admin resolves it with a refund, a partial refund or a rejection.
+ */
+
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/money.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef DisputeDocument
+ * @property {ObjectId} orderId - Order the dispute is about.
+ * @property {ObjectId} itemId - Item that was won.
+ * @property {ObjectId} buyerId - Buyer who opened the dispute.
+ * @property {ObjectId} sellerId - Seller answering it.
+ * @property {string} reason - damaged, not-as-described, not-received, authenticity-challenged or other.
+ * @property {string} description - The buyer's account of the problem.
+ * @property {Array<string>} evidenceImages - Photos supplied by the buyer.
+ * @property {string} status - open, responded or resolved.
+ * @property {Date} openedAt - When the buyer opened the dispute.
+ * @property {{ message: string, images: Array<string>, respondedAt: Date }} sellerResponse - The seller's answer.
+ * @property {{ outcome: string, refundAmount: number, note: string, resolvedBy: ObjectId, resolvedAt: Date }} resolution - The admin's decision.
+ */
+
+const disputeSchema = new Schema(
+  {
+    orderId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order ID is required.'],
+      unique: true
+    },
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item',
+      required: [true, 'Item ID is required.']
+    },
+    buyerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Buyer ID is required.'],
+      index: true
+    },
+    sellerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller ID is required.'],
+      index: true
+    },
+    // `authenticity-challenged` is only accepted for items listed as Authenticated
+    reason: {
+      type: String,
+      enum: ['damaged', 'not-as-described', 'not-received', 'authenticity-challenged', 'other'],
+      required: [true, 'Dispute reason is required.']
+    },
+    description: {
+      type: String,
+      required: [true, 'Describe the problem.'],
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters.']
+    },
+    evidenceImages: {
+      type: [String],
+      validate: {
+        validator: (imageArray) => imageArray.length <= 5,
+        message: 'Disputes can have at most 5 photos.'
+      }
+    },
+    status: {
+      type: String,
+      enum: ['open', 'responded', 'resolved'],
+      default: 'open'
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now
+    },
+    sellerResponse: {
+      message: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Response cannot exceed 2000 characters.']
+      },
+      images: {
+        type: [String],
+        default: undefined
+      },
+      respondedAt: Date
+    },
+    resolution: {
+      outcome: {
+        type: String,
+        enum: ['refund', 'partial-refund', 'rejected']
+      },
+      // Amount returned to the buyer; zero when rejected
+      refundAmount: moneyPath({
+        min: [0, 'Refund cannot be negative.']
+      }),
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Resolution note cannot exceed 1000 characters.']
+      },
+      resolvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      resolvedAt: Date
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true }
+  }
+);
+
+// Index for the admin review queue
+disputeSchema.index({ status: 1, openedAt: 1 });
+
+const Dispute = mongoose.models.Dispute || mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
@@ -0,0 +1,50 @@
+/**
+ * @file ExchangeRateTable.js
+ * @description Mongoose schema for the admin-maintained exchange rates. A single document holds,
+ * for every supported currency other than the base currency, how many units of it one unit of the
+ * base currency buys.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef ExchangeRateTableDocument
+ * @property {Array<{ currency: string, rate: number }>} rates - Units of each currency per unit of the base currency.
+ * @property {ObjectId} updatedBy - Admin who last changed the rates.
+ */
+
+const exchangeRateTableSchema = new Schema(
+  {
+    rates: {
+      type: [{
+        _id: false,
+        currency: {
+          type: String,
+          required: [true, 'Currency is required.'],
+          uppercase: true,
+          trim: true
+        },
+        rate: {
+          type: Number,
+          required: [true, 'Exchange rate is required.'],
+          min: [0.0001, 'Exchange rates must be positive.']
+        }
+      }],
+      default: undefined
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const ExchangeRateTable = mongoose.models.ExchangeRateTable || mongoose.model('ExchangeRateTable', exchangeRateTableSchema);
+
+export default ExchangeRateTable;
@@ -0,0 +1,95 @@
+/**
+ * @file FeeSchedule.js
+ * @description Mongoose schema for the site-wide buyer's premium and sales tax configuration.
+ * A single document holds the global premium schedule, per-category premium overrides, the seller
+ * commission and the tax rate table looked up from buyers' addresses.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const premiumTierSchema = new Schema(
+  {
+    // Upper bound of the band in the base currency; null covers every higher amount
+    upTo: {
+      type: Number,
+      default: null
+    },
+    percent: {
+      type: Number,
+      required: true,
+      min: [0, 'Premium cannot be negative.'],
+      max: [50, 'Premium cannot exceed 50%.']
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef FeeScheduleDocument
+ * @property {Array<{ upTo: number|null, percent: number }>} premiumTiers - Global premium schedule.
+ * @property {Array<{ category: string, tiers: Array }>} categoryPremiums - Premium schedules for specific categories.
+ * @property {number} sellerCommissionPercent - Commission charged to sellers on the hammer price.
+ * @property {Array<{ country: string, state: string, ratePercent: number }>} taxRates - Sales tax by buyer location.
+ * @property {ObjectId} updatedBy - Admin who last changed the schedule.
+ */
+
+const feeScheduleSchema = new Schema(
+  {
+    premiumTiers: {
+      type: [premiumTierSchema],
+      default: undefined
+    },
+    categoryPremiums: [{
+      _id: false,
+      category: {
+        type: String,
+        required: [true, 'Category is required.'],
+        trim: true
+      },
+      tiers: {
+        type: [premiumTierSchema],
+        required: true
+      }
+    }],
+    // Commission deducted from the hammer price before the seller is paid
+    sellerCommissionPercent: {
+      type: Number,
+      min: [0, 'Seller commission cannot be negative.'],
+      max: [50, 'Seller commission cannot exceed 50%.']
+    },
+    taxRates: [{
+      _id: false,
+      country: {
+        type: String,
+        required: [true, 'Country is required.'],
+        trim: true
+      },
+      // Empty for a country-wide rate
+      state: {
+        type: String,
+        default: '',
+        trim: true
+      },
+      ratePercent: {
+        type: Number,
+        required: true,
+        min: [0, 'Tax rate cannot be negative.'],
+        max: [30, 'Tax rate cannot exceed 30%.']
+      }
+    }],
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const FeeSchedule = mongoose.models.FeeSchedule || mongoose.model('FeeSchedule', feeScheduleSchema);
+
+export default FeeSchedule;
@@ -0,0 +1,57 @@
+/**
+ * @file FloorAction.js
+ * @description Mongoose schema for the floor mode audit trail. Every auctioneer call and every bid
+ * accepted on the floor is recorded in order so a clerked sale can be reconstructed afterwards.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef FloorActionDocument
+ * @property {ObjectId} itemId - Lot the action applies to.
+ * @property {ObjectId} actorId - Auctioneer or bidder who performed the action.
+ * @property {string} action - open-floor, fair-warning, going-once, going-twice, sold,
+ * open-next-lot or bid.
+ * @property {boolean} isAutomatic - True when the server countdown advanced the call.
+ * @property {Object} details - Action specific data such as the bid amount or hammer price.
+ * @property {Date} createdAt - When the action was applied.
+ */
+
+const floorActionSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item',
+      required: [true, 'Item ID is required.'],
+      index: true
+    },
+    actorId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Actor ID is required.']
+    },
+    action: {
+      type: String,
+      enum: ['open-floor', 'fair-warning', 'going-once', 'going-twice', 'sold', 'open-next-lot', 'bid'],
+      required: [true, 'Floor action is required.']
+    },
+    isAutomatic: {
+      type: Boolean,
+      default: false
+    },
+    details: {
+      type: Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+  }
+);
+
+const FloorAction = mongoose.models.FloorAction || mongoose.model('FloorAction', floorActionSchema);
+
+export default FloorAction;
@@ -5,6 +5,8 @@
  */
 
 import mongoose from 'mongoose';
+import { INCREMENT_PRESETS, getIncrementForPrice } from '../utils/bidIncrements.js';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES, fromMinorUnits, moneyPath } from '../utils/money.js';
 
 const { Schema } = mongoose;
 
@@ -28,6 +30,143 @@ const auctionDimensionsSchema = new Schema(
   { _id: false }
 );
 
+const bundlePieceSchema = new Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Bundle piece title is required.'],
+      trim: true,
+      maxlength: [100, 'Bundle piece title cannot exceed 100 characters.']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Bundle piece description cannot exceed 1000 characters.']
+    },
+    images: {
+      type: [String],
+      validate: {
+        validator: (imageArray) => imageArray.length <= 5,
+        message: 'Bundle pieces can have at most 5 images.'
+      }
+    },
+    condition: {
+      type: String,
+      enum: ['Excellent', 'Very Good', 'Good', 'Fair', 'Poor'],
+      required: [true, 'Bundle piece condition is required.']
+    },
+    era: {
+      type: String,
+      trim: true
+    },
+    dimensions: auctionDimensionsSchema
+  }
+);
+
+const relistRulesSchema = new Schema(
+  {
+    maxRelists: {
+      type: Number,
+      default: 0,
+      min: [0, 'Relist count cannot be negative.'],
+      max: [10, 'Items can be relisted at most 10 times.']
+    },
+    priceReductionPercent: {
+      type: Number,
+      default: 0,
+      min: [0, 'Starting-price reduction cannot be negative.'],
+      max: [90, 'Starting-price reduction cannot exceed 90%.']
+    },
+    // Length of each relisted auction; null reuses the original listing's duration
+    durationHours: {
+      type: Number,
+      default: null,
+      min: [1, 'Relist duration must be at least 1 hour.'],
+      max: [720, 'Relist duration cannot exceed 30 days.']
+    }
+  },
+  { _id: false }
+);
+
+// Subdocuments serialize through their own schema's options, so each one holding money needs
+// getters of its own to come out in major units
+const MONEY_SUBDOCUMENT_OPTIONS = {
+  toJSON: { getters: true },
+  toObject: { getters: true }
+};
+
+const incrementTierSchema = new Schema(
+  {
+    upTo: moneyPath({
+      default: null
+    }),
+    increment: moneyPath({
+      required: true,
+      min: [1, 'Bid increment must be at least 1.']
+    })
+  },
+  { _id: false, ...MONEY_SUBDOCUMENT_OPTIONS }
+);
+
+const winnerSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bidAmount: moneyPath(),
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    clearingPrice: moneyPath()
+  },
+  MONEY_SUBDOCUMENT_OPTIONS
+);
+
+const settlementSchema = new Schema(
+  {
+    buyerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    hammerPrice: moneyPath(),
+    buyersPremium: moneyPath(),
+    taxRatePercent: Number,
+    tax: moneyPath(),
+    total: moneyPath(),
+    computedAt: Date
+  },
+  { _id: false, ...MONEY_SUBDOCUMENT_OPTIONS }
+);
+
+const shippingSchema = new Schema(
+  {
+    // `calculated` prices each buyer from the site rate table by weight and distance zone
+    method: {
+      type: String,
+      enum: ['pickup', 'flat', 'calculated'],
+      default: 'pickup'
+    },
+    // Flat shipping charge in the listing's currency, only used by the `flat` method
+    flatRate: moneyPath({
+      default: 0,
+      min: [0, 'Shipping rate cannot be negative.']
+    }),
+    handlingDays: {
+      type: Number,
+      default: 3,
+      min: [0, 'Handling time cannot be negative.'],
+      max: [30, 'Handling time cannot exceed 30 days.']
+    }
+  },
+  { _id: false, ...MONEY_SUBDOCUMENT_OPTIONS }
+);
+
 const itemSchema = new Schema(
   {
     title: {
@@ -62,19 +201,31 @@ const itemSchema = new Schema(
       ref: 'User',
       required: [true, 'Seller ID is required.']
     },
-    startingPrice: {
-      type: Number,
-      required: [true, 'Starting price is required.'],
-      min: [1, 'Starting price must be at least $1.']
+    // Every amount on the listing and every bid on it is in this currency
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: BASE_CURRENCY
     },
-    currentPrice: {
-      type: Number,
+    startingPrice: moneyPath({
+      required: [true, 'Starting price is required.'],
+      min: [1, 'Starting price must be at least 1.']
+    }),
+    currentPrice: moneyPath({
       required: true
-    },
-    bidIncrement: {
-      type: Number,
+    }),
+    bidIncrement: moneyPath({
       default: 10,
-      min: [1, 'Bid increment must be at least $1.']
+      min: [1, 'Bid increment must be at least 1.']
+    }),
+    incrementPreset: {
+      type: String,
+      enum: ['flat', 'custom', ...Object.keys(INCREMENT_PRESETS)],
+      default: 'flat'
+    },
+    incrementTiers: {
+      type: [incrementTierSchema],
+      default: undefined
     },
     startTime: {
       type: Date,
@@ -90,9 +241,41 @@ const itemSchema = new Schema(
         message: 'End time must be after the start time.'
       }
     },
+    eventId: {
+      type: Schema.Types.ObjectId,
+      ref: 'AuctionEvent',
+      default: null,
+      index: true
+    },
+    lotNumber: {
+      type: Number,
+      default: null,
+      min: [1, 'Lot numbers start at 1.']
+    },
+    // Set while an auctioneer clerks the lot live; the end time is ignored until the hammer falls
+    isFloorControlled: {
+      type: Boolean,
+      default: false
+    },
+    softCloseWindowMinutes: {
+      type: Number,
+      default: 2,
+      min: [0, 'Soft-close window cannot be negative.']
+    },
+    maxExtensions: {
+      type: Number,
+      default: 10,
+      min: [0, 'Maximum extensions cannot be negative.']
+    },
+    extensionCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     status: {
       type: String,
-      enum: ['upcoming', 'active', 'ended', 'cancelled'],
+      // Drafts are private to their seller until published as upcoming or active
+      enum: ['draft', 'upcoming', 'active', 'ended', 'cancelled'],
       default: 'active'
     },
     condition: {
@@ -110,6 +293,18 @@ const itemSchema = new Schema(
       default: 'Unverified'
     },
     dimensions: auctionDimensionsSchema,
+    // Pieces of a bundled lot, auctioned together as this one item
+    bundleItems: {
+      type: [bundlePieceSchema],
+      default: undefined,
+      validate: {
+        validator(pieces) {
+          return !pieces?.length || (pieces.length >= 2 && pieces.length <= 24 && !this.isMultiUnit);
+        },
+        message: 'Bundles must contain between 2 and 24 pieces and are sold as a single lot.'
+      }
+    },
+    shipping: shippingSchema,
     highestBidder: {
       type: Schema.Types.ObjectId,
       ref: 'User',
@@ -134,6 +329,29 @@ const itemSchema = new Schema(
       type: Boolean,
       default: false
     },
+    listingType: {
+      type: String,
+      enum: ['forward', 'reverse'],
+      default: 'forward',
+      validate: {
+        validator(listingType) {
+          return listingType === 'forward'
+            || (this.format === 'english' && !this.isMultiUnit && (this.buyNowPrice === null || this.buyNowPrice === undefined));
+        },
+        message: 'Reverse listings must be single-unit English auctions without a Buy It Now price.'
+      }
+    },
+    format: {
+      type: String,
+      enum: ['english', 'sealed-first-price', 'sealed-second-price'],
+      default: 'english',
+      validate: {
+        validator(format) {
+          return format === 'english' || !this.isMultiUnit;
+        },
+        message: 'Sealed-bid auctions cannot be multi-unit.'
+      }
+    },
     isMultiUnit: {
       type: Boolean,
       default: false
@@ -148,23 +366,64 @@ const itemSchema = new Schema(
       default: 1,
       min: [0, 'Quantity available cannot be negative.']
     },
-    winners: [{
-      userId: {
-        type: Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      bidAmount: {
-        type: Number
-      },
-      quantity: {
-        type: Number,
-        default: 1
-      }
-    }],
-    reservePrice: {
-      type: Number,
+    winners: [winnerSchema],
+    // Amounts owed by each buyer, computed when the winner(s) are decided
+    settlements: [settlementSchema],
+    reservePrice: moneyPath({
       default: null,
       min: [0, 'Reserve price cannot be negative.']
+    }),
+    buyNowPrice: moneyPath({
+      default: null,
+      min: [1, 'Buy It Now price must be at least 1.'],
+      validate: {
+        validator(storedBuyNowPrice) {
+          if (storedBuyNowPrice === null || storedBuyNowPrice === undefined) {
+            return true;
+          }
+          // Validators see the stored minor units while `this` reads major units
+          const buyNowPrice = fromMinorUnits(storedBuyNowPrice);
+          return !this.isMultiUnit
+            && this.format === 'english'
+            && buyNowPrice >= this.startingPrice
+            && (this.reservePrice === null || this.reservePrice === undefined || buyNowPrice >= this.reservePrice);
+        },
+        message: 'Buy It Now price must be at least the starting and reserve prices, and is only available for single-unit English auctions.'
+      }
+    }),
+    purchasedViaBuyNow: {
+      type: Boolean,
+      default: false
+    },
+    // Bids at or above the threshold need the seller's approval or a deposit; overrides the event's
+    approvalThreshold: moneyPath({
+      default: null,
+      min: [1, 'Approval threshold must be at least 1.']
+    }),
+    // Hold that approves a bidder without review; null means only the seller can approve
+    approvalDeposit: moneyPath({
+      default: null,
+      min: [1, 'Deposit must be at least 1.']
+    }),
+    relistRules: {
+      type: relistRulesSchema,
+      default: undefined
+    },
+    // Number of times this listing's chain has been relisted so far
+    relistCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    relistedFromId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item',
+      default: null
+    },
+    relistedAsId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item',
+      default: null
     },
     createdAt: {
       type: Date,
@@ -176,7 +435,8 @@ const itemSchema = new Schema(
     }
   },
   {
-    versionKey: false
+    versionKey: false,
+    toObject: { getters: true }
   }
 );
 
@@ -190,6 +450,177 @@ itemSchema.pre('validate', function synchronizeCurrentPrice(next) {
   next();
 });
 
+/**
+ * @description Calculated shipping is priced by weight, so published listings offering it need a
+ * weight for the lot or for every bundle piece. Drafts may be saved without one.
+ */
+itemSchema.pre('validate', function requireShippingWeight(next) {
+  if (this.shipping?.method === 'calculated' && this.status !== 'draft') {
+    const hasWeight = this.dimensions?.weight > 0
+      || (this.bundleItems?.length > 0 && this.bundleItems.every((piece) => piece.dimensions?.weight > 0));
+    if (!hasWeight) {
+      this.invalidate('shipping', 'Calculated shipping requires the item\'s weight.');
+    }
+  }
+  next();
+});
+
+/**
+ * @function isReserveMet
+ * @description Determine whether the current high bid satisfies the seller's reserve. Items
+ * without a reserve are always considered met; items with a reserve need at least one bid.
+ * @returns {boolean}
+ */
+itemSchema.methods.isReserveMet = function isReserveMet() {
+  if (this.reservePrice === null || this.reservePrice === undefined) {
+    return true;
+  }
+  if (this.isReverse()) {
+    // Reverse listings: the lowest bid has to come down to the poster's reserve
+    return Boolean(this.highestBidder) && this.currentPrice <= this.reservePrice;
+  }
+  return Boolean(this.highestBidder) && this.currentPrice >= this.reservePrice;
+};
+
+/**
+ * @function isReverse
+ * @description Whether this is a reverse (procurement) listing. The starting price is the
+ * poster's maximum budget, bids compete downward and the lowest bidder wins. `highestBidder`
+ * holds the leading (lowest) bidder.
+ * @returns {boolean}
+ */
+itemSchema.methods.isReverse = function isReverse() {
+  return this.listingType === 'reverse';
+};
+
+/**
+ * @function isSealed
+ * @description Whether bids on this item are sealed until close.
+ * @returns {boolean}
+ */
+itemSchema.methods.isSealed = function isSealed() {
+  return this.format === 'sealed-first-price' || this.format === 'sealed-second-price';
+};
+
+/**
+ * @function isBuyNowAvailable
+ * @description Buy It Now is offered on live single-unit listings until the first bid lands or,
+ * for listings with a reserve, until the reserve is met.
+ * @returns {boolean}
+ */
+itemSchema.methods.isBuyNowAvailable = function isBuyNowAvailable() {
+  if (this.buyNowPrice === null || this.buyNowPrice === undefined || this.isMultiUnit || this.isSealed() || this.isReverse()) {
+    return false;
+  }
+  if (this.status !== 'active' || this.isAuctionOver) {
+    return false;
+  }
+  const hasReserve = this.reservePrice !== null && this.reservePrice !== undefined;
+  return hasReserve ? !this.isReserveMet() : this.totalBids === 0;
+};
+
+/**
+ * @function getIncrementTiers
+ * @description Resolve the increment table in force for this listing. Flat listings behave as a
+ * single open-ended tier of `bidIncrement`.
+ * @returns {Array<{ upTo: number|null, increment: number }>}
+ */
+itemSchema.methods.getIncrementTiers = function getIncrementTiers() {
+  if (this.incrementPreset === 'custom' && this.incrementTiers?.length) {
+    return this.incrementTiers.map(({ upTo, increment }) => ({ upTo, increment }));
+  }
+  if (INCREMENT_PRESETS[this.incrementPreset]) {
+    return INCREMENT_PRESETS[this.incrementPreset].tiers;
+  }
+  return [{ upTo: null, increment: this.bidIncrement }];
+};
+
+/**
+ * @function getBidIncrement
+ * @description Increment that applies when the standing price is `price`.
+ * @param {number} [price=this.currentPrice] - Price the next bid must beat.
+ * @returns {number}
+ */
+itemSchema.methods.getBidIncrement = function getBidIncrement(price = this.currentPrice) {
+  return getIncrementForPrice(this.getIncrementTiers(), price);
+};
+
+/**
+ * @function getMinimumNextBid
+ * @description Smallest amount that beats `price` under this listing's increment table.
+ * @param {number} [price=this.currentPrice] - Price the next bid must beat.
+ * @returns {number}
+ */
+itemSchema.methods.getMinimumNextBid = function getMinimumNextBid(price = this.currentPrice) {
+  // Sealed bidders never see a standing price, so any bid at or above the opening price counts
+  if (this.isSealed()) {
+    return this.startingPrice;
+  }
+  return price + this.getBidIncrement(price);
+};
+
+/**
+ * @function getMaximumNextBid
+ * @description Reverse listings only: the highest amount that undercuts `price` by one increment.
+ * @param {number} [price=this.currentPrice] - Price the next bid must undercut.
+ * @returns {number}
+ */
+itemSchema.methods.getMaximumNextBid = function getMaximumNextBid(price = this.currentPrice) {
+  return price - this.getBidIncrement(price);
+};
+
+/**
+ * @function extendForLateBid
+ * @description Anti-sniping soft close. When a bid lands inside the final window, push the end
+ * time out so it is a full window away from the bid, up to maxExtensions times. The caller is
+ * responsible for saving the document.
+ * @param {Date} [bidTime=new Date()] - Moment the bid was accepted.
+ * @returns {boolean} True when the end time was extended.
+ */
+itemSchema.methods.extendForLateBid = function extendForLateBid(bidTime = new Date()) {
+  const windowMs = (this.softCloseWindowMinutes || 0) * 60 * 1000;
+  if (!windowMs || this.isFloorControlled || this.extensionCount >= this.maxExtensions) {
+    return false;
+  }
+
+  const msRemaining = new Date(this.endTime).getTime() - bidTime.getTime();
+  if (msRemaining <= 0 || msRemaining > windowMs) {
+    return false;
+  }
+
+  this.endTime = new Date(bidTime.getTime() + windowMs);
+  this.extensionCount += 1;
+  return true;
+};
+
+/**
+ * @description Never expose the reserve amount to clients. Only whether a reserve exists and
+ * whether it has been met is serialized. Settlements are served per buyer by the buyer-charges
+ * endpoint rather than with the item. The increment in force and the resulting minimum next
+ * bid are included so clients never have to evaluate the tier table themselves. Amounts are
+ * serialized in major units.
+ */
+itemSchema.set('toJSON', {
+  getters: true,
+  transform(doc, ret) {
+    ret.hasReserve = ret.reservePrice !== null && ret.reservePrice !== undefined;
+    ret.reserveMet = typeof doc.isReserveMet === 'function' ? doc.isReserveMet() : !ret.hasReserve;
+    ret.buyNowAvailable = typeof doc.isBuyNowAvailable === 'function' ? doc.isBuyNowAvailable() : false;
+    delete ret.reservePrice;
+    delete ret.settlements;
+    if (typeof doc.getIncrementTiers === 'function') {
+      ret.incrementTiers = doc.getIncrementTiers();
+      ret.currentIncrement = doc.getBidIncrement();
+      if (doc.isReverse()) {
+        ret.maximumNextBid = doc.getMaximumNextBid();
+      } else {
+        ret.minimumNextBid = doc.getMinimumNextBid();
+      }
+    }
+    return ret;
+  }
+});
+
 /**
  * @description Maintain the updatedAt timestamp whenever the document changes.
  */
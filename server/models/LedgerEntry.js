@@ -0,0 +1,85 @@
+/**
+ * @file LedgerEntry.js
+ * @description Mongoose schema for the double-entry ledger behind payments, escrow and payouts.
+ * Every money movement is a transaction of two or more entries sharing a `transactionId`, whose
+ * debits and credits balance. Escrow and seller balance entries carry the seller they belong to.
+ */
+
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/money.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef LedgerEntryDocument
+ * @property {ObjectId} transactionId - Groups the entries of one balanced transaction.
+ * @property {string} type - payment, escrow-release, payout or refund.
+ * @property {string} account - cash, escrow, seller-balance, platform-fees or sales-tax.
+ * @property {ObjectId|null} sellerId - Seller an escrow or seller-balance entry belongs to.
+ * @property {ObjectId|null} orderId - Order the money moved for.
+ * @property {ObjectId|null} payoutId - Payout the money left in.
+ * @property {number} debit - Amount debited, in the base currency.
+ * @property {number} credit - Amount credited, in the base currency.
+ * @property {string} memo - Human-readable description.
+ */
+
+const ledgerEntrySchema = new Schema(
+  {
+    transactionId: {
+      type: Schema.Types.ObjectId,
+      required: [true, 'Transaction ID is required.'],
+      index: true
+    },
+    type: {
+      type: String,
+      enum: ['payment', 'escrow-release', 'payout', 'refund'],
+      required: [true, 'Transaction type is required.']
+    },
+    account: {
+      type: String,
+      enum: ['cash', 'escrow', 'seller-balance', 'platform-fees', 'sales-tax'],
+      required: [true, 'Account is required.']
+    },
+    sellerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    orderId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+      index: true
+    },
+    payoutId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Payout',
+      default: null
+    },
+    debit: moneyPath({
+      default: 0,
+      min: [0, 'Debit cannot be negative.']
+    }),
+    credit: moneyPath({
+      default: 0,
+      min: [0, 'Credit cannot be negative.']
+    }),
+    memo: {
+      type: String,
+      default: '',
+      maxlength: [200, 'Memo cannot exceed 200 characters.']
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { getters: true },
+    toObject: { getters: true }
+  }
+);
+
+// Index for seller balances by account
+ledgerEntrySchema.index({ sellerId: 1, account: 1 });
+
+const LedgerEntry = mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
@@ -0,0 +1,109 @@
+/**
+ * @file ListingTemplate.js
+ * @description Mongoose schema for reusable listing templates. Sellers who list similar items
+ * save their usual category, condition, bid increment, duration and shipping defaults once and
+ * apply them to pre-fill the listing form.
+ */
+
+import mongoose from 'mongoose';
+import { INCREMENT_PRESETS } from '../utils/bidIncrements.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef ListingTemplateDocument
+ * @property {ObjectId} sellerId - Seller who owns the template.
+ * @property {string} name - Name shown in the template picker.
+ * @property {string} category - Default item category.
+ * @property {string} condition - Default item condition.
+ * @property {string} incrementPreset - Bid increment table.
+ * @property {Array<{ upTo: number|null, increment: number }>} incrementTiers - Custom increment tiers.
+ * @property {number} bidIncrement - Flat bid increment.
+ * @property {number} durationHours - Auction length applied from the moment the template is used.
+ * @property {number} softCloseWindowMinutes - Soft-close window.
+ * @property {Object} shipping - Default shipping method, rate and handling time.
+ */
+
+const listingTemplateSchema = new Schema(
+  {
+    sellerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller ID is required.'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Template name is required.'],
+      trim: true,
+      maxlength: [60, 'Template name cannot exceed 60 characters.']
+    },
+    category: {
+      type: String,
+      trim: true
+    },
+    condition: {
+      type: String,
+      enum: ['Excellent', 'Very Good', 'Good', 'Fair', 'Poor']
+    },
+    incrementPreset: {
+      type: String,
+      enum: ['flat', 'custom', ...Object.keys(INCREMENT_PRESETS)]
+    },
+    incrementTiers: {
+      type: [{
+        _id: false,
+        upTo: {
+          type: Number,
+          default: null
+        },
+        increment: {
+          type: Number,
+          required: true,
+          min: [1, 'Bid increment must be at least $1.']
+        }
+      }],
+      default: undefined
+    },
+    bidIncrement: {
+      type: Number,
+      min: [1, 'Bid increment must be at least $1.']
+    },
+    durationHours: {
+      type: Number,
+      min: [1, 'Auction duration must be at least 1 hour.'],
+      max: [720, 'Auction duration cannot exceed 30 days.']
+    },
+    softCloseWindowMinutes: {
+      type: Number,
+      min: [0, 'Soft-close window cannot be negative.'],
+      max: [60, 'Soft-close window cannot exceed 60 minutes.']
+    },
+    shipping: {
+      method: {
+        type: String,
+        enum: ['pickup', 'flat', 'calculated']
+      },
+      flatRate: {
+        type: Number,
+        min: [0, 'Shipping rate cannot be negative.']
+      },
+      handlingDays: {
+        type: Number,
+        min: [0, 'Handling time cannot be negative.'],
+        max: [30, 'Handling time cannot exceed 30 days.']
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Template names are unique per seller so the picker stays unambiguous
+listingTemplateSchema.index({ sellerId: 1, name: 1 }, { unique: true });
+
+const ListingTemplate = mongoose.models.ListingTemplate
+  || mongoose.model('ListingTemplate', listingTemplateSchema);
+
+export default ListingTemplate;
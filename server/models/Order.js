@@ -0,0 +1,199 @@
+/**
+ * @file Order.js
+ * @description Mongoose schema for orders. An order is opened for each buyer when an auction
+ * closes with a winner, carrying the amounts recorded at settlement, and follows the purchase
+ * through payment, shipment and delivery.
+ */
+
+import mongoose from 'mongoose';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES, moneyPath } from '../utils/money.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef OrderDocument
+ * @property {ObjectId} itemId - Item that was won.
+ * @property {ObjectId} buyerId - Winner who owes payment.
+ * @property {ObjectId} sellerId - Seller who ships the item.
+ * @property {number} quantity - Units bought (multi-unit auctions).
+ * @property {string} currency - Currency of the item, which every amount on the order is in.
+ * @property {number} exchangeRate - Units of the order currency per unit of the base currency when it was paid; the ledger is posted at this rate.
+ * @property {number} hammerPrice - Winning price for the whole quantity.
+ * @property {number} buyersPremium - Premium owed on the hammer price.
+ * @property {number} tax - Sales tax on hammer plus premium.
+ * @property {number} shippingCost - Flat or calculated shipping charge, zero for pickup.
+ * @property {number} total - Amount due.
+ * @property {number} sellerCommission - Commission deducted from the hammer price.
+ * @property {number} sellerProceeds - What the seller receives: hammer plus shipping less commission.
+ * @property {string} status - awaiting-payment, paid, shipped, delivered, cancelled or refunded.
+ * @property {Date} paymentDueAt - When an unpaid order is cancelled.
+ * @property {{ provider: string, reference: string, paidAt: Date }} payment - Captured payment.
+ * @property {{ method: string, zone: string|null, carrier: string, trackingNumber: string, shippedAt: Date, deliveredAt: Date }} fulfillment - Shipment details.
+ * @property {{ heldAt: Date, releaseAt: Date, releasedAt: Date, disputedAt: Date }} escrow - When the seller's proceeds were held and released, and whether a dispute is holding them.
+ * @property {{ amount: number, sellerPortion: number, reference: string, refundedAt: Date }} refund - Money returned to the buyer after a dispute.
+ * @property {Date} cancelledAt - When the order was cancelled.
+ * @property {string} cancellationReason - Why the order was cancelled.
+ */
+
+const orderSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item',
+      required: [true, 'Item ID is required.']
+    },
+    buyerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Buyer ID is required.'],
+      index: true
+    },
+    sellerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller ID is required.'],
+      index: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Quantity must be at least 1.']
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: BASE_CURRENCY
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.0001, 'Exchange rate must be positive.']
+    },
+    hammerPrice: moneyPath({
+      required: [true, 'Hammer price is required.'],
+      min: 0
+    }),
+    buyersPremium: moneyPath({
+      default: 0,
+      min: 0
+    }),
+    tax: moneyPath({
+      default: 0,
+      min: 0
+    }),
+    shippingCost: moneyPath({
+      default: 0,
+      min: 0
+    }),
+    total: moneyPath({
+      required: [true, 'Order total is required.'],
+      min: 0
+    }),
+    sellerCommission: moneyPath({
+      default: 0,
+      min: 0
+    }),
+    sellerProceeds: moneyPath({
+      default: 0,
+      min: 0
+    }),
+    status: {
+      type: String,
+      enum: ['awaiting-payment', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'],
+      default: 'awaiting-payment'
+    },
+    paymentDueAt: {
+      type: Date,
+      required: [true, 'Payment due date is required.']
+    },
+    payment: {
+      provider: String,
+      reference: String,
+      paidAt: Date
+    },
+    fulfillment: {
+      method: {
+        type: String,
+        enum: ['pickup', 'flat', 'calculated'],
+        default: 'pickup'
+      },
+      // Distance zone the calculated shipping charge was priced for
+      zone: {
+        type: String,
+        enum: ['local', 'regional', 'national', 'international', null],
+        default: null
+      },
+      carrier: {
+        type: String,
+        trim: true,
+        maxlength: [60, 'Carrier name cannot exceed 60 characters.']
+      },
+      trackingNumber: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Tracking number cannot exceed 100 characters.']
+      },
+      shippedAt: Date,
+      deliveredAt: Date
+    },
+    // The seller's proceeds are held from payment until the buyer confirms receipt or the
+    // inspection period after shipment runs out
+    escrow: {
+      heldAt: {
+        type: Date,
+        default: null
+      },
+      releaseAt: {
+        type: Date,
+        default: null
+      },
+      releasedAt: {
+        type: Date,
+        default: null
+      },
+      // Set while a dispute is open; nothing is released until it is resolved
+      disputedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    refund: {
+      amount: moneyPath({
+        min: 0
+      }),
+      // Part of the refund taken from the seller's proceeds
+      sellerPortion: moneyPath({
+        min: 0
+      }),
+      reference: String,
+      refundedAt: Date
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    },
+    cancellationReason: {
+      type: String,
+      default: '',
+      maxlength: [500, 'Cancellation reason cannot exceed 500 characters.']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true }
+  }
+);
+
+// One order per buyer per item; a replacement winner gets their own order
+orderSchema.index({ itemId: 1, buyerId: 1 }, { unique: true });
+// Index for seller statements over a period
+orderSchema.index({ sellerId: 1, createdAt: 1 });
+// Index for the scheduler sweep of overdue payments
+orderSchema.index({ status: 1, paymentDueAt: 1 });
+// Index for the scheduler sweep of escrow past its inspection period
+orderSchema.index({ 'escrow.releasedAt': 1, 'escrow.releaseAt': 1 });
+
+const Order = mongoose.models.Order || mongoose.model('Order', orderSchema);
+
+export default Order;
@@ -0,0 +1,63 @@
+/**
+ * @file Payout.js
+ * @description Mongoose schema for seller payouts: one transfer of a seller's released balance,
+ * made as part of a scheduled payout batch.
+ */
+
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/money.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef PayoutDocument
+ * @property {ObjectId} batchId - Batch the payout was part of.
+ * @property {ObjectId} sellerId - Seller paid.
+ * @property {number} amount - Amount sent, in the base currency.
+ * @property {string} status - paid or failed.
+ * @property {string} provider - Payment provider that sent the money.
+ * @property {string} reference - Provider reference of the transfer.
+ * @property {string} failureReason - Why the provider rejected a failed payout.
+ */
+
+const payoutSchema = new Schema(
+  {
+    batchId: {
+      type: Schema.Types.ObjectId,
+      ref: 'PayoutBatch',
+      required: [true, 'Batch ID is required.']
+    },
+    sellerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller ID is required.']
+    },
+    amount: moneyPath({
+      required: [true, 'Payout amount is required.'],
+      min: [0.01, 'Payout amount must be positive.']
+    }),
+    status: {
+      type: String,
+      enum: ['paid', 'failed'],
+      required: true
+    },
+    provider: String,
+    reference: String,
+    failureReason: {
+      type: String,
+      default: ''
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true }
+  }
+);
+
+// Index for a seller's payout history
+payoutSchema.index({ sellerId: 1, createdAt: -1 });
+
+const Payout = mongoose.models.Payout || mongoose.model('Payout', payoutSchema);
+
+export default Payout;
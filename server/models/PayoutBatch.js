@@ -0,0 +1,58 @@
+/**
+ * @file PayoutBatch.js
+ * @description Mongoose schema for payout batches. The scheduler runs a batch at a fixed interval
+ * and pays every seller with a released balance in it; the latest batch decides when the next is
+ * due. Each batch names the batch it follows, and only one batch may follow any given batch, so
+ * two scheduler runs racing for the same period cannot both pay sellers.
+ */
+
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/money.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef PayoutBatchDocument
+ * @property {Date} runAt - When the batch ran.
+ * @property {ObjectId|null} previousBatchId - Batch this one follows, null for the first batch.
+ * @property {number} payoutCount - Payouts sent.
+ * @property {number} failedCount - Payouts the provider rejected.
+ * @property {number} totalAmount - Total paid out, in the base currency.
+ */
+
+const payoutBatchSchema = new Schema(
+  {
+    runAt: {
+      type: Date,
+      required: [true, 'Run time is required.'],
+      index: true
+    },
+    // Batches from before this field existed lack it; the sparse index leaves them out
+    previousBatchId: {
+      type: Schema.Types.ObjectId,
+      ref: 'PayoutBatch',
+      unique: true,
+      sparse: true
+    },
+    payoutCount: {
+      type: Number,
+      default: 0
+    },
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    totalAmount: moneyPath({
+      default: 0
+    })
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true }
+  }
+);
+
+const PayoutBatch = mongoose.models.PayoutBatch || mongoose.model('PayoutBatch', payoutBatchSchema);
+
+export default PayoutBatch;
@@ -0,0 +1,86 @@
+/**
+ * @file SecondChanceOffer.js
+ * @description Mongoose schema for second chance offers. When the winner of an ended auction
+ * backs out, the seller can offer the item to the next bidder in line at that bidder's own last
+ * bid. The bidder accepts or declines before the offer expires.
+ */
+
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/money.js';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef SecondChanceOfferDocument
+ * @property {ObjectId} itemId - Ended auction item being offered.
+ * @property {ObjectId} sellerId - Seller who made the offer.
+ * @property {ObjectId} bidderId - Underbidder receiving the offer.
+ * @property {ObjectId} bidId - The bidder's last bid, which sets the offer price.
+ * @property {ObjectId} previousWinnerId - Winner at the time the offer was made.
+ * @property {number} offerAmount - Price the bidder pays on acceptance.
+ * @property {string} status - pending, accepted, declined or expired.
+ * @property {Date} expiresAt - When a pending offer lapses.
+ * @property {Date} respondedAt - When the offer was accepted, declined or expired.
+ */
+
+const secondChanceOfferSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item',
+      required: [true, 'Item ID is required.'],
+      index: true
+    },
+    sellerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller ID is required.']
+    },
+    bidderId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Bidder ID is required.'],
+      index: true
+    },
+    bidId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Bid',
+      required: [true, 'The offered bid is required.']
+    },
+    previousWinnerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    offerAmount: moneyPath({
+      required: [true, 'Offer amount is required.'],
+      min: [1, 'Offer amount must be at least 1.']
+    }),
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired'],
+      default: 'pending'
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Offer expiry is required.']
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true }
+  }
+);
+
+// Index for the scheduler sweep of lapsed offers
+secondChanceOfferSchema.index({ status: 1, expiresAt: 1 });
+
+const SecondChanceOffer = mongoose.models.SecondChanceOffer
+  || mongoose.model('SecondChanceOffer', secondChanceOfferSchema);
+
+export default SecondChanceOffer;
@@ -0,0 +1,133 @@
+/**
+ * @file ShillFlag.js
+ * @description Mongoose schema for suspected shill bidding raised by the background analyzer. Each
+ * flag names a bidder, the seller they appear to be bidding for, the pattern detected and the bids
+ * that show it. Admins review open flags and confirm or dismiss them; flags scored at or above the
+ * auto-suspend score suspend the bidder's bidding straight away.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef ShillFlagDocument
+ * @property {string} kind - shared-ip-with-seller, single-seller-bidder, bid-and-retract or coordinated-new-accounts.
+ * @property {ObjectId} bidderId - Bidder suspected of shilling.
+ * @property {ObjectId} sellerId - Seller whose items the bids were on.
+ * @property {Array<ObjectId>} itemIds - Items the evidence covers.
+ * @property {Array<ObjectId>} relatedUserIds - Other accounts involved, such as new accounts bidding alongside.
+ * @property {number} score - Confidence from 0 to 100.
+ * @property {string} summary - One-line description for the review queue.
+ * @property {Array<{ itemId: ObjectId, bidId: ObjectId, ipAddress: string, note: string, at: Date }>} evidence - Bids showing the pattern.
+ * @property {string} status - open, confirmed or dismissed.
+ * @property {boolean} autoSuspended - Whether the flag suspended the bidder's bidding when raised.
+ * @property {Date} lastDetectedAt - Last analyzer run that found the pattern.
+ * @property {ObjectId} reviewedBy - Admin who reviewed the flag.
+ * @property {Date} reviewedAt - When it was reviewed.
+ * @property {string} reviewNote - The admin's note.
+ */
+
+const evidenceSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item'
+    },
+    bidId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Bid'
+    },
+    ipAddress: {
+      type: String,
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    at: Date
+  },
+  { _id: false }
+);
+
+const shillFlagSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['shared-ip-with-seller', 'single-seller-bidder', 'bid-and-retract', 'coordinated-new-accounts'],
+      required: [true, 'Flag kind is required.']
+    },
+    bidderId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Bidder ID is required.'],
+      index: true
+    },
+    sellerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller ID is required.']
+    },
+    itemIds: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Item'
+    }],
+    relatedUserIds: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    score: {
+      type: Number,
+      required: [true, 'Score is required.'],
+      min: [0, 'Score cannot be below 0.'],
+      max: [100, 'Score cannot exceed 100.']
+    },
+    summary: {
+      type: String,
+      trim: true
+    },
+    evidence: {
+      type: [evidenceSchema],
+      default: []
+    },
+    status: {
+      type: String,
+      enum: ['open', 'confirmed', 'dismissed'],
+      default: 'open'
+    },
+    autoSuspended: {
+      type: Boolean,
+      default: false
+    },
+    lastDetectedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review note cannot exceed 1000 characters.']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for the admin review queue and for finding the open flag a new detection adds to
+shillFlagSchema.index({ status: 1, score: -1 });
+shillFlagSchema.index({ kind: 1, bidderId: 1, sellerId: 1, status: 1 });
+
+const ShillFlag = mongoose.models.ShillFlag || mongoose.model('ShillFlag', shillFlagSchema);
+
+export default ShillFlag;
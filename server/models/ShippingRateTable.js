@@ -0,0 +1,60 @@
+/**
+ * @file ShippingRateTable.js
+ * @description Mongoose schema for the site-wide rate table used by calculated shipping. A single
+ * document holds a base charge and per-kilogram rate for every distance zone, and the divisor that
+ * turns a parcel's volume into its dimensional weight.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * @typedef ShippingRateTableDocument
+ * @property {Array<{ zone: string, baseRate: number, perKgRate: number }>} zoneRates - Rates by distance zone.
+ * @property {number} dimensionalDivisor - Cubic centimeters per billable kilogram.
+ * @property {ObjectId} updatedBy - Admin who last changed the table.
+ */
+
+const shippingRateTableSchema = new Schema(
+  {
+    zoneRates: {
+      type: [{
+        _id: false,
+        zone: {
+          type: String,
+          enum: ['local', 'regional', 'national', 'international'],
+          required: [true, 'Zone is required.']
+        },
+        baseRate: {
+          type: Number,
+          required: true,
+          min: [0, 'Base rate cannot be negative.']
+        },
+        perKgRate: {
+          type: Number,
+          required: true,
+          min: [0, 'Per-kilogram rate cannot be negative.']
+        }
+      }],
+      default: undefined
+    },
+    dimensionalDivisor: {
+      type: Number,
+      min: [1000, 'Dimensional divisor must be at least 1000.'],
+      max: [10000, 'Dimensional divisor cannot exceed 10000.']
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const ShippingRateTable = mongoose.models.ShippingRateTable || mongoose.model('ShippingRateTable', shippingRateTableSchema);
+
+export default ShippingRateTable;
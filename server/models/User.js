@@ -6,9 +6,12 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { SUPPORTED_CURRENCIES } from '../utils/money.js';
 
 const { Schema } = mongoose;
 
+const MAX_SIGN_IN_ADDRESSES = 10;
+
 /**
  * @typedef Address
  * @property {string} street - Optional street information for the user profile.
@@ -30,6 +33,10 @@ const { Schema } = mongoose;
  * @property {boolean} isVerified - Indicates if the account has been manually verified.
  * @property {Date} createdAt - Account creation timestamp.
  * @property {Date} lastLogin - Most recent login timestamp.
+ * @property {number|null} creditLimit - Most the user may have committed across open bids; null uses the site default.
+ * @property {string|null} displayCurrency - Currency prices are also shown in, converted at the current rates; null shows listing currencies only.
+ * @property {Array<{ address: string, lastSeenAt: Date }>} signInAddresses - IP addresses the user most recently signed in from.
+ * @property {{ suspendedAt: Date|null, reason: string|null, flagId: ObjectId|null }} biddingSuspension - Set while the user may not bid.
  * @property {() => Promise<boolean>} comparePassword - Helper method used for authentication.
  */
 
@@ -73,7 +80,7 @@ const userSchema = new Schema(
     },
     phoneNumber: {
       type: String,
-      match: [/^\+?[\d\s\-\(\)]+$/, 'Please provide a valid phone number.']
+      match: [/^\+?[\d\s\-()]+$/, 'Please provide a valid phone number.']
     },
     address: addressSchema,
     profileImage: {
@@ -95,7 +102,33 @@ const userSchema = new Schema(
     watchlist: [{
       type: Schema.Types.ObjectId,
       ref: 'Item'
-    }]
+    }],
+    // Set by admins; null falls back to the site-wide default
+    creditLimit: {
+      type: Number,
+      default: null,
+      min: [0, 'Credit limit cannot be negative.']
+    },
+    displayCurrency: {
+      type: String,
+      enum: [...SUPPORTED_CURRENCIES, null],
+      default: null
+    },
+    // Compared with bidders' addresses by the shill-bidding analyzer
+    signInAddresses: {
+      type: [{
+        _id: false,
+        address: { type: String, required: true },
+        lastSeenAt: { type: Date, default: Date.now }
+      }],
+      default: []
+    },
+    // Set by an admin or by a shill flag scored at or above the auto-suspend score
+    biddingSuspension: {
+      suspendedAt: { type: Date, default: null },
+      reason: { type: String, default: null },
+      flagId: { type: Schema.Types.ObjectId, ref: 'ShillFlag', default: null }
+    }
   },
   {
     timestamps: false,
@@ -127,6 +160,21 @@ userSchema.methods.comparePassword = async function comparePassword(candidatePas
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * @function recordSignInAddress
+ * @description Remembers the address the user signed in from, keeping the ten most recent.
+ * Call before saving the document.
+ * @param {string|undefined} ipAddress - Address of the request.
+ * @returns {void}
+ */
+userSchema.methods.recordSignInAddress = function recordSignInAddress(ipAddress) {
+  if (!ipAddress) {
+    return;
+  }
+  const otherAddresses = (this.signInAddresses || []).filter(({ address }) => address !== ipAddress);
+  this.signInAddresses = [{ address: ipAddress, lastSeenAt: new Date() }, ...otherAddresses].slice(0, MAX_SIGN_IN_ADDRESSES);
+};
+
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 
 export default User;
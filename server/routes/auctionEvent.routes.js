@@ -0,0 +1,23 @@
+/**
+ * @file auctionEvent.routes.js
+ * @description Express router for catalogued auction events and their lots.
+ */
+
+import { Router } from 'express';
+import {
+  createAuctionEvent,
+  addEventLots,
+  getAuctionEvents,
+  getAuctionEventById
+} from '../controllers/auctionEvent.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import { validateAuctionEvent, validateEventLots, validateMongoIdParam } from '../middleware/validators.js';
+
+const router = Router();
+
+router.get('/', getAuctionEvents);
+router.post('/', protectRoute, validateAuctionEvent, createAuctionEvent);
+router.get('/:id', validateMongoIdParam, getAuctionEventById);
+router.post('/:id/lots', protectRoute, validateEventLots, addEventLots);
+
+export default router;
@@ -8,7 +8,8 @@ import {
   setAutoBid,
   getAutoBid,
   cancelAutoBid,
-  getUserAutoBids
+  getUserAutoBids,
+  getUserAbsenteeBids
 } from '../controllers/autoBid.controller.js';
 import protectRoute from '../middleware/protectRoute.js';
 
@@ -26,4 +27,7 @@ router.delete('/cancel/:itemId', protectRoute, cancelAutoBid);
 // Get all active auto-bids for the user
 router.get('/user', protectRoute, getUserAutoBids);
 
+// Get the user's absentee bids on items that have not opened yet
+router.get('/absentee', protectRoute, getUserAbsenteeBids);
+
 export default router;
@@ -0,0 +1,41 @@
+/**
+ * @file bidderApproval.routes.js
+ * @description Express router for bidder approvals, deposits and credit limits. All routes require
+ * authentication.
+ */
+
+import { Router } from 'express';
+import {
+  getItemApprovalStatus,
+  getMyBidderApprovals,
+  getBidderApprovalQueue,
+  requestBidderApproval,
+  placeBidderDeposit,
+  decideBidderApproval,
+  setUserCreditLimit,
+  setApprovalRequirement
+} from '../controllers/bidderApproval.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import {
+  validateBidderApprovalRequest,
+  validateBidderDeposit,
+  validateBidderApprovalDecision,
+  validateCreditLimit,
+  validateApprovalRequirement,
+  validateItemIdParam
+} from '../middleware/validators.js';
+
+const router = Router();
+
+router.use(protectRoute);
+
+router.get('/', getMyBidderApprovals);
+router.get('/queue', getBidderApprovalQueue);
+router.get('/items/:itemId', validateItemIdParam, getItemApprovalStatus);
+router.post('/', validateBidderApprovalRequest, requestBidderApproval);
+router.post('/deposit', validateBidderDeposit, placeBidderDeposit);
+router.put('/requirements', validateApprovalRequirement, setApprovalRequirement);
+router.put('/credit-limits/:userId', validateCreditLimit, setUserCreditLimit);
+router.post('/:id/decide', validateBidderApprovalDecision, decideBidderApproval);
+
+export default router;
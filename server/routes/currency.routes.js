@@ -0,0 +1,16 @@
+/**
+ * @file currency.routes.js
+ * @description Express router for supported currencies and exchange rates.
+ */
+
+import { Router } from 'express';
+import { getCurrencies, updateExchangeRates } from '../controllers/currency.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import { validateExchangeRates } from '../middleware/validators.js';
+
+const router = Router();
+
+router.get('/', getCurrencies);
+router.put('/rates', protectRoute, validateExchangeRates, updateExchangeRates);
+
+export default router;
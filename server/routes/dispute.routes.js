@@ -0,0 +1,37 @@
+/**
+ * @file dispute.routes.js
+ * @description Express router for disputes about won items. All routes require authentication.
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import {
+  openDispute,
+  getMyDisputes,
+  getDisputeQueue,
+  getDisputeById,
+  respondToDispute,
+  resolveDispute
+} from '../controllers/dispute.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import {
+  validateDisputeOpening,
+  validateDisputeResponse,
+  validateDisputeResolution,
+  validateMongoIdParam
+} from '../middleware/validators.js';
+
+const router = Router();
+const upload = multer({ limits: { fileSize: 5 * 1024 * 1024 } }); // 5MB per file
+const evidenceUpload = upload.array('evidence', 5);
+
+router.use(protectRoute);
+
+router.get('/', getMyDisputes);
+router.get('/queue', getDisputeQueue);
+router.post('/', evidenceUpload, validateDisputeOpening, openDispute);
+router.get('/:id', validateMongoIdParam, getDisputeById);
+router.post('/:id/respond', evidenceUpload, validateDisputeResponse, respondToDispute);
+router.post('/:id/resolve', validateDisputeResolution, resolveDispute);
+
+export default router;
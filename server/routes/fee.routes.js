@@ -0,0 +1,16 @@
+/**
+ * @file fee.routes.js
+ * @description Express router for the buyer's premium and sales tax schedule.
+ */
+
+import { Router } from 'express';
+import { getFeeScheduleSettings, updateFeeSchedule } from '../controllers/fee.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import { validateFeeSchedule } from '../middleware/validators.js';
+
+const router = Router();
+
+router.get('/schedule', getFeeScheduleSettings);
+router.put('/schedule', protectRoute, validateFeeSchedule, updateFeeSchedule);
+
+export default router;
@@ -11,18 +11,43 @@ import {
   getItemById,
   updateItem,
   deleteItem,
-  getItemPrices
+  getItemPrices,
+  getIncrementPresets,
+  buyNow,
+  getFloorActions,
+  getBuyerCharges,
+  getShippingQuote,
+  createDraft,
+  getMyDrafts,
+  getDraftById,
+  updateDraft,
+  publishDraft
 } from '../controllers/item.controller.js';
 import protectRoute from '../middleware/protectRoute.js';
 import { validateItemPayload, validateMongoIdParam } from '../middleware/validators.js';
 
 const router = Router();
 const upload = multer({ limits: { fileSize: 5 * 1024 * 1024 } }); // 5MB per file
+// Listing images plus the images of each bundle piece (up to 24 pieces of 5 images)
+const listingUpload = upload.fields([
+  { name: 'images', maxCount: 5 },
+  { name: 'bundleImages', maxCount: 120 }
+]);
 
 router.get('/', getItems);
 router.get('/prices/batch', getItemPrices);
-router.post('/', protectRoute, upload.array('images', 5), validateItemPayload, createItem);
+router.get('/increment-presets', getIncrementPresets);
+router.post('/', protectRoute, listingUpload, validateItemPayload, createItem);
+router.get('/drafts', protectRoute, getMyDrafts);
+router.post('/drafts', protectRoute, listingUpload, validateItemPayload, createDraft);
+router.get('/drafts/:id', protectRoute, validateMongoIdParam, getDraftById);
+router.put('/drafts/:id', protectRoute, listingUpload, validateMongoIdParam, validateItemPayload, updateDraft);
+router.post('/drafts/:id/publish', protectRoute, listingUpload, validateMongoIdParam, validateItemPayload, publishDraft);
 router.get('/:id', validateMongoIdParam, getItemById);
+router.post('/:id/buy-now', protectRoute, validateMongoIdParam, buyNow);
+router.get('/:id/floor-actions', protectRoute, validateMongoIdParam, getFloorActions);
+router.get('/:id/buyer-charges', protectRoute, validateMongoIdParam, getBuyerCharges);
+router.get('/:id/shipping-quote', protectRoute, validateMongoIdParam, getShippingQuote);
 router.put('/:id', protectRoute, validateMongoIdParam, validateItemPayload, updateItem);
 router.delete('/:id', protectRoute, validateMongoIdParam, deleteItem);
 
@@ -0,0 +1,23 @@
+/**
+ * @file listingTemplate.routes.js
+ * @description Express router for the seller's reusable listing templates.
+ */
+
+import { Router } from 'express';
+import {
+  getMyListingTemplates,
+  createListingTemplate,
+  updateListingTemplate,
+  deleteListingTemplate
+} from '../controllers/listingTemplate.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import { validateListingTemplate, validateMongoIdParam } from '../middleware/validators.js';
+
+const router = Router();
+
+router.get('/', protectRoute, getMyListingTemplates);
+router.post('/', protectRoute, validateListingTemplate, createListingTemplate);
+router.put('/:id', protectRoute, validateMongoIdParam, validateListingTemplate, updateListingTemplate);
+router.delete('/:id', protectRoute, validateMongoIdParam, deleteListingTemplate);
+
+export default router;
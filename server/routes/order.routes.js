@@ -0,0 +1,36 @@
+/**
+ * @file order.routes.js
+ * @description Express router for orders: purchases, sales, checkout, fulfillment and the PDF
+ * invoices and seller statements.
+ */
+
+import { Router } from 'express';
+import {
+  getMyPurchases,
+  getMySales,
+  getOrderById,
+  downloadInvoice,
+  downloadSellerStatement,
+  checkoutOrder,
+  markOrderShipped,
+  confirmOrderDelivery,
+  cancelOrder
+} from '../controllers/order.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import { validateMongoIdParam, validateOrderShipment, validateOrderCancellation, validateStatementPeriod } from '../middleware/validators.js';
+
+const router = Router();
+
+router.use(protectRoute);
+
+router.get('/purchases', getMyPurchases);
+router.get('/sales', getMySales);
+router.get('/statement', validateStatementPeriod, downloadSellerStatement);
+router.get('/:id', validateMongoIdParam, getOrderById);
+router.get('/:id/invoice', validateMongoIdParam, downloadInvoice);
+router.post('/:id/checkout', validateMongoIdParam, checkoutOrder);
+router.post('/:id/ship', validateOrderShipment, markOrderShipped);
+router.post('/:id/deliver', validateMongoIdParam, confirmOrderDelivery);
+router.post('/:id/cancel', validateOrderCancellation, cancelOrder);
+
+export default router;
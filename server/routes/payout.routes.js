@@ -0,0 +1,14 @@
+/**
+ * @file payout.routes.js
+ * @description Express router for seller earnings and payouts.
+ */
+
+import { Router } from 'express';
+import { getMyEarnings } from '../controllers/payout.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+
+const router = Router();
+
+router.get('/earnings', protectRoute, getMyEarnings);
+
+export default router;
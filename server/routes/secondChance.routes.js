@@ -0,0 +1,36 @@
+/**
+ * @file secondChance.routes.js
+ * @description Express router for second chance offers made to underbidders after a winner backs out.
+ */
+
+import { Router } from 'express';
+import {
+  createSecondChanceOffer,
+  getItemSecondChanceOffers,
+  getMySecondChanceOffers,
+  acceptSecondChanceOffer,
+  declineSecondChanceOffer
+} from '../controllers/secondChance.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import {
+  validateSecondChanceOffer,
+  validateItemIdParam,
+  validateMongoIdParam
+} from '../middleware/validators.js';
+
+const router = Router();
+
+// Pending offers made to the user
+router.get('/mine', protectRoute, getMySecondChanceOffers);
+
+// Seller offers the item to the next bidder in line
+router.post('/items/:itemId', protectRoute, validateSecondChanceOffer, createSecondChanceOffer);
+
+// Offers on an item (all for the seller, own offers for bidders)
+router.get('/items/:itemId', protectRoute, validateItemIdParam, getItemSecondChanceOffers);
+
+// Bidder responds to an offer
+router.post('/:id/accept', protectRoute, validateMongoIdParam, acceptSecondChanceOffer);
+router.post('/:id/decline', protectRoute, validateMongoIdParam, declineSecondChanceOffer);
+
+export default router;
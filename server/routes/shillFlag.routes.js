@@ -0,0 +1,30 @@
+/**
+ * @file shillFlag.routes.js
+ * @description Express router for the admin shill-bidding review queue. All routes require
+ * authentication.
+ */
+
+import { Router } from 'express';
+import {
+  getShillFlagQueue,
+  getShillFlagById,
+  reviewShillFlag,
+  runShillAnalysisNow
+} from '../controllers/shillFlag.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import {
+  validateShillFlagQueue,
+  validateShillFlagReview,
+  validateMongoIdParam
+} from '../middleware/validators.js';
+
+const router = Router();
+
+router.use(protectRoute);
+
+router.get('/', validateShillFlagQueue, getShillFlagQueue);
+router.post('/run', runShillAnalysisNow);
+router.get('/:id', validateMongoIdParam, getShillFlagById);
+router.post('/:id/review', validateShillFlagReview, reviewShillFlag);
+
+export default router;
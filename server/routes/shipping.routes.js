@@ -0,0 +1,16 @@
+/**
+ * @file shipping.routes.js
+ * @description Express router for the calculated-shipping rate table.
+ */
+
+import { Router } from 'express';
+import { getShippingRateTable, updateShippingRateTable } from '../controllers/shipping.controller.js';
+import protectRoute from '../middleware/protectRoute.js';
+import { validateShippingRates } from '../middleware/validators.js';
+
+const router = Router();
+
+router.get('/rates', getShippingRateTable);
+router.put('/rates', protectRoute, validateShippingRates, updateShippingRateTable);
+
+export default router;
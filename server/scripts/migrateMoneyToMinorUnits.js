@@ -0,0 +1,122 @@
+/**
+ * @file migrateMoneyToMinorUnits.js
+ * @description One-off migration for databases created before amounts were stored in minor units.
+ * Multiplies every money path, as declared with `moneyPath` in the schemas, by 100 in place and
+ * records a marker in the `migrations` collection so a second run does nothing. Stop the server
+ * and back up the database before running it with `npm run migrate:minor-units`.
+ */
+
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDatabase from '../config/db.js';
+import AuctionEvent from '../models/AuctionEvent.js';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import BidderApproval from '../models/BidderApproval.js';
+import Dispute from '../models/Dispute.js';
+import Item from '../models/Item.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Order from '../models/Order.js';
+import Payout from '../models/Payout.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import SecondChanceOffer from '../models/SecondChanceOffer.js';
+import { toMinorUnits } from '../utils/money.js';
+
+const MIGRATION_ID = 'money-minor-units';
+
+const MODELS = [AuctionEvent, AutoBid, Bid, BidderApproval, Dispute, Item, LedgerEntry, Order, Payout, PayoutBatch, SecondChanceOffer];
+
+/**
+ * @function isMoneyPath
+ * @param {import('mongoose').SchemaType} schemaType - Schema path.
+ * @returns {boolean}
+ */
+const isMoneyPath = (schemaType) => schemaType.instance === 'Number' && schemaType.options.set === toMinorUnits;
+
+/**
+ * @function scaleExpression
+ * @description Aggregation expression multiplying a numeric field by 100, leaving nulls and
+ * missing values alone.
+ * @param {string} fieldRef - Field reference such as `$currentPrice` or `$$this.bidAmount`.
+ * @returns {Record<string, any>}
+ */
+const scaleExpression = (fieldRef) => ({
+  $cond: [{ $isNumber: fieldRef }, { $round: [{ $multiply: [fieldRef, 100] }, 0] }, fieldRef]
+});
+
+/**
+ * @function buildUpdateStage
+ * @description `$set` stage scaling a schema's money paths, descending into single nested
+ * subdocuments such as an item's shipping and mapping over arrays of subdocuments such as its
+ * winners and settlements.
+ * @param {import('mongoose').Schema} schema - Model schema.
+ * @returns {Record<string, any>|null} Null when the schema has no money paths.
+ */
+const buildUpdateStage = (schema) => {
+  const updates = {};
+  const collectPaths = (currentSchema, prefix) => currentSchema.eachPath((subPath, schemaType) => {
+    const path = `${prefix}${subPath}`;
+    if (isMoneyPath(schemaType)) {
+      updates[path] = scaleExpression(`$${path}`);
+      return;
+    }
+    if (schemaType.instance === 'Embedded') {
+      collectPaths(schemaType.schema, `${path}.`);
+      return;
+    }
+    if (schemaType.instance !== 'Array' || !schemaType.schema) {
+      return;
+    }
+
+    const subdocumentUpdates = {};
+    schemaType.schema.eachPath((elementPath, elementSchemaType) => {
+      if (isMoneyPath(elementSchemaType)) {
+        subdocumentUpdates[elementPath] = scaleExpression(`$$this.${elementPath}`);
+      }
+    });
+    if (Object.keys(subdocumentUpdates).length > 0) {
+      updates[path] = {
+        $cond: [
+          { $isArray: `$${path}` },
+          { $map: { input: `$${path}`, in: { $mergeObjects: ['$$this', subdocumentUpdates] } } },
+          `$${path}`
+        ]
+      };
+    }
+  });
+  collectPaths(schema, '');
+  return Object.keys(updates).length > 0 ? { $set: updates } : null;
+};
+
+/**
+ * @function migrate
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  await connectDatabase();
+  const migrations = mongoose.connection.db.collection('migrations');
+
+  if (await migrations.findOne({ _id: MIGRATION_ID })) {
+    console.log('Amounts are already stored in minor units; nothing to do.');
+    return;
+  }
+
+  for (const Model of MODELS) {
+    const updateStage = buildUpdateStage(Model.schema);
+    if (!updateStage) {
+      continue;
+    }
+    const result = await Model.collection.updateMany({}, [updateStage]);
+    console.log(`${Model.collection.collectionName}: converted ${result.modifiedCount} document(s).`);
+  }
+
+  await migrations.insertOne({ _id: MIGRATION_ID, appliedAt: new Date() });
+  console.log('Migration complete.');
+};
+
+migrate()
+  .catch((migrationError) => {
+    console.error('Migration failed:', migrationError);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -15,6 +15,7 @@ import morgan from 'morgan';
 import cookieParser from 'cookie-parser';
 import { Server as SocketIOServer } from 'socket.io';
 import rateLimit from 'express-rate-limit';
+import proxyaddr from 'proxy-addr';
 
 import connectDatabase from './config/db.js';
 import authRoutes from './routes/auth.routes.js';
@@ -22,12 +23,60 @@ import itemRoutes from './routes/item.routes.js';
 import bidRoutes from './routes/bid.routes.js';
 import watchlistRoutes from './routes/watchlist.routes.js';
 import autoBidRoutes from './routes/autoBid.routes.js';
+import secondChanceRoutes from './routes/secondChance.routes.js';
+import auctionEventRoutes from './routes/auctionEvent.routes.js';
+import listingTemplateRoutes from './routes/listingTemplate.routes.js';
+import feeRoutes from './routes/fee.routes.js';
+import orderRoutes from './routes/order.routes.js';
+import shippingRoutes from './routes/shipping.routes.js';
+import payoutRoutes from './routes/payout.routes.js';
+import disputeRoutes from './routes/dispute.routes.js';
+import bidderApprovalRoutes from './routes/bidderApproval.routes.js';
+import currencyRoutes from './routes/currency.routes.js';
+import shillFlagRoutes from './routes/shillFlag.routes.js';
 import notFoundHandler from './middleware/notFoundHandler.js';
 import errorHandler from './middleware/errorHandler.js';
 import { initializeAuctionScheduler } from './utils/auctionScheduler.js';
+import authenticateSocket from './utils/socketAuth.js';
+import {
+  getFloorState,
+  openFloor,
+  makeFloorCall,
+  openNextLot,
+  placeFloorBid,
+  releaseFloorControlledLots,
+  serializeFloorTask
+} from './utils/floorAuction.js';
 
 const app = express();
 
+/**
+ * @function parseTrustProxy
+ * @description Reads TRUST_PROXY into an Express `trust proxy` value: a hop count, `true`, or a
+ * comma-separated list of proxy addresses or subnets. Unset trusts no proxy.
+ * @param {string|undefined} value - Raw environment value.
+ * @returns {boolean|number|Array<string>}
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+};
+
+/**
+ * @description Behind a reverse proxy every request arrives from the proxy's address. Trusting the
+ * configured proxies makes `req.ip` the client's address, which rate limiting, sign-in history and
+ * the shill-bidding analyzer rely on.
+ */
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 /**
  * @description Apply security-focused HTTP headers using Helmet. This is a baseline
  * configuration that can be expanded during a demo (for example, Content Security Policy changes).
@@ -94,6 +143,33 @@ const io = new SocketIOServer(server, {
 // Map structure: itemId -> Map(userId -> Set of socket IDs)
 const activeRooms = new Map();
 
+// Identify the user behind each connection so floor actions can be authorized server-side
+io.use(authenticateSocket);
+
+/**
+ * @function handleFloorEvent
+ * @description Wraps a floor mode socket handler: runs it through the lot's serialized queue and
+ * reports the outcome through the client's acknowledgement callback.
+ * @param {import('socket.io').Socket} socket - Socket that sent the event.
+ * @param {(data: Record<string, any>) => Promise<{ ok: boolean, message: string }>} handler - Floor action.
+ * @returns {(data: Record<string, any>, acknowledge?: Function) => void}
+ */
+const handleFloorEvent = (socket, handler) => (data = {}, acknowledge) => {
+  const reply = typeof acknowledge === 'function' ? acknowledge : () => {};
+
+  if (!socket.data.user) {
+    reply({ ok: false, message: 'Please log in to take part in a live floor.' });
+    return;
+  }
+
+  serializeFloorTask(data.itemId, () => handler(data))
+    .then(reply)
+    .catch((floorError) => {
+      console.error('Floor action error:', floorError);
+      reply({ ok: false, message: 'Server error while processing floor action.' });
+    });
+};
+
 io.on('connection', (socket) => {
   console.log(`🔌 Socket connected: ${socket.id}`);
 
@@ -132,6 +208,9 @@ io.on('connection', (socket) => {
       count: viewerCount
     });
     
+    // Late joiners need the current call and countdown of a clerked lot
+    socket.emit('floor-state', getFloorState(itemId));
+    
     console.log(`👥 Socket ${socket.id} (User: ${userId || 'guest'}) joined auction room ${itemId} (${viewerCount} unique viewers)`);
   });
 
@@ -198,6 +277,18 @@ io.on('connection', (socket) => {
     console.log(`💰 New bid placed on item ${itemId}`);
   });
 
+  // Floor mode: the seller or an admin clerks the lot live
+  socket.on('floor-open', handleFloorEvent(socket, ({ itemId }) => openFloor(io, socket.data.user, itemId)));
+
+  socket.on('floor-call', handleFloorEvent(socket, ({ itemId, call }) =>
+    makeFloorCall(io, socket.data.user, itemId, call)));
+
+  socket.on('floor-open-next-lot', handleFloorEvent(socket, ({ itemId }) =>
+    openNextLot(io, socket.data.user, itemId)));
+
+  socket.on('floor-bid', handleFloorEvent(socket, ({ itemId, bidAmount }) =>
+    placeFloorBid(io, socket.data.user, itemId, bidAmount, { ipAddress: proxyaddr(socket.request, app.get('trust proxy fn')) })));
+
   // Auction ending soon alert
   socket.on('auction-ending-soon', (itemId) => {
     io.to(`auction_${itemId}`).emit('auction-alert', {
@@ -258,6 +349,17 @@ app.use('/api/items', itemRoutes);
 app.use('/api/bids', bidRoutes);
 app.use('/api/watchlist', watchlistRoutes);
 app.use('/api/auto-bids', autoBidRoutes);
+app.use('/api/second-chance-offers', secondChanceRoutes);
+app.use('/api/events', auctionEventRoutes);
+app.use('/api/listing-templates', listingTemplateRoutes);
+app.use('/api/fees', feeRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/bidder-approvals', bidderApprovalRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/shill-flags', shillFlagRoutes);
 
 app.get('/api/health', (_req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -266,6 +368,15 @@ app.get('/api/health', (_req, res) => {
 app.use(notFoundHandler);
 app.use(errorHandler);
 
+// Floor sessions do not survive a restart; hand their lots back to the scheduler
+releaseFloorControlledLots()
+  .then((releasedCount) => {
+    if (releasedCount) {
+      console.log(`🔨 Released ${releasedCount} floor-controlled lot(s) to the scheduler`);
+    }
+  })
+  .catch((error) => console.error('Error releasing floor-controlled lots:', error));
+
 initializeAuctionScheduler({ io });
 
 /**
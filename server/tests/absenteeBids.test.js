@@ -0,0 +1,93 @@
+/**
+ * @file absenteeBids.test.js
+ * @description Registering absentee bids on items that have not opened yet.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import ExchangeRateTable from '../models/ExchangeRateTable.js';
+import Item from '../models/Item.js';
+import { setAutoBid } from '../controllers/autoBid.controller.js';
+import { stubQuery } from './helpers/mongooseStubs.js';
+import { createRequest, createResponse } from './helpers/httpStubs.js';
+
+describe('setAutoBid before bidding opens', () => {
+  const collector = { _id: new mongoose.Types.ObjectId(), username: 'evander' };
+  let globe;
+  let startSession;
+
+  beforeEach(() => {
+    globe = new Item({
+      title: 'Lot 37: Cary terrestrial globe on stand',
+      sellerId: new mongoose.Types.ObjectId(),
+      startingPrice: 1200,
+      currentPrice: 1200,
+      bidIncrement: 50,
+      status: 'upcoming',
+      startTime: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+    });
+    mock.method(Item, 'findById', async () => globe);
+    // No other open commitments count against the collector's credit limit
+    mock.method(Item, 'find', () => stubQuery([]));
+    mock.method(Bid, 'find', () => stubQuery([]));
+    mock.method(AutoBid, 'find', () => stubQuery([]));
+    mock.method(ExchangeRateTable, 'findOne', () => stubQuery(null));
+    startSession = mock.method(mongoose, 'startSession', async () => {
+      throw new Error('bidding must not run before the opening');
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('registers an absentee bid without bidding yet', async () => {
+    mock.method(AutoBid, 'findOne', async () => null);
+    const upsert = mock.method(AutoBid, 'findOneAndUpdate', async (filter, update) => ({ ...filter, ...update }));
+    const res = createResponse();
+
+    await setAutoBid(createRequest(collector, { body: { itemId: globe._id, maxBidAmount: 1800 } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body.message, /Absentee bid registered/);
+    const [, update] = upsert.mock.calls[0].arguments;
+    assert.equal(update.isAbsentee, true);
+    assert.ok(update.maxSetAt instanceof Date);
+    assert.equal(startSession.mock.callCount(), 0);
+  });
+
+  it('keeps the original registration time when the maximum is raised', async () => {
+    mock.method(AutoBid, 'findOne', async () => ({ isAbsentee: true, maxSetAt: new Date('2024-04-01T10:00:00Z') }));
+    const upsert = mock.method(AutoBid, 'findOneAndUpdate', async (filter, update) => ({ ...filter, ...update }));
+
+    await setAutoBid(createRequest(collector, { body: { itemId: globe._id, maxBidAmount: 2100 } }), createResponse());
+
+    const [, update] = upsert.mock.calls[0].arguments;
+    assert.equal(update.maxBidAmount, 2100);
+    assert.equal('maxSetAt' in update, false);
+  });
+
+  it('still requires a maximum of at least the next bid', async () => {
+    const res = createResponse();
+
+    await setAutoBid(createRequest(collector, { body: { itemId: globe._id, maxBidAmount: 1100 } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Maximum bid must be at least $1,250.00.');
+  });
+
+  it('refuses a maximum past the collector\'s credit limit', async () => {
+    const upsert = mock.method(AutoBid, 'findOneAndUpdate', async (filter, update) => ({ ...filter, ...update }));
+    const res = createResponse();
+
+    await setAutoBid(createRequest({ ...collector, creditLimit: 1500 }, { body: { itemId: globe._id, maxBidAmount: 1800 } }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'CREDIT_LIMIT_EXCEEDED');
+    assert.equal(upsert.mock.callCount(), 0);
+  });
+});
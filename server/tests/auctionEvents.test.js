@@ -0,0 +1,116 @@
+/**
+ * @file auctionEvents.test.js
+ * @description Catalogued auction events and the staggered closing of their lots.
+ */
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuctionEvent from '../models/AuctionEvent.js';
+import Item from '../models/Item.js';
+import { advanceAuctionEvents } from '../utils/auctionScheduler.js';
+import { stubQuery } from './helpers/mongooseStubs.js';
+import { createSocketRecorder } from './helpers/httpStubs.js';
+
+const organizerId = new mongoose.Types.ObjectId();
+const firstLotEndTime = new Date('2024-11-20T19:00:00Z');
+
+/**
+ * @function bookSale
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Sale whose lots close 90 seconds apart.
+ */
+const bookSale = (overrides = {}) => new AuctionEvent({
+  title: 'Modern British Prints, November',
+  organizerId,
+  previewStart: new Date('2024-11-13T09:00:00Z'),
+  startTime: new Date('2024-11-18T09:00:00Z'),
+  firstLotEndTime,
+  lotStaggerSeconds: 90,
+  status: 'active',
+  ...overrides
+});
+
+/**
+ * @function printLot
+ * @param {number} lotNumber - Position in the catalog.
+ * @param {Date} endTime - Current close.
+ * @param {string} [status='active'] - Lot status.
+ * @returns {import('mongoose').Document}
+ */
+const printLot = (lotNumber, endTime, status = 'active') => {
+  const lot = new Item({
+    title: `Lot ${lotNumber}: linocut, signed in pencil`,
+    sellerId: organizerId,
+    startingPrice: 80,
+    currentPrice: 80,
+    lotNumber,
+    status,
+    endTime
+  });
+  mock.method(lot, 'save', async () => lot);
+  return lot;
+};
+
+const secondsAfterFirstClose = (seconds) => new Date(firstLotEndTime.getTime() + seconds * 1000);
+
+describe('AuctionEvent#getLotEndTime', () => {
+  it('closes each lot one stagger after the lot before it', () => {
+    const sale = bookSale();
+
+    assert.equal(sale.getLotEndTime(1).getTime(), firstLotEndTime.getTime());
+    assert.equal(sale.getLotEndTime(4).getTime(), secondsAfterFirstClose(270).getTime());
+  });
+
+  it('rejects a first lot that closes before bidding opens', () => {
+    const error = bookSale({ firstLotEndTime: new Date('2024-11-17T09:00:00Z') }).validateSync();
+
+    assert.match(error.errors.firstLotEndTime.message, /after bidding opens/);
+  });
+});
+
+describe('advanceAuctionEvents', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('pushes later lots back when an earlier lot was extended', async () => {
+    const sale = bookSale();
+    const lots = [
+      printLot(1, secondsAfterFirstClose(120)),
+      printLot(2, secondsAfterFirstClose(90)),
+      printLot(3, secondsAfterFirstClose(300))
+    ];
+    mock.method(AuctionEvent, 'updateMany', async () => ({}));
+    mock.method(AuctionEvent, 'find', async () => [sale]);
+    mock.method(Item, 'find', () => stubQuery(lots));
+    const io = createSocketRecorder();
+
+    await advanceAuctionEvents(io);
+
+    assert.equal(lots[1].endTime.getTime(), secondsAfterFirstClose(210).getTime());
+    assert.equal(lots[2].endTime.getTime(), secondsAfterFirstClose(300).getTime(), 'already far enough behind');
+    assert.deepEqual(io.sent.map(({ room, event }) => [room, event]), [
+      [`auction_${lots[1]._id}`, 'auction-extended'],
+      [null, 'auction-extended']
+    ]);
+    assert.equal(sale.status, 'active');
+  });
+
+  it('ends the event once every lot has closed', async () => {
+    const sale = bookSale();
+    mock.method(sale, 'save', async () => sale);
+    mock.method(AuctionEvent, 'updateMany', async () => ({}));
+    mock.method(AuctionEvent, 'find', async () => [sale]);
+    mock.method(Item, 'find', () => stubQuery([
+      printLot(1, secondsAfterFirstClose(0), 'ended'),
+      printLot(2, secondsAfterFirstClose(90), 'ended')
+    ]));
+    const io = createSocketRecorder();
+
+    await advanceAuctionEvents(io);
+
+    assert.equal(sale.status, 'ended');
+    assert.deepEqual(io.sent.map(({ event }) => event), ['auction-event-ended']);
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * @file auctionScheduler.test.js
+ * @description Scheduled opening of upcoming auctions and the absentee bids waiting on them,
+ * finalizing expired lots and the scheduler's tick.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuctionEvent from '../models/AuctionEvent.js';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import BidderApproval from '../models/BidderApproval.js';
+import ExchangeRateTable from '../models/ExchangeRateTable.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import Item from '../models/Item.js';
+import Order from '../models/Order.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import SecondChanceOffer from '../models/SecondChanceOffer.js';
+import ShippingRateTable from '../models/ShippingRateTable.js';
+import User from '../models/User.js';
+import {
+  cancelOverdueOrders,
+  finalizeAuction,
+  finalizeExpiredAuctions,
+  initializeAuctionScheduler,
+  openScheduledAuctions
+} from '../utils/auctionScheduler.js';
+import { createFakeSession, stubQuery } from './helpers/mongooseStubs.js';
+import { createSocketRecorder } from './helpers/httpStubs.js';
+
+/**
+ * @function dueCabinet
+ * @returns {import('mongoose').Document} Upcoming item whose start time has just passed.
+ */
+const dueCabinet = () => {
+  const cabinet = new Item({
+    title: 'Oak specimen cabinet',
+    sellerId: new mongoose.Types.ObjectId(),
+    startingPrice: 300,
+    currentPrice: 300,
+    bidIncrement: 20,
+    status: 'upcoming',
+    startTime: new Date(Date.now() - 1000),
+    endTime: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+  mock.method(cabinet, 'save', async () => cabinet);
+  return cabinet;
+};
+
+/**
+ * @function absenteeMaximum
+ * @param {string} username - Absentee bidder.
+ * @param {number} maxBidAmount - Maximum left before the opening.
+ * @param {string} registeredAt - When it was registered.
+ * @returns {Record<string, any>}
+ */
+const absenteeMaximum = (username, maxBidAmount, registeredAt) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: { _id: new mongoose.Types.ObjectId(), username, email: null },
+  maxBidAmount,
+  maxSetAt: new Date(registeredAt),
+  isAbsentee: true,
+  isActive: true,
+  save: async () => {}
+});
+
+describe('openScheduledAuctions', () => {
+  beforeEach(() => {
+    mock.method(mongoose, 'startSession', async () => createFakeSession());
+    mock.method(User, 'find', () => stubQuery([]));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('activates due auctions and announces them to the room and every page', async () => {
+    const cabinet = dueCabinet();
+    const find = mock.method(Item, 'find', async () => [cabinet]);
+    mock.method(Item, 'findById', () => stubQuery(cabinet));
+    mock.method(AutoBid, 'find', () => stubQuery([]));
+    const io = createSocketRecorder();
+
+    await openScheduledAuctions(io);
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.status, 'upcoming');
+    assert.ok(filter.startTime.$lte instanceof Date);
+    assert.equal(cabinet.status, 'active');
+    assert.deepEqual(io.sent.map(({ room, event }) => [room, event]), [
+      [`auction_${cabinet._id}`, 'auction-started'],
+      [null, 'auction-started']
+    ]);
+    assert.equal(io.sent[1].payload.startingPrice, 300);
+  });
+
+  it('executes absentee bids as soon as bidding opens', async () => {
+    const cabinet = dueCabinet();
+    const firstIn = absenteeMaximum('corvin', 420, '2024-02-02T08:00:00Z');
+    const secondIn = absenteeMaximum('dagny', 420, '2024-02-03T08:00:00Z');
+    mock.method(Item, 'find', async () => [cabinet]);
+    mock.method(Item, 'findById', () => stubQuery(cabinet));
+    mock.method(AutoBid, 'find', () => stubQuery([secondIn, firstIn]));
+    mock.method(Bid, 'create', async ([fields]) => [{ _id: new mongoose.Types.ObjectId(), timestamp: new Date(), ...fields }]);
+    const io = createSocketRecorder();
+
+    await openScheduledAuctions(io);
+
+    assert.equal(cabinet.currentPrice, 420);
+    assert.equal(cabinet.highestBidder.toString(), firstIn.userId._id.toString(), 'earliest registration wins the tie');
+    assert.ok(io.sent.some(({ event }) => event === 'new-bid-placed'));
+  });
+
+  it('does nothing when no auction is due', async () => {
+    mock.method(Item, 'find', async () => []);
+    const io = createSocketRecorder();
+
+    await openScheduledAuctions(io);
+
+    assert.deepEqual(io.sent, []);
+  });
+});
+
+describe('finalizeAuction', () => {
+  /**
+   * @function lapsedInkwell
+   * @returns {import('mongoose').Document} Active item past its end time with no bids.
+   */
+  const lapsedInkwell = () => {
+    const inkwell = new Item({
+      title: 'Victorian cut-glass inkwell',
+      sellerId: new mongoose.Types.ObjectId(),
+      startingPrice: 45,
+      currentPrice: 45,
+      status: 'active',
+      startTime: new Date(Date.now() - 48 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() - 1000)
+    });
+    mock.method(inkwell, 'save', async () => inkwell);
+    return inkwell;
+  };
+
+  /**
+   * @function claimOnce
+   * @description Lets the first claim on the item succeed; later claims find it already ended.
+   * @param {import('mongoose').Document} item - Item to hand to the winning claim.
+   * @returns {import('node:test').Mock<Function>}
+   */
+  const claimOnce = (item) => {
+    let claimed = false;
+    return mock.method(Item, 'findOneAndUpdate', async (filter, update) => {
+      if (claimed) {
+        return null;
+      }
+      claimed = true;
+      item.set(update);
+      return item;
+    });
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('settles a lot once when the hammer and the scheduler reach it together', async () => {
+    const inkwell = lapsedInkwell();
+    const claim = claimOnce(inkwell);
+    const io = createSocketRecorder();
+
+    const [hammered, scheduled] = await Promise.all([
+      finalizeAuction(io, inkwell._id, { conditions: { isFloorControlled: true }, changes: { isFloorControlled: false } }),
+      finalizeAuction(io, inkwell._id)
+    ]);
+
+    assert.equal(hammered, inkwell);
+    assert.equal(scheduled, null);
+    assert.equal(inkwell.status, 'ended');
+    assert.equal(io.sent.filter(({ event }) => event === 'auction-ended').length, 2, 'one room and one global announcement');
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.equal(filter.status, 'active');
+    assert.equal(filter.isFloorControlled, true);
+    assert.equal(update.isFloorControlled, false);
+  });
+
+  it('keeps the winner\'s retracted bids out of the result', async () => {
+    const winner = new mongoose.Types.ObjectId();
+    const underbidder = new mongoose.Types.ObjectId();
+    const inkwell = lapsedInkwell();
+    inkwell.set({ currentPrice: 80, highestBidder: winner, totalBids: 3 });
+    claimOnce(inkwell);
+    const placedBid = (bidderId, bidAmount, isRetracted = false) => {
+      const bid = new Bid({ itemId: inkwell._id, bidderId, bidAmount, previousPrice: 45, isRetracted });
+      bid.bidStatus = isRetracted ? 'retracted' : 'active';
+      mock.method(bid, 'save', async () => bid);
+      return bid;
+    };
+    const [typo, underbid, winning] = [placedBid(winner, 800, true), placedBid(underbidder, 70), placedBid(winner, 80)];
+    const findBids = mock.method(Bid, 'find', (filter) => stubQuery(
+      [typo, underbid, winning].filter((bid) => filter.isRetracted?.$ne !== bid.isRetracted)
+    ));
+    mock.method(FeeSchedule, 'findOne', () => stubQuery(null));
+    mock.method(ShippingRateTable, 'findOne', () => stubQuery(null));
+    mock.method(ExchangeRateTable, 'findOne', () => stubQuery(null));
+    mock.method(User, 'find', () => stubQuery([]));
+    mock.method(User, 'findById', () => stubQuery(null));
+    mock.method(Order, 'find', () => stubQuery([]));
+    mock.method(Order, 'insertMany', async (orders) => orders.map((order) => new Order(order)));
+
+    await finalizeAuction(createSocketRecorder(), inkwell._id);
+
+    assert.deepEqual(findBids.mock.calls[0].arguments[0].isRetracted, { $ne: true });
+    assert.equal(inkwell.winnerId.toString(), winner.toString());
+    assert.equal(winning.bidStatus, 'won');
+    assert.equal(underbid.bidStatus, 'lost');
+    assert.equal(typo.bidStatus, 'retracted');
+  });
+
+  it('leaves floor-controlled lots to the auctioneer', async () => {
+    const inkwell = lapsedInkwell();
+    mock.method(Item, 'find', () => stubQuery([{ _id: inkwell._id }]));
+    const claim = claimOnce(inkwell);
+
+    await finalizeExpiredAuctions(createSocketRecorder());
+
+    const [filter] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter.isFloorControlled, { $ne: true });
+    assert.ok(filter.endTime.$lte instanceof Date);
+  });
+});
+
+describe('cancelOverdueOrders', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('cancels each overdue order only if it is still unpaid', async () => {
+    const overdue = ['Majolica oyster plate', 'Cloisonné ginger jar'].map((title) => ({
+      _id: new mongoose.Types.ObjectId(),
+      itemId: { title },
+      buyerId: { username: 'rosalind', email: 'rosalind@example.com' },
+      sellerId: { email: null },
+      status: 'awaiting-payment',
+      save: async () => {
+        throw new Error('Overdue orders are cancelled through the guarded update.');
+      }
+    }));
+    const [paidMeanwhile, stillUnpaid] = overdue;
+    mock.method(Order, 'find', () => stubQuery(overdue));
+    const claim = mock.method(Order, 'findOneAndUpdate', async (filter, update) => (
+      filter._id === paidMeanwhile._id ? null : { ...stillUnpaid, ...update }
+    ));
+    const skippedEmails = mock.method(console, 'info', () => {});
+
+    await cancelOverdueOrders();
+
+    assert.equal(claim.mock.callCount(), 2);
+    for (const { arguments: [filter, update] } of claim.mock.calls) {
+      assert.equal(filter.status, 'awaiting-payment');
+      assert.equal(update.status, 'cancelled');
+      assert.equal(update.cancellationReason, 'Payment was not received by the due date.');
+    }
+    const subjects = skippedEmails.mock.calls.map(({ arguments: [, subject] }) => subject);
+    assert.deepEqual(subjects, ['Order cancelled: Cloisonné ginger jar']);
+  });
+});
+
+describe('initializeAuctionScheduler', () => {
+  const TICK_MS = 30 * 1000;
+
+  /**
+   * @function settle
+   * @description Lets the awaited steps of a tick run to completion.
+   * @returns {Promise<void>}
+   */
+  const settle = async () => {
+    for (let turn = 0; turn < 20; turn += 1) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  };
+
+  /**
+   * @function unreachable
+   * @param {string} collection - Collection named in the error.
+   * @returns {() => PromiseLike<never>} Model method whose query fails like a dropped connection.
+   */
+  const unreachable = (collection) => () => stubQuery(Promise.reject(new Error(`${collection} is unreachable`)));
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    mock.method(console, 'error', () => {});
+    mock.method(AuctionEvent, 'updateMany', unreachable('auctionevents'));
+    mock.method(SecondChanceOffer, 'find', unreachable('secondchanceoffers'));
+    mock.method(Order, 'find', unreachable('orders'));
+    mock.method(PayoutBatch, 'findOne', unreachable('payoutbatches'));
+    mock.method(BidderApproval, 'find', unreachable('bidderapprovals'));
+    mock.method(Bid, 'aggregate', unreachable('bids'));
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('runs every step of a tick even when earlier steps fail', async () => {
+    mock.method(Item, 'find', unreachable('items'));
+    initializeAuctionScheduler({ io: createSocketRecorder() });
+
+    mock.timers.tick(TICK_MS);
+    await settle();
+
+    assert.equal(PayoutBatch.findOne.mock.callCount(), 1);
+    assert.equal(BidderApproval.find.mock.callCount(), 1);
+    assert.equal(Bid.aggregate.mock.callCount(), 1);
+    const failedSteps = console.error.mock.calls.map(({ arguments: [message] }) => message);
+    assert.ok(failedSteps.includes('Auction scheduler error in openScheduledAuctions:'));
+    assert.ok(failedSteps.includes('Auction scheduler error in runDueShillAnalysis:'));
+  });
+
+  it('skips a tick while the previous one is still running', async () => {
+    let finishOpening;
+    mock.method(Item, 'find', () => new Promise((resolve) => {
+      finishOpening = () => resolve([]);
+    }));
+    initializeAuctionScheduler({ io: createSocketRecorder() });
+
+    mock.timers.tick(TICK_MS);
+    mock.timers.tick(TICK_MS);
+    await settle();
+    assert.equal(Item.find.mock.callCount(), 1);
+
+    finishOpening();
+    await settle();
+    mock.timers.tick(TICK_MS);
+    await settle();
+    assert.ok(Item.find.mock.callCount() > 2, 'the next tick opens and finalizes again');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @file bidIncrements.test.js
+ * @description Tiered increment tables and the minimum next bid they produce.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+import { INCREMENT_PRESETS, getIncrementForPrice, parseIncrementTiers } from '../utils/bidIncrements.js';
+
+describe('parseIncrementTiers', () => {
+  it('accepts a JSON string from a multipart form and sorts the bounded tiers', () => {
+    const tiers = parseIncrementTiers('[{"upTo":"","increment":20},{"upTo":250,"increment":5},{"upTo":40,"increment":2}]');
+
+    assert.deepEqual(tiers, [
+      { upTo: 40, increment: 2 },
+      { upTo: 250, increment: 5 },
+      { upTo: null, increment: 20 }
+    ]);
+  });
+
+  it('rejects tables without exactly one open-ended tier', () => {
+    assert.throws(() => parseIncrementTiers([{ upTo: 100, increment: 2 }]), /cover all higher prices/);
+    assert.throws(
+      () => parseIncrementTiers([{ upTo: null, increment: 2 }, { upTo: null, increment: 4 }]),
+      /cover all higher prices/
+    );
+  });
+
+  it('rejects duplicate bounds, sub-dollar steps and bad JSON', () => {
+    assert.throws(
+      () => parseIncrementTiers([{ upTo: 75, increment: 1 }, { upTo: 75, increment: 3 }, { upTo: null, increment: 5 }]),
+      /unique/
+    );
+    assert.throws(() => parseIncrementTiers([{ upTo: null, increment: 0.5 }]), /at least \$1/);
+    assert.throws(() => parseIncrementTiers('{tiers'), /valid JSON/);
+    assert.throws(() => parseIncrementTiers([]), /at least one/);
+  });
+});
+
+describe('getIncrementForPrice', () => {
+  it('uses the first tier whose bound is above the price', () => {
+    const { tiers } = INCREMENT_PRESETS.coarse;
+
+    assert.equal(getIncrementForPrice(tiers, 99), 5);
+    assert.equal(getIncrementForPrice(tiers, 100), 25);
+    assert.equal(getIncrementForPrice(tiers, 25000), 500);
+  });
+});
+
+describe('Item#getMinimumNextBid', () => {
+  const sellerId = new mongoose.Types.ObjectId();
+
+  it('steps a flat listing by its bid increment', () => {
+    const decanter = new Item({ title: 'Cut-glass ship\'s decanter', sellerId, startingPrice: 45, currentPrice: 45, bidIncrement: 3 });
+
+    assert.equal(decanter.getMinimumNextBid(), 48);
+  });
+
+  it('follows the chosen preset as the price crosses a tier', () => {
+    const atlas = new Item({ title: 'Blaeu atlas leaf', sellerId, startingPrice: 480, currentPrice: 480, incrementPreset: 'standard' });
+
+    assert.equal(atlas.getMinimumNextBid(), 485);
+    assert.equal(atlas.getMinimumNextBid(500), 525);
+  });
+
+  it('follows custom tiers', () => {
+    const sampler = new Item({
+      title: 'Needlework sampler, dated 1821',
+      sellerId,
+      startingPrice: 30,
+      currentPrice: 30,
+      incrementPreset: 'custom',
+      incrementTiers: [{ upTo: 60, increment: 2 }, { upTo: null, increment: 15 }]
+    });
+
+    assert.equal(sampler.getMinimumNextBid(), 32);
+    assert.equal(sampler.getMinimumNextBid(60), 75);
+  });
+});
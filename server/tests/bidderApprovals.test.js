@@ -0,0 +1,148 @@
+/**
+ * @file bidderApprovals.test.js
+ * @description Approval thresholds and credit limits checked before bids are accepted.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuctionEvent from '../models/AuctionEvent.js';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import BidderApproval from '../models/BidderApproval.js';
+import ExchangeRateTable from '../models/ExchangeRateTable.js';
+import Item from '../models/Item.js';
+import {
+  DEFAULT_CREDIT_LIMIT,
+  checkBidderEligibility,
+  getApprovalRequirement,
+  getCreditExposure,
+  getCreditLimit
+} from '../utils/bidderApprovals.js';
+import { stubQuery } from './helpers/mongooseStubs.js';
+
+const bidder = { _id: new mongoose.Types.ObjectId(), username: 'thaddeus', creditLimit: null };
+
+/**
+ * @function samplerLot
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Live item.
+ */
+const samplerLot = (overrides = {}) => new Item({
+  title: 'George III needlework sampler',
+  sellerId: new mongoose.Types.ObjectId(),
+  startingPrice: 400,
+  currentPrice: 400,
+  status: 'active',
+  endTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('getCreditLimit', () => {
+  it('prefers the bidder\'s own limit over the site default', () => {
+    assert.equal(getCreditLimit({ creditLimit: 0 }), 0);
+    assert.equal(getCreditLimit({ creditLimit: null }), DEFAULT_CREDIT_LIMIT);
+  });
+});
+
+describe('bidder eligibility', () => {
+  let leadingItems;
+  let standingBids;
+  let autoBids;
+
+  beforeEach(() => {
+    leadingItems = [];
+    standingBids = [];
+    autoBids = [];
+    mock.method(Item, 'find', () => stubQuery(leadingItems));
+    mock.method(Bid, 'find', () => stubQuery(standingBids));
+    mock.method(AutoBid, 'find', () => stubQuery(autoBids));
+    mock.method(ExchangeRateTable, 'findOne', () => stubQuery(null));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('falls back to the event threshold, reviewed by its organizer', async () => {
+    const organizerId = new mongoose.Types.ObjectId();
+    const eventId = new mongoose.Types.ObjectId();
+    mock.method(AuctionEvent, 'findById', () => stubQuery({ _id: eventId, approvalThreshold: 5000, approvalDeposit: 500, currency: 'EUR', organizerId }));
+
+    const requirement = await getApprovalRequirement(samplerLot({ eventId }));
+
+    assert.deepEqual(requirement, { threshold: 5000, deposit: 500, currency: 'EUR', itemId: null, eventId, reviewerId: organizerId });
+  });
+
+  it('asks for approval at the threshold until it is granted', async () => {
+    const sampler = samplerLot({ approvalThreshold: 2000, approvalDeposit: 250 });
+    mock.method(BidderApproval, 'findOne', () => stubQuery(null));
+
+    const { error } = await checkBidderEligibility({ user: bidder, item: sampler, amount: 2000 });
+
+    assert.equal(error.code, 'APPROVAL_REQUIRED');
+    assert.equal(error.deposit, 250);
+    assert.match(error.message, /place a \$250\.00 deposit/);
+
+    BidderApproval.findOne.mock.mockImplementation(() => stubQuery({ status: 'approved' }));
+    assert.deepEqual(await checkBidderEligibility({ user: bidder, item: sampler, amount: 2000 }), { error: null });
+  });
+
+  it('counts the larger of a lead and a maximum once per item', async () => {
+    const tapestry = samplerLot({ title: 'Aubusson tapestry fragment', currentPrice: 900 });
+    leadingItems = [tapestry];
+    autoBids = [{ itemId: { _id: tapestry._id, status: 'active', currency: 'USD' }, maxBidAmount: 1400 }];
+
+    assert.equal(await getCreditExposure(bidder._id), 1400);
+  });
+
+  it('converts commitments in other currencies to dollars', async () => {
+    const quaich = samplerLot({ title: 'Scottish silver quaich', currency: 'GBP', currentPrice: 790 });
+    leadingItems = [quaich];
+
+    assert.equal(await getCreditExposure(bidder._id), 1000);
+  });
+
+  it('refuses a bid that would pass the credit limit and reports what is left', async () => {
+    const tapestry = samplerLot({ title: 'Aubusson tapestry fragment', currentPrice: 900 });
+    leadingItems = [tapestry];
+
+    const { error } = await checkBidderEligibility({ user: { ...bidder, creditLimit: 1500 }, item: samplerLot(), amount: 700 });
+
+    assert.equal(error.code, 'CREDIT_LIMIT_EXCEEDED');
+    assert.equal(error.available, 600);
+  });
+
+  it('replaces the bidder\'s existing commitment on the same item', async () => {
+    const sampler = samplerLot({ currentPrice: 900 });
+    leadingItems = [sampler];
+
+    assert.deepEqual(
+      await checkBidderEligibility({ user: { ...bidder, creditLimit: 1500 }, item: sampler, amount: 1000 }),
+      { error: null }
+    );
+  });
+
+  it('replaces an earlier multi-unit bid with the new bid\'s units', async () => {
+    const spoons = samplerLot({ title: 'Set of apostle spoons', isMultiUnit: true, totalQuantity: 12, quantityAvailable: 12 });
+    standingBids = [{
+      itemId: { _id: spoons._id, status: 'active', isMultiUnit: true, currency: 'USD', isSealed: () => false },
+      bidAmount: 90,
+      quantity: 6,
+      bidStatus: 'winning'
+    }];
+    const trusted = { ...bidder, creditLimit: 1000 };
+
+    assert.deepEqual(await checkBidderEligibility({ user: trusted, item: spoons, amount: 100, quantity: 8 }), { error: null });
+
+    const { error } = await checkBidderEligibility({ user: trusted, item: spoons, amount: 100, quantity: 11 });
+    assert.equal(error.code, 'CREDIT_LIMIT_EXCEEDED');
+    assert.equal(error.exposure, 0, 'the standing six units are replaced, not added to');
+  });
+
+  it('exempts reverse listings', async () => {
+    const repaint = samplerLot({ title: 'Repaint a shopfront', listingType: 'reverse', startingPrice: 3000, currentPrice: 3000 });
+
+    assert.deepEqual(await checkBidderEligibility({ user: { ...bidder, creditLimit: 0 }, item: repaint, amount: 2900 }), { error: null });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @file bundles.test.js
+ * @description Bundled lots: parsing pieces and sharing out their uploaded images.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignBundleImages, getBundleCoverImages, parseBundleItems } from '../utils/bundles.js';
+
+/**
+ * @function chair
+ * @param {number} number - Chair number within the set.
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {Record<string, any>} Submitted bundle piece.
+ */
+const chair = (number, overrides = {}) => ({
+  title: `Ladder-back chair ${number}`,
+  condition: 'Very Good',
+  images: [],
+  ...overrides
+});
+
+describe('parseBundleItems', () => {
+  it('reads pieces from a multipart JSON string and trims their text', () => {
+    const pieces = parseBundleItems(JSON.stringify([
+      chair(1, { title: '  Ladder-back chair 1 (carver) ', era: ' c. 1880 ', newImageCount: 2 }),
+      chair(2, { images: ['https://img.example/chair-2.jpg'] })
+    ]));
+
+    assert.equal(pieces[0].title, 'Ladder-back chair 1 (carver)');
+    assert.equal(pieces[0].era, 'c. 1880');
+    assert.equal(pieces[0].newImageCount, 2);
+    assert.equal(pieces[1].era, undefined);
+    assert.deepEqual(pieces[1].images, ['https://img.example/chair-2.jpg']);
+  });
+
+  it('treats an empty list as no bundle', () => {
+    assert.deepEqual(parseBundleItems('[]'), []);
+  });
+
+  it('rejects single pieces, untitled pieces and bad conditions', () => {
+    assert.throws(() => parseBundleItems([chair(1)]), /between 2 and 24 pieces/);
+    assert.throws(() => parseBundleItems([chair(1), chair(2, { title: '  ' })]), /piece 2 needs a title/);
+    assert.throws(() => parseBundleItems([chair(1, { condition: 'Mint' }), chair(2)]), /piece 1 must have a valid condition/);
+  });
+
+  it('caps each piece at five images, counting pending uploads', () => {
+    const crowded = chair(2, { images: ['a', 'b', 'c', 'd'], newImageCount: 2 });
+
+    assert.throws(() => parseBundleItems([chair(1), crowded]), /piece 2 can have at most 5 images/);
+  });
+});
+
+describe('assignBundleImages', () => {
+  it('hands uploads to pieces in order after their existing images', () => {
+    const pieces = parseBundleItems([
+      chair(1, { newImageCount: 1 }),
+      chair(2, { images: ['https://img.example/kept.jpg'], newImageCount: 2 }),
+      chair(3)
+    ]);
+
+    const assigned = assignBundleImages(pieces, ['up-1', 'up-2', 'up-3']);
+
+    assert.deepEqual(assigned.map(({ images }) => images), [
+      ['up-1'],
+      ['https://img.example/kept.jpg', 'up-2', 'up-3'],
+      []
+    ]);
+    assert.equal('newImageCount' in assigned[0], false);
+  });
+});
+
+describe('getBundleCoverImages', () => {
+  it('uses the first image of each piece that has one', () => {
+    assert.deepEqual(
+      getBundleCoverImages([{ images: ['one-a', 'one-b'] }, { images: [] }, { images: ['three-a'] }]),
+      ['one-a', 'three-a']
+    );
+  });
+});
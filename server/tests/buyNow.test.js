@@ -0,0 +1,202 @@
+/**
+ * @file buyNow.test.js
+ * @description Buy It Now availability and purchases that close the auction.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import ExchangeRateTable from '../models/ExchangeRateTable.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import Item from '../models/Item.js';
+import Order from '../models/Order.js';
+import ShippingRateTable from '../models/ShippingRateTable.js';
+import User from '../models/User.js';
+import { buyNow } from '../controllers/item.controller.js';
+import { createFakeSession, stubQuery } from './helpers/mongooseStubs.js';
+import { createRequest, createResponse, createSocketRecorder } from './helpers/httpStubs.js';
+
+const sellerId = new mongoose.Types.ObjectId();
+
+/**
+ * @function rockingHorse
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Live listing with a Buy It Now price of 450.
+ */
+const rockingHorse = (overrides = {}) => new Item({
+  title: 'Carved dapple-grey rocking horse',
+  sellerId,
+  startingPrice: 200,
+  currentPrice: 200,
+  buyNowPrice: 450,
+  status: 'active',
+  endTime: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('Item#isBuyNowAvailable', () => {
+  it('is offered until the first bid on a listing without a reserve', () => {
+    const horse = rockingHorse();
+    assert.equal(horse.isBuyNowAvailable(), true);
+
+    horse.set({ totalBids: 1, highestBidder: new mongoose.Types.ObjectId(), currentPrice: 210 });
+    assert.equal(horse.isBuyNowAvailable(), false);
+  });
+
+  it('stays offered until the reserve is met', () => {
+    const horse = rockingHorse({ reservePrice: 300, totalBids: 4, currentPrice: 260, highestBidder: new mongoose.Types.ObjectId() });
+    assert.equal(horse.isBuyNowAvailable(), true);
+
+    horse.currentPrice = 300;
+    assert.equal(horse.isBuyNowAvailable(), false);
+  });
+
+  it('is never offered on upcoming listings or listings without a price', () => {
+    assert.equal(rockingHorse({ status: 'upcoming' }).isBuyNowAvailable(), false);
+    assert.equal(rockingHorse({ buyNowPrice: null }).isBuyNowAvailable(), false);
+  });
+});
+
+describe('buyNow', () => {
+  const buyer = { _id: new mongoose.Types.ObjectId(), username: 'harriet', email: null };
+  let session;
+
+  beforeEach(() => {
+    session = createFakeSession();
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(User, 'findById', () => stubQuery(null));
+    // The buyer has no other open commitments
+    mock.method(Item, 'find', () => stubQuery([]));
+    mock.method(Bid, 'find', () => stubQuery([]));
+    mock.method(AutoBid, 'find', () => stubQuery([]));
+    mock.method(ExchangeRateTable, 'findOne', () => stubQuery(null));
+    // Default fees, no addresses on file and no earlier order for the item
+    mock.method(FeeSchedule, 'findOne', () => stubQuery(null));
+    mock.method(User, 'find', () => stubQuery([]));
+    mock.method(ShippingRateTable, 'findOne', () => stubQuery(null));
+    mock.method(Order, 'find', () => stubQuery([]));
+    mock.method(Order, 'insertMany', async (orders) => orders.map((order) => new Order(order)));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sells at the Buy It Now price and closes the auction', async () => {
+    const horse = rockingHorse();
+    mock.method(horse, 'save', async () => horse);
+    mock.method(Item, 'findById', () => stubQuery(horse));
+    const create = mock.method(Bid, 'create', async ([fields]) => [{ _id: new mongoose.Types.ObjectId(), ...fields }]);
+    const loseBids = mock.method(Bid, 'updateMany', async () => ({}));
+    const stopAutoBids = mock.method(AutoBid, 'updateMany', async () => ({}));
+    const socketIo = createSocketRecorder();
+    const res = createResponse();
+
+    await buyNow(createRequest(buyer, { params: { id: horse._id.toString() } }, socketIo), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(session.state, 'committed');
+    assert.equal(create.mock.calls[0].arguments[0][0].bidAmount, 450);
+    assert.equal(create.mock.calls[0].arguments[0][0].isBuyNow, true);
+    const [losingFilter, losingUpdate] = loseBids.mock.calls[0].arguments;
+    assert.equal(losingFilter.isRetracted, false, 'retracted bids keep their status');
+    assert.equal(losingUpdate.bidStatus, 'lost');
+    assert.equal(stopAutoBids.mock.callCount(), 1);
+    assert.equal(horse.status, 'ended');
+    assert.equal(horse.isAuctionOver, true);
+    assert.equal(horse.purchasedViaBuyNow, true);
+    assert.equal(horse.winnerId.toString(), buyer._id.toString());
+    assert.equal(horse.currentPrice, 450);
+    assert.deepEqual(socketIo.sent.map(({ event }) => event), ['auction-ended', 'auction-ended']);
+  });
+
+  it('charges the buyer inside the purchase and sends them one email with the invoice', async () => {
+    const horse = rockingHorse({ shipping: { method: 'flat', flatRate: 35 } });
+    mock.method(horse, 'save', async () => horse);
+    mock.method(Item, 'findById', () => stubQuery(horse));
+    mock.method(Bid, 'create', async ([fields]) => [{ _id: new mongoose.Types.ObjectId(), ...fields }]);
+    mock.method(Bid, 'updateMany', async () => ({}));
+    mock.method(AutoBid, 'updateMany', async () => ({}));
+    const readSessions = { feeSchedule: [], addresses: [] };
+    const readInSession = (result, reads) => {
+      const query = stubQuery(result);
+      query.session = (readSession) => {
+        reads.push(readSession);
+        return query;
+      };
+      return query;
+    };
+    mock.method(FeeSchedule, 'findOne', () => readInSession(null, readSessions.feeSchedule));
+    const findUsers = mock.method(User, 'find', () => readInSession([], readSessions.addresses));
+    const skippedEmails = mock.method(console, 'info', () => {});
+    const errors = mock.method(console, 'error', () => {});
+    const res = createResponse();
+
+    await buyNow(createRequest({ ...buyer, email: 'harriet@example.org' }, { params: { id: horse._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(errors.mock.callCount(), 0);
+    assert.equal(findUsers.mock.callCount(), 2, 'the charges and the order each look up addresses');
+    assert.equal(readSessions.feeSchedule[0], session, 'the fee schedule is read in the purchase transaction');
+    assert.equal(readSessions.addresses[0], session, 'the buyer\'s address is read in the purchase transaction');
+    assert.equal(res.body.charges.hammerPrice, 450);
+    assert.equal(res.body.order.total, res.body.charges.total + 35);
+    assert.deepEqual(skippedEmails.mock.calls.map(({ arguments: [, subject, , to] }) => [subject, to]), [
+      ['You bought Carved dapple-grey rocking horse', 'harriet@example.org']
+    ]);
+  });
+
+  it('refuses once bidding has taken Buy It Now off the table', async () => {
+    const horse = rockingHorse({ totalBids: 2, highestBidder: new mongoose.Types.ObjectId(), currentPrice: 230 });
+    mock.method(Item, 'findById', () => stubQuery(horse));
+    const create = mock.method(Bid, 'create', async () => []);
+    const res = createResponse();
+
+    await buyNow(createRequest(buyer, { params: { id: horse._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /no longer available/);
+    assert.equal(session.state, 'aborted');
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('holds the price to the buyer\'s credit limit like a bid', async () => {
+    const horse = rockingHorse();
+    mock.method(Item, 'findById', () => stubQuery(horse));
+    const create = mock.method(Bid, 'create', async () => []);
+    const res = createResponse();
+
+    await buyNow(createRequest({ ...buyer, creditLimit: 400 }, { params: { id: horse._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'CREDIT_LIMIT_EXCEEDED');
+    assert.equal(session.state, 'aborted');
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('refuses buyers whose bidding is suspended', async () => {
+    const horse = rockingHorse();
+    const findItem = mock.method(Item, 'findById', () => stubQuery(horse));
+    const res = createResponse();
+
+    await buyNow(createRequest({ ...buyer, biddingSuspension: { suspendedAt: new Date() } }, { params: { id: horse._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'BIDDING_SUSPENDED');
+    assert.equal(session.state, 'aborted');
+    assert.equal(findItem.mock.callCount(), 0);
+  });
+
+  it('does not let sellers buy their own listing', async () => {
+    const horse = rockingHorse();
+    mock.method(Item, 'findById', () => stubQuery(horse));
+    const res = createResponse();
+
+    await buyNow(createRequest({ _id: sellerId, username: 'seller' }, { params: { id: horse._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /your own item/);
+  });
+});
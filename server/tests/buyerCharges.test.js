@@ -0,0 +1,137 @@
+/**
+ * @file buyerCharges.test.js
+ * @description Buyer's premium bands, sales tax lookup and the charges recorded on settlement.
+ */
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuctionEvent from '../models/AuctionEvent.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import Item from '../models/Item.js';
+import User from '../models/User.js';
+import {
+  applyBuyerCharges,
+  calculateBuyerCharges,
+  findTaxRate,
+  parsePremiumTiers,
+  resolvePremiumTiers
+} from '../utils/buyerCharges.js';
+import { stubQuery } from './helpers/mongooseStubs.js';
+
+const auctionHouseTiers = [
+  { upTo: 1000, percent: 25 },
+  { upTo: 5000, percent: 20 },
+  { upTo: null, percent: 12 }
+];
+
+const taxRates = [
+  { country: 'US', state: '', ratePercent: 5 },
+  { country: 'US', state: 'NY', ratePercent: 8.875 },
+  { country: 'CA', state: 'ON', ratePercent: 13 }
+];
+
+describe('calculateBuyerCharges', () => {
+  it('charges each band of the hammer price at its own rate', () => {
+    assert.deepEqual(calculateBuyerCharges(6200, auctionHouseTiers, 0), {
+      hammerPrice: 6200,
+      buyersPremium: 250 + 800 + 144,
+      taxRatePercent: 0,
+      tax: 0,
+      total: 7394
+    });
+  });
+
+  it('taxes hammer plus premium, to the cent', () => {
+    const charges = calculateBuyerCharges(333.33, [{ upTo: null, percent: 20 }], 8.875);
+
+    assert.equal(charges.buyersPremium, 66.67);
+    assert.equal(charges.tax, 35.5);
+    assert.equal(charges.total, 435.5);
+  });
+});
+
+describe('parsePremiumTiers', () => {
+  it('sorts bands and keeps the open-ended band last', () => {
+    assert.deepEqual(parsePremiumTiers('[{"upTo":null,"percent":15},{"upTo":2500,"percent":22}]'), [
+      { upTo: 2500, percent: 22 },
+      { upTo: null, percent: 15 }
+    ]);
+  });
+
+  it('caps the premium at 50%', () => {
+    assert.throws(() => parsePremiumTiers([{ upTo: null, percent: 55 }]), /between 0% and 50%/);
+  });
+});
+
+describe('findTaxRate', () => {
+  it('prefers the state rate, then the country rate, then none', () => {
+    assert.equal(findTaxRate({ country: 'us', state: 'ny' }, taxRates), 8.875);
+    assert.equal(findTaxRate({ country: 'US', state: 'Vermont' }, taxRates), 5);
+    assert.equal(findTaxRate({ country: 'CA', state: 'BC' }, taxRates), 0);
+    assert.equal(findTaxRate(undefined, taxRates), 0);
+  });
+});
+
+describe('premium schedules and settlement', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets an event override the category schedule', async () => {
+    const eventTiers = [{ upTo: null, percent: 18 }];
+    mock.method(AuctionEvent, 'findById', () => stubQuery({ buyersPremiumTiers: eventTiers }));
+    const feeSchedule = {
+      premiumTiers: auctionHouseTiers,
+      categoryPremiums: [{ category: 'Jewelry', tiers: [{ upTo: null, percent: 30 }] }],
+      taxRates
+    };
+
+    const lotInSale = { eventId: new mongoose.Types.ObjectId(), category: 'Jewelry' };
+    const standalone = { eventId: null, category: 'jewelry' };
+
+    assert.deepEqual(await resolvePremiumTiers(lotInSale, feeSchedule), eventTiers);
+    assert.deepEqual(await resolvePremiumTiers(standalone, feeSchedule), [{ upTo: null, percent: 30 }]);
+  });
+
+  it("records the winner's premium and tax on the item", async () => {
+    const winnerId = new mongoose.Types.ObjectId();
+    mock.method(FeeSchedule, 'findOne', () => stubQuery({ premiumTiers: auctionHouseTiers, categoryPremiums: [], taxRates }));
+    mock.method(User, 'find', () => stubQuery([{ _id: winnerId, address: { country: 'US', state: 'NY' } }]));
+    const brooch = new Item({
+      title: 'Victorian seed-pearl crescent brooch',
+      sellerId: new mongoose.Types.ObjectId(),
+      category: 'Jewelry',
+      startingPrice: 300,
+      currentPrice: 1400,
+      winnerId,
+      status: 'ended'
+    });
+
+    await applyBuyerCharges(brooch);
+
+    assert.equal(brooch.settlements.length, 1);
+    const [settlement] = brooch.settlements;
+    assert.equal(settlement.buyerId.toString(), winnerId.toString());
+    assert.equal(settlement.buyersPremium, 330);
+    assert.equal(settlement.taxRatePercent, 8.875);
+    assert.equal(settlement.total, 1730 + 153.54);
+  });
+
+  it('charges nothing on reverse listings', async () => {
+    const findOne = mock.method(FeeSchedule, 'findOne', () => stubQuery(null));
+    const request = new Item({
+      title: 'Supply 40 reclaimed oak floorboards',
+      sellerId: new mongoose.Types.ObjectId(),
+      listingType: 'reverse',
+      startingPrice: 900,
+      currentPrice: 640,
+      winnerId: new mongoose.Types.ObjectId()
+    });
+
+    await applyBuyerCharges(request);
+
+    assert.deepEqual([...request.settlements], []);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+});
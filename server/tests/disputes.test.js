@@ -0,0 +1,147 @@
+/**
+ * @file disputes.test.js
+ * @description Buyers opening disputes on paid orders and admins deciding them.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Dispute from '../models/Dispute.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { openDispute, resolveDispute } from '../controllers/dispute.controller.js';
+import { createFakeSession, stubQuery } from './helpers/mongooseStubs.js';
+import { createRequest, createResponse } from './helpers/httpStubs.js';
+
+const collector = { _id: new mongoose.Types.ObjectId(), username: 'rosalind', email: null };
+const dealer = { _id: new mongoose.Types.ObjectId(), username: 'kestrel-clocks', email: null };
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'moderator', role: 'admin' };
+
+/**
+ * @function paidBracketClock
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Paid order with the dealer's proceeds held in escrow.
+ */
+const paidBracketClock = (overrides = {}) => {
+  const order = new Order({
+    itemId: new mongoose.Types.ObjectId(),
+    buyerId: collector._id,
+    sellerId: dealer._id,
+    quantity: 1,
+    hammerPrice: 1000,
+    buyersPremium: 200,
+    tax: 90,
+    shippingCost: 0,
+    total: 1290,
+    sellerCommission: 100,
+    sellerProceeds: 900,
+    status: 'delivered',
+    paymentDueAt: new Date(),
+    payment: { provider: 'fake', reference: 'fake_ch_clock', paidAt: new Date() },
+    escrow: { heldAt: new Date(), disputedAt: new Date() },
+    ...overrides
+  });
+  mock.method(order, 'save', async () => order);
+  return order;
+};
+
+describe('openDispute', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('only accepts disputes on paid orders', async () => {
+    const order = paidBracketClock({ status: 'awaiting-payment' });
+    mock.method(Order, 'findById', () => stubQuery(order));
+    const res = createResponse();
+
+    await openDispute(createRequest(collector, { body: { orderId: order._id.toString(), reason: 'not-as-described', description: 'Movement seized.' } }), res);
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('holds the proceeds while the dispute is open', async () => {
+    const order = paidBracketClock({ escrow: { heldAt: new Date() } });
+    order.itemId = { _id: new mongoose.Types.ObjectId(), title: 'Regency bracket clock', authenticity: 'Unverified' };
+    mock.method(Order, 'findById', () => stubQuery(order));
+    mock.method(Dispute, 'exists', async () => null);
+    mock.method(Dispute, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+    const hold = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(User, 'find', () => stubQuery([]));
+    const res = createResponse();
+
+    await openDispute(createRequest(collector, { body: { orderId: order._id.toString(), reason: 'not-as-described', description: 'Movement seized.' } }), res);
+
+    assert.equal(res.statusCode, 201);
+    const [, update] = hold.mock.calls[0].arguments;
+    assert.ok(update['escrow.disputedAt'] instanceof Date);
+  });
+});
+
+describe('resolveDispute', () => {
+  let dispute;
+  let postedEntries;
+
+  beforeEach(() => {
+    postedEntries = [];
+    dispute = new Dispute({
+      orderId: new mongoose.Types.ObjectId(),
+      itemId: new mongoose.Types.ObjectId(),
+      buyerId: collector._id,
+      sellerId: dealer._id,
+      reason: 'not-as-described',
+      description: 'Movement seized.',
+      openedAt: new Date()
+    });
+    mock.method(dispute, 'save', async () => dispute);
+    mock.method(Dispute, 'findById', () => stubQuery(dispute));
+    mock.method(mongoose, 'startSession', async () => createFakeSession());
+    mock.method(LedgerEntry, 'insertMany', async (entries) => {
+      postedEntries.push(...entries);
+      return entries;
+    });
+    mock.method(Order, 'findOneAndUpdate', async () => null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refunds the total and marks the order refunded', async () => {
+    const order = paidBracketClock();
+    mock.method(Order, 'findById', async () => order);
+    const res = createResponse();
+
+    await resolveDispute(createRequest(admin, { params: { id: dispute._id.toString() }, body: { outcome: 'refund' } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(order.status, 'refunded');
+    assert.equal(order.refund.amount, 1290);
+    assert.equal(order.escrow.disputedAt, null);
+    assert.ok(order.escrow.releasedAt, 'nothing is left to release');
+    assert.equal(dispute.status, 'resolved');
+    assert.equal(postedEntries.find(({ account }) => account === 'cash').credit, 1290);
+  });
+
+  it('caps a partial refund at the seller\'s proceeds', async () => {
+    mock.method(Order, 'findById', async () => paidBracketClock());
+    const res = createResponse();
+
+    await resolveDispute(createRequest(admin, {
+      params: { id: dispute._id.toString() },
+      body: { outcome: 'partial-refund', refundAmount: 950 }
+    }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(postedEntries, []);
+  });
+
+  it('is for admins only', async () => {
+    const res = createResponse();
+
+    await resolveDispute(createRequest(dealer, { params: { id: dispute._id.toString() }, body: { outcome: 'rejected' } }), res);
+
+    assert.equal(res.statusCode, 403);
+  });
+});
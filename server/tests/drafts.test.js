@@ -0,0 +1,142 @@
+/**
+ * @file drafts.test.js
+ * @description Saving, autosaving and publishing listing drafts.
+ */
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+import { createDraft, publishDraft, updateDraft } from '../controllers/item.controller.js';
+import { createRequest, createResponse } from './helpers/httpStubs.js';
+
+const seller = { _id: new mongoose.Types.ObjectId(), username: 'odile' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function savedDraft
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Draft owned by `seller`, with save stubbed.
+ */
+const savedDraft = (overrides = {}) => {
+  const draft = new Item({
+    title: 'Pair of Chinese export famille rose plates',
+    description: 'Qianlong period, one with a rim chip.',
+    sellerId: seller._id,
+    images: ['https://images.example/plates-front.jpg'],
+    startingPrice: 180,
+    currentPrice: 180,
+    status: 'draft',
+    ...overrides
+  });
+  mock.method(draft, 'save', async () => draft);
+  return draft;
+};
+
+describe('listing drafts', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('saves whatever has been entered so far as a private draft', async () => {
+    mock.method(Item, 'create', async (fields) => new Item(fields));
+    const res = createResponse();
+
+    await createDraft(createRequest(seller, { body: { category: 'Ceramics', startingPrice: '' } }), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.item.status, 'draft');
+    assert.equal(res.body.item.category, 'Ceramics');
+    assert.match(res.body.item.title, /^Untitled Item \d+$/);
+  });
+
+  it('keeps the draft images when an autosave sends none', async () => {
+    const draft = savedDraft();
+    mock.method(Item, 'findById', async () => draft);
+    const res = createResponse();
+
+    await updateDraft(createRequest(seller, {
+      params: { id: draft._id.toString() },
+      body: { title: 'Pair of famille rose plates', startingPrice: '200' }
+    }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(draft.title, 'Pair of famille rose plates');
+    assert.equal(draft.startingPrice, 200);
+    assert.deepEqual([...draft.images], ['https://images.example/plates-front.jpg']);
+    assert.equal(draft.status, 'draft');
+  });
+
+  it('publishes a draft straight into live bidding', async () => {
+    const draft = savedDraft();
+    mock.method(Item, 'findById', async () => draft);
+    const res = createResponse();
+
+    await publishDraft(createRequest(seller, {
+      params: { id: draft._id.toString() },
+      body: {
+        title: draft.title,
+        description: draft.description,
+        startingPrice: '180',
+        startTime: new Date(Date.now() - DAY_MS).toISOString(),
+        endTime: new Date(Date.now() + 5 * DAY_MS).toISOString()
+      }
+    }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(draft.status, 'active');
+    assert.ok(draft.startTime.getTime() > Date.now() - 60 * 1000, 'a past start time opens bidding now');
+  });
+
+  it('refuses to publish with an end time in the past', async () => {
+    const draft = savedDraft();
+    mock.method(Item, 'findById', async () => draft);
+    const res = createResponse();
+
+    await publishDraft(createRequest(seller, {
+      params: { id: draft._id.toString() },
+      body: {
+        title: draft.title,
+        description: draft.description,
+        startingPrice: '180',
+        endTime: new Date(Date.now() - DAY_MS).toISOString()
+      }
+    }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'End time must be in the future.');
+    assert.equal(draft.save.mock.callCount(), 0);
+  });
+
+  it('will not publish the stand-ins a partial draft was saved with', async () => {
+    const draft = savedDraft({
+      title: 'Untitled Item 1718000000000',
+      description: 'No description provided.',
+      images: ['https://via.placeholder.com/800x600?text=Auction+Item'],
+      startingPrice: 1,
+      currentPrice: 1
+    });
+    mock.method(Item, 'findById', async () => draft);
+    const res = createResponse();
+
+    await publishDraft(createRequest(seller, {
+      params: { id: draft._id.toString() },
+      body: { category: 'Pottery', startingPrice: '' }
+    }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.errors.map(({ field }) => field), ['title', 'description', 'startingPrice', 'images']);
+    assert.equal(draft.status, 'draft');
+    assert.equal(draft.save.mock.callCount(), 0);
+  });
+
+  it("hides other sellers' drafts", async () => {
+    const draft = savedDraft({ sellerId: new mongoose.Types.ObjectId() });
+    mock.method(Item, 'findById', async () => draft);
+    const res = createResponse();
+
+    await publishDraft(createRequest(seller, { params: { id: draft._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 403);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * @file floorAuction.test.js
+ * @description Auctioneer-driven floor mode: serialized floor tasks, opening the floor and calls
+ * interrupted by floor and proxy bids.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import ExchangeRateTable from '../models/ExchangeRateTable.js';
+import FloorAction from '../models/FloorAction.js';
+import Item from '../models/Item.js';
+import User from '../models/User.js';
+import { processAutoBidding } from '../controllers/autoBid.controller.js';
+import {
+  getFloorState,
+  makeFloorCall,
+  openFloor,
+  placeFloorBid,
+  releaseFloorControlledLots,
+  serializeFloorTask
+} from '../utils/floorAuction.js';
+import { createFakeSession, stubQuery } from './helpers/mongooseStubs.js';
+import { createSocketRecorder } from './helpers/httpStubs.js';
+
+const auctioneer = { _id: new mongoose.Types.ObjectId(), username: 'clerk-rosalind', role: 'user' };
+const paddle = { _id: new mongoose.Types.ObjectId(), username: 'paddle-212', role: 'user' };
+
+/**
+ * @function clerkedLot
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Lot sold by `auctioneer`.
+ */
+const clerkedLot = (overrides = {}) => {
+  const lot = new Item({
+    title: 'Arts and Crafts copper charger',
+    sellerId: auctioneer._id,
+    startingPrice: 90,
+    currentPrice: 90,
+    bidIncrement: 10,
+    status: 'active',
+    endTime: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides
+  });
+  mock.method(lot, 'save', async () => lot);
+  return lot;
+};
+
+describe('serializeFloorTask', () => {
+  it('runs tasks for the same lot in arrival order', async () => {
+    const lotId = new mongoose.Types.ObjectId().toString();
+    const applied = [];
+    const slowCall = serializeFloorTask(lotId, async () => {
+      await new Promise((resolve) => { setTimeout(resolve, 20); });
+      applied.push('going-once');
+    });
+    const quickBid = serializeFloorTask(lotId, async () => {
+      applied.push('bid');
+    });
+
+    await Promise.all([slowCall, quickBid]);
+
+    assert.deepEqual(applied, ['going-once', 'bid']);
+  });
+
+  it('keeps the queue moving after a task fails', async () => {
+    const lotId = new mongoose.Types.ObjectId().toString();
+    const failing = serializeFloorTask(lotId, async () => {
+      throw new Error('lost connection');
+    });
+    const next = serializeFloorTask(lotId, async () => 'applied');
+
+    await assert.rejects(failing, /lost connection/);
+    assert.equal(await next, 'applied');
+  });
+});
+
+describe('floor sessions', () => {
+  let recordedActions;
+
+  beforeEach(() => {
+    recordedActions = [];
+    mock.method(FloorAction, 'create', async (entry) => {
+      recordedActions.push(Array.isArray(entry) ? entry[0].action : entry.action);
+      return entry;
+    });
+    mock.method(mongoose, 'startSession', async () => createFakeSession());
+    mock.method(AutoBid, 'find', () => stubQuery([]));
+    mock.method(User, 'findById', (userId) => stubQuery(userId === paddle._id ? paddle : null));
+    mock.method(Item, 'find', () => stubQuery([]));
+    mock.method(Bid, 'find', () => stubQuery([]));
+    mock.method(ExchangeRateTable, 'findOne', () => stubQuery(null));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('only lets the seller or an admin open the floor', async () => {
+    const lot = clerkedLot();
+    mock.method(Item, 'findById', async () => lot);
+
+    const result = await openFloor(createSocketRecorder(), paddle, lot._id.toString());
+
+    assert.equal(result.ok, false);
+    assert.equal(getFloorState(lot._id).isOpen, false);
+  });
+
+  it('will not open the floor on a draft', async () => {
+    const lot = clerkedLot({ status: 'draft' });
+    mock.method(Item, 'findById', async () => lot);
+
+    const result = await openFloor(createSocketRecorder(), auctioneer, lot._id.toString());
+
+    assert.deepEqual(result, { ok: false, message: 'Publish this draft before opening the floor.' });
+    assert.equal(lot.save.mock.callCount(), 0);
+    assert.equal(getFloorState(lot._id).isOpen, false);
+  });
+
+  it('opens an upcoming lot for bidding straight away', async () => {
+    const lot = clerkedLot({ status: 'upcoming', startTime: new Date(Date.now() + 86400000) });
+    mock.method(Item, 'findById', () => stubQuery(lot));
+    const io = createSocketRecorder();
+
+    const result = await openFloor(io, auctioneer, lot._id.toString());
+
+    assert.equal(result.ok, true);
+    assert.equal(lot.status, 'active');
+    assert.equal(lot.isFloorControlled, true);
+    assert.deepEqual(getFloorState(lot._id), {
+      itemId: lot._id.toString(),
+      isOpen: true,
+      auctioneerId: auctioneer._id.toString(),
+      auctioneerUsername: 'clerk-rosalind',
+      phase: 'open',
+      countdownEndsAt: null
+    });
+    assert.deepEqual(recordedActions, ['open-floor']);
+    assert.ok(io.sent.some(({ room, event }) => room === null && event === 'auction-started'));
+  });
+
+  it('returns to open bidding when a bid interrupts a call', async () => {
+    const lot = clerkedLot();
+    mock.method(Item, 'findById', () => stubQuery(lot));
+    mock.method(Bid, 'create', async ([fields]) => [{ _id: new mongoose.Types.ObjectId(), timestamp: new Date(), ...fields }]);
+    const io = createSocketRecorder();
+
+    await openFloor(io, auctioneer, lot._id.toString());
+    await makeFloorCall(io, auctioneer, lot._id.toString(), 'fair-warning');
+    assert.equal(getFloorState(lot._id).phase, 'fair-warning');
+    assert.ok(getFloorState(lot._id).countdownEndsAt instanceof Date);
+
+    const result = await placeFloorBid(io, paddle, lot._id.toString(), 100);
+
+    assert.equal(result.ok, true);
+    assert.equal(lot.currentPrice, 100);
+    assert.equal(lot.highestBidder.toString(), paddle._id.toString());
+    assert.equal(getFloorState(lot._id).phase, 'open');
+    assert.equal(getFloorState(lot._id).countdownEndsAt, null);
+    assert.deepEqual(recordedActions, ['open-floor', 'fair-warning', 'bid']);
+  });
+
+  it('stops the countdown when an absentee maximum takes the lead', async () => {
+    const lot = clerkedLot({ currentPrice: 120, highestBidder: paddle._id, totalBids: 2 });
+    mock.method(Item, 'findById', () => stubQuery(lot));
+    mock.method(Bid, 'findOne', () => stubQuery({ bidderId: paddle, timestamp: new Date(Date.now() - 60 * 1000) }));
+    mock.method(Bid, 'create', async ([fields]) => [{ _id: new mongoose.Types.ObjectId(), timestamp: new Date(), ...fields }]);
+    const io = createSocketRecorder();
+
+    await openFloor(io, auctioneer, lot._id.toString());
+    await makeFloorCall(io, auctioneer, lot._id.toString(), 'going-once');
+    const absentee = {
+      userId: { _id: new mongoose.Types.ObjectId(), username: 'commission-bidder', email: null },
+      maxBidAmount: 200,
+      maxSetAt: new Date(),
+      isActive: true,
+      save: async () => {}
+    };
+    AutoBid.find.mock.mockImplementation(() => stubQuery([absentee]));
+
+    await processAutoBidding(lot._id.toString(), io);
+
+    assert.equal(lot.highestBidder.toString(), absentee.userId._id.toString());
+    assert.equal(getFloorState(lot._id).phase, 'open');
+    assert.equal(getFloorState(lot._id).countdownEndsAt, null);
+  });
+
+  it('turns away floor bids under the next increment', async () => {
+    const lot = clerkedLot({ currentPrice: 140, highestBidder: new mongoose.Types.ObjectId(), totalBids: 3 });
+    mock.method(Item, 'findById', () => stubQuery(lot));
+    const io = createSocketRecorder();
+
+    await openFloor(io, auctioneer, lot._id.toString());
+    const result = await placeFloorBid(io, paddle, lot._id.toString(), 145);
+
+    assert.deepEqual(result, { ok: false, message: 'Minimum bid is $150.00.' });
+    assert.equal(lot.currentPrice, 140);
+  });
+
+  it('checks the bidder as stored now, not as they were when the socket connected', async () => {
+    const lot = clerkedLot();
+    mock.method(Item, 'findById', () => stubQuery(lot));
+    User.findById.mock.mockImplementation(() => stubQuery({ ...paddle, creditLimit: 80 }));
+    const io = createSocketRecorder();
+
+    await openFloor(io, auctioneer, lot._id.toString());
+    const result = await placeFloorBid(io, paddle, lot._id.toString(), 100);
+
+    assert.equal(result.ok, false);
+    assert.match(result.message, /past your \$80\.00 credit limit/);
+    assert.equal(lot.currentPrice, 90);
+  });
+
+  it('closes only the hammered lot, claiming it while still floor controlled', async () => {
+    const lot = clerkedLot();
+    mock.method(Item, 'findById', () => stubQuery(lot));
+    const claim = mock.method(Item, 'findOneAndUpdate', async (filter, update) => {
+      lot.set(update);
+      return lot;
+    });
+    const io = createSocketRecorder();
+
+    await openFloor(io, auctioneer, lot._id.toString());
+    const result = await makeFloorCall(io, auctioneer, lot._id.toString(), 'sold');
+
+    assert.equal(result.ok, true);
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.equal(filter._id.toString(), lot._id.toString());
+    assert.equal(filter.isFloorControlled, true);
+    assert.equal(update.isFloorControlled, false);
+    assert.equal(lot.status, 'ended');
+    assert.equal(Item.find.mock.callCount(), 0, 'no sweep of other expired lots');
+    assert.equal(getFloorState(lot._id).isOpen, false);
+  });
+
+  it('reports a lot deleted before the countdown sold it', async () => {
+    const lot = clerkedLot();
+    mock.method(Item, 'findById', () => stubQuery(lot));
+    const io = createSocketRecorder();
+    await openFloor(io, auctioneer, lot._id.toString());
+    Item.findById.mock.mockImplementation(() => stubQuery(null));
+    mock.method(Item, 'findOneAndUpdate', async () => null);
+
+    const result = await makeFloorCall(io, null, lot._id.toString(), 'sold', { expectedCallId: 0 });
+
+    assert.deepEqual(result, { ok: false, message: 'This lot no longer exists.' });
+    assert.deepEqual(recordedActions, ['open-floor']);
+    assert.equal(getFloorState(lot._id).isOpen, false);
+  });
+});
+
+describe('releaseFloorControlledLots', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('hands lots left floor controlled by a previous process back to the scheduler', async () => {
+    const release = mock.method(Item, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    assert.equal(await releaseFloorControlledLots(), 2);
+    assert.deepEqual(release.mock.calls[0].arguments, [{ isFloorControlled: true }, { isFloorControlled: false }]);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @file httpStubs.js
+ * @description Minimal Express request, response and Socket.io stand-ins for calling controllers
+ * directly.
+ */
+
+/**
+ * @function createResponse
+ * @description A response that records the status code and JSON body the controller sends.
+ * @returns {{ statusCode: number, body: any, status: Function, json: Function }}
+ */
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+/**
+ * @function createSocketRecorder
+ * @description Records every event emitted globally (`room: null`) or to a room.
+ * @returns {{ emit: Function, to: Function, sent: Array<{ room: string|null, event: string, payload: any }> }}
+ */
+export const createSocketRecorder = () => {
+  const sent = [];
+  return {
+    sent,
+    emit: (event, payload) => sent.push({ room: null, event, payload }),
+    to: (room) => ({ emit: (event, payload) => sent.push({ room, event, payload }) })
+  };
+};
+
+/**
+ * @function createRequest
+ * @description A request from `user` carrying `socketIo` as the app's `socketio` setting.
+ * @param {Record<string, any>} user - Authenticated user.
+ * @param {Record<string, any>} [fields] - params, body, query and so on.
+ * @param {Record<string, any>} [socketIo] - Socket.io server stand-in.
+ * @returns {Record<string, any>}
+ */
+export const createRequest = (user, fields = {}, socketIo = createSocketRecorder()) => ({
+  user,
+  params: {},
+  body: {},
+  query: {},
+  app: { get: (key) => (key === 'socketio' ? socketIo : undefined) },
+  ...fields
+});
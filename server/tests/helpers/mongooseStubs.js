@@ -0,0 +1,52 @@
+/**
+ * @file mongooseStubs.js
+ * @description Stand-ins for Mongoose queries and sessions so code paths that talk to MongoDB can
+ * be exercised without a database.
+ */
+
+/**
+ * @function stubQuery
+ * @description A chainable query that resolves to `result`. Chain methods such as populate, sort,
+ * select, lean and session return the same query, so any chain the code builds works.
+ * @param {any} result - Value the query resolves to.
+ * @returns {PromiseLike<any> & Record<string, Function>}
+ */
+export const stubQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: async () => result
+  };
+  ['populate', 'sort', 'select', 'lean', 'session', 'limit', 'skip'].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+/**
+ * @function createFakeSession
+ * @description A client session that tracks whether its transaction was committed or aborted.
+ * @returns {Record<string, any>}
+ */
+export const createFakeSession = () => {
+  const session = {
+    state: 'idle',
+    startTransaction: () => {
+      session.state = 'started';
+    },
+    commitTransaction: async () => {
+      session.state = 'committed';
+    },
+    abortTransaction: async () => {
+      session.state = 'aborted';
+    },
+    inTransaction: () => session.state === 'started',
+    endSession: () => {},
+    withTransaction: async (task) => {
+      session.startTransaction();
+      await task();
+      await session.commitTransaction();
+    }
+  };
+  return session;
+};
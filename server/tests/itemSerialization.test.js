@@ -0,0 +1,60 @@
+/**
+ * @file itemSerialization.test.js
+ * @description Amounts inside item subdocuments, stored in minor units and serialized in major
+ * units like the item's own.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+
+/**
+ * @function soldSamovar
+ * @returns {import('mongoose').Document} Closed flat-shipping item priced in euros with a custom increment table.
+ */
+const soldSamovar = () => new Item({
+  title: 'Tula brass samovar',
+  sellerId: new mongoose.Types.ObjectId(),
+  currency: 'EUR',
+  startingPrice: 80,
+  currentPrice: 235,
+  incrementPreset: 'custom',
+  incrementTiers: [{ upTo: 200, increment: 10 }, { upTo: null, increment: 25 }],
+  shipping: { method: 'flat', flatRate: 22.75 },
+  winners: [{ userId: new mongoose.Types.ObjectId(), bidAmount: 235, clearingPrice: 235 }],
+  settlements: [{ buyerId: new mongoose.Types.ObjectId(), hammerPrice: 235, buyersPremium: 47, tax: 11.28, total: 293.28 }]
+});
+
+describe('item subdocument amounts', () => {
+  it('are stored in minor units', () => {
+    const samovar = soldSamovar();
+
+    assert.equal(samovar.shipping.get('flatRate', null, { getters: false }), 2275);
+    assert.equal(samovar.incrementTiers[1].get('increment', null, { getters: false }), 2500);
+    assert.equal(samovar.winners[0].get('clearingPrice', null, { getters: false }), 23500);
+    assert.equal(samovar.settlements[0].get('tax', null, { getters: false }), 1128);
+  });
+
+  it('come out of the item JSON in major units', () => {
+    const serialized = JSON.parse(JSON.stringify(soldSamovar()));
+
+    assert.equal(serialized.shipping.flatRate, 22.75);
+    assert.deepEqual(serialized.incrementTiers, [{ upTo: 200, increment: 10 }, { upTo: null, increment: 25 }]);
+    assert.equal(serialized.winners[0].bidAmount, 235);
+  });
+
+  it('come out in major units when settlements are serialized on their own', () => {
+    const [settlement] = JSON.parse(JSON.stringify(soldSamovar().settlements));
+
+    assert.equal(settlement.hammerPrice, 235);
+    assert.equal(settlement.total, 293.28);
+  });
+
+  it('read in major units through toObject with getters', () => {
+    const { shipping, incrementTiers } = soldSamovar().toObject({ getters: true });
+
+    assert.equal(shipping.flatRate, 22.75);
+    assert.equal(incrementTiers[0].upTo, 200);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * @file ledger.test.js
+ * @description Double-entry postings for order payments and escrow releases, and the seller
+ * balances derived from them.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Order from '../models/Order.js';
+import { getSellerBalances, postTransaction, recordOrderPayment, recordOrderRefund, releaseOrderEscrow } from '../utils/ledger.js';
+import { createFakeSession } from './helpers/mongooseStubs.js';
+
+const consignorId = new mongoose.Types.ObjectId();
+
+describe('ledger', () => {
+  let postedEntries;
+
+  beforeEach(() => {
+    postedEntries = [];
+    mock.method(LedgerEntry, 'insertMany', async (documents) => {
+      const entries = documents.map((document) => new LedgerEntry(document));
+      entries.forEach((entry) => assert.equal(entry.validateSync(), undefined));
+      postedEntries.push(...entries);
+      return entries;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('posts a balanced transaction under one id, dropping zero lines', async () => {
+    await postTransaction({
+      type: 'payout',
+      lines: [
+        { account: 'seller-balance', sellerId: consignorId, debit: 612.45 },
+        { account: 'platform-fees', credit: 0 },
+        { account: 'cash', credit: 612.45 }
+      ]
+    });
+
+    assert.deepEqual(postedEntries.map(({ account }) => account), ['seller-balance', 'cash']);
+    assert.equal(new Set(postedEntries.map(({ transactionId }) => transactionId.toString())).size, 1);
+  });
+
+  it('refuses a transaction whose sides differ by a cent', async () => {
+    await assert.rejects(
+      postTransaction({
+        type: 'payment',
+        lines: [{ account: 'cash', debit: 100 }, { account: 'escrow', sellerId: consignorId, credit: 99.99 }]
+      }),
+      /Unbalanced payment transaction/
+    );
+    assert.deepEqual(postedEntries, []);
+  });
+
+  it('splits a payment between escrow, fees and sales tax', async () => {
+    const paidDecanter = {
+      _id: new mongoose.Types.ObjectId(),
+      sellerId: { _id: consignorId, username: 'hollis' },
+      total: 541.08,
+      buyersPremium: 88,
+      sellerCommission: 44,
+      tax: 33.08,
+      sellerProceeds: 376,
+      payment: { reference: 'fake_ch_decanter' }
+    };
+
+    await recordOrderPayment(paidDecanter);
+
+    assert.deepEqual(postedEntries.map(({ account, debit, credit }) => [account, debit, credit]), [
+      ['cash', 541.08, 0],
+      ['escrow', 0, 376],
+      ['platform-fees', 0, 132],
+      ['sales-tax', 0, 33.08]
+    ]);
+    assert.equal(postedEntries[1].sellerId.toString(), consignorId.toString());
+    assert.equal(postedEntries[0].memo, 'Payment fake_ch_decanter');
+  });
+
+  it('books a pound sterling payment in dollars at the rate it was paid at', async () => {
+    const paidInPounds = {
+      _id: new mongoose.Types.ObjectId(),
+      sellerId: consignorId,
+      currency: 'GBP',
+      exchangeRate: 0.79,
+      total: 316,
+      buyersPremium: 47.4,
+      sellerCommission: 31.6,
+      tax: 0,
+      sellerProceeds: 237
+    };
+
+    await recordOrderPayment(paidInPounds);
+
+    assert.deepEqual(postedEntries.map(({ account, debit, credit }) => [account, debit, credit]), [
+      ['cash', 400, 0],
+      ['escrow', 0, 300],
+      ['platform-fees', 0, 100]
+    ]);
+  });
+
+  it('moves held proceeds to the seller balance once', async () => {
+    const session = createFakeSession();
+    mock.method(mongoose, 'startSession', async () => session);
+    const claim = mock.method(Order, 'findOneAndUpdate', async () => ({
+      _id: new mongoose.Types.ObjectId(),
+      sellerId: consignorId,
+      sellerProceeds: 376,
+      escrow: { releasedAt: new Date() }
+    }));
+
+    assert.ok(await releaseOrderEscrow(new mongoose.Types.ObjectId(), 'Buyer confirmed receipt'));
+
+    const [filter] = claim.mock.calls[0].arguments;
+    assert.equal(filter['escrow.releasedAt'], null);
+    assert.equal(filter['escrow.disputedAt'], null, 'an open dispute holds the proceeds');
+    assert.equal(session.state, 'committed');
+    assert.deepEqual(postedEntries.map(({ account, debit, credit }) => [account, debit, credit]), [
+      ['escrow', 376, 0],
+      ['seller-balance', 0, 376]
+    ]);
+  });
+
+  it('releases only what a partial refund left the seller', async () => {
+    mock.method(mongoose, 'startSession', async () => createFakeSession());
+    mock.method(Order, 'findOneAndUpdate', async () => ({
+      _id: new mongoose.Types.ObjectId(),
+      sellerId: consignorId,
+      sellerProceeds: 376,
+      refund: { amount: 120.5, sellerPortion: 120.5 }
+    }));
+
+    await releaseOrderEscrow(new mongoose.Types.ObjectId(), 'Dispute resolved');
+
+    assert.deepEqual(postedEntries.map(({ account, debit, credit }) => [account, debit, credit]), [
+      ['escrow', 255.5, 0],
+      ['seller-balance', 0, 255.5]
+    ]);
+  });
+
+  it('releases nothing when the escrow was already released', async () => {
+    const session = createFakeSession();
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(Order, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await releaseOrderEscrow(new mongoose.Types.ObjectId(), 'Inspection period ended'), null);
+    assert.equal(session.state, 'aborted');
+    assert.deepEqual(postedEntries, []);
+  });
+
+  it('derives pending, released and paid-out balances from the minor-unit sums', async () => {
+    mock.method(LedgerEntry, 'aggregate', async () => [
+      { _id: { account: 'escrow', type: 'payment' }, debit: 0, credit: 102050 },
+      { _id: { account: 'escrow', type: 'escrow-release' }, debit: 40000, credit: 0 },
+      { _id: { account: 'seller-balance', type: 'escrow-release' }, debit: 0, credit: 40000 },
+      { _id: { account: 'seller-balance', type: 'payout' }, debit: 25025, credit: 0 }
+    ]);
+
+    assert.deepEqual(await getSellerBalances(consignorId), { pending: 620.5, released: 149.75, paidOut: 250.25 });
+  });
+
+  describe('recordOrderRefund', () => {
+    /**
+     * @function disputedClock
+     * @param {Record<string, any>} escrow - Escrow state of the order.
+     * @returns {Record<string, any>} Paid order under dispute.
+     */
+    const disputedClock = (escrow) => ({
+      _id: new mongoose.Types.ObjectId(),
+      sellerId: consignorId,
+      total: 1290,
+      buyersPremium: 200,
+      sellerCommission: 100,
+      tax: 90,
+      sellerProceeds: 900,
+      escrow
+    });
+
+    it('reverses the whole payment for a full refund', async () => {
+      const sellerPortion = await recordOrderRefund(disputedClock({ heldAt: new Date(), releasedAt: null }), 1290);
+
+      assert.equal(sellerPortion, 900);
+      assert.deepEqual(postedEntries.map(({ account, debit, credit }) => [account, debit, credit]), [
+        ['escrow', 900, 0],
+        ['platform-fees', 300, 0],
+        ['sales-tax', 90, 0],
+        ['cash', 0, 1290]
+      ]);
+    });
+
+    it('takes a partial refund from the released balance', async () => {
+      const sellerPortion = await recordOrderRefund(disputedClock({ heldAt: new Date(), releasedAt: new Date() }), 150);
+
+      assert.equal(sellerPortion, 150);
+      assert.deepEqual(postedEntries.map(({ account, debit, credit }) => [account, debit, credit]), [
+        ['seller-balance', 150, 0],
+        ['cash', 0, 150]
+      ]);
+    });
+
+    it('posts nothing for orders paid before escrow existed', async () => {
+      assert.equal(await recordOrderRefund(disputedClock({ heldAt: null }), 1290), 900);
+      assert.deepEqual(postedEntries, []);
+    });
+  });
+});
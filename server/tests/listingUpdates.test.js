@@ -0,0 +1,124 @@
+/**
+ * @file listingUpdates.test.js
+ * @description Sellers editing a published listing and the terms fixed once bidding starts.
+ */
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+import { updateItem } from '../controllers/item.controller.js';
+import { stubQuery } from './helpers/mongooseStubs.js';
+import { createRequest, createResponse } from './helpers/httpStubs.js';
+
+const owner = { _id: new mongoose.Types.ObjectId(), username: 'clementine' };
+
+/**
+ * @function bronzeDancer
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Live listing owned by `owner`, with save stubbed.
+ */
+const bronzeDancer = (overrides = {}) => {
+  const listing = new Item({
+    title: 'Art Deco bronze dancer on onyx base',
+    description: 'Cold-painted bronze, signed on the base.',
+    sellerId: owner._id,
+    startingPrice: 600,
+    currentPrice: 600,
+    reservePrice: 900,
+    buyNowPrice: 1500,
+    bidIncrement: 25,
+    status: 'active',
+    endTime: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    ...overrides
+  });
+  mock.method(listing, 'save', async () => listing);
+  return listing;
+};
+
+/**
+ * @function editListing
+ * @param {import('mongoose').Document} listing - Listing being edited.
+ * @param {Record<string, any>} body - Submitted changes.
+ * @returns {Promise<ReturnType<typeof createResponse>>}
+ */
+const editListing = async (listing, body) => {
+  mock.method(Item, 'findById', () => stubQuery(listing));
+  const res = createResponse();
+  await updateItem(createRequest(owner, { params: { id: listing._id.toString() }, body }), res);
+  return res;
+};
+
+describe('updateItem', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets the seller reprice a listing nobody has bid on', async () => {
+    const dancer = bronzeDancer();
+
+    const res = await editListing(dancer, { startingPrice: 550, reservePrice: 850, era: '1920s' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(dancer.startingPrice, 550);
+    assert.equal(dancer.currentPrice, 550, 'the asking price follows the new starting price');
+    assert.equal(dancer.reservePrice, 850);
+    assert.equal(dancer.era, '1920s');
+  });
+
+  it('fixes prices and increments once bidding has started', async () => {
+    const bidder = new mongoose.Types.ObjectId();
+    const dancer = bronzeDancer({ totalBids: 3, currentPrice: 675, highestBidder: bidder });
+
+    const res = await editListing(dancer, {
+      description: 'Cold-painted bronze, signed Chiparus on the base.',
+      startingPrice: 100,
+      reservePrice: 2000,
+      buyNowPrice: 700,
+      bidIncrement: 200,
+      incrementPreset: 'standard'
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(dancer.description, 'Cold-painted bronze, signed Chiparus on the base.');
+    assert.equal(dancer.startingPrice, 600);
+    assert.equal(dancer.currentPrice, 675);
+    assert.equal(dancer.reservePrice, 900);
+    assert.equal(dancer.buyNowPrice, 1500);
+    assert.equal(dancer.bidIncrement, 25);
+    assert.equal(dancer.incrementPreset, 'flat');
+  });
+
+  it('ignores fields the auction manages itself', async () => {
+    const dancer = bronzeDancer({ status: 'upcoming', startTime: new Date(Date.now() + 60 * 60 * 1000) });
+
+    const res = await editListing(dancer, {
+      status: 'active',
+      isAuctionOver: true,
+      isMultiUnit: true,
+      totalQuantity: 12,
+      settlements: [{ hammerPrice: 1 }],
+      winnerId: new mongoose.Types.ObjectId(),
+      sellerId: new mongoose.Types.ObjectId()
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(dancer.status, 'upcoming');
+    assert.equal(dancer.isAuctionOver, false);
+    assert.equal(dancer.isMultiUnit, false);
+    assert.equal(dancer.totalQuantity, 1);
+    assert.equal(dancer.settlements.length, 0);
+    assert.equal(dancer.winnerId, null);
+    assert.equal(dancer.sellerId.toString(), owner._id.toString());
+  });
+
+  it('keeps event lots on the event schedule', async () => {
+    const lotClose = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000);
+    const dancer = bronzeDancer({ eventId: new mongoose.Types.ObjectId(), lotNumber: 14, endTime: lotClose });
+
+    await editListing(dancer, { endTime: new Date(Date.now() + 60 * 1000).toISOString(), condition: 'Fair' });
+
+    assert.equal(dancer.endTime.getTime(), lotClose.getTime());
+    assert.equal(dancer.condition, 'Fair');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @file money.test.js
+ * @description Minor-unit storage, rounding, formatting and currency conversion.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { formatMoney, fromMinorUnits, moneyPath, roundMoney, toMinorUnits } from '../utils/money.js';
+import { convertAmount, parseExchangeRates } from '../utils/exchangeRates.js';
+
+/**
+ * @function pewterOrder
+ * @param {Record<string, any>} amounts - Money fields.
+ * @returns {import('mongoose').Document}
+ */
+const pewterOrder = (amounts) => new Order({
+  itemId: new mongoose.Types.ObjectId(),
+  buyerId: new mongoose.Types.ObjectId(),
+  sellerId: new mongoose.Types.ObjectId(),
+  paymentDueAt: new Date(),
+  ...amounts
+});
+
+describe('toMinorUnits and fromMinorUnits', () => {
+  it('round-trips amounts without floating-point drift', () => {
+    assert.equal(toMinorUnits(19.99), 1999);
+    assert.equal(toMinorUnits(0.1 + 0.2), 30);
+    assert.equal(toMinorUnits('12.5'), 1250);
+    assert.equal(fromMinorUnits(1999), 19.99);
+  });
+
+  it('passes empty and non-numeric values through for the schema to report', () => {
+    assert.equal(toMinorUnits(null), null);
+    assert.equal(toMinorUnits(''), '');
+    assert.equal(toMinorUnits('a dozen'), 'a dozen');
+    assert.equal(fromMinorUnits(undefined), undefined);
+  });
+});
+
+describe('roundMoney and formatMoney', () => {
+  it('rounds to the nearest minor unit', () => {
+    assert.equal(roundMoney(10.005), 10.01);
+    assert.equal(roundMoney(1.1 * 3), 3.3);
+  });
+
+  it('formats with the currency symbol and grouping', () => {
+    assert.equal(formatMoney(1250, 'GBP'), '£1,250.00');
+    assert.equal(formatMoney(-3.5, 'EUR'), '-€3.50');
+    assert.equal(formatMoney(7), '$7.00');
+    assert.equal(formatMoney(1, 'XYZ'), '$1.00', 'unknown currencies fall back to the base symbol');
+  });
+});
+
+describe('moneyPath', () => {
+  it('scales a major-unit minimum to the stored value', () => {
+    assert.deepEqual(moneyPath({ min: [1, 'Too low.'] }).min, [100, 'Too low.']);
+    assert.equal(moneyPath({ min: 0.5 }).min, 50);
+  });
+
+  it('stores minor units and reads major units on a document', () => {
+    const order = pewterOrder({ hammerPrice: 120, total: 134.99 });
+
+    assert.equal(order.get('total', null, { getters: false }), 13499);
+    assert.equal(order.total, 134.99);
+    assert.equal(order.toJSON().hammerPrice, 120);
+    assert.equal(order.validateSync(), undefined);
+  });
+
+  it('rejects amounts below the minimum', () => {
+    assert.ok(pewterOrder({ hammerPrice: -1, total: 0 }).validateSync().errors.hammerPrice);
+  });
+});
+
+describe('exchange rates', () => {
+  const rates = { USD: 1, GBP: 0.79, EUR: 0.92 };
+
+  it('converts through the base currency and rounds to the minor unit', () => {
+    assert.equal(convertAmount(100, 'USD', 'GBP', rates), 79);
+    assert.equal(convertAmount(79, 'GBP', 'USD', rates), 100);
+    assert.equal(convertAmount(10, 'GBP', 'EUR', rates), 11.65);
+    assert.equal(convertAmount(10, 'EUR', 'EUR', rates), 10);
+  });
+
+  it('accepts one positive rate per quoted currency', () => {
+    assert.deepEqual(
+      parseExchangeRates('[{"currency":"eur","rate":"0.9"},{"currency":"GBP","rate":0.8}]'),
+      [{ currency: 'GBP', rate: 0.8 }, { currency: 'EUR', rate: 0.9 }]
+    );
+  });
+
+  it('rejects missing, duplicated, unknown and non-positive rates', () => {
+    assert.throws(() => parseExchangeRates([{ currency: 'GBP', rate: 0.8 }]), /exactly once/);
+    assert.throws(() => parseExchangeRates([{ currency: 'GBP', rate: 0.8 }, { currency: 'GBP', rate: 0.8 }]), /exactly once/);
+    assert.throws(() => parseExchangeRates([{ currency: 'JPY', rate: 150 }, { currency: 'GBP', rate: 0.8 }]), /Currency must be one of/);
+    assert.throws(() => parseExchangeRates([{ currency: 'GBP', rate: 0 }, { currency: 'EUR', rate: 0.9 }]), /positive number/);
+    assert.throws(() => parseExchangeRates('not json'), /valid JSON/);
+  });
+});
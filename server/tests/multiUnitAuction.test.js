@@ -0,0 +1,81 @@
+/**
+ * @file multiUnitAuction.test.js
+ * @description Unit allocation and clearing prices for multi-unit (Dutch) auctions.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateUnits, formatWinningBids } from '../utils/multiUnitAuction.js';
+
+/**
+ * @function standingBid
+ * @param {string} username - Bidder name, also used as the ids.
+ * @param {number} bidAmount - Price per unit.
+ * @param {number} quantity - Units wanted.
+ * @param {string} timestamp - When the bid was placed.
+ * @returns {Record<string, any>} Bid shaped like a populated standing bid.
+ */
+const standingBid = (username, bidAmount, quantity, timestamp) => ({
+  _id: `bid-${username}`,
+  bidderId: { _id: `user-${username}`, username },
+  bidAmount,
+  quantity,
+  timestamp: new Date(timestamp)
+});
+
+describe('allocateUnits', () => {
+  it('fills units from the highest bid down and charges everyone the lowest winning bid', () => {
+    const bids = [
+      standingBid('ada', 30, 2, '2024-03-01T10:00:00Z'),
+      standingBid('ben', 45, 3, '2024-03-01T10:05:00Z'),
+      standingBid('cal', 38, 4, '2024-03-01T10:02:00Z')
+    ];
+
+    const { allocations, unitsAllocated, clearingPrice } = allocateUnits(bids, 6);
+
+    assert.deepEqual(
+      allocations.map(({ bid, quantity }) => [bid.bidderId.username, quantity]),
+      [['ben', 3], ['cal', 3]]
+    );
+    assert.equal(unitsAllocated, 6);
+    assert.equal(clearingPrice, 38);
+  });
+
+  it('gives tied bids to the earlier bidder', () => {
+    const bids = [
+      standingBid('late', 25, 1, '2024-03-01T12:00:00Z'),
+      standingBid('early', 25, 1, '2024-03-01T11:00:00Z')
+    ];
+
+    const { allocations } = allocateUnits(bids, 1);
+
+    assert.deepEqual(allocations.map(({ bid }) => bid.bidderId.username), ['early']);
+  });
+
+  it('leaves units unsold and ignores bids under the minimum', () => {
+    const bids = [
+      standingBid('ada', 12, 1, '2024-03-01T10:00:00Z'),
+      standingBid('ben', 20, 2, '2024-03-01T10:01:00Z')
+    ];
+
+    const { allocations, unitsAllocated, clearingPrice } = allocateUnits(bids, 5, 15);
+
+    assert.equal(allocations.length, 1);
+    assert.equal(unitsAllocated, 2);
+    assert.equal(clearingPrice, 20);
+  });
+
+  it('has no clearing price without bids', () => {
+    assert.deepEqual(allocateUnits([], 3), { allocations: [], unitsAllocated: 0, clearingPrice: null });
+  });
+});
+
+describe('formatWinningBids', () => {
+  it('shapes allocations for clients', () => {
+    const bid = standingBid('ada', 30, 2, '2024-03-01T10:00:00Z');
+
+    assert.deepEqual(formatWinningBids([{ bid, quantity: 2 }]), [
+      { bidId: 'bid-ada', userId: 'user-ada', username: 'ada', bidAmount: 30, quantity: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * @file orders.test.js
+ * @description Opening orders for won items and paying for them at checkout.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ExchangeRateTable from '../models/ExchangeRateTable.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Item from '../models/Item.js';
+import Order from '../models/Order.js';
+import ShippingRateTable from '../models/ShippingRateTable.js';
+import User from '../models/User.js';
+import { cancelOrder, checkoutOrder } from '../controllers/order.controller.js';
+import { PAYMENT_WINDOW_DAYS, openOrdersForItem } from '../utils/orders.js';
+import { createFakeSession, stubQuery } from './helpers/mongooseStubs.js';
+import { createRequest, createResponse } from './helpers/httpStubs.js';
+
+const buyer = { _id: new mongoose.Types.ObjectId(), username: 'ptolemy', email: null };
+const seller = { _id: new mongoose.Types.ObjectId(), username: 'fenwick', email: null };
+
+/**
+ * @function wonLantern
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Closed item with the buyer's settlement recorded.
+ */
+const wonLantern = (overrides = {}) => new Item({
+  title: 'Brass ship\'s masthead lantern',
+  sellerId: seller._id,
+  startingPrice: 120,
+  currentPrice: 260,
+  status: 'ended',
+  isAuctionOver: true,
+  winnerId: buyer._id,
+  shipping: { method: 'flat', flatRate: 18.5 },
+  settlements: [{ buyerId: buyer._id, quantity: 1, hammerPrice: 260, buyersPremium: 52, taxRatePercent: 0, tax: 0, total: 312 }],
+  ...overrides
+});
+
+describe('openOrdersForItem', () => {
+  beforeEach(() => {
+    mock.method(FeeSchedule, 'findOne', () => stubQuery({ sellerCommissionPercent: 12 }));
+    mock.method(ShippingRateTable, 'findOne', () => stubQuery(null));
+    mock.method(ExchangeRateTable, 'findOne', () => stubQuery(null));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('opens an order for the settlement plus shipping, due within the payment window', async () => {
+    mock.method(Order, 'find', () => stubQuery([]));
+    const insertMany = mock.method(Order, 'insertMany', async (orders) => orders);
+    mock.method(User, 'find', () => stubQuery([]));
+    const lantern = wonLantern();
+
+    const [order] = await openOrdersForItem(lantern);
+
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.equal(order.buyerId.toString(), buyer._id.toString());
+    assert.equal(order.hammerPrice, 260);
+    assert.equal(order.shippingCost, 18.5);
+    assert.equal(order.total, 330.5);
+    assert.equal(order.fulfillment.method, 'flat');
+    assert.equal(order.sellerCommission, 31.2);
+    assert.equal(order.sellerProceeds, 247.3);
+    const dueInDays = (order.paymentDueAt - Date.now()) / (24 * 60 * 60 * 1000);
+    assert.ok(Math.abs(dueInDays - PAYMENT_WINDOW_DAYS) < 0.01);
+  });
+
+  it('leaves the buyer email to callers that send their own', async () => {
+    mock.method(Order, 'find', () => stubQuery([]));
+    mock.method(Order, 'insertMany', async (orders) => orders);
+    const findUsers = mock.method(User, 'find', () => stubQuery([]));
+
+    const orders = await openOrdersForItem(wonLantern(), { notifyBuyers: false });
+
+    assert.equal(orders.length, 1);
+    assert.equal(findUsers.mock.callCount(), 1, 'only the address lookup');
+  });
+
+  it('emails the buyer the amount due with the invoice attached', async () => {
+    const emailedBuyer = { ...buyer, email: 'ptolemy@example.net' };
+    mock.method(Order, 'find', () => stubQuery([]));
+    mock.method(Order, 'insertMany', async (orders) => orders.map((order) => new Order(order)));
+    mock.method(User, 'find', () => stubQuery([emailedBuyer]));
+    mock.method(User, 'findById', (userId) => stubQuery(userId.toString() === seller._id.toString() ? seller : emailedBuyer));
+    const skippedEmails = mock.method(console, 'info', () => {});
+    const errors = mock.method(console, 'error', () => {});
+
+    await openOrdersForItem(wonLantern());
+
+    assert.equal(errors.mock.callCount(), 0);
+    assert.deepEqual(skippedEmails.mock.calls.map(({ arguments: [, subject, , to] }) => [subject, to]), [
+      ['Payment due: Brass ship\'s masthead lantern', 'ptolemy@example.net']
+    ]);
+  });
+
+  it('quotes calculated shipping to the buyer\'s address', async () => {
+    mock.method(Order, 'find', () => stubQuery([]));
+    mock.method(Order, 'insertMany', async (orders) => orders);
+    mock.method(User, 'find', () => stubQuery([
+      { _id: seller._id, address: { city: 'Hull', state: 'East Riding', country: 'UK' } },
+      { _id: buyer._id, address: { city: 'Beverley', state: 'East Riding', country: 'UK' } }
+    ]));
+    const lantern = wonLantern({
+      shipping: { method: 'calculated' },
+      dimensions: { height: 40, width: 20, depth: 20, unit: 'cm', weight: 3.2, weightUnit: 'kg' }
+    });
+
+    const [order] = await openOrdersForItem(lantern, { notifyBuyers: false });
+
+    assert.equal(order.fulfillment.method, 'calculated');
+    assert.equal(order.fulfillment.zone, 'regional');
+    assert.equal(order.shippingCost, 15.5, 'regional base 12 plus 3.5 kg at 1 per kg');
+    assert.equal(order.total, 327.5);
+  });
+
+  it('does not open a second order for the same buyer', async () => {
+    mock.method(Order, 'find', () => stubQuery([{ buyerId: buyer._id }]));
+    const insertMany = mock.method(Order, 'insertMany', async (orders) => orders);
+    mock.method(User, 'find', () => stubQuery([]));
+
+    assert.deepEqual(await openOrdersForItem(wonLantern()), []);
+    assert.deepEqual(insertMany.mock.calls[0].arguments[0], []);
+  });
+
+  it('opens nothing for unsold items or reverse listings', async () => {
+    const find = mock.method(Order, 'find', () => stubQuery([]));
+
+    assert.deepEqual(await openOrdersForItem(wonLantern({ winnerId: null })), []);
+    assert.deepEqual(await openOrdersForItem(wonLantern({ listingType: 'reverse', shipping: undefined })), []);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
+
+describe('checkoutOrder', () => {
+  /**
+   * @function unpaidOrder
+   * @returns {Record<string, any>} Order awaiting payment, populated as the controller loads it.
+   */
+  const unpaidOrder = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    itemId: { _id: new mongoose.Types.ObjectId(), title: 'Brass ship\'s masthead lantern' },
+    buyerId: buyer,
+    sellerId: seller,
+    status: 'awaiting-payment',
+    currency: 'USD',
+    hammerPrice: 260,
+    buyersPremium: 52,
+    tax: 0,
+    shippingCost: 18.5,
+    total: 330.5,
+    sellerCommission: 31.2,
+    sellerProceeds: 247.3
+  });
+
+  let session;
+  let postedEntries;
+
+  beforeEach(() => {
+    session = createFakeSession();
+    postedEntries = [];
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(ExchangeRateTable, 'findOne', () => stubQuery(null));
+    mock.method(LedgerEntry, 'insertMany', async (entries) => {
+      postedEntries.push(...entries);
+      return entries;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('charges the total and marks the order paid', async () => {
+    const order = unpaidOrder();
+    mock.method(Order, 'findById', () => stubQuery(order));
+    const settle = mock.method(Order, 'findOneAndUpdate', async (filter, update) => ({ ...order, ...update }));
+    const res = createResponse();
+
+    await checkoutOrder(createRequest(buyer, { params: { id: order._id.toString() }, body: { paymentToken: 'tok_visa' } }), res);
+
+    assert.equal(res.statusCode, 200);
+    const [filter, update] = settle.mock.calls[0].arguments;
+    assert.equal(filter.status, 'awaiting-payment');
+    assert.equal(update.status, 'paid');
+    assert.equal(update.payment.provider, 'fake');
+    assert.match(update.payment.reference, /^fake_/);
+    assert.ok(update['escrow.heldAt'] instanceof Date);
+    assert.equal(update.exchangeRate, 1);
+    assert.equal(session.state, 'committed');
+    assert.deepEqual(postedEntries.map(({ account, debit, credit }) => [account, debit, credit]), [
+      ['cash', 330.5, 0],
+      ['escrow', 0, 247.3],
+      ['platform-fees', 0, 83.2]
+    ]);
+  });
+
+  it('reports a declined card without touching the order', async () => {
+    const order = unpaidOrder();
+    mock.method(Order, 'findById', () => stubQuery(order));
+    const settle = mock.method(Order, 'findOneAndUpdate', async () => null);
+    const res = createResponse();
+
+    await checkoutOrder(createRequest(buyer, { params: { id: order._id.toString() }, body: { paymentToken: 'tok_declined' } }), res);
+
+    assert.equal(res.statusCode, 402);
+    assert.equal(settle.mock.callCount(), 0);
+  });
+
+  it('flags a charge for refund when the order was cancelled mid-checkout', async () => {
+    const order = unpaidOrder();
+    mock.method(Order, 'findById', () => stubQuery(order));
+    mock.method(Order, 'findOneAndUpdate', async () => null);
+    mock.method(console, 'error', () => {});
+    const res = createResponse();
+
+    await checkoutOrder(createRequest(buyer, { params: { id: order._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(postedEntries, []);
+  });
+
+  it('only lets the buyer pay', async () => {
+    const order = unpaidOrder();
+    mock.method(Order, 'findById', () => stubQuery(order));
+    const res = createResponse();
+
+    await checkoutOrder(createRequest(seller, { params: { id: order._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 403);
+  });
+});
+
+describe('cancelOrder', () => {
+  /**
+   * @function pendingPaperweight
+   * @param {Record<string, any>} [overrides] - Fields to change.
+   * @returns {Record<string, any>} Seller's order as the controller first loads it.
+   */
+  const pendingPaperweight = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    itemId: { title: 'Pietra dura paperweight' },
+    buyerId: { email: null },
+    sellerId: seller._id,
+    status: 'awaiting-payment',
+    ...overrides
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('cancels only while the order is still awaiting payment', async () => {
+    const order = pendingPaperweight();
+    mock.method(Order, 'findById', () => stubQuery(order));
+    const claim = mock.method(Order, 'findOneAndUpdate', (filter, update) => stubQuery({ ...order, ...update }));
+    const res = createResponse();
+
+    await cancelOrder(createRequest(seller, { params: { id: order._id.toString() }, body: { reason: 'Buyer asked to withdraw.' } }), res);
+
+    assert.equal(res.statusCode, 200);
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: order._id, status: 'awaiting-payment' });
+    assert.equal(update.status, 'cancelled');
+    assert.equal(update.cancellationReason, 'Buyer asked to withdraw.');
+    assert.equal(res.body.order.status, 'cancelled');
+  });
+
+  it('refuses when the buyer paid between loading and cancelling', async () => {
+    const order = pendingPaperweight();
+    mock.method(Order, 'findById', () => stubQuery(order));
+    mock.method(Order, 'findOneAndUpdate', () => stubQuery(null));
+    const res = createResponse();
+
+    await cancelOrder(createRequest(seller, { params: { id: order._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.message, /no longer awaiting payment/);
+  });
+
+  it('leaves paid orders alone', async () => {
+    const order = pendingPaperweight({ status: 'paid' });
+    mock.method(Order, 'findById', () => stubQuery(order));
+    const claim = mock.method(Order, 'findOneAndUpdate', () => stubQuery(null));
+    const res = createResponse();
+
+    await cancelOrder(createRequest(seller, { params: { id: order._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(claim.mock.callCount(), 0);
+  });
+});
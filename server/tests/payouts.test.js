@@ -0,0 +1,101 @@
+/**
+ * @file payouts.test.js
+ * @description Scheduled payout batches transferring released seller balances, claimed once per
+ * period.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Payout from '../models/Payout.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import User from '../models/User.js';
+import { DEFAULT_PAYOUT_INTERVAL_HOURS, runDuePayoutBatch } from '../utils/payouts.js';
+import { createFakeSession, stubQuery } from './helpers/mongooseStubs.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('runDuePayoutBatch', () => {
+  let batch;
+  let postedEntries;
+
+  beforeEach(() => {
+    postedEntries = [];
+    mock.method(PayoutBatch, 'create', async (fields) => {
+      batch = new PayoutBatch(fields);
+      mock.method(batch, 'save', async () => batch);
+      return batch;
+    });
+    mock.method(mongoose, 'startSession', async () => createFakeSession());
+    mock.method(Payout, 'create', async ([fields]) => [{ _id: new mongoose.Types.ObjectId(), ...fields }]);
+    mock.method(LedgerEntry, 'insertMany', async (entries) => {
+      postedEntries.push(...entries);
+      return entries;
+    });
+    mock.method(User, 'findById', () => stubQuery({ email: null }));
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('waits for the payout interval to pass', async () => {
+    mock.method(PayoutBatch, 'findOne', () => stubQuery({ runAt: new Date(Date.now() - HOUR_MS) }));
+
+    assert.equal(await runDuePayoutBatch(), null);
+    assert.equal(PayoutBatch.create.mock.callCount(), 0);
+  });
+
+  it('runs the first batch without waiting', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 10, 4, 2) });
+    // The lookup takes a moment, as it does on a real database
+    mock.method(PayoutBatch, 'findOne', () => {
+      mock.timers.tick(40);
+      return stubQuery(null);
+    });
+    mock.method(LedgerEntry, 'aggregate', async () => []);
+
+    const result = await runDuePayoutBatch();
+
+    assert.equal(result, batch);
+    assert.equal(batch.previousBatchId, null);
+  });
+
+  it('pays every positive released balance and records the transfers', async () => {
+    const [weaver, potter, glazier] = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+    const lastWeek = { _id: new mongoose.Types.ObjectId(), runAt: new Date(Date.now() - (DEFAULT_PAYOUT_INTERVAL_HOURS + 1) * HOUR_MS) };
+    mock.method(PayoutBatch, 'findOne', () => stubQuery(lastWeek));
+    mock.method(LedgerEntry, 'aggregate', async () => [
+      { _id: weaver, credit: 31040, debit: 0 },
+      { _id: potter, credit: 50000, debit: 50000 },
+      { _id: glazier, credit: 7525, debit: 2000 }
+    ]);
+
+    const result = await runDuePayoutBatch();
+
+    assert.equal(result, batch);
+    assert.equal(batch.previousBatchId.toString(), lastWeek._id.toString());
+    assert.equal(batch.payoutCount, 2);
+    assert.equal(batch.failedCount, 0);
+    assert.equal(batch.totalAmount, 365.65);
+    assert.deepEqual(
+      postedEntries.filter(({ account }) => account === 'seller-balance').map(({ sellerId, debit }) => [sellerId.toString(), debit]),
+      [[weaver.toString(), 310.4], [glazier.toString(), 55.25]]
+    );
+  });
+
+  it('leaves the period to the run that claimed it first', async () => {
+    mock.method(PayoutBatch, 'findOne', () => stubQuery(null));
+    mock.method(PayoutBatch, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error collection: payoutbatches'), { code: 11000 });
+    });
+    const balances = mock.method(LedgerEntry, 'aggregate', async () => []);
+
+    assert.equal(await runDuePayoutBatch(), null);
+    assert.equal(PayoutBatch.create.mock.calls[0].arguments[0].previousBatchId, null);
+    assert.equal(balances.mock.callCount(), 0);
+    assert.deepEqual(postedEntries, []);
+  });
+});
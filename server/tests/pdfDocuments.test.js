@@ -0,0 +1,53 @@
+/**
+ * @file pdfDocuments.test.js
+ * @description Invoice and consignment statement PDFs.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { getInvoiceNumber, renderInvoicePdf, renderSellerStatementPdf } from '../utils/pdfDocuments.js';
+
+const orderId = new mongoose.Types.ObjectId('65f1c0de4b1d2e3f4a5b6c7d');
+const settledOrder = {
+  _id: orderId,
+  status: 'paid',
+  createdAt: new Date('2024-07-03T12:00:00Z'),
+  payment: { paidAt: new Date('2024-07-05T09:30:00Z') },
+  hammerPrice: 860,
+  buyersPremium: 172,
+  tax: 0,
+  shippingCost: 25,
+  total: 1057,
+  sellerCommission: 86,
+  sellerProceeds: 799,
+  itemId: { _id: new mongoose.Types.ObjectId(), title: 'Lot 8: Edwardian mahogany tantalus', lotNumber: 8 }
+};
+const buyer = { username: 'marguerite', email: 'marguerite@example.org', address: { street: '4 Quay Row', city: 'Whitby', country: 'UK' } };
+const seller = { username: 'ashdown-antiques', email: 'ashdown@example.org' };
+
+describe('getInvoiceNumber', () => {
+  it('derives a stable number from the order id', () => {
+    assert.equal(getInvoiceNumber(settledOrder), 'INV-4A5B6C7D');
+    assert.equal(getInvoiceNumber({ _id: orderId }), getInvoiceNumber(settledOrder));
+  });
+});
+
+describe('PDF rendering', () => {
+  it('renders an invoice', async () => {
+    const pdf = await renderInvoicePdf({ order: settledOrder, item: settledOrder.itemId, buyer, seller });
+
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('renders a statement, including one with no sales', async () => {
+    const period = { periodStart: new Date('2024-07-01'), periodEnd: new Date('2024-07-31') };
+
+    const withSales = await renderSellerStatementPdf({ seller, orders: [settledOrder], ...period });
+    const empty = await renderSellerStatementPdf({ seller, orders: [], ...period });
+
+    assert.equal(withSales.subarray(0, 5).toString(), '%PDF-');
+    assert.equal(empty.subarray(0, 5).toString(), '%PDF-');
+  });
+});
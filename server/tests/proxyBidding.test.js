@@ -0,0 +1,110 @@
+/**
+ * @file proxyBidding.test.js
+ * @description The proxy bidding engine resolving competing auto-bids in one pass.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import Item from '../models/Item.js';
+import { processAutoBidding } from '../controllers/autoBid.controller.js';
+import { createFakeSession, stubQuery } from './helpers/mongooseStubs.js';
+
+/**
+ * @function maximum
+ * @param {string} username - Auto-bidder.
+ * @param {number} maxBidAmount - Their maximum.
+ * @param {string} maxSetAt - When they set it.
+ * @returns {Record<string, any>} Active auto-bid with its user populated.
+ */
+const maximum = (username, maxBidAmount, maxSetAt) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: { _id: new mongoose.Types.ObjectId(), username, email: null },
+  maxBidAmount,
+  maxSetAt: new Date(maxSetAt),
+  isActive: true,
+  currentAutoBidAmount: 0,
+  save: async () => {}
+});
+
+describe('processAutoBidding', () => {
+  let session;
+  let lot;
+  let placedBids;
+  let socketEvents;
+  const socketIo = {
+    emit: (event, payload) => socketEvents.push({ event, payload }),
+    to: () => ({ emit: () => {} })
+  };
+
+  beforeEach(() => {
+    session = createFakeSession();
+    placedBids = [];
+    socketEvents = [];
+    lot = new Item({
+      title: 'Set of six Regency dining chairs',
+      sellerId: new mongoose.Types.ObjectId(),
+      startingPrice: 100,
+      currentPrice: 100,
+      bidIncrement: 10,
+      status: 'active',
+      endTime: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    mock.method(lot, 'save', async () => lot);
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(Item, 'findById', () => stubQuery(lot));
+    mock.method(Bid, 'create', async ([fields]) => {
+      const bid = { _id: new mongoose.Types.ObjectId(), timestamp: new Date(), ...fields };
+      placedBids.push(bid);
+      return [bid];
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets the highest maximum win at one increment over the runner-up', async () => {
+    const early = maximum('ines', 200, '2024-05-01T09:00:00Z');
+    const late = maximum('otto', 150, '2024-05-01T09:30:00Z');
+    mock.method(AutoBid, 'find', () => stubQuery([late, early]));
+
+    await processAutoBidding(lot._id, socketIo);
+
+    assert.equal(session.state, 'committed');
+    assert.deepEqual(placedBids.map(({ bidAmount }) => bidAmount), [150, 160]);
+    assert.ok(placedBids.every(({ isAutoBid }) => isAutoBid));
+    assert.equal(lot.currentPrice, 160);
+    assert.equal(lot.highestBidder.toString(), early.userId._id.toString());
+    assert.equal(lot.totalBids, 2);
+    assert.equal(late.isActive, false);
+    assert.equal(early.isActive, true);
+    assert.equal(socketEvents.filter(({ event }) => event === 'new-bid-placed').length, 1);
+  });
+
+  it('gives equal maximums to the one set first, at that maximum', async () => {
+    const first = maximum('ines', 180, '2024-05-01T09:00:00Z');
+    const second = maximum('otto', 180, '2024-05-01T10:00:00Z');
+    mock.method(AutoBid, 'find', () => stubQuery([second, first]));
+
+    await processAutoBidding(lot._id, socketIo);
+
+    assert.equal(lot.currentPrice, 180);
+    assert.equal(lot.highestBidder.toString(), first.userId._id.toString());
+  });
+
+  it('leaves a leader alone when no one else can make a valid bid', async () => {
+    const leader = maximum('ines', 300, '2024-05-01T09:00:00Z');
+    const outpriced = maximum('otto', 105, '2024-05-01T09:30:00Z');
+    lot.highestBidder = leader.userId._id;
+    mock.method(AutoBid, 'find', () => stubQuery([leader, outpriced]));
+
+    await processAutoBidding(lot._id, socketIo);
+
+    assert.equal(session.state, 'aborted');
+    assert.deepEqual(placedBids, []);
+    assert.equal(lot.currentPrice, 100);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @file relisting.test.js
+ * @description Relist rules and cloning unsold items as new listings.
+ */
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+import { getRelistStartingPrice, isUnsold, parseRelistRules, relistUnsoldItem } from '../utils/relisting.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @function closedQuilt
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Three-day listing that has just closed without a winner.
+ */
+const closedQuilt = (overrides = {}) => {
+  const endTime = new Date();
+  const quilt = new Item({
+    title: 'Welsh wholecloth quilt, paisley centre',
+    sellerId: new mongoose.Types.ObjectId(),
+    startingPrice: 240,
+    currentPrice: 240,
+    buyNowPrice: 390,
+    startTime: new Date(endTime.getTime() - 72 * HOUR_MS),
+    endTime,
+    status: 'ended',
+    isAuctionOver: true,
+    relistRules: { maxRelists: 2, priceReductionPercent: 15, durationHours: null },
+    ...overrides
+  });
+  mock.method(quilt, 'save', async () => quilt);
+  return quilt;
+};
+
+describe('parseRelistRules', () => {
+  it('reads the JSON string multipart forms send', () => {
+    assert.deepEqual(
+      parseRelistRules('{"maxRelists":"3","priceReductionPercent":"12.5","durationHours":""}'),
+      { maxRelists: 3, priceReductionPercent: 12.5, durationHours: null }
+    );
+  });
+
+  it('rejects out-of-range rules', () => {
+    assert.throws(() => parseRelistRules({ maxRelists: 11 }), /between 0 and 10/);
+    assert.throws(() => parseRelistRules({ maxRelists: 1, priceReductionPercent: 95 }), /between 0% and 90%/);
+    assert.throws(() => parseRelistRules({ maxRelists: 1, durationHours: 0.5 }), /between 1 and 720 hours/);
+    assert.throws(() => parseRelistRules('[1,2]'), /must be an object/);
+  });
+});
+
+describe('relist pricing', () => {
+  it('reduces the starting price by the rule, to the cent', () => {
+    assert.equal(getRelistStartingPrice(closedQuilt()), 204);
+    assert.equal(getRelistStartingPrice(closedQuilt({ startingPrice: 9.99, currentPrice: 9.99, buyNowPrice: null })), 8.49);
+  });
+
+  it('treats reserve misses as unsold but not sales', () => {
+    assert.equal(isUnsold(closedQuilt({ totalBids: 4, highestBidder: new mongoose.Types.ObjectId() })), true);
+    assert.equal(isUnsold(closedQuilt({ winnerId: new mongoose.Types.ObjectId() })), false);
+  });
+});
+
+describe('relistUnsoldItem', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('starts a linked listing at the reduced price for the original duration', async () => {
+    const create = mock.method(Item, 'create', async (fields) => new Item(fields));
+    const quilt = closedQuilt();
+
+    const relisted = await relistUnsoldItem(quilt);
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(relisted.startingPrice, 204);
+    assert.equal(relisted.currentPrice, 204);
+    assert.equal(relisted.buyNowPrice, 390);
+    assert.equal(relisted.status, 'active');
+    assert.equal(relisted.endTime - relisted.startTime, 72 * HOUR_MS);
+    assert.equal(relisted.relistCount, 1);
+    assert.equal(relisted.relistedFromId, quilt._id);
+    assert.equal(quilt.relistedAsId, relisted._id);
+  });
+
+  it('keeps a Buy It Now price at the starting price and uses the relist duration', async () => {
+    mock.method(Item, 'create', async (fields) => new Item(fields));
+    const quilt = closedQuilt({ buyNowPrice: 240, relistRules: { maxRelists: 1, priceReductionPercent: 0, durationHours: 48 } });
+
+    const relisted = await relistUnsoldItem(quilt);
+
+    assert.equal(relisted.buyNowPrice, 240);
+    assert.equal(relisted.endTime - relisted.startTime, 48 * HOUR_MS);
+  });
+
+  it('copies tiered increments, shipping and approval settings without rescaling them', async () => {
+    mock.method(Item, 'create', async (fields) => new Item(fields));
+    const quilt = closedQuilt({
+      incrementPreset: 'custom',
+      incrementTiers: [{ upTo: 300, increment: 15 }, { upTo: null, increment: 30 }],
+      shipping: { method: 'flat', flatRate: 14.95 },
+      approvalThreshold: 1000,
+      approvalDeposit: 150
+    });
+
+    const relisted = await relistUnsoldItem(quilt);
+
+    assert.equal(relisted.shipping.get('flatRate', null, { getters: false }), 1495);
+    assert.deepEqual(relisted.toObject({ getters: true }).incrementTiers, [{ upTo: 300, increment: 15 }, { upTo: null, increment: 30 }]);
+    assert.equal(relisted.approvalThreshold, 1000);
+    assert.equal(relisted.approvalDeposit, 150);
+  });
+
+  it('stops once the relist limit is reached or the item was already relisted', async () => {
+    const create = mock.method(Item, 'create', async (fields) => new Item(fields));
+
+    assert.equal(await relistUnsoldItem(closedQuilt({ relistCount: 2 })), null);
+    assert.equal(await relistUnsoldItem(closedQuilt({ relistedAsId: new mongoose.Types.ObjectId() })), null);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @file reservePrice.test.js
+ * @description Reserve price checks and what clients are told about the reserve.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+
+const sellerId = new mongoose.Types.ObjectId();
+const bidderId = new mongoose.Types.ObjectId();
+
+describe('Item#isReserveMet', () => {
+  it('treats items without a reserve as met', () => {
+    const writingSlope = new Item({ title: 'Victorian writing slope', sellerId, startingPrice: 80, currentPrice: 80 });
+
+    assert.equal(writingSlope.isReserveMet(), true);
+  });
+
+  it('needs a bid at or above the reserve', () => {
+    const writingSlope = new Item({ title: 'Victorian writing slope', sellerId, startingPrice: 80, currentPrice: 80, reservePrice: 150 });
+    assert.equal(writingSlope.isReserveMet(), false, 'no bids yet');
+
+    writingSlope.set({ highestBidder: bidderId, currentPrice: 140 });
+    assert.equal(writingSlope.isReserveMet(), false, 'high bid below the reserve');
+
+    writingSlope.currentPrice = 150;
+    assert.equal(writingSlope.isReserveMet(), true, 'high bid equal to the reserve');
+  });
+});
+
+describe('Item JSON', () => {
+  it('reports whether a reserve exists and is met without revealing the amount', () => {
+    const serialized = new Item({
+      title: 'Pair of Staffordshire spaniels',
+      sellerId,
+      startingPrice: 40,
+      currentPrice: 95,
+      reservePrice: 90,
+      highestBidder: bidderId
+    }).toJSON();
+
+    assert.equal(serialized.reservePrice, undefined);
+    assert.equal(serialized.hasReserve, true);
+    assert.equal(serialized.reserveMet, true);
+  });
+
+  it('reports no reserve as met', () => {
+    const serialized = new Item({ title: 'Brass carriage clock', sellerId, startingPrice: 120, currentPrice: 120 }).toJSON();
+
+    assert.equal(serialized.hasReserve, false);
+    assert.equal(serialized.reserveMet, true);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @file reverseListing.test.js
+ * @description Reverse listings, where bids compete downward and the lowest bidder wins.
+ */
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+import { placeBid } from '../controllers/bid.controller.js';
+import { createFakeSession, stubQuery } from './helpers/mongooseStubs.js';
+import { createRequest, createResponse } from './helpers/httpStubs.js';
+
+const posterId = new mongoose.Types.ObjectId();
+
+/**
+ * @function tender
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document} Reverse listing with a budget of 2400, stepping by 50.
+ */
+const tender = (overrides = {}) => new Item({
+  title: 'Repoint the chimney stack at 14 Mill Lane',
+  sellerId: posterId,
+  listingType: 'reverse',
+  startingPrice: 2400,
+  currentPrice: 2400,
+  bidIncrement: 50,
+  status: 'active',
+  endTime: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('reverse Item rules', () => {
+  it('caps the next bid one increment under the current price', () => {
+    const job = tender();
+
+    assert.equal(job.isReverse(), true);
+    assert.equal(job.getMaximumNextBid(), 2350);
+
+    const serialized = job.toJSON();
+    assert.equal(serialized.maximumNextBid, 2350);
+    assert.equal(serialized.minimumNextBid, undefined);
+  });
+
+  it('meets the reserve once the lowest bid comes down to it', () => {
+    const job = tender({ reservePrice: 1900, highestBidder: new mongoose.Types.ObjectId(), currentPrice: 1950 });
+    assert.equal(job.isReserveMet(), false);
+
+    job.currentPrice = 1900;
+    assert.equal(job.isReserveMet(), true);
+  });
+
+  it('must be a single-unit English listing without Buy It Now', () => {
+    const error = tender({ format: 'sealed-first-price' }).validateSync();
+
+    assert.match(error.errors.listingType.message, /single-unit English/);
+  });
+});
+
+describe('placeBid on a reverse listing', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  let session;
+
+  /**
+   * @function undercut
+   * @param {import('mongoose').Document} job - Listing being bid on.
+   * @param {number} bidAmount - Amount offered.
+   * @returns {Promise<ReturnType<typeof createResponse>>}
+   */
+  const undercut = async (job, bidAmount) => {
+    session = createFakeSession();
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(Item, 'findById', () => stubQuery(job));
+    const res = createResponse();
+    await placeBid(createRequest({ _id: new mongoose.Types.ObjectId() }, { body: { itemId: job._id, bidAmount } }), res);
+    return res;
+  };
+
+  it('rejects a bid that does not undercut the current price by an increment', async () => {
+    const job = tender({ currentPrice: 2000, totalBids: 3, highestBidder: new mongoose.Types.ObjectId() });
+
+    const res = await undercut(job, 1980);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Maximum bid is $1,950.00.');
+    assert.equal(session.state, 'aborted');
+  });
+
+  it('never accepts a bid of nothing', async () => {
+    const job = tender({ currentPrice: 40, bidIncrement: 5, totalBids: 9, highestBidder: new mongoose.Types.ObjectId() });
+
+    const res = await undercut(job, 0);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Minimum bid is $0.01.');
+    assert.equal(session.state, 'aborted');
+  });
+
+  it('stops once the next increment would go below a cent', async () => {
+    const job = tender({ currentPrice: 0.5, bidIncrement: 1, totalBids: 14, highestBidder: new mongoose.Types.ObjectId() });
+
+    const res = await undercut(job, -0.5);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'This listing cannot be undercut any further.');
+    assert.equal(job.currentPrice, 0.5);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @file sealedBid.test.js
+ * @description Revealing and pricing sealed first- and second-price auctions.
+ */
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Bid from '../models/Bid.js';
+import Item from '../models/Item.js';
+import { revealSealedBids } from '../utils/auctionScheduler.js';
+import { stubQuery } from './helpers/mongooseStubs.js';
+
+const bidders = {
+  wren: new mongoose.Types.ObjectId(),
+  fitz: new mongoose.Types.ObjectId(),
+  lowe: new mongoose.Types.ObjectId()
+};
+
+/**
+ * @function envelope
+ * @param {keyof typeof bidders} bidder - Who sealed the bid.
+ * @param {number} bidAmount - Amount inside the envelope.
+ * @returns {Record<string, any>}
+ */
+const envelope = (bidder, bidAmount) => ({ bidderId: bidders[bidder], bidAmount });
+
+/**
+ * @function sealedLot
+ * @param {string} format - Sealed format.
+ * @param {Record<string, any>} [overrides] - Fields to change.
+ * @returns {import('mongoose').Document}
+ */
+const sealedLot = (format, overrides = {}) => new Item({
+  title: 'Tender for a 1962 Land Rover Series IIA',
+  sellerId: new mongoose.Types.ObjectId(),
+  startingPrice: 4000,
+  currentPrice: 4000,
+  format,
+  status: 'active',
+  ...overrides
+});
+
+describe('revealSealedBids', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('charges a first-price winner their own bid', async () => {
+    const find = mock.method(Bid, 'find', () => stubQuery([envelope('wren', 6100), envelope('fitz', 5200)]));
+    const lot = sealedLot('sealed-first-price');
+
+    await revealSealedBids(lot);
+
+    assert.equal(find.mock.calls[0].arguments[0].isRetracted, false);
+    assert.equal(lot.highestBidder.toString(), bidders.wren.toString());
+    assert.equal(lot.currentPrice, 6100);
+    assert.equal(lot.totalBids, 2);
+  });
+
+  it('charges a second-price winner the runner-up bid', async () => {
+    mock.method(Bid, 'find', () => stubQuery([envelope('fitz', 7000), envelope('lowe', 5450), envelope('wren', 4100)]));
+    const lot = sealedLot('sealed-second-price');
+
+    await revealSealedBids(lot);
+
+    assert.equal(lot.highestBidder.toString(), bidders.fitz.toString());
+    assert.equal(lot.currentPrice, 5450);
+  });
+
+  it('never lets a second-price winner pay below the reserve', async () => {
+    mock.method(Bid, 'find', () => stubQuery([envelope('fitz', 6000), envelope('lowe', 4300)]));
+    const lot = sealedLot('sealed-second-price', { reservePrice: 5000 });
+
+    await revealSealedBids(lot);
+
+    assert.equal(lot.currentPrice, 5000);
+    assert.equal(lot.isReserveMet(), true);
+  });
+
+  it('reports a top bid under the reserve as-is so the reserve is not met', async () => {
+    mock.method(Bid, 'find', () => stubQuery([envelope('lowe', 4500)]));
+    const lot = sealedLot('sealed-second-price', { reservePrice: 5000 });
+
+    await revealSealedBids(lot);
+
+    assert.equal(lot.currentPrice, 4500);
+    assert.equal(lot.isReserveMet(), false);
+  });
+
+  it('leaves an item without bids unsold', async () => {
+    mock.method(Bid, 'find', () => stubQuery([]));
+    const lot = sealedLot('sealed-first-price');
+
+    await revealSealedBids(lot);
+
+    assert.equal(lot.totalBids, 0);
+    assert.equal(lot.highestBidder, null);
+  });
+});
+
+describe('sealed Item rules', () => {
+  it('accepts any bid from the opening price and never offers Buy It Now', () => {
+    const lot = sealedLot('sealed-first-price', { currentPrice: 4800 });
+
+    assert.equal(lot.isSealed(), true);
+    assert.equal(lot.getMinimumNextBid(), 4000);
+    assert.equal(lot.isBuyNowAvailable(), false);
+  });
+
+  it('cannot be multi-unit', () => {
+    const error = sealedLot('sealed-second-price', { isMultiUnit: true, totalQuantity: 3 }).validateSync();
+
+    assert.match(error.errors.format.message, /cannot be multi-unit/);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * @file secondChance.test.js
+ * @description Offering an item to the next bidder in line after the winner backs out.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Bid from '../models/Bid.js';
+import Item from '../models/Item.js';
+import Order from '../models/Order.js';
+import SecondChanceOffer from '../models/SecondChanceOffer.js';
+import User from '../models/User.js';
+import { createSecondChanceOffer } from '../controllers/secondChance.controller.js';
+import { stubQuery } from './helpers/mongooseStubs.js';
+import { createRequest, createResponse } from './helpers/httpStubs.js';
+
+const sellerId = new mongoose.Types.ObjectId();
+const people = {
+  winner: new mongoose.Types.ObjectId(),
+  mabel: new mongoose.Types.ObjectId(),
+  tomas: new mongoose.Types.ObjectId(),
+  priya: new mongoose.Types.ObjectId()
+};
+
+/**
+ * @function placedBid
+ * @param {keyof typeof people} bidder - Who placed it.
+ * @param {number} bidAmount - Amount bid.
+ * @param {number} minute - Minute past the hour the bid landed.
+ * @returns {Record<string, any>}
+ */
+const placedBid = (bidder, bidAmount, minute) => ({
+  _id: new mongoose.Types.ObjectId(),
+  bidderId: people[bidder],
+  bidAmount,
+  timestamp: new Date(Date.UTC(2024, 8, 12, 15, minute))
+});
+
+/**
+ * @function mockBidsExcept
+ * @description Serves `bids` for the underbid lookup, honoring its `$nin` on bidder ids and
+ * returning the newest bids first as the query asks.
+ * @param {Array<Record<string, any>>} bids - Every bid on the item.
+ * @returns {void}
+ */
+const mockBidsExcept = (bids) => {
+  mock.method(Bid, 'find', (filter) => {
+    const excluded = filter.bidderId.$nin;
+    return stubQuery(
+      bids
+        .filter(({ bidderId }) => !excluded.includes(bidderId.toString()))
+        .sort((a, b) => b.timestamp - a.timestamp)
+    );
+  });
+};
+
+describe('createSecondChanceOffer', () => {
+  let lamp;
+  let createOffer;
+  let winnerOrder;
+
+  beforeEach(() => {
+    lamp = new Item({
+      title: 'Tiffany-style dragonfly table lamp',
+      sellerId,
+      startingPrice: 150,
+      currentPrice: 410,
+      status: 'ended',
+      isAuctionOver: true,
+      winnerId: people.winner,
+      highestBidder: people.winner
+    });
+    mock.method(Item, 'findById', () => stubQuery(lamp));
+    mock.method(User, 'findById', () => stubQuery(null));
+    // The winner's order lapsed unpaid and was cancelled
+    winnerOrder = { status: 'cancelled', paymentDueAt: new Date(Date.UTC(2024, 8, 15, 15)) };
+    mock.method(Order, 'findOne', () => stubQuery(winnerOrder));
+    createOffer = mock.method(SecondChanceOffer, 'create', async (fields) => ({
+      ...fields,
+      populate: async () => ({ ...fields, bidderId: { _id: fields.bidderId, username: 'next-in-line' } })
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('offers the item to the strongest underbidder at their own last bid', async () => {
+    mock.method(SecondChanceOffer, 'find', () => stubQuery([]));
+    mockBidsExcept([
+      placedBid('mabel', 320, 1),
+      placedBid('tomas', 360, 2),
+      placedBid('mabel', 380, 3),
+      placedBid('winner', 410, 4)
+    ]);
+    const res = createResponse();
+
+    await createSecondChanceOffer(createRequest({ _id: sellerId }, { params: { itemId: lamp._id } }), res);
+
+    assert.equal(res.statusCode, 201);
+    const [offer] = createOffer.mock.calls[0].arguments;
+    assert.equal(offer.bidderId.toString(), people.mabel.toString());
+    assert.equal(offer.offerAmount, 380);
+    assert.equal(offer.previousWinnerId.toString(), people.winner.toString());
+  });
+
+  it('skips bidders who were already offered the item', async () => {
+    mock.method(SecondChanceOffer, 'find', () => stubQuery([
+      { bidderId: people.mabel, previousWinnerId: people.winner, status: 'declined' }
+    ]));
+    mockBidsExcept([
+      placedBid('priya', 290, 0),
+      placedBid('mabel', 380, 3),
+      placedBid('tomas', 360, 2),
+      placedBid('winner', 410, 4)
+    ]);
+    const res = createResponse();
+
+    await createSecondChanceOffer(createRequest({ _id: sellerId }, { params: { itemId: lamp._id } }), res);
+
+    assert.equal(createOffer.mock.calls[0].arguments[0].bidderId.toString(), people.tomas.toString());
+  });
+
+  it('never goes back to a winner an earlier offer replaced', async () => {
+    // Mabel accepted the first offer and then let her own order lapse
+    lamp.winnerId = people.mabel;
+    mock.method(SecondChanceOffer, 'find', () => stubQuery([
+      { bidderId: people.mabel, previousWinnerId: people.winner, status: 'accepted' }
+    ]));
+    mockBidsExcept([
+      placedBid('tomas', 360, 2),
+      placedBid('mabel', 380, 3),
+      placedBid('winner', 410, 4)
+    ]);
+    const res = createResponse();
+
+    await createSecondChanceOffer(createRequest({ _id: sellerId }, { params: { itemId: lamp._id } }), res);
+
+    assert.equal(res.statusCode, 201);
+    const [offer] = createOffer.mock.calls[0].arguments;
+    assert.equal(offer.bidderId.toString(), people.tomas.toString());
+    assert.equal(offer.previousWinnerId.toString(), people.mabel.toString());
+  });
+
+  it('waits while an earlier offer is still pending', async () => {
+    mock.method(SecondChanceOffer, 'find', () => stubQuery([
+      { bidderId: people.mabel, previousWinnerId: people.winner, status: 'pending' }
+    ]));
+    const res = createResponse();
+
+    await createSecondChanceOffer(createRequest({ _id: sellerId }, { params: { itemId: lamp._id } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(createOffer.mock.callCount(), 0);
+  });
+
+  it('is closed once the winner has paid', async () => {
+    winnerOrder = { status: 'paid', paymentDueAt: new Date(Date.UTC(2024, 8, 15, 15)) };
+    const res = createResponse();
+
+    await createSecondChanceOffer(createRequest({ _id: sellerId }, { params: { itemId: lamp._id } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /already paid/);
+    assert.equal(createOffer.mock.callCount(), 0);
+  });
+
+  it('gives the winner until their payment is due', async () => {
+    winnerOrder = { status: 'awaiting-payment', paymentDueAt: new Date(Date.now() + 36 * 60 * 60 * 1000) };
+    const res = createResponse();
+
+    await createSecondChanceOffer(createRequest({ _id: sellerId }, { params: { itemId: lamp._id } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /^The winner has until .* to pay\./);
+    assert.equal(createOffer.mock.callCount(), 0);
+    const [filter] = Order.findOne.mock.calls[0].arguments;
+    assert.equal(filter.buyerId.toString(), people.winner.toString());
+  });
+
+  it('opens once the winner\'s payment is overdue', async () => {
+    winnerOrder = { status: 'awaiting-payment', paymentDueAt: new Date(Date.now() - 60 * 1000) };
+    mock.method(SecondChanceOffer, 'find', () => stubQuery([]));
+    mockBidsExcept([placedBid('priya', 300, 5), placedBid('winner', 410, 6)]);
+    const res = createResponse();
+
+    await createSecondChanceOffer(createRequest({ _id: sellerId }, { params: { itemId: lamp._id } }), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(createOffer.mock.calls[0].arguments[0].bidderId.toString(), people.priya.toString());
+  });
+
+  it('is only open to the seller', async () => {
+    const res = createResponse();
+
+    await createSecondChanceOffer(createRequest({ _id: people.tomas }, { params: { itemId: lamp._id } }), res);
+
+    assert.equal(res.statusCode, 403);
+  });
+});
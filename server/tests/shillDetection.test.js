@@ -0,0 +1,144 @@
+/**
+ * @file shillDetection.test.js
+ * @description The shill-bidding analyzer raising flags and suspending bidders.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import Item from '../models/Item.js';
+import ShillFlag from '../models/ShillFlag.js';
+import User from '../models/User.js';
+import { getBiddingSuspensionError, runShillAnalysis } from '../utils/shillDetection.js';
+import { stubQuery } from './helpers/mongooseStubs.js';
+
+const MINUTE_MS = 60 * 1000;
+const potteryDealer = { _id: new mongoose.Types.ObjectId(), signInAddresses: [{ address: '203.0.113.40' }], createdAt: new Date('2021-03-01') };
+const regular = { _id: new mongoose.Types.ObjectId(), username: 'wilhelmina', createdAt: new Date('2022-09-14') };
+
+/**
+ * @function recentBid
+ * @param {Record<string, any>} fields - Bidder, item and what else the bid shows.
+ * @returns {Record<string, any>} Bid shaped as the analyzer's aggregation returns it, in minor units.
+ */
+const recentBid = ({ minutesAgo, ...fields }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  bidderId: regular._id,
+  sellerId: potteryDealer._id,
+  currency: 'USD',
+  itemTitle: 'Moorcroft Pomegranate vase',
+  bidAmount: 42000,
+  previousPrice: 40000,
+  isRetracted: false,
+  ipAddress: null,
+  timestamp: new Date(Date.now() - minutesAgo * MINUTE_MS),
+  ...fields
+});
+
+describe('getBiddingSuspensionError', () => {
+  it('refuses bids only while a suspension is in force', () => {
+    assert.equal(getBiddingSuspensionError({ biddingSuspension: { suspendedAt: null } }), null);
+    assert.equal(getBiddingSuspensionError({ biddingSuspension: { suspendedAt: new Date() } }).code, 'BIDDING_SUSPENDED');
+  });
+});
+
+describe('runShillAnalysis', () => {
+  let savedFlags;
+  let lastReview;
+
+  beforeEach(() => {
+    savedFlags = [];
+    lastReview = null;
+    mock.method(User, 'find', (filter) => stubQuery(filter.role ? [] : [potteryDealer, regular]));
+    mock.method(Bid, 'find', () => stubQuery([]));
+    // Every bidder here has bid for more than one seller over time
+    mock.method(Bid, 'distinct', async () => []);
+    mock.method(Item, 'distinct', async () => [potteryDealer._id, new mongoose.Types.ObjectId()]);
+    mock.method(ShillFlag, 'findOne', (filter) => stubQuery(filter.status === 'open' ? null : lastReview));
+    mock.method(ShillFlag.prototype, 'save', async function saveFlag() {
+      savedFlags.push(this);
+      return this;
+    });
+    mock.method(User, 'findOneAndUpdate', () => stubQuery({ username: regular.username, email: null }));
+    mock.method(AutoBid, 'updateMany', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('flags bids from the seller\'s address without suspending on a single item', async () => {
+    mock.method(Bid, 'aggregate', async () => [recentBid({ itemId: new mongoose.Types.ObjectId(), ipAddress: '203.0.113.40', minutesAgo: 30 })]);
+
+    assert.deepEqual(await runShillAnalysis(), { opened: 1, updated: 0, suspended: 0 });
+    const [flag] = savedFlags;
+    assert.equal(flag.kind, 'shared-ip-with-seller');
+    assert.equal(flag.score, 70);
+    assert.match(flag.evidence[0].note, /^\$420\.00 on Moorcroft Pomegranate vase from 203\.0\.113\.40/);
+    assert.equal(AutoBid.updateMany.mock.callCount(), 0);
+  });
+
+  it('does not suspend on a shared address alone, however many items it covers', async () => {
+    mock.method(Bid, 'aggregate', async () => [1, 2, 3].map((lot) => recentBid({
+      itemId: new mongoose.Types.ObjectId(),
+      itemTitle: `Moorcroft lot ${lot}`,
+      ipAddress: '203.0.113.40',
+      minutesAgo: 60 - lot
+    })));
+
+    assert.deepEqual(await runShillAnalysis(), { opened: 1, updated: 0, suspended: 0 });
+    const [flag] = savedFlags;
+    assert.equal(flag.score, 90);
+    assert.equal(flag.autoSuspended, false);
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('suspends when another pattern on the same seller backs up the shared address', async () => {
+    mock.method(Bid, 'aggregate', async () => [45, 30, 15].map((minutesAgo, lot) => recentBid({
+      itemId: new mongoose.Types.ObjectId(),
+      itemTitle: `Clarice Cliff jug ${lot + 1}`,
+      ipAddress: '203.0.113.40',
+      isRetracted: lot > 0,
+      retractionTime: lot > 0 ? new Date(Date.now() - (minutesAgo - 2) * MINUTE_MS) : null,
+      minutesAgo
+    })));
+
+    const result = await runShillAnalysis();
+
+    assert.equal(result.suspended, 1);
+    const addressFlag = savedFlags.find(({ kind }) => kind === 'shared-ip-with-seller');
+    assert.equal(addressFlag.score, 90);
+    assert.equal(addressFlag.autoSuspended, true);
+    assert.ok(savedFlags.some(({ kind }) => kind === 'bid-and-retract'));
+    const [filter, update] = User.findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter._id.toString(), regular._id.toString());
+    assert.equal(update.biddingSuspension.flagId.toString(), addressFlag._id.toString());
+    assert.deepEqual(AutoBid.updateMany.mock.calls[0].arguments[1], { isActive: false });
+  });
+
+  it('flags repeated bid-and-retract on one seller\'s items', async () => {
+    mock.method(Bid, 'aggregate', async () => [20, 10].map((minutesAgo) => recentBid({
+      itemId: new mongoose.Types.ObjectId(),
+      isRetracted: true,
+      retractionTime: new Date(Date.now() - (minutesAgo - 4) * MINUTE_MS),
+      minutesAgo
+    })));
+
+    await runShillAnalysis();
+
+    const [flag] = savedFlags;
+    assert.equal(flag.kind, 'bid-and-retract');
+    assert.equal(flag.score, 55);
+    assert.match(flag.evidence[0].note, /from \$400\.00 to \$420\.00 .*retracted after 4 min/);
+  });
+
+  it('does not raise a reviewed case again without new evidence', async () => {
+    lastReview = { reviewedAt: new Date() };
+    mock.method(Bid, 'aggregate', async () => [recentBid({ itemId: new mongoose.Types.ObjectId(), ipAddress: '203.0.113.40', minutesAgo: 90 })]);
+
+    assert.deepEqual(await runShillAnalysis(), { opened: 0, updated: 0, suspended: 0 });
+    assert.deepEqual(savedFlags, []);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @file shipping.test.js
+ * @description Zones, billable weight and shipping quotes.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_DIMENSIONAL_DIVISOR,
+  DEFAULT_ZONE_RATES,
+  calculateShippingQuote,
+  getBillableWeight,
+  getShippingZone,
+  parseZoneRates,
+  toMetricDimensions
+} from '../utils/shipping.js';
+
+const rates = { zoneRates: DEFAULT_ZONE_RATES, dimensionalDivisor: DEFAULT_DIMENSIONAL_DIVISOR };
+const portland = { city: 'Portland', state: 'OR', country: 'US' };
+
+describe('getShippingZone', () => {
+  it('places buyers by city, state and country, ignoring case', () => {
+    assert.equal(getShippingZone(portland, { city: 'portland ', state: 'or', country: 'us' }), 'local');
+    assert.equal(getShippingZone(portland, { city: 'Eugene', state: 'OR', country: 'US' }), 'regional');
+    assert.equal(getShippingZone(portland, { city: 'Boise', state: 'ID', country: 'US' }), 'national');
+    assert.equal(getShippingZone(portland, { city: 'Vancouver', state: 'BC', country: 'CA' }), 'international');
+  });
+
+  it('cannot place an address without a country', () => {
+    assert.equal(getShippingZone(portland, { city: 'Salem', state: 'OR' }), null);
+  });
+});
+
+describe('billable weight', () => {
+  it('converts imperial measurements', () => {
+    const metric = toMetricDimensions({ height: 10, width: 5, unit: 'inches', weight: 2, weightUnit: 'lbs' });
+
+    assert.equal(metric.heightCm, 25.4);
+    assert.equal(metric.depthCm, null);
+    assert.ok(Math.abs(metric.weightKg - 0.90718474) < 1e-9);
+  });
+
+  it('bills bulky parcels by volume and bundles by their pieces', () => {
+    const lampshade = { dimensions: { height: 50, width: 50, depth: 50, unit: 'cm', weight: 1.5, weightUnit: 'kg' } };
+    const pairOfBookends = {
+      bundleItems: [
+        { dimensions: { weight: 1.2, weightUnit: 'kg' } },
+        { dimensions: { weight: 1.2, weightUnit: 'kg' } }
+      ]
+    };
+
+    assert.equal(getBillableWeight(lampshade, 5000), 25);
+    assert.equal(getBillableWeight(pairOfBookends, 5000), 2.4);
+    assert.equal(getBillableWeight({ bundleItems: [{ dimensions: {} }] }, 5000), null);
+  });
+});
+
+describe('calculateShippingQuote', () => {
+  const pewterTankard = (shipping) => ({
+    shipping,
+    dimensions: { height: 6, width: 4, depth: 4, unit: 'inches', weight: 1.9, weightUnit: 'lbs' }
+  });
+
+  it('charges the zone rate on the weight rounded up to the next half kilogram', () => {
+    const quote = calculateShippingQuote(pewterTankard({ method: 'calculated' }), {
+      origin: portland,
+      destination: { city: 'Boise', state: 'ID', country: 'US' },
+      quantity: 2,
+      rates
+    });
+
+    assert.equal(quote.zone, 'national');
+    assert.equal(quote.billableWeightKg, 2);
+    assert.equal(quote.cost, 21);
+    assert.equal(quote.isEstimate, false);
+  });
+
+  it('estimates at the national rate when the buyer cannot be placed', () => {
+    const quote = calculateShippingQuote(pewterTankard({ method: 'calculated' }), { origin: portland, destination: undefined, rates });
+
+    assert.equal(quote.zone, 'national');
+    assert.equal(quote.isEstimate, true);
+  });
+
+  it('passes flat rates through and makes pickup free', () => {
+    assert.equal(calculateShippingQuote(pewterTankard({ method: 'flat', flatRate: 9.95 }), { rates }).cost, 9.95);
+    assert.equal(calculateShippingQuote(pewterTankard(undefined), { rates }).cost, 0);
+  });
+});
+
+describe('parseZoneRates', () => {
+  it('orders the zones nearest first', () => {
+    const parsed = parseZoneRates(JSON.stringify([...DEFAULT_ZONE_RATES].reverse()));
+
+    assert.deepEqual(parsed.map(({ zone }) => zone), ['local', 'regional', 'national', 'international']);
+  });
+
+  it('requires every zone exactly once', () => {
+    assert.throws(() => parseZoneRates(DEFAULT_ZONE_RATES.slice(1)), /every zone exactly once/);
+    assert.throws(() => parseZoneRates([{ zone: 'orbital', baseRate: 1, perKgRate: 1 }]), /Zone must be one of/);
+  });
+});
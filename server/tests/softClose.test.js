@@ -0,0 +1,69 @@
+/**
+ * @file softClose.test.js
+ * @description Anti-sniping extensions for bids placed near the close.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+
+const MINUTE_MS = 60 * 1000;
+const closesAt = new Date('2024-06-01T18:00:00Z');
+
+/**
+ * @function minutesBeforeClose
+ * @param {number} minutes - Minutes before `closesAt`.
+ * @returns {Date}
+ */
+const minutesBeforeClose = (minutes) => new Date(closesAt.getTime() - minutes * MINUTE_MS);
+
+/**
+ * @function lateBidItem
+ * @param {Record<string, any>} [overrides] - Soft-close settings to change.
+ * @returns {import('mongoose').Document} Live item closing at `closesAt`.
+ */
+const lateBidItem = (overrides = {}) => new Item({
+  title: 'Georgian silver cream jug',
+  sellerId: new mongoose.Types.ObjectId(),
+  startingPrice: 60,
+  currentPrice: 60,
+  endTime: closesAt,
+  ...overrides
+});
+
+describe('Item#extendForLateBid', () => {
+  it('moves the close a full window past a bid inside the window', () => {
+    const jug = lateBidItem({ softCloseWindowMinutes: 3 });
+    const bidTime = minutesBeforeClose(1);
+
+    assert.equal(jug.extendForLateBid(bidTime), true);
+    assert.equal(jug.endTime.getTime(), bidTime.getTime() + 3 * MINUTE_MS);
+    assert.equal(jug.extensionCount, 1);
+  });
+
+  it('leaves the close alone for bids before the window or after the close', () => {
+    const jug = lateBidItem({ softCloseWindowMinutes: 3 });
+
+    assert.equal(jug.extendForLateBid(minutesBeforeClose(10)), false);
+    assert.equal(jug.extendForLateBid(minutesBeforeClose(-1)), false);
+    assert.equal(jug.endTime.getTime(), closesAt.getTime());
+    assert.equal(jug.extensionCount, 0);
+  });
+
+  it('stops extending after the maximum number of extensions', () => {
+    const jug = lateBidItem({ softCloseWindowMinutes: 2, maxExtensions: 2 });
+
+    assert.equal(jug.extendForLateBid(minutesBeforeClose(1)), true);
+    assert.equal(jug.extendForLateBid(new Date(jug.endTime.getTime() - MINUTE_MS)), true);
+    const cappedEnd = jug.endTime.getTime();
+    assert.equal(jug.extendForLateBid(new Date(cappedEnd - MINUTE_MS)), false);
+    assert.equal(jug.endTime.getTime(), cappedEnd);
+  });
+
+  it('never extends when the window is switched off', () => {
+    const jug = lateBidItem({ softCloseWindowMinutes: 0 });
+
+    assert.equal(jug.extendForLateBid(minutesBeforeClose(0.5)), false);
+  });
+});
@@ -1,100 +1,652 @@
 /**
  * @file auctionScheduler.js
- * @description Simple interval-based scheduler that finalizes auctions which reached their end time.
- * Emits Socket.io events so clients can react to auction completion in real time.
+ * @description Simple interval-based scheduler that opens upcoming auctions at their start time,
+ * staggers the closing of catalogued event lots, finalizes auctions which reached their end time,
+ * records the buyer's premium and tax owed by winners and opens their orders, relists unsold items
+ * under their seller's rules, expires lapsed second chance offers, cancels orders left unpaid
+ * past their due date, releases escrow whose inspection period has run out, runs seller payout
+ * batches and periodically analyzes recent bids for shill bidding. Emits Socket.io events so
+ * clients can react to auction changes in real time.
  */
 
 import Item from '../models/Item.js';
 import Bid from '../models/Bid.js';
 import User from '../models/User.js';
+import SecondChanceOffer from '../models/SecondChanceOffer.js';
+import AuctionEvent from '../models/AuctionEvent.js';
+import Order from '../models/Order.js';
 import { sendEmail } from './mailer.js';
+import { getStandingBids, allocateUnits } from './multiUnitAuction.js';
+import { processAutoBidding } from '../controllers/autoBid.controller.js';
+import { relistUnsoldItem } from './relisting.js';
+import { applyBuyerCharges } from './buyerCharges.js';
+import { openOrdersForItem, buildInvoiceAttachment, buildSaleStatementAttachment } from './orders.js';
+import { releaseOrderEscrow } from './ledger.js';
+import { runDuePayoutBatch } from './payouts.js';
+import { releaseBidderDeposits } from './bidderApprovals.js';
+import { runDueShillAnalysis } from './shillDetection.js';
+import { formatMoney } from './money.js';
 
 const DEFAULT_INTERVAL_MS = 30 * 1000; // 30 seconds for responsive demos
 
 /**
- * @function finalizeExpiredAuctions
- * @description Finds auctions that should be marked as ended and updates their status.
+ * @function openScheduledAuctions
+ * @description Activates upcoming auctions whose start time has passed, broadcasts
+ * `auction-started`, executes absentee bids left before the opening and emails every user
+ * watching the item.
  * @param {import('socket.io').Server} io - Socket.io server instance used to broadcast updates.
  * @returns {Promise<void>}
  */
-const finalizeExpiredAuctions = async (io) => {
+export const openScheduledAuctions = async (io) => {
   const now = new Date();
 
-  const expiredAuctions = await Item.find({
-    status: 'active',
-    isAuctionOver: false,
-    endTime: { $lte: now }
+  const dueAuctions = await Item.find({
+    status: 'upcoming',
+    startTime: { $lte: now }
   });
 
-  if (!expiredAuctions.length) {
-    return;
-  }
+  for (const auctionItem of dueAuctions) {
+    auctionItem.status = 'active';
+    await auctionItem.save();
 
-  for (const auctionItem of expiredAuctions) {
-    auctionItem.isAuctionOver = true;
-    auctionItem.status = 'ended';
+    const startedData = {
+      itemId: auctionItem._id,
+      title: auctionItem.title,
+      startingPrice: auctionItem.startingPrice,
+      endTime: auctionItem.endTime,
+      startedAt: now
+    };
 
-    if (auctionItem.highestBidder) {
-      auctionItem.winnerId = auctionItem.highestBidder;
-      const itemBids = await Bid.find({ itemId: auctionItem._id });
-      await Promise.all(
-        itemBids.map((bid) => {
-          bid.bidStatus = bid.bidderId.toString() === auctionItem.highestBidder.toString() ? 'won' : 'lost';
-          return bid.save();
-        })
-      );
+    // Emit to specific auction room
+    io.to(`auction_${auctionItem._id}`).emit('auction-started', startedData);
 
-      // notify winner and seller by email (best-effort)
-      try {
-        const [winnerUser, sellerUser] = await Promise.all([
-          User.findById(auctionItem.winnerId).lean(),
-          User.findById(auctionItem.sellerId).lean()
-        ]);
-
-        if (winnerUser?.email) {
-          sendEmail({
-            to: winnerUser.email,
-            subject: `You won the auction: ${auctionItem.title}`,
-            text: `Congratulations! You won the auction for ${auctionItem.title} with a final price of $${auctionItem.currentPrice}.`,
-            html: `<p>Congratulations!</p><p>You won the auction for <strong>${auctionItem.title}</strong> with a final price of <strong>$${auctionItem.currentPrice}</strong>.</p>`
-          }).catch((e) => console.error('Winner email error:', e));
+    // Emit globally for all pages
+    io.emit('auction-started', startedData);
+
+    // Absentee bids compete like auto-bids; equal maximums go to the earliest registration
+    try {
+      await processAutoBidding(auctionItem._id, io);
+    } catch (absenteeErr) {
+      console.error('Error executing absentee bids:', absenteeErr);
+    }
+
+    // notify watchers by email (best-effort)
+    try {
+      const watchers = await User.find({ watchlist: auctionItem._id }).select('username email').lean();
+      watchers.forEach((watcher) => {
+        if (!watcher.email) {
+          return;
         }
+        sendEmail({
+          to: watcher.email,
+          subject: `Bidding is open: ${auctionItem.title}`,
+          text: `Hi ${watcher.username || 'user'},\n\nThe auction for ${auctionItem.title} on your watchlist is now open. Bidding starts at ${formatMoney(auctionItem.startingPrice, auctionItem.currency)}.`,
+          html: `<p>Hi ${watcher.username || 'user'},</p><p>The auction for <strong>${auctionItem.title}</strong> on your watchlist is now open. Bidding starts at <strong>${formatMoney(auctionItem.startingPrice, auctionItem.currency)}</strong>.</p><p><a href="${process.env.CLIENT_URL || ''}/items/${auctionItem._id}">View auction</a></p>`
+        }).catch((e) => console.error('Watcher email error:', e));
+      });
+    } catch (notifyErr) {
+      console.error('Error sending auction start notifications:', notifyErr);
+    }
+  }
+};
+
+/**
+ * @function advanceAuctionEvents
+ * @description Drives catalogued events. Opens events whose start time has passed, keeps each
+ * open lot closing at least one stagger after the lot before it (so a soft-close extension on one
+ * lot pushes back the lots that follow), and marks events ended once every lot has closed.
+ * @param {import('socket.io').Server} io - Socket.io server instance used to broadcast updates.
+ * @returns {Promise<void>}
+ */
+export const advanceAuctionEvents = async (io) => {
+  const now = new Date();
+
+  await AuctionEvent.updateMany(
+    { status: 'scheduled', startTime: { $lte: now } },
+    { status: 'active' }
+  );
 
-        if (sellerUser?.email) {
-          sendEmail({
-            to: sellerUser.email,
-            subject: `Your auction ended: ${auctionItem.title}`,
-            text: `Your auction for ${auctionItem.title} has ended. Final price: $${auctionItem.currentPrice}.`,
-            html: `<p>Your auction for <strong>${auctionItem.title}</strong> has ended. Final price: <strong>$${auctionItem.currentPrice}</strong>.</p>`
-          }).catch((e) => console.error('Seller email error:', e));
+  const activeEvents = await AuctionEvent.find({ status: 'active' });
+
+  for (const auctionEvent of activeEvents) {
+    const lots = await Item.find({ eventId: auctionEvent._id }).sort({ lotNumber: 1 });
+    const staggerMs = auctionEvent.lotStaggerSeconds * 1000;
+    let previousLotEnd = null;
+
+    for (const lot of lots) {
+      if (lot.status !== 'ended' && !lot.isFloorControlled && previousLotEnd) {
+        const earliestEnd = new Date(previousLotEnd.getTime() + staggerMs);
+        if (lot.endTime < earliestEnd) {
+          lot.endTime = earliestEnd;
+          await lot.save();
+
+          const extendedData = {
+            itemId: lot._id,
+            endTime: lot.endTime,
+            extensionCount: lot.extensionCount,
+            maxExtensions: lot.maxExtensions,
+            eventId: auctionEvent._id
+          };
+          io.to(`auction_${lot._id}`).emit('auction-extended', extendedData);
+          io.emit('auction-extended', extendedData);
         }
-      } catch (notifyErr) {
-        console.error('Error sending auction end notifications:', notifyErr);
       }
+      previousLotEnd = lot.endTime;
     }
 
-    await auctionItem.save();
+    if (lots.length && lots.every((lot) => lot.status === 'ended')) {
+      auctionEvent.status = 'ended';
+      await auctionEvent.save();
+      io.emit('auction-event-ended', { eventId: auctionEvent._id, endedAt: now });
+    }
+  }
+};
 
-    const endedData = {
-      itemId: auctionItem._id,
-      winnerId: auctionItem.winnerId,
-      finalPrice: auctionItem.currentPrice,
-      totalBids: auctionItem.totalBids,
-      endedAt: now
-    };
+/**
+ * @function recordBuyerCharges
+ * @description Stores the buyer's premium and tax owed by each winner of a closing item. A failure
+ * is logged rather than blocking the close; the charges can be recalculated later.
+ * @param {import('mongoose').Document} auctionItem - Item whose winner(s) were just decided.
+ * @returns {Promise<void>}
+ */
+const recordBuyerCharges = async (auctionItem) => {
+  try {
+    await applyBuyerCharges(auctionItem);
+  } catch (chargeErr) {
+    console.error('Error calculating buyer charges:', chargeErr);
+  }
+};
 
-    // Emit to specific auction room
-    io.to(`auction_${auctionItem._id}`).emit('auction-ended', endedData);
-    
-    // Emit globally for all pages
-    io.emit('auction-ended', endedData);
+/**
+ * @function openAuctionOrders
+ * @description Opens the winners' orders at close. The scheduler's own winner emails carry the
+ * invoices, so the order helper does not notify buyers. A failure is logged and leaves the close
+ * unaffected.
+ * @param {import('mongoose').Document} auctionItem - Item whose winner(s) were just decided.
+ * @returns {Promise<Array<import('mongoose').Document>>}
+ */
+const openAuctionOrders = async (auctionItem) => {
+  try {
+    return await openOrdersForItem(auctionItem, { notifyBuyers: false });
+  } catch (orderErr) {
+    console.error('Error opening orders for auction:', orderErr);
+    return [];
+  }
+};
+
+/**
+ * @function describeAmountDue
+ * @description Sentence for the winner's email stating their all-in total and when it is due, or
+ * an empty string when no order was opened for them.
+ * @param {import('mongoose').Document|undefined} order - Winner's order.
+ * @returns {string}
+ */
+const describeAmountDue = (order) => {
+  if (!order) {
+    return '';
+  }
+  return ` Total due including ${formatMoney(order.buyersPremium, order.currency)} buyer's premium, ${formatMoney(order.tax, order.currency)} tax and ${formatMoney(order.shippingCost, order.currency)} shipping: ${formatMoney(order.total, order.currency)}, payable by ${order.paymentDueAt.toUTCString()}. Your invoice is attached.`;
+};
+
+/**
+ * @function buildEmailAttachments
+ * @description Renders email attachments without letting a rendering failure stop the email.
+ * @param {() => Promise<Record<string, any>>} build - Attachment builder.
+ * @returns {Promise<Array<Record<string, any>>>}
+ */
+const buildEmailAttachments = async (build) => {
+  try {
+    return [await build()];
+  } catch (renderErr) {
+    console.error('Error rendering email attachment:', renderErr);
+    return [];
+  }
+};
+
+/**
+ * @function settleMultiUnitAuction
+ * @description Allocates the units of an expired multi-unit item to the top standing bids and
+ * records each winner's quantity at the uniform clearing price. Bids below the reserve never win.
+ * @param {import('mongoose').Document} auctionItem - Multi-unit item being finalized.
+ * @returns {Promise<void>}
+ */
+const settleMultiUnitAuction = async (auctionItem) => {
+  const standingBids = await getStandingBids(auctionItem._id);
+  const { allocations, unitsAllocated, clearingPrice } = allocateUnits(
+    standingBids,
+    auctionItem.totalQuantity,
+    auctionItem.reservePrice ?? 0
+  );
+
+  auctionItem.winnerId = null;
+  auctionItem.winners = allocations.map(({ bid, quantity }) => ({
+    userId: bid.bidderId._id,
+    bidAmount: bid.bidAmount,
+    quantity,
+    clearingPrice
+  }));
+  auctionItem.quantityAvailable = auctionItem.totalQuantity - unitsAllocated;
+  if (clearingPrice !== null) {
+    auctionItem.currentPrice = clearingPrice;
+  }
+
+  const winningBidIds = new Set(allocations.map(({ bid }) => bid._id.toString()));
+  await Bid.updateMany({ itemId: auctionItem._id, isRetracted: false }, { bidStatus: 'lost' });
+  await Bid.updateMany({ _id: { $in: Array.from(winningBidIds) } }, { bidStatus: 'won' });
+  await recordBuyerCharges(auctionItem);
+  const orders = await openAuctionOrders(auctionItem);
+  const orderByBuyer = new Map(orders.map((order) => [order.buyerId.toString(), order]));
+
+  // notify winners and seller by email (best-effort)
+  try {
+    for (const { bid, quantity } of allocations) {
+      if (!bid.bidderId.email) {
+        continue;
+      }
+      const order = orderByBuyer.get(bid.bidderId._id.toString());
+      const amountDue = describeAmountDue(order);
+      const attachments = order ? await buildEmailAttachments(() => buildInvoiceAttachment(order, auctionItem)) : [];
+      sendEmail({
+        to: bid.bidderId.email,
+        subject: `You won the auction: ${auctionItem.title}`,
+        text: `Congratulations! You won ${quantity} of ${auctionItem.totalQuantity} units of ${auctionItem.title} at a clearing price of ${formatMoney(clearingPrice, auctionItem.currency)} per unit.${amountDue}`,
+        html: `<p>Congratulations!</p><p>You won <strong>${quantity}</strong> of ${auctionItem.totalQuantity} units of <strong>${auctionItem.title}</strong> at a clearing price of <strong>${formatMoney(clearingPrice, auctionItem.currency)}</strong> per unit.${amountDue}</p>`,
+        attachments
+      }).catch((e) => console.error('Winner email error:', e));
+    }
+
+    const sellerUser = await User.findById(auctionItem.sellerId).lean();
+    if (sellerUser?.email) {
+      const summary = allocations.length
+        ? `${unitsAllocated} of ${auctionItem.totalQuantity} units sold to ${allocations.length} winner(s) at ${formatMoney(clearingPrice, auctionItem.currency)} per unit.`
+        : 'No units were sold.';
+      const attachments = orders.length
+        ? await buildEmailAttachments(() => buildSaleStatementAttachment(auctionItem, orders))
+        : [];
+      sendEmail({
+        to: sellerUser.email,
+        subject: `Your auction ended: ${auctionItem.title}`,
+        text: `Your multi-unit auction for ${auctionItem.title} has ended. ${summary}${attachments.length ? ' Your statement is attached.' : ''}`,
+        html: `<p>Your multi-unit auction for <strong>${auctionItem.title}</strong> has ended.</p><p>${summary}</p>`,
+        attachments
+      }).catch((e) => console.error('Seller email error:', e));
+    }
+  } catch (notifyErr) {
+    console.error('Error sending auction end notifications:', notifyErr);
+  }
+};
+
+/**
+ * @function revealSealedBids
+ * @description Opens the sealed bids of an expired item and records the outcome on the item so the
+ * regular close logic can settle it. The highest bid wins (earliest on ties). First-price winners
+ * pay their own bid; second-price winners pay the runner-up's bid, but never less than the
+ * reserve or opening price. The item is not saved.
+ * @param {import('mongoose').Document} auctionItem - Sealed-bid item being finalized.
+ * @returns {Promise<void>}
+ */
+export const revealSealedBids = async (auctionItem) => {
+  const sealedBids = await Bid.find({ itemId: auctionItem._id, isRetracted: false })
+    .sort({ bidAmount: -1, timestamp: 1 });
+
+  auctionItem.totalBids = sealedBids.length;
+  if (!sealedBids.length) {
+    return;
+  }
+
+  const [topBid, runnerUpBid] = sealedBids;
+  auctionItem.highestBidder = topBid.bidderId;
+
+  if (auctionItem.format === 'sealed-second-price') {
+    const floorPrice = Math.max(auctionItem.startingPrice, auctionItem.reservePrice ?? 0);
+    const clearingPrice = Math.max(runnerUpBid?.bidAmount ?? 0, floorPrice);
+    // A top bid below the reserve is reported as-is so the reserve-not-met path applies
+    auctionItem.currentPrice = topBid.bidAmount >= floorPrice ? clearingPrice : topBid.bidAmount;
+  } else {
+    auctionItem.currentPrice = topBid.bidAmount;
+  }
+};
+
+/**
+ * @function relistIfUnsold
+ * @description Applies the seller's relist rules to an item that has just closed. When a relist is
+ * due the new listing is broadcast and the seller receives a summary email.
+ * @param {import('mongoose').Document} auctionItem - Item that has just been finalized.
+ * @param {import('socket.io').Server} io - Socket.io server instance used to broadcast updates.
+ * @returns {Promise<void>}
+ */
+const relistIfUnsold = async (auctionItem, io) => {
+  const relistedItem = await relistUnsoldItem(auctionItem);
+  if (!relistedItem) {
+    return;
+  }
+
+  const relistedData = {
+    itemId: auctionItem._id,
+    relistedItemId: relistedItem._id,
+    relistCount: relistedItem.relistCount,
+    startingPrice: relistedItem.startingPrice,
+    endTime: relistedItem.endTime
+  };
+  io.to(`auction_${auctionItem._id}`).emit('auction-relisted', relistedData);
+  io.emit('auction-relisted', relistedData);
+
+  // notify seller by email (best-effort)
+  try {
+    const sellerUser = await User.findById(auctionItem.sellerId).lean();
+    if (sellerUser?.email) {
+      const outcome = auctionItem.totalBids > 0 ? 'without meeting your reserve' : 'without any bids';
+      const { maxRelists } = auctionItem.relistRules;
+      const relistsLeft = maxRelists - relistedItem.relistCount;
+      const priceSummary = relistedItem.startingPrice === auctionItem.startingPrice
+        ? `The starting price stays at ${formatMoney(relistedItem.startingPrice, auctionItem.currency)}.`
+        : `The starting price was reduced from ${formatMoney(auctionItem.startingPrice, auctionItem.currency)} to ${formatMoney(relistedItem.startingPrice, auctionItem.currency)}.`;
+      const remainingSummary = relistsLeft > 0
+        ? `${relistsLeft} more automatic ${relistsLeft === 1 ? 'relist remains' : 'relists remain'} if it does not sell.`
+        : 'This is the last automatic relist.';
+
+      sendEmail({
+        to: sellerUser.email,
+        subject: `Relisted: ${auctionItem.title}`,
+        text: `Hi ${sellerUser.username || 'user'},\n\nYour auction for ${auctionItem.title} ended ${outcome}, so it has been relisted (relist ${relistedItem.relistCount} of ${maxRelists}). ${priceSummary} The new auction ends ${relistedItem.endTime.toUTCString()}. ${remainingSummary}`,
+        html: `<p>Hi ${sellerUser.username || 'user'},</p><p>Your auction for <strong>${auctionItem.title}</strong> ended ${outcome}, so it has been relisted (relist ${relistedItem.relistCount} of ${maxRelists}).</p><ul><li>${priceSummary}</li><li>The new auction ends ${relistedItem.endTime.toUTCString()}.</li><li>${remainingSummary}</li></ul><p><a href="${process.env.CLIENT_URL || ''}/items/${relistedItem._id}">View the new listing</a></p>`
+      }).catch((e) => console.error('Relist seller email error:', e));
+    }
+  } catch (notifyErr) {
+    console.error('Error sending relist notification:', notifyErr);
+  }
+};
+
+/**
+ * @function finalizeAuction
+ * @description Ends one active auction and settles it. Auctions whose leading bid misses the
+ * reserve end without a winner; on reverse listings the lowest bidder wins. Items that close unsold
+ * are relisted when the seller's relist rules allow it. The item is claimed by atomically moving it
+ * from active to ended, so when the scheduler and the floor hammer reach the same lot only one of
+ * them settles it.
+ * @param {import('socket.io').Server} io - Socket.io server instance used to broadcast updates.
+ * @param {string|import('mongoose').Types.ObjectId} itemId - Auction to finalize.
+ * @param {{ conditions?: Record<string, any>, changes?: Record<string, any> }} [options] - Extra
+ * filters the item must still match when claimed, and fields to set in the same update.
+ * @returns {Promise<import('mongoose').Document|null>} The finalized item, or null if it was no
+ * longer active or another caller claimed it first.
+ */
+export const finalizeAuction = async (io, itemId, { conditions = {}, changes = {} } = {}) => {
+  const now = new Date();
+
+  const auctionItem = await Item.findOneAndUpdate(
+    { _id: itemId, status: 'active', isAuctionOver: false, ...conditions },
+    { ...changes, status: 'ended', isAuctionOver: true },
+    { new: true }
+  );
+
+  if (!auctionItem) {
+    return null;
+  }
+
+  if (auctionItem.isSealed()) {
+    await revealSealedBids(auctionItem);
+  }
+
+  if (auctionItem.isMultiUnit) {
+    await settleMultiUnitAuction(auctionItem);
+  } else if (auctionItem.highestBidder && !auctionItem.isReserveMet()) {
+    // Reserve not met: nobody wins and every bid is marked lost
+    auctionItem.winnerId = null;
+    await Bid.updateMany({ itemId: auctionItem._id, isRetracted: false }, { bidStatus: 'lost' });
+
+    try {
+      const [highBidderUser, sellerUser] = await Promise.all([
+        User.findById(auctionItem.highestBidder).lean(),
+        User.findById(auctionItem.sellerId).lean()
+      ]);
+
+      // Reverse listings lead with the lowest bid, which has to come down to the reserve
+      const leadingBid = auctionItem.isReverse() ? 'lowest' : 'highest';
+      const bidderOutcome = auctionItem.isReverse()
+        ? "did not come down to the poster's reserve price, so the request was not awarded"
+        : "did not meet the seller's reserve price, so the item was not sold";
+      const reserveComparison = auctionItem.isReverse() ? 'above' : 'below';
+
+      if (highBidderUser?.email) {
+        sendEmail({
+          to: highBidderUser.email,
+          subject: `Reserve not met: ${auctionItem.title}`,
+          text: `The auction for ${auctionItem.title} has ended. Your bid of ${formatMoney(auctionItem.currentPrice, auctionItem.currency)} was the ${leadingBid}, but it ${bidderOutcome}.`,
+          html: `<p>The auction for <strong>${auctionItem.title}</strong> has ended.</p><p>Your bid of <strong>${formatMoney(auctionItem.currentPrice, auctionItem.currency)}</strong> was the ${leadingBid}, but it ${bidderOutcome}.</p>`
+        }).catch((e) => console.error('Reserve-not-met bidder email error:', e));
+      }
+
+      if (sellerUser?.email) {
+        sendEmail({
+          to: sellerUser.email,
+          subject: `Your auction ended without meeting the reserve: ${auctionItem.title}`,
+          text: `Your auction for ${auctionItem.title} has ended. The ${leadingBid} bid of ${formatMoney(auctionItem.currentPrice, auctionItem.currency)} was ${reserveComparison} your reserve price of ${formatMoney(auctionItem.reservePrice, auctionItem.currency)}, so no winner was declared.`,
+          html: `<p>Your auction for <strong>${auctionItem.title}</strong> has ended.</p><p>The ${leadingBid} bid of <strong>${formatMoney(auctionItem.currentPrice, auctionItem.currency)}</strong> was ${reserveComparison} your reserve price of <strong>${formatMoney(auctionItem.reservePrice, auctionItem.currency)}</strong>, so no winner was declared.</p>`
+        }).catch((e) => console.error('Reserve-not-met seller email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending reserve-not-met notifications:', notifyErr);
+    }
+  } else if (auctionItem.highestBidder) {
+    auctionItem.winnerId = auctionItem.highestBidder;
+    const itemBids = await Bid.find({ itemId: auctionItem._id, isRetracted: { $ne: true } });
+    await Promise.all(
+      itemBids.map((bid) => {
+        bid.bidStatus = bid.bidderId.toString() === auctionItem.highestBidder.toString() ? 'won' : 'lost';
+        return bid.save();
+      })
+    );
+    await recordBuyerCharges(auctionItem);
+    const [order] = await openAuctionOrders(auctionItem);
+
+    // notify winner and seller by email (best-effort)
+    try {
+      const [winnerUser, sellerUser] = await Promise.all([
+        User.findById(auctionItem.winnerId).lean(),
+        User.findById(auctionItem.sellerId).lean()
+      ]);
+
+      const winningTerms = auctionItem.isReverse() ? 'with the lowest bid of' : 'with a final price of';
+      const amountDue = describeAmountDue(order);
+
+      if (winnerUser?.email) {
+        sendEmail({
+          to: winnerUser.email,
+          subject: `You won the auction: ${auctionItem.title}`,
+          text: `Congratulations! You won the auction for ${auctionItem.title} ${winningTerms} ${formatMoney(auctionItem.currentPrice, auctionItem.currency)}.${amountDue}`,
+          html: `<p>Congratulations!</p><p>You won the auction for <strong>${auctionItem.title}</strong> ${winningTerms} <strong>${formatMoney(auctionItem.currentPrice, auctionItem.currency)}</strong>.${amountDue}</p>`,
+          attachments: order ? await buildEmailAttachments(() => buildInvoiceAttachment(order, auctionItem)) : []
+        }).catch((e) => console.error('Winner email error:', e));
+      }
+
+      if (sellerUser?.email) {
+        sendEmail({
+          to: sellerUser.email,
+          subject: `Your auction ended: ${auctionItem.title}`,
+          text: `Your auction for ${auctionItem.title} has ended. ${auctionItem.isReverse() ? 'Winning (lowest) bid' : 'Final price'}: ${formatMoney(auctionItem.currentPrice, auctionItem.currency)}.${order ? ' Your statement is attached.' : ''}`,
+          html: `<p>Your auction for <strong>${auctionItem.title}</strong> has ended. ${auctionItem.isReverse() ? 'Winning (lowest) bid' : 'Final price'}: <strong>${formatMoney(auctionItem.currentPrice, auctionItem.currency)}</strong>.</p>`,
+          attachments: order ? await buildEmailAttachments(() => buildSaleStatementAttachment(auctionItem, [order])) : []
+        }).catch((e) => console.error('Seller email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending auction end notifications:', notifyErr);
+    }
+  }
+
+  await auctionItem.save();
+
+  const endedData = {
+    itemId: auctionItem._id,
+    winnerId: auctionItem.winnerId,
+    winners: auctionItem.winners,
+    finalPrice: auctionItem.currentPrice,
+    totalBids: auctionItem.totalBids,
+    reserveMet: auctionItem.isReserveMet(),
+    sealedBidsRevealed: auctionItem.isSealed(),
+    endedAt: now
+  };
+
+  // Emit to specific auction room
+  io.to(`auction_${auctionItem._id}`).emit('auction-ended', endedData);
+  
+  // Emit globally for all pages
+  io.emit('auction-ended', endedData);
+
+  try {
+    await relistIfUnsold(auctionItem, io);
+  } catch (relistErr) {
+    console.error('Error relisting unsold auction:', relistErr);
+  }
+
+  return auctionItem;
+};
+
+/**
+ * @function finalizeExpiredAuctions
+ * @description Finalizes every active auction past its end time. Lots clerked in floor mode are
+ * left to the auctioneer's hammer.
+ * @param {import('socket.io').Server} io - Socket.io server instance used to broadcast updates.
+ * @returns {Promise<void>}
+ */
+export const finalizeExpiredAuctions = async (io) => {
+  const expiredConditions = {
+    isFloorControlled: { $ne: true },
+    endTime: { $lte: new Date() }
+  };
+
+  const expiredAuctions = await Item.find({ status: 'active', isAuctionOver: false, ...expiredConditions })
+    .select('_id')
+    .lean();
+
+  for (const { _id: itemId } of expiredAuctions) {
+    await finalizeAuction(io, itemId, { conditions: expiredConditions });
+  }
+};
+
+/**
+ * @function expireSecondChanceOffers
+ * @description Marks pending second chance offers past their expiry as expired and lets each
+ * seller know they can offer the item to the next bidder.
+ * @returns {Promise<void>}
+ */
+const expireSecondChanceOffers = async () => {
+  const now = new Date();
+
+  const lapsedOffers = await SecondChanceOffer.find({
+    status: 'pending',
+    expiresAt: { $lte: now }
+  }).populate('itemId', 'title');
+
+  for (const offer of lapsedOffers) {
+    offer.status = 'expired';
+    offer.respondedAt = now;
+    await offer.save();
+
+    // notify the seller by email (best-effort)
+    try {
+      const sellerUser = await User.findById(offer.sellerId).lean();
+      const itemTitle = offer.itemId?.title || 'your item';
+      if (sellerUser?.email) {
+        sendEmail({
+          to: sellerUser.email,
+          subject: `Second chance offer expired: ${itemTitle}`,
+          text: `Your second chance offer for ${itemTitle} expired without a response. You can make an offer to the next bidder in line.`,
+          html: `<p>Your second chance offer for <strong>${itemTitle}</strong> expired without a response.</p><p>You can make an offer to the next bidder in line.</p>`
+        }).catch((e) => console.error('Second chance expiry email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending second chance expiry notification:', notifyErr);
+    }
+  }
+};
+
+/**
+ * @function cancelOverdueOrders
+ * @description Cancels orders still awaiting payment after their due date and lets both sides
+ * know. Sellers of single-unit items can then offer the item to the next bidder.
+ * @returns {Promise<void>}
+ */
+export const cancelOverdueOrders = async () => {
+  const now = new Date();
+
+  const overdueOrders = await Order.find({
+    status: 'awaiting-payment',
+    paymentDueAt: { $lte: now }
+  }).populate('itemId', 'title').populate('buyerId', 'email username').populate('sellerId', 'email');
+
+  for (const order of overdueOrders) {
+    // Skip orders the buyer paid for since they were loaded
+    const cancelledOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'awaiting-payment' },
+      {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancellationReason: 'Payment was not received by the due date.'
+      },
+      { new: true }
+    );
+    if (!cancelledOrder) {
+      continue;
+    }
+
+    // notify buyer and seller by email (best-effort)
+    try {
+      const itemTitle = order.itemId?.title || 'your item';
+      if (order.buyerId?.email) {
+        sendEmail({
+          to: order.buyerId.email,
+          subject: `Order cancelled: ${itemTitle}`,
+          text: `Your order for ${itemTitle} was cancelled because payment was not received by the due date.`,
+          html: `<p>Your order for <strong>${itemTitle}</strong> was cancelled because payment was not received by the due date.</p>`
+        }).catch((e) => console.error('Overdue order buyer email error:', e));
+      }
+      if (order.sellerId?.email) {
+        sendEmail({
+          to: order.sellerId.email,
+          subject: `Buyer did not pay: ${itemTitle}`,
+          text: `${order.buyerId?.username || 'The buyer'} did not pay for ${itemTitle} by the due date, so the order was cancelled. You can offer the item to the next bidder in line.`,
+          html: `<p><strong>${order.buyerId?.username || 'The buyer'}</strong> did not pay for <strong>${itemTitle}</strong> by the due date, so the order was cancelled.</p><p>You can offer the item to the next bidder in line.</p>`
+        }).catch((e) => console.error('Overdue order seller email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending overdue order notifications:', notifyErr);
+    }
+  }
+};
+
+/**
+ * @function releaseInspectedEscrow
+ * @description Releases the held proceeds of shipped orders whose inspection period ended without
+ * the buyer confirming receipt.
+ * @returns {Promise<void>}
+ */
+const releaseInspectedEscrow = async () => {
+  const dueOrders = await Order.find({
+    status: 'shipped',
+    'escrow.releasedAt': null,
+    'escrow.releaseAt': { $lte: new Date() }
+  }).select('_id').lean();
+
+  for (const order of dueOrders) {
+    try {
+      await releaseOrderEscrow(order._id, 'Inspection period ended');
+    } catch (releaseErr) {
+      console.error(`Error releasing escrow for order ${order._id}:`, releaseErr);
+    }
   }
 };
 
 /**
  * @function initializeAuctionScheduler
- * @description Starts an interval timer responsible for calling finalizeExpiredAuctions.
- * @param {{ io: import('socket.io').Server }} params - Configuration object containing the Socket.io instance.
+ * @description Starts an interval timer responsible for calling openScheduledAuctions,
+ * advanceAuctionEvents, finalizeExpiredAuctions, expireSecondChanceOffers, cancelOverdueOrders,
+ * releaseInspectedEscrow, runDuePayoutBatch, releaseBidderDeposits and runDueShillAnalysis.
+ * Events advance before lots are finalized so a lot never closes ahead of the lot before it. A
+ * failing step is logged and the rest still run; a tick is skipped while the previous one is
+ * still running.
+ * @param {{ io: import('socket.io').Server }} params - Configuration object containing the
+ * Socket.io instance.
  * @returns {void}
  */
 export const initializeAuctionScheduler = ({ io }) => {
@@ -103,9 +655,35 @@ export const initializeAuctionScheduler = ({ io }) => {
     return;
   }
 
-  setInterval(() => {
-    finalizeExpiredAuctions(io).catch((error) => {
-      console.error('Auction scheduler error:', error);
-    });
+  const steps = [
+    ['openScheduledAuctions', () => openScheduledAuctions(io)],
+    ['advanceAuctionEvents', () => advanceAuctionEvents(io)],
+    ['finalizeExpiredAuctions', () => finalizeExpiredAuctions(io)],
+    ['expireSecondChanceOffers', expireSecondChanceOffers],
+    ['cancelOverdueOrders', cancelOverdueOrders],
+    ['releaseInspectedEscrow', releaseInspectedEscrow],
+    ['runDuePayoutBatch', runDuePayoutBatch],
+    ['releaseBidderDeposits', releaseBidderDeposits],
+    ['runDueShillAnalysis', runDueShillAnalysis]
+  ];
+  let isTickRunning = false;
+
+  setInterval(async () => {
+    // A slow tick (a large payout batch, say) must not overlap the next one
+    if (isTickRunning) {
+      return;
+    }
+    isTickRunning = true;
+
+    // Each step gets its own catch so one failure does not hold up the rest
+    for (const [stepName, runStep] of steps) {
+      try {
+        await runStep();
+      } catch (error) {
+        console.error(`Auction scheduler error in ${stepName}:`, error);
+      }
+    }
+
+    isTickRunning = false;
   }, DEFAULT_INTERVAL_MS);
 };
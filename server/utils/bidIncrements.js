@@ -0,0 +1,100 @@
+/**
+ * @file bidIncrements.js
+ * @description Tiered bid increment tables. A table is a list of `{ upTo, increment }` tiers sorted
+ * by `upTo`; a price below `upTo` steps by that tier's increment and the final tier (`upTo: null`)
+ * covers every higher price. Sellers pick one of the presets or define their own tiers per listing.
+ */
+
+/**
+ * @description Built-in increment tables sellers can choose from when listing an item.
+ */
+export const INCREMENT_PRESETS = {
+  standard: {
+    label: 'Standard',
+    tiers: [
+      { upTo: 50, increment: 1 },
+      { upTo: 500, increment: 5 },
+      { upTo: 5000, increment: 25 },
+      { upTo: null, increment: 100 }
+    ]
+  },
+  fine: {
+    label: 'Fine',
+    tiers: [
+      { upTo: 100, increment: 1 },
+      { upTo: 1000, increment: 2 },
+      { upTo: 10000, increment: 10 },
+      { upTo: null, increment: 50 }
+    ]
+  },
+  coarse: {
+    label: 'Coarse',
+    tiers: [
+      { upTo: 100, increment: 5 },
+      { upTo: 1000, increment: 25 },
+      { upTo: 10000, increment: 100 },
+      { upTo: null, increment: 500 }
+    ]
+  }
+};
+
+/**
+ * @function parseIncrementTiers
+ * @description Parses and validates a custom tier table, accepting either an array or the JSON
+ * string sent by multipart forms. Tiers are returned sorted with a single open-ended final tier.
+ * @param {string|Array<{ upTo: number|null, increment: number }>} rawTiers - Submitted tiers.
+ * @returns {Array<{ upTo: number|null, increment: number }>}
+ * @throws {Error} When the table is empty, malformed or has overlapping bounds.
+ */
+export const parseIncrementTiers = (rawTiers) => {
+  let tiers = rawTiers;
+  if (typeof rawTiers === 'string') {
+    try {
+      tiers = JSON.parse(rawTiers);
+    } catch (parseError) {
+      throw new Error('Increment tiers must be valid JSON.');
+    }
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error('Provide at least one increment tier.');
+  }
+
+  const normalizedTiers = tiers.map((tier) => ({
+    upTo: tier.upTo === null || tier.upTo === undefined || tier.upTo === '' ? null : Number(tier.upTo),
+    increment: Number(tier.increment)
+  }));
+
+  normalizedTiers.forEach((tier) => {
+    if (!Number.isFinite(tier.increment) || tier.increment < 1) {
+      throw new Error('Every increment tier must step by at least $1.');
+    }
+    if (tier.upTo !== null && (!Number.isFinite(tier.upTo) || tier.upTo <= 0)) {
+      throw new Error('Increment tier bounds must be positive amounts.');
+    }
+  });
+
+  const boundedTiers = normalizedTiers.filter((tier) => tier.upTo !== null).sort((a, b) => a.upTo - b.upTo);
+  const openTiers = normalizedTiers.filter((tier) => tier.upTo === null);
+
+  if (openTiers.length !== 1) {
+    throw new Error('Exactly one increment tier must cover all higher prices.');
+  }
+  if (new Set(boundedTiers.map((tier) => tier.upTo)).size !== boundedTiers.length) {
+    throw new Error('Increment tier bounds must be unique.');
+  }
+
+  return [...boundedTiers, openTiers[0]];
+};
+
+/**
+ * @function getIncrementForPrice
+ * @description Looks up the increment that applies at a given price.
+ * @param {Array<{ upTo: number|null, increment: number }>} tiers - Sorted tier table.
+ * @param {number} price - Price the next bid must beat.
+ * @returns {number}
+ */
+export const getIncrementForPrice = (tiers, price) => {
+  const tier = tiers.find((entry) => entry.upTo === null || price < entry.upTo);
+  return tier ? tier.increment : tiers[tiers.length - 1].increment;
+};
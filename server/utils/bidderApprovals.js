@@ -0,0 +1,251 @@
+/**
+ * @file bidderApprovals.js
+ * @description Bidding limits checked before a bid or auto-bid is accepted. Items and events can
+ * set an approval threshold: bids at or above it need the seller's approval or a deposit. Every
+ * bidder also has a credit limit covering their open commitments, meaning the bids they are
+ * currently winning and the maximums of their active auto-bids. Reverse listings are exempt, since
+ * their bidders are offering to be paid. Thresholds are in the listing's currency; credit limits
+ * are in the base currency, so commitments are converted at the current exchange rates.
+ */
+
+import AuctionEvent from '../models/AuctionEvent.js';
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import BidderApproval from '../models/BidderApproval.js';
+import Item from '../models/Item.js';
+import { getPaymentProvider } from './paymentProvider.js';
+import { BASE_CURRENCY, formatMoney } from './money.js';
+import { convertAmount, getExchangeRates } from './exchangeRates.js';
+
+/**
+ * @description Credit limit, in the base currency, for bidders without one of their own unless
+ * BIDDER_CREDIT_LIMIT overrides it.
+ */
+export const DEFAULT_CREDIT_LIMIT = 25000;
+
+/**
+ * @function toCents
+ * @param {number} amount - Amount in major units.
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * @function getCreditLimit
+ * @description Resolves a bidder's credit limit: their own when an admin set one, else the site
+ * default.
+ * @param {{ creditLimit?: number|null }} user - Bidder.
+ * @returns {number}
+ */
+export const getCreditLimit = (user) => {
+  if (user.creditLimit !== null && user.creditLimit !== undefined) {
+    return user.creditLimit;
+  }
+  return Number(process.env.BIDDER_CREDIT_LIMIT) || DEFAULT_CREDIT_LIMIT;
+};
+
+/**
+ * @function getApprovalRequirement
+ * @description Resolves the approval threshold that applies to an item: its own, else its event's.
+ * @param {import('mongoose').Document} item - Item being bid on.
+ * @param {import('mongoose').ClientSession} [session] - Session of the surrounding transaction.
+ * @returns {Promise<{ threshold: number, deposit: number|null, currency: string, itemId: ObjectId|null, eventId: ObjectId|null, reviewerId: ObjectId }|null>}
+ * Null when bids of any amount are accepted without approval.
+ */
+export const getApprovalRequirement = async (item, session = null) => {
+  if (item.approvalThreshold) {
+    return {
+      threshold: item.approvalThreshold,
+      deposit: item.approvalDeposit || null,
+      currency: item.currency,
+      itemId: item._id,
+      eventId: null,
+      reviewerId: item.sellerId._id || item.sellerId
+    };
+  }
+  if (!item.eventId) {
+    return null;
+  }
+
+  const auctionEvent = await AuctionEvent.findById(item.eventId._id || item.eventId)
+    .select('approvalThreshold approvalDeposit currency organizerId')
+    .session(session);
+  if (!auctionEvent?.approvalThreshold) {
+    return null;
+  }
+  return {
+    threshold: auctionEvent.approvalThreshold,
+    deposit: auctionEvent.approvalDeposit || null,
+    currency: auctionEvent.currency,
+    itemId: null,
+    eventId: auctionEvent._id,
+    reviewerId: auctionEvent.organizerId
+  };
+};
+
+/**
+ * @function findLotApproval
+ * @description Loads a bidder's approval request for the scope of a requirement.
+ * @param {ObjectId|string} userId - Bidder.
+ * @param {{ itemId: ObjectId|null, eventId: ObjectId|null }} requirement - Requirement from getApprovalRequirement.
+ * @param {import('mongoose').ClientSession} [session] - Session of the surrounding transaction.
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+export const findLotApproval = (userId, { itemId, eventId }, session = null) => BidderApproval.findOne({
+  userId,
+  kind: 'lot',
+  itemId,
+  eventId
+}).session(session);
+
+/**
+ * @function getCreditExposure
+ * @description Totals a bidder's open commitments in the base currency. Per item this is the
+ * larger of the price they lead at (their standing sealed or multi-unit bids) and their active
+ * auto-bid maximum.
+ * @param {ObjectId|string} userId - Bidder.
+ * @param {{ excludeItemId?: ObjectId|null, rates?: Record<string, number>|null, session?: import('mongoose').ClientSession|null }} [options]
+ * `excludeItemId` leaves out an item whose commitment the caller is about to replace. `rates`
+ * saves reloading the exchange rates when the caller has them.
+ * @returns {Promise<number>}
+ */
+export const getCreditExposure = async (userId, { excludeItemId = null, rates = null, session = null } = {}) => {
+  const exchangeRates = rates || (await getExchangeRates()).rates;
+  const centsByItem = new Map();
+  const commit = (item, amount, combine) => {
+    const key = item._id.toString();
+    const cents = toCents(convertAmount(amount, item.currency, BASE_CURRENCY, exchangeRates));
+    centsByItem.set(key, combine(centsByItem.get(key) || 0, cents));
+  };
+
+  const leadingItems = await Item.find({
+    highestBidder: userId,
+    status: 'active',
+    isMultiUnit: false,
+    listingType: { $ne: 'reverse' }
+  }).select('currency currentPrice').session(session);
+  leadingItems.forEach((item) => commit(item, item.currentPrice, Math.max));
+
+  // Sealed and multi-unit bids never move the item's leader, so they are counted from the bids
+  const standingBids = await Bid.find({ bidderId: userId, isRetracted: false, bidStatus: { $in: ['active', 'winning'] } })
+    .populate('itemId', 'status format isMultiUnit listingType currency')
+    .session(session);
+  standingBids.forEach((bid) => {
+    const item = bid.itemId;
+    if (!item || item.status !== 'active' || item.listingType === 'reverse') {
+      return;
+    }
+    if ((item.isMultiUnit && bid.bidStatus === 'winning') || (!item.isMultiUnit && item.isSealed())) {
+      commit(item, bid.bidAmount * (bid.quantity || 1), (a, b) => a + b);
+    }
+  });
+
+  const autoBids = await AutoBid.find({ userId, isActive: true })
+    .populate('itemId', 'status currency')
+    .session(session);
+  autoBids
+    .filter((autoBid) => ['upcoming', 'active'].includes(autoBid.itemId?.status))
+    .forEach((autoBid) => commit(autoBid.itemId, autoBid.maxBidAmount, Math.max));
+
+  if (excludeItemId) {
+    centsByItem.delete(excludeItemId.toString());
+  }
+  return [...centsByItem.values()].reduce((sum, cents) => sum + cents, 0) / 100;
+};
+
+/**
+ * @function checkBidderEligibility
+ * @description Checks a bid or auto-bid maximum against the item's approval threshold and the
+ * bidder's credit limit.
+ * @param {{ user: { _id: ObjectId, creditLimit?: number|null }, item: import('mongoose').Document, amount: number, quantity?: number, session?: import('mongoose').ClientSession|null }} bid
+ * The bidder, the item and the amount per unit they want to commit, in the item's currency.
+ * @returns {Promise<{ error: null|{ code: string, message: string } & Record<string, any> }>}
+ * `error.code` is APPROVAL_REQUIRED or CREDIT_LIMIT_EXCEEDED, with the figures the bidder needs:
+ * thresholds in the item's currency, credit in the base currency.
+ */
+export const checkBidderEligibility = async ({ user, item, amount, quantity = 1, session = null }) => {
+  if (item.isReverse()) {
+    return { error: null };
+  }
+
+  const requirement = await getApprovalRequirement(item, session);
+  if (requirement && amount >= requirement.threshold) {
+    const approval = await findLotApproval(user._id, requirement, session);
+    if (approval?.status !== 'approved') {
+      const scopeLabel = requirement.eventId ? 'lots in this sale' : 'this item';
+      const nextStep = approval?.status === 'pending'
+        ? 'Your request is waiting for review.'
+        : approval?.status === 'rejected'
+          ? 'Your request was declined.'
+          : requirement.deposit
+            ? `Request approval or place a ${formatMoney(requirement.deposit, requirement.currency)} deposit to continue.`
+            : 'Request approval from the seller to continue.';
+      return {
+        error: {
+          code: 'APPROVAL_REQUIRED',
+          message: `Bids of ${formatMoney(requirement.threshold, requirement.currency)} or more on ${scopeLabel} need approval. ${nextStep}`,
+          threshold: requirement.threshold,
+          deposit: requirement.deposit,
+          currency: requirement.currency,
+          approvalStatus: approval?.status || null
+        }
+      };
+    }
+  }
+
+  // A new bid or maximum replaces the bidder's commitment on the item. On multi-unit items only the
+  // latest bid of each bidder stands, so the new bid's units replace the earlier ones too
+  const creditLimit = getCreditLimit(user);
+  const { rates } = await getExchangeRates();
+  const exposure = await getCreditExposure(user._id, { excludeItemId: item._id, rates, session });
+  const commitment = convertAmount(amount * quantity, item.currency, BASE_CURRENCY, rates);
+  if (toCents(exposure) + toCents(commitment) > toCents(creditLimit)) {
+    const available = Math.max(0, toCents(creditLimit) - toCents(exposure)) / 100;
+    return {
+      error: {
+        code: 'CREDIT_LIMIT_EXCEEDED',
+        message: `This bid would take your open bids past your ${formatMoney(creditLimit)} credit limit. You have ${formatMoney(available)} available; request a higher limit to bid more.`,
+        creditLimit,
+        exposure,
+        available
+      }
+    };
+  }
+
+  return { error: null };
+};
+
+/**
+ * @function releaseBidderDeposits
+ * @description Voids the deposit holds of items and events that have closed. Deposits only approve
+ * a bidder; winners still pay in full at checkout. Holds the provider fails to void are retried on
+ * the next run.
+ * @returns {Promise<void>}
+ */
+export const releaseBidderDeposits = async () => {
+  const heldDeposits = await BidderApproval.find({ 'deposit.authorizedAt': { $ne: null }, 'deposit.releasedAt': null })
+    .populate('itemId', 'status')
+    .populate('eventId', 'status');
+
+  const provider = getPaymentProvider();
+  for (const approval of heldDeposits) {
+    const isOpen = approval.itemId
+      ? ['upcoming', 'active'].includes(approval.itemId.status)
+      : Boolean(approval.eventId) && approval.eventId.status !== 'ended';
+    if (isOpen) {
+      continue;
+    }
+
+    try {
+      const voidResult = await provider.voidAuthorization({ reference: approval.deposit.reference });
+      if (!voidResult.voided) {
+        console.error(`Deposit hold ${approval.deposit.reference} was not voided: ${voidResult.message}`);
+        continue;
+      }
+      approval.deposit.releasedAt = new Date();
+      await approval.save();
+    } catch (releaseErr) {
+      console.error(`Error releasing deposit for approval ${approval._id}:`, releaseErr);
+    }
+  }
+};
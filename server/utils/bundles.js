@@ -0,0 +1,97 @@
+/**
+ * @file bundles.js
+ * @description Bundled lots. A bundle is a single auction whose lot is made of several pieces, such
+ * as a set of chairs or a lot of postcards. Each piece keeps its own images, condition and
+ * dimensions while bidding, pricing and winning apply to the lot as a whole.
+ */
+
+const MIN_BUNDLE_PIECES = 2;
+const MAX_BUNDLE_PIECES = 24;
+const MAX_PIECE_IMAGES = 5;
+const PIECE_CONDITIONS = ['Excellent', 'Very Good', 'Good', 'Fair', 'Poor'];
+
+/**
+ * @function parseBundleItems
+ * @description Parses and validates the pieces of a bundle, accepting either an array or the JSON
+ * string sent by multipart forms. `newImageCount` on a piece says how many of the uploaded
+ * `bundleImages` files, taken in piece order, belong to it.
+ * @param {string|Array<Record<string, any>>} rawPieces - Submitted pieces.
+ * @returns {Array<{ title: string, description: string, condition: string, era?: string, images: Array<string>, newImageCount: number, dimensions?: Record<string, any> }>}
+ * @throws {Error} When the bundle or one of its pieces is malformed.
+ */
+export const parseBundleItems = (rawPieces) => {
+  let pieces = rawPieces;
+  if (typeof rawPieces === 'string') {
+    try {
+      pieces = JSON.parse(rawPieces);
+    } catch (parseError) {
+      throw new Error('Bundle pieces must be valid JSON.');
+    }
+  }
+
+  if (!Array.isArray(pieces)) {
+    throw new Error('Bundle pieces must be an array.');
+  }
+  if (pieces.length === 0) {
+    return [];
+  }
+  if (pieces.length < MIN_BUNDLE_PIECES || pieces.length > MAX_BUNDLE_PIECES) {
+    throw new Error(`A bundle must contain between ${MIN_BUNDLE_PIECES} and ${MAX_BUNDLE_PIECES} pieces.`);
+  }
+
+  return pieces.map((piece, index) => {
+    const label = `Bundle piece ${index + 1}`;
+    const title = typeof piece?.title === 'string' ? piece.title.trim() : '';
+    if (!title) {
+      throw new Error(`${label} needs a title.`);
+    }
+    if (!PIECE_CONDITIONS.includes(piece.condition)) {
+      throw new Error(`${label} must have a valid condition.`);
+    }
+
+    const images = Array.isArray(piece.images)
+      ? piece.images.filter((url) => typeof url === 'string' && url.trim()).map((url) => url.trim())
+      : [];
+    const newImageCount = Number(piece.newImageCount) || 0;
+    if (!Number.isInteger(newImageCount) || newImageCount < 0 || images.length + newImageCount > MAX_PIECE_IMAGES) {
+      throw new Error(`${label} can have at most ${MAX_PIECE_IMAGES} images.`);
+    }
+
+    return {
+      title,
+      description: typeof piece.description === 'string' ? piece.description.trim() : '',
+      condition: piece.condition,
+      era: typeof piece.era === 'string' && piece.era.trim() ? piece.era.trim() : undefined,
+      images,
+      newImageCount,
+      dimensions: piece.dimensions && typeof piece.dimensions === 'object' ? piece.dimensions : undefined
+    };
+  });
+};
+
+/**
+ * @function assignBundleImages
+ * @description Hands the uploaded piece images to their pieces in order and drops the upload
+ * bookkeeping from the result.
+ * @param {ReturnType<typeof parseBundleItems>} pieces - Parsed pieces.
+ * @param {Array<string>} uploadedUrls - URLs of the uploaded `bundleImages`, in upload order.
+ * @returns {Array<Record<string, any>>} Pieces ready to store on the item.
+ */
+export const assignBundleImages = (pieces, uploadedUrls) => {
+  let nextUpload = 0;
+  return pieces.map(({ newImageCount, ...piece }) => {
+    const pieceUploads = uploadedUrls.slice(nextUpload, nextUpload + newImageCount);
+    nextUpload += newImageCount;
+    return { ...piece, images: [...piece.images, ...pieceUploads] };
+  });
+};
+
+/**
+ * @function getBundleCoverImages
+ * @description Cover images for a bundle listed without its own: the first image of each piece,
+ * up to the five images a listing holds.
+ * @param {Array<{ images: Array<string> }>} pieces - Bundle pieces.
+ * @returns {Array<string>}
+ */
+export const getBundleCoverImages = (pieces) =>
+  pieces.map((piece) => piece.images[0]).filter(Boolean).slice(0, MAX_PIECE_IMAGES);
@@ -0,0 +1,269 @@
+/**
+ * @file buyerCharges.js
+ * @description Buyer's premium and sales tax. The premium is a schedule of `{ upTo, percent }`
+ * tiers applied marginally to the hammer price, like an income tax band: with 25% up to $1,000 and
+ * 20% above, a $1,500 hammer carries $250 + $100. The schedule is global, with optional overrides
+ * per category and per auction event. Sales tax is looked up from the buyer's address and charged
+ * on hammer plus premium. Global and category tier bounds are in the base currency; event tiers are
+ * in the event's currency, which its lots share.
+ */
+
+import FeeSchedule from '../models/FeeSchedule.js';
+import AuctionEvent from '../models/AuctionEvent.js';
+import User from '../models/User.js';
+import { BASE_CURRENCY, roundMoney } from './money.js';
+import { convertAmount, getExchangeRates } from './exchangeRates.js';
+
+/**
+ * @description Premium applied when no schedule has been configured.
+ */
+export const DEFAULT_PREMIUM_TIERS = [{ upTo: null, percent: 20 }];
+
+/**
+ * @description Commission deducted from the hammer price when no schedule has been configured.
+ */
+export const DEFAULT_SELLER_COMMISSION_PERCENT = 10;
+
+const MAX_PREMIUM_PERCENT = 50;
+const MAX_TAX_RATE_PERCENT = 30;
+
+/**
+ * @function parsePremiumTiers
+ * @description Parses and validates a premium schedule, accepting either an array or a JSON
+ * string. Tiers are returned sorted with a single open-ended final tier.
+ * @param {string|Array<{ upTo: number|null, percent: number }>} rawTiers - Submitted tiers.
+ * @returns {Array<{ upTo: number|null, percent: number }>}
+ * @throws {Error} When the schedule is empty, malformed or has overlapping bounds.
+ */
+export const parsePremiumTiers = (rawTiers) => {
+  let tiers = rawTiers;
+  if (typeof rawTiers === 'string') {
+    try {
+      tiers = JSON.parse(rawTiers);
+    } catch (parseError) {
+      throw new Error('Premium tiers must be valid JSON.');
+    }
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error('Provide at least one premium tier.');
+  }
+
+  const normalizedTiers = tiers.map((tier) => ({
+    upTo: tier.upTo === null || tier.upTo === undefined || tier.upTo === '' ? null : Number(tier.upTo),
+    percent: Number(tier.percent)
+  }));
+
+  normalizedTiers.forEach((tier) => {
+    if (!Number.isFinite(tier.percent) || tier.percent < 0 || tier.percent > MAX_PREMIUM_PERCENT) {
+      throw new Error(`Every premium tier must be between 0% and ${MAX_PREMIUM_PERCENT}%.`);
+    }
+    if (tier.upTo !== null && (!Number.isFinite(tier.upTo) || tier.upTo <= 0)) {
+      throw new Error('Premium tier bounds must be positive amounts.');
+    }
+  });
+
+  const boundedTiers = normalizedTiers.filter((tier) => tier.upTo !== null).sort((a, b) => a.upTo - b.upTo);
+  const openTiers = normalizedTiers.filter((tier) => tier.upTo === null);
+
+  if (openTiers.length !== 1) {
+    throw new Error('Exactly one premium tier must cover all higher prices.');
+  }
+  if (new Set(boundedTiers.map((tier) => tier.upTo)).size !== boundedTiers.length) {
+    throw new Error('Premium tier bounds must be unique.');
+  }
+
+  return [...boundedTiers, openTiers[0]];
+};
+
+/**
+ * @function parseTaxRates
+ * @description Parses and validates the tax rate table. An entry without a state applies to the
+ * whole country; a state entry takes precedence over it.
+ * @param {string|Array<{ country: string, state?: string, ratePercent: number }>} rawRates - Submitted rates.
+ * @returns {Array<{ country: string, state: string, ratePercent: number }>}
+ * @throws {Error} When an entry is malformed or duplicated.
+ */
+export const parseTaxRates = (rawRates) => {
+  let rates = rawRates;
+  if (typeof rawRates === 'string') {
+    try {
+      rates = JSON.parse(rawRates);
+    } catch (parseError) {
+      throw new Error('Tax rates must be valid JSON.');
+    }
+  }
+
+  if (!Array.isArray(rates)) {
+    throw new Error('Tax rates must be an array.');
+  }
+
+  const normalizedRates = rates.map((rate) => ({
+    country: typeof rate.country === 'string' ? rate.country.trim() : '',
+    state: typeof rate.state === 'string' ? rate.state.trim() : '',
+    ratePercent: Number(rate.ratePercent)
+  }));
+
+  const seenRegions = new Set();
+  normalizedRates.forEach((rate) => {
+    if (!rate.country) {
+      throw new Error('Every tax rate needs a country.');
+    }
+    if (!Number.isFinite(rate.ratePercent) || rate.ratePercent < 0 || rate.ratePercent > MAX_TAX_RATE_PERCENT) {
+      throw new Error(`Tax rates must be between 0% and ${MAX_TAX_RATE_PERCENT}%.`);
+    }
+    const regionKey = `${rate.country.toLowerCase()}|${rate.state.toLowerCase()}`;
+    if (seenRegions.has(regionKey)) {
+      throw new Error(`The tax rate for ${rate.state ? `${rate.state}, ` : ''}${rate.country} is listed twice.`);
+    }
+    seenRegions.add(regionKey);
+  });
+
+  return normalizedRates;
+};
+
+/**
+ * @function getFeeSchedule
+ * @description Loads the configured fee schedule, falling back to the default premium and
+ * commission and no tax.
+ * @param {import('mongoose').ClientSession} [session] - Session of the surrounding transaction.
+ * @returns {Promise<{ premiumTiers: Array<Record<string, number|null>>, categoryPremiums: Array<Record<string, any>>, sellerCommissionPercent: number, taxRates: Array<Record<string, any>> }>}
+ */
+export const getFeeSchedule = async (session = null) => {
+  const schedule = await FeeSchedule.findOne().session(session).lean();
+  return {
+    premiumTiers: schedule?.premiumTiers?.length ? schedule.premiumTiers : DEFAULT_PREMIUM_TIERS,
+    categoryPremiums: schedule?.categoryPremiums || [],
+    sellerCommissionPercent: schedule?.sellerCommissionPercent ?? DEFAULT_SELLER_COMMISSION_PERCENT,
+    taxRates: schedule?.taxRates || []
+  };
+};
+
+/**
+ * @function resolvePremiumTiers
+ * @description Premium schedule for an item: its event's override, else its category's, else the
+ * global schedule, with tier bounds in the item's currency.
+ * @param {import('mongoose').Document} item - Auction item.
+ * @param {Awaited<ReturnType<typeof getFeeSchedule>>} feeSchedule - Loaded fee schedule.
+ * @param {import('mongoose').ClientSession} [session] - Session of the surrounding transaction.
+ * @returns {Promise<Array<{ upTo: number|null, percent: number }>>}
+ */
+export const resolvePremiumTiers = async (item, feeSchedule, session = null) => {
+  if (item.eventId) {
+    const eventId = item.eventId._id || item.eventId;
+    const auctionEvent = await AuctionEvent.findById(eventId).select('buyersPremiumTiers').session(session).lean();
+    if (auctionEvent?.buyersPremiumTiers?.length) {
+      return auctionEvent.buyersPremiumTiers;
+    }
+  }
+
+  const categoryPremium = feeSchedule.categoryPremiums.find(
+    (entry) => entry.category.toLowerCase() === String(item.category).toLowerCase()
+  );
+  const tiers = categoryPremium?.tiers?.length ? categoryPremium.tiers : feeSchedule.premiumTiers;
+  const currency = item.currency || BASE_CURRENCY;
+  if (currency === BASE_CURRENCY) {
+    return tiers;
+  }
+
+  const { rates } = await getExchangeRates();
+  return tiers.map((tier) => ({
+    ...tier,
+    upTo: tier.upTo === null ? null : convertAmount(tier.upTo, BASE_CURRENCY, currency, rates)
+  }));
+};
+
+/**
+ * @function findTaxRate
+ * @description Tax rate for an address: the state entry of its country if there is one, else the
+ * country-wide entry, else no tax.
+ * @param {{ country?: string, state?: string }|undefined} address - Buyer address.
+ * @param {Array<{ country: string, state: string, ratePercent: number }>} taxRates - Tax rate table.
+ * @returns {number} Rate in percent.
+ */
+export const findTaxRate = (address, taxRates) => {
+  const country = address?.country?.trim().toLowerCase();
+  if (!country) {
+    return 0;
+  }
+  const state = address.state?.trim().toLowerCase() || '';
+  const countryRates = taxRates.filter((rate) => rate.country.toLowerCase() === country);
+  const stateRate = state && countryRates.find((rate) => rate.state.toLowerCase() === state);
+  const countryRate = countryRates.find((rate) => !rate.state);
+  return (stateRate || countryRate)?.ratePercent ?? 0;
+};
+
+/**
+ * @function calculateBuyerCharges
+ * @description Breaks a purchase down into hammer, premium, tax and total, rounded to cents.
+ * @param {number} hammerPrice - Hammer price for the whole purchase.
+ * @param {Array<{ upTo: number|null, percent: number }>} premiumTiers - Sorted premium schedule.
+ * @param {number} taxRatePercent - Sales tax rate.
+ * @returns {{ hammerPrice: number, buyersPremium: number, taxRatePercent: number, tax: number, total: number }}
+ */
+export const calculateBuyerCharges = (hammerPrice, premiumTiers, taxRatePercent) => {
+  let premium = 0;
+  let bandStart = 0;
+  for (const tier of premiumTiers) {
+    const bandEnd = tier.upTo === null ? hammerPrice : Math.min(hammerPrice, tier.upTo);
+    if (bandEnd > bandStart) {
+      premium += (bandEnd - bandStart) * (tier.percent / 100);
+    }
+    if (tier.upTo === null || hammerPrice <= tier.upTo) {
+      break;
+    }
+    bandStart = tier.upTo;
+  }
+
+  const buyersPremium = roundMoney(premium);
+  const tax = roundMoney((hammerPrice + buyersPremium) * (taxRatePercent / 100));
+  return {
+    hammerPrice: roundMoney(hammerPrice),
+    buyersPremium,
+    taxRatePercent,
+    tax,
+    total: roundMoney(hammerPrice + buyersPremium + tax)
+  };
+};
+
+/**
+ * @function applyBuyerCharges
+ * @description Records the charges of every buyer of a closed item on `item.settlements`: the
+ * winner of a single-unit item, or each multi-unit winner at the clearing price. Reverse listings
+ * are procurement requests and carry no buyer's premium. The item is not saved.
+ * @param {import('mongoose').Document} item - Item whose winner(s) were just decided.
+ * @param {import('mongoose').ClientSession} [session] - Session of the surrounding transaction.
+ * @returns {Promise<void>}
+ */
+export const applyBuyerCharges = async (item, session = null) => {
+  const purchases = item.isMultiUnit
+    ? item.winners.map((winner) => ({
+        buyerId: winner.userId,
+        quantity: winner.quantity,
+        hammerPrice: (winner.clearingPrice ?? winner.bidAmount) * winner.quantity
+      }))
+    : item.winnerId && !item.isReverse()
+      ? [{ buyerId: item.winnerId, quantity: 1, hammerPrice: item.currentPrice }]
+      : [];
+
+  if (purchases.length === 0) {
+    item.settlements = [];
+    return;
+  }
+
+  const feeSchedule = await getFeeSchedule(session);
+  const premiumTiers = await resolvePremiumTiers(item, feeSchedule, session);
+  const buyers = await User.find({ _id: { $in: purchases.map(({ buyerId }) => buyerId) } })
+    .select('address')
+    .session(session)
+    .lean();
+  const addressByBuyer = new Map(buyers.map((buyer) => [buyer._id.toString(), buyer.address]));
+  const computedAt = new Date();
+
+  item.settlements = purchases.map(({ buyerId, quantity, hammerPrice }) => ({
+    buyerId,
+    quantity,
+    ...calculateBuyerCharges(hammerPrice, premiumTiers, findTaxRate(addressByBuyer.get(buyerId.toString()), feeSchedule.taxRates)),
+    computedAt
+  }));
+};
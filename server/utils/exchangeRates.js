@@ -0,0 +1,100 @@
+/**
+ * @file exchangeRates.js
+ * @description Conversions between the supported currencies using the admin-maintained rate
+ * table. Rates are quoted as units of each currency per unit of the base currency, so converting
+ * goes through the base currency. Conversions only ever serve site-wide amounts kept in the base
+ * currency and displays in a user's chosen currency; bids are always validated in the listing's own
+ * currency.
+ */
+
+import ExchangeRateTable from '../models/ExchangeRateTable.js';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES, roundMoney } from './money.js';
+
+/**
+ * @description Rates applied until an admin sets the table.
+ */
+export const DEFAULT_EXCHANGE_RATES = [
+  { currency: 'GBP', rate: 0.79 },
+  { currency: 'EUR', rate: 0.92 }
+];
+
+const QUOTED_CURRENCIES = SUPPORTED_CURRENCIES.filter((currency) => currency !== BASE_CURRENCY);
+
+/**
+ * @function parseExchangeRates
+ * @description Parses and validates the rate table, accepting either an array or a JSON string.
+ * Every supported currency other than the base currency must be quoted exactly once.
+ * @param {string|Array<{ currency: string, rate: number }>} rawRates - Submitted rates.
+ * @returns {Array<{ currency: string, rate: number }>}
+ * @throws {Error} When a currency is missing, duplicated or has an invalid rate.
+ */
+export const parseExchangeRates = (rawRates) => {
+  let rates = rawRates;
+  if (typeof rawRates === 'string') {
+    try {
+      rates = JSON.parse(rawRates);
+    } catch (parseError) {
+      throw new Error('Exchange rates must be valid JSON.');
+    }
+  }
+
+  if (!Array.isArray(rates)) {
+    throw new Error('Exchange rates must be an array.');
+  }
+
+  const normalizedRates = rates.map((rate) => ({
+    currency: typeof rate.currency === 'string' ? rate.currency.trim().toUpperCase() : '',
+    rate: Number(rate.rate)
+  }));
+
+  normalizedRates.forEach((rate) => {
+    if (!QUOTED_CURRENCIES.includes(rate.currency)) {
+      throw new Error(`Currency must be one of: ${QUOTED_CURRENCIES.join(', ')}.`);
+    }
+    if (!Number.isFinite(rate.rate) || rate.rate <= 0) {
+      throw new Error(`The ${rate.currency} rate must be a positive number.`);
+    }
+  });
+
+  const currencies = normalizedRates.map(({ currency }) => currency);
+  if (new Set(currencies).size !== currencies.length || currencies.length !== QUOTED_CURRENCIES.length) {
+    throw new Error(`Quote every currency against ${BASE_CURRENCY} exactly once.`);
+  }
+
+  return QUOTED_CURRENCIES.map((currency) => normalizedRates.find((rate) => rate.currency === currency));
+};
+
+/**
+ * @function getExchangeRates
+ * @description Loads the rate table, falling back to the default rates.
+ * @returns {Promise<{ baseCurrency: string, rates: Record<string, number>, updatedAt: Date|null }>}
+ * `rates` maps every supported currency, the base currency included, to its rate.
+ */
+export const getExchangeRates = async () => {
+  const table = await ExchangeRateTable.findOne().lean();
+  const quotedRates = table?.rates?.length ? table.rates : DEFAULT_EXCHANGE_RATES;
+  return {
+    baseCurrency: BASE_CURRENCY,
+    rates: {
+      [BASE_CURRENCY]: 1,
+      ...Object.fromEntries(quotedRates.map(({ currency, rate }) => [currency, rate]))
+    },
+    updatedAt: table?.updatedAt || null
+  };
+};
+
+/**
+ * @function convertAmount
+ * @description Converts an amount between two currencies, rounded to the minor unit.
+ * @param {number} amount - Amount in major units of `fromCurrency`.
+ * @param {string} fromCurrency - Currency the amount is in.
+ * @param {string} toCurrency - Currency wanted.
+ * @param {Record<string, number>} rates - Rates from getExchangeRates.
+ * @returns {number}
+ */
+export const convertAmount = (amount, fromCurrency, toCurrency, rates) => {
+  if (fromCurrency === toCurrency) {
+    return amount;
+  }
+  return roundMoney((amount / rates[fromCurrency]) * rates[toCurrency]);
+};
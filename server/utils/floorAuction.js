@@ -0,0 +1,534 @@
+/**
+ * @file floorAuction.js
+ * @description Auctioneer-driven "floor" mode for live lots. While the floor is open the lot's end
+ * time is ignored: the seller (or an admin) acting as auctioneer calls fair warning, going once,
+ * going twice and sold, each call running a server-side countdown that advances to the next call
+ * unless a bid arrives first. Bids on a floor lot come in over the socket and, like every floor
+ * action, are applied one at a time per lot through serializeFloorTask. Every action is recorded
+ * as a FloorAction.
+ *
+ * Floor sessions live in memory, so on startup lots left floor controlled by the previous process
+ * are handed back to the scheduler and close at their end time unless the floor is opened again.
+ */
+
+import mongoose from 'mongoose';
+import Item from '../models/Item.js';
+import Bid from '../models/Bid.js';
+import User from '../models/User.js';
+import FloorAction from '../models/FloorAction.js';
+import { processAutoBidding } from '../controllers/autoBid.controller.js';
+import { finalizeAuction } from './auctionScheduler.js';
+import { checkBidderEligibility } from './bidderApprovals.js';
+import { formatMoney } from './money.js';
+import { getBiddingSuspensionError } from './shillDetection.js';
+
+export const FLOOR_CALLS = ['fair-warning', 'going-once', 'going-twice', 'sold'];
+
+const CALL_COUNTDOWN_SECONDS = {
+  'fair-warning': 10,
+  'going-once': 5,
+  'going-twice': 5
+};
+
+const CALL_MESSAGES = {
+  'fair-warning': 'Fair warning!',
+  'going-once': 'Going once…',
+  'going-twice': 'Going twice…',
+  sold: 'Sold!'
+};
+
+// itemId -> { auctioneerId, auctioneerUsername, phase, countdownEndsAt, callId, timer }
+const floorSessions = new Map();
+
+// itemId -> tail of the lot's pending floor tasks
+const floorQueues = new Map();
+
+/**
+ * @function serializeFloorTask
+ * @description Runs a floor task after every task already queued for the same lot, so concurrent
+ * bids and calls are applied strictly in arrival order.
+ * @template T
+ * @param {string} itemId - Lot the task applies to.
+ * @param {() => Promise<T>} task - Work to run once the lot is free.
+ * @returns {Promise<T>}
+ */
+export const serializeFloorTask = (itemId, task) => {
+  const queueKey = String(itemId);
+  const previousTask = floorQueues.get(queueKey) || Promise.resolve();
+  const currentTask = previousTask.then(task);
+  const queueTail = currentTask.catch(() => {});
+
+  floorQueues.set(queueKey, queueTail);
+  queueTail.then(() => {
+    if (floorQueues.get(queueKey) === queueTail) {
+      floorQueues.delete(queueKey);
+    }
+  });
+
+  return currentTask;
+};
+
+/**
+ * @function getFloorState
+ * @description Public snapshot of a lot's floor session.
+ * @param {string} itemId - Lot identifier.
+ * @returns {{ itemId: string, isOpen: boolean, auctioneerId: string|null, auctioneerUsername: string|null, phase: string|null, countdownEndsAt: Date|null }}
+ */
+export const getFloorState = (itemId) => {
+  const floorSession = floorSessions.get(String(itemId));
+  return {
+    itemId: String(itemId),
+    isOpen: Boolean(floorSession),
+    auctioneerId: floorSession?.auctioneerId ?? null,
+    auctioneerUsername: floorSession?.auctioneerUsername ?? null,
+    phase: floorSession?.phase ?? null,
+    countdownEndsAt: floorSession?.countdownEndsAt ?? null
+  };
+};
+
+/**
+ * @function canClerkLot
+ * @description Only the lot's seller or an admin may act as its auctioneer.
+ * @param {Record<string, any>|null} user - Socket user.
+ * @param {import('mongoose').Document} item - Lot being clerked.
+ * @returns {boolean}
+ */
+const canClerkLot = (user, item) =>
+  Boolean(user) && (user.role === 'admin' || item.sellerId.toString() === user._id.toString());
+
+/**
+ * @function broadcastFloorState
+ * @description Sends the lot's floor state to everyone in its auction room.
+ * @param {import('socket.io').Server} io - Socket.io server instance.
+ * @param {string} itemId - Lot identifier.
+ * @returns {void}
+ */
+const broadcastFloorState = (io, itemId) => {
+  io.to(`auction_${itemId}`).emit('floor-state', getFloorState(itemId));
+};
+
+/**
+ * @function clearCountdown
+ * @description Stops a session's pending call countdown.
+ * @param {Record<string, any>} floorSession - Floor session.
+ * @returns {void}
+ */
+const clearCountdown = (floorSession) => {
+  if (floorSession.timer) {
+    clearTimeout(floorSession.timer);
+  }
+  floorSession.timer = null;
+  floorSession.countdownEndsAt = null;
+};
+
+/**
+ * @function reopenFloorBidding
+ * @description Stops any call countdown on a floor lot and returns it to open bidding, as the
+ * auctioneer does whenever a new bidder takes the lead.
+ * @param {import('socket.io').Server} io - Socket.io server instance.
+ * @param {string} itemId - Lot that received the bid.
+ * @returns {boolean} Whether the lot is under floor control.
+ */
+export const reopenFloorBidding = (io, itemId) => {
+  const floorSession = floorSessions.get(String(itemId));
+  if (!floorSession) {
+    return false;
+  }
+
+  clearCountdown(floorSession);
+  floorSession.callId += 1;
+  floorSession.phase = 'open';
+  broadcastFloorState(io, itemId);
+  return true;
+};
+
+/**
+ * @function openFloor
+ * @description Puts a lot under auctioneer control. Upcoming lots open for bidding immediately.
+ * @param {import('socket.io').Server} io - Socket.io server instance.
+ * @param {Record<string, any>|null} user - Socket user acting as auctioneer.
+ * @param {string} itemId - Lot to clerk.
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+export const openFloor = async (io, user, itemId) => {
+  if (!mongoose.isValidObjectId(itemId)) {
+    return { ok: false, message: 'Lot identifier is invalid.' };
+  }
+
+  const item = await Item.findById(itemId);
+  if (!item) {
+    return { ok: false, message: 'Auction item not found.' };
+  }
+
+  if (!canClerkLot(user, item)) {
+    return { ok: false, message: 'Only the seller or an admin can act as auctioneer for this lot.' };
+  }
+
+  if (item.status === 'draft') {
+    return { ok: false, message: 'Publish this draft before opening the floor.' };
+  }
+
+  if (item.status === 'ended' || item.status === 'cancelled' || item.isAuctionOver) {
+    return { ok: false, message: 'This lot has already closed.' };
+  }
+
+  if (item.isMultiUnit || item.isSealed() || item.isReverse()) {
+    return { ok: false, message: 'Floor mode is only available for single-unit English auctions.' };
+  }
+
+  const now = new Date();
+  const wasUpcoming = item.status === 'upcoming';
+  if (wasUpcoming) {
+    item.status = 'active';
+    item.startTime = now;
+    if (item.endTime <= now) {
+      item.endTime = new Date(now.getTime() + 60 * 60 * 1000);
+    }
+  }
+  item.isFloorControlled = true;
+  await item.save();
+
+  const existingSession = floorSessions.get(String(itemId));
+  if (existingSession) {
+    clearCountdown(existingSession);
+  }
+  floorSessions.set(String(itemId), {
+    auctioneerId: user._id.toString(),
+    auctioneerUsername: user.username,
+    phase: 'open',
+    countdownEndsAt: null,
+    callId: 0,
+    timer: null
+  });
+
+  await FloorAction.create({ itemId, actorId: user._id, action: 'open-floor' });
+
+  if (wasUpcoming) {
+    const startedData = {
+      itemId: item._id,
+      title: item.title,
+      startingPrice: item.startingPrice,
+      endTime: item.endTime,
+      startedAt: now
+    };
+    io.to(`auction_${item._id}`).emit('auction-started', startedData);
+    io.emit('auction-started', startedData);
+
+    // Absentee bids left before the opening go straight onto the floor
+    await processAutoBidding(item._id, io);
+  }
+
+  broadcastFloorState(io, itemId);
+  io.to(`auction_${itemId}`).emit('auction-alert', {
+    itemId,
+    message: `${user.username} has opened the floor.`,
+    type: 'floor',
+    timestamp: now
+  });
+
+  return { ok: true, message: 'The floor is open.' };
+};
+
+/**
+ * @function releaseFloorControlledLots
+ * @description Clears floor control left over from a previous process, whose floor sessions were
+ * lost with it, so the scheduler closes those lots at their end time.
+ * @returns {Promise<number>} Number of lots released.
+ */
+export const releaseFloorControlledLots = async () => {
+  const { modifiedCount } = await Item.updateMany({ isFloorControlled: true }, { isFloorControlled: false });
+  return modifiedCount;
+};
+
+/**
+ * @function hammerLot
+ * @description Closes a floor lot on "sold": ends it now and finalizes only this lot so reserve
+ * and winner rules apply as usual. If the lot was already closed, its current state is reported.
+ * @param {import('socket.io').Server} io - Socket.io server instance.
+ * @param {string} itemId - Lot being sold.
+ * @returns {Promise<{ ok: boolean, message?: string, details?: Record<string, any> }>} Hammer
+ * details recorded with the sold action, or `ok: false` when the lot has been deleted.
+ */
+const hammerLot = async (io, itemId) => {
+  const item = await finalizeAuction(io, itemId, {
+    conditions: { isFloorControlled: true },
+    changes: { isFloorControlled: false, endTime: new Date() }
+  }) || await Item.findById(itemId);
+  if (!item) {
+    return { ok: false, message: 'This lot no longer exists.' };
+  }
+
+  return { ok: true, details: { hammerPrice: item.currentPrice, highestBidder: item.highestBidder, totalBids: item.totalBids } };
+};
+
+/**
+ * @function makeFloorCall
+ * @description Applies an auctioneer call. Warnings start a countdown that advances to the next
+ * call on expiry; "sold" closes the lot. Calls made by the countdown are recorded as automatic
+ * under the session's auctioneer.
+ * @param {import('socket.io').Server} io - Socket.io server instance.
+ * @param {Record<string, any>|null} user - Socket user, or null for countdown calls.
+ * @param {string} itemId - Lot being clerked.
+ * @param {string} call - One of FLOOR_CALLS.
+ * @param {{ expectedCallId?: number }} [options] - Countdown calls only apply if no bid or call
+ * replaced the one that scheduled them.
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+export const makeFloorCall = async (io, user, itemId, call, { expectedCallId } = {}) => {
+  const floorSession = floorSessions.get(String(itemId));
+  if (!floorSession) {
+    return { ok: false, message: 'The floor is not open for this lot.' };
+  }
+
+  if (!FLOOR_CALLS.includes(call)) {
+    return { ok: false, message: 'Unknown auctioneer call.' };
+  }
+
+  const isAutomatic = expectedCallId !== undefined;
+  if (isAutomatic && floorSession.callId !== expectedCallId) {
+    return { ok: false, message: 'The countdown was interrupted.' };
+  }
+
+  if (!isAutomatic) {
+    const item = await Item.findById(itemId).select('sellerId');
+    if (!item || !canClerkLot(user, item)) {
+      return { ok: false, message: 'Only the seller or an admin can act as auctioneer for this lot.' };
+    }
+    floorSession.auctioneerId = user._id.toString();
+    floorSession.auctioneerUsername = user.username;
+  }
+
+  clearCountdown(floorSession);
+  floorSession.callId += 1;
+  floorSession.phase = call;
+  const actorId = isAutomatic ? floorSession.auctioneerId : user._id;
+
+  if (call === 'sold') {
+    floorSessions.delete(String(itemId));
+    const hammer = await hammerLot(io, itemId);
+    if (!hammer.ok) {
+      broadcastFloorState(io, itemId);
+      return hammer;
+    }
+    await FloorAction.create({ itemId, actorId, action: 'sold', isAutomatic, details: hammer.details });
+    io.to(`auction_${itemId}`).emit('floor-state', { ...getFloorState(itemId), phase: 'sold' });
+  } else {
+    const countdownSeconds = CALL_COUNTDOWN_SECONDS[call];
+    const nextCall = FLOOR_CALLS[FLOOR_CALLS.indexOf(call) + 1];
+    const callId = floorSession.callId;
+
+    floorSession.countdownEndsAt = new Date(Date.now() + countdownSeconds * 1000);
+    floorSession.timer = setTimeout(() => {
+      serializeFloorTask(itemId, () => makeFloorCall(io, null, itemId, nextCall, { expectedCallId: callId }))
+        .catch((error) => console.error('Floor countdown error:', error));
+    }, countdownSeconds * 1000);
+
+    await FloorAction.create({ itemId, actorId, action: call, isAutomatic });
+    broadcastFloorState(io, itemId);
+  }
+
+  io.to(`auction_${itemId}`).emit('auction-alert', {
+    itemId,
+    message: CALL_MESSAGES[call],
+    type: 'floor',
+    timestamp: new Date()
+  });
+
+  return { ok: true, message: CALL_MESSAGES[call] };
+};
+
+/**
+ * @function openNextLot
+ * @description Moves the auctioneer on to the following lot of the same event once the current
+ * lot has been sold, and tells the room where to go.
+ * @param {import('socket.io').Server} io - Socket.io server instance.
+ * @param {Record<string, any>|null} user - Socket user acting as auctioneer.
+ * @param {string} itemId - Lot just sold.
+ * @returns {Promise<{ ok: boolean, message: string, nextItemId?: string }>}
+ */
+export const openNextLot = async (io, user, itemId) => {
+  if (!mongoose.isValidObjectId(itemId)) {
+    return { ok: false, message: 'Lot identifier is invalid.' };
+  }
+
+  const item = await Item.findById(itemId);
+  if (!item) {
+    return { ok: false, message: 'Auction item not found.' };
+  }
+
+  if (!canClerkLot(user, item)) {
+    return { ok: false, message: 'Only the seller or an admin can act as auctioneer for this lot.' };
+  }
+
+  if (!item.eventId) {
+    return { ok: false, message: 'This lot is not part of an auction event.' };
+  }
+
+  if (item.status !== 'ended') {
+    return { ok: false, message: 'Sell this lot before opening the next one.' };
+  }
+
+  const nextLot = await Item.findOne({ eventId: item.eventId, lotNumber: item.lotNumber + 1 }).select('_id lotNumber');
+  if (!nextLot) {
+    return { ok: false, message: 'This was the last lot in the event.' };
+  }
+
+  const result = await serializeFloorTask(nextLot._id, () => openFloor(io, user, nextLot._id.toString()));
+  if (!result.ok) {
+    return result;
+  }
+
+  await FloorAction.create({
+    itemId,
+    actorId: user._id,
+    action: 'open-next-lot',
+    details: { nextItemId: nextLot._id, lotNumber: nextLot.lotNumber }
+  });
+
+  io.to(`auction_${itemId}`).emit('floor-next-lot', {
+    itemId,
+    nextItemId: nextLot._id,
+    lotNumber: nextLot.lotNumber
+  });
+
+  return { ok: true, message: `Lot ${nextLot.lotNumber} is open.`, nextItemId: nextLot._id.toString() };
+};
+
+/**
+ * @function placeFloorBid
+ * @description Accepts an online bid on a floor lot. Any bid interrupts a running call countdown
+ * and returns the floor to open bidding. Proxy bids respond as they do for regular bids. The
+ * bidder is re-read for every bid, since suspensions and credit limits can change while the socket
+ * stays connected, and must pass the same approval and credit checks as a regular bid.
+ * @param {import('socket.io').Server} io - Socket.io server instance.
+ * @param {Record<string, any>|null} user - Socket user placing the bid.
+ * @param {string} itemId - Lot being bid on.
+ * @param {number} bidAmount - Offered amount.
+ * @param {{ ipAddress?: string }} [options] - Address the bid was sent from, kept on the bid.
+ * @returns {Promise<{ ok: boolean, message: string, bidId?: string }>}
+ */
+export const placeFloorBid = async (io, user, itemId, bidAmount, { ipAddress = null } = {}) => {
+  if (!user) {
+    return { ok: false, message: 'Please log in to bid.' };
+  }
+
+  // Demo mode has no stored user to re-read
+  const bidder = process.env.DISABLE_AUTH === 'true'
+    ? user
+    : await User.findById(user._id).select('username biddingSuspension creditLimit').lean();
+  if (!bidder) {
+    return { ok: false, message: 'Please log in to bid.' };
+  }
+
+  const suspensionError = getBiddingSuspensionError(bidder);
+  if (suspensionError) {
+    return { ok: false, message: suspensionError.message };
+  }
+
+  const floorSession = floorSessions.get(String(itemId));
+  if (!floorSession) {
+    return { ok: false, message: 'The floor is not open for this lot.' };
+  }
+
+  const numericBidAmount = Number(bidAmount);
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const item = await Item.findById(itemId).session(session);
+    if (!item || item.status !== 'active' || item.isAuctionOver) {
+      await session.abortTransaction();
+      return { ok: false, message: 'This lot is no longer active.' };
+    }
+
+    if (process.env.DISABLE_AUTH !== 'true' && item.sellerId.toString() === user._id.toString()) {
+      await session.abortTransaction();
+      return { ok: false, message: 'Sellers cannot bid on their own items.' };
+    }
+
+    const minimumNextBid = item.getMinimumNextBid();
+    if (!Number.isFinite(numericBidAmount) || numericBidAmount < minimumNextBid) {
+      await session.abortTransaction();
+      return { ok: false, message: `Minimum bid is ${formatMoney(minimumNextBid, item.currency)}.` };
+    }
+
+    if (item.highestBidder?.toString() === user._id.toString()) {
+      await session.abortTransaction();
+      return { ok: false, message: 'You are already the highest bidder.' };
+    }
+
+    const { error: eligibilityError } = await checkBidderEligibility({ user: bidder, item, amount: numericBidAmount, session });
+    if (eligibilityError) {
+      await session.abortTransaction();
+      return { ok: false, message: eligibilityError.message };
+    }
+
+    const [bid] = await Bid.create([{
+      itemId,
+      bidderId: user._id,
+      bidAmount: numericBidAmount,
+      previousPrice: item.currentPrice,
+      ipAddress
+    }], { session });
+
+    item.currentPrice = numericBidAmount;
+    item.highestBidder = user._id;
+    item.totalBids += 1;
+    await item.save({ session });
+
+    await FloorAction.create([{
+      itemId,
+      actorId: user._id,
+      action: 'bid',
+      details: { bidId: bid._id, bidAmount: numericBidAmount, interruptedCall: floorSession.phase === 'open' ? null : floorSession.phase }
+    }], { session });
+
+    await session.commitTransaction();
+
+    const broadcastData = {
+      itemId,
+      currency: item.currency,
+      newPrice: item.currentPrice,
+      bidAmount: numericBidAmount,
+      quantity: 1,
+      previousPrice: bid.previousPrice,
+      bidderId: user._id,
+      bidderUsername: user.username,
+      totalBids: item.totalBids,
+      bidIncrement: item.getBidIncrement(),
+      minimumNextBid: item.getMinimumNextBid(),
+      buyNowAvailable: item.isBuyNowAvailable(),
+      reserveMet: item.isReserveMet(),
+      timestamp: bid.timestamp,
+      bidId: bid._id,
+      isFloorBid: true
+    };
+
+    io.to(`auction_${itemId}`).emit('new-bid-placed', broadcastData);
+    io.emit('new-bid-placed', broadcastData);
+    io.to(`auction_${itemId}`).emit('auction-alert', {
+      itemId,
+      message: `${user.username} bid ${formatMoney(numericBidAmount, item.currency)} on the floor`,
+      type: 'bid',
+      timestamp: new Date()
+    });
+    // A bid on the floor always reopens bidding
+    reopenFloorBidding(io, itemId);
+
+    await processAutoBidding(itemId, io);
+
+    return { ok: true, message: 'Bid accepted.', bidId: bid._id.toString() };
+  } catch (floorBidError) {
+    if (session.inTransaction()) {
+      try {
+        await session.abortTransaction();
+      } catch (_) {
+        // swallow abort errors
+      }
+    }
+    throw floorBidError;
+  } finally {
+    session.endSession();
+  }
+};
@@ -0,0 +1,219 @@
+/**
+ * @file ledger.js
+ * @description Double-entry bookkeeping for order payments and seller escrow. A buyer's payment
+ * debits `cash` and is credited to the seller's `escrow` (their proceeds), `platform-fees`
+ * (premium plus commission) and `sales-tax`. Releasing escrow moves the proceeds to the seller's
+ * `seller-balance`, and a payout moves that balance back out of `cash`. A dispute refund reverses
+ * the payment, in full or out of the seller's proceeds only. Balances are always derived from the
+ * entries rather than stored. The ledger is kept in the base currency: order amounts are converted
+ * at the exchange rate recorded on the order when it was paid.
+ */
+
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Order from '../models/Order.js';
+import { fromMinorUnits, roundMoney } from './money.js';
+
+/**
+ * @description Days after shipment before held proceeds are released without the buyer confirming
+ * receipt.
+ */
+export const INSPECTION_PERIOD_DAYS = 14;
+
+/**
+ * @function toCents
+ * @param {number} amount - Amount in major units.
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * @function toBaseCurrency
+ * @description Converts an amount in the order's currency to the base currency at the rate the
+ * order was paid at.
+ * @param {import('mongoose').Document} order - Paid order.
+ * @param {number} amount - Amount in the order's currency.
+ * @returns {number}
+ */
+const toBaseCurrency = (order, amount) => roundMoney(amount / (order.exchangeRate || 1));
+
+/**
+ * @function postTransaction
+ * @description Writes one balanced transaction to the ledger. Zero-amount lines are dropped.
+ * @param {{ type: string, orderId?: ObjectId, payoutId?: ObjectId, memo?: string, lines: Array<{ account: string, sellerId?: ObjectId, debit?: number, credit?: number }> }} transaction - Entries to post.
+ * @param {import('mongoose').ClientSession} [session] - Session of the surrounding transaction.
+ * @returns {Promise<Array<import('mongoose').Document>>}
+ * @throws {Error} When debits and credits do not balance.
+ */
+export const postTransaction = async ({ type, orderId = null, payoutId = null, memo = '', lines }, session) => {
+  const postedLines = lines.filter((line) => toCents(line.debit || 0) > 0 || toCents(line.credit || 0) > 0);
+  const totalDebits = postedLines.reduce((sum, line) => sum + toCents(line.debit || 0), 0);
+  const totalCredits = postedLines.reduce((sum, line) => sum + toCents(line.credit || 0), 0);
+  if (totalDebits !== totalCredits) {
+    throw new Error(`Unbalanced ${type} transaction: debits ${totalDebits / 100}, credits ${totalCredits / 100}.`);
+  }
+
+  const transactionId = new mongoose.Types.ObjectId();
+  return LedgerEntry.insertMany(
+    postedLines.map((line) => ({
+      transactionId,
+      type,
+      account: line.account,
+      sellerId: line.sellerId || null,
+      orderId,
+      payoutId,
+      debit: toCents(line.debit || 0) / 100,
+      credit: toCents(line.credit || 0) / 100,
+      memo
+    })),
+    { session }
+  );
+};
+
+/**
+ * @function recordOrderPayment
+ * @description Posts a paid order to the ledger, holding the seller's proceeds in escrow.
+ * @param {import('mongoose').Document} order - Order that was just paid.
+ * @param {import('mongoose').ClientSession} [session] - Session of the surrounding transaction.
+ * @returns {Promise<void>}
+ */
+export const recordOrderPayment = async (order, session) => {
+  const sellerId = order.sellerId._id || order.sellerId;
+  // Each share is converted on its own and cash is their sum, so rounding cannot unbalance it
+  const proceeds = toBaseCurrency(order, order.sellerProceeds);
+  const fees = toBaseCurrency(order, order.buyersPremium + order.sellerCommission);
+  const tax = toBaseCurrency(order, order.tax);
+  await postTransaction({
+    type: 'payment',
+    orderId: order._id,
+    memo: `Payment ${order.payment?.reference || ''}`.trim(),
+    lines: [
+      { account: 'cash', debit: (toCents(proceeds) + toCents(fees) + toCents(tax)) / 100 },
+      { account: 'escrow', sellerId, credit: proceeds },
+      { account: 'platform-fees', credit: fees },
+      { account: 'sales-tax', credit: tax }
+    ]
+  }, session);
+};
+
+/**
+ * @function releaseOrderEscrow
+ * @description Moves an order's held proceeds, less any part refunded to the buyer, to the
+ * seller's balance so the next payout batch includes them. Orders paid before escrow existed,
+ * already released or held by an open dispute are left alone.
+ * @param {ObjectId} orderId - Order to release.
+ * @param {string} memo - Why the escrow was released.
+ * @returns {Promise<import('mongoose').Document|null>} The released order, or null when nothing was held.
+ */
+export const releaseOrderEscrow = async (orderId, memo) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    // Claiming the release on the order first keeps two sweeps from posting it twice
+    const releasedOrder = await Order.findOneAndUpdate(
+      { _id: orderId, 'escrow.heldAt': { $ne: null }, 'escrow.releasedAt': null, 'escrow.disputedAt': null },
+      { 'escrow.releasedAt': new Date() },
+      { new: true, session }
+    );
+    if (!releasedOrder) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const releasedAmount = (
+      toCents(toBaseCurrency(releasedOrder, releasedOrder.sellerProceeds))
+      - toCents(toBaseCurrency(releasedOrder, releasedOrder.refund?.sellerPortion || 0))
+    ) / 100;
+    if (releasedAmount > 0) {
+      await postTransaction({
+        type: 'escrow-release',
+        orderId: releasedOrder._id,
+        memo,
+        lines: [
+          { account: 'escrow', sellerId: releasedOrder.sellerId, debit: releasedAmount },
+          { account: 'seller-balance', sellerId: releasedOrder.sellerId, credit: releasedAmount }
+        ]
+      }, session);
+    }
+
+    await session.commitTransaction();
+    return releasedOrder;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * @function recordOrderRefund
+ * @description Posts a dispute refund to the ledger. A full refund reverses the whole payment,
+ * including the platform's fees and the tax; a partial refund comes out of the seller's proceeds.
+ * The seller's share is taken from escrow while it is held, else from their balance. Orders paid
+ * before the ledger existed have nothing to reverse.
+ * @param {import('mongoose').Document} order - Order being refunded, before its refund is saved.
+ * @param {number} amount - Amount returned to the buyer, in the order's currency.
+ * @param {import('mongoose').ClientSession} [session] - Session of the surrounding transaction.
+ * @returns {Promise<number>} The part of the refund taken from the seller's proceeds, in the order's currency.
+ */
+export const recordOrderRefund = async (order, amount, session) => {
+  const isFullRefund = toCents(amount) >= toCents(order.total);
+  const sellerPortion = isFullRefund ? order.sellerProceeds : amount;
+  if (!order.escrow?.heldAt) {
+    return sellerPortion;
+  }
+
+  const sellerId = order.sellerId._id || order.sellerId;
+  const sellerAccount = order.escrow.releasedAt ? 'seller-balance' : 'escrow';
+  const sellerDebit = toBaseCurrency(order, sellerPortion);
+  const feesDebit = isFullRefund ? toBaseCurrency(order, order.buyersPremium + order.sellerCommission) : 0;
+  const taxDebit = isFullRefund ? toBaseCurrency(order, order.tax) : 0;
+  await postTransaction({
+    type: 'refund',
+    orderId: order._id,
+    memo: isFullRefund ? 'Full refund after dispute' : 'Partial refund after dispute',
+    lines: [
+      { account: sellerAccount, sellerId, debit: sellerDebit },
+      { account: 'platform-fees', debit: feesDebit },
+      { account: 'sales-tax', debit: taxDebit },
+      { account: 'cash', credit: (toCents(sellerDebit) + toCents(feesDebit) + toCents(taxDebit)) / 100 }
+    ]
+  }, session);
+  return sellerPortion;
+};
+
+/**
+ * @function getSellerBalances
+ * @description A seller's earnings: proceeds held in escrow, proceeds released and awaiting the
+ * next payout, and everything paid out so far, in the base currency.
+ * @param {ObjectId|string} sellerId - Seller.
+ * @returns {Promise<{ pending: number, released: number, paidOut: number }>}
+ */
+export const getSellerBalances = async (sellerId) => {
+  const totals = await LedgerEntry.aggregate([
+    { $match: { sellerId: new mongoose.Types.ObjectId(String(sellerId)) } },
+    {
+      $group: {
+        _id: { account: '$account', type: '$type' },
+        debit: { $sum: '$debit' },
+        credit: { $sum: '$credit' }
+      }
+    }
+  ]);
+
+  // Aggregation skips the schema getters, so the sums are in minor units
+  const sumFor = (predicate, side) => totals
+    .filter(({ _id }) => predicate(_id))
+    .reduce((sum, total) => sum + total[side], 0);
+
+  const pending = sumFor(({ account }) => account === 'escrow', 'credit') - sumFor(({ account }) => account === 'escrow', 'debit');
+  const released = sumFor(({ account }) => account === 'seller-balance', 'credit') - sumFor(({ account }) => account === 'seller-balance', 'debit');
+  const paidOut = sumFor(({ account, type }) => account === 'seller-balance' && type === 'payout', 'debit');
+
+  return { pending: fromMinorUnits(pending), released: fromMinorUnits(released), paidOut: fromMinorUnits(paidOut) };
+};
@@ -30,7 +30,7 @@ if (SMTP_HOST && SMTP_USER && SMTP_PASS) {
   console.warn(`  - SMTP_PASS: ${SMTP_PASS ? '✓' : '✗'}`);
 }
 
-export const sendEmail = async ({ to, subject, text, html }) => {
+export const sendEmail = async ({ to, subject, text, html, attachments }) => {
   if (!transporter) {
     console.info('⚠ Skipping email (transporter not configured):', subject, '->', to);
     return null;
@@ -44,7 +44,8 @@ export const sendEmail = async ({ to, subject, text, html }) => {
     to,
     subject,
     text,
-    html
+    html,
+    attachments
   };
 
   try {
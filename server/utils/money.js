@@ -0,0 +1,98 @@
+/**
+ * @file money.js
+ * @description Currencies listings can be priced in and how amounts are stored. Every supported
+ * currency has two decimal places, and amounts are kept in the database in minor units (cents,
+ * pence) so sums never pick up floating-point drift. Schemas declare money paths with `moneyPath`,
+ * whose getter and setter let the rest of the code read and write major units as before. Queries
+ * that compare money with operators such as `$gte`, aggregations and `.lean()` reads bypass the
+ * getter and setter and see minor units.
+ */
+
+/**
+ * @description Currencies a listing can be priced in, with the symbol used when formatting.
+ */
+export const CURRENCIES = {
+  USD: { symbol: '$', name: 'US Dollar' },
+  GBP: { symbol: '£', name: 'British Pound' },
+  EUR: { symbol: '€', name: 'Euro' }
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+/**
+ * @description Currency of the ledger, payouts, credit limits and the site-wide fee and shipping
+ * tables. Exchange rates are quoted against it.
+ */
+export const BASE_CURRENCY = 'USD';
+
+const MINOR_UNITS_PER_MAJOR = 100;
+
+/**
+ * @function toMinorUnits
+ * @description Converts a major-unit amount to whole minor units. Empty and non-numeric values
+ * are passed through so the schema reports them.
+ * @param {number|string|null|undefined} amount - Amount in major units.
+ * @returns {number|null|undefined}
+ */
+export const toMinorUnits = (amount) => {
+  if (amount === null || amount === undefined || amount === '') {
+    return amount;
+  }
+  const numericAmount = Number(amount);
+  return Number.isFinite(numericAmount) ? Math.round(numericAmount * MINOR_UNITS_PER_MAJOR) : amount;
+};
+
+/**
+ * @function fromMinorUnits
+ * @param {number|null|undefined} minorUnits - Stored amount.
+ * @returns {number|null|undefined} Amount in major units.
+ */
+export const fromMinorUnits = (minorUnits) => (
+  minorUnits === null || minorUnits === undefined ? minorUnits : minorUnits / MINOR_UNITS_PER_MAJOR
+);
+
+/**
+ * @function roundMoney
+ * @description Rounds a major-unit amount to the nearest minor unit.
+ * @param {number} amount - Amount in major units.
+ * @returns {number}
+ */
+export const roundMoney = (amount) => Math.round(amount * MINOR_UNITS_PER_MAJOR) / MINOR_UNITS_PER_MAJOR;
+
+/**
+ * @function moneyPath
+ * @description Schema type for an amount stored in minor units and read in major units. A `min`
+ * given in major units is scaled to the stored value, since validators see minor units. Schemas
+ * using it need `getters: true` in their `toJSON` and `toObject` options.
+ * @param {Record<string, any>} [options] - Other schema type options, e.g. `required` or `default`.
+ * @returns {Record<string, any>}
+ */
+export const moneyPath = ({ min, ...options } = {}) => ({
+  type: Number,
+  get: fromMinorUnits,
+  set: toMinorUnits,
+  ...(min !== undefined && { min: Array.isArray(min) ? [toMinorUnits(min[0]), min[1]] : toMinorUnits(min) }),
+  ...options
+});
+
+/**
+ * @function isSupportedCurrency
+ * @param {string} currency - ISO 4217 code.
+ * @returns {boolean}
+ */
+export const isSupportedCurrency = (currency) => SUPPORTED_CURRENCIES.includes(currency);
+
+/**
+ * @function formatMoney
+ * @description Formats an amount with its currency symbol, e.g. `£1,250.00`, for emails, PDFs and
+ * messages.
+ * @param {number} amount - Amount in major units.
+ * @param {string} [currency=BASE_CURRENCY] - ISO 4217 code.
+ * @returns {string}
+ */
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const { symbol } = CURRENCIES[currency] || CURRENCIES[BASE_CURRENCY];
+  const formattedAmount = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    .format(Math.abs(amount || 0));
+  return `${amount < 0 ? '-' : ''}${symbol}${formattedAmount}`;
+};
@@ -0,0 +1,111 @@
+/**
+ * @file multiUnitAuction.js
+ * @description Helpers for multi-unit (Dutch) auctions. Each bidder's latest bid stands for a
+ * quantity at a price. Units are allocated from the highest bid down, and every winner pays the
+ * lowest winning bid (the clearing price).
+ */
+
+import Bid from '../models/Bid.js';
+
+/**
+ * @function getStandingBids
+ * @description Returns the latest non-retracted bid of every bidder on an item.
+ * @param {import('mongoose').Types.ObjectId|string} itemId - Auction item identifier.
+ * @param {import('mongoose').ClientSession|null} [session] - Optional transaction session.
+ * @returns {Promise<Array<import('mongoose').Document>>} Bids with `bidderId` populated.
+ */
+export const getStandingBids = async (itemId, session = null) => {
+  const bids = await Bid.find({ itemId, isRetracted: false })
+    .populate('bidderId', 'username email')
+    .sort({ timestamp: -1 })
+    .session(session);
+
+  const latestByBidder = new Map();
+  bids.forEach((bid) => {
+    if (!bid.bidderId) {
+      return;
+    }
+    const bidderKey = bid.bidderId._id.toString();
+    if (!latestByBidder.has(bidderKey)) {
+      latestByBidder.set(bidderKey, bid);
+    }
+  });
+
+  return Array.from(latestByBidder.values());
+};
+
+/**
+ * @function allocateUnits
+ * @description Ranks standing bids by amount (earliest first on ties) and fills units until the
+ * lot is exhausted. The last winner may receive fewer units than requested.
+ * @param {Array<import('mongoose').Document>} standingBids - Result of getStandingBids.
+ * @param {number} totalQuantity - Number of identical units offered.
+ * @param {number} [minimumAmount=0] - Bids below this amount are ignored (used for reserves).
+ * @returns {{ allocations: Array<{ bid: import('mongoose').Document, quantity: number }>, unitsAllocated: number, clearingPrice: number|null }}
+ */
+export const allocateUnits = (standingBids, totalQuantity, minimumAmount = 0) => {
+  const rankedBids = standingBids
+    .filter((bid) => bid.bidAmount >= minimumAmount)
+    .sort((a, b) => b.bidAmount - a.bidAmount || new Date(a.timestamp) - new Date(b.timestamp));
+
+  let remainingUnits = totalQuantity;
+  const allocations = [];
+
+  for (const bid of rankedBids) {
+    if (remainingUnits <= 0) {
+      break;
+    }
+    const quantity = Math.min(bid.quantity || 1, remainingUnits);
+    allocations.push({ bid, quantity });
+    remainingUnits -= quantity;
+  }
+
+  return {
+    allocations,
+    unitsAllocated: totalQuantity - remainingUnits,
+    clearingPrice: allocations.length ? allocations[allocations.length - 1].bid.bidAmount : null
+  };
+};
+
+/**
+ * @function formatWinningBids
+ * @description Shapes allocations for API responses and socket broadcasts.
+ * @param {Array<{ bid: import('mongoose').Document, quantity: number }>} allocations - Allocated bids.
+ * @returns {Array<{ bidId: string, userId: string, username: string, bidAmount: number, quantity: number }>}
+ */
+export const formatWinningBids = (allocations) =>
+  allocations.map(({ bid, quantity }) => ({
+    bidId: bid._id,
+    userId: bid.bidderId._id,
+    username: bid.bidderId.username,
+    bidAmount: bid.bidAmount,
+    quantity
+  }));
+
+/**
+ * @function refreshMultiUnitStanding
+ * @description Recomputes the allocation for a live multi-unit item and updates the item's
+ * price, available quantity and top bidder plus each standing bid's status. The item itself
+ * is not saved so callers can batch it with their own changes.
+ * @param {import('mongoose').Document} item - Multi-unit auction item.
+ * @param {import('mongoose').ClientSession|null} [session] - Optional transaction session.
+ * @returns {Promise<ReturnType<typeof allocateUnits>>}
+ */
+export const refreshMultiUnitStanding = async (item, session = null) => {
+  const standingBids = await getStandingBids(item._id, session);
+  const allocation = allocateUnits(standingBids, item.totalQuantity);
+  const winningBidIds = new Set(allocation.allocations.map(({ bid }) => bid._id.toString()));
+
+  item.quantityAvailable = item.totalQuantity - allocation.unitsAllocated;
+  // Until every unit is spoken for, any bid above the opening price can still win
+  item.currentPrice = item.quantityAvailable > 0 ? item.startingPrice : allocation.clearingPrice;
+  item.highestBidder = allocation.allocations[0]?.bid.bidderId._id ?? null;
+
+  // Sequential saves: a transaction session cannot run operations in parallel
+  for (const bid of standingBids) {
+    bid.bidStatus = winningBidIds.has(bid._id.toString()) ? 'winning' : 'outbid';
+    await bid.save({ session });
+  }
+
+  return allocation;
+};
@@ -0,0 +1,177 @@
+/**
+ * @file orders.js
+ * @description Order lifecycle helpers shared by the auction scheduler and the controllers that
+ * decide winners. Each buyer of a closed item gets an order for the amounts recorded in the item's
+ * settlements plus shipping quoted to the buyer's address, due within a fixed payment window, with
+ * the seller's commission fixed at the same time. Also builds the invoice and statement email
+ * attachments. Reverse listings never produce orders since the poster pays the winning bidder
+ * outside the platform.
+ */
+
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { sendEmail } from './mailer.js';
+import { applyBuyerCharges, getFeeSchedule } from './buyerCharges.js';
+import { getInvoiceNumber, renderInvoicePdf, renderSellerStatementPdf } from './pdfDocuments.js';
+import { calculateShippingQuote, getShippingRates } from './shipping.js';
+import { getExchangeRates } from './exchangeRates.js';
+import { formatMoney, roundMoney } from './money.js';
+
+export const PAYMENT_WINDOW_DAYS = 7;
+
+/**
+ * @function buildInvoiceAttachment
+ * @description Renders an order's invoice as a nodemailer attachment.
+ * @param {import('mongoose').Document} order - Order being invoiced.
+ * @param {{ title: string, lotNumber?: number|null }} item - Item the order is for.
+ * @returns {Promise<{ filename: string, content: Buffer, contentType: string }>}
+ */
+export const buildInvoiceAttachment = async (order, item) => {
+  const [buyer, seller] = await Promise.all([
+    User.findById(order.buyerId).select('username email address').lean(),
+    User.findById(order.sellerId).select('username email address').lean()
+  ]);
+  return {
+    filename: `${getInvoiceNumber(order)}.pdf`,
+    content: await renderInvoicePdf({ order, item, buyer, seller }),
+    contentType: 'application/pdf'
+  };
+};
+
+/**
+ * @function buildSaleStatementAttachment
+ * @description Renders a consignment statement covering the orders of a single sale, for the
+ * seller's auction-ended email.
+ * @param {import('mongoose').Document} item - Item that sold.
+ * @param {Array<import('mongoose').Document>} orders - Orders opened for the item.
+ * @returns {Promise<{ filename: string, content: Buffer, contentType: string }>}
+ */
+export const buildSaleStatementAttachment = async (item, orders) => {
+  const seller = await User.findById(item.sellerId).select('username email address').lean();
+  const saleDate = new Date();
+  const content = await renderSellerStatementPdf({
+    seller,
+    orders: orders.map((order) => ({
+      ...order.toObject(),
+      itemId: { _id: item._id, title: item.title, lotNumber: item.lotNumber }
+    })),
+    periodStart: saleDate,
+    periodEnd: saleDate
+  });
+  return {
+    filename: `statement-${item._id}.pdf`,
+    content,
+    contentType: 'application/pdf'
+  };
+};
+
+/**
+ * @function openOrdersForItem
+ * @description Creates an awaiting-payment order for every settlement on the item that does not
+ * have one yet and, unless the caller notifies them itself, emails each buyer the amount and due
+ * date with their invoice. Settlements are recalculated first if they were not recorded when the
+ * winner was decided.
+ * @param {import('mongoose').Document} item - Item whose winner(s) were just decided.
+ * @param {{ notifyBuyers?: boolean }} [options] - Pass `notifyBuyers: false` to skip the emails.
+ * @returns {Promise<Array<import('mongoose').Document>>} Newly created orders.
+ */
+export const openOrdersForItem = async (item, { notifyBuyers = true } = {}) => {
+  const hasWinner = item.isMultiUnit ? item.winners.length > 0 : Boolean(item.winnerId);
+  if (!hasWinner || item.isReverse()) {
+    return [];
+  }
+
+  if (!item.settlements?.length) {
+    await applyBuyerCharges(item);
+    await item.save();
+  }
+
+  const [existingOrders, feeSchedule, shippingRates, { rates: exchangeRates }] = await Promise.all([
+    Order.find({ itemId: item._id }).select('buyerId').lean(),
+    getFeeSchedule(),
+    getShippingRates(),
+    getExchangeRates()
+  ]);
+  const buyersWithOrders = new Set(existingOrders.map((order) => order.buyerId.toString()));
+  const pendingSettlements = item.settlements.filter((settlement) => !buyersWithOrders.has(settlement.buyerId.toString()));
+  const parties = await User.find({ _id: { $in: [item.sellerId, ...pendingSettlements.map(({ buyerId }) => buyerId)] } })
+    .select('address')
+    .lean();
+  const addressByUser = new Map(parties.map((party) => [party._id.toString(), party.address]));
+  const paymentDueAt = new Date(Date.now() + PAYMENT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const newOrders = await Order.insertMany(
+    pendingSettlements.map((settlement) => {
+      const sellerCommission = roundMoney(settlement.hammerPrice * (feeSchedule.sellerCommissionPercent / 100));
+      const shippingQuote = calculateShippingQuote(item, {
+        origin: addressByUser.get(item.sellerId.toString()),
+        destination: addressByUser.get(settlement.buyerId.toString()),
+        quantity: settlement.quantity,
+        rates: shippingRates,
+        exchangeRates
+      });
+      const shippingCost = shippingQuote.cost ?? 0;
+      return {
+        itemId: item._id,
+        buyerId: settlement.buyerId,
+        sellerId: item.sellerId,
+        quantity: settlement.quantity,
+        currency: item.currency,
+        hammerPrice: settlement.hammerPrice,
+        buyersPremium: settlement.buyersPremium,
+        tax: settlement.tax,
+        shippingCost,
+        total: roundMoney(settlement.total + shippingCost),
+        sellerCommission,
+        sellerProceeds: roundMoney(settlement.hammerPrice + shippingCost - sellerCommission),
+        paymentDueAt,
+        fulfillment: { method: shippingQuote.method, zone: shippingQuote.zone }
+      };
+    })
+  );
+
+  if (!notifyBuyers) {
+    return newOrders;
+  }
+
+  // notify buyers by email (best-effort)
+  try {
+    const buyers = await User.find({ _id: { $in: newOrders.map((order) => order.buyerId) } }).select('email username').lean();
+    const buyerById = new Map(buyers.map((buyer) => [buyer._id.toString(), buyer]));
+    for (const order of newOrders) {
+      const buyer = buyerById.get(order.buyerId.toString());
+      if (!buyer?.email) {
+        continue;
+      }
+      const invoice = await buildInvoiceAttachment(order, item);
+      sendEmail({
+        to: buyer.email,
+        subject: `Payment due: ${item.title}`,
+        text: `Hi ${buyer.username || 'user'},\n\nYour order for ${item.title} is ready for checkout. The total of ${formatMoney(order.total, order.currency)} is due by ${order.paymentDueAt.toUTCString()}; unpaid orders are cancelled after that. Your invoice is attached.`,
+        html: `<p>Hi ${buyer.username || 'user'},</p><p>Your order for <strong>${item.title}</strong> is ready for checkout. The total of <strong>${formatMoney(order.total, order.currency)}</strong> is due by ${order.paymentDueAt.toUTCString()}; unpaid orders are cancelled after that.</p><p><a href="${process.env.CLIENT_URL || ''}/orders">Check out now</a></p>`,
+        attachments: [invoice]
+      }).catch((e) => console.error('Order email error:', e));
+    }
+  } catch (notifyErr) {
+    console.error('Error sending order notifications:', notifyErr);
+  }
+
+  return newOrders;
+};
+
+/**
+ * @function cancelUnpaidOrders
+ * @description Cancels the item's orders that are still awaiting payment, e.g. when the winner is
+ * replaced through a second chance offer.
+ * @param {import('mongoose').Types.ObjectId} itemId - Item whose orders are cancelled.
+ * @param {string} reason - Reason recorded on each order.
+ * @param {import('mongoose').ClientSession} [session] - Transaction the update belongs to.
+ * @returns {Promise<void>}
+ */
+export const cancelUnpaidOrders = async (itemId, reason, session) => {
+  await Order.updateMany(
+    { itemId, status: 'awaiting-payment' },
+    { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason },
+    { session }
+  );
+};
@@ -0,0 +1,90 @@
+/**
+ * @file paymentProvider.js
+ * @description Payment provider interface used at checkout, for seller payouts, for dispute
+ * refunds and for bidder deposits. A provider exposes a `name` and `charge`, `payout`, `refund`,
+ * `authorize` and `voidAuthorization` methods; the one in use is chosen with the PAYMENT_PROVIDER
+ * environment variable. Only the local fake provider ships with the app: it approves every charge
+ * and hold except the test token `tok_declined`, which lets the checkout flow be exercised without
+ * a payment account.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @typedef PaymentProvider
+ * @property {string} name - Identifier stored on paid orders.
+ * @property {(charge: { amount: number, currency: string, paymentToken?: string, description: string, metadata: Record<string, string> }) => Promise<{ approved: boolean, reference?: string, message?: string }>} charge
+ * Captures the amount. Declines resolve with `approved: false` and a message for the buyer;
+ * unexpected failures reject.
+ * @property {(payout: { amount: number, currency: string, sellerId: string, description: string }) => Promise<{ sent: boolean, reference?: string, message?: string }>} payout
+ * Transfers the amount to the seller's account. Rejected transfers resolve with `sent: false`.
+ * @property {(refund: { amount: number, currency: string, chargeReference: string, description: string }) => Promise<{ refunded: boolean, reference?: string, message?: string }>} refund
+ * Returns part or all of a captured charge to the buyer. Rejected refunds resolve with `refunded: false`.
+ * @property {(hold: { amount: number, currency: string, paymentToken?: string, description: string, metadata: Record<string, string> }) => Promise<{ authorized: boolean, reference?: string, message?: string }>} authorize
+ * Places a hold for the amount without capturing it. Declines resolve with `authorized: false`.
+ * @property {(release: { reference: string }) => Promise<{ voided: boolean, message?: string }>} voidAuthorization
+ * Releases a hold placed by `authorize`.
+ */
+
+/**
+ * @description Local provider for development and tests. Nothing leaves the server.
+ * @type {PaymentProvider}
+ */
+const fakePaymentProvider = {
+  name: 'fake',
+  async charge({ amount, paymentToken }) {
+    if (paymentToken === 'tok_declined') {
+      return { approved: false, message: 'Your card was declined.' };
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { approved: false, message: 'The charge amount is invalid.' };
+    }
+    return { approved: true, reference: `fake_${crypto.randomUUID()}` };
+  },
+  async payout({ amount }) {
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { sent: false, message: 'The payout amount is invalid.' };
+    }
+    return { sent: true, reference: `fake_po_${crypto.randomUUID()}` };
+  },
+  async refund({ amount, chargeReference }) {
+    if (!chargeReference || !Number.isFinite(amount) || amount <= 0) {
+      return { refunded: false, message: 'The refund request is invalid.' };
+    }
+    return { refunded: true, reference: `fake_re_${crypto.randomUUID()}` };
+  },
+  async authorize({ amount, paymentToken }) {
+    if (paymentToken === 'tok_declined') {
+      return { authorized: false, message: 'Your card was declined.' };
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { authorized: false, message: 'The deposit amount is invalid.' };
+    }
+    return { authorized: true, reference: `fake_auth_${crypto.randomUUID()}` };
+  },
+  async voidAuthorization({ reference }) {
+    if (!reference) {
+      return { voided: false, message: 'The hold reference is missing.' };
+    }
+    return { voided: true };
+  }
+};
+
+const PAYMENT_PROVIDERS = {
+  fake: fakePaymentProvider
+};
+
+/**
+ * @function getPaymentProvider
+ * @description Resolves the configured provider, defaulting to the fake one.
+ * @returns {PaymentProvider}
+ * @throws {Error} When PAYMENT_PROVIDER names a provider that is not registered.
+ */
+export const getPaymentProvider = () => {
+  const providerName = process.env.PAYMENT_PROVIDER || 'fake';
+  const provider = PAYMENT_PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${providerName}".`);
+  }
+  return provider;
+};
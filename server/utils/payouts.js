@@ -0,0 +1,192 @@
+/**
+ * @file payouts.js
+ * @description Scheduled seller payouts. Proceeds released from escrow accumulate on each seller's
+ * ledger balance; once per payout interval the scheduler runs a batch that transfers every
+ * positive balance through the payment provider and records the transfer in the ledger.
+ */
+
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Payout from '../models/Payout.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import User from '../models/User.js';
+import { sendEmail } from './mailer.js';
+import { getPaymentProvider } from './paymentProvider.js';
+import { postTransaction } from './ledger.js';
+import { BASE_CURRENCY, formatMoney, fromMinorUnits, roundMoney } from './money.js';
+
+/**
+ * @description Hours between payout batches unless PAYOUT_INTERVAL_HOURS overrides it.
+ */
+export const DEFAULT_PAYOUT_INTERVAL_HOURS = 24;
+
+/**
+ * @function getPayoutIntervalMs
+ * @returns {number} Milliseconds between payout batches.
+ */
+const getPayoutIntervalMs = () => {
+  const intervalHours = Number(process.env.PAYOUT_INTERVAL_HOURS) || DEFAULT_PAYOUT_INTERVAL_HOURS;
+  return intervalHours * 60 * 60 * 1000;
+};
+
+/**
+ * @function findLastBatch
+ * @returns {Promise<{ _id: ObjectId, runAt: Date }|null>} The most recent payout batch.
+ */
+const findLastBatch = () => PayoutBatch.findOne().sort({ runAt: -1 }).select('runAt').lean();
+
+/**
+ * @function getNextRunAt
+ * @param {{ runAt: Date }|null} lastBatch - Most recent payout batch.
+ * @returns {Date} When the batch after it is due.
+ */
+const getNextRunAt = (lastBatch) => (lastBatch ? new Date(lastBatch.runAt.getTime() + getPayoutIntervalMs()) : new Date());
+
+/**
+ * @function getNextPayoutAt
+ * @description When the next payout batch is due.
+ * @returns {Promise<Date>}
+ */
+export const getNextPayoutAt = async () => getNextRunAt(await findLastBatch());
+
+/**
+ * @function payOutSeller
+ * @description Transfers one seller's released balance and records the payout. A rejected
+ * transfer is recorded as failed and the balance is retried in the next batch.
+ * @param {import('mongoose').Document} batch - Batch being run.
+ * @param {ObjectId} sellerId - Seller to pay.
+ * @param {number} amount - Released balance, in the base currency.
+ * @returns {Promise<import('mongoose').Document>} The payout record.
+ */
+const payOutSeller = async (batch, sellerId, amount) => {
+  const provider = getPaymentProvider();
+  const transfer = await provider.payout({
+    amount,
+    currency: BASE_CURRENCY,
+    sellerId: sellerId.toString(),
+    description: `Seller payout ${batch._id}`
+  });
+
+  if (!transfer.sent) {
+    return Payout.create({
+      batchId: batch._id,
+      sellerId,
+      amount,
+      status: 'failed',
+      provider: provider.name,
+      failureReason: transfer.message || 'The transfer was rejected.'
+    });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const [payout] = await Payout.create([{
+      batchId: batch._id,
+      sellerId,
+      amount,
+      status: 'paid',
+      provider: provider.name,
+      reference: transfer.reference
+    }], { session });
+    await postTransaction({
+      type: 'payout',
+      payoutId: payout._id,
+      memo: `Payout ${transfer.reference}`,
+      lines: [
+        { account: 'seller-balance', sellerId, debit: amount },
+        { account: 'cash', credit: amount }
+      ]
+    }, session);
+    await session.commitTransaction();
+    return payout;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error(`Payout ${transfer.reference} to seller ${sellerId} was sent but not recorded.`);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * @function runDuePayoutBatch
+ * @description Runs a payout batch if the payout interval has passed since the last one, paying
+ * every seller with a positive released balance and emailing them the amount. The batch is
+ * claimed before any transfer by creating it as the one following the last batch; if another run
+ * claimed the period first, this run pays nobody.
+ * @returns {Promise<import('mongoose').Document|null>} The batch, or null when none was due.
+ */
+export const runDuePayoutBatch = async () => {
+  const now = new Date();
+  const lastBatch = await findLastBatch();
+  // The first batch is due straight away
+  if (lastBatch && getNextRunAt(lastBatch) > now) {
+    return null;
+  }
+
+  let batch;
+  try {
+    batch = await PayoutBatch.create({ runAt: now, previousBatchId: lastBatch?._id ?? null });
+  } catch (claimError) {
+    if (claimError.code === 11000) {
+      return null;
+    }
+    throw claimError;
+  }
+
+  const sellerBalances = await LedgerEntry.aggregate([
+    { $match: { account: 'seller-balance' } },
+    {
+      $group: {
+        _id: '$sellerId',
+        credit: { $sum: '$credit' },
+        debit: { $sum: '$debit' }
+      }
+    }
+  ]);
+
+  // Aggregation skips the schema getters, so the balances are in minor units
+  for (const balance of sellerBalances) {
+    const amount = fromMinorUnits(balance.credit - balance.debit);
+    if (amount <= 0) {
+      continue;
+    }
+
+    let payout;
+    try {
+      payout = await payOutSeller(batch, balance._id, amount);
+    } catch (payoutError) {
+      console.error(`Error paying out seller ${balance._id}:`, payoutError);
+      batch.failedCount += 1;
+      continue;
+    }
+
+    if (payout.status === 'failed') {
+      batch.failedCount += 1;
+      continue;
+    }
+    batch.payoutCount += 1;
+    batch.totalAmount = roundMoney(batch.totalAmount + amount);
+
+    // notify the seller by email (best-effort)
+    try {
+      const seller = await User.findById(balance._id).select('email').lean();
+      if (seller?.email) {
+        sendEmail({
+          to: seller.email,
+          subject: `Payout sent: ${formatMoney(amount)}`,
+          text: `We sent you ${formatMoney(amount)} for items whose escrow has been released. Reference: ${payout.reference}.`,
+          html: `<p>We sent you <strong>${formatMoney(amount)}</strong> for items whose escrow has been released.</p><p>Reference: ${payout.reference}</p>`
+        }).catch((e) => console.error('Payout email error:', e));
+      }
+    } catch (notifyErr) {
+      console.error('Error sending payout notification:', notifyErr);
+    }
+  }
+
+  await batch.save();
+  return batch;
+};
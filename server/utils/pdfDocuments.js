@@ -0,0 +1,242 @@
+/**
+ * @file pdfDocuments.js
+ * @description Renders the accounting documents as PDF buffers: the invoice a winner pays against
+ * and the consignment statement listing a seller's sold lots, commission and net proceeds over a
+ * period. Buffers are streamed as downloads or attached to emails. Amounts are printed in each
+ * order's own currency.
+ */
+
+import PDFDocument from 'pdfkit';
+import { BASE_CURRENCY, formatMoney } from './money.js';
+
+const PAGE_MARGIN = 50;
+const PLATFORM_NAME = 'Antique Auction';
+
+/**
+ * @function formatDate
+ * @param {Date|string} value - Date to print.
+ * @returns {string}
+ */
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * @function formatAddressLines
+ * @param {{ street?: string, city?: string, state?: string, zipCode?: string, country?: string }|undefined} address - Postal address.
+ * @returns {Array<string>}
+ */
+const formatAddressLines = (address) => [
+  address?.street,
+  [address?.city, address?.state, address?.zipCode].filter(Boolean).join(', '),
+  address?.country
+].filter(Boolean);
+
+/**
+ * @function getInvoiceNumber
+ * @description Invoice numbers are derived from the order so reprints always match.
+ * @param {{ _id: import('mongoose').Types.ObjectId }} order - Order being invoiced.
+ * @returns {string}
+ */
+export const getInvoiceNumber = (order) => `INV-${order._id.toString().slice(-8).toUpperCase()}`;
+
+/**
+ * @function renderToBuffer
+ * @description Runs a drawing callback against a new A4 document and collects the output.
+ * @param {(doc: PDFKit.PDFDocument) => void} draw - Writes the document content.
+ * @returns {Promise<Buffer>}
+ */
+const renderToBuffer = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  draw(doc);
+  doc.end();
+});
+
+/**
+ * @function drawHeading
+ * @param {PDFKit.PDFDocument} doc - Document being written.
+ * @param {string} title - Document title.
+ * @param {Array<string>} details - Reference lines printed under the title.
+ * @returns {void}
+ */
+const drawHeading = (doc, title, details) => {
+  doc.font('Helvetica-Bold').fontSize(20).text(PLATFORM_NAME);
+  doc.font('Helvetica').fontSize(14).text(title);
+  doc.moveDown(0.5).fontSize(10);
+  details.forEach((line) => doc.text(line));
+  doc.moveDown();
+};
+
+/**
+ * @function drawParty
+ * @param {PDFKit.PDFDocument} doc - Document being written.
+ * @param {string} label - e.g. "Bill to".
+ * @param {{ username?: string, email?: string, address?: Record<string, string> }|undefined} party - User printed.
+ * @param {number} x - Left edge of the block.
+ * @param {number} y - Top edge of the block.
+ * @returns {void}
+ */
+const drawParty = (doc, label, party, x, y) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(label, x, y);
+  doc.font('Helvetica');
+  [party?.username, party?.email, ...formatAddressLines(party?.address)]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, x));
+};
+
+/**
+ * @function drawAmountRow
+ * @param {PDFKit.PDFDocument} doc - Document being written.
+ * @param {string} label - Row label.
+ * @param {string} amount - Formatted amount.
+ * @param {boolean} [isTotal] - Whether to print the row in bold.
+ * @returns {void}
+ */
+const drawAmountRow = (doc, label, amount, isTotal = false) => {
+  const y = doc.y;
+  doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, PAGE_MARGIN, y, { width: 300 });
+  doc.text(amount, 350, y, { width: 195, align: 'right' });
+  doc.moveDown(0.3);
+};
+
+/**
+ * @function renderInvoicePdf
+ * @description Invoice for one order: the lot, what the buyer owes and who they buy from.
+ * @param {{
+ *  order: Record<string, any>,
+ *  item: { title: string, lotNumber?: number|null },
+ *  buyer: { username?: string, email?: string, address?: Record<string, string> },
+ *  seller: { username?: string, email?: string, address?: Record<string, string> }
+ * }} params - Order with the item and parties it refers to.
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = ({ order, item, buyer, seller }) => renderToBuffer((doc) => {
+  const details = [
+    `Invoice ${getInvoiceNumber(order)}`,
+    `Issued ${formatDate(order.createdAt || new Date())}`,
+    order.status === 'awaiting-payment'
+      ? `Payment due ${formatDate(order.paymentDueAt)}`
+      : order.payment?.paidAt ? `Paid ${formatDate(order.payment.paidAt)}` : `Status: ${order.status}`
+  ];
+  drawHeading(doc, 'Invoice', details);
+
+  const partiesTop = doc.y;
+  drawParty(doc, 'Bill to', buyer, PAGE_MARGIN, partiesTop);
+  const buyerBottom = doc.y;
+  drawParty(doc, 'Seller', seller, 300, partiesTop);
+  doc.y = Math.max(buyerBottom, doc.y);
+  doc.x = PAGE_MARGIN;
+  doc.moveDown(1.5);
+
+  const lotLabel = item.lotNumber ? `Lot ${item.lotNumber}: ${item.title}` : item.title;
+  doc.font('Helvetica-Bold').text(lotLabel);
+  if (order.quantity > 1) {
+    doc.font('Helvetica').text(`Quantity: ${order.quantity}`);
+  }
+  doc.moveDown();
+
+  const { currency } = order;
+  drawAmountRow(doc, 'Hammer price', formatMoney(order.hammerPrice, currency));
+  drawAmountRow(doc, "Buyer's premium", formatMoney(order.buyersPremium, currency));
+  drawAmountRow(doc, 'Tax', formatMoney(order.tax, currency));
+  const shippingLabel = order.fulfillment?.method === 'pickup'
+    ? 'Shipping (local pickup)'
+    : order.fulfillment?.zone ? `Shipping (${order.fulfillment.zone} zone)` : 'Shipping';
+  drawAmountRow(doc, shippingLabel, formatMoney(order.shippingCost, currency));
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown(0.3);
+  drawAmountRow(doc, 'Total', formatMoney(order.total, currency), true);
+});
+
+/**
+ * @function renderSellerStatementPdf
+ * @description Consignment statement listing a seller's orders in a period with the commission
+ * deducted and the net proceeds, less any partial refund awarded in a dispute. Cancelled and fully
+ * refunded orders are left out. Sales in more than one currency get a totals block per currency.
+ * @param {{
+ *  seller: { username?: string, email?: string, address?: Record<string, string> },
+ *  orders: Array<Record<string, any>>,
+ *  periodStart: Date,
+ *  periodEnd: Date
+ * }} params - Seller and their orders, with `itemId` populated with the title and lot number.
+ * @returns {Promise<Buffer>}
+ */
+export const renderSellerStatementPdf = ({ seller, orders, periodStart, periodEnd }) => renderToBuffer((doc) => {
+  drawHeading(doc, 'Consignment Statement', [
+    `Period ${formatDate(periodStart)} to ${formatDate(periodEnd)}`,
+    `Generated ${formatDate(new Date())}`
+  ]);
+  drawParty(doc, 'Consignor', seller, PAGE_MARGIN, doc.y);
+  doc.moveDown(1.5);
+
+  const columns = [
+    { label: 'Date', x: PAGE_MARGIN, width: 60 },
+    { label: 'Lot', x: 112, width: 150 },
+    { label: 'Status', x: 265, width: 70 },
+    { label: 'Hammer', x: 335, width: 65, align: 'right' },
+    { label: 'Commission', x: 400, width: 70, align: 'right' },
+    { label: 'Net', x: 475, width: 70, align: 'right' }
+  ];
+  const drawRow = (values, font = 'Helvetica') => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 40) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(font).fontSize(9);
+    const heights = columns.map((column, index) => {
+      doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+      return doc.y - y;
+    });
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  drawRow(columns.map((column) => column.label), 'Helvetica-Bold');
+  const settledOrders = orders.filter((order) => !['cancelled', 'refunded'].includes(order.status));
+  const getNetProceeds = (order) => order.sellerProceeds - (order.refund?.sellerPortion || 0);
+  settledOrders.forEach((order) => {
+    const item = order.itemId || {};
+    const title = item.lotNumber ? `Lot ${item.lotNumber}: ${item.title}` : item.title || 'Item';
+    drawRow([
+      formatDate(order.createdAt),
+      order.quantity > 1 ? `${title} (x${order.quantity})` : title,
+      order.status.replace('-', ' '),
+      formatMoney(order.hammerPrice, order.currency),
+      formatMoney(order.sellerCommission, order.currency),
+      formatMoney(getNetProceeds(order), order.currency)
+    ]);
+  });
+
+  const sum = (field, list) => list.reduce((total, order) => total + (order[field] || 0), 0);
+  const sumNet = (list) => list.reduce((total, order) => total + getNetProceeds(order), 0);
+  const currencies = [...new Set(settledOrders.map((order) => order.currency || BASE_CURRENCY))];
+  if (currencies.length === 0) {
+    currencies.push(BASE_CURRENCY);
+  }
+
+  currencies.forEach((currency) => {
+    const currencyOrders = settledOrders.filter((order) => (order.currency || BASE_CURRENCY) === currency);
+    const refundedToBuyers = currencyOrders.reduce((total, order) => total + (order.refund?.sellerPortion || 0), 0);
+    const paidOrders = currencyOrders.filter((order) => order.status !== 'awaiting-payment');
+    const label = (text) => (currencies.length > 1 ? `${text} (${currency})` : text);
+    // Keep the totals block together
+    if (doc.y > doc.page.height - PAGE_MARGIN - 120) {
+      doc.addPage();
+    } else {
+      doc.moveDown();
+    }
+    doc.x = PAGE_MARGIN;
+    doc.fontSize(10);
+    drawAmountRow(doc, label('Lots sold'), String(currencyOrders.length));
+    drawAmountRow(doc, label('Total hammer'), formatMoney(sum('hammerPrice', currencyOrders), currency));
+    drawAmountRow(doc, label('Shipping collected'), formatMoney(sum('shippingCost', currencyOrders), currency));
+    drawAmountRow(doc, label('Commission'), `-${formatMoney(sum('sellerCommission', currencyOrders), currency)}`);
+    if (refundedToBuyers > 0) {
+      drawAmountRow(doc, label('Dispute refunds'), `-${formatMoney(refundedToBuyers, currency)}`);
+    }
+    drawAmountRow(doc, label('Net proceeds'), formatMoney(sumNet(currencyOrders), currency), true);
+    drawAmountRow(doc, label('Of which paid by buyers'), formatMoney(sumNet(paidOrders), currency));
+  });
+});
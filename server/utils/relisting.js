@@ -0,0 +1,154 @@
+/**
+ * @file relisting.js
+ * @description Automatic relisting of unsold items. Sellers attach relist rules to a listing: how
+ * many times it may be relisted, an optional starting-price reduction per relist and the duration
+ * of each new listing. When an item closes without a sale the scheduler clones it as a new item
+ * linked to the one it replaces.
+ */
+
+import Item from '../models/Item.js';
+
+const MAX_RELISTS = 10;
+const MAX_PRICE_REDUCTION_PERCENT = 90;
+const MAX_RELIST_DURATION_HOURS = 30 * 24;
+
+/**
+ * @function parseRelistRules
+ * @description Parses and validates relist rules, accepting either an object or the JSON string
+ * sent by multipart forms.
+ * @param {string|{ maxRelists?: number, priceReductionPercent?: number, durationHours?: number|null }} rawRules - Submitted rules.
+ * @returns {{ maxRelists: number, priceReductionPercent: number, durationHours: number|null }}
+ * @throws {Error} When a rule is out of range.
+ */
+export const parseRelistRules = (rawRules) => {
+  let rules = rawRules;
+  if (typeof rawRules === 'string') {
+    try {
+      rules = JSON.parse(rawRules);
+    } catch (parseError) {
+      throw new Error('Relist rules must be valid JSON.');
+    }
+  }
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Relist rules must be an object.');
+  }
+
+  const maxRelists = Number(rules.maxRelists ?? 0);
+  const priceReductionPercent = Number(rules.priceReductionPercent ?? 0);
+  const durationHours = rules.durationHours === null || rules.durationHours === undefined || rules.durationHours === ''
+    ? null
+    : Number(rules.durationHours);
+
+  if (!Number.isInteger(maxRelists) || maxRelists < 0 || maxRelists > MAX_RELISTS) {
+    throw new Error(`Relist count must be a whole number between 0 and ${MAX_RELISTS}.`);
+  }
+  if (!Number.isFinite(priceReductionPercent) || priceReductionPercent < 0 || priceReductionPercent > MAX_PRICE_REDUCTION_PERCENT) {
+    throw new Error(`Starting-price reduction must be between 0% and ${MAX_PRICE_REDUCTION_PERCENT}%.`);
+  }
+  if (durationHours !== null && (!Number.isFinite(durationHours) || durationHours < 1 || durationHours > MAX_RELIST_DURATION_HOURS)) {
+    throw new Error(`Relist duration must be between 1 and ${MAX_RELIST_DURATION_HOURS} hours.`);
+  }
+
+  return { maxRelists, priceReductionPercent, durationHours };
+};
+
+/**
+ * @function isUnsold
+ * @description Whether a finalized item closed without a sale: no bids, or a reserve that was not
+ * met.
+ * @param {import('mongoose').Document} item - Item that has just been finalized.
+ * @returns {boolean}
+ */
+export const isUnsold = (item) => {
+  if (item.isMultiUnit) {
+    return !item.winners?.length;
+  }
+  return !item.winnerId;
+};
+
+/**
+ * @function getRelistStartingPrice
+ * @description Starting price of the next listing after the seller's reduction, rounded to cents
+ * and never below $1. Reverse listings keep their budget.
+ * @param {import('mongoose').Document} item - Item being relisted.
+ * @returns {number}
+ */
+export const getRelistStartingPrice = (item) => {
+  const reductionPercent = item.relistRules?.priceReductionPercent || 0;
+  if (item.isReverse() || !reductionPercent) {
+    return item.startingPrice;
+  }
+  const reducedPrice = Math.round(item.startingPrice * (100 - reductionPercent)) / 100;
+  return Math.max(1, reducedPrice);
+};
+
+/**
+ * @function relistUnsoldItem
+ * @description Clones an unsold item as a new listing when its relist rules allow another run. The
+ * clone starts immediately, runs for the configured duration (or the original one) and links back
+ * to the item it replaces; the original records the clone in `relistedAsId`.
+ * @param {import('mongoose').Document} item - Item that has just closed unsold.
+ * @returns {Promise<import('mongoose').Document|null>} The new listing, or null if no relist was due.
+ */
+export const relistUnsoldItem = async (item) => {
+  const maxRelists = item.relistRules?.maxRelists || 0;
+  if (!isUnsold(item) || item.relistedAsId || item.relistCount >= maxRelists) {
+    return null;
+  }
+
+  const startTime = new Date();
+  const durationMs = item.relistRules.durationHours
+    ? item.relistRules.durationHours * 60 * 60 * 1000
+    : Math.max(60 * 60 * 1000, item.endTime.getTime() - item.startTime.getTime());
+  const startingPrice = getRelistStartingPrice(item);
+
+  // A reduced start must not leave Buy It Now below it; drop the shortcut rather than reprice it
+  const buyNowPrice = item.buyNowPrice !== null && item.buyNowPrice !== undefined && item.buyNowPrice >= startingPrice
+    ? item.buyNowPrice
+    : null;
+  // Subdocuments store amounts in minor units; copy their major-unit values so the setters scale them once
+  const { incrementTiers, shipping } = item.toObject({ getters: true });
+
+  const relistedItem = await Item.create({
+    title: item.title,
+    description: item.description,
+    category: item.category,
+    images: item.images,
+    sellerId: item.sellerId,
+    currency: item.currency,
+    startingPrice,
+    currentPrice: startingPrice,
+    bidIncrement: item.bidIncrement,
+    incrementPreset: item.incrementPreset,
+    incrementTiers,
+    reservePrice: item.reservePrice,
+    buyNowPrice,
+    approvalThreshold: item.approvalThreshold,
+    approvalDeposit: item.approvalDeposit,
+    startTime,
+    endTime: new Date(startTime.getTime() + durationMs),
+    status: 'active',
+    condition: item.condition,
+    era: item.era,
+    authenticity: item.authenticity,
+    dimensions: item.dimensions,
+    shipping,
+    bundleItems: item.bundleItems?.length ? item.bundleItems : undefined,
+    softCloseWindowMinutes: item.softCloseWindowMinutes,
+    maxExtensions: item.maxExtensions,
+    listingType: item.listingType,
+    format: item.format,
+    isMultiUnit: item.isMultiUnit,
+    totalQuantity: item.totalQuantity,
+    quantityAvailable: item.totalQuantity,
+    relistRules: item.relistRules,
+    relistCount: item.relistCount + 1,
+    relistedFromId: item._id
+  });
+
+  item.relistedAsId = relistedItem._id;
+  await item.save();
+
+  return relistedItem;
+};
@@ -0,0 +1,504 @@
+/**
+ * @file shillDetection.js
+ * @description Background analyzer for shill bidding, meaning bids placed to run up the price of a
+ * seller's own items. Recent bids are checked for four patterns: bids placed from an address the
+ * seller signs in or bids from, accounts that only ever bid on one seller's items, bids that raise
+ * a seller's price and are then retracted, and new accounts bidding on the same item within seconds
+ * of each other. Each finding is scored from 0 to 100 and added to an open flag in the admin review
+ * queue. Findings at or above the auto-suspend score also suspend the bidder's bidding until an
+ * admin dismisses the flag. A shared address alone never suspends: households, offices and mobile
+ * carriers share addresses, so it needs another pattern against the same seller to back it up.
+ */
+
+import AutoBid from '../models/AutoBid.js';
+import Bid from '../models/Bid.js';
+import Item from '../models/Item.js';
+import ShillFlag from '../models/ShillFlag.js';
+import User from '../models/User.js';
+import { sendEmail } from './mailer.js';
+import { formatMoney, fromMinorUnits } from './money.js';
+
+/**
+ * @description Days of bids each run looks at unless SHILL_ANALYSIS_WINDOW_DAYS overrides it.
+ */
+export const DEFAULT_ANALYSIS_WINDOW_DAYS = 30;
+
+/**
+ * @description Minutes between runs unless SHILL_ANALYSIS_INTERVAL_MINUTES overrides it.
+ */
+export const DEFAULT_ANALYSIS_INTERVAL_MINUTES = 60;
+
+/**
+ * @description Score at which a flag suspends the bidder unless SHILL_AUTO_SUSPEND_SCORE overrides
+ * it. A value above 100 turns automatic suspension off.
+ */
+export const DEFAULT_AUTO_SUSPEND_SCORE = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts younger than this when they bid count as new
+const NEW_ACCOUNT_DAYS = 7;
+// How close together bids by different new accounts on one item must be to look coordinated
+const COORDINATED_BID_SECONDS = 10;
+// Items a bidder must have bid on, all from one seller, before that stands out
+const SINGLE_SELLER_MIN_ITEMS = 3;
+// Price-raising retractions on one seller's items before they stand out
+const RETRACTION_MIN_COUNT = 2;
+const MAX_EVIDENCE = 50;
+// Patterns that only show a shared address and cannot suspend a bidder on their own
+const ADDRESS_ONLY_KINDS = new Set(['shared-ip-with-seller']);
+
+let lastAnalysisAt = null;
+
+/**
+ * @function getAutoSuspendScore
+ * @returns {number}
+ */
+const getAutoSuspendScore = () => Number(process.env.SHILL_AUTO_SUSPEND_SCORE) || DEFAULT_AUTO_SUSPEND_SCORE;
+
+/**
+ * @function groupBy
+ * @param {Array<any>} values - Values to group.
+ * @param {(value: any) => string} keyOf - Group key of a value.
+ * @returns {Map<string, Array<any>>}
+ */
+const groupBy = (values, keyOf) => {
+  const groups = new Map();
+  values.forEach((value) => {
+    const key = keyOf(value);
+    groups.set(key, [...(groups.get(key) || []), value]);
+  });
+  return groups;
+};
+
+/**
+ * @function pairKey
+ * @param {{ bidderId: ObjectId, sellerId: ObjectId }} bid - Bid with its item's seller.
+ * @returns {string}
+ */
+const pairKey = ({ bidderId, sellerId }) => `${bidderId}:${sellerId}`;
+
+/**
+ * @function countItems
+ * @param {Array<{ itemId: ObjectId }>} bids - Bids.
+ * @returns {number} Distinct items bid on.
+ */
+const countItems = (bids) => new Set(bids.map(({ itemId }) => itemId.toString())).size;
+
+/**
+ * @function describeBid
+ * @param {Record<string, any>} bid - Bid as loaded by loadRecentBids.
+ * @returns {string} E.g. `£120.00 on Brass Telescope`.
+ */
+const describeBid = (bid) => `${formatMoney(fromMinorUnits(bid.bidAmount), bid.currency)} on ${bid.itemTitle}`;
+
+/**
+ * @function toEvidence
+ * @param {Record<string, any>} bid - Bid as loaded by loadRecentBids.
+ * @param {string} note - What the bid shows.
+ * @returns {{ itemId: ObjectId, bidId: ObjectId, ipAddress: string|null, note: string, at: Date }}
+ */
+const toEvidence = (bid, note) => ({
+  itemId: bid.itemId,
+  bidId: bid._id,
+  ipAddress: bid.ipAddress || null,
+  note,
+  at: bid.timestamp
+});
+
+/**
+ * @function loadRecentBids
+ * @description Bids placed since the given date with their item's seller, currency and title.
+ * Aggregation skips the schema getters, so amounts are in minor units. Bids by a seller on their
+ * own item, which only demo mode allows, are left out.
+ * @param {Date} since - Start of the window.
+ * @returns {Promise<Array<Record<string, any>>>}
+ */
+const loadRecentBids = async (since) => {
+  const bids = await Bid.aggregate([
+    { $match: { timestamp: { $gte: since } } },
+    { $lookup: { from: Item.collection.collectionName, localField: 'itemId', foreignField: '_id', as: 'item' } },
+    { $unwind: '$item' },
+    {
+      $project: {
+        itemId: 1,
+        bidderId: 1,
+        bidAmount: 1,
+        previousPrice: 1,
+        timestamp: 1,
+        isRetracted: 1,
+        retractionTime: 1,
+        ipAddress: 1,
+        sellerId: '$item.sellerId',
+        currency: '$item.currency',
+        itemTitle: '$item.title'
+      }
+    },
+    { $sort: { timestamp: 1 } }
+  ]);
+  return bids.filter((bid) => bid.bidderId.toString() !== bid.sellerId.toString());
+};
+
+/**
+ * @function detectSharedAddresses
+ * @description Bids placed from an address the item's seller signs in from or has bid from.
+ * @param {Array<Record<string, any>>} bids - Recent bids.
+ * @param {Date} since - Start of the window.
+ * @returns {Promise<Array<Record<string, any>>>} Findings.
+ */
+const detectSharedAddresses = async (bids, since) => {
+  const sellerIds = [...new Set(bids.map(({ sellerId }) => sellerId.toString()))];
+  const sellers = await User.find({ _id: { $in: sellerIds } }).select('signInAddresses').lean();
+  const sellerAddresses = new Map(sellers.map((seller) => [
+    seller._id.toString(),
+    new Set((seller.signInAddresses || []).map(({ address }) => address))
+  ]));
+
+  const sellerBids = await Bid.find({ bidderId: { $in: sellerIds }, timestamp: { $gte: since }, ipAddress: { $ne: null } })
+    .select('bidderId ipAddress')
+    .lean();
+  sellerBids.forEach(({ bidderId, ipAddress }) => sellerAddresses.get(bidderId.toString())?.add(ipAddress));
+
+  const matchingBids = bids.filter((bid) => bid.ipAddress && sellerAddresses.get(bid.sellerId.toString())?.has(bid.ipAddress));
+
+  return [...groupBy(matchingBids, pairKey).values()].map((pairBids) => {
+    const itemCount = countItems(pairBids);
+    return {
+      kind: 'shared-ip-with-seller',
+      bidderId: pairBids[0].bidderId,
+      sellerId: pairBids[0].sellerId,
+      score: Math.min(95, 70 + 10 * (itemCount - 1)),
+      summary: `Bid from the seller's IP address on ${itemCount} item${itemCount === 1 ? '' : 's'}.`,
+      evidence: pairBids.map((bid) => toEvidence(bid, `${describeBid(bid)} from ${bid.ipAddress}, an address the seller uses`))
+    };
+  });
+};
+
+/**
+ * @function detectSingleSellerBidders
+ * @description Bidders whose recent bids cover several items, all from one seller, and who have
+ * never bid on anyone else's items.
+ * @param {Array<Record<string, any>>} bids - Recent bids.
+ * @returns {Promise<Array<Record<string, any>>>} Findings.
+ */
+const detectSingleSellerBidders = async (bids) => {
+  const findings = [];
+
+  for (const bidderBids of groupBy(bids, ({ bidderId }) => bidderId.toString()).values()) {
+    const sellerIds = new Set(bidderBids.map(({ sellerId }) => sellerId.toString()));
+    const itemCount = countItems(bidderBids);
+    if (sellerIds.size !== 1 || itemCount < SINGLE_SELLER_MIN_ITEMS) {
+      continue;
+    }
+
+    const { bidderId, sellerId } = bidderBids[0];
+    const everBidOn = await Bid.distinct('itemId', { bidderId });
+    const everBidFor = await Item.distinct('sellerId', { _id: { $in: everBidOn } });
+    if (everBidFor.length !== 1) {
+      continue;
+    }
+
+    // The latest bid on each item is enough to show the pattern
+    const latestBids = [...groupBy(bidderBids, ({ itemId }) => itemId.toString()).values()].map((itemBids) => itemBids[itemBids.length - 1]);
+    findings.push({
+      kind: 'single-seller-bidder',
+      bidderId,
+      sellerId,
+      score: Math.min(80, 50 + 10 * (everBidOn.length - SINGLE_SELLER_MIN_ITEMS)),
+      summary: `Has only ever bid on this seller's items (${everBidOn.length} items).`,
+      evidence: latestBids.map((bid) => toEvidence(bid, describeBid(bid)))
+    });
+  }
+
+  return findings;
+};
+
+/**
+ * @function detectPriceRaisingRetractions
+ * @description Bidders who repeatedly raised the price of one seller's items and then retracted.
+ * @param {Array<Record<string, any>>} bids - Recent bids.
+ * @returns {Array<Record<string, any>>} Findings.
+ */
+const detectPriceRaisingRetractions = (bids) => {
+  const retractedBids = bids.filter((bid) => bid.isRetracted && bid.bidAmount > bid.previousPrice);
+
+  return [...groupBy(retractedBids, pairKey).values()]
+    .filter((pairBids) => pairBids.length >= RETRACTION_MIN_COUNT)
+    .map((pairBids) => ({
+      kind: 'bid-and-retract',
+      bidderId: pairBids[0].bidderId,
+      sellerId: pairBids[0].sellerId,
+      score: Math.min(90, 55 + 15 * (pairBids.length - RETRACTION_MIN_COUNT)),
+      summary: `Raised the price and retracted ${pairBids.length} times on this seller's items.`,
+      evidence: pairBids.map((bid) => {
+        const minutesHeld = bid.retractionTime ? Math.round((bid.retractionTime - bid.timestamp) / 60000) : null;
+        return toEvidence(
+          bid,
+          `Raised the price from ${formatMoney(fromMinorUnits(bid.previousPrice), bid.currency)} to ${describeBid(bid)}, retracted ${minutesHeld === null ? 'later' : `after ${minutesHeld} min`}`
+        );
+      })
+    }));
+};
+
+/**
+ * @function detectCoordinatedNewAccounts
+ * @description New accounts bidding on the same item within seconds of another new account. The
+ * score is higher when the two bids came from the same address.
+ * @param {Array<Record<string, any>>} bids - Recent bids, oldest first.
+ * @returns {Promise<Array<Record<string, any>>>} Findings.
+ */
+const detectCoordinatedNewAccounts = async (bids) => {
+  const bidderIds = [...new Set(bids.map(({ bidderId }) => bidderId.toString()))];
+  const bidders = await User.find({ _id: { $in: bidderIds } }).select('username createdAt').lean();
+  const biddersById = new Map(bidders.map((bidder) => [bidder._id.toString(), bidder]));
+  const isNewAccountBid = (bid) => {
+    const bidder = biddersById.get(bid.bidderId.toString());
+    return Boolean(bidder?.createdAt) && bid.timestamp - bidder.createdAt < NEW_ACCOUNT_DAYS * DAY_MS;
+  };
+
+  const findingsByPair = new Map();
+  const addEvidence = (bid, otherBid) => {
+    const key = pairKey(bid);
+    const finding = findingsByPair.get(key) || { bidderId: bid.bidderId, sellerId: bid.sellerId, bids: [], relatedUserIds: new Set(), sharesAddress: false };
+    const seconds = Math.round(Math.abs(bid.timestamp - otherBid.timestamp) / 1000);
+    const otherUsername = biddersById.get(otherBid.bidderId.toString())?.username || 'another new account';
+    const sameAddress = Boolean(bid.ipAddress) && bid.ipAddress === otherBid.ipAddress;
+    finding.bids.push({ bid, note: `${describeBid(bid)}, ${seconds}s from ${otherUsername}${sameAddress ? ' on the same IP address' : ''}` });
+    finding.relatedUserIds.add(otherBid.bidderId.toString());
+    finding.sharesAddress = finding.sharesAddress || sameAddress;
+    findingsByPair.set(key, finding);
+  };
+
+  const newAccountBids = bids.filter(isNewAccountBid);
+  for (const itemBids of groupBy(newAccountBids, ({ itemId }) => itemId.toString()).values()) {
+    itemBids.forEach((bid, index) => {
+      for (const laterBid of itemBids.slice(index + 1)) {
+        if (laterBid.timestamp - bid.timestamp > COORDINATED_BID_SECONDS * 1000) {
+          break;
+        }
+        if (laterBid.bidderId.toString() !== bid.bidderId.toString()) {
+          addEvidence(bid, laterBid);
+          addEvidence(laterBid, bid);
+        }
+      }
+    });
+  }
+
+  return [...findingsByPair.values()].map((finding) => ({
+    kind: 'coordinated-new-accounts',
+    bidderId: finding.bidderId,
+    sellerId: finding.sellerId,
+    relatedUserIds: [...finding.relatedUserIds],
+    score: finding.sharesAddress ? 85 : 60,
+    summary: `New account bidding within seconds of ${finding.relatedUserIds.size} other new account${finding.relatedUserIds.size === 1 ? '' : 's'}${finding.sharesAddress ? ', sharing an IP address' : ''}.`,
+    evidence: finding.bids.map(({ bid, note }) => toEvidence(bid, note))
+  }));
+};
+
+/**
+ * @function recordFinding
+ * @description Adds a finding to the open flag for the same pattern, bidder and seller, or opens
+ * one. After a flag has been reviewed, only evidence newer than the review raises a new flag, so a
+ * dismissed case does not come straight back.
+ * @param {Record<string, any>} finding - Finding from one of the detectors.
+ * @returns {Promise<{ flag: import('mongoose').Document, isNew: boolean }|null>} Null when the finding adds nothing.
+ */
+const recordFinding = async ({ kind, bidderId, sellerId, score, summary, evidence, relatedUserIds = [] }) => {
+  const lastReviewed = await ShillFlag.findOne({ kind, bidderId, sellerId, status: { $ne: 'open' } })
+    .sort({ reviewedAt: -1 })
+    .select('reviewedAt')
+    .lean();
+  const freshEvidence = lastReviewed?.reviewedAt
+    ? evidence.filter(({ at }) => at > lastReviewed.reviewedAt)
+    : evidence;
+
+  const existingFlag = await ShillFlag.findOne({ kind, bidderId, sellerId, status: 'open' });
+  const flag = existingFlag || new ShillFlag({ kind, bidderId, sellerId, score });
+  const knownBidIds = new Set(flag.evidence.map(({ bidId }) => bidId?.toString()));
+  const newEvidence = freshEvidence.filter(({ bidId }) => !knownBidIds.has(bidId.toString()));
+  if (newEvidence.length === 0) {
+    return null;
+  }
+
+  flag.evidence = [...flag.evidence, ...newEvidence].slice(-MAX_EVIDENCE);
+  flag.itemIds = [...new Set(flag.evidence.map(({ itemId }) => itemId.toString()))];
+  flag.relatedUserIds = [...new Set([...flag.relatedUserIds, ...relatedUserIds].map((userId) => userId.toString()))];
+  flag.score = Math.max(flag.score, score);
+  flag.summary = summary;
+  flag.lastDetectedAt = new Date();
+  await flag.save();
+
+  return { flag, isNew: !existingFlag };
+};
+
+/**
+ * @function getBiddingSuspensionError
+ * @description The refusal for a bid, auto-bid or floor bid by a suspended user.
+ * @param {{ biddingSuspension?: { suspendedAt?: Date|null } }|null} user - Bidder.
+ * @returns {{ code: string, message: string }|null} Null when the user may bid.
+ */
+export const getBiddingSuspensionError = (user) => {
+  if (!user?.biddingSuspension?.suspendedAt) {
+    return null;
+  }
+  return {
+    code: 'BIDDING_SUSPENDED',
+    message: 'Your bidding is suspended while our team reviews activity on your account. Contact support if you think this is a mistake.'
+  };
+};
+
+/**
+ * @function suspendBidding
+ * @description Suspends a user's bidding and stops their active auto-bids, then emails them.
+ * Does nothing if they are already suspended.
+ * @param {ObjectId} userId - User to suspend.
+ * @param {{ reason: string, flagId?: ObjectId|null }} details - Reason shown to admins and the flag behind it.
+ * @returns {Promise<boolean>} Whether the user was suspended by this call.
+ */
+export const suspendBidding = async (userId, { reason, flagId = null }) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'biddingSuspension.suspendedAt': null },
+    { biddingSuspension: { suspendedAt: new Date(), reason, flagId } },
+    { new: true }
+  ).select('username email');
+  if (!user) {
+    return false;
+  }
+
+  await AutoBid.updateMany({ userId, isActive: true }, { isActive: false });
+
+  if (user.email) {
+    sendEmail({
+      to: user.email,
+      subject: 'Your bidding has been suspended',
+      text: `Hi ${user.username || 'user'}, your bidding has been suspended while our team reviews activity on your account, and your auto-bids have been stopped. We will email you once the review is complete.`,
+      html: `<p>Hi ${user.username || 'user'},</p><p>Your bidding has been suspended while our team reviews activity on your account, and your auto-bids have been stopped.</p><p>We will email you once the review is complete.</p>`
+    }).catch((e) => console.error('Bidding suspension email error:', e));
+  }
+  return true;
+};
+
+/**
+ * @function liftBiddingSuspension
+ * @description Lets a user bid again if their suspension came from the given flag, and emails them.
+ * Auto-bids stopped by the suspension stay stopped.
+ * @param {ObjectId} userId - Suspended user.
+ * @param {ObjectId} flagId - Flag being dismissed.
+ * @returns {Promise<boolean>} Whether a suspension was lifted.
+ */
+export const liftBiddingSuspension = async (userId, flagId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'biddingSuspension.flagId': flagId },
+    { biddingSuspension: { suspendedAt: null, reason: null, flagId: null } },
+    { new: true }
+  ).select('username email');
+  if (!user) {
+    return false;
+  }
+
+  if (user.email) {
+    sendEmail({
+      to: user.email,
+      subject: 'You can bid again',
+      text: `Hi ${user.username || 'user'}, our review is complete and your bidding has been restored. Auto-bids stopped during the review need to be set again.`,
+      html: `<p>Hi ${user.username || 'user'},</p><p>Our review is complete and your bidding has been restored.</p><p>Auto-bids stopped during the review need to be set again.</p>`
+    }).catch((e) => console.error('Bidding restored email error:', e));
+  }
+  return true;
+};
+
+/**
+ * @function notifyAdminsOfFlags
+ * @description Emails every admin one summary of the flags a run opened (best-effort).
+ * @param {Array<import('mongoose').Document>} flags - Newly opened flags.
+ * @returns {Promise<void>}
+ */
+const notifyAdminsOfFlags = async (flags) => {
+  try {
+    const admins = await User.find({ role: 'admin' }).select('email').lean();
+    const reviewUrl = `${process.env.CLIENT_URL || ''}/shill-flags`;
+    const lines = flags.map((flag) => `[${flag.score}] ${flag.summary}${flag.autoSuspended ? ' Bidding suspended.' : ''}`);
+    admins.filter((admin) => admin.email).forEach((admin) => {
+      sendEmail({
+        to: admin.email,
+        subject: `${flags.length} new shill-bidding flag${flags.length === 1 ? '' : 's'} to review`,
+        text: `${lines.join('\n')}\n\nReview them at ${reviewUrl}`,
+        html: `<ul>${lines.map((line) => `<li>${line}</li>`).join('')}</ul><p><a href="${reviewUrl}">Open the review queue</a></p>`
+      }).catch((e) => console.error('Shill flag admin email error:', e));
+    });
+  } catch (notifyErr) {
+    console.error('Error sending shill flag notification to admins:', notifyErr);
+  }
+};
+
+/**
+ * @function runShillAnalysis
+ * @description Checks the bids of the analysis window for every pattern, records the findings and
+ * suspends bidders whose flags reach the auto-suspend score. Address-only flags suspend only when
+ * the same run also found another pattern for that bidder and seller.
+ * @returns {Promise<{ opened: number, updated: number, suspended: number }>}
+ */
+export const runShillAnalysis = async () => {
+  lastAnalysisAt = new Date();
+  const windowDays = Number(process.env.SHILL_ANALYSIS_WINDOW_DAYS) || DEFAULT_ANALYSIS_WINDOW_DAYS;
+  const since = new Date(lastAnalysisAt.getTime() - windowDays * DAY_MS);
+
+  const bids = await loadRecentBids(since);
+  const findings = [
+    ...(await detectSharedAddresses(bids, since)),
+    ...(await detectSingleSellerBidders(bids)),
+    ...detectPriceRaisingRetractions(bids),
+    ...(await detectCoordinatedNewAccounts(bids))
+  ];
+
+  const autoSuspendScore = getAutoSuspendScore();
+  const corroboratedPairs = new Set(findings.filter(({ kind }) => !ADDRESS_ONLY_KINDS.has(kind)).map(pairKey));
+  const openedFlags = [];
+  let updated = 0;
+  let suspended = 0;
+
+  for (const finding of findings) {
+    try {
+      const recorded = await recordFinding(finding);
+      if (!recorded) {
+        continue;
+      }
+      const { flag, isNew } = recorded;
+      if (isNew) {
+        openedFlags.push(flag);
+      } else {
+        updated += 1;
+      }
+
+      const canSuspend = !ADDRESS_ONLY_KINDS.has(flag.kind) || corroboratedPairs.has(pairKey(finding));
+      if (flag.score >= autoSuspendScore && !flag.autoSuspended && canSuspend
+        && await suspendBidding(flag.bidderId, { reason: flag.summary, flagId: flag._id })) {
+        flag.autoSuspended = true;
+        await flag.save();
+        suspended += 1;
+      }
+    } catch (recordErr) {
+      console.error(`Error recording ${finding.kind} flag for bidder ${finding.bidderId}:`, recordErr);
+    }
+  }
+
+  if (openedFlags.length > 0) {
+    notifyAdminsOfFlags(openedFlags);
+  }
+
+  return { opened: openedFlags.length, updated, suspended };
+};
+
+/**
+ * @function runDueShillAnalysis
+ * @description Runs the analyzer if the analysis interval has passed since the last run in this
+ * process.
+ * @returns {Promise<{ opened: number, updated: number, suspended: number }|null>} Null when no run was due.
+ */
+export const runDueShillAnalysis = async () => {
+  const intervalMinutes = Number(process.env.SHILL_ANALYSIS_INTERVAL_MINUTES) || DEFAULT_ANALYSIS_INTERVAL_MINUTES;
+  if (lastAnalysisAt && Date.now() - lastAnalysisAt.getTime() < intervalMinutes * 60 * 1000) {
+    return null;
+  }
+  return runShillAnalysis();
+};
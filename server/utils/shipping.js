@@ -0,0 +1,254 @@
+/**
+ * @file shipping.js
+ * @description Shipping quotes for the three delivery methods sellers can offer: local pickup
+ * (free), a flat rate, or a rate calculated from the parcel's billable weight and the distance zone
+ * between seller and buyer. Billable weight is the greater of the actual weight and the
+ * dimensional weight (volume divided by the rate table's divisor), with every unit the listing form
+ * accepts converted to centimeters and kilograms first. Zone rates are in the base currency and
+ * quoted in the item's currency.
+ */
+
+import ShippingRateTable from '../models/ShippingRateTable.js';
+import User from '../models/User.js';
+import { BASE_CURRENCY, roundMoney } from './money.js';
+import { convertAmount, getExchangeRates } from './exchangeRates.js';
+
+/**
+ * @description Distance zones, nearest first.
+ */
+export const SHIPPING_ZONES = ['local', 'regional', 'national', 'international'];
+
+/**
+ * @description Rates applied when no table has been configured.
+ */
+export const DEFAULT_ZONE_RATES = [
+  { zone: 'local', baseRate: 8, perKgRate: 0.5 },
+  { zone: 'regional', baseRate: 12, perKgRate: 1 },
+  { zone: 'national', baseRate: 18, perKgRate: 1.5 },
+  { zone: 'international', baseRate: 45, perKgRate: 6 }
+];
+
+/**
+ * @description Cubic centimeters per billable kilogram when no table has been configured.
+ */
+export const DEFAULT_DIMENSIONAL_DIVISOR = 5000;
+
+// Zone assumed when either address is too incomplete to place the buyer
+const FALLBACK_ZONE = 'national';
+
+const CENTIMETERS_PER_UNIT = {
+  inches: 2.54,
+  cm: 1,
+  feet: 30.48,
+  meters: 100
+};
+
+const KILOGRAMS_PER_UNIT = {
+  kg: 1,
+  lbs: 0.45359237,
+  g: 0.001,
+  oz: 0.028349523125
+};
+
+/**
+ * @function parseZoneRates
+ * @description Parses and validates the zone rate table, accepting either an array or a JSON
+ * string. Every zone must be priced exactly once; rates are returned nearest zone first.
+ * @param {string|Array<{ zone: string, baseRate: number, perKgRate: number }>} rawRates - Submitted rates.
+ * @returns {Array<{ zone: string, baseRate: number, perKgRate: number }>}
+ * @throws {Error} When a zone is missing, duplicated or has an invalid rate.
+ */
+export const parseZoneRates = (rawRates) => {
+  let rates = rawRates;
+  if (typeof rawRates === 'string') {
+    try {
+      rates = JSON.parse(rawRates);
+    } catch (parseError) {
+      throw new Error('Zone rates must be valid JSON.');
+    }
+  }
+
+  if (!Array.isArray(rates)) {
+    throw new Error('Zone rates must be an array.');
+  }
+
+  const normalizedRates = rates.map((rate) => ({
+    zone: rate.zone,
+    baseRate: Number(rate.baseRate),
+    perKgRate: Number(rate.perKgRate)
+  }));
+
+  normalizedRates.forEach((rate) => {
+    if (!SHIPPING_ZONES.includes(rate.zone)) {
+      throw new Error(`Zone must be one of: ${SHIPPING_ZONES.join(', ')}.`);
+    }
+    if (!Number.isFinite(rate.baseRate) || rate.baseRate < 0 || !Number.isFinite(rate.perKgRate) || rate.perKgRate < 0) {
+      throw new Error(`Rates for the ${rate.zone} zone cannot be negative.`);
+    }
+  });
+
+  const zones = normalizedRates.map(({ zone }) => zone);
+  if (new Set(zones).size !== zones.length || zones.length !== SHIPPING_ZONES.length) {
+    throw new Error('Price every zone exactly once.');
+  }
+
+  return SHIPPING_ZONES.map((zone) => normalizedRates.find((rate) => rate.zone === zone));
+};
+
+/**
+ * @function getShippingRates
+ * @description Loads the configured rate table, falling back to the default rates and divisor.
+ * @returns {Promise<{ zoneRates: Array<{ zone: string, baseRate: number, perKgRate: number }>, dimensionalDivisor: number }>}
+ */
+export const getShippingRates = async () => {
+  const table = await ShippingRateTable.findOne().lean();
+  return {
+    zoneRates: table?.zoneRates?.length ? table.zoneRates : DEFAULT_ZONE_RATES,
+    dimensionalDivisor: table?.dimensionalDivisor ?? DEFAULT_DIMENSIONAL_DIVISOR
+  };
+};
+
+/**
+ * @function toMetricDimensions
+ * @description Converts a listing's dimensions to centimeters and kilograms. Measurements that
+ * were not entered come back as null.
+ * @param {{ height?: number, width?: number, depth?: number, weight?: number, unit?: string, weightUnit?: string }|undefined} dimensions - Listing dimensions.
+ * @returns {{ heightCm: number|null, widthCm: number|null, depthCm: number|null, weightKg: number|null }}
+ */
+export const toMetricDimensions = (dimensions) => {
+  const lengthFactor = CENTIMETERS_PER_UNIT[dimensions?.unit] ?? CENTIMETERS_PER_UNIT.inches;
+  const weightFactor = KILOGRAMS_PER_UNIT[dimensions?.weightUnit] ?? KILOGRAMS_PER_UNIT.kg;
+  const convert = (value, factor) => (value > 0 ? value * factor : null);
+  return {
+    heightCm: convert(dimensions?.height, lengthFactor),
+    widthCm: convert(dimensions?.width, lengthFactor),
+    depthCm: convert(dimensions?.depth, lengthFactor),
+    weightKg: convert(dimensions?.weight, weightFactor)
+  };
+};
+
+/**
+ * @function getParcelWeight
+ * @description Billable weight of one parcel: its actual weight or, when all three sides are
+ * known and it is bulkier than it is heavy, its dimensional weight.
+ * @param {Record<string, any>|undefined} dimensions - Listing dimensions.
+ * @param {number} dimensionalDivisor - Cubic centimeters per billable kilogram.
+ * @returns {number|null} Kilograms, or null when no weight was entered.
+ */
+const getParcelWeight = (dimensions, dimensionalDivisor) => {
+  const { heightCm, widthCm, depthCm, weightKg } = toMetricDimensions(dimensions);
+  if (weightKg === null) {
+    return null;
+  }
+  const dimensionalWeight = heightCm && widthCm && depthCm ? (heightCm * widthCm * depthCm) / dimensionalDivisor : 0;
+  return Math.max(weightKg, dimensionalWeight);
+};
+
+/**
+ * @function getBillableWeight
+ * @description Billable weight of one unit of an item. The item's own dimensions describe the
+ * packed lot; bundles without them are billed as the sum of their pieces.
+ * @param {Record<string, any>} item - Auction item.
+ * @param {number} dimensionalDivisor - Cubic centimeters per billable kilogram.
+ * @returns {number|null} Kilograms, or null when the weight is unknown.
+ */
+export const getBillableWeight = (item, dimensionalDivisor) => {
+  const itemWeight = getParcelWeight(item.dimensions, dimensionalDivisor);
+  if (itemWeight !== null || !item.bundleItems?.length) {
+    return itemWeight;
+  }
+
+  const pieceWeights = item.bundleItems.map((piece) => getParcelWeight(piece.dimensions, dimensionalDivisor));
+  return pieceWeights.includes(null) ? null : pieceWeights.reduce((sum, weight) => sum + weight, 0);
+};
+
+/**
+ * @function getShippingZone
+ * @description Distance zone between two addresses: same city is local, same state regional, same
+ * country national, anything else international. Comparisons ignore case.
+ * @param {{ city?: string, state?: string, country?: string }|undefined} origin - Seller address.
+ * @param {{ city?: string, state?: string, country?: string }|undefined} destination - Buyer address.
+ * @returns {string|null} Zone, or null when either address has no country.
+ */
+export const getShippingZone = (origin, destination) => {
+  const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+  const [originCountry, destinationCountry] = [normalize(origin?.country), normalize(destination?.country)];
+  if (!originCountry || !destinationCountry) {
+    return null;
+  }
+  if (originCountry !== destinationCountry) {
+    return 'international';
+  }
+
+  const sameState = normalize(origin.state) === normalize(destination.state);
+  if (sameState && normalize(origin.city) && normalize(origin.city) === normalize(destination.city)) {
+    return 'local';
+  }
+  return sameState && normalize(origin.state) ? 'regional' : 'national';
+};
+
+/**
+ * @function calculateShippingQuote
+ * @description Prices delivery of an item to a buyer. Calculated shipping charges the zone's base
+ * rate plus its per-kilogram rate on the billable weight, rounded up to the next half kilogram.
+ * When an address is too incomplete to place the buyer, the national zone is assumed and the quote
+ * is flagged as an estimate.
+ * @param {Record<string, any>} item - Auction item.
+ * @param {{ origin?: Record<string, string>, destination?: Record<string, string>, quantity?: number, rates: Awaited<ReturnType<typeof getShippingRates>>, exchangeRates: Record<string, number> }} options
+ * Seller and buyer addresses, units bought, rate table and exchange rates from getExchangeRates.
+ * @returns {{ method: string, cost: number|null, zone: string|null, billableWeightKg: number|null, isEstimate: boolean, handlingDays: number }}
+ */
+export const calculateShippingQuote = (item, { origin, destination, quantity = 1, rates, exchangeRates }) => {
+  const method = item.shipping?.method || 'pickup';
+  const quote = {
+    method,
+    cost: 0,
+    zone: null,
+    billableWeightKg: null,
+    isEstimate: false,
+    handlingDays: item.shipping?.handlingDays ?? 3
+  };
+
+  if (method === 'flat') {
+    quote.cost = roundMoney(item.shipping.flatRate || 0);
+    return quote;
+  }
+  if (method !== 'calculated') {
+    return quote;
+  }
+
+  const unitWeight = getBillableWeight(item, rates.dimensionalDivisor);
+  if (unitWeight === null) {
+    // Listings are validated to carry a weight; older records without one cannot be priced
+    quote.cost = null;
+    return quote;
+  }
+
+  const zone = getShippingZone(origin, destination);
+  quote.zone = zone || FALLBACK_ZONE;
+  quote.isEstimate = !zone;
+  quote.billableWeightKg = Math.ceil(unitWeight * quantity * 2) / 2;
+
+  const zoneRate = rates.zoneRates.find((rate) => rate.zone === quote.zone);
+  const baseCost = roundMoney(zoneRate.baseRate + zoneRate.perKgRate * quote.billableWeightKg);
+  quote.cost = convertAmount(baseCost, BASE_CURRENCY, item.currency || BASE_CURRENCY, exchangeRates);
+  return quote;
+};
+
+/**
+ * @function quoteShipping
+ * @description Loads the seller's address and the rate table and prices delivery of an item to a
+ * buyer's address.
+ * @param {Record<string, any>} item - Auction item.
+ * @param {Record<string, string>|undefined} destination - Buyer address.
+ * @param {{ quantity?: number }} [options] - Units bought, for multi-unit items.
+ * @returns {Promise<ReturnType<typeof calculateShippingQuote>>}
+ */
+export const quoteShipping = async (item, destination, { quantity = 1 } = {}) => {
+  const [seller, rates, { rates: exchangeRates }] = await Promise.all([
+    User.findById(item.sellerId._id || item.sellerId).select('address').lean(),
+    getShippingRates(),
+    getExchangeRates()
+  ]);
+  return calculateShippingQuote(item, { origin: seller?.address, destination, quantity, rates, exchangeRates });
+};
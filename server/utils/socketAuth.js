@@ -0,0 +1,61 @@
+/**
+ * @file socketAuth.js
+ * @description Socket.io middleware that identifies the user behind a connection from the same
+ * JWT cookie used by protectRoute. Guests can still connect; `socket.data.user` is null for them.
+ */
+
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+
+/**
+ * @function readCookie
+ * @description Reads a single cookie value from a raw Cookie header.
+ * @param {string|undefined} cookieHeader - Raw `Cookie` request header.
+ * @param {string} name - Cookie name.
+ * @returns {string|null}
+ */
+const readCookie = (cookieHeader, name) => {
+  const match = (cookieHeader || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+/**
+ * @function authenticateSocket
+ * @description Attaches the authenticated user, if any, to `socket.data.user`. Invalid or expired
+ * tokens are treated as guests rather than rejecting the connection.
+ * @param {import('socket.io').Socket} socket - Connecting socket.
+ * @param {(error?: Error) => void} next - Continues the handshake.
+ * @returns {Promise<void>}
+ */
+const authenticateSocket = async (socket, next) => {
+  socket.data.user = null;
+
+  try {
+    // Mirror protectRoute's demo mode
+    if (process.env.DISABLE_AUTH === 'true') {
+      socket.data.user = {
+        _id: '000000000000000000000000',
+        username: 'Guest',
+        role: 'buyer'
+      };
+      return next();
+    }
+
+    const token = readCookie(socket.handshake.headers.cookie, 'token');
+    if (token) {
+      const decodedPayload = jwt.verify(token, process.env.JWT_SECRET);
+      socket.data.user = await User.findById(decodedPayload.userId).select('username email role').lean();
+    }
+  } catch (authenticationError) {
+    if (!['TokenExpiredError', 'JsonWebTokenError'].includes(authenticationError.name)) {
+      console.error('Socket authentication error:', authenticationError);
+    }
+  }
+
+  next();
+};
+
+export default authenticateSocket;